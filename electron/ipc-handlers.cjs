@@ -26,6 +26,14 @@ const { getLoggerHandlers } = require('./ipc/logger-handlers.cjs');
 const { createErrorMonitoringHandlers } = require('./ipc/error-monitoring-handlers.cjs');
 const { createUtilityHandlers } = require('./ipc/utility-handlers.cjs');
 const { createModAvailabilityHandlers } = require('./ipc/mod-availability-handlers.cjs');
+const { createScheduledTaskHandlers } = require('./ipc/scheduled-task-handlers.cjs');
+const { createBackupTargetHandlers } = require('./ipc/backup-target-handlers.cjs');
+const { createBackupEncryptionHandlers } = require('./ipc/backup-encryption-handlers.cjs');
+const { createCrashAnalysisHandlers } = require('./ipc/crash-analysis-handlers.cjs');
+const { createModpackHandlers } = require('./ipc/modpack-handlers.cjs');
+const { createConfigSyncHandlers } = require('./ipc/config-sync-handlers.cjs');
+const { createModConflictHandlers } = require('./ipc/mod-conflict-handlers.cjs');
+const { createLaunchProfileHandlers } = require('./ipc/launch-profile-handlers.cjs');
 
 // Import auto-restart services for the one remaining handler
 const {
@@ -67,6 +75,14 @@ function setupIpcHandlers(win) {
     const errorMonitoringHandlers = createErrorMonitoringHandlers(win);
   const utilityHandlers = createUtilityHandlers(win);
   const modAvailabilityHandlers = createModAvailabilityHandlers();
+  const scheduledTaskHandlers = createScheduledTaskHandlers();
+  const backupTargetHandlers = createBackupTargetHandlers();
+  const backupEncryptionHandlers = createBackupEncryptionHandlers();
+  const crashAnalysisHandlers = createCrashAnalysisHandlers();
+  const modpackHandlers = createModpackHandlers(win);
+  const configSyncHandlers = createConfigSyncHandlers();
+  const modConflictHandlers = createModConflictHandlers();
+  const launchProfileHandlers = createLaunchProfileHandlers();
     
     // Initialize logger handlers (singleton, no creation needed)
     const loggerHandlers = getLoggerHandlers();
@@ -105,6 +121,14 @@ function setupIpcHandlers(win) {
   errorMonitoringHandlers,
   utilityHandlers,
   modAvailabilityHandlers,
+  scheduledTaskHandlers,
+  backupTargetHandlers,
+  backupEncryptionHandlers,
+  crashAnalysisHandlers,
+  modpackHandlers,
+  configSyncHandlers,
+  modConflictHandlers,
+  launchProfileHandlers,
       loggerHandlers
     ].forEach((handlers) => {
       if (!handlers) {
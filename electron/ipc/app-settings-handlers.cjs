@@ -2,6 +2,8 @@
 const appStore = require('../utils/app-store.cjs');
 const { app, BrowserWindow } = require('electron');
 const { ensureEncryptionAvailable, packSecret, unpackSecret, ENCRYPTED_PREFIX } = require('../utils/secure-store.cjs');
+const modApiService = require('../services/mod-api-service.cjs');
+const modCache = require('../services/mod-cache-service.cjs');
 
 /**
  * Create app settings IPC handlers
@@ -163,6 +165,42 @@ function createAppSettingsHandlers() {
       }
     },
 
+    'curseforge:get-api-key-status': async () => {
+      return { success: true, configured: modApiService.hasCurseForgeApiKey() };
+    },
+
+    'curseforge:set-api-key': async (_e, { apiKey } = {}) => {
+      try {
+        const trimmed = typeof apiKey === 'string' ? apiKey.trim() : '';
+        if (trimmed) {
+          // Reject typos up front instead of failing on the first search
+          await modApiService.verifyCurseForgeApiKey(trimmed);
+        }
+        modApiService.setCurseForgeApiKey(trimmed);
+        modApiService.clearVersionCache();
+        return { success: true, configured: Boolean(trimmed) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+
+    'mod-cache:get-stats': async () => {
+      try {
+        return { success: true, stats: await modCache.getModCacheStats() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+
+    'mod-cache:clear': async (_e, { artifacts = true, api = true } = {}) => {
+      try {
+        await modCache.clearModCache({ artifacts, api });
+        return { success: true, stats: await modCache.getModCacheStats() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+
     'get-app-version': async () => {
       try {
         const version = app.getVersion();
@@ -0,0 +1,56 @@
+const {
+  getEncryptionStatus,
+  enableBackupEncryption,
+  disableBackupEncryption,
+  exportBackupKeys,
+  importBackupKeys,
+  unlockBackupWithPassphrase
+} = require('../services/backup-encryption.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+function createBackupEncryptionHandlers() {
+  return {
+    'backups:encryption:status': async (_e, { serverPath }) => {
+      return { success: true, status: getEncryptionStatus(serverPath) };
+    },
+    'backups:encryption:enable': async (_e, { serverPath, mode, passphrase }) => {
+      logger.info('Enabling backup encryption', {
+        category: 'storage',
+        data: { handler: 'backup-encryption', serverPath, mode }
+      });
+      return await enableBackupEncryption(serverPath, { mode, passphrase });
+    },
+    'backups:encryption:disable': async (_e, { serverPath }) => {
+      logger.info('Disabling backup encryption', {
+        category: 'storage',
+        data: { handler: 'backup-encryption', serverPath }
+      });
+      return disableBackupEncryption(serverPath);
+    },
+    'backups:encryption:export-keys': async (_e, { serverPath, passphrase }) => {
+      logger.info('Exporting backup keys', {
+        category: 'storage',
+        data: { handler: 'backup-encryption', serverPath }
+      });
+      return await exportBackupKeys(serverPath, passphrase);
+    },
+    'backups:encryption:import-keys': async (_e, { serverPath, content, passphrase }) => {
+      logger.info('Importing backup keys', {
+        category: 'storage',
+        data: { handler: 'backup-encryption', serverPath }
+      });
+      return await importBackupKeys(serverPath, content, passphrase);
+    },
+    'backups:encryption:unlock': async (_e, { serverPath, name, passphrase }) => {
+      logger.info('Unlocking backup with passphrase', {
+        category: 'storage',
+        data: { handler: 'backup-encryption', serverPath, name }
+      });
+      return await unlockBackupWithPassphrase(serverPath, name, passphrase);
+    }
+  };
+}
+
+module.exports = { createBackupEncryptionHandlers };
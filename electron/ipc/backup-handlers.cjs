@@ -4,7 +4,10 @@ const { safeSend } = require('../utils/safe-send.cjs');
 const path = require('path');
 const fs = require('fs');
 const { getLoggerHandlers } = require('./logger-handlers.cjs');
+const { ZIP_EXTENSION, isBackupFile, isSnapshotBackup } = require('../utils/backup-util.cjs');
+const { getStoreUsage } = require('../utils/backup-store.cjs');
 const {
+  BACKUP_MODES,
   DEFAULT_BACKUP_AUTOMATION,
   getDefaultServerConfig,
   readServerConfig,
@@ -156,10 +159,13 @@ class BackupSizeTracker {
       }
 
       let backupFiles;
+      let snapshotCount = 0;
       try {
-        backupFiles = fs.readdirSync(backupDir)
-          .filter(file => file.endsWith('.zip'))
+        const fileNames = fs.readdirSync(backupDir);
+        backupFiles = fileNames
+          .filter(file => file.endsWith(ZIP_EXTENSION))
           .map(file => path.join(backupDir, file));
+        snapshotCount = fileNames.filter(isSnapshotBackup).length;
       } catch (readError) {
         logger.error('Failed to read backup directory', {
           category: 'backup',
@@ -171,7 +177,7 @@ class BackupSizeTracker {
         throw new Error(`Cannot read backup directory: ${readError.message}`);
       }
 
-      if (backupFiles.length === 0) {
+      if (backupFiles.length === 0 && snapshotCount === 0) {
         return { totalSize: 0, backupCount: 0, cached: false };
       }
 
@@ -211,9 +217,24 @@ class BackupSizeTracker {
       const sizes = await Promise.all(sizePromises);
       totalSize = sizes.reduce((sum, size) => sum + (typeof size === 'number' ? size : 0), 0);
 
+      // Incremental snapshots share chunks, so the store is counted once instead of per manifest
+      if (snapshotCount > 0) {
+        try {
+          const storeUsage = await getStoreUsage(backupDir);
+          totalSize += storeUsage.totalSize;
+          successCount += snapshotCount;
+        } catch (storeError) {
+          errors.push({
+            file: 'snapshot store',
+            error: storeError.message
+          });
+          partialFailure = true;
+        }
+      }
+
       const result = {
         totalSize,
-        backupCount: backupFiles.length,
+        backupCount: backupFiles.length + snapshotCount,
         cached: cachedCount > 0,
         successCount,
         partialFailure,
@@ -226,7 +247,7 @@ class BackupSizeTracker {
           data: {
             serverPath,
             totalSize,
-            backupCount: backupFiles.length,
+            backupCount: backupFiles.length + snapshotCount,
             successCount,
             failedCount: errors.length,
             cachedResults: cachedCount,
@@ -239,7 +260,7 @@ class BackupSizeTracker {
           data: {
             serverPath,
             totalSize,
-            backupCount: backupFiles.length,
+            backupCount: backupFiles.length + snapshotCount,
             cachedResults: cachedCount,
             forceRecalculate
           }
@@ -315,7 +336,7 @@ class BackupSizeTracker {
       // Create watcher with error handling
       const watcher = fs.watch(backupDir, { persistent: false }, (eventType, filename) => {
         try {
-          if (filename && filename.endsWith('.zip')) {
+          if (filename && isBackupFile(filename)) {
             const backupPath = path.join(backupDir, filename);
 
             // Invalidate cache for this specific backup
@@ -1057,6 +1078,93 @@ function createBackupHandlers() {
         throw err;
       }
     },
+    'backups:contents': async (_e, { serverPath, name }) => {
+      logger.debug('Backup contents requested', {
+        category: 'backup',
+        data: {
+          handler: 'backups:contents',
+          serverPath,
+          backupName: name
+        }
+      });
+
+      if (!serverPath || typeof serverPath !== 'string' || !name || typeof name !== 'string') {
+        return { success: false, error: 'Invalid server path or backup name' };
+      }
+
+      return backupService.listBackupContents({ serverPath, name });
+    },
+    'backups:restore-selection': async (_e, { serverPath, name, selection, serverStatus }) => {
+      const startTime = Date.now();
+
+      logger.warn('Selective backup restore requested', {
+        category: 'backup',
+        data: {
+          handler: 'backups:restore-selection',
+          serverPath,
+          backupName: name,
+          selection,
+          serverStatus,
+          sender: _e.sender.id
+        }
+      });
+
+      if (!serverPath || typeof serverPath !== 'string' || !name || typeof name !== 'string') {
+        return { success: false, error: 'Invalid server path or backup name' };
+      }
+
+      const result = await backupService.restoreBackupSelection({ serverPath, name, selection, serverStatus });
+      const duration = Date.now() - startTime;
+
+      logger.warn('Selective backup restore completed', {
+        category: 'performance',
+        data: {
+          handler: 'backups:restore-selection',
+          duration,
+          success: result.success,
+          backupName: name,
+          restoredFiles: result.restoredFiles,
+          preRestoreBackup: result.preRestoreBackup,
+          error: result.error
+        }
+      });
+
+      return result;
+    },
+    'backups:verify': async (_e, { serverPath, name }) => {
+      const startTime = Date.now();
+
+      logger.info('Backup verification requested', {
+        category: 'backup',
+        data: {
+          handler: 'backups:verify',
+          serverPath,
+          backupName: name,
+          sender: _e.sender.id
+        }
+      });
+
+      if (!serverPath || typeof serverPath !== 'string' || !name || typeof name !== 'string') {
+        return { success: false, error: 'Invalid server path or backup name' };
+      }
+
+      const result = await backupService.verifyBackup({ serverPath, name });
+      const duration = Date.now() - startTime;
+
+      logger[result.success && result.valid ? 'info' : 'warn']('Backup verification completed', {
+        category: 'backup',
+        data: {
+          handler: 'backups:verify',
+          duration,
+          backupName: name,
+          success: result.success,
+          valid: result.valid,
+          error: result.error
+        }
+      });
+
+      return result;
+    },
     // New handlers for automated backups
     'backups:safe-create': async (_e, { serverPath, type, trigger }) => {
       const startTime = Date.now();
@@ -1344,7 +1452,7 @@ function createBackupHandlers() {
         return { error: formattedError };
       }
     },
-    'backups:configure-automation': (_e, { enabled, frequency, type, retentionCount, runOnLaunch, serverPath, hour, minute, day }) => {
+    'backups:configure-automation': (_e, { enabled, frequency, type, retentionCount, runOnLaunch, serverPath, hour, minute, day, mode }) => {
       const startTime = Date.now();
 
       logger.info('Backup automation configuration requested', {
@@ -1360,6 +1468,7 @@ function createBackupHandlers() {
           hour,
           minute,
           day,
+          mode,
           sender: _e.sender.id
         }
       });
@@ -1402,6 +1511,7 @@ function createBackupHandlers() {
           hour: hour || 3,
           minute: minute || 0,
           day: day !== undefined ? day : 0, // Default to Sunday (0)
+          mode: BACKUP_MODES.includes(mode) ? mode : (previousSettings.mode || DEFAULT_BACKUP_AUTOMATION.mode),
           lastRun: previousSettings.lastRun || null
         };
 
@@ -1417,7 +1527,8 @@ function createBackupHandlers() {
               runOnLaunch: backupSettings.runOnLaunch,
               hour: backupSettings.hour,
               minute: backupSettings.minute,
-              day: backupSettings.day
+              day: backupSettings.day,
+              mode: backupSettings.mode
             }
           }
         });
@@ -1815,7 +1926,10 @@ function createBackupHandlers() {
         // Enhance backups with accurate size information using cache
         const backupsWithSizes = await Promise.all(backups.map(async backup => {
           const backupPath = path.join(serverPath, 'backups', backup.name);
-          const accurateSize = await backupSizeTracker.getBackupSize(backupPath, forceRecalculate);
+          // Snapshot sizes come from the store usage report, not the manifest file
+          const accurateSize = isSnapshotBackup(backup.name)
+            ? backup.size
+            : await backupSizeTracker.getBackupSize(backupPath, forceRecalculate);
 
           return {
             ...backup,
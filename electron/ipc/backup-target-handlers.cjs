@@ -0,0 +1,61 @@
+const {
+  listBackupTargets,
+  saveBackupTarget,
+  deleteBackupTarget,
+  testBackupTarget,
+  uploadBackupToTarget,
+  listRemoteBackups,
+  downloadRemoteBackup
+} = require('../services/backup-target-service.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+function createBackupTargetHandlers() {
+  return {
+    'backup-targets:list': async (_e, { serverPath }) => {
+      return listBackupTargets(serverPath);
+    },
+    'backup-targets:save': async (_e, { serverPath, target, secret }) => {
+      logger.info('Saving backup target', {
+        category: 'storage',
+        data: {
+          handler: 'backup-targets',
+          serverPath,
+          targetId: target && target.id,
+          type: target && target.type
+        }
+      });
+      return saveBackupTarget(serverPath, target, secret);
+    },
+    'backup-targets:delete': async (_e, { serverPath, targetId }) => {
+      logger.info('Deleting backup target', {
+        category: 'storage',
+        data: { handler: 'backup-targets', serverPath, targetId }
+      });
+      return await deleteBackupTarget(serverPath, targetId);
+    },
+    'backup-targets:test': async (_e, { serverPath, target, secret }) => {
+      return await testBackupTarget(serverPath, target, secret);
+    },
+    'backup-targets:upload': async (_e, { serverPath, name, targetId }) => {
+      logger.info('Uploading backup to target', {
+        category: 'storage',
+        data: { handler: 'backup-targets', serverPath, name, targetId }
+      });
+      return await uploadBackupToTarget(serverPath, name, targetId);
+    },
+    'backup-targets:list-remote': async (_e, { serverPath, targetId }) => {
+      return await listRemoteBackups(serverPath, targetId);
+    },
+    'backup-targets:download': async (_e, { serverPath, targetId, name }) => {
+      logger.info('Downloading remote backup', {
+        category: 'storage',
+        data: { handler: 'backup-targets', serverPath, targetId, name }
+      });
+      return await downloadRemoteBackup(serverPath, targetId, name);
+    }
+  };
+}
+
+module.exports = { createBackupTargetHandlers };
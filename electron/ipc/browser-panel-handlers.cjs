@@ -1,5 +1,6 @@
 // IPC handlers for Browser Panel Server
 const { getBrowserPanel } = require('../services/browser-panel-server.cjs');
+const { listPanelUsers, recordPanelAudit, readPanelAudit } = require('../services/panel-auth-service.cjs');
 
 function createBrowserPanelHandlers(win) {
   const panel = getBrowserPanel();
@@ -33,6 +34,43 @@ function createBrowserPanelHandlers(win) {
       } catch (err) {
         return { success: false, error: err.message };
       }
+    },
+    'browser-panel:users:list': async () => {
+      try {
+        return { success: true, owner: panel.getPanelCredentials().username, users: listPanelUsers() };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+    'browser-panel:users:save': async (_e, input = {}) => {
+      try {
+        const res = await panel.saveUser(input);
+        if (res.success) {
+          const { username, role, instances, disabled } = res.user;
+          recordPanelAudit({ source: 'desktop', action: 'user-saved', detail: { username, role, instances, disabled, passwordChanged: res.passwordChanged } });
+        }
+        return res;
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+    'browser-panel:users:delete': async (_e, { username } = {}) => {
+      try {
+        const res = panel.deleteUser(username);
+        if (res.success) {
+          recordPanelAudit({ source: 'desktop', action: 'user-deleted', detail: { username } });
+        }
+        return res;
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
+    },
+    'browser-panel:audit:list': async (_e, { limit, username } = {}) => {
+      try {
+        return { success: true, entries: await readPanelAudit({ limit, username: username || null }) };
+      } catch (err) {
+        return { success: false, error: err.message };
+      }
     }
   };
 }
@@ -0,0 +1,57 @@
+const {
+  CONFIG_SYNC_POLICIES,
+  getConfigSyncEntries,
+  setConfigSyncEntries,
+  listSyncCandidates,
+  listSyncFiles
+} = require('../services/config-sync-service.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+/**
+ * Server-side config sync settings: which files and folders clients receive
+ */
+function createConfigSyncHandlers() {
+  return {
+    'config-sync:get': async (_e, { serverPath }) => {
+      if (!serverPath) {
+        return { success: false, error: 'Server path is required' };
+      }
+      try {
+        const entries = getConfigSyncEntries(serverPath);
+        return {
+          success: true,
+          entries,
+          policies: CONFIG_SYNC_POLICIES,
+          candidates: listSyncCandidates(serverPath),
+          fileCount: listSyncFiles(serverPath, entries).length
+        };
+      } catch (error) {
+        logger.error(`Failed to read config sync settings: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'config-sync', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+    'config-sync:set': async (_e, { serverPath, entries }) => {
+      try {
+        const saved = setConfigSyncEntries(serverPath, entries);
+        logger.info('Saved config sync settings', {
+          category: 'server',
+          data: { handler: 'config-sync', serverPath, entries: saved.length }
+        });
+        return { success: true, entries: saved, fileCount: listSyncFiles(serverPath, saved).length };
+      } catch (error) {
+        logger.error(`Failed to save config sync settings: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'config-sync', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createConfigSyncHandlers };
@@ -0,0 +1,47 @@
+const {
+  analyzeServerCrash,
+  getLatestCrashReport,
+  disableModAndRestart
+} = require('../services/crash-analyzer.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+function createCrashAnalysisHandlers() {
+  return {
+    'crash-analysis:latest': async (_e, { serverPath }) => {
+      return { success: true, report: getLatestCrashReport(serverPath) };
+    },
+    'crash-analysis:analyze': async (_e, { serverPath }) => {
+      if (!serverPath) {
+        return { success: false, error: 'Server path is required' };
+      }
+      try {
+        return { success: true, report: await analyzeServerCrash(serverPath) };
+      } catch (error) {
+        logger.error(`Crash analysis failed: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'crash-analysis', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+    'crash-analysis:disable-mod-and-restart': async (_e, { serverPath, fileName, port, maxRam }) => {
+      logger.info('Disabling suspected mod and restarting', {
+        category: 'server',
+        data: { handler: 'crash-analysis', serverPath, fileName }
+      });
+      try {
+        return await disableModAndRestart({ serverPath, fileName, port, maxRam });
+      } catch (error) {
+        logger.error(`Failed to disable mod and restart: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'crash-analysis', serverPath, fileName }
+        });
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createCrashAnalysisHandlers };
@@ -9,6 +9,9 @@ const { ServerJavaManager } = require('../services/server-java-manager.cjs');
 const { getLoggerHandlers } = require('./logger-handlers.cjs');
 const { readServerConfig, getDefaultServerConfig } = require('../utils/config-manager.cjs');
 const { getFabricRuntimeStatus } = require('../utils/fabric-runtime.cjs');
+const { getQuiltRuntimeStatus } = require('../utils/quilt-runtime.cjs');
+const { getNeoForgeRuntimeStatus } = require('../utils/neoforge-runtime.cjs');
+const { PLUGIN_LOADER_LABELS, isPluginLoader, getPluginServerRuntimeStatus } = require('../utils/plugin-server-runtime.cjs');
 const { resolveServerLoader } = require('../utils/server-loader.cjs');
 const { findForgeLaunchAssets } = require('../services/server-launcher.cjs');
 const {
@@ -108,6 +111,18 @@ async function getLoaderHealthIssues(targetPath, loader, loaderVersion = null, m
     return getFabricRuntimeStatus(targetPath).issues.map((issue) => issue.message);
   }
 
+  if (loader === 'quilt') {
+    return getQuiltRuntimeStatus(targetPath).issues.map((issue) => issue.message);
+  }
+
+  if (loader === 'neoforge') {
+    return getNeoForgeRuntimeStatus(targetPath, { minecraftVersion, loaderVersion }).issues.map((issue) => issue.message);
+  }
+
+  if (isPluginLoader(loader)) {
+    return getPluginServerRuntimeStatus(targetPath, loader, { minecraftVersion, loaderVersion }).issues.map((issue) => issue.message);
+  }
+
   if (loader === 'forge') {
     const forgeAssets = findForgeLaunchAssets(targetPath);
     const issues = [];
@@ -127,7 +142,8 @@ async function buildHealthReport(targetPath) {
   const loaderVersion = resolveEffectiveLoaderVersion(targetPath, loader, config);
   const missing = [];
 
-  if (!fs.existsSync(path.join(targetPath, 'server.jar'))) {
+  // Paper and Purpur fetch the vanilla server themselves on first start
+  if (!isPluginLoader(loader) && !fs.existsSync(path.join(targetPath, 'server.jar'))) {
     missing.push('server.jar');
   }
 
@@ -624,7 +640,13 @@ function createInstallHandlers(win) {
             progressChannel: 'repair-progress'
           });
 
-          repairedItems.push(effectiveLoader === 'forge' ? 'Forge launch assets' : `${effectiveLoader} runtime`);
+          repairedItems.push(
+            effectiveLoader === 'forge'
+              ? 'Forge launch assets'
+              : (effectiveLoader === 'neoforge'
+                ? 'NeoForge launch assets'
+                : (isPluginLoader(effectiveLoader) ? `${PLUGIN_LOADER_LABELS[effectiveLoader]} server jar` : `${effectiveLoader} runtime`))
+          );
         }
 
         if (win && win.webContents) {
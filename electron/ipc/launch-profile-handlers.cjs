@@ -0,0 +1,107 @@
+const {
+  LAUNCH_GC_PRESETS,
+  PROCESS_PRIORITIES,
+  getDefaultServerConfig,
+  readServerConfig,
+  updateServerConfig,
+  normalizeLaunchProfile
+} = require('../utils/config-manager.cjs');
+const { validateLaunchProfile, describeLaunchCommand } = require('../utils/launch-profile.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+/**
+ * Read a server's launch profile with the options the editor needs
+ * @param {string} serverPath
+ * @returns {Object}
+ */
+function getLaunchProfile(serverPath) {
+  if (!serverPath) {
+    return { success: false, error: 'Server path is required' };
+  }
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  if (!config) {
+    return { success: false, error: 'Server folder not found' };
+  }
+  return {
+    success: true,
+    profile: config.launchProfile,
+    maxRam: config.maxRam,
+    gcPresets: LAUNCH_GC_PRESETS,
+    priorities: PROCESS_PRIORITIES,
+    preview: describeLaunchCommand(config.launchProfile, config.maxRam)
+  };
+}
+
+/**
+ * Validate and store a server's launch profile; invalid profiles are not saved
+ * @param {string} serverPath
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function saveLaunchProfile(serverPath, profile) {
+  if (!serverPath) {
+    return { success: false, error: 'Server path is required' };
+  }
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  if (!config) {
+    return { success: false, error: 'Server folder not found' };
+  }
+
+  const check = validateLaunchProfile(profile, { maxRam: config.maxRam });
+  if (!check.valid) {
+    return { success: false, error: check.errors.join('; '), errors: check.errors };
+  }
+
+  const saved = updateServerConfig(serverPath, { launchProfile: normalizeLaunchProfile(profile) }, getDefaultServerConfig());
+  logger.info('Saved launch profile', {
+    category: 'server',
+    data: {
+      handler: 'launch-profile',
+      serverPath,
+      gcPreset: saved.launchProfile.gcPreset,
+      jvmArgs: saved.launchProfile.jvmArgs.length,
+      serverArgs: saved.launchProfile.serverArgs.length,
+      priority: saved.launchProfile.priority
+    }
+  });
+  return {
+    success: true,
+    profile: saved.launchProfile,
+    warnings: check.warnings,
+    preview: describeLaunchCommand(saved.launchProfile, saved.maxRam)
+  };
+}
+
+/**
+ * Per-instance JVM and program arguments used when starting a server
+ */
+function createLaunchProfileHandlers() {
+  return {
+    'launch-profile:get': async (_e, { serverPath } = {}) => {
+      try {
+        return getLaunchProfile(serverPath);
+      } catch (error) {
+        logger.error(`Failed to read launch profile: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'launch-profile', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+    'launch-profile:save': async (_e, { serverPath, profile } = {}) => {
+      try {
+        return saveLaunchProfile(serverPath, profile);
+      } catch (error) {
+        logger.error(`Failed to save launch profile: ${error.message}`, {
+          category: 'server',
+          data: { handler: 'launch-profile', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createLaunchProfileHandlers, getLaunchProfile, saveLaunchProfile };
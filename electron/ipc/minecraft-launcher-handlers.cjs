@@ -42,6 +42,7 @@ function isManagementRequestPath(pathname) {
   if (!pathname || typeof pathname !== 'string') return false;
   if (pathname === '/health' || pathname === '/api/test') return true;
   if (pathname.startsWith('/api/mods/download/')) return true;
+  if (pathname === '/api/mods/sync-manifest') return true;
   if (pathname.startsWith('/api/assets/download/')) return true;
   if (pathname.startsWith('/api/client/')) return true;
   return false;
@@ -251,7 +252,11 @@ function getServerDownloadHeaders(url, serverInfo) {
   try {
     const parsed = new URL(resolvedUrl);
     const pathname = parsed.pathname || '';
-    if (pathname.startsWith('/api/mods/download/') || pathname.startsWith('/api/assets/download/')) {
+    if (
+      pathname.startsWith('/api/mods/download/') ||
+      pathname.startsWith('/api/assets/download/') ||
+      pathname === '/api/mods/sync-manifest'
+    ) {
       return { 'X-Session-Token': serverInfo.sessionToken };
     }
   } catch {
@@ -260,6 +265,35 @@ function getServerDownloadHeaders(url, serverInfo) {
   return null;
 }
 
+/**
+ * Open a GET request to the management server with the session token and certificate pinning
+ * used for mod downloads
+ * @param {string} url - Absolute URL or management server path
+ * @param {object} serverInfo
+ * @param {Record<string, string>} [extraHeaders]
+ * @param {number} [timeoutMs] - Idle time before the request is aborted
+ * @returns {Promise<import('http').IncomingMessage>}
+ */
+async function openManagementRequest(url, serverInfo, extraHeaders = {}, timeoutMs = 15000) {
+  const resolvedUrl = resolveDownloadUrl(url, serverInfo);
+  if (!resolvedUrl) throw new Error('Management server address is not configured');
+  const options = await buildManagementRequestOptions(resolvedUrl, serverInfo);
+  options.headers = { ...(options.headers || {}), ...extraHeaders };
+  return new Promise((resolve, reject) => {
+    let responded = false;
+    const request = createGetRequest(resolvedUrl, options, serverInfo, (response) => {
+      responded = true;
+      resolve(response);
+    });
+    request.on('error', reject);
+    // A stalled body aborts the request too; the partial file is resumed next time
+    setRequestTimeout(request, timeoutMs, () => {
+      abortRequest(request);
+      if (!responded) reject(new Error('Management server did not respond in time'));
+    });
+  });
+}
+
 /**
  * Save the expected mod state to a persistent JSON file
  * Uses async fs operations and includes error handling with UI notifications * @param {string} clientPath - Path to the client directory
@@ -3598,4 +3632,4 @@ function createMinecraftLauncherHandlers(win) {
 
 
 
-module.exports = { createMinecraftLauncherHandlers, loadExpectedModState };
+module.exports = { createMinecraftLauncherHandlers, loadExpectedModState, openManagementRequest };
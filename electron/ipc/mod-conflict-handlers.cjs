@@ -0,0 +1,25 @@
+const { analyzeInstanceMods } = require('../services/mod-conflict-analyzer.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+function createModConflictHandlers() {
+  return {
+    'mod-conflicts:analyze': async (_e, { serverPath }) => {
+      if (!serverPath) {
+        return { success: false, error: 'Server path is required' };
+      }
+      try {
+        return { success: true, report: await analyzeInstanceMods(serverPath) };
+      } catch (error) {
+        logger.error(`Mod conflict analysis failed: ${error.message}`, {
+          category: 'mods',
+          data: { handler: 'mod-conflicts', serverPath }
+        });
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createModConflictHandlers };
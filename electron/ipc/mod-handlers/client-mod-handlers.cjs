@@ -8,8 +8,44 @@ const modAnalysisUtils = require('../mod-utils/mod-analysis-utils.cjs');
 const { checkModCompatibilityFromFilename } = require('./mod-handler-utils.cjs');
 const { getLoggerHandlers } = require('../logger-handlers.cjs');
 const modApiService = require('../../services/mod-api-service.cjs');
+const modCache = require('../../services/mod-cache-service.cjs');
+const { planConfigSync, applyConfigSync } = require('../../services/config-sync-service.cjs');
+const {
+  verifyModSyncManifest,
+  loadModSyncState,
+  planModSync,
+  applyModSync
+} = require('../../services/mod-sync-service.cjs');
 const crypto = require('crypto');
 
+// Fetch the server's mod sync manifest and check its signature against our session token
+async function fetchModSyncManifest(serverInfo) {
+  if (!serverInfo || !serverInfo.sessionToken) {
+    throw new Error('Not registered with the management server');
+  }
+  const { openManagementRequest } = require('../minecraft-launcher-handlers.cjs');
+  const response = await openManagementRequest('/api/mods/sync-manifest', serverInfo);
+  const chunks = [];
+  for await (const chunk of response) {
+    chunks.push(chunk);
+  }
+  let data = null;
+  try {
+    data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    // Not JSON, e.g. a server without mod sync
+  }
+  if (response.statusCode !== 200 || !data || !data.success) {
+    const failure = new Error((data && data.error) || `HTTP ${response.statusCode}`);
+    failure.status = response.statusCode;
+    throw failure;
+  }
+  if (!verifyModSyncManifest(data.manifest, data.signature, serverInfo.sessionToken)) {
+    throw new Error('Mod sync manifest signature is invalid');
+  }
+  return data.manifest;
+}
+
 function createClientModHandlers(win) {
   const logger = getLoggerHandlers();
   
@@ -524,18 +560,25 @@ function createClientModHandlers(win) {
             fileName: fileName
           }
         });
-      const writer = fs.createWriteStream(targetPath);
-      const axios = require('axios');
-      const { pipeline } = require('stream');
-      const { promisify } = require('util');
-      const pipelineAsync = promisify(pipeline);
-      const response = await axios({
+      await modInstallService.downloadThroughModCache({
         url: modInfo.downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: 60000
+        targetPath,
+        hashes: modInfo.hashes || {},
+        download: async () => {
+          const writer = fs.createWriteStream(targetPath);
+          const axios = require('axios');
+          const { pipeline } = require('stream');
+          const { promisify } = require('util');
+          const pipelineAsync = promisify(pipeline);
+          const response = await axios({
+            url: modInfo.downloadUrl,
+            method: 'GET',
+            responseType: 'stream',
+            timeout: 60000
+          });
+          await pipelineAsync(response.data, writer);
+        }
       });
-      await pipelineAsync(response.data, writer);
 
       logger.debug('Mod download completed, processing file replacement', {
         category: 'storage',
@@ -1153,64 +1196,70 @@ function createClientModHandlers(win) {
               });
             }
             
-            const response = await require('axios')({
+            // Create temporary file for download (use new filename)
+            const tempPath = newModPath + '.tmp';
+            await modInstallService.downloadThroughModCache({
               url: update.downloadUrl,
-              method: 'GET',
-              responseType: 'stream',
-              timeout: 60000,
-              onDownloadProgress: (progressEvent) => {
-                const progress = progressEvent.loaded / progressEvent.total;
-                const speed = progressEvent.rate || 0;
-                
-                if (win && win.webContents) {
-                  win.webContents.send('download-progress', { 
-                    id: downloadId, 
-                    name: modName, 
-                    progress: progress * 100, 
-                    size: progressEvent.total,
-                    downloaded: progressEvent.loaded,
-                    speed: speed, 
-                    completed: false, 
-                    error: null 
+              targetPath: tempPath,
+              hashes: update.hashes || {},
+              download: async () => {
+                const response = await require('axios')({
+                  url: update.downloadUrl,
+                  method: 'GET',
+                  responseType: 'stream',
+                  timeout: 60000,
+                  onDownloadProgress: (progressEvent) => {
+                    const progress = progressEvent.loaded / progressEvent.total;
+                    const speed = progressEvent.rate || 0;
+                    
+                    if (win && win.webContents) {
+                      win.webContents.send('download-progress', { 
+                        id: downloadId, 
+                        name: modName, 
+                        progress: progress * 100, 
+                        size: progressEvent.total,
+                        downloaded: progressEvent.loaded,
+                        speed: speed, 
+                        completed: false, 
+                        error: null 
+                      });
+                    }
+                  }
+                });
+                const writer = fs.createWriteStream(tempPath);
+                await new Promise((resolve, reject) => {
+                  response.data.pipe(writer);
+                  writer.on('finish', resolve);
+                  writer.on('error', (err) => {
+                    // Send error progress
+                    if (win && win.webContents) {
+                      win.webContents.send('download-progress', { 
+                        id: downloadId, 
+                        name: modName, 
+                        progress: 0, 
+                        speed: 0, 
+                        completed: false, 
+                        error: err.message,
+                        completedTime: Date.now()
+                      });
+                    }
+                    reject(err);
                   });
-                }
+                });
               }
-            });            // Create temporary file for download (use new filename)
-            const tempPath = newModPath + '.tmp';
-            const writer = fs.createWriteStream(tempPath);
-              await new Promise((resolve, reject) => {
-              response.data.pipe(writer);
-              writer.on('finish', () => {
-                // Send completion progress
-                if (win && win.webContents) {
-                  win.webContents.send('download-progress', { 
-                    id: downloadId, 
-                    name: modName, 
-                    progress: 100, 
-                    speed: 0, 
-                    completed: true, 
-                    completedTime: Date.now(),
-                    error: null 
-                  });
-                }
-                resolve();
-              });
-              writer.on('error', (err) => {
-                // Send error progress
-                if (win && win.webContents) {
-                  win.webContents.send('download-progress', { 
-                    id: downloadId, 
-                    name: modName, 
-                    progress: 0, 
-                    speed: 0, 
-                    completed: false, 
-                    error: err.message,
-                    completedTime: Date.now()
-                  });
-                }
-                reject(err);
+            });
+            // Send completion progress
+            if (win && win.webContents) {
+              win.webContents.send('download-progress', { 
+                id: downloadId, 
+                name: modName, 
+                progress: 100, 
+                speed: 0, 
+                completed: true, 
+                completedTime: Date.now(),
+                error: null 
               });
-            });            // Remove old file if it exists before downloading new version
+            }            // Remove old file if it exists before downloading new version
             if (fs.existsSync(currentModPath)) {
               await fs.promises.unlink(currentModPath);
             }
@@ -1413,6 +1462,162 @@ function createClientModHandlers(win) {
         });
         return { success: false, error: error.message };
       }
+    },
+
+    // files is the server's /api/config-sync/list listing
+    'client-config-sync:preview': async (_e, { clientPath, files }) => {
+      try {
+        if (!clientPath || !fs.existsSync(clientPath)) {
+          throw new Error('Invalid client path');
+        }
+        const plan = planConfigSync(clientPath, files);
+        logger.debug('Config sync preview computed', {
+          category: 'mods',
+          data: {
+            handler: 'client-config-sync:preview',
+            clientPath,
+            fileCount: plan.length,
+            pending: plan.filter(item => item.action === 'create' || item.action === 'update').length
+          }
+        });
+        return { success: true, plan };
+      } catch (error) {
+        logger.error(`Config sync preview failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'client-config-sync:preview',
+            clientPath,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+
+    // contents are the base64 files returned by the server's /api/config-sync/files
+    'client-config-sync:apply': async (_e, { clientPath, files, contents }) => {
+      try {
+        const result = applyConfigSync(clientPath, files, contents);
+        logger.info('Config sync applied', {
+          category: 'mods',
+          data: {
+            handler: 'client-config-sync:apply',
+            clientPath,
+            written: result.written.length,
+            kept: result.kept.length,
+            unchanged: result.unchanged,
+            failures: result.failures.length
+          }
+        });
+        return result;
+      } catch (error) {
+        logger.error(`Config sync failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'client-config-sync:apply',
+            clientPath,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+
+    'client-mod-sync:plan': async (_e, { clientPath, serverInfo }) => {
+      try {
+        if (!clientPath || !fs.existsSync(clientPath)) {
+          throw new Error('Invalid client path');
+        }
+        const manifest = await fetchModSyncManifest(serverInfo);
+        const plan = await planModSync(clientPath, manifest);
+        logger.debug('Mod sync plan computed', {
+          category: 'mods',
+          data: {
+            handler: 'client-mod-sync:plan',
+            clientPath,
+            generation: manifest.generation,
+            fileCount: plan.length,
+            pending: plan.filter(item => item.action !== 'unchanged' && item.action !== 'optional').length
+          }
+        });
+        return {
+          success: true,
+          generation: manifest.generation,
+          syncedGeneration: loadModSyncState(clientPath).generation || 0,
+          plan
+        };
+      } catch (error) {
+        logger.warn(`Mod sync plan failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'client-mod-sync:plan',
+            clientPath,
+            status: error.status || null,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message, status: error.status || null };
+      }
+    },
+
+    'client-mod-sync:apply': async (_e, { clientPath, serverInfo, includeOptional = [], concurrency, maxBytesPerSecond = 0 }) => {
+      try {
+        const manifest = await fetchModSyncManifest(serverInfo);
+        const { openManagementRequest } = require('../minecraft-launcher-handlers.cjs');
+        const lastProgress = new Map();
+        const result = await applyModSync({
+          clientPath,
+          manifest,
+          includeOptional,
+          concurrency,
+          maxBytesPerSecond,
+          openRequest: (url, headers) => openManagementRequest(url, serverInfo, headers),
+          cache: modCache,
+          onProgress: ({ fileName, received, total, done, error }) => {
+            if (!win || !win.webContents) return;
+            const now = Date.now();
+            if (!done && !error && now - (lastProgress.get(fileName) || 0) < 200) return;
+            lastProgress.set(fileName, now);
+            win.webContents.send('download-progress', {
+              id: `mod-sync-${fileName}`,
+              name: fileName,
+              progress: total > 0 ? Math.round((received / total) * 100) : 0,
+              size: total,
+              downloaded: received,
+              speed: 0,
+              completed: !!done,
+              completedTime: done || error ? now : undefined,
+              error: error || null,
+              source: 'server'
+            });
+          }
+        });
+        logger.info('Mod sync applied', {
+          category: 'mods',
+          data: {
+            handler: 'client-mod-sync:apply',
+            clientPath,
+            generation: result.generation,
+            downloaded: result.downloaded.length,
+            resumed: result.resumed.length,
+            fromCache: result.fromCache.length,
+            removed: result.removed.length,
+            bytesDownloaded: result.bytesDownloaded,
+            failures: result.failures.length
+          }
+        });
+        return result;
+      } catch (error) {
+        logger.error(`Mod sync failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'client-mod-sync:apply',
+            clientPath,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
     }
   };
 }
@@ -1,5 +1,7 @@
 const modApiService = require('../../services/mod-api-service.cjs');
 const modAnalysisUtils = require('../mod-utils/mod-analysis-utils.cjs');
+const modIdentificationService = require('../../services/mod-identification-service.cjs');
+const modChangelogService = require('../../services/mod-changelog-service.cjs');
 
 function createModInfoHandlers() {
   return {
@@ -11,9 +13,9 @@ function createModInfoHandlers() {
         return await modApiService.searchModrinthMods({ query: keyword, loader, version, page, limit, sortBy, environmentType });
       } else if (source === 'curseforge') {
         if (!keyword || keyword.trim() === '') {
-          return await modApiService.getCurseForgePopular({ loader, version, page, limit, environmentType });
+          return await modApiService.getCurseForgePopular({ loader, version, page, limit, sortBy, environmentType });
         }
-        return await modApiService.searchCurseForgeMods({ query: keyword, loader, version, page, limit, environmentType });
+        return await modApiService.searchCurseForgeMods({ query: keyword, loader, version, page, limit, sortBy, environmentType });
       }
       throw new Error(`Invalid source: ${source}`);
     },
@@ -21,29 +23,38 @@ function createModInfoHandlers() {
     'get-mod-versions': async (_e, { modId, loader, mcVersion, source, loadLatestOnly, forceRefresh = false }) => {
       if (source === 'modrinth') {
         return await modApiService.getModrinthVersions(modId, loader, mcVersion, loadLatestOnly, forceRefresh);
+      } else if (source === 'curseforge') {
+        return await modApiService.getCurseForgeVersions(modId, loader, mcVersion, loadLatestOnly, forceRefresh);
+      } else if (source === 'hangar') {
+        return await modApiService.getHangarVersions(modId, loader, mcVersion, loadLatestOnly, forceRefresh);
       }
-      throw new Error('Only Modrinth version fetching is currently fully supported via modApiService.');
+      throw new Error(`Invalid source: ${source}`);
     },
 
     'get-version-info': async (_e, { modId, versionId, source, gameVersion, loader }) => {
       if (source === 'modrinth') {
         return await modApiService.getModrinthVersionInfo(modId, versionId, gameVersion, loader);
+      } else if (source === 'curseforge') {
+        return await modApiService.getCurseForgeVersionInfo(modId, versionId, gameVersion, loader);
+      } else if (source === 'hangar') {
+        return await modApiService.getHangarVersionInfo(modId, versionId, gameVersion, loader);
       }
-      throw new Error('Only Modrinth version info is currently fully supported via modApiService.');
+      throw new Error(`Invalid source: ${source}`);
     },
 
     'get-mod-info': async (_e, { modId, source }) => {
-      if (source === 'modrinth') {
-        return await modApiService.getModInfo(modId, source);
-      }
-      throw new Error('Only Modrinth mod info is currently fully supported via modApiService.');
+      return await modApiService.getModInfo(modId, source);
     },
 
     'get-project-info': async (_e, { projectId, source }) => {
       if (source === 'modrinth') {
         return await modApiService.getModrinthProjectInfo(projectId);
+      } else if (source === 'curseforge') {
+        return await modApiService.getCurseForgeProjectInfo(projectId);
+      } else if (source === 'hangar') {
+        return await modApiService.getHangarProjectInfo(projectId);
       }
-      throw new Error('Only Modrinth project info is currently fully supported via modApiService.');
+      throw new Error(`Invalid source: ${source}`);
     },
 
     'extract-jar-dependencies': async (_e, modPath) => {
@@ -54,6 +65,24 @@ function createModInfoHandlers() {
       return await modAnalysisUtils.analyzeModFromUrl(url, modId);
     },
 
+    'identify-installed-mods': async (_e, { serverPath }) => {
+      try {
+        const result = await modIdentificationService.identifyUnmanagedMods(serverPath);
+        return { success: true, ...result };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    'mod-update-review': async (_e, { updates, loader, mcVersion }) => {
+      try {
+        const reviews = await modChangelogService.buildUpdateReviews(updates, { loader, mcVersion });
+        return { success: true, reviews };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
     'search-shaders': async (_e, { keyword, loader, version, source, page = 1, limit = 20, sortBy = 'popular', environmentType = 'all' }) => {
       if (source === 'modrinth') {
         if (!keyword || keyword.trim() === '') {
@@ -84,7 +113,9 @@ function createModInfoHandlers() {
             version, 
             page, 
             limit, 
-            environmentType
+            sortBy, 
+            environmentType,
+            projectType: 'shader'
           });
         }
         return await modApiService.searchCurseForgeMods({ 
@@ -93,7 +124,9 @@ function createModInfoHandlers() {
           version, 
           page, 
           limit, 
-          environmentType
+          sortBy, 
+          environmentType,
+          projectType: 'shader'
         });
       }
       throw new Error(`Invalid source: ${source}`);
@@ -129,7 +162,9 @@ function createModInfoHandlers() {
             version, 
             page, 
             limit, 
-            environmentType
+            sortBy, 
+            environmentType,
+            projectType: 'resourcepack'
           });
         }
         return await modApiService.searchCurseForgeMods({ 
@@ -138,10 +173,25 @@ function createModInfoHandlers() {
           version, 
           page, 
           limit, 
-          environmentType
+          sortBy, 
+          environmentType,
+          projectType: 'resourcepack'
         });
       }
       throw new Error(`Invalid source: ${source}`);
+    },
+
+    // Plugins are Modrinth "mod" projects tagged with a Bukkit-family loader, or Hangar projects
+    'search-plugins': async (_e, { keyword, loader, version, source, page = 1, limit = 20, sortBy = 'popular', environmentType = 'all' }) => {
+      if (source === 'modrinth') {
+        if (!keyword || keyword.trim() === '') {
+          return await modApiService.getModrinthPopular({ loader, version, page, limit, sortBy, environmentType });
+        }
+        return await modApiService.searchModrinthMods({ query: keyword, loader, version, page, limit, sortBy, environmentType });
+      } else if (source === 'hangar') {
+        return await modApiService.searchHangarPlugins({ query: keyword, loader, version, page, limit, sortBy });
+      }
+      throw new Error(`Invalid source: ${source}`);
     }
   };
 }
@@ -12,6 +12,52 @@ const {
 const { getLoggerHandlers } = require('../logger-handlers.cjs');
 const { serverErrorMonitor } = require('../error-monitoring-handlers.cjs');
 const { resolveServerLoader } = require('../../utils/server-loader.cjs');
+const modHistory = require('../../services/mod-history-service.cjs');
+const { PLUGINS_DIRNAME } = require('../../utils/plugin-server-runtime.cjs');
+
+// Installed mods remember which provider they came from; look them up there
+function getVersionsFromSource(source, projectId, loader, mcVersion, loadLatestOnly = false) {
+  return source === 'curseforge'
+    ? modApiService.getCurseForgeVersions(projectId, loader, mcVersion, loadLatestOnly)
+    : modApiService.getModrinthVersions(projectId, loader, mcVersion, loadLatestOnly);
+}
+
+function getVersionInfoFromSource(source, projectId, versionId, mcVersion, loader) {
+  return source === 'curseforge'
+    ? modApiService.getCurseForgeVersionInfo(projectId, versionId, mcVersion, loader)
+    : modApiService.getModrinthVersionInfo(projectId, versionId, mcVersion, loader);
+}
+
+// Tag check results with each mod's source so follow-up updates use the same provider
+function tagResultSources(results, mods) {
+  const sources = new Map(mods.map(mod => [mod.fileName, mod.source === 'curseforge' ? 'curseforge' : 'modrinth']));
+  for (const result of results) {
+    result.source = sources.get(result.fileName) || 'modrinth';
+  }
+  return results;
+}
+
+// Pinned mods are still reported by update checks but never offered as updates
+async function markPinnedResults(serverPath, results) {
+  const pins = await modHistory.getPinnedMods(serverPath);
+  for (const result of results) {
+    const pin = result.projectId ? pins[String(result.projectId)] : null;
+    if (pin) {
+      result.pinned = pin;
+      result.hasUpdate = false;
+      result.updateAvailable = false;
+    }
+  }
+  return results;
+}
+
+// Pinned mods only change version when the caller passes ignorePin
+async function assertNotPinned(serverPath, projectId, targetVersion) {
+  const pin = (await modHistory.getPinnedMods(serverPath))[String(projectId)];
+  if (pin && pin.versionNumber !== targetVersion) {
+    throw new Error(`Mod ${projectId} is pinned to version ${pin.versionNumber || 'currently installed'}`);
+  }
+}
 
 function createServerModHandlers(win) {
   const logger = getLoggerHandlers();
@@ -385,7 +431,7 @@ function createServerModHandlers(win) {
         
         try {
           // FIXED: Check if ANY versions exist for target MC version FIRST (most important)
-          const availableVersions = await modApiService.getModrinthVersions(projectId, loaderForApi, mcVersion, false);
+          const availableVersions = await getVersionsFromSource(mod.source, projectId, loaderForApi, mcVersion, false);
           
           logger.debug('Retrieved available versions for mod', {
             category: 'network',
@@ -423,7 +469,7 @@ function createServerModHandlers(win) {
           }
           
           // Get the latest available version for the target MC version
-          const latestVersions = await modApiService.getModrinthVersions(projectId, loaderForApi, mcVersion, true);
+          const latestVersions = await getVersionsFromSource(mod.source, projectId, loaderForApi, mcVersion, true);
           const latest = latestVersions && latestVersions[0];
           
           // Check if current version is among the available versions for target MC
@@ -563,7 +609,7 @@ function createServerModHandlers(win) {
         }
       });
       
-      return results;
+      return markPinnedResults(serverPath, tagResultSources(results, enabledMods));
       } catch (error) {
         logger.error(`Server mod compatibility check failed: ${error.message}`, {
           category: 'mods',
@@ -899,13 +945,8 @@ function createServerModHandlers(win) {
             mod.loader
           );
         } else if (source === 'curseforge') {
-          // Use CurseForge API if available
           if (mod.curseforgeId) {
-            try {
-              downloadUrl = await getCurseForgeDownloadUrl();
-            } catch (error) {
-              throw new Error(`CurseForge download not supported: ${error.message}`);
-            }
+            downloadUrl = await getCurseForgeDownloadUrl(mod.curseforgeId, null, mod.version, mod.loader);
           } else {
             throw new Error('CurseForge ID not available for fallback download');
           }
@@ -1844,7 +1885,7 @@ function createServerModHandlers(win) {
       }
     },
 
-    'update-mod': async (_e, { serverPath, projectId, targetVersion, fileName, mcVersion }) => {
+    'update-mod': async (_e, { serverPath, projectId, targetVersion, fileName, mcVersion, source = 'modrinth', historyBatchId = null, ignorePin = false }) => {
       logger.info('Updating server mod', {
         category: 'mods',
         data: {
@@ -1866,6 +1907,10 @@ function createServerModHandlers(win) {
           throw new Error('Minecraft version (mcVersion) is required to update a mod safely');
         }
 
+        if (!ignorePin) {
+          await assertNotPinned(serverPath, projectId, targetVersion);
+        }
+
         const { loader: detectedLoader } = resolveServerLoader(serverPath);
         const loaderForApi = detectedLoader && detectedLoader !== 'vanilla' ? detectedLoader : null;
 
@@ -1881,7 +1926,7 @@ function createServerModHandlers(win) {
           }
         });
 
-        const versions = await modApiService.getModrinthVersions(projectId, loaderForApi, mcVersion, false);
+        const versions = await getVersionsFromSource(source, projectId, loaderForApi, mcVersion, false);
         const targetVersionInfo = versions.find(v => v.versionNumber === targetVersion);
         
         if (!targetVersionInfo) {
@@ -1905,8 +1950,8 @@ function createServerModHandlers(win) {
             versionId: targetVersionInfo.id
           }
         });
-  const completeVersionInfo = await modApiService.getModrinthVersionInfo(projectId, targetVersionInfo.id, mcVersion, loaderForApi);
-      const projectInfo = await modApiService.getModrinthProjectInfo(projectId);
+  const completeVersionInfo = await getVersionInfoFromSource(source, projectId, targetVersionInfo.id, mcVersion, loaderForApi);
+      const projectInfo = await modApiService.getModInfo(projectId, source);
       const modDetails = {
         id: projectId,
         selectedVersionId: targetVersionInfo.id,
@@ -1914,9 +1959,10 @@ function createServerModHandlers(win) {
         fileName: completeVersionInfo.files[0]?.filename,
         downloadUrl: completeVersionInfo.files[0]?.url,
         version: targetVersion,
-        source: 'modrinth',
+        source,
         forceReinstall: true,
-        oldFileName: fileName
+        oldFileName: fileName,
+        historyBatchId
       };
       const result = await modInstallService.installModToServer(win, serverPath, modDetails);
       
@@ -1957,6 +2003,63 @@ function createServerModHandlers(win) {
       }
     },
 
+    'mod-history:list': async (_e, { serverPath }) => {
+      if (!serverPath) {
+        throw new Error('Server path is required');
+      }
+      return { success: true, history: await modHistory.listModHistory(serverPath) };
+    },
+
+    'mod-history:set-pin': async (_e, { serverPath, projectId, pin = null }) => {
+      if (!serverPath || !projectId) {
+        throw new Error('Server path and project id are required');
+      }
+      const pinned = await modHistory.setModPin(serverPath, projectId, pin);
+      return { success: true, pinned };
+    },
+
+    'mod-history:rollback': async (_e, { serverPath, projectId, historyId = null }) => {
+      logger.info('Rolling back server mod', {
+        category: 'mods',
+        data: { handler: 'mod-history:rollback', serverPath, projectId, historyId }
+      });
+
+      try {
+        if (!serverPath || !projectId) {
+          throw new Error('Server path and project id are required');
+        }
+        const restored = await modHistory.rollbackMod(serverPath, projectId, historyId);
+        return { success: true, restored };
+      } catch (error) {
+        logger.error(`Mod rollback failed: ${error.message}`, {
+          category: 'mods',
+          data: { handler: 'mod-history:rollback', serverPath, projectId, historyId, errorType: error.constructor.name }
+        });
+        throw error;
+      }
+    },
+
+    'mod-history:rollback-batch': async (_e, { serverPath, batchId }) => {
+      logger.info('Rolling back mod update batch', {
+        category: 'mods',
+        data: { handler: 'mod-history:rollback-batch', serverPath, batchId }
+      });
+
+      try {
+        if (!serverPath || !batchId) {
+          throw new Error('Server path and batch id are required');
+        }
+        const { restored, failed } = await modHistory.rollbackBatch(serverPath, batchId);
+        return { success: failed.length === 0, restored, failed };
+      } catch (error) {
+        logger.error(`Mod batch rollback failed: ${error.message}`, {
+          category: 'mods',
+          data: { handler: 'mod-history:rollback-batch', serverPath, batchId, errorType: error.constructor.name }
+        });
+        throw error;
+      }
+    },
+
     'move-mod-file': async (_e, { fileName, newCategory, serverPath }) => {
       logger.info('Moving mod file', {
         category: 'mods',
@@ -2063,7 +2166,7 @@ function createServerModHandlers(win) {
       }
     },
 
-  'enable-and-update-mod': async (_e, { serverPath, modFileName, projectId, targetVersion, targetVersionId, mcVersion }) => {
+  'enable-and-update-mod': async (_e, { serverPath, modFileName, projectId, targetVersion, targetVersionId, mcVersion, source = 'modrinth', historyBatchId = null, ignorePin = false }) => {
       logger.info('Enabling and updating server mod', {
         category: 'mods',
         data: {
@@ -2154,6 +2257,13 @@ function createServerModHandlers(win) {
           }
         });
 
+        if (!ignorePin) {
+          await assertNotPinned(serverPath, projectId, targetVersion);
+        }
+
+        // Keep the disabled version so the update can be rolled back
+        await modHistory.archiveModVersion(serverPath, { fileName: modFileName, projectId, batchId: historyBatchId });
+
         // Remove the old disabled files BEFORE installing new version
         let removedFiles = [];
         if (serverDisabledExists) {
@@ -2217,8 +2327,8 @@ function createServerModHandlers(win) {
           }
         });
         
-  const targetVersionInfo = await modApiService.getModrinthVersionInfo(projectId, targetVersionId, mcVersion, loaderForApi);
-        const projectInfo = await modApiService.getModrinthProjectInfo(projectId);
+  const targetVersionInfo = await getVersionInfoFromSource(source, projectId, targetVersionId, mcVersion, loaderForApi);
+        const projectInfo = await modApiService.getModInfo(projectId, source);
 
         if (!targetVersionInfo || !targetVersionInfo.files || targetVersionInfo.files.length === 0) {
           logger.error('Target version not found or has no files', {
@@ -2242,7 +2352,7 @@ function createServerModHandlers(win) {
           fileName: modFileName, // Use the original filename without .disabled
           downloadUrl: targetVersionInfo.files[0]?.url,
           version: targetVersion,
-          source: 'modrinth',
+          source,
           forceReinstall: true, // This will overwrite any existing file
           category: originalCategory // Pass the original category to preserve location
         };
@@ -2530,7 +2640,7 @@ function createServerModHandlers(win) {
           
           try {
             // FIXED: Check if ANY versions exist for target MC version FIRST
-            const availableVersions = await modApiService.getModrinthVersions(projectId, loaderForApi, mcVersion, false);
+            const availableVersions = await getVersionsFromSource(mod.source, projectId, loaderForApi, mcVersion, false);
             
             logger.debug('Retrieved available versions for disabled mod', {
               category: 'network',
@@ -2567,7 +2677,7 @@ function createServerModHandlers(win) {
             }
             
             // Get the latest available version for the target MC version
-            const latestVersions = await modApiService.getModrinthVersions(projectId, loaderForApi, mcVersion, true);
+            const latestVersions = await getVersionsFromSource(mod.source, projectId, loaderForApi, mcVersion, true);
             const latest = latestVersions && latestVersions[0];
             
             // Check if current version actually exists in available versions for target MC
@@ -2734,7 +2844,7 @@ function createServerModHandlers(win) {
           }
         });
         
-        return results;
+        return markPinnedResults(serverPath, tagResultSources(results, disabledModsInfo));
         
       } catch (error) {
         logger.error(`Failed to check disabled mod updates: ${error.message}`, {
@@ -3326,6 +3436,166 @@ function createServerModHandlers(win) {
         });
         throw error;
       }
+    },
+
+    'list-plugins': async (_e, serverPath) => {
+      logger.debug('Listing server plugins', {
+        category: 'mods',
+        data: {
+          handler: 'list-plugins',
+          serverPath: serverPath
+        }
+      });
+
+      try {
+        const pluginsPath = path.join(serverPath, PLUGINS_DIRNAME);
+        if (!fs.existsSync(pluginsPath)) {
+          fs.mkdirSync(pluginsPath, { recursive: true });
+        }
+
+        // Plugins keep their data folders next to the jars; only the jars are listed
+        const pluginFiles = fs.readdirSync(pluginsPath)
+          .filter(file => file.toLowerCase().endsWith('.jar') && fs.statSync(path.join(pluginsPath, file)).isFile());
+        const manifestDir = path.join(serverPath, 'minecraft-core-manifests');
+
+        const plugins = pluginFiles.map(file => {
+          const pluginData = {
+            fileName: file,
+            name: file.replace(/\.jar$/i, ''),
+            type: 'plugin',
+            path: path.join(pluginsPath, file)
+          };
+
+          try {
+            const manifestPath = path.join(manifestDir, `${file}.json`);
+            if (fs.existsSync(manifestPath)) {
+              const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+              return {
+                ...pluginData,
+                versionNumber: manifest.versionNumber || manifest.version,
+                projectId: manifest.projectId,
+                versionId: manifest.versionId,
+                name: manifest.name || pluginData.name,
+                source: manifest.source || 'modrinth',
+                installationDate: manifest.installedAt || manifest.installationDate,
+                lastUpdated: manifest.lastUpdated,
+                installedAt: manifest.installedAt || manifest.installationDate
+              };
+            }
+          } catch {
+            // Fall back to the file name when the manifest cannot be read
+          }
+
+          return {
+            ...pluginData,
+            versionNumber: extractVersionFromFilename(file) || 'Unknown'
+          };
+        });
+
+        logger.info('Server plugins listed successfully', {
+          category: 'mods',
+          data: {
+            handler: 'list-plugins',
+            serverPath: serverPath,
+            pluginCount: plugins.length
+          }
+        });
+
+        return { pluginFiles, mods: plugins };
+      } catch (error) {
+        logger.error(`Failed to list server plugins: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'list-plugins',
+            serverPath: serverPath,
+            errorType: error.constructor.name
+          }
+        });
+        throw error;
+      }
+    },
+
+    'delete-plugin': async (_e, serverPath, pluginName) => {
+      try {
+        const pluginPath = path.join(serverPath, PLUGINS_DIRNAME, pluginName);
+        if (!fs.existsSync(pluginPath)) {
+          logger.warn('Plugin file not found for deletion', {
+            category: 'mods',
+            data: {
+              handler: 'delete-plugin',
+              serverPath: serverPath,
+              pluginName: pluginName
+            }
+          });
+          return { success: true, deletedFrom: 'not_found' };
+        }
+
+        // The plugin's config folder is left in place so a reinstall keeps its settings
+        fs.unlinkSync(pluginPath);
+        const manifestPath = path.join(serverPath, 'minecraft-core-manifests', `${pluginName}.json`);
+        if (fs.existsSync(manifestPath)) {
+          fs.unlinkSync(manifestPath);
+        }
+
+        logger.info('Server plugin deleted successfully', {
+          category: 'mods',
+          data: {
+            handler: 'delete-plugin',
+            serverPath: serverPath,
+            pluginName: pluginName
+          }
+        });
+        return { success: true, deletedFrom: [pluginPath] };
+      } catch (error) {
+        logger.error(`Failed to delete server plugin: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'delete-plugin',
+            serverPath: serverPath,
+            pluginName: pluginName,
+            errorType: error.constructor.name
+          }
+        });
+        throw error;
+      }
+    },
+
+    'install-plugin-with-fallback': async (_e, serverPath, pluginDetails) => {
+      const startTime = Date.now();
+
+      try {
+        const result = await modInstallService.installModToServer(win, serverPath, {
+          ...pluginDetails,
+          contentType: 'plugins',
+          targetDirectory: PLUGINS_DIRNAME
+        });
+
+        logger.info('Plugin installation completed', {
+          category: 'mods',
+          data: {
+            handler: 'install-plugin-with-fallback',
+            serverPath: serverPath,
+            pluginName: pluginDetails?.name,
+            source: pluginDetails?.source,
+            success: result?.success,
+            duration: Date.now() - startTime
+          }
+        });
+
+        return result;
+      } catch (error) {
+        logger.error(`Plugin installation failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'install-plugin-with-fallback',
+            serverPath: serverPath,
+            pluginName: pluginDetails?.name,
+            error: error.message,
+            duration: Date.now() - startTime
+          }
+        });
+        throw error;
+      }
     }
   };
 }
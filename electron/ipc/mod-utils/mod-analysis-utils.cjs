@@ -182,6 +182,69 @@ function parseJarMetadataSync(jarPath) {
   }
 }
 
+/**
+ * Java packages with classes in a jar, e.g. "com.example.mymod.client".
+ * Nested jars are not looked into.
+ * @param {string} jarPath
+ * @returns {Array<string>}
+ */
+function listJarPackagesSync(jarPath) {
+  try {
+    const zip = new (/** @type {any} */ (AdmZip))(jarPath);
+    const packages = new Set();
+    for (const entry of zip.getEntries()) {
+      const name = entry.entryName;
+      if (!name.endsWith('.class') || name.startsWith('META-INF/')) {
+        continue;
+      }
+      const slash = name.lastIndexOf('/');
+      if (slash > 0) {
+        packages.add(name.slice(0, slash).replace(/\//g, '.'));
+      }
+    }
+    return Array.from(packages);
+  } catch {
+    return [];
+  }
+}
+
+// Loader descriptors read for conflict analysis, plus the manifest for ${file.jarVersion} placeholders
+const DESCRIPTOR_FILES = [
+  'fabric.mod.json',
+  'quilt.mod.json',
+  'META-INF/mods.toml',
+  'META-INF/neoforge.mods.toml',
+  'META-INF/MANIFEST.MF'
+];
+const NESTED_JAR_PATTERN = /^META-INF\/(?:jars|jarjar)\/[^/]+\.jar$/i;
+
+/**
+ * Raw loader descriptor files of a jar and of the jars nested in it
+ * (Fabric jar-in-jar under META-INF/jars, Forge/NeoForge jarjar under META-INF/jarjar).
+ * @param {string|Buffer} jar - Jar path or contents
+ * @param {number} [depth] - How many levels of nested jars to read
+ * @returns {{files: Object<string, string>, nested: Array<{files: Object<string, string>, nested: Array}>}|null}
+ */
+function readModDescriptorsSync(jar, depth = 1) {
+  try {
+    const zip = new (/** @type {any} */ (AdmZip))(jar);
+    const files = {};
+    const nested = [];
+    for (const entry of zip.getEntries()) {
+      const name = entry.entryName;
+      if (DESCRIPTOR_FILES.includes(name)) {
+        files[name] = entry.getData().toString('utf8');
+      } else if (depth > 0 && NESTED_JAR_PATTERN.test(name)) {
+        const inner = readModDescriptorsSync(entry.getData(), depth - 1);
+        if (inner) nested.push(inner);
+      }
+    }
+    return { files, nested };
+  } catch {
+    return null;
+  }
+}
+
 function extractMetadataWithWorker(jarPath) {
   return new Promise((resolve) => {
     let settled = false;
@@ -315,5 +378,7 @@ module.exports = {
   fetchModInfoFromUrl,
   analyzeModFromUrl,
   invalidateMetadataCache,
-  parseJarMetadataSync
+  parseJarMetadataSync,
+  listJarPackagesSync,
+  readModDescriptorsSync
 };
@@ -232,7 +232,10 @@ function hasManifestIdentity(manifest) {
   );
 }
 
-function shouldPreserveManifestProjectId(projectId) {
+function shouldPreserveManifestProjectId(projectId, source) {
+  if (source === 'curseforge') {
+    return /^\d+$/.test(String(projectId || ''));
+  }
   return Boolean(
     projectId
     && (projectId.length === 8 || projectId.length === 9)
@@ -242,7 +245,7 @@ function shouldPreserveManifestProjectId(projectId) {
 
 function mergeManifestWithJarMetadata(manifest, meta) {
   const originalProjectId = manifest?.projectId;
-  const preservedProjectId = shouldPreserveManifestProjectId(originalProjectId)
+  const preservedProjectId = shouldPreserveManifestProjectId(originalProjectId, manifest?.source)
     ? originalProjectId
     : (meta.projectId || originalProjectId);
 
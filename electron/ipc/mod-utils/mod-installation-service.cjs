@@ -10,6 +10,9 @@ const pipelineAsync = promisify(pipeline);
 const { extractDependenciesFromJar } = require('./mod-analysis-utils.cjs');
 const { getLoggerHandlers } = require('../logger-handlers.cjs');
 const { UNASSIGNED_MODS_DIRNAME, UNASSIGNED_MANIFEST_DIRNAME } = require('./mod-file-manager.cjs');
+const modCache = require('../../services/mod-cache-service.cjs');
+const modHistory = require('../../services/mod-history-service.cjs');
+const { PLUGINS_DIRNAME, verifyChecksum } = require('../../utils/plugin-server-runtime.cjs');
 
 // Placeholder for API service functions - these will be imported later
 // For now, we might have to define minimal stubs or expect them to be passed if complex
@@ -17,7 +20,13 @@ const {
   getModrinthDownloadUrl,
   getModrinthVersionInfo,
   getLatestModrinthVersionInfo,
-  getCurseForgeDownloadUrl, // Assuming this might be needed
+  getCurseForgeDownloadUrl,
+  getCurseForgeVersionInfo,
+  getLatestCurseForgeVersionInfo,
+  getCurseForgeVersions,
+  getHangarDownloadUrl,
+  getHangarVersionInfo,
+  getLatestHangarVersionInfo,
   getModrinthVersions // For installClientMod
 } = require('../../services/mod-api-service.cjs'); // Adjust path as needed
 
@@ -39,6 +48,52 @@ function shouldUseMetadataFileName(cleanBase) {
   return Boolean(cleanBase) && !GENERIC_MOD_FILENAME_BASES.has(cleanBase.toLowerCase());
 }
 
+/**
+ * Put a mod file at targetPath from the local mod cache, or run download() and add the result
+ * to the cache. Cache failures never fail the install; they only cost a download.
+ * @param {Object} options
+ * @param {string} options.url - Download URL, also used to find files cached without hashes
+ * @param {string} options.targetPath
+ * @param {{sha1?: string, sha512?: string}} [options.hashes] - Hashes published for the file
+ * @param {() => Promise<void>} options.download - Downloads the file to targetPath
+ * @returns {Promise<boolean>} true when the file came from the cache
+ */
+async function downloadThroughModCache({ url, targetPath, hashes = {}, download }) {
+  const logger = getLoggerHandlers();
+  try {
+    const cached = await modCache.restoreArtifact({ sha512: hashes.sha512, sha1: hashes.sha1, url }, targetPath);
+    if (cached) {
+      logger.info('Installed mod file from local cache', {
+        category: 'storage',
+        data: {
+          service: 'mod-installation-service',
+          operation: 'downloadThroughModCache',
+          targetPath,
+          size: cached.size
+        }
+      });
+      return true;
+    }
+  } catch (error) {
+    logger.warn(`Mod cache lookup failed: ${error.message}`, {
+      category: 'storage',
+      data: { service: 'mod-installation-service', operation: 'downloadThroughModCache', targetPath }
+    });
+  }
+
+  await download();
+
+  try {
+    await modCache.addArtifact(targetPath, { url, fileName: path.basename(targetPath), sha1: hashes.sha1, sha512: hashes.sha512 });
+  } catch (error) {
+    logger.warn(`Could not add mod file to cache: ${error.message}`, {
+      category: 'storage',
+      data: { service: 'mod-installation-service', operation: 'downloadThroughModCache', targetPath }
+    });
+  }
+  return false;
+}
+
 async function installModToServer(win, serverPath, modDetails) {
   const logger = getLoggerHandlers();
 
@@ -117,6 +172,20 @@ async function installModToServer(win, serverPath, modDetails) {
           targetSubDir: targetSubDir
         }
       });
+    } else if (modDetails.contentType === 'plugins') {
+      // Plugins only exist on the server; clients never receive them
+      targetSubDir = PLUGINS_DIRNAME;
+      modsDir = path.join(serverPath, targetSubDir);
+      clientModsDir = modsDir;
+
+      logger.debug('PLUGIN INSTALL: Using plugin directory', {
+        category: 'storage',
+        data: {
+          service: 'mod-installation-service',
+          contentType: modDetails.contentType,
+          modsDir: modsDir
+        }
+      });
     } else {
       // Default to mods
       targetSubDir = 'mods';
@@ -248,6 +317,26 @@ async function installModToServer(win, serverPath, modDetails) {
         }
       });
 
+      // Keep the version being replaced so it can be rolled back
+      if (unassignedModsDir && (serverExists || clientExists || unassignedExists)) {
+        try {
+          await modHistory.archiveModVersion(serverPath, {
+            fileName: checkFileName,
+            projectId: modDetails.projectId || modDetails.id,
+            batchId: modDetails.historyBatchId
+          });
+        } catch (error) {
+          logger.warn(`Could not archive previous mod version: ${error.message}`, {
+            category: 'storage',
+            data: {
+              service: 'mod-installation-service',
+              checkFileName: checkFileName,
+              errorType: error.constructor.name
+            }
+          });
+        }
+      }
+
       if (clientExists && serverExists) {
         currentModLocation = 'both';
         destinationPath = path.join(modsDir, fileName); // Install new version to server
@@ -447,6 +536,10 @@ async function installModToServer(win, serverPath, modDetails) {
         // If we have selectedVersionId, use it to get version info for manifest
         if (modDetails.selectedVersionId && modDetails.source === 'modrinth') {
           versionInfoToSave = await getModrinthVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+        } else if (modDetails.selectedVersionId && modDetails.source === 'curseforge') {
+          versionInfoToSave = await getCurseForgeVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+        } else if (modDetails.selectedVersionId && modDetails.source === 'hangar') {
+          versionInfoToSave = await getHangarVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
         }
       } else if (modDetails.source === 'modrinth') {
         if (modDetails.selectedVersionId) {
@@ -495,13 +588,18 @@ async function installModToServer(win, serverPath, modDetails) {
           data: {
             service: 'mod-installation-service',
             modId: modDetails.id,
+            selectedVersionId: modDetails.selectedVersionId,
             source: 'curseforge'
           }
         });
 
-        // CurseForge support not implemented
-        downloadUrl = await getCurseForgeDownloadUrl();
-        // versionInfoToSave would need to be fetched for CurseForge too if manifest saving is desired for it
+        // Throws with a link to the project page when the author blocked third-party downloads
+        downloadUrl = await getCurseForgeDownloadUrl(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+        versionInfoToSave = await getCurseForgeVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+      } else if (modDetails.source === 'hangar') {
+        // Throws with the external link when the version is not hosted on Hangar
+        downloadUrl = await getHangarDownloadUrl(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+        versionInfoToSave = await getHangarVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
       } else {
         downloadUrl = modDetails.downloadUrl; // Direct URL
         logger.debug('Using direct download URL', {
@@ -542,20 +640,28 @@ async function installModToServer(win, serverPath, modDetails) {
         win.webContents.send('download-progress', { id: downloadId, name: modDetails.name, progress: 0, speed: 0, completed: false, error: null });
       }
 
-      const writer = createWriteStream(targetPath);
-      const response = await axios({
-        url: downloadUrl, method: 'GET', responseType: 'stream',
-        onDownloadProgress: progressEvent => {
-          const progress = progressEvent.loaded / progressEvent.total;
-          const speed = progressEvent.rate || 0;
-          if (win && win.webContents) {
-            win.webContents.send('download-progress', { id: downloadId, name: modDetails.name, progress: progress * 100, size: progressEvent.total, downloaded: progressEvent.loaded, speed: speed, completed: false, error: null });
-          }
+      const primaryFile = versionInfoToSave && Array.isArray(versionInfoToSave.files) ? versionInfoToSave.files[0] : null;
+      await downloadThroughModCache({
+        url: downloadUrl,
+        targetPath,
+        hashes: (primaryFile && primaryFile.hashes) || {},
+        download: async () => {
+          const writer = createWriteStream(targetPath);
+          const response = await axios({
+            url: downloadUrl, method: 'GET', responseType: 'stream',
+            onDownloadProgress: progressEvent => {
+              const progress = progressEvent.loaded / progressEvent.total;
+              const speed = progressEvent.rate || 0;
+              if (win && win.webContents) {
+                win.webContents.send('download-progress', { id: downloadId, name: modDetails.name, progress: progress * 100, size: progressEvent.total, downloaded: progressEvent.loaded, speed: speed, completed: false, error: null });
+              }
+            }
+          });
+
+          await pipelineAsync(response.data, writer); // Use pipelineAsync
         }
       });
 
-      await pipelineAsync(response.data, writer); // Use pipelineAsync
-
       logger.debug('Mod download completed', {
         category: 'network',
         data: {
@@ -594,6 +700,21 @@ async function installModToServer(win, serverPath, modDetails) {
         return { success: false, error: 'Download verification failed' };
       }
 
+      // Hangar publishes a sha256 for every hosted file
+      const expectedSha256 = primaryFile && primaryFile.hashes ? primaryFile.hashes.sha256 : null;
+      if (expectedSha256 && !verifyChecksum(await fs.readFile(targetPath), 'sha256', expectedSha256)) {
+        logger.error('Downloaded file does not match its published checksum', {
+          category: 'storage',
+          data: {
+            service: 'mod-installation-service',
+            targetPath,
+            modId: modDetails.id
+          }
+        });
+        await fs.unlink(targetPath).catch(() => { });
+        return { success: false, error: 'Download failed checksum verification' };
+      }
+
       // Extract mod metadata to get the clean filename
       let finalFileName = fileName;
       let finalTargetPath = targetPath;
@@ -681,8 +802,12 @@ async function installModToServer(win, serverPath, modDetails) {
       }
 
       // Save manifest file for tracking mod information
-      if (modDetails.source === 'modrinth') {
-        logger.debug('Saving Modrinth mod manifest', {
+      if (modDetails.source === 'modrinth' || modDetails.source === 'curseforge' || modDetails.source === 'hangar') {
+        const fetchVersionInfo = modDetails.source === 'curseforge' ? getCurseForgeVersionInfo
+          : modDetails.source === 'hangar' ? getHangarVersionInfo : getModrinthVersionInfo;
+        const fetchLatestVersionInfo = modDetails.source === 'curseforge' ? getLatestCurseForgeVersionInfo
+          : modDetails.source === 'hangar' ? getLatestHangarVersionInfo : getLatestModrinthVersionInfo;
+        logger.debug('Saving mod manifest', {
           category: 'storage',
           data: {
             service: 'mod-installation-service',
@@ -699,7 +824,7 @@ async function installModToServer(win, serverPath, modDetails) {
           // If we don't have version info, try to get it as a fallback
           if (!versionInfoToSave && modDetails.selectedVersionId) {
             try {
-              versionInfoToSave = await getModrinthVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
+              versionInfoToSave = await fetchVersionInfo(modDetails.id, modDetails.selectedVersionId, modDetails.version, modDetails.loader);
             } catch (error) {
               logger.warn(`Could not fetch version info for manifest: ${error.message}`, {
                 category: 'network',
@@ -715,7 +840,7 @@ async function installModToServer(win, serverPath, modDetails) {
           // If version info absent but we have selectedVersionId (or fallback marker) attempt one more fetch
           if (!versionInfoToSave && modDetails.id) {
             try {
-              versionInfoToSave = await getLatestModrinthVersionInfo(modDetails.id, modDetails.version, modDetails.loader);
+              versionInfoToSave = await fetchLatestVersionInfo(modDetails.id, modDetails.version, modDetails.loader);
               logger.debug('Fetched latest version info during manifest fallback', {
                 category: 'network',
                 data: {
@@ -760,7 +885,7 @@ async function installModToServer(win, serverPath, modDetails) {
                 manifestPath: clientManifestPath
               }
             });
-          } else if (currentModLocation === 'both') {
+          } else if (currentModLocation === 'both' && modDetails.contentType !== 'plugins') {
             await fs.mkdir(serverManifestDir, { recursive: true });
             await fs.mkdir(clientManifestDir, { recursive: true });
             const serverManifestPath = path.join(serverManifestDir, `${finalFileName}.json`);
@@ -1079,14 +1204,17 @@ async function installModToClient(win, modData) {
 
       let versionInfo;
       let versionToInstall;
+      const source = modData.source === 'curseforge' ? 'curseforge' : 'modrinth';
+      const fetchVersionInfo = source === 'curseforge' ? getCurseForgeVersionInfo : getModrinthVersionInfo;
+      const fetchVersions = source === 'curseforge' ? getCurseForgeVersions : getModrinthVersions;
 
       if (modData.selectedVersionId) {
         // Try to fetch the requested version info
         try {
-          versionInfo = await getModrinthVersionInfo(modData.id, modData.selectedVersionId, mcVersion, loader);
+          versionInfo = await fetchVersionInfo(modData.id, modData.selectedVersionId, mcVersion, loader);
           if (
             versionInfo &&
-            (!loader || versionInfo.loaders.includes(loader)) &&
+            (!loader || versionInfo.loaders.length === 0 || versionInfo.loaders.includes(loader)) &&
             (!mcVersion || versionInfo.game_versions.includes(mcVersion))
           ) {
             versionToInstall = { id: versionInfo.id, versionNumber: versionInfo.version_number };
@@ -1136,7 +1264,7 @@ async function installModToClient(win, modData) {
           }
         });
 
-  const versions = await getModrinthVersions(modData.id, loader, mcVersion, true);
+  const versions = await fetchVersions(modData.id, loader, mcVersion, true);
         if (!versions || versions.length === 0) {
           logger.error('No compatible versions found for client mod', {
             category: 'mods',
@@ -1153,7 +1281,7 @@ async function installModToClient(win, modData) {
         // **FIX**: Ensure we get the complete version info, not just the summary
         const bestVersion = versions[0];
         versionToInstall = { id: bestVersion.id, versionNumber: bestVersion.versionNumber };
-  versionInfo = await getModrinthVersionInfo(modData.id, bestVersion.id, mcVersion, loader);
+  versionInfo = await fetchVersionInfo(modData.id, bestVersion.id, mcVersion, loader);
 
         logger.debug('Found best compatible version for client mod', {
           category: 'mods',
@@ -1181,7 +1309,9 @@ async function installModToClient(win, modData) {
       }
 
       const primaryFile = versionInfo.files.find(file => file.primary) || versionInfo.files[0];
-      const downloadUrl = primaryFile.url;
+      const downloadUrl = source === 'curseforge' && !primaryFile.url
+        ? await getCurseForgeDownloadUrl(modData.id, versionInfo.id, mcVersion, loader)
+        : primaryFile.url;
 
       logger.debug('Determined client mod download details', {
         category: 'network',
@@ -1214,23 +1344,30 @@ async function installModToClient(win, modData) {
         win.webContents.send('download-progress', { id: downloadId, name: modData.name, progress: 0, speed: 0, completed: false, error: null });
       }
 
-      const writer = createWriteStream(targetPath);
-      const response = await axios({
+      await downloadThroughModCache({
         url: downloadUrl,
-        method: 'GET',
-        responseType: 'stream',
-        timeout: 30000,
-        onDownloadProgress: progressEvent => {
-          const progress = progressEvent.loaded / progressEvent.total;
-          const speed = progressEvent.rate || 0;
-          if (win && win.webContents) {
-            win.webContents.send('download-progress', { id: downloadId, name: modData.name, progress: progress * 100, size: progressEvent.total, downloaded: progressEvent.loaded, speed, completed: false, error: null });
-          }
+        targetPath,
+        hashes: primaryFile.hashes || {},
+        download: async () => {
+          const writer = createWriteStream(targetPath);
+          const response = await axios({
+            url: downloadUrl,
+            method: 'GET',
+            responseType: 'stream',
+            timeout: 30000,
+            onDownloadProgress: progressEvent => {
+              const progress = progressEvent.loaded / progressEvent.total;
+              const speed = progressEvent.rate || 0;
+              if (win && win.webContents) {
+                win.webContents.send('download-progress', { id: downloadId, name: modData.name, progress: progress * 100, size: progressEvent.total, downloaded: progressEvent.loaded, speed, completed: false, error: null });
+              }
+            }
+          });
+
+          await pipelineAsync(response.data, writer);
         }
       });
 
-      await pipelineAsync(response.data, writer);
-
       logger.debug('Client mod download completed', {
         category: 'network',
         data: {
@@ -1265,7 +1402,7 @@ async function installModToClient(win, modData) {
         versionNumber: versionToInstall.versionNumber,
         mcVersion: mcVersion,
         loader: loader,
-        source: 'modrinth',
+        source,
         downloadUrl: downloadUrl,
         installedAt: installationDate,
         lastUpdated: installationDate,
@@ -1684,6 +1821,7 @@ async function installModToServerWithFallback(win, serverPath, modDetails) {
 }
 
 module.exports = {
+  downloadThroughModCache,
   installModToServer,
   installModToClient,
   installModToServerWithFallback
@@ -0,0 +1,153 @@
+// Modpack import and export IPC handlers
+const path = require('path');
+const { dialog, app } = require('electron');
+const { inspectModpack, installModpackFiles } = require('../services/modpack-import-service.cjs');
+const { exportModpack } = require('../services/modpack-export-service.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+/**
+ * Create modpack import and export IPC handlers
+ *
+ * @param {any} win - The main application window
+ * @returns {Object.<string, Function>} Object with channel names as keys and handler functions as values
+ */
+function createModpackHandlers(win) {
+  return {
+    'modpack:select-file': async () => {
+      const result = await dialog.showOpenDialog(win, {
+        properties: ['openFile'],
+        filters: [{ name: 'Modrinth Modpacks', extensions: ['mrpack'] }],
+        title: 'Select Modpack',
+        defaultPath: app.getPath('downloads')
+      });
+      return result.canceled ? null : result.filePaths[0];
+    },
+
+    'modpack:inspect': async (_e, { filePath, projectId, versionId } = {}) => {
+      try {
+        const pack = await inspectModpack({ filePath, projectId, versionId });
+        logger.info('Modpack inspected', {
+          category: 'mods',
+          data: {
+            handler: 'modpack:inspect',
+            name: pack.name,
+            minecraftVersion: pack.minecraftVersion,
+            loader: pack.loader,
+            loaderVersion: pack.loaderVersion,
+            fileCount: pack.fileCount,
+            source: pack.origin.source
+          }
+        });
+        return { success: true, pack };
+      } catch (error) {
+        logger.error(`Modpack inspection failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'modpack:inspect',
+            filePath: filePath || null,
+            projectId: projectId || null,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+
+    'modpack:install': async (_e, { serverPath, packPath, origin } = {}) => {
+      const startTime = Date.now();
+      try {
+        const result = await installModpackFiles({ serverPath, packPath, origin });
+        logger.info('Modpack installed', {
+          category: 'mods',
+          data: {
+            handler: 'modpack:install',
+            serverPath,
+            duration: Date.now() - startTime,
+            installed: result.installed,
+            clientOnly: result.clientOnly
+          }
+        });
+        return result;
+      } catch (error) {
+        logger.error(`Modpack installation failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'modpack:install',
+            serverPath,
+            duration: Date.now() - startTime,
+            errorType: error.constructor.name
+          }
+        });
+        if (win && win.webContents) {
+          win.webContents.send('install-error', error.message);
+        }
+        return { success: false, error: error.message };
+      }
+    },
+
+    'modpack:export': async (_e, { serverPath, name, version, summary, includeConfigs = true, packwiz = false } = {}) => {
+      const startTime = Date.now();
+      try {
+        const baseName = `${(name || path.basename(serverPath || 'modpack')).replace(/[\\/:*?"<>|]+/g, '-')}-${version || '1.0.0'}`;
+        const saveResult = await dialog.showSaveDialog(win, {
+          title: 'Export Modpack',
+          defaultPath: path.join(app.getPath('downloads'), `${baseName}.mrpack`),
+          filters: [{ name: 'Modrinth Modpacks', extensions: ['mrpack'] }]
+        });
+        if (saveResult.canceled || !saveResult.filePath) {
+          return { success: false, canceled: true };
+        }
+
+        let packwizDir = null;
+        if (packwiz) {
+          const dirResult = await dialog.showOpenDialog(win, {
+            properties: ['openDirectory', 'createDirectory'],
+            title: 'Select packwiz Folder',
+            defaultPath: app.getPath('documents')
+          });
+          if (dirResult.canceled || !dirResult.filePaths[0]) {
+            return { success: false, canceled: true };
+          }
+          packwizDir = dirResult.filePaths[0];
+        }
+
+        const result = await exportModpack({
+          serverPath,
+          outputPath: saveResult.filePath,
+          packwizDir,
+          name,
+          version,
+          summary,
+          includeConfigs
+        });
+        logger.info('Modpack export completed', {
+          category: 'mods',
+          data: {
+            handler: 'modpack:export',
+            serverPath,
+            duration: Date.now() - startTime,
+            modrinthFiles: result.modrinthFiles,
+            bundled: result.bundled,
+            packwiz: !!packwizDir
+          }
+        });
+        return result;
+      } catch (error) {
+        logger.error(`Modpack export failed: ${error.message}`, {
+          category: 'mods',
+          data: {
+            handler: 'modpack:export',
+            serverPath,
+            duration: Date.now() - startTime,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createModpackHandlers };
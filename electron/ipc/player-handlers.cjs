@@ -2,6 +2,7 @@
 const path = require('path');
 const fs = require('fs');
 const { getLoggerHandlers } = require('./logger-handlers.cjs');
+const { getSessionReport } = require('../services/player-session-service.cjs');
 
 // Keep track of player names associated with IPs
 const playerIpMap = new Map();
@@ -578,6 +579,30 @@ function createPlayerHandlers() {
         }
     },
     
+    'get-player-sessions': (_e, { serverPath, player, days, limit } = {}) => {
+      if (!serverPath || !fs.existsSync(serverPath)) {
+        return { success: false, error: 'Invalid server path' };
+      }
+      try {
+        const report = getSessionReport(serverPath, {
+          player: player || null,
+          days: Number.isFinite(Number(days)) ? Number(days) : undefined,
+          limit: Number.isFinite(Number(limit)) ? Number(limit) : undefined
+        });
+        return { success: true, ...report };
+      } catch (error) {
+        logger.error(`Failed to read player sessions: ${error.message}`, {
+          category: 'core',
+          data: {
+            handler: 'get-player-sessions',
+            serverPath,
+            errorType: error.constructor.name
+          }
+        });
+        return { success: false, error: error.message };
+      }
+    },
+
     'remove-player': (_e, listName, serverPath, entry) => {
         if (!serverPath || !fs.existsSync(serverPath)) {
           throw new Error('Invalid server path');
@@ -0,0 +1,63 @@
+const {
+  listScheduledTasks,
+  saveScheduledTask,
+  deleteScheduledTask,
+  runScheduledTaskNow,
+  getScheduledTaskHistory,
+  clearScheduledTaskHistory,
+  startScheduledTasks
+} = require('../services/scheduled-tasks.cjs');
+const { validateCronExpression, getNextRunTime } = require('../utils/cron-schedule.cjs');
+const { getLoggerHandlers } = require('./logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+function createScheduledTaskHandlers() {
+  // Ensure background runner started
+  startScheduledTasks();
+  return {
+    'scheduled-tasks:list': async (_e, serverPath) => {
+      return listScheduledTasks(serverPath);
+    },
+    'scheduled-tasks:save': async (_e, { serverPath, task }) => {
+      logger.info('Saving scheduled task', {
+        category: 'server',
+        data: { handler: 'scheduled-tasks', serverPath, taskId: task && task.id, type: task && task.type }
+      });
+      return saveScheduledTask(serverPath, task);
+    },
+    'scheduled-tasks:delete': async (_e, { serverPath, taskId }) => {
+      logger.info('Deleting scheduled task', {
+        category: 'server',
+        data: { handler: 'scheduled-tasks', serverPath, taskId }
+      });
+      return deleteScheduledTask(serverPath, taskId);
+    },
+    'scheduled-tasks:run-now': async (_e, { serverPath, taskId }) => {
+      logger.info('Running scheduled task manually', {
+        category: 'server',
+        data: { handler: 'scheduled-tasks', serverPath, taskId }
+      });
+      return await runScheduledTaskNow(serverPath, taskId);
+    },
+    'scheduled-tasks:history': async (_e, { serverPath, limit } = {}) => {
+      return await getScheduledTaskHistory(serverPath, limit);
+    },
+    'scheduled-tasks:history:clear': async (_e, serverPath) => {
+      logger.info('Clearing scheduled task history', {
+        category: 'server',
+        data: { handler: 'scheduled-tasks', serverPath }
+      });
+      return await clearScheduledTaskHistory(serverPath);
+    },
+    'scheduled-tasks:validate-cron': async (_e, expression) => {
+      const result = validateCronExpression(expression);
+      if (!result.valid) {
+        return result;
+      }
+      return { ...result, nextRun: getNextRunTime(expression).toISOString() };
+    }
+  };
+}
+
+module.exports = { createScheduledTaskHandlers };
@@ -3,13 +3,15 @@ const {
   startMinecraftServer,
   stopMinecraftServer,
   killMinecraftServer,
-  sendServerCommand,
+  executeServerCommand,
+  probeExternalServer,
   getServerState,
   getAllServerStates
 } = require('../services/server-manager.cjs');
 const { getLoggerHandlers } = require('./logger-handlers.cjs');
 const { readServerConfig, getDefaultServerConfig } = require('../utils/config-manager.cjs');
 const { validateServerPorts } = require('../utils/port-validator.cjs');
+const { analyzeInstanceMods } = require('../services/mod-conflict-analyzer.cjs');
 const appStore = require('../utils/app-store.cjs');
 
 const logger = getLoggerHandlers();
@@ -72,6 +74,19 @@ function createServerHandlers() {
         };
       }
 
+      // Mods the loader would refuse or that break each other block the start unless overridden
+      if (!payload.ignoreModIssues) {
+        const modReport = await analyzeInstanceMods(targetPath, { sets: ['server'] }).catch(() => null);
+        if (modReport && modReport.errorCount > 0) {
+          return {
+            success: false,
+            error: `${modReport.errorCount} mod problem${modReport.errorCount === 1 ? '' : 's'} found`,
+            code: 'MOD_CONFLICTS',
+            modIssues: modReport.sets.server.issues
+          };
+        }
+      }
+
       appStore.set('lastServerPath', targetPath);
       return startMinecraftServer({
         instanceId,
@@ -82,7 +97,13 @@ function createServerHandlers() {
     },
 
     'stop-server': async (_event, payload = {}) => {
-      const stopped = stopMinecraftServer({ instanceId: payload.instanceId || null, targetPath: payload.targetPath || null });
+      const selector = { instanceId: payload.instanceId || null, targetPath: payload.targetPath || null };
+      const stopped = stopMinecraftServer(selector);
+      if (!stopped && !getServerState(selector).isRunning) {
+        // A server started outside this app can still be stopped over RCON
+        const result = await executeServerCommand(selector, 'stop');
+        return { success: result.success && result.via === 'rcon' };
+      }
       return { success: !!stopped };
     },
 
@@ -96,19 +117,20 @@ function createServerHandlers() {
         return { success: false, error: 'Invalid command' };
       }
 
-      const sent = sendServerCommand(
+      return await executeServerCommand(
         { instanceId: payload.instanceId || null, targetPath: payload.targetPath || null },
         payload.command
       );
-      return { success: !!sent };
     },
 
-    'get-server-status': (_event, payload = {}) => {
+    'get-server-status': async (_event, payload = {}) => {
       const selector = payload && typeof payload === 'object'
         ? { instanceId: payload.instanceId || null, targetPath: payload.targetPath || null }
         : { instanceId: null, targetPath: null };
       const state = getServerState(selector);
       const settings = state.targetPath ? getServerDefaults(state.targetPath) : getDefaultServerConfig();
+      const probePath = state.targetPath || selector.targetPath || appStore.get('lastServerPath') || null;
+      const external = state.isRunning ? null : await probeExternalServer(probePath);
 
       return {
         instanceId: state.instanceId,
@@ -124,6 +146,8 @@ function createServerHandlers() {
           autoStartManagement: !!settings.autoStartManagement
         },
         targetPath: state.targetPath || null,
+        // Started outside this app but answering on RCON
+        ...(external ? { ...external, status: 'running', targetPath: probePath } : {}),
         loader: state.loader || settings.loader || 'vanilla'
       };
     },
@@ -171,6 +171,45 @@ function serializePropertiesFile(properties) {
   return fileContent;
 }
 
+/**
+ * Set properties in an existing server.properties file, keeping its comments and ordering.
+ * Keys not yet in the file are appended.
+ * 
+ * @param {string} serverPath - Server directory
+ * @param {Object} updates - Key-value pairs to set
+ * @returns {Object} The resulting properties
+ */
+function updatePropertiesFile(serverPath, updates) {
+  const propertiesFilePath = path.join(serverPath, 'server.properties');
+  const lines = fs.readFileSync(propertiesFilePath, 'utf-8').split(/\r?\n/);
+  const remaining = new Map(Object.entries(updates));
+
+  const updatedLines = lines.map(line => {
+    const eqIndex = line.indexOf('=');
+    if (line.trim().startsWith('#') || eqIndex === -1) {
+      return line;
+    }
+    const key = line.substring(0, eqIndex).trim();
+    if (!remaining.has(key)) {
+      return line;
+    }
+    const value = remaining.get(key);
+    remaining.delete(key);
+    return `${key}=${value}`;
+  });
+
+  // Keep the trailing newline at the end of the file
+  const trailing = updatedLines.length > 0 && updatedLines[updatedLines.length - 1] === '' ? updatedLines.pop() : null;
+  for (const [key, value] of remaining) {
+    updatedLines.push(`${key}=${value}`);
+  }
+  if (trailing !== null) updatedLines.push(trailing);
+
+  const fileContent = updatedLines.join('\n');
+  fs.writeFileSync(propertiesFilePath, fileContent, 'utf-8');
+  return parsePropertiesFile(fileContent);
+}
+
 /**
  * Get default Minecraft server properties
  * 
@@ -230,4 +269,4 @@ function getDefaultProperties() {
   };
 }
 
-module.exports = { createServerPropertiesHandlers }; 
+module.exports = { createServerPropertiesHandlers, parsePropertiesFile, updatePropertiesFile };
@@ -1387,6 +1387,10 @@ app.whenReady().then(() => {
   // Initialize with last server path if available
   // IMPORTANT: Wait for the web contents to be ready before sending data
   win.webContents.once('did-finish-load', () => {
+    // Pick up servers that kept running while the app was closed
+    const { adoptRunningServers } = require('./services/server-manager.cjs');
+    adoptRunningServers().catch(() => {});
+
     try {
       let lastServerPath = appStore.get('lastServerPath');
       const instances = appStore.get('instances') || [];
@@ -18,14 +18,17 @@ contextBridge.exposeInMainWorld('electron', {
       'list-mods',
       'list-shaders',
       'list-resourcepacks',
+      'list-plugins',
       'add-mod',
       'delete-mod',
       'delete-shader',
-      'delete-resourcepack',      'update-mod',
+      'delete-resourcepack',
+      'delete-plugin',      'update-mod',
       'update-config',
       'search-mods',
       'search-shaders',
       'search-resourcepacks',
+      'search-plugins',
       'search-modrinth-matches',
       'get-modrinth-project-details',
       'search-modrinth-manual',
@@ -42,6 +45,7 @@ contextBridge.exposeInMainWorld('electron', {
       'install-mod-with-fallback',
       'install-shader-with-fallback',
       'install-resourcepack-with-fallback',
+      'install-plugin-with-fallback',
       'download-mod-from-server',
       'download-mod-from-fallback',
       'cancel-download',
@@ -56,6 +60,8 @@ contextBridge.exposeInMainWorld('electron', {
       'get-project-info',
       'extract-jar-dependencies',
       'analyze-mod-from-url',
+      'identify-installed-mods',
+      'mod-update-review',
       'select-folder',
       'get-last-server-path',
   'get-folder-size',
@@ -89,6 +95,7 @@ contextBridge.exposeInMainWorld('electron', {
       'get-server-status',
       'get-all-server-statuses',
       'get-last-banned-player',
+      'get-player-sessions',
       // Folder and dialog operations
       'open-folder',
       'open-folder-direct',
@@ -107,6 +114,9 @@ contextBridge.exposeInMainWorld('electron', {
       'backups:delete',
       'backups:rename',
       'backups:restore',
+      'backups:contents',
+      'backups:restore-selection',
+      'backups:verify',
       'backups:configure-automation',
       'backups:get-automation-settings',
       'backups:run-immediate-auto',
@@ -131,6 +141,10 @@ contextBridge.exposeInMainWorld('electron', {
       'check-mod-compatibility',
       'check-disabled-mod-updates',
       'enable-and-update-mod',
+      'mod-history:list',
+      'mod-history:set-pin',
+      'mod-history:rollback',
+      'mod-history:rollback-batch',
   'get-ignored-mod-updates',
   'save-ignored-mod-updates',
       // Management server channels
@@ -147,6 +161,10 @@ contextBridge.exposeInMainWorld('electron', {
   'browser-panel:start',
   'browser-panel:stop',
   'browser-panel:status',
+  'browser-panel:users:list',
+  'browser-panel:users:save',
+  'browser-panel:users:delete',
+  'browser-panel:audit:list',
       // Minecraft launcher channels
       'minecraft-auth',
       'minecraft-load-auth',
@@ -194,6 +212,10 @@ contextBridge.exposeInMainWorld('electron', {
       'save-app-settings',
       'get-app-settings',
       'get-app-version',
+      'curseforge:get-api-key-status',
+      'curseforge:set-api-key',
+      'mod-cache:get-stats',
+      'mod-cache:clear',
       'check-for-updates',
       'set-window-size',
       'open-app-settings',
@@ -261,12 +283,60 @@ contextBridge.exposeInMainWorld('electron', {
   'mod-watch:history:clear',
   'mod-watch:interval:set',
   'mod-watch:config',
+  // Scheduled tasks
+  'scheduled-tasks:list',
+  'scheduled-tasks:save',
+  'scheduled-tasks:delete',
+  'scheduled-tasks:run-now',
+  'scheduled-tasks:history',
+  'scheduled-tasks:history:clear',
+  'scheduled-tasks:validate-cron',
+  // Off-site backup targets
+  'backup-targets:list',
+  'backup-targets:save',
+  'backup-targets:delete',
+  'backup-targets:test',
+  'backup-targets:upload',
+  'backup-targets:list-remote',
+  'backup-targets:download',
+  'backups:encryption:status',
+  'backups:encryption:enable',
+  'backups:encryption:disable',
+  'backups:encryption:export-keys',
+  'backups:encryption:import-keys',
+  'backups:encryption:unlock',
+  // Crash analysis
+  'crash-analysis:latest',
+  'crash-analysis:analyze',
+  'crash-analysis:disable-mod-and-restart',
+  // Installed mod conflict analysis
+  'mod-conflicts:analyze',
+  // Modpack import/export
+  'modpack:select-file',
+  'modpack:inspect',
+  'modpack:install',
+  'modpack:export',
+  // Config sync to clients
+  'config-sync:get',
+  'config-sync:set',
+  'client-config-sync:preview',
+  'client-config-sync:apply',
+  // Server launch profiles
+  'launch-profile:get',
+  'launch-profile:save',
+  // Resumable mod sync for clients
+  'client-mod-sync:plan',
+  'client-mod-sync:apply',
   // Utility helpers
   'open-external-url',
   'show-error-dialog',
       'logger-new-log',
       'logger-logs-cleared',
   'mod-availability-notification',
+  'scheduled-task-event',
+  'server-crash-report',
+  'modpack-import-progress',
+  'backup-upload-progress',
       'set-current-instance',
     ];
 
@@ -313,6 +383,10 @@ contextBridge.exposeInMainWorld('electron', {
       'backup-size-changed',
   // Mod availability watcher events
   'mod-availability-notification',
+  'scheduled-task-event',
+  'server-crash-report',
+  'modpack-import-progress',
+  'backup-upload-progress',
       // Management server events
       'management-server-status',
       'management-server-path-updated',
@@ -388,6 +462,10 @@ contextBridge.exposeInMainWorld('electron', {
       'backup-notification',
       'backup-size-changed',
   'mod-availability-notification',
+  'scheduled-task-event',
+  'server-crash-report',
+  'modpack-import-progress',
+  'backup-upload-progress',
       // Management server events
       'management-server-status',
       'management-server-path-updated',
@@ -463,6 +541,10 @@ contextBridge.exposeInMainWorld('electron', {
       'backup-notification',
       'backup-size-changed',
   'mod-availability-notification',
+  'scheduled-task-event',
+  'server-crash-report',
+  'modpack-import-progress',
+  'backup-upload-progress',
       // Management server events
       'management-server-status',
       'management-server-path-updated',
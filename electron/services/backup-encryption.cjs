@@ -0,0 +1,368 @@
+// Backup encryption at rest
+// Keeps each instance's backup keys and decides which key new backups use.
+// Keys are random (kept only in the OS keychain via secure-store) or derived
+// from a passphrase (the salt is recorded in every encrypted file, so the same
+// passphrase unlocks the backups on another machine). All keys an instance ever
+// used stay in its keyring so older backups keep restoring after a change.
+
+const fs = require('fs');
+const path = require('path');
+const appStore = require('../utils/app-store.cjs');
+const { packSecret, unpackSecret, ensureEncryptionAvailable } = require('../utils/secure-store.cjs');
+const {
+  getDefaultServerConfig,
+  readServerConfig,
+  updateServerConfig,
+  normalizeBackupEncryption,
+  BACKUP_ENCRYPTION_MODES
+} = require('../utils/config-manager.cjs');
+const {
+  BackupKeyError,
+  getKeyId,
+  generateKey,
+  deriveKey,
+  isEncryptedData,
+  parseHeader,
+  readFileHeader,
+  encryptBuffer,
+  decryptBuffer,
+  decryptFileToBuffer
+} = require('../utils/backup-crypto.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const KEY_EXPORT_FORMAT = 'minecraft-core-backup-keys';
+const KEY_EXPORT_VERSION = 1;
+
+// `${resolvedServerPath}::${keyId}` -> Buffer, so safeStorage is not hit per chunk
+const keyCache = new Map();
+
+function getKeyringKey(serverPath) {
+  return `backupEncryptionKeys_${Buffer.from(path.resolve(serverPath)).toString('base64')}`;
+}
+
+function readKeyring(serverPath) {
+  const keyring = appStore.get(getKeyringKey(serverPath));
+  return keyring && typeof keyring === 'object' ? keyring : {};
+}
+
+function addKeyToKeyring(serverPath, key, kdf = null) {
+  const keyId = getKeyId(key);
+  const keyring = readKeyring(serverPath);
+  if (!keyring[keyId]) {
+    keyring[keyId] = {
+      key: packSecret(key.toString('base64')),
+      kdf,
+      addedAt: new Date().toISOString()
+    };
+    appStore.set(getKeyringKey(serverPath), keyring);
+  }
+  keyCache.set(`${path.resolve(serverPath)}::${keyId}`, key);
+  return keyId;
+}
+
+/**
+ * Look up a key of this instance by id
+ * @param {string} serverPath
+ * @param {string} keyId
+ * @returns {Buffer|null}
+ */
+function getBackupKey(serverPath, keyId) {
+  const cacheKey = `${path.resolve(serverPath)}::${keyId}`;
+  if (keyCache.has(cacheKey)) return keyCache.get(cacheKey);
+  const entry = readKeyring(serverPath)[keyId];
+  if (!entry) return null;
+  const key = Buffer.from(unpackSecret(entry.key), 'base64');
+  keyCache.set(cacheKey, key);
+  return key;
+}
+
+/**
+ * Key lookup for code that only knows the backups folder (the snapshot store)
+ * @param {string} backupDir - <serverPath>/backups
+ * @param {string} keyId
+ * @returns {Buffer}
+ */
+function requireBackupKey(backupDir, keyId) {
+  const key = getBackupKey(path.dirname(path.resolve(backupDir)), keyId);
+  if (!key) {
+    throw new BackupKeyError(
+      `This backup is encrypted with key ${keyId}, which is not on this machine. Import the key file or unlock it with its passphrase.`,
+      keyId
+    );
+  }
+  return key;
+}
+
+function readSettings(serverPath) {
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  return normalizeBackupEncryption(config ? config.backupEncryption : null);
+}
+
+/**
+ * Key new backups of this instance are encrypted with
+ * @param {string} serverPath
+ * @returns {{key: Buffer, keyId: string, kdf?: Object}|null} null when encryption is off
+ */
+function getActiveBackupKey(serverPath) {
+  const settings = readSettings(serverPath);
+  if (!settings.enabled) return null;
+  const key = getBackupKey(serverPath, settings.keyId);
+  if (!key) {
+    // Refuse to silently fall back to writing plain backups
+    throw new BackupKeyError('Backup encryption is on but its key is missing from this machine', settings.keyId);
+  }
+  const entry = readKeyring(serverPath)[settings.keyId];
+  return entry && entry.kdf ? { key, keyId: settings.keyId, kdf: entry.kdf } : { key, keyId: settings.keyId };
+}
+
+function getEncryptionStatus(serverPath) {
+  const settings = readSettings(serverPath);
+  const keyring = readKeyring(serverPath);
+  return {
+    ...settings,
+    keyAvailable: settings.keyId ? !!keyring[settings.keyId] : false,
+    knownKeys: Object.keys(keyring)
+  };
+}
+
+/**
+ * Turn encryption on for new backups
+ * @param {string} serverPath
+ * @param {{mode: 'keychain'|'passphrase', passphrase?: string}} options
+ */
+async function enableBackupEncryption(serverPath, { mode, passphrase } = {}) {
+  try {
+    if (!BACKUP_ENCRYPTION_MODES.includes(mode)) {
+      throw new Error(`Unknown encryption mode "${mode}"`);
+    }
+    ensureEncryptionAvailable();
+    let keyId;
+    if (mode === 'passphrase') {
+      if (typeof passphrase !== 'string' || passphrase.length < 8) {
+        throw new Error('Passphrase must be at least 8 characters');
+      }
+      const { key, kdf } = await deriveKey(passphrase);
+      keyId = addKeyToKeyring(serverPath, key, kdf);
+    } else {
+      keyId = addKeyToKeyring(serverPath, generateKey());
+    }
+    updateServerConfig(serverPath, { backupEncryption: { enabled: true, mode, keyId } }, getDefaultServerConfig());
+    logger.info('Backup encryption enabled', {
+      category: 'storage',
+      data: { service: 'BackupEncryption', serverPath, mode, keyId }
+    });
+    return { success: true, status: getEncryptionStatus(serverPath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+function disableBackupEncryption(serverPath) {
+  const settings = readSettings(serverPath);
+  updateServerConfig(serverPath, { backupEncryption: { ...settings, enabled: false } }, getDefaultServerConfig());
+  logger.info('Backup encryption disabled', {
+    category: 'storage',
+    data: { service: 'BackupEncryption', serverPath, keyId: settings.keyId }
+  });
+  return { success: true, status: getEncryptionStatus(serverPath) };
+}
+
+/**
+ * Export every key of an instance, sealed with a passphrase, for restoring on another machine
+ * @returns {Promise<{success: boolean, content?: string, keyCount?: number, error?: string}>}
+ */
+async function exportBackupKeys(serverPath, passphrase) {
+  try {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('Export passphrase must be at least 8 characters');
+    }
+    const keyring = readKeyring(serverPath);
+    const keyIds = Object.keys(keyring);
+    if (keyIds.length === 0) {
+      throw new Error('This instance has no backup keys to export');
+    }
+    const { key: wrapKey, kdf } = await deriveKey(passphrase);
+    const wrapping = { key: wrapKey, keyId: getKeyId(wrapKey), kdf };
+    const keys = keyIds.map(keyId => ({
+      keyId,
+      kdf: keyring[keyId].kdf || null,
+      sealed: encryptBuffer(getBackupKey(serverPath, keyId), wrapping).toString('base64')
+    }));
+    const content = JSON.stringify({
+      format: KEY_EXPORT_FORMAT,
+      version: KEY_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      keys
+    }, null, 2);
+    logger.info('Exported backup keys', {
+      category: 'storage',
+      data: { service: 'BackupEncryption', serverPath, keyCount: keys.length }
+    });
+    return { success: true, content, keyCount: keys.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Import keys from an export file
+ * @param {string} serverPath
+ * @param {string} content - Export file contents
+ * @param {string} passphrase - Passphrase the file was exported with
+ */
+async function importBackupKeys(serverPath, content, passphrase) {
+  try {
+    ensureEncryptionAvailable();
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      throw new Error('Not a backup key file');
+    }
+    if (!data || data.format !== KEY_EXPORT_FORMAT || !Array.isArray(data.keys)) {
+      throw new Error('Not a backup key file');
+    }
+    if (data.version > KEY_EXPORT_VERSION) {
+      throw new Error(`Key file version ${data.version} is not supported`);
+    }
+
+    const imported = [];
+    const wrapKeys = new Map(); // salt -> derived wrapping key
+    for (const entry of data.keys) {
+      const sealed = Buffer.from(entry.sealed, 'base64');
+      const parsed = parseHeader(sealed);
+      if (!parsed || !parsed.header.kdf) throw new Error('Key file is damaged');
+      const { salt } = parsed.header.kdf;
+      if (!wrapKeys.has(salt)) {
+        wrapKeys.set(salt, (await deriveKey(passphrase, parsed.header.kdf)).key);
+      }
+      let key;
+      try {
+        key = decryptBuffer(sealed, wrapKeys.get(salt));
+      } catch {
+        throw new Error('Wrong passphrase for this key file');
+      }
+      if (getKeyId(key) !== entry.keyId) throw new Error('Key file is damaged');
+      addKeyToKeyring(serverPath, key, entry.kdf || null);
+      imported.push(entry.keyId);
+    }
+    logger.info('Imported backup keys', {
+      category: 'storage',
+      data: { service: 'BackupEncryption', serverPath, keyIds: imported }
+    });
+    return { success: true, imported, status: getEncryptionStatus(serverPath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Add the key of a passphrase-encrypted backup (e.g. one copied from another machine)
+ */
+async function unlockBackupWithPassphrase(serverPath, name, passphrase) {
+  try {
+    ensureEncryptionAvailable();
+    const header = await readFileHeader(path.join(serverPath, 'backups', path.basename(name)));
+    if (!header) throw new Error('This backup is not encrypted');
+    if (getBackupKey(serverPath, header.keyId)) {
+      return { success: true, keyId: header.keyId };
+    }
+    if (!header.kdf) {
+      throw new Error('This backup uses a keychain key; import the exported key file instead');
+    }
+    const { key } = await deriveKey(passphrase, header.kdf);
+    if (getKeyId(key) !== header.keyId) throw new Error('Wrong passphrase');
+    addKeyToKeyring(serverPath, key, header.kdf);
+    logger.info('Unlocked backup key with passphrase', {
+      category: 'storage',
+      data: { service: 'BackupEncryption', serverPath, keyId: header.keyId }
+    });
+    return { success: true, keyId: header.keyId };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Read a backup's .json sidecar, decrypting it if needed
+ * @returns {Object|null} null when missing or unreadable (e.g. key not on this machine)
+ */
+function readBackupMetadata(serverPath, metaPath) {
+  if (!fs.existsSync(metaPath)) return null;
+  try {
+    let data = fs.readFileSync(metaPath);
+    if (isEncryptedData(data)) {
+      const { keyId } = parseHeader(data).header;
+      const key = getBackupKey(serverPath, keyId);
+      if (!key) return { encrypted: true, locked: true, keyId };
+      data = decryptBuffer(data, key);
+    }
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a backup's .json sidecar, encrypted when the instance encrypts backups
+ */
+function writeBackupMetadata(serverPath, metaPath, metadata) {
+  const json = Buffer.from(JSON.stringify(metadata, null, 2));
+  const keyInfo = getActiveBackupKey(serverPath);
+  fs.writeFileSync(metaPath, keyInfo ? encryptBuffer(json, keyInfo) : json);
+}
+
+/**
+ * What to hand to AdmZip for a zip backup: the path, or the decrypted bytes
+ * @returns {Promise<string|Buffer>}
+ */
+async function loadZipSource(serverPath, archivePath) {
+  const header = await readFileHeader(archivePath);
+  if (!header) return archivePath;
+  return decryptFileToBuffer(archivePath, (keyId) => requireBackupKey(path.join(serverPath, 'backups'), keyId));
+}
+
+/**
+ * Whether a backup file is encrypted, and whether this machine has its key
+ * @returns {{encrypted: boolean, keyId?: string, keyAvailable?: boolean}}
+ */
+function describeBackupEncryption(serverPath, backupPath) {
+  let probe;
+  try {
+    const fd = fs.openSync(backupPath, 'r');
+    try {
+      probe = Buffer.alloc(4096);
+      const bytesRead = fs.readSync(fd, probe, 0, probe.length, 0);
+      probe = probe.subarray(0, bytesRead);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const parsed = parseHeader(probe);
+    if (!parsed) return { encrypted: false };
+    return {
+      encrypted: true,
+      keyId: parsed.header.keyId,
+      keyAvailable: !!readKeyring(serverPath)[parsed.header.keyId]
+    };
+  } catch {
+    return { encrypted: false };
+  }
+}
+
+module.exports = {
+  getBackupKey,
+  requireBackupKey,
+  getActiveBackupKey,
+  getEncryptionStatus,
+  enableBackupEncryption,
+  disableBackupEncryption,
+  exportBackupKeys,
+  importBackupKeys,
+  unlockBackupWithPassphrase,
+  readBackupMetadata,
+  writeBackupMetadata,
+  loadZipSource,
+  describeBackupEncryption
+};
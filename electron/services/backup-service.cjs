@@ -1,8 +1,44 @@
 const fs = require('fs');
 const path = require('path');
-const { createZip, listBackups } = require('../utils/backup-util.cjs');
+const {
+  ZIP_EXTENSION,
+  SNAPSHOT_EXTENSION,
+  createZip,
+  listBackups,
+  isSnapshotBackup,
+  getBackupMetadataPath
+} = require('../utils/backup-util.cjs');
+const {
+  createSnapshot,
+  restoreSnapshot,
+  verifySnapshot,
+  pruneStore,
+  getStoreUsage,
+  readSnapshotManifest,
+  resolveInside
+} = require('../utils/backup-store.cjs');
+const {
+  buildBackupCatalog,
+  validateRestoreSelection,
+  resolveRestoreSelection
+} = require('../utils/backup-contents.cjs');
+const {
+  BACKUP_MODES,
+  DEFAULT_BACKUP_AUTOMATION,
+  getDefaultServerConfig,
+  readServerConfig
+} = require('../utils/config-manager.cjs');
+const {
+  getActiveBackupKey,
+  readBackupMetadata,
+  writeBackupMetadata,
+  loadZipSource,
+  describeBackupEncryption
+} = require('./backup-encryption.cjs');
+const { encryptFileInPlace } = require('../utils/backup-crypto.cjs');
 const AdmZip = require('adm-zip');
-const { sendServerCommand, getServerState } = require('./server-manager.cjs');
+const { sendServerCommand, waitForLogLine, getAllServerStates } = require('./server-manager.cjs');
+const { getLogMessage } = require('./player-session-service.cjs');
 const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
 // Lazy-load retention policy when needed
 let RetentionPolicy = null;
@@ -54,10 +90,24 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// How long to wait for "Saved the game" after save-all flush before archiving anyway
+const SAVE_FLUSH_TIMEOUT_MS = 60000;
+// Only the server's own message counts; a player chatting the same words must not end the wait
+const isSavedGameLine = line => getLogMessage(line) === 'Saved the game';
+// instanceId -> promise tail, so overlapping backups never re-enable saving under each other
+const worldSavePauses = new Map();
+
 function getBackupDir(serverPath) {
   return path.join(serverPath, 'backups');
 }
 
+// Local time, so backup names match what the UI shows
+function getBackupTimestamp(date) {
+  const pad = value => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
 function getWorldDirs(serverPath) {
   return ['world', 'world_nether', 'world_the_end']
     .map(dir => path.join(serverPath, dir))
@@ -70,20 +120,200 @@ function getAllDirs(serverPath) {
     .map(f => path.join(serverPath, f));
 }
 
-async function createBackup({ serverPath, type, trigger }) {
+// Explicit mode wins, otherwise use the server's backup automation setting
+function resolveBackupMode(serverPath, mode) {
+  if (BACKUP_MODES.includes(mode)) {
+    return mode;
+  }
+  try {
+    const config = readServerConfig(serverPath, getDefaultServerConfig());
+    const configured = config && config.backupAutomation ? config.backupAutomation.mode : null;
+    return BACKUP_MODES.includes(configured) ? configured : DEFAULT_BACKUP_AUTOMATION.mode;
+  } catch {
+    return DEFAULT_BACKUP_AUTOMATION.mode;
+  }
+}
+
+function getBackupExtension(mode) {
+  return mode === 'incremental' ? SNAPSHOT_EXTENSION : ZIP_EXTENSION;
+}
+
+function findLatestSnapshot(backupDir) {
+  try {
+    const latest = fs.readdirSync(backupDir)
+      .filter(isSnapshotBackup)
+      .map(name => ({ name, mtime: fs.statSync(path.join(backupDir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime)[0];
+    return latest ? path.join(backupDir, latest.name) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a zip archive or incremental snapshot of items to backupPath
+ * @param {Array<string>} items
+ * @param {string} backupPath
+ * @param {{key: Buffer, keyId: string, kdf?: Object}|null} [encryption] - Key to encrypt the backup with
+ * @returns {Promise<{size: number, snapshot: Object|null, skippedFiles: number}>} size is the on-disk bytes this backup added
+ */
+async function writeBackupArchive(items, backupPath, encryption = null, baseDir = null) {
+  if (isSnapshotBackup(backupPath)) {
+    const snapshot = await createSnapshot(items, backupPath, {
+      previousSnapshotPath: findLatestSnapshot(path.dirname(backupPath)),
+      encryption,
+      baseDir
+    });
+    return { size: snapshot.addedSize, snapshot, skippedFiles: snapshot.skippedFiles };
+  }
+  const { skippedFiles } = await createZip(items, backupPath, { baseDir });
+  const size = encryption ? await encryptFileInPlace(backupPath, encryption) : fs.statSync(backupPath).size;
+  return { size, snapshot: null, skippedFiles: skippedFiles.length };
+}
+
+// Retry transient lock errors (Windows antivirus, cloud sync) with a growing delay
+async function writeBackupArchiveWithRetry(items, backupPath, encryption, maxAttempts, baseDelayMs) {
+  let attempts = 0;
+  for (;;) {
+    try {
+      return await writeBackupArchive(items, backupPath, encryption);
+    } catch (err) {
+      attempts++;
+      if ((err.code === 'EBUSY' || err.code === 'DIRECTORYFUNCTIONINVALIDDATA') && attempts < maxAttempts) {
+        await sleep(baseDelayMs * attempts);
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+// The running server instance that owns serverPath, if any
+function findRunningServer(serverPath) {
+  const target = path.resolve(serverPath);
+  return getAllServerStates().find(state =>
+    state.isRunning && state.targetPath && path.resolve(state.targetPath) === target
+  ) || null;
+}
+
+/**
+ * Run archive() while the server has world saving turned off.
+ * Sends save-off and save-all flush, waits for the flush to be confirmed in the
+ * log, and always sends save-on afterwards, even when archiving fails.
+ * @template T
+ * @param {{instanceId: string}} selector - Running server instance
+ * @param {() => Promise<T>} archive
+ * @returns {Promise<{result: T, flushed: boolean}>} flushed is false when the flush was not confirmed in time
+ */
+function withWorldSavingPaused(selector, archive) {
+  const previous = worldSavePauses.get(selector.instanceId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => pauseWorldSavingAndArchive(selector, archive));
+  const tail = run.catch(() => {});
+  worldSavePauses.set(selector.instanceId, tail);
+  tail.then(() => {
+    if (worldSavePauses.get(selector.instanceId) === tail) {
+      worldSavePauses.delete(selector.instanceId);
+    }
+  });
+  return run;
+}
+
+async function pauseWorldSavingAndArchive(selector, archive) {
+  const logData = { service: 'BackupService', operation: 'withWorldSavingPaused', instanceId: selector.instanceId };
+  if (!sendServerCommand(selector, 'save-off')) {
+    logger.warn('Could not disable world saving; backing up without a flush', {
+      category: 'storage',
+      data: logData
+    });
+    return { result: await archive(), flushed: false };
+  }
+
+  try {
+    let flushed = false;
+    const saved = waitForLogLine(selector, isSavedGameLine, SAVE_FLUSH_TIMEOUT_MS);
+    if (!sendServerCommand(selector, 'save-all flush')) {
+      // Nothing will confirm a flush that was never sent
+      saved.catch(() => {});
+      logger.warn('Could not send save-all flush; backing up without a flush', {
+        category: 'storage',
+        data: logData
+      });
+      return { result: await archive(), flushed: false };
+    }
+    try {
+      await saved;
+      flushed = true;
+    } catch (err) {
+      logger.warn(`World flush was not confirmed: ${err.message}`, {
+        category: 'storage',
+        data: { ...logData, timeoutMs: SAVE_FLUSH_TIMEOUT_MS }
+      });
+    }
+    return { result: await archive(), flushed };
+  } finally {
+    if (!sendServerCommand(selector, 'save-on')) {
+      logger.error('Failed to re-enable world saving after backup', {
+        category: 'storage',
+        data: logData
+      });
+    }
+  }
+}
+
+/**
+ * Archive items, pausing world saving first if the server is running
+ * @returns {Promise<{archiveResult: {size: number, snapshot: Object|null, skippedFiles: number}, consistent: boolean, serverRunning: boolean}>}
+ */
+async function archiveServerFiles(serverPath, items, backupPath) {
+  const runningServer = findRunningServer(serverPath);
+  const encryption = getActiveBackupKey(serverPath);
+  try {
+    if (runningServer) {
+      const { result, flushed } = await withWorldSavingPaused(
+        { instanceId: runningServer.instanceId },
+        () => writeBackupArchiveWithRetry(items, backupPath, encryption, 5, 2000)
+      );
+      return { archiveResult: result, consistent: flushed && result.skippedFiles === 0, serverRunning: true };
+    }
+    const result = await writeBackupArchiveWithRetry(items, backupPath, encryption, 3, 1000);
+    return { archiveResult: result, consistent: result.skippedFiles === 0, serverRunning: false };
+  } catch (err) {
+    // Delete the incomplete archive if it exists
+    if (fs.existsSync(backupPath)) {
+      fs.rmSync(backupPath, { force: true });
+    }
+    throw err;
+  }
+}
+
+// Metadata fields describing how consistent a backup is
+function describeConsistency({ archiveResult, consistent, serverRunning }) {
+  const details = { consistent, serverRunning };
+  if (archiveResult.skippedFiles > 0) {
+    details.skippedFiles = archiveResult.skippedFiles;
+  }
+  return details;
+}
+
+function describeSnapshot(snapshot) {
+  return snapshot
+    ? {
+        format: 'incremental',
+        logicalSize: snapshot.logicalSize,
+        fileCount: snapshot.fileCount,
+        newChunks: snapshot.newChunks,
+        reusedFiles: snapshot.reusedFiles
+      }
+    : { format: 'zip' };
+}
+
+async function createBackup({ serverPath, type, trigger, mode }) {
   const backupDir = getBackupDir(serverPath);
   if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir, { recursive: true });
 
   const now = new Date();
-  // Use local time for filename to match UI display
-  const year = now.getFullYear();
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  const hour = now.getHours().toString().padStart(2, '0');
-  const minute = now.getMinutes().toString().padStart(2, '0');
-  const second = now.getSeconds().toString().padStart(2, '0');
-  const timestamp = `${year}-${month}-${day}_${hour}-${minute}-${second}`;
-  const name = `backup-${type}-${timestamp}.zip`;
+  const timestamp = getBackupTimestamp(now);
+  const name = `backup-${type}-${timestamp}${getBackupExtension(resolveBackupMode(serverPath, mode))}`;
   const zipPath = path.join(backupDir, name);
 
   let items;
@@ -93,21 +323,24 @@ async function createBackup({ serverPath, type, trigger }) {
     items = getWorldDirs(serverPath);
   }
 
-  await createZip(items, zipPath);
-  const stats = fs.statSync(zipPath);
+  const archived = await archiveServerFiles(serverPath, items, zipPath);
+  const { size, snapshot } = archived.archiveResult;
   const metadata = {
     type,
     timestamp: now.toISOString(), // Keep ISO format for internal use but filename uses local time
-    size: stats.size,
+    size,
     trigger,
+    ...describeSnapshot(snapshot),
+    ...describeConsistency(archived)
     // Optionally add MC/Fabric version here
   };
-  fs.writeFileSync(zipPath.replace('.zip', '.json'), JSON.stringify(metadata, null, 2));
-  return { name, size: stats.size, metadata };
+  writeBackupMetadata(serverPath, getBackupMetadataPath(zipPath), metadata);
+  return { name, size, metadata };
 }
 
-async function safeCreateBackup({ serverPath, type, trigger }) {
+async function safeCreateBackup({ serverPath, type, trigger, mode }) {
   const backupStartTime = Date.now();
+  const backupMode = resolveBackupMode(serverPath, mode);
   performanceMetrics.backupsCreated++;
   
   logger.info('Starting backup creation', {
@@ -118,6 +351,7 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
       serverPath,
       type,
       trigger,
+      mode: backupMode,
       totalBackupsCreated: performanceMetrics.backupsCreated
     }
   });
@@ -138,17 +372,11 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     }
 
   const now = new Date();
-  // Use local time for filename to match UI display
-  const year = now.getFullYear();
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  const hour = now.getHours().toString().padStart(2, '0');
-  const minute = now.getMinutes().toString().padStart(2, '0');
-  const second = now.getSeconds().toString().padStart(2, '0');
-  const timestamp = `${year}-${month}-${day}_${hour}-${minute}-${second}`;
-  const name = `backup-${type}-${timestamp}.zip`;
+  const timestamp = getBackupTimestamp(now);
+  const name = `backup-${type}-${timestamp}${getBackupExtension(backupMode)}`;
   const zipPath = path.join(backupDir, name);
-  const metaPath = zipPath.replace('.zip', '.json');
+  const metaPath = getBackupMetadataPath(zipPath);
+  let archiveResult = null;
 
   let items;
   if (type === 'full') {
@@ -157,10 +385,6 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     items = getWorldDirs(serverPath);
   }
 
-  // Check if the server is running
-  const serverState = getServerState();
-  const isServerRunning = serverState.isRunning;
-
   // Create metadata first to ensure it's saved even if the zip has issues
   const metadata = {
     type,
@@ -169,11 +393,12 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     trigger,
     automated: trigger === 'auto' || trigger === 'app-launch',
     source: trigger,
+    format: backupMode === 'incremental' ? 'incremental' : 'zip'
   };
   
   // Try to write metadata file first
   try {
-    fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+    writeBackupMetadata(serverPath, metaPath, metadata);
   } catch (error) {
     logger.error('Failed to write backup metadata file', {
       category: 'storage',
@@ -205,96 +430,28 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     throw new Error('No valid directories found to backup');
   }
   
-  // If server is running, use the save-off/save-on protocol
-  if (isServerRunning) {
-    try {
-      // Disable world saving
-      sendServerCommand('save-off');
-      
-      // Flush all pending changes to disk
-      sendServerCommand('save-all flush');
-      
-      // Wait for flush to complete (approximately 2 seconds)
-      await sleep(2000);
-      
-      // Create the backup with retry logic for EBUSY errors
-      let attempts = 0;
-      const maxAttempts = 5; // Increased from 3 to 5
-      let backupError = null;
-      
-      while (attempts < maxAttempts) {
-        try {
-          await createZip(items, zipPath);
-          backupError = null;
-          break; // Success, exit the loop
-        } catch (err) {
-          backupError = err;
-          attempts++;
-          
-          if ((err.code === 'EBUSY' || err.code === 'DIRECTORYFUNCTIONINVALIDDATA') && attempts < maxAttempts) {
-            const waitTime = 2000 * attempts; // Progressively longer wait
-            await sleep(waitTime);
-            continue;
-          }
-          // If we've exhausted retries or it's not a retriable error, break the loop
-          break;
-        }
-      }
-      
-      // Re-enable world saving
-      sendServerCommand('save-on');
-      
-      // If all attempts failed, throw the last error
-      if (backupError) {
-        throw backupError;
-      }
-    } catch (err) {
-      // Make sure to re-enable saving even if backup fails
-      if (isServerRunning) {
-        sendServerCommand('save-on');
-      }
-      
-      // Delete the incomplete zip file if it exists
-      if (fs.existsSync(zipPath)) {
-        fs.rmSync(zipPath, { force: true });
-      }
-      
-      throw err;
-    }  } else {
-    // Server not running, just create the backup normally
-    let attempts = 0;
-    const maxAttempts = 3;
-    let backupError = null;
-    
-    while (attempts < maxAttempts) {
-      try {
-        await createZip(items, zipPath);
-        backupError = null;
-        break; // Success, exit the loop
-      } catch (err) {
-        backupError = err;
-        attempts++;
-        
-        if ((err.code === 'EBUSY' || err.code === 'DIRECTORYFUNCTIONINVALIDDATA') && attempts < maxAttempts) {
-          const waitTime = 1000 * attempts;
-          await sleep(waitTime);
-          continue;
-        }
-        break;
-      }
-    }
-    
-    if (backupError) {
-      if (fs.existsSync(zipPath)) {
-        fs.rmSync(zipPath, { force: true });
+  // Pauses world saving first when the server is running
+  const archived = await archiveServerFiles(serverPath, items, zipPath);
+  archiveResult = archived.archiveResult;
+  const isServerRunning = archived.serverRunning;
+  Object.assign(metadata, describeConsistency(archived));
+  if (isServerRunning && !archived.consistent) {
+    logger.warn('Live backup may not be consistent', {
+      category: 'storage',
+      data: {
+        service: 'BackupService',
+        operation: 'safeCreateBackup',
+        name,
+        skippedFiles: archiveResult.skippedFiles
       }
-      throw backupError;
-    }
+    });
   }
 
   // Update metadata with file size and integrate with enhanced size tracking
-  if (fs.existsSync(zipPath)) {
-    const stats = fs.statSync(zipPath);
+  if (fs.existsSync(zipPath) && archiveResult) {
+    // For snapshots the size is what this run added to the store, not the manifest size
+    const stats = { size: archiveResult.size };
+    Object.assign(metadata, describeSnapshot(archiveResult.snapshot));
     metadata.size = stats.size;
     performanceMetrics.totalBackupSize += stats.size;
     performanceMetrics.lastBackupSize = stats.size;
@@ -312,8 +469,11 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     performanceMetrics.averageBackupTime = 
       (performanceMetrics.averageBackupTime + backupDuration) / 2;
     
-    // Verify the zip isn't empty (should be at least a few bytes)
-    if (stats.size < 100) {
+    // Verify the backup isn't empty (a zip should be at least a few bytes, a snapshot needs files)
+    const isEmpty = archiveResult.snapshot
+      ? archiveResult.snapshot.fileCount === 0
+      : stats.size < 100;
+    if (isEmpty) {
       logger.error('Backup file appears to be empty or corrupted', {
         category: 'storage',
         data: {
@@ -330,7 +490,7 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     }
     
     // Write updated metadata with the correct size
-    fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+    writeBackupMetadata(serverPath, metaPath, metadata);
     
   logger.info('Backup created successfully', {
       category: 'storage',
@@ -342,6 +502,7 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
         size: stats.size,
         type,
         trigger,
+        mode: backupMode,
         isServerRunning,
         itemsBackedUp: items.length,
         totalBackupsCreated: performanceMetrics.backupsCreated,
@@ -353,6 +514,21 @@ async function safeCreateBackup({ serverPath, type, trigger }) {
     
   // Fire-and-forget advanced retention after successful creation
   try { applyAdvancedRetention({ serverPath, trigger }); } catch { /* ignore */ }
+  // Fire-and-forget off-site copies; progress and results are reported by the target service
+  try {
+    const { uploadNewBackup } = require('./backup-target-service.cjs');
+    uploadNewBackup(serverPath, name).catch(err => {
+      logger.warn('Off-site backup upload failed', {
+        category: 'storage',
+        data: { service: 'BackupService', operation: 'safeCreateBackup', name, error: err.message }
+      });
+    });
+  } catch (err) {
+    logger.warn('Backup target service unavailable', {
+      category: 'storage',
+      data: { service: 'BackupService', operation: 'safeCreateBackup', error: err.message }
+    });
+  }
   return { name, size: stats.size, metadata };
   } else {
     const backupDuration = Date.now() - backupStartTime;
@@ -444,16 +620,27 @@ async function applyAdvancedRetention({ serverPath, trigger }) {
 
 async function listBackupsWithMetadata(serverPath) {
   const backups = await listBackups(serverPath);
+  const storeUsage = backups.some(b => isSnapshotBackup(b.name))
+    ? await getStoreUsage(getBackupDir(serverPath)).catch(() => null)
+    : null;
   return backups.map(b => {
-    const metaPath = b.path.replace('.zip', '.json');
-    let metadata = null;
-    if (fs.existsSync(metaPath)) {      try {
-        metadata = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
-      } catch {
-        metadata = null;
-      }
+    const metaPath = getBackupMetadataPath(b.path);
+    const metadata = readBackupMetadata(serverPath, metaPath);
+    const encryption = describeBackupEncryption(serverPath, b.path);
+    const usage = storeUsage && storeUsage.snapshots[b.name];
+    if (usage) {
+      // Snapshot manifests are tiny; report the store space attributed to them instead
+      return {
+        ...b,
+        size: usage.size,
+        exclusiveSize: usage.exclusiveSize,
+        logicalSize: usage.logicalSize,
+        format: 'incremental',
+        encryption,
+        metadata
+      };
     }
-    return { ...b, metadata };
+    return { ...b, format: isSnapshotBackup(b.name) ? 'incremental' : 'zip', encryption, metadata };
   });
 }
 
@@ -461,9 +648,14 @@ async function deleteBackup({ serverPath, name }) {
   try {
     const backupDir = getBackupDir(serverPath);
     const zipPath = path.join(backupDir, name);
-    const metaPath = zipPath.replace('.zip', '.json');
+    const metaPath = getBackupMetadataPath(zipPath);
     if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
     if (fs.existsSync(metaPath)) fs.unlinkSync(metaPath);
+    if (isSnapshotBackup(name)) {
+      // Drop chunks that no remaining snapshot references
+      const pruned = await pruneStore(backupDir);
+      return { success: true, freedBytes: pruned.freedBytes };
+    }
     return { success: true };
   } catch (err) {
     return { success: false, error: err.message };
@@ -471,12 +663,13 @@ async function deleteBackup({ serverPath, name }) {
 }
 
 async function renameBackup({ serverPath, oldName, newName }) {
-  if (!newName.endsWith('.zip')) throw new Error('Backup name must end with .zip');
+  const extension = isSnapshotBackup(oldName) ? SNAPSHOT_EXTENSION : ZIP_EXTENSION;
+  if (!newName.endsWith(extension)) throw new Error(`Backup name must end with ${extension}`);
   const backupDir = getBackupDir(serverPath);
   const oldZip = path.join(backupDir, oldName);
-  const oldMeta = oldZip.replace('.zip', '.json');
+  const oldMeta = getBackupMetadataPath(oldZip);
   const newZip = path.join(backupDir, newName);
-  const newMeta = newZip.replace('.zip', '.json');
+  const newMeta = getBackupMetadataPath(newZip);
   if (fs.existsSync(newZip)) throw new Error('A backup with that name already exists');
   fs.renameSync(oldZip, newZip);
   if (fs.existsSync(oldMeta)) fs.renameSync(oldMeta, newMeta);
@@ -489,31 +682,23 @@ async function restoreBackup({ serverPath, name, serverStatus }) {
     }
     const backupDir = getBackupDir(serverPath);
     const zipPath = path.join(backupDir, name);
-    const metaPath = zipPath.replace('.zip', '.json');
+    const metaPath = getBackupMetadataPath(zipPath);
+    const isSnapshot = isSnapshotBackup(name);
     if (!fs.existsSync(zipPath)) {
       return { success: false, error: 'Backup file not found.' };
     }
-    let type = 'full';
-    if (fs.existsSync(metaPath)) {      try {
-        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
-        if (meta.type) type = meta.type;
-      } catch {
-        type = 'full';
-      }
-    }
+    // Open the backup before touching anything so a missing key fails the restore up front
+    const zip = isSnapshot ? null : await openZipBackup(serverPath, zipPath);
+    if (isSnapshot) await readSnapshotManifest(zipPath);
+    const meta = readBackupMetadata(serverPath, metaPath);
+    const type = meta && meta.type ? meta.type : 'full';
     // Determine if this is a world-type restore (including world-delete backups)
     const isWorldType = (type === 'world' || type === 'world-delete');
     // Before restoring, backup the current world (or everything for full)
     const now = new Date();
-    // Use local time for filename consistency
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const day = now.getDate().toString().padStart(2, '0');
-    const hour = now.getHours().toString().padStart(2, '0');
-    const minute = now.getMinutes().toString().padStart(2, '0');
-    const second = now.getSeconds().toString().padStart(2, '0');
-    const timestamp = `${year}-${month}-${day}_${hour}-${minute}-${second}`;
-    let preRestoreBackupName = `pre-restore-${type}-${timestamp}.zip`;
+    const timestamp = getBackupTimestamp(now);
+    // Snapshot restores take a snapshot first too; it mostly reuses existing chunks
+    let preRestoreBackupName = `pre-restore-${type}-${timestamp}${isSnapshot ? SNAPSHOT_EXTENSION : ZIP_EXTENSION}`;
     let preRestoreBackupPath = path.join(backupDir, preRestoreBackupName);
     // Choose folders to backup before restore
     const itemsToBackup = isWorldType
@@ -521,16 +706,20 @@ async function restoreBackup({ serverPath, name, serverStatus }) {
       : getAllDirs(serverPath);
     if (itemsToBackup.length > 0) {
       try {
-        await createZip(itemsToBackup, preRestoreBackupPath);
+        const { size, snapshot } = await writeBackupArchive(
+          itemsToBackup,
+          preRestoreBackupPath,
+          getActiveBackupKey(serverPath)
+        );
         // Write metadata for pre-restore backup
-        const stats = fs.statSync(preRestoreBackupPath);
         const preMeta = {
           type,
           timestamp: now.toISOString(),
-          size: stats.size,
-          trigger: 'pre-restore'
+          size,
+          trigger: 'pre-restore',
+          ...describeSnapshot(snapshot)
         };
-        fs.writeFileSync(preRestoreBackupPath.replace('.zip', '.json'), JSON.stringify(preMeta, null, 2));
+        writeBackupMetadata(serverPath, getBackupMetadataPath(preRestoreBackupPath), preMeta);
       } catch (err) {
         return { success: false, error: 'Failed to create pre-restore backup: ' + err.message };
       }
@@ -545,14 +734,232 @@ async function restoreBackup({ serverPath, name, serverStatus }) {
       }
     }
     // For full backups, just extract and overwrite everything
-    const zip = new (/** @type {any} */ (AdmZip))(zipPath);
-    zip.extractAllTo(serverPath, true);
+    if (isSnapshot) {
+      await restoreSnapshot(zipPath, serverPath);
+    } else {
+      zip.extractAllTo(serverPath, true);
+    }
     return { success: true, message: 'Backup restored successfully.', preRestoreBackup: preRestoreBackupName };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
+// Open a zip backup, decrypting it into memory when it is encrypted
+async function openZipBackup(serverPath, backupPath) {
+  return new (/** @type {any} */ (AdmZip))(await loadZipSource(serverPath, backupPath));
+}
+
+// Check a backup can actually be restored: snapshot chunks are re-hashed, zip entries CRC-checked
+// List every entry of a zip or snapshot as { path, size, isDirectory }
+async function readBackupEntries(serverPath, backupPath) {
+  if (isSnapshotBackup(backupPath)) {
+    const manifest = await readSnapshotManifest(backupPath);
+    return manifest.entries.map(entry => ({
+      path: entry.path,
+      size: entry.size || 0,
+      isDirectory: entry.type === 'dir'
+    }));
+  }
+  const zip = await openZipBackup(serverPath, backupPath);
+  return zip.getEntries().map(entry => ({
+    path: entry.entryName,
+    size: entry.header.size,
+    isDirectory: entry.isDirectory
+  }));
+}
+
+// uuid -> name from the server's usercache.json, so player data can be shown by name
+function readPlayerNames(serverPath) {
+  const names = new Map();
+  try {
+    const cache = JSON.parse(fs.readFileSync(path.join(serverPath, 'usercache.json'), 'utf-8'));
+    if (Array.isArray(cache)) {
+      for (const item of cache) {
+        if (item && item.uuid && item.name) names.set(String(item.uuid).toLowerCase(), item.name);
+      }
+    }
+  } catch {
+    // No cache yet; players are listed by UUID only
+  }
+  return names;
+}
+
+/**
+ * Browse a backup: dimensions with region bounds, player data, datapacks and config files
+ */
+async function listBackupContents({ serverPath, name }) {
+  try {
+    const backupPath = path.join(getBackupDir(serverPath), name);
+    if (!fs.existsSync(backupPath)) {
+      return { success: false, error: 'Backup file not found.' };
+    }
+    const catalog = buildBackupCatalog(await readBackupEntries(serverPath, backupPath));
+    const playerNames = readPlayerNames(serverPath);
+    catalog.players = catalog.players.map(player => ({ ...player, name: playerNames.get(player.uuid) || null }));
+    return { success: true, name, ...catalog };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Restore only the selected parts of a backup into the server folder.
+ * The live copies of everything touched are backed up first.
+ * @param {Object} params
+ * @param {string} params.serverPath
+ * @param {string} params.name - Backup file name
+ * @param {Object} params.selection - See resolveRestoreSelection in backup-contents.cjs
+ * @param {string} [params.serverStatus]
+ */
+async function restoreBackupSelection({ serverPath, name, selection, serverStatus }) {
+  try {
+    if ((serverStatus && serverStatus === 'Running') || findRunningServer(serverPath)) {
+      return { success: false, error: 'Cannot restore while server is running. Please stop the server first.' };
+    }
+    const validation = validateRestoreSelection(selection);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    const backupDir = getBackupDir(serverPath);
+    const backupPath = path.join(backupDir, name);
+    if (!fs.existsSync(backupPath)) {
+      return { success: false, error: 'Backup file not found.' };
+    }
+    const isSnapshot = isSnapshotBackup(name);
+    const { files, clearFolders } = resolveRestoreSelection(await readBackupEntries(serverPath, backupPath), selection);
+    if (files.length === 0) {
+      return { success: false, error: 'The selection does not match any files in this backup.' };
+    }
+
+    // Nothing is touched unless every path stays inside the server folder
+    let clearPaths;
+    let filePaths;
+    try {
+      clearPaths = clearFolders.map(folder => resolveInside(serverPath, folder));
+      filePaths = files.map(file => resolveInside(serverPath, file));
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+    const serverRoot = path.resolve(serverPath);
+    if (clearPaths.includes(serverRoot)) {
+      return { success: false, error: 'The selection would clear the whole server folder.' };
+    }
+
+    // Safety backup of just the live paths the restore overwrites or clears
+    const isCleared = target => clearPaths.some(folder => target.startsWith(folder + path.sep));
+    const overwritten = [
+      ...clearPaths,
+      ...filePaths.filter(target => !isCleared(target))
+    ].filter(fs.existsSync);
+    const now = new Date();
+    const timestamp = getBackupTimestamp(now);
+    let preRestoreBackupName = null;
+    if (overwritten.length > 0) {
+      preRestoreBackupName = `pre-restore-partial-${timestamp}${isSnapshot ? SNAPSHOT_EXTENSION : ZIP_EXTENSION}`;
+      const preRestoreBackupPath = path.join(backupDir, preRestoreBackupName);
+      try {
+        const { size, snapshot } = await writeBackupArchive(
+          overwritten,
+          preRestoreBackupPath,
+          getActiveBackupKey(serverPath),
+          serverRoot
+        );
+        const preMeta = {
+          type: 'partial',
+          timestamp: now.toISOString(),
+          size,
+          trigger: 'pre-restore',
+          restoredFrom: name,
+          ...describeSnapshot(snapshot)
+        };
+        writeBackupMetadata(serverPath, getBackupMetadataPath(preRestoreBackupPath), preMeta);
+      } catch (err) {
+        if (fs.existsSync(preRestoreBackupPath)) {
+          fs.rmSync(preRestoreBackupPath, { force: true });
+        }
+        return { success: false, error: 'Failed to create pre-restore backup: ' + err.message };
+      }
+    }
+
+    // Whole dimensions replace the live folders so chunks generated since the backup go away
+    for (const folder of clearPaths) {
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+
+    const wanted = new Set(files);
+    let restoredFiles = 0;
+    if (isSnapshot) {
+      ({ fileCount: restoredFiles } = await restoreSnapshot(backupPath, serverPath, {
+        filter: entryPath => wanted.has(entryPath)
+      }));
+    } else {
+      const zip = await openZipBackup(serverPath, backupPath);
+      for (const entry of zip.getEntries()) {
+        if (entry.isDirectory || !wanted.has(entry.entryName.replace(/\\/g, '/'))) continue;
+        zip.extractEntryTo(entry, serverPath, true, true);
+        restoredFiles++;
+      }
+    }
+
+    logger.warn('Selective restore completed', {
+      category: 'backup',
+      data: {
+        service: 'BackupService',
+        operation: 'restoreBackupSelection',
+        serverPath,
+        name,
+        restoredFiles,
+        clearedFolders: clearFolders.length,
+        preRestoreBackup: preRestoreBackupName
+      }
+    });
+    return {
+      success: true,
+      message: `Restored ${restoredFiles} file${restoredFiles === 1 ? '' : 's'} from ${name}.`,
+      restoredFiles,
+      preRestoreBackup: preRestoreBackupName
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+async function verifyBackup({ serverPath, name }) {
+  try {
+    const backupPath = path.join(getBackupDir(serverPath), name);
+    if (!fs.existsSync(backupPath)) {
+      return { success: false, error: 'Backup file not found.' };
+    }
+
+    if (isSnapshotBackup(name)) {
+      const result = await verifySnapshot(backupPath);
+      logger.info('Snapshot verification finished', {
+        category: 'backup',
+        data: { service: 'BackupService', operation: 'verifyBackup', name, ...result }
+      });
+      return { success: true, ...result };
+    }
+
+    const zip = await openZipBackup(serverPath, backupPath);
+    const affectedFiles = [];
+    let checkedEntries = 0;
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      checkedEntries++;
+      try {
+        entry.getData();
+      } catch {
+        affectedFiles.push(entry.entryName);
+      }
+    }
+    return { success: true, valid: affectedFiles.length === 0, checkedEntries, affectedFiles: affectedFiles.slice(0, 20) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
 // Function to clean up old automatic backups based on retention policy
 async function cleanupAutomaticBackups(serverPath, maxCount) {
   try {
@@ -621,6 +1028,9 @@ module.exports = {
   deleteBackup,
   renameBackup,
   restoreBackup,
+  listBackupContents,
+  restoreBackupSelection,
+  verifyBackup,
   cleanupAutomaticBackups,
   getWorldDirs,
   getBackupDir,
@@ -0,0 +1,569 @@
+// Off-site backup targets
+// Copies finished backups to per-instance targets (mirror folder, S3-compatible
+// storage, SFTP, WebDAV), applies each target's own retention rules, and brings
+// remote backups back into the local backups folder so they can be restored.
+// Target definitions live in .minecraft-core.json (`backupTargets`); passwords and
+// secret keys are encrypted in the app store. Upload bookkeeping (which snapshot
+// chunks a target already has, multipart upload ids) lives in backups/.uploads.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { safeSend } = require('../utils/safe-send.cjs');
+const eventBus = require('../utils/event-bus.cjs');
+const appStore = require('../utils/app-store.cjs');
+const { packSecret, unpackSecret } = require('../utils/secure-store.cjs');
+const {
+  getDefaultServerConfig,
+  readServerConfig,
+  updateServerConfig,
+  normalizeBackupTargets
+} = require('../utils/config-manager.cjs');
+const { isBackupFile, isSnapshotBackup, getBackupMetadataPath } = require('../utils/backup-util.cjs');
+const { STORE_DIR_NAME, listSnapshotObjects, importStoreObjects } = require('../utils/backup-store.cjs');
+const { RetentionPolicy } = require('../utils/retention-policy.cjs');
+const { createTargetClient } = require('./backup-targets/index.cjs');
+const { readBackupMetadata, writeBackupMetadata } = require('./backup-encryption.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const UPLOADS_DIR_NAME = '.uploads';
+const PROGRESS_INTERVAL_MS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+// `${serverPath}::${targetId}` -> promise tail, so one target never runs two uploads at once
+const targetQueues = new Map();
+
+function getBackupDir(serverPath) {
+  return path.join(serverPath, 'backups');
+}
+
+function getSecretsKey(serverPath) {
+  return `backupTargetSecrets_${Buffer.from(serverPath).toString('base64')}`;
+}
+
+function getUploadStatePath(serverPath, targetId) {
+  return path.join(getBackupDir(serverPath), UPLOADS_DIR_NAME, `${targetId}.json`);
+}
+
+function readTargets(serverPath) {
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  return config ? normalizeBackupTargets(config.backupTargets) : [];
+}
+
+function writeTargets(serverPath, targets) {
+  const updated = updateServerConfig(serverPath, { backupTargets: targets }, getDefaultServerConfig());
+  return updated ? updated.backupTargets : targets;
+}
+
+function findTarget(serverPath, targetId) {
+  const target = readTargets(serverPath).find(candidate => candidate.id === targetId);
+  if (!target) {
+    throw new Error(`Backup target "${targetId}" not found`);
+  }
+  return target;
+}
+
+function readSecrets(serverPath) {
+  const secrets = appStore.get(getSecretsKey(serverPath));
+  return secrets && typeof secrets === 'object' ? secrets : {};
+}
+
+function getTargetSecret(serverPath, targetId) {
+  const packed = readSecrets(serverPath)[targetId];
+  return packed ? unpackSecret(packed) : '';
+}
+
+function setTargetSecret(serverPath, targetId, secret) {
+  const secrets = { ...readSecrets(serverPath) };
+  if (secret) {
+    secrets[targetId] = packSecret(secret);
+  } else {
+    delete secrets[targetId];
+  }
+  appStore.set(getSecretsKey(serverPath), secrets);
+}
+
+function openClient(serverPath, target) {
+  return createTargetClient(target, getTargetSecret(serverPath, target.id));
+}
+
+function enqueue(serverPath, targetId, job) {
+  const key = `${serverPath}::${targetId}`;
+  const previous = targetQueues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(job);
+  const tail = run.catch(() => {});
+  targetQueues.set(key, tail);
+  tail.then(() => {
+    if (targetQueues.get(key) === tail) targetQueues.delete(key);
+  });
+  return run;
+}
+
+async function readUploadState(serverPath, targetId) {
+  try {
+    const state = JSON.parse(await fsp.readFile(getUploadStatePath(serverPath, targetId), 'utf8'));
+    return {
+      objects: state.objects && typeof state.objects === 'object' ? state.objects : {},
+      snapshots: state.snapshots && typeof state.snapshots === 'object' ? state.snapshots : {},
+      pending: state.pending && typeof state.pending === 'object' ? state.pending : {}
+    };
+  } catch {
+    return { objects: {}, snapshots: {}, pending: {} };
+  }
+}
+
+async function writeUploadState(serverPath, targetId, state) {
+  const statePath = getUploadStatePath(serverPath, targetId);
+  await fsp.mkdir(path.dirname(statePath), { recursive: true });
+  const tempPath = `${statePath}.tmp`;
+  await fsp.writeFile(tempPath, JSON.stringify(state));
+  await fsp.rename(tempPath, statePath);
+}
+
+function updateUploadStatus(serverPath, name, targetId, status) {
+  const metaPath = getBackupMetadataPath(path.join(getBackupDir(serverPath), name));
+  try {
+    const metadata = readBackupMetadata(serverPath, metaPath) || {};
+    if (metadata.locked) return; // Encrypted with a key this machine does not have
+    metadata.uploads = { ...(metadata.uploads || {}), [targetId]: status };
+    writeBackupMetadata(serverPath, metaPath, metadata);
+  } catch (error) {
+    logger.warn('Failed to record upload status', {
+      category: 'storage',
+      data: { service: 'BackupTargets', serverPath, name, targetId, error: error.message }
+    });
+  }
+}
+
+function emitProgress(payload) {
+  safeSend('backup-upload-progress', payload);
+  eventBus.emit('backup-upload-progress', payload);
+}
+
+/**
+ * Build the RetentionPolicy for a target's retention settings
+ * @param {{maxCount: number|null, maxAgeDays: number|null, maxSizeGB: number|null}} retention
+ * @returns {RetentionPolicy|null} null when the target keeps everything
+ */
+function buildTargetRetentionPolicy(retention) {
+  if (!retention) return null;
+  const policy = new RetentionPolicy({
+    maxCount: retention.maxCount ? Math.floor(retention.maxCount) : null,
+    maxAge: retention.maxAgeDays ? retention.maxAgeDays * DAY_MS : null,
+    maxSize: retention.maxSizeGB ? Math.round(retention.maxSizeGB * GB) : null,
+    preserveRecent: 1
+  });
+  return policy.hasActiveRules() ? policy : null;
+}
+
+/**
+ * Chunks no longer referenced by any snapshot the target still holds.
+ * Returns nothing when a remote snapshot is not in the ledger (uploaded from
+ * elsewhere), since its chunks are unknown.
+ * @param {{objects: Object<string, number>, snapshots: Object<string, Array<string>>}} ledger
+ * @param {Array<string>} remoteSnapshotNames - Snapshots still present on the target
+ * @returns {Array<string>}
+ */
+function findUnreferencedObjects(ledger, remoteSnapshotNames) {
+  if (remoteSnapshotNames.some(name => !ledger.snapshots[name])) {
+    return [];
+  }
+  const referenced = new Set();
+  for (const name of remoteSnapshotNames) {
+    ledger.snapshots[name].forEach(hash => referenced.add(hash));
+  }
+  return Object.keys(ledger.objects).filter(hash => !referenced.has(hash));
+}
+
+function toPublicTarget(serverPath, target) {
+  return { ...target, hasSecret: !!readSecrets(serverPath)[target.id] };
+}
+
+function listBackupTargets(serverPath) {
+  return readTargets(serverPath).map(target => toPublicTarget(serverPath, target));
+}
+
+/**
+ * Create or update a target. secret === undefined keeps the stored secret,
+ * an empty string removes it.
+ */
+function saveBackupTarget(serverPath, target, secret) {
+  const targets = readTargets(serverPath);
+  const id = target && typeof target.id === 'string' && target.id.trim()
+    ? target.id.trim()
+    : `target-${crypto.randomUUID().slice(0, 8)}`;
+  const [normalized] = normalizeBackupTargets([{ ...target, id }]);
+  if (!normalized) {
+    return { success: false, error: 'Invalid backup target' };
+  }
+
+  try {
+    const effectiveSecret = typeof secret === 'string' ? secret : getTargetSecret(serverPath, id);
+    // Throws for missing required settings
+    createTargetClient(normalized, effectiveSecret);
+    if (typeof secret === 'string') {
+      setTargetSecret(serverPath, id, secret);
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const index = targets.findIndex(candidate => candidate.id === id);
+  if (index >= 0) {
+    targets[index] = normalized;
+  } else {
+    targets.push(normalized);
+  }
+  writeTargets(serverPath, targets);
+  logger.info('Saved backup target', {
+    category: 'storage',
+    data: { service: 'BackupTargets', serverPath, targetId: id, type: normalized.type }
+  });
+  return { success: true, target: toPublicTarget(serverPath, normalized) };
+}
+
+async function deleteBackupTarget(serverPath, targetId) {
+  const targets = readTargets(serverPath);
+  const remaining = targets.filter(target => target.id !== targetId);
+  if (remaining.length === targets.length) {
+    return { success: false, error: 'Backup target not found' };
+  }
+  writeTargets(serverPath, remaining);
+  setTargetSecret(serverPath, targetId, '');
+  await fsp.rm(getUploadStatePath(serverPath, targetId), { force: true }).catch(() => {});
+  logger.info('Deleted backup target', {
+    category: 'storage',
+    data: { service: 'BackupTargets', serverPath, targetId }
+  });
+  return { success: true };
+}
+
+/**
+ * Check that a target is reachable and writable. Accepts unsaved settings so the
+ * form can be tested before saving; the stored secret is used if none is given.
+ */
+async function testBackupTarget(serverPath, target, secret) {
+  let client = null;
+  try {
+    const [normalized] = normalizeBackupTargets([target]);
+    if (!normalized) throw new Error('Invalid backup target');
+    const effectiveSecret = typeof secret === 'string' && secret
+      ? secret
+      : (target.id ? getTargetSecret(serverPath, target.id) : '');
+    client = createTargetClient(normalized, effectiveSecret);
+    await client.test();
+    return { success: true, location: client.describe() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    if (client) await client.close().catch(() => {});
+  }
+}
+
+// Metadata as uploaded: the local upload bookkeeping is meaningless on the target
+async function writeRemoteMetadataCopy(serverPath, name, targetId) {
+  const metaPath = getBackupMetadataPath(path.join(getBackupDir(serverPath), name));
+  const metadata = readBackupMetadata(serverPath, metaPath);
+  if (!metadata || metadata.locked) return null;
+  delete metadata.uploads;
+  delete metadata.downloadedFrom;
+  const copyPath = path.join(getBackupDir(serverPath), UPLOADS_DIR_NAME, `${targetId}-${path.basename(metaPath)}`);
+  await fsp.mkdir(path.dirname(copyPath), { recursive: true });
+  writeBackupMetadata(serverPath, copyPath, metadata);
+  return copyPath;
+}
+
+async function performUpload(serverPath, target, name) {
+  const backupDir = getBackupDir(serverPath);
+  const backupPath = path.join(backupDir, name);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error('Backup file not found');
+  }
+
+  const ledger = await readUploadState(serverPath, target.id);
+  const files = [];
+  let snapshotObjects = null;
+  if (isSnapshotBackup(name)) {
+    snapshotObjects = await listSnapshotObjects(backupPath);
+    for (const object of snapshotObjects) {
+      if (ledger.objects[object.hash] !== undefined) continue;
+      const { size } = await fsp.stat(object.absolutePath);
+      files.push({ localPath: object.absolutePath, remotePath: object.relativePath, size, hash: object.hash });
+    }
+  }
+  files.push({ localPath: backupPath, remotePath: name, size: (await fsp.stat(backupPath)).size });
+  const metadataCopy = await writeRemoteMetadataCopy(serverPath, name, target.id);
+
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  let completed = 0;
+  let lastEmit = 0;
+  let resumedFrom = 0;
+  const report = (transferred) => {
+    const now = Date.now();
+    if (now - lastEmit < PROGRESS_INTERVAL_MS) return;
+    lastEmit = now;
+    emitProgress({ serverPath, name, targetId: target.id, status: 'uploading', transferred: completed + transferred, total });
+  };
+
+  const client = openClient(serverPath, target);
+  try {
+    for (const file of files) {
+      const result = await client.upload(file.localPath, file.remotePath, {
+        onProgress: report,
+        state: ledger.pending[file.remotePath] || null,
+        saveState: async (state) => {
+          if (state) {
+            ledger.pending[file.remotePath] = state;
+          } else {
+            delete ledger.pending[file.remotePath];
+          }
+          await writeUploadState(serverPath, target.id, ledger);
+        }
+      });
+      resumedFrom += result && result.resumedFrom ? result.resumedFrom : 0;
+      completed += file.size;
+      if (file.hash) {
+        ledger.objects[file.hash] = file.size;
+        // Record chunk by chunk so a retry after a failure skips what already arrived
+        await writeUploadState(serverPath, target.id, ledger);
+      }
+    }
+    if (metadataCopy) {
+      await client.upload(metadataCopy, path.basename(getBackupMetadataPath(backupPath)));
+    }
+    if (snapshotObjects) {
+      ledger.snapshots[name] = snapshotObjects.map(object => object.hash);
+      await writeUploadState(serverPath, target.id, ledger);
+    }
+    try {
+      await applyTargetRetention(serverPath, target, client, ledger);
+    } catch (error) {
+      // The upload itself succeeded; retention runs again after the next one
+      logger.warn('Backup target retention failed', {
+        category: 'storage',
+        data: { service: 'BackupTargets', serverPath, targetId: target.id, error: error.message }
+      });
+    }
+  } finally {
+    await client.close().catch(() => {});
+    if (metadataCopy) await fsp.rm(metadataCopy, { force: true }).catch(() => {});
+  }
+
+  return { uploadedBytes: total - resumedFrom, resumedFrom, fileCount: files.length };
+}
+
+async function applyTargetRetention(serverPath, target, client, ledger) {
+  const policy = buildTargetRetentionPolicy(target.retention);
+  if (!policy) return { deleted: [] };
+
+  const remote = (await client.list()).filter(file => isBackupFile(file.name));
+  const backups = remote.map(file => ({
+    name: file.name,
+    created: file.modified,
+    size: isSnapshotBackup(file.name) && ledger.snapshots[file.name]
+      ? ledger.snapshots[file.name].reduce((sum, hash) => sum + (ledger.objects[hash] || 0), file.size)
+      : file.size
+  }));
+  const toDelete = await policy.evaluateBackups(backups);
+  const deleted = [];
+  for (const backup of toDelete) {
+    try {
+      await client.remove(backup.name);
+      await client.remove(path.basename(getBackupMetadataPath(backup.name)));
+      delete ledger.snapshots[backup.name];
+      deleted.push(backup.name);
+    } catch (error) {
+      logger.warn('Failed to delete remote backup during retention', {
+        category: 'storage',
+        data: {
+          service: 'BackupTargets',
+          serverPath,
+          targetId: target.id,
+          name: backup.name,
+          error: error.message
+        }
+      });
+    }
+  }
+
+  if (deleted.some(isSnapshotBackup)) {
+    const deletedNames = new Set(deleted);
+    const remainingSnapshots = remote
+      .map(file => file.name)
+      .filter(name => isSnapshotBackup(name) && !deletedNames.has(name));
+    for (const hash of findUnreferencedObjects(ledger, remainingSnapshots)) {
+      try {
+        await client.remove([STORE_DIR_NAME, 'objects', hash.slice(0, 2), hash].join('/'));
+        delete ledger.objects[hash];
+      } catch (error) {
+        logger.warn('Failed to delete remote snapshot chunk', {
+          category: 'storage',
+          data: { service: 'BackupTargets', serverPath, targetId: target.id, hash, error: error.message }
+        });
+      }
+    }
+  }
+  await writeUploadState(serverPath, target.id, ledger);
+
+  if (deleted.length > 0) {
+    logger.info('Applied retention on backup target', {
+      category: 'storage',
+      data: { service: 'BackupTargets', serverPath, targetId: target.id, deleted }
+    });
+  }
+  return { deleted };
+}
+
+/**
+ * Upload one backup to one target, recording the outcome in the backup metadata
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+function uploadBackupToTarget(serverPath, name, targetId) {
+  const target = findTarget(serverPath, targetId);
+  return enqueue(serverPath, target.id, async () => {
+    const startedAt = new Date().toISOString();
+    updateUploadStatus(serverPath, name, target.id, { status: 'uploading', startedAt });
+    emitProgress({ serverPath, name, targetId: target.id, status: 'uploading', transferred: 0, total: 0 });
+    logger.info('Uploading backup to target', {
+      category: 'storage',
+      data: { service: 'BackupTargets', serverPath, name, targetId: target.id, type: target.type }
+    });
+
+    try {
+      const result = await performUpload(serverPath, target, name);
+      const status = { status: 'uploaded', startedAt, uploadedAt: new Date().toISOString(), ...result };
+      updateUploadStatus(serverPath, name, target.id, status);
+      emitProgress({ serverPath, name, targetId: target.id, ...status });
+      logger.info('Backup uploaded to target', {
+        category: 'storage',
+        data: { service: 'BackupTargets', serverPath, name, targetId: target.id, ...result }
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      const status = { status: 'failed', startedAt, failedAt: new Date().toISOString(), error: error.message };
+      updateUploadStatus(serverPath, name, target.id, status);
+      emitProgress({ serverPath, name, targetId: target.id, ...status });
+      logger.warn('Backup upload failed', {
+        category: 'storage',
+        data: { service: 'BackupTargets', serverPath, name, targetId: target.id, error: error.message }
+      });
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Upload a freshly created backup to every enabled target with automatic upload on
+ * @returns {Promise<Object<string, {success: boolean, error?: string}>>} Results keyed by target id
+ */
+async function uploadNewBackup(serverPath, name) {
+  const targets = readTargets(serverPath).filter(target => target.enabled && target.autoUpload);
+  const results = {};
+  await Promise.all(targets.map(async (target) => {
+    results[target.id] = await uploadBackupToTarget(serverPath, name, target.id);
+  }));
+  return results;
+}
+
+async function listRemoteBackups(serverPath, targetId) {
+  const target = findTarget(serverPath, targetId);
+  const client = openClient(serverPath, target);
+  try {
+    const backupDir = getBackupDir(serverPath);
+    const backups = (await client.list())
+      .filter(file => isBackupFile(file.name))
+      .map(file => ({
+        name: file.name,
+        size: file.size,
+        created: file.modified ? file.modified.toISOString() : null,
+        format: isSnapshotBackup(file.name) ? 'incremental' : 'zip',
+        presentLocally: fs.existsSync(path.join(backupDir, file.name))
+      }))
+      .sort((a, b) => (String(b.created) < String(a.created) ? -1 : 1));
+    return { success: true, backups };
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    await client.close().catch(() => {});
+  }
+}
+
+/**
+ * Copy a remote backup (and, for snapshots, the chunks it needs) into the local
+ * backups folder so the regular restore can use it
+ */
+function downloadRemoteBackup(serverPath, targetId, name) {
+  if (!isBackupFile(name) || name.includes('/') || name.includes('\\')) {
+    return Promise.resolve({ success: false, error: 'Invalid backup name' });
+  }
+  const target = findTarget(serverPath, targetId);
+  return enqueue(serverPath, target.id, async () => {
+    const backupDir = getBackupDir(serverPath);
+    const backupPath = path.join(backupDir, name);
+    if (fs.existsSync(backupPath)) {
+      return { success: false, error: 'A local backup with that name already exists' };
+    }
+    await fsp.mkdir(backupDir, { recursive: true });
+
+    const client = openClient(serverPath, target);
+    const tempPath = `${backupPath}.download`;
+    const metaPath = getBackupMetadataPath(backupPath);
+    try {
+      await client.download(name, tempPath);
+      if (isSnapshotBackup(name)) {
+        const objects = new Map((await listSnapshotObjects(tempPath)).map(object => [object.hash, object]));
+        await importStoreObjects(backupDir, Array.from(objects.keys()), (hash, objectTempPath) => (
+          client.download(objects.get(hash).relativePath, objectTempPath)
+        ));
+      }
+
+      let metadata = {};
+      try {
+        await client.download(path.basename(metaPath), `${metaPath}.download`);
+        metadata = readBackupMetadata(serverPath, `${metaPath}.download`) || {};
+        if (metadata.locked) metadata = { encrypted: true };
+      } catch {
+        // Metadata is optional; the backup itself is what matters
+      } finally {
+        await fsp.rm(`${metaPath}.download`, { force: true }).catch(() => {});
+      }
+      metadata.downloadedFrom = { targetId: target.id, at: new Date().toISOString() };
+      metadata.uploads = { [target.id]: { status: 'uploaded', uploadedAt: metadata.downloadedFrom.at } };
+
+      await fsp.rename(tempPath, backupPath);
+      writeBackupMetadata(serverPath, metaPath, metadata);
+      logger.info('Downloaded remote backup', {
+        category: 'storage',
+        data: { service: 'BackupTargets', serverPath, targetId: target.id, name }
+      });
+      return { success: true, name };
+    } catch (error) {
+      logger.warn('Remote backup download failed', {
+        category: 'storage',
+        data: { service: 'BackupTargets', serverPath, targetId: target.id, name, error: error.message }
+      });
+      return { success: false, error: error.message };
+    } finally {
+      await fsp.rm(tempPath, { force: true }).catch(() => {});
+      await client.close().catch(() => {});
+    }
+  });
+}
+
+module.exports = {
+  UPLOADS_DIR_NAME,
+  buildTargetRetentionPolicy,
+  findUnreferencedObjects,
+  listBackupTargets,
+  saveBackupTarget,
+  deleteBackupTarget,
+  testBackupTarget,
+  uploadBackupToTarget,
+  uploadNewBackup,
+  listRemoteBackups,
+  downloadRemoteBackup
+};
@@ -0,0 +1,84 @@
+// Minimal streaming HTTP client shared by the S3 and WebDAV targets.
+// axios buffers request bodies, which is not an option for multi-gigabyte backups.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+class HttpRequestError extends Error {
+  constructor(message, statusCode, body) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/**
+ * Send a request and collect (or stream) the response
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {URL|string} options.url
+ * @param {Object<string, string|number>} [options.headers]
+ * @param {Buffer|string|import('stream').Readable} [options.body]
+ * @param {string} [options.responseFile] - Stream a 2xx response body to this file instead of buffering it
+ * @param {Array<number>} [options.okStatus] - Status codes treated as success (default: any 2xx)
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{statusCode: number, headers: Object, body: Buffer}>}
+ */
+function sendRequest(options) {
+  const url = options.url instanceof URL ? options.url : new URL(options.url);
+  const transport = url.protocol === 'http:' ? http : https;
+  const isOk = (status) => (options.okStatus ? options.okStatus.includes(status) : status >= 200 && status < 300);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: options.method,
+      headers: options.headers || {},
+      timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS
+    }, (res) => {
+      if (options.responseFile && isOk(res.statusCode)) {
+        pipeline(res, fs.createWriteStream(options.responseFile))
+          .then(() => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.alloc(0) }))
+          .catch(reject);
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        if (!isOk(res.statusCode)) {
+          const detail = body.toString('utf8').slice(0, 300).trim();
+          reject(new HttpRequestError(
+            `${options.method} ${url.pathname} failed with HTTP ${res.statusCode}${detail ? `: ${detail}` : ''}`,
+            res.statusCode,
+            body
+          ));
+          return;
+        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`${options.method} ${url.host} timed out`)));
+    req.on('error', reject);
+
+    const body = options.body;
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', (err) => req.destroy(err));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+}
+
+module.exports = {
+  HttpRequestError,
+  sendRequest
+};
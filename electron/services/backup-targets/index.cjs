@@ -0,0 +1,36 @@
+// Factory for off-site backup target clients.
+//
+// Every client exposes the same interface:
+//   describe()                                  -> human readable location
+//   test()                                      -> throws if the target is unreachable
+//   list()                                      -> [{ name, size, modified }] of top-level files
+//   upload(localPath, remotePath, { onProgress, state, saveState }) -> { resumedFrom }
+//   download(remotePath, localPath)
+//   remove(remotePath)
+//   close()
+
+const { createLocalTarget } = require('./local-target.cjs');
+const { createS3Target } = require('./s3-target.cjs');
+const { createSftpTarget } = require('./sftp-target.cjs');
+const { createWebDavTarget } = require('./webdav-target.cjs');
+
+/**
+ * @param {{type: string, settings: Object}} target - Normalized target config
+ * @param {string} [secret] - Decrypted password/secret key for the target
+ */
+function createTargetClient(target, secret) {
+  switch (target.type) {
+    case 'local':
+      return createLocalTarget(target);
+    case 's3':
+      return createS3Target(target, secret);
+    case 'sftp':
+      return createSftpTarget(target, secret);
+    case 'webdav':
+      return createWebDavTarget(target, secret);
+    default:
+      throw new Error(`Unsupported backup target type: ${target.type}`);
+  }
+}
+
+module.exports = { createTargetClient };
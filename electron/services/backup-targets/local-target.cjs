@@ -0,0 +1,89 @@
+// Backup target that mirrors backups into another folder (second disk, NAS mount)
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { toRemoteSegments, trackProgress } = require('./target-utils.cjs');
+
+/**
+ * @param {{settings: {path?: string}}} target
+ */
+function createLocalTarget(target) {
+  const root = target.settings.path;
+  if (!root || !path.isAbsolute(root)) {
+    throw new Error('Mirror folder must be an absolute path');
+  }
+
+  const resolve = (remotePath) => path.join(root, ...toRemoteSegments(remotePath));
+
+  return {
+    describe: () => root,
+
+    async test() {
+      await fsp.mkdir(root, { recursive: true });
+      const probe = path.join(root, `.minecraft-core-probe-${process.pid}`);
+      await fsp.writeFile(probe, 'ok');
+      await fsp.rm(probe, { force: true });
+    },
+
+    async list() {
+      let names = [];
+      try {
+        names = await fsp.readdir(root);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const files = [];
+      for (const name of names) {
+        if (name.endsWith('.partial')) continue;
+        try {
+          const stats = await fsp.stat(path.join(root, name));
+          if (stats.isFile()) files.push({ name, size: stats.size, modified: stats.mtime });
+        } catch {
+          // Removed while listing
+        }
+      }
+      return files;
+    },
+
+    // Resumes from whatever an interrupted copy left in <name>.partial
+    async upload(localPath, remotePath, { onProgress } = {}) {
+      const destination = resolve(remotePath);
+      const partialPath = `${destination}.partial`;
+      const { size } = await fsp.stat(localPath);
+      await fsp.mkdir(path.dirname(destination), { recursive: true });
+
+      let offset = 0;
+      try {
+        offset = (await fsp.stat(partialPath)).size;
+      } catch {
+        offset = 0;
+      }
+      if (offset > size) offset = 0;
+
+      if (offset < size) {
+        const source = fs.createReadStream(localPath, { start: offset });
+        trackProgress(source, offset, size, onProgress);
+        await pipeline(source, fs.createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' }));
+      } else if (!fs.existsSync(partialPath)) {
+        await fsp.writeFile(partialPath, '');
+      }
+      await fsp.rename(partialPath, destination);
+      return { resumedFrom: offset };
+    },
+
+    async download(remotePath, localPath) {
+      await fsp.copyFile(resolve(remotePath), localPath);
+    },
+
+    async remove(remotePath) {
+      await fsp.rm(resolve(remotePath), { force: true });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createLocalTarget };
@@ -0,0 +1,279 @@
+// S3-compatible backup target (AWS S3, MinIO, Backblaze B2, Wasabi, ...).
+// Requests are signed with AWS Signature V4; large files use multipart uploads
+// whose upload id is persisted so an interrupted upload continues where it stopped.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const crypto = require('crypto');
+const { sendRequest, HttpRequestError } = require('./http-request.cjs');
+const { toRemoteSegments, trackProgress } = require('./target-utils.cjs');
+
+// S3 allows at most 10,000 parts of at least 5 MiB; 16 MiB parts cover files up to ~160 GB
+const PART_SIZE = 16 * 1024 * 1024;
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+function uriEncode(value, encodeSlash = true) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} params
+ * @param {string} params.method
+ * @param {URL} params.url - Path must already be URI-encoded
+ * @param {Object<string, string|number>} params.headers
+ * @param {string} params.payloadHash - Hex SHA-256 of the body or 'UNSIGNED-PAYLOAD'
+ * @param {string} params.region
+ * @param {string} params.accessKeyId
+ * @param {string} params.secretAccessKey
+ * @param {Date} [params.date]
+ * @returns {Object<string, string>} Headers including Authorization
+ */
+function signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const amzDate = toAmzDate(date);
+  const shortDate = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const headerNames = Object.keys(signed).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${signed[name].trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = headerNames.join(';');
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${shortDate}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, shortDate), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+function xmlValue(xml, tag) {
+  return xmlValues(xml, tag)[0] || null;
+}
+
+function unescapeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * @param {{settings: {endpoint?: string, region?: string, bucket?: string, prefix?: string, accessKeyId?: string, forcePathStyle?: boolean}}} target
+ * @param {string} secretAccessKey
+ */
+function createS3Target(target, secretAccessKey) {
+  const { settings } = target;
+  if (!settings.bucket) throw new Error('S3 bucket is required');
+  if (!settings.accessKeyId || !secretAccessKey) throw new Error('S3 access key and secret key are required');
+
+  const endpoint = new URL(settings.endpoint || 'https://s3.amazonaws.com');
+  const region = settings.region || 'us-east-1';
+  const pathStyle = settings.forcePathStyle !== false;
+  const prefix = String(settings.prefix || '').split('/').filter(Boolean).join('/');
+  const keyPrefix = prefix ? `${prefix}/` : '';
+
+  function buildUrl(key = '', query = {}) {
+    const encodedKey = key ? key.split('/').map(segment => uriEncode(segment)).join('/') : '';
+    const base = pathStyle
+      ? `${endpoint.protocol}//${endpoint.host}${endpoint.pathname.replace(/\/$/, '')}/${uriEncode(settings.bucket)}/${encodedKey}`
+      : `${endpoint.protocol}//${settings.bucket}.${endpoint.host}/${encodedKey}`;
+    const url = new URL(base);
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+    return url;
+  }
+
+  function toKey(remotePath) {
+    return keyPrefix + toRemoteSegments(remotePath).join('/');
+  }
+
+  async function s3Request({ method, key, query, headers = {}, body, payloadHash, responseFile, okStatus }) {
+    const url = buildUrl(key, query);
+    let hash = payloadHash;
+    if (!hash) {
+      hash = body && typeof body.pipe !== 'function' ? sha256Hex(body) : (body ? UNSIGNED_PAYLOAD : EMPTY_PAYLOAD_HASH);
+    }
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: hash,
+      region,
+      accessKeyId: settings.accessKeyId,
+      secretAccessKey
+    });
+    return sendRequest({ method, url, headers: signedHeaders, body, responseFile, okStatus });
+  }
+
+  async function listParts(key, uploadId) {
+    const parts = new Map();
+    let marker = null;
+    for (;;) {
+      const query = { uploadId };
+      if (marker) query['part-number-marker'] = marker;
+      const { body } = await s3Request({ method: 'GET', key, query });
+      const xml = body.toString('utf8');
+      for (const part of xmlValues(xml, 'Part')) {
+        parts.set(Number(xmlValue(part, 'PartNumber')), {
+          etag: unescapeXml(xmlValue(part, 'ETag')),
+          size: Number(xmlValue(part, 'Size'))
+        });
+      }
+      if (xmlValue(xml, 'IsTruncated') !== 'true') break;
+      marker = xmlValue(xml, 'NextPartNumberMarker');
+    }
+    return parts;
+  }
+
+  async function uploadMultipart(localPath, key, size, { state, saveState, onProgress }) {
+    let uploadId = state && state.key === key && state.size === size ? state.uploadId : null;
+    let parts = new Map();
+    if (uploadId) {
+      try {
+        parts = await listParts(key, uploadId);
+      } catch (err) {
+        if (!(err instanceof HttpRequestError) || err.statusCode !== 404) throw err;
+        uploadId = null;
+      }
+    }
+    if (!uploadId) {
+      const { body } = await s3Request({ method: 'POST', key, query: { uploads: '' } });
+      uploadId = xmlValue(body.toString('utf8'), 'UploadId');
+      if (!uploadId) throw new Error('S3 did not return an upload id');
+      await saveState({ key, size, uploadId });
+    }
+
+    const partCount = Math.ceil(size / PART_SIZE);
+    const resumedFrom = Array.from(parts.values()).reduce((sum, part) => sum + part.size, 0);
+    let transferred = resumedFrom;
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+      const start = (partNumber - 1) * PART_SIZE;
+      const end = Math.min(start + PART_SIZE, size);
+      const existing = parts.get(partNumber);
+      if (existing && existing.size === end - start) continue;
+
+      const stream = fs.createReadStream(localPath, { start, end: end - 1 });
+      trackProgress(stream, transferred, size, onProgress);
+      const { headers } = await s3Request({
+        method: 'PUT',
+        key,
+        query: { partNumber: String(partNumber), uploadId },
+        headers: { 'content-length': end - start },
+        body: stream
+      });
+      parts.set(partNumber, { etag: headers.etag, size: end - start });
+      transferred += end - start;
+    }
+
+    const completeBody = '<CompleteMultipartUpload>'
+      + Array.from({ length: partCount }, (_, i) => `<Part><PartNumber>${i + 1}</PartNumber><ETag>${parts.get(i + 1).etag}</ETag></Part>`).join('')
+      + '</CompleteMultipartUpload>';
+    const { body } = await s3Request({
+      method: 'POST',
+      key,
+      query: { uploadId },
+      headers: { 'content-type': 'application/xml', 'content-length': Buffer.byteLength(completeBody) },
+      body: completeBody
+    });
+    // CompleteMultipartUpload can fail with HTTP 200 and an error document
+    const responseXml = body.toString('utf8');
+    if (/<Error>/.test(responseXml)) {
+      throw new Error(`S3 multipart completion failed: ${xmlValue(responseXml, 'Message') || 'unknown error'}`);
+    }
+    await saveState(null);
+    return { resumedFrom };
+  }
+
+  return {
+    describe: () => `${endpoint.host}/${settings.bucket}${prefix ? `/${prefix}` : ''}`,
+
+    async test() {
+      await s3Request({ method: 'GET', key: '', query: { 'list-type': '2', 'max-keys': '1', prefix: keyPrefix } });
+    },
+
+    async list() {
+      const files = [];
+      let token = null;
+      for (;;) {
+        const query = { 'list-type': '2', prefix: keyPrefix, delimiter: '/' };
+        if (token) query['continuation-token'] = token;
+        const { body } = await s3Request({ method: 'GET', key: '', query });
+        const xml = body.toString('utf8');
+        for (const item of xmlValues(xml, 'Contents')) {
+          const name = unescapeXml(xmlValue(item, 'Key')).slice(keyPrefix.length);
+          if (!name) continue;
+          files.push({ name, size: Number(xmlValue(item, 'Size')), modified: new Date(xmlValue(item, 'LastModified')) });
+        }
+        if (xmlValue(xml, 'IsTruncated') !== 'true') break;
+        token = unescapeXml(xmlValue(xml, 'NextContinuationToken'));
+      }
+      return files;
+    },
+
+    async upload(localPath, remotePath, { state = null, saveState = async () => {}, onProgress } = {}) {
+      const key = toKey(remotePath);
+      const { size } = await fsp.stat(localPath);
+      if (size > PART_SIZE) {
+        return uploadMultipart(localPath, key, size, { state, saveState, onProgress });
+      }
+      const stream = fs.createReadStream(localPath);
+      trackProgress(stream, 0, size, onProgress);
+      await s3Request({ method: 'PUT', key, headers: { 'content-length': size }, body: stream });
+      return { resumedFrom: 0 };
+    },
+
+    async download(remotePath, localPath) {
+      await s3Request({ method: 'GET', key: toKey(remotePath), responseFile: localPath });
+    },
+
+    async remove(remotePath) {
+      await s3Request({ method: 'DELETE', key: toKey(remotePath), okStatus: [200, 204, 404] });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  PART_SIZE,
+  signRequest,
+  uriEncode,
+  createS3Target
+};
@@ -0,0 +1,179 @@
+// SFTP backup target. Interrupted uploads are resumed by appending to
+// <name>.partial on the server and renaming it once complete.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { toRemoteSegments, trackProgress } = require('./target-utils.cjs');
+
+const CONNECT_TIMEOUT_MS = 20000;
+
+function promisify(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function isMissing(err) {
+  // ssh2 reports SSH_FX_NO_SUCH_FILE as code 2
+  return err && (err.code === 2 || err.code === 'ENOENT');
+}
+
+/**
+ * @param {{settings: {host?: string, port?: number, username?: string, path?: string, privateKeyPath?: string}}} target
+ * @param {string} secret - Password, or the private key passphrase when privateKeyPath is set
+ */
+function createSftpTarget(target, secret) {
+  const { settings } = target;
+  if (!settings.host) throw new Error('SFTP host is required');
+  if (!settings.username) throw new Error('SFTP username is required');
+  const root = path.posix.normalize(settings.path || '.');
+
+  let connection = null;
+
+  async function connect() {
+    if (connection) return connection;
+
+    let Client;
+    try {
+      ({ Client } = require('ssh2'));
+    } catch {
+      throw new Error('SFTP support is not available in this build (ssh2 module missing)');
+    }
+
+    const options = {
+      host: settings.host,
+      port: settings.port || 22,
+      username: settings.username,
+      readyTimeout: CONNECT_TIMEOUT_MS
+    };
+    if (settings.privateKeyPath) {
+      options.privateKey = await fsp.readFile(settings.privateKeyPath);
+      if (secret) options.passphrase = secret;
+    } else {
+      options.password = secret || '';
+    }
+
+    connection = await new Promise((resolve, reject) => {
+      const client = new Client();
+      client.on('ready', () => {
+        client.sftp((err, sftp) => {
+          if (err) {
+            client.end();
+            reject(err);
+            return;
+          }
+          resolve({ client, sftp });
+        });
+      });
+      client.on('error', reject);
+      client.on('close', () => {
+        connection = null;
+      });
+      client.connect(options);
+    });
+    return connection;
+  }
+
+  const resolveRemote = (remotePath) => path.posix.join(root, ...toRemoteSegments(remotePath));
+
+  async function ensureDirectories(sftp, directory) {
+    const parts = directory.split('/');
+    let current = directory.startsWith('/') ? '/' : '';
+    for (const part of parts.filter(Boolean)) {
+      current = current ? path.posix.join(current, part) : part;
+      try {
+        await promisify(sftp, 'stat', current);
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+        await promisify(sftp, 'mkdir', current);
+      }
+    }
+  }
+
+  return {
+    describe: () => `${settings.username}@${settings.host}:${root}`,
+
+    async test() {
+      const { sftp } = await connect();
+      await ensureDirectories(sftp, root);
+    },
+
+    async list() {
+      const { sftp } = await connect();
+      let entries;
+      try {
+        entries = await promisify(sftp, 'readdir', root);
+      } catch (err) {
+        if (isMissing(err)) return [];
+        throw err;
+      }
+      return entries
+        .filter(entry => entry.attrs.isFile() && !entry.filename.endsWith('.partial'))
+        .map(entry => ({
+          name: entry.filename,
+          size: entry.attrs.size,
+          modified: new Date(entry.attrs.mtime * 1000)
+        }));
+    },
+
+    async upload(localPath, remotePath, { onProgress } = {}) {
+      const { sftp } = await connect();
+      const destination = resolveRemote(remotePath);
+      const partialPath = `${destination}.partial`;
+      const { size } = await fsp.stat(localPath);
+      await ensureDirectories(sftp, path.posix.dirname(destination));
+
+      let offset = 0;
+      try {
+        offset = (await promisify(sftp, 'stat', partialPath)).size;
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+      }
+      if (offset > size) offset = 0;
+
+      if (offset < size || offset === 0) {
+        await new Promise((resolve, reject) => {
+          const source = fs.createReadStream(localPath, { start: offset });
+          const sink = sftp.createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' });
+          trackProgress(source, offset, size, onProgress);
+          source.on('error', reject);
+          sink.on('error', reject);
+          sink.on('close', resolve);
+          source.pipe(sink);
+        });
+      }
+
+      try {
+        await promisify(sftp, 'unlink', destination);
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+      }
+      await promisify(sftp, 'rename', partialPath, destination);
+      return { resumedFrom: offset };
+    },
+
+    async download(remotePath, localPath) {
+      const { sftp } = await connect();
+      await promisify(sftp, 'fastGet', resolveRemote(remotePath), localPath);
+    },
+
+    async remove(remotePath) {
+      const { sftp } = await connect();
+      try {
+        await promisify(sftp, 'unlink', resolveRemote(remotePath));
+      } catch (err) {
+        if (!isMissing(err)) throw err;
+      }
+    },
+
+    async close() {
+      if (connection) {
+        connection.client.end();
+        connection = null;
+      }
+    }
+  };
+}
+
+module.exports = { createSftpTarget };
@@ -0,0 +1,35 @@
+// Helpers shared by the backup target implementations
+
+/**
+ * Split a '/'-separated remote path, rejecting anything that could escape the target root
+ * @param {string} remotePath
+ * @returns {Array<string>}
+ */
+function toRemoteSegments(remotePath) {
+  const segments = String(remotePath || '').split('/').filter(Boolean);
+  if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\'))) {
+    throw new Error(`Invalid remote path: ${remotePath}`);
+  }
+  return segments;
+}
+
+/**
+ * Report bytes read from a stream, starting at offset
+ * @param {import('stream').Readable} stream
+ * @param {number} offset - Bytes already transferred before this stream
+ * @param {number} total
+ * @param {(transferred: number, total: number) => void} [onProgress]
+ */
+function trackProgress(stream, offset, total, onProgress) {
+  if (typeof onProgress !== 'function') return;
+  let transferred = offset;
+  stream.on('data', (chunk) => {
+    transferred += chunk.length;
+    onProgress(transferred, total);
+  });
+}
+
+module.exports = {
+  toRemoteSegments,
+  trackProgress
+};
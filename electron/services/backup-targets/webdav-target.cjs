@@ -0,0 +1,121 @@
+// WebDAV backup target (Nextcloud, ownCloud, Apache mod_dav, NAS web shares).
+// WebDAV has no portable way to append to a file, so an interrupted upload
+// starts over; files go to <name>.partial first and are MOVEd into place.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { sendRequest, HttpRequestError } = require('./http-request.cjs');
+const { toRemoteSegments, trackProgress } = require('./target-utils.cjs');
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+  + '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getcontentlength/><d:getlastmodified/></d:prop></d:propfind>';
+
+// Namespace prefixes differ between servers (d:, D:, lp1:, none)
+function davValues(xml, tag) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, 'gi');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * @param {{settings: {url?: string, username?: string}}} target
+ * @param {string} password
+ */
+function createWebDavTarget(target, password) {
+  const { settings } = target;
+  if (!settings.url) throw new Error('WebDAV URL is required');
+  const baseUrl = new URL(settings.url.endsWith('/') ? settings.url : `${settings.url}/`);
+  if (baseUrl.protocol !== 'http:' && baseUrl.protocol !== 'https:') {
+    throw new Error('WebDAV URL must start with http:// or https://');
+  }
+  const authHeader = settings.username
+    ? { authorization: `Basic ${Buffer.from(`${settings.username}:${password || ''}`).toString('base64')}` }
+    : {};
+
+  function urlFor(remotePath) {
+    return new URL(toRemoteSegments(remotePath).map(encodeURIComponent).join('/'), baseUrl);
+  }
+
+  function davRequest(options) {
+    return sendRequest({ ...options, headers: { ...authHeader, ...(options.headers || {}) } });
+  }
+
+  async function ensureCollections(remotePath) {
+    const segments = toRemoteSegments(remotePath).slice(0, -1);
+    for (let i = 1; i <= segments.length; i++) {
+      const url = new URL(`${segments.slice(0, i).map(encodeURIComponent).join('/')}/`, baseUrl);
+      // 405 Method Not Allowed means the collection already exists
+      await davRequest({ method: 'MKCOL', url, okStatus: [201, 405] });
+    }
+  }
+
+  return {
+    describe: () => `${baseUrl.host}${baseUrl.pathname}`,
+
+    async test() {
+      await davRequest({
+        method: 'PROPFIND',
+        url: baseUrl,
+        headers: { depth: '0', 'content-type': 'application/xml' },
+        body: PROPFIND_BODY,
+        okStatus: [207]
+      });
+    },
+
+    async list() {
+      const { body } = await davRequest({
+        method: 'PROPFIND',
+        url: baseUrl,
+        headers: { depth: '1', 'content-type': 'application/xml' },
+        body: PROPFIND_BODY,
+        okStatus: [207]
+      });
+      const files = [];
+      for (const response of davValues(body.toString('utf8'), 'response')) {
+        if (/<(?:[\w-]+:)?collection\b/i.test(response)) continue;
+        const href = davValues(response, 'href')[0];
+        if (!href) continue;
+        const name = decodeURIComponent(href.trim().replace(/\/$/, '').split('/').pop());
+        if (!name || name.endsWith('.partial')) continue;
+        const modified = davValues(response, 'getlastmodified')[0];
+        files.push({
+          name,
+          size: Number(davValues(response, 'getcontentlength')[0]) || 0,
+          modified: modified ? new Date(modified) : null
+        });
+      }
+      return files;
+    },
+
+    async upload(localPath, remotePath, { onProgress } = {}) {
+      const { size } = await fsp.stat(localPath);
+      await ensureCollections(remotePath);
+      const destination = urlFor(remotePath);
+      const partialUrl = urlFor(`${remotePath}.partial`);
+      const stream = fs.createReadStream(localPath);
+      trackProgress(stream, 0, size, onProgress);
+      await davRequest({ method: 'PUT', url: partialUrl, headers: { 'content-length': size }, body: stream });
+      await davRequest({
+        method: 'MOVE',
+        url: partialUrl,
+        headers: { destination: destination.href, overwrite: 'T' }
+      });
+      return { resumedFrom: 0 };
+    },
+
+    async download(remotePath, localPath) {
+      await davRequest({ method: 'GET', url: urlFor(remotePath), responseFile: localPath });
+    },
+
+    async remove(remotePath) {
+      try {
+        await davRequest({ method: 'DELETE', url: urlFor(remotePath) });
+      } catch (err) {
+        if (!(err instanceof HttpRequestError) || err.statusCode !== 404) throw err;
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createWebDavTarget };
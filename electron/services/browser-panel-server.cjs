@@ -4,7 +4,7 @@ const express = require('express');
 const https = require('https');
 // No fs/path needed here currently
 const appStore = require('../utils/app-store.cjs');
-const { safeSend } = require('../utils/safe-send.cjs');
+const { safeSend, addSendListener } = require('../utils/safe-send.cjs');
 const { getManagementServer } = require('./management-server.cjs');
 const { getBrowserPanelTlsConfig } = require('../utils/tls-utils.cjs');
 const { ensureEncryptionAvailable, packSecret, unpackSecret, ENCRYPTED_PREFIX } = require('../utils/secure-store.cjs');
@@ -13,12 +13,14 @@ const {
   startMinecraftServer,
   stopMinecraftServer,
   killMinecraftServer,
-  sendServerCommand,
+  executeServerCommand,
+  probeExternalServer,
   getServerState,
 } = require('./server-manager.cjs');
 // Backup and retention utilities
 const backupService = require('./backup-service.cjs');
 const { RetentionPolicy } = require('../utils/retention-policy.cjs');
+const { isBackupFile, isSnapshotBackup } = require('../utils/backup-util.cjs');
 const playerHandlers = require('../ipc/player-handlers.cjs');
 const serverPropsHandlers = require('../ipc/server-properties-handlers.cjs');
 // Mods/info handlers (server mods, shaders, resourcepacks, and search/info)
@@ -31,7 +33,69 @@ const {
   setAutoRestartOptions,
   getAutoRestartState
 } = require('./auto-restart.cjs');
+// Scheduled tasks service (shares the runner started by the desktop app)
 const {
+  listScheduledTasks,
+  saveScheduledTask,
+  deleteScheduledTask,
+  runScheduledTaskNow,
+  getScheduledTaskHistory,
+  clearScheduledTaskHistory
+} = require('./scheduled-tasks.cjs');
+const { validateCronExpression, getNextRunTime } = require('../utils/cron-schedule.cjs');
+// Off-site backup targets
+const {
+  listBackupTargets,
+  saveBackupTarget,
+  deleteBackupTarget,
+  testBackupTarget,
+  uploadBackupToTarget,
+  listRemoteBackups,
+  downloadRemoteBackup
+} = require('./backup-target-service.cjs');
+// Backup encryption at rest
+const {
+  getEncryptionStatus,
+  enableBackupEncryption,
+  disableBackupEncryption,
+  exportBackupKeys,
+  importBackupKeys,
+  unlockBackupWithPassphrase
+} = require('./backup-encryption.cjs');
+const {
+  analyzeServerCrash,
+  getLatestCrashReport,
+  disableModAndRestart
+} = require('./crash-analyzer.cjs');
+const { analyzeInstanceMods } = require('./mod-conflict-analyzer.cjs');
+const {
+  CONFIG_SYNC_POLICIES,
+  getConfigSyncEntries,
+  setConfigSyncEntries,
+  listSyncCandidates,
+  listSyncFiles
+} = require('./config-sync-service.cjs');
+const { getLaunchProfile, saveLaunchProfile } = require('../ipc/launch-profile-handlers.cjs');
+const eventBus = require('../utils/event-bus.cjs');
+const { PanelEventStream } = require('./panel-event-stream.cjs');
+const { getRequiredRole, roleAllows, canAccessInstance } = require('../utils/panel-permissions.cjs');
+const {
+  SESSION_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  listPanelUsers,
+  savePanelUser,
+  deletePanelUser,
+  authenticatePanelUser,
+  resolvePanelUser,
+  PanelSessionStore,
+  parseCookies,
+  serializeCookie,
+  recordPanelAudit,
+  readPanelAudit
+} = require('./panel-auth-service.cjs');
+const {
+  BACKUP_MODES,
   DEFAULT_BACKUP_AUTOMATION,
   getDefaultServerConfig,
   readServerConfig,
@@ -46,6 +110,12 @@ const DEFAULT_SERVER_SETTINGS = {
   autoStartManagement: false
 };
 
+// Pages reachable without signing in (the login page and its icon)
+const PUBLIC_PAGES = new Set(['/login', '/icon.png', '/favicon.ico']);
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Request fields worth keeping in the audit log; secrets are never copied
+const AUDIT_BODY_FIELDS = ['targetPath', 'serverPath', 'name', 'oldName', 'newName', 'command', 'fileName', 'listName', 'entry', 'taskId', 'targetId', 'username', 'role', 'instances'];
+
 function getServerConfigDefaults(serverPath = '') {
   const appSettings = appStore.get('serverSettings') || DEFAULT_SERVER_SETTINGS;
   return getDefaultServerConfig({
@@ -145,6 +215,11 @@ class BrowserPanelServer {
   this.authWindowMs = 10 * 60 * 1000;
   this.authMaxFailures = 6;
   this.authLockMs = 15 * 60 * 1000;
+  this.sessions = new PanelSessionStore();
+  // Console, status and metrics pushed to panel clients; fed from renderer messages
+  this.eventStream = new PanelEventStream();
+  addSendListener((channel, data) => this.eventStream.handleMessage(channel, data));
+  this.eventStream.subscribe(({ type, id, data }) => this.broadcastSseEvent(type, data, id));
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -204,56 +279,185 @@ class BrowserPanelServer {
     return entry;
   }
 
+  writeSseEvent(client, type, payload, id = null) {
+    const idLine = id !== null && id !== undefined ? `id: ${id}\n` : '';
+    client.write(idLine + `event: ${type}\n` + `data: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  broadcastSseEvent(type, payload, id = null) {
+    for (const client of this.sseClients) {
+      if (!this.canSeeEvent(client, payload)) continue;
+      try { this.writeSseEvent(client, type, payload, id); } catch { /* ignore write error */ }
+    }
+  }
+
   clearAuthFailures(ip) {
     if (ip) this.authFailures.delete(ip);
   }
 
+  getSession(req) {
+    const cookies = parseCookies(req.headers && req.headers.cookie);
+    return this.sessions.get(cookies[SESSION_COOKIE]);
+  }
+
+  getSessionUser(req) {
+    const session = this.getSession(req);
+    const user = session ? resolvePanelUser(session.username, this.getPanelCredentials()) : null;
+    return user ? { session, user } : null;
+  }
+
+  canSeeEvent(client, payload) {
+    const user = client && client.locals ? client.locals.panelUser : null;
+    if (!payload || typeof payload !== 'object' || !payload.instanceId) return true;
+    return canAccessInstance(user, payload.instanceId);
+  }
+
+  async saveUser(input) {
+    const result = await savePanelUser(input, { reservedUsernames: [this.getPanelCredentials().username] });
+    // A new password or a disabled account signs the user out everywhere
+    if (result.success && (result.passwordChanged || result.user.disabled)) {
+      this.sessions.destroyUser(result.user.username);
+    }
+    return result;
+  }
+
+  deleteUser(username) {
+    const result = deletePanelUser(username);
+    if (result.success) this.sessions.destroyUser(username);
+    return result;
+  }
+
+  setSessionCookies(res, session) {
+    res.append('Set-Cookie', serializeCookie(SESSION_COOKIE, session.id, { httpOnly: true, secure: this.useHttps }));
+    // Readable by the panel so it can echo the token back in the CSRF header
+    res.append('Set-Cookie', serializeCookie(CSRF_COOKIE, session.csrfToken, { secure: this.useHttps }));
+  }
+
+  clearSessionCookies(res) {
+    res.append('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { httpOnly: true, secure: this.useHttps, maxAgeMs: 0 }));
+    res.append('Set-Cookie', serializeCookie(CSRF_COOKIE, '', { secure: this.useHttps, maxAgeMs: 0 }));
+  }
+
+  findInstanceByPath(serverPath) {
+    if (!serverPath || typeof serverPath !== 'string') return null;
+    const instances = appStore.get('instances') || [];
+    return instances.find((i) => i && i.type === 'server' && i.path === serverPath) || null;
+  }
+
+  /**
+   * Instances a request acts on, for the per-instance scope check
+   * Routes read different path fields, so every one the request supplies is resolved.
+   * @returns {{targeted: boolean, instanceIds: Array<string|null>, error?: string}}
+   */
+  resolveRequestInstance(req) {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const query = req.query || {};
+    const supplied = [body.serverPath, body.targetPath, query.serverPath, query.path, query.instanceId]
+      .filter((value) => value !== undefined && value !== null && value !== '');
+    if (supplied.some((value) => typeof value !== 'string')) {
+      return { targeted: false, instanceIds: [], error: 'Invalid server path' };
+    }
+    const instanceIds = [];
+    const idMatch = req.path.match(/^\/api\/instances\/([^/]+)/);
+    if (idMatch) {
+      instanceIds.push(decodeURIComponent(idMatch[1]));
+    }
+    if (query.instanceId) {
+      instanceIds.push(query.instanceId);
+    }
+    const serverPaths = [body.serverPath, body.targetPath, query.serverPath, query.path].filter(Boolean);
+    // These act on the running (or last used) server when no path is given
+    if (instanceIds.length === 0 && serverPaths.length === 0 && /^\/api\/(server|settings|auto-restart)(\/|$)/.test(req.path)) {
+      const state = getServerState();
+      const current = state.serverProcess?.['serverInfo']?.targetPath || appStore.get('lastServerPath') || null;
+      if (typeof current === 'string' && current) serverPaths.push(current);
+    }
+    for (const serverPath of new Set(serverPaths)) {
+      const inst = this.findInstanceByPath(serverPath);
+      instanceIds.push(inst ? inst.id : null);
+    }
+    return { targeted: instanceIds.length > 0, instanceIds };
+  }
+
+  audit(req, entry) {
+    const user = req.panelUser || null;
+    recordPanelAudit({
+      username: user ? user.username : null,
+      role: user ? user.role : null,
+      ip: this.getRequestIp(req),
+      method: req.method,
+      path: req.path,
+      ...entry
+    });
+  }
+
   setupMiddleware() {
     this.app.use(express.json({ limit: '10mb' }));
 
-    // Basic Auth always on for panel with lockout
+    // Session auth with roles, instance scopes and CSRF checks on every change
     this.app.use((req, res, next) => {
       try {
-        const { username, password, isConfigured, error } = this.getPanelCredentials();
-        if (error) {
-          return res.status(500).send(error);
+        const owner = this.getPanelCredentials();
+        if (owner.error) {
+          return res.status(500).send(owner.error);
         }
-        if (!isConfigured) {
+        if (!owner.isConfigured) {
           return res.status(403).send('Browser panel credentials are not configured. Set a unique username and password in App Settings.');
         }
 
-        const ip = this.getRequestIp(req);
-        if (this.isAuthLocked(ip)) {
-          const entry = this.authFailures.get(ip);
-          const retryAfter = entry && entry.lockedUntil
-            ? Math.max(1, Math.ceil((entry.lockedUntil - Date.now()) / 1000))
-            : Math.ceil(this.authLockMs / 1000);
-          res.set('Retry-After', String(retryAfter));
-          return res.status(429).send('Too many failed login attempts. Try again later.');
+        const isApi = req.path.startsWith('/api/');
+        if (!isApi && PUBLIC_PAGES.has(req.path)) {
+          return next();
         }
-
-        const header = req.headers['authorization'];
-        if (!header || !header.startsWith('Basic ')) {
-          res.set('WWW-Authenticate', 'Basic realm="Minecraft Core"');
-          return res.status(401).send('Authentication required');
+        const required = isApi ? getRequiredRole(req.method, req.path) : 'viewer';
+        if (required === null) {
+          return next();
         }
 
-        const decoded = Buffer.from(header.substring(6), 'base64').toString('utf8');
-        const separator = decoded.indexOf(':');
-        const user = separator >= 0 ? decoded.slice(0, separator) : decoded;
-        const pass = separator >= 0 ? decoded.slice(separator + 1) : '';
-        const ok = user === username && pass === password;
-        if (!ok) {
-          const entry = this.registerAuthFailure(ip);
-          if (entry && entry.lockedUntil) {
-            const retryAfter = Math.max(1, Math.ceil((entry.lockedUntil - Date.now()) / 1000));
-            res.set('Retry-After', String(retryAfter));
+        const signedIn = this.getSessionUser(req);
+        if (!signedIn) {
+          if (!isApi && req.method === 'GET') {
+            return res.redirect('/login');
           }
-          res.set('WWW-Authenticate', 'Basic realm="Minecraft Core"');
-          return res.status(401).send('Invalid credentials');
+          return res.status(401).json({ success: false, error: 'Sign in required', code: 'AUTH_REQUIRED' });
+        }
+        const { session, user } = signedIn;
+        req.panelUser = user;
+        req.panelSession = session;
+        res.locals.panelUser = user;
+
+        if (!SAFE_METHODS.has(req.method) && req.get(CSRF_HEADER) !== session.csrfToken) {
+          this.audit(req, { action: 'csrf-rejected', status: 403 });
+          return res.status(403).json({ success: false, error: 'Missing or invalid CSRF token', code: 'CSRF' });
         }
 
-        this.clearAuthFailures(ip);
+        if (!roleAllows(user.role, required)) {
+          this.audit(req, { action: 'denied', status: 403, detail: { required } });
+          return res.status(403).json({ success: false, error: `This needs the ${required} role`, code: 'FORBIDDEN' });
+        }
+
+        const target = isApi ? this.resolveRequestInstance(req) : { targeted: false, instanceIds: [] };
+        if (target.error) {
+          return res.status(400).json({ success: false, error: target.error });
+        }
+        const instanceId = target.instanceIds[0] || null;
+        const denied = target.instanceIds.find((id) => !canAccessInstance(user, id));
+        if (target.targeted && denied !== undefined) {
+          this.audit(req, { action: 'denied', status: 403, instanceId: denied });
+          return res.status(403).json({ success: false, error: 'You do not have access to this server', code: 'FORBIDDEN' });
+        }
+
+        // Anything beyond looking is recorded once the response is sent
+        if (isApi && required !== 'viewer') {
+          const detail = {};
+          const body = req.body && typeof req.body === 'object' ? req.body : {};
+          AUDIT_BODY_FIELDS.forEach((key) => {
+            if (body[key] !== undefined) detail[key] = body[key];
+          });
+          res.on('finish', () => {
+            this.audit(req, { action: 'request', status: res.statusCode, instanceId, detail });
+          });
+        }
         next();
       } catch {
         return res.status(500).send('Auth error');
@@ -423,13 +627,97 @@ class BrowserPanelServer {
       res.sendFile(path.join(__dirname, 'panel-shim.js'));
     });
 
-    // Server-Sent Events stream for async notifications
+    // -------------- Sign-in and panel user APIs --------------
+    this.app.get('/login', (req, res) => {
+      if (this.getSessionUser(req)) return res.redirect('/');
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      res.sendFile(path.join(__dirname, 'panel-login.html'));
+    });
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        const ip = this.getRequestIp(req);
+        // Sign-ins must come from the panel's own page
+        const origin = req.get('origin');
+        if (origin && origin.replace(/^https?:\/\//, '') !== req.get('host')) {
+          return res.status(403).json({ success: false, error: 'Cross-site sign-in rejected' });
+        }
+        if (this.isAuthLocked(ip)) {
+          const entry = this.authFailures.get(ip);
+          const retryAfter = entry && entry.lockedUntil
+            ? Math.max(1, Math.ceil((entry.lockedUntil - Date.now()) / 1000))
+            : Math.ceil(this.authLockMs / 1000);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ success: false, error: 'Too many failed login attempts. Try again later.' });
+        }
+        const { username, password } = req.body || {};
+        const user = await authenticatePanelUser(username, password, this.getPanelCredentials());
+        if (!user) {
+          const entry = this.registerAuthFailure(ip);
+          if (entry && entry.lockedUntil) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((entry.lockedUntil - Date.now()) / 1000))));
+          }
+          recordPanelAudit({ username: typeof username === 'string' ? username.trim().slice(0, 64) : null, action: 'login-failed', ip, status: 401 });
+          return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+        this.clearAuthFailures(ip);
+        const session = this.sessions.create(user.username);
+        this.setSessionCookies(res, session);
+        req.panelUser = user;
+        this.audit(req, { action: 'login', status: 200 });
+        res.json({ success: true, user, csrfToken: session.csrfToken });
+      } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+      }
+    });
+    this.app.post('/api/auth/logout', (req, res) => {
+      this.sessions.destroy(req.panelSession.id);
+      this.clearSessionCookies(res);
+      this.audit(req, { action: 'logout', status: 200 });
+      res.json({ success: true });
+    });
+    this.app.get('/api/auth/session', (req, res) => {
+      res.json({ success: true, user: req.panelUser, csrfToken: req.panelSession.csrfToken });
+    });
+    this.app.get('/api/panel-users/list', (_req, res) => {
+      try {
+        res.json({ success: true, owner: this.getPanelCredentials().username, users: listPanelUsers() });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/panel-users/save', express.json(), async (req, res) => {
+      try { res.json(await this.saveUser(req.body || {})); } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/panel-users/delete', express.json(), (req, res) => {
+      try { res.json(this.deleteUser((req.body || {}).username)); } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.get('/api/panel-audit/list', async (req, res) => {
+      try {
+        const { limit, username } = req.query || {};
+        res.json({ success: true, entries: await readPanelAudit({ limit, username: typeof username === 'string' && username ? username : null }) });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // Server-Sent Events stream for async notifications and the live console.
+    // Reconnecting clients resume from the Last-Event-ID header (or ?offset) and
+    // get the log lines they missed before live events.
     this.app.get('/api/events', (req, res) => {
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
       res.flushHeaders && res.flushHeaders();
       res.write(': connected\n\n');
+      try {
+        const since = req.headers['last-event-id'] ?? req.query.offset ?? null;
+        const { lines, offset, truncated } = this.eventStream.getLogsSince(since);
+        this.writeSseEvent(res, 'stream-resume', { offset, resumed: since !== null, truncated, replayed: lines.length });
+        lines.filter((entry) => this.canSeeEvent(res, entry))
+          .forEach((entry) => this.writeSseEvent(res, 'server-log', entry, entry.id));
+        const { statuses, metrics } = this.eventStream.getSnapshot();
+        statuses.filter((status) => this.canSeeEvent(res, status))
+          .forEach((status) => this.writeSseEvent(res, 'server-status', status));
+        metrics.filter((update) => this.canSeeEvent(res, update))
+          .forEach((update) => this.writeSseEvent(res, 'metrics-update', update));
+      } catch { /* ignore replay error */ }
       this.sseClients.add(res);
       const heartbeat = setInterval(() => {
         try { res.write(': ping\n\n'); } catch { /* ignore */ }
@@ -442,12 +730,7 @@ class BrowserPanelServer {
     });
 
     // Helper to emit events to SSE clients
-    const emitEvent = (type, payload) => {
-      const data = `event: ${type}\n` + `data: ${JSON.stringify(payload)}\n\n`;
-      for (const client of this.sseClients) {
-        try { client.write(data); } catch { /* ignore write error */ }
-      }
-    };
+    const emitEvent = (type, payload) => this.broadcastSseEvent(type, payload);
 
     // Serve index.html with injected shim for /ui routes
     this.app.get('/ui*', (req, res) => {
@@ -509,13 +792,13 @@ class BrowserPanelServer {
 
   // APIs for UI
     this.app.get('/api/panel/status', (_req, res) => res.json({ success: true, isRunning: this.isRunning, port: this.port, protocol: this.useHttps ? 'https' : 'http' }));
-    this.app.get('/api/instances', (_req, res) => {
+    this.app.get('/api/instances', (req, res) => {
       try {
         const settings = appStore.get('appSettings') || {};
         const bp = settings.browserPanel || {};
         const vis = bp.instanceVisibility || {};
         const instances = (appStore.get('instances') || [])
-          .filter(i => i && i.type === 'server' && vis[i.id] !== false);
+          .filter(i => i && i.type === 'server' && vis[i.id] !== false && canAccessInstance(req.panelUser, i.id));
         res.json(instances);
       } catch {
         res.json([]);
@@ -660,6 +943,54 @@ class BrowserPanelServer {
         res.status(500).json({ success: false, error: e.message });
       }
     });
+    // -------------- Scheduled Tasks APIs --------------
+    // Relay task runs (scheduled or manual) to connected panels
+    eventBus.on('scheduled-task-run', (payload) => {
+      try { emitEvent('scheduled-task-event', payload); } catch { /* ignore SSE */ }
+    });
+    this.app.get('/api/scheduled-tasks/list', (req, res) => {
+      try {
+        const { serverPath } = req.query || {};
+        res.json(listScheduledTasks(serverPath));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/scheduled-tasks/save', express.json(), (req, res) => {
+      try {
+        const { serverPath, task } = req.body || {};
+        res.json(saveScheduledTask(serverPath, task));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/scheduled-tasks/delete', express.json(), (req, res) => {
+      try {
+        const { serverPath, taskId } = req.body || {};
+        res.json(deleteScheduledTask(serverPath, taskId));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/scheduled-tasks/run-now', express.json(), async (req, res) => {
+      try {
+        const { serverPath, taskId } = req.body || {};
+        res.json(await runScheduledTaskNow(serverPath, taskId));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.get('/api/scheduled-tasks/history', async (req, res) => {
+      try {
+        const { serverPath, limit } = req.query || {};
+        res.json(await getScheduledTaskHistory(serverPath, limit));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/scheduled-tasks/history/clear', express.json(), async (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        res.json(await clearScheduledTaskHistory(serverPath));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/scheduled-tasks/validate-cron', express.json(), (req, res) => {
+      try {
+        const { expression } = req.body || {};
+        const result = validateCronExpression(expression);
+        res.json(result.valid ? { ...result, nextRun: getNextRunTime(expression).toISOString() } : result);
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
     this.app.post('/api/settings', express.json(), (req, res) => {
       try {
         const { port, maxRam, managementPort, serverPath, autoStartMinecraft, autoStartManagement } = req.body || {};
@@ -721,10 +1052,12 @@ class BrowserPanelServer {
   let statusVersionCounter = 0;
   let lastIsRunning = null;
   let lastTransitionTs = 0;
-  this.app.get('/api/server/status', (_req, res) => {
+  this.app.get('/api/server/status', async (_req, res) => {
     try {
       const state = getServerState();
-      const isRunning = !!state.isRunning;
+      // Servers started outside this app are still reachable over RCON
+      const external = state.isRunning ? null : await probeExternalServer(appStore.get('lastServerPath'));
+      const isRunning = !!state.isRunning || !!external;
       if (lastIsRunning === null) {
         lastIsRunning = isRunning;
         lastTransitionTs = Date.now();
@@ -741,7 +1074,7 @@ class BrowserPanelServer {
       }
       const info = state.serverProcess ? state.serverProcess['serverInfo'] : null;
       const uptime = state.serverStartMs ? (Date.now() - state.serverStartMs) : 0;
-      const players = state.playersInfo || { count: 0, names: [] };
+      const players = (external && external.playersInfo) || state.playersInfo || { count: 0, names: [] };
       // Provide metrics from the system-metrics service if available
       let cpuPct = 0, memUsedMB = 0, maxRamMB = (appStore.get('serverSettings')?.maxRam || 4) * 1024;
       try {
@@ -753,13 +1086,13 @@ class BrowserPanelServer {
           maxRamMB = typeof last.maxRamMB === 'number' ? last.maxRamMB : maxRamMB;
         }
       } catch { /* ignore metrics retrieval error */ }
-      res.json({ success: true, isRunning, serverInfo: info, uptimeMs: uptime, players, cpuPct, memUsedMB, maxRamMB, statusVersion: statusVersionCounter, lastTransitionTs });
+      res.json({ success: true, isRunning, external: !!external, serverInfo: info, uptimeMs: uptime, players, cpuPct, memUsedMB, maxRamMB, performance: state.performance || null, statusVersion: statusVersionCounter, lastTransitionTs });
     } catch (e) {
       res.json({ success: false, error: e.message });
     }
   });
     this.app.post('/api/server/start', express.json(), async (req, res) => {
-      const { targetPath, port = null, maxRam = null } = req.body || {};
+      const { targetPath, port = null, maxRam = null, ignoreModIssues = false } = req.body || {};
       if (!targetPath) return res.status(400).json({ success: false, error: 'targetPath required' });
       // Enforce visibility if configured
       const instances = appStore.get('instances') || [];
@@ -774,6 +1107,12 @@ class BrowserPanelServer {
           const updated = { ...current, ...(port !== null ? { port } : {}), ...(maxRam !== null ? { maxRam } : {}) };
           appStore.set('serverSettings', updated);
         } catch { /* ignore store error */ }
+        if (!ignoreModIssues) {
+          const modReport = await analyzeInstanceMods(targetPath, { sets: ['server'] }).catch(() => null);
+          if (modReport && modReport.errorCount > 0) {
+            return res.json({ success: false, error: `${modReport.errorCount} mod problem${modReport.errorCount === 1 ? '' : 's'} found`, code: 'MOD_CONFLICTS', modIssues: modReport.sets.server.issues });
+          }
+        }
   const result = await startMinecraftServer(targetPath, port, maxRam);
   try { if (result?.success) { safeSend('server-status', 'running'); } } catch { /* ignore */ }
   res.json(result);
@@ -790,10 +1129,19 @@ class BrowserPanelServer {
       try { const ok = await killMinecraftServer(); res.json({ success: !!ok }); } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
     this.app.post('/api/server/command', express.json(), async (req, res) => {
-      try { const { command } = req.body || {}; const ok = await sendServerCommand(command); res.json({ success: !!ok }); } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+      try { const { command } = req.body || {}; res.json(await executeServerCommand({}, command)); } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
     this.app.get('/api/server/logs', (req, res) => {
       try {
+        // With an offset, answer from the live buffer instead of re-reading the whole log
+        if (req.query.offset !== undefined) {
+          const { lines, offset, truncated } = this.eventStream.getLogsSince(req.query.offset, {
+            instanceId: typeof req.query.instanceId === 'string' ? req.query.instanceId : null
+          });
+          // Without an instanceId the buffer holds every instance's lines
+          const visible = lines.filter((entry) => this.canSeeEvent(res, entry));
+          return res.json({ success: true, lines: visible, offset, truncated });
+        }
         const fs = require('fs'); const path = require('path');
         // Try to read current running instance log if available
         const state = getServerState();
@@ -811,7 +1159,7 @@ class BrowserPanelServer {
     });
 
     // Instance control APIs (kept for direct instance addressing)
-    this.app.get('/api/instances/:id/status', (req, res) => {
+    this.app.get('/api/instances/:id/status', async (req, res) => {
       const { id } = req.params;
       const settings = appStore.get('appSettings') || {};
       const bp = settings.browserPanel || {};
@@ -821,6 +1169,10 @@ class BrowserPanelServer {
       if (!inst) return res.status(404).json({ success: false, error: 'Instance not found or not visible' });
       try {
         const state = getServerState();
+        const external = state.isRunning ? null : await probeExternalServer(inst.path);
+        if (external) {
+          return res.json({ success: true, isRunning: true, isThisInstance: true, external: true, uptimeMs: 0, players: external.playersInfo });
+        }
         const isRunning = !!state.isRunning;
         const serverInfo = state.serverProcess ? state.serverProcess['serverInfo'] : null;
         const isThisInstance = isRunning && serverInfo && serverInfo.targetPath === inst.path;
@@ -898,11 +1250,12 @@ class BrowserPanelServer {
       if (!inst) return res.status(404).json({ success: false, error: 'Instance not found or not visible' });
       try {
         const state = getServerState();
-        if (!state.isRunning) return res.status(409).json({ success: false, error: 'Server not running' });
         const currentPath = state.serverProcess?.['serverInfo']?.targetPath;
-        if (currentPath && currentPath !== inst.path) return res.status(409).json({ success: false, error: 'Different instance is running' });
-        const ok = await sendServerCommand(command);
-        res.json({ success: !!ok });
+        if (state.isRunning && currentPath && currentPath !== inst.path) return res.status(409).json({ success: false, error: 'Different instance is running' });
+        // Without a running process the command can still reach the server over RCON
+        const result = await executeServerCommand(state.isRunning ? {} : { targetPath: inst.path }, command);
+        if (!result.success && !state.isRunning) return res.status(409).json({ success: false, error: 'Server not running' });
+        res.json(result);
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
@@ -951,7 +1304,8 @@ class BrowserPanelServer {
         let totalSize = 0;
         const withSizes = backups.map((b) => {
           try {
-            const size = fs.statSync(path.join(serverPath, 'backups', b.name)).size;
+            // Snapshot sizes are already attributed from the store; the manifest file is tiny
+            const size = isSnapshotBackup(b.name) ? b.size : fs.statSync(path.join(serverPath, 'backups', b.name)).size;
             totalSize += size;
             return { ...b, size };
           } catch {
@@ -1001,6 +1355,208 @@ class BrowserPanelServer {
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
+    // Browse a backup's dimensions, player data, datapacks and configs
+    this.app.post('/api/backups/contents', express.json(), async (req, res) => {
+      try {
+        const { serverPath, name } = req.body || {};
+        if (!serverPath || !name) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await backupService.listBackupContents({ serverPath, name }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // Restore selected parts of a backup
+    this.app.post('/api/backups/restore-selection', express.json(), async (req, res) => {
+      try {
+        const { serverPath, name, selection, serverStatus } = req.body || {};
+        if (!serverPath || !name) return res.json({ success: false, error: 'Missing parameters' });
+        const result = await backupService.restoreBackupSelection({ serverPath, name, selection, serverStatus });
+        if (result && result.success) {
+          emitEvent('backup-notification', { type: 'success', title: 'Backup partially restored', message: result.message, serverPath, name });
+        }
+        res.json(result);
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // Verify a backup's integrity
+    this.app.post('/api/backups/verify', express.json(), async (req, res) => {
+      try {
+        const { serverPath, name } = req.body || {};
+        if (!serverPath || !name) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await backupService.verifyBackup({ serverPath, name }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Off-site backup target APIs --------------
+    eventBus.on('backup-upload-progress', (payload) => {
+      try { emitEvent('backup-upload-progress', payload); } catch { /* ignore SSE */ }
+    });
+    this.app.post('/api/backup-targets/list', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(listBackupTargets(serverPath));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/save', express.json(), (req, res) => {
+      try {
+        const { serverPath, target, secret } = req.body || {};
+        if (!serverPath || !target) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(saveBackupTarget(serverPath, target, secret));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/delete', express.json(), async (req, res) => {
+      try {
+        const { serverPath, targetId } = req.body || {};
+        if (!serverPath || !targetId) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await deleteBackupTarget(serverPath, targetId));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/test', express.json(), async (req, res) => {
+      try {
+        const { serverPath, target, secret } = req.body || {};
+        if (!serverPath || !target) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await testBackupTarget(serverPath, target, secret));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/upload', express.json(), async (req, res) => {
+      try {
+        const { serverPath, name, targetId } = req.body || {};
+        if (!serverPath || !name || !targetId) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await uploadBackupToTarget(serverPath, name, targetId));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/list-remote', express.json(), async (req, res) => {
+      try {
+        const { serverPath, targetId } = req.body || {};
+        if (!serverPath || !targetId) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await listRemoteBackups(serverPath, targetId));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backup-targets/download', express.json(), async (req, res) => {
+      try {
+        const { serverPath, targetId, name } = req.body || {};
+        if (!serverPath || !targetId || !name) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await downloadRemoteBackup(serverPath, targetId, name));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Backup encryption APIs --------------
+    this.app.post('/api/backups/encryption/status', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json({ success: true, status: getEncryptionStatus(serverPath) });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backups/encryption/enable', express.json(), async (req, res) => {
+      try {
+        const { serverPath, mode, passphrase } = req.body || {};
+        if (!serverPath || !mode) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await enableBackupEncryption(serverPath, { mode, passphrase }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backups/encryption/disable', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(disableBackupEncryption(serverPath));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backups/encryption/export-keys', express.json(), async (req, res) => {
+      try {
+        const { serverPath, passphrase } = req.body || {};
+        if (!serverPath || !passphrase) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await exportBackupKeys(serverPath, passphrase));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backups/encryption/import-keys', express.json(), async (req, res) => {
+      try {
+        const { serverPath, content, passphrase } = req.body || {};
+        if (!serverPath || !content || !passphrase) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await importBackupKeys(serverPath, content, passphrase));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/backups/encryption/unlock', express.json(), async (req, res) => {
+      try {
+        const { serverPath, name, passphrase } = req.body || {};
+        if (!serverPath || !name || !passphrase) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await unlockBackupWithPassphrase(serverPath, name, passphrase));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Crash analysis APIs --------------
+    eventBus.on('server-crash-analyzed', (report) => {
+      try { emitEvent('server-crash-report', report); } catch { /* ignore SSE */ }
+    });
+    this.app.post('/api/crash-analysis/latest', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json({ success: true, report: getLatestCrashReport(serverPath) });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/crash-analysis/analyze', express.json(), async (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json({ success: true, report: await analyzeServerCrash(serverPath) });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/crash-analysis/disable-mod-and-restart', express.json(), async (req, res) => {
+      try {
+        const { serverPath, fileName, port, maxRam } = req.body || {};
+        if (!serverPath || !fileName) return res.json({ success: false, error: 'Missing parameters' });
+        res.json(await disableModAndRestart({ serverPath, fileName, port, maxRam }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Mod conflict analysis APIs --------------
+    this.app.post('/api/mod-conflicts/analyze', express.json(), async (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        res.json({ success: true, report: await analyzeInstanceMods(serverPath) });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Config sync APIs --------------
+    this.app.post('/api/config-sync/get', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        const entries = getConfigSyncEntries(serverPath);
+        res.json({
+          success: true,
+          entries,
+          policies: CONFIG_SYNC_POLICIES,
+          candidates: listSyncCandidates(serverPath),
+          fileCount: listSyncFiles(serverPath, entries).length
+        });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/config-sync/set', express.json(), (req, res) => {
+      try {
+        const { serverPath, entries } = req.body || {};
+        if (!serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        const saved = setConfigSyncEntries(serverPath, entries);
+        res.json({ success: true, entries: saved, fileCount: listSyncFiles(serverPath, saved).length });
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // -------------- Launch profile APIs --------------
+    this.app.post('/api/launch-profile/get', express.json(), (req, res) => {
+      try {
+        const { serverPath } = req.body || {};
+        res.json(getLaunchProfile(serverPath));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+    this.app.post('/api/launch-profile/save', express.json(), (req, res) => {
+      try {
+        const { serverPath, profile } = req.body || {};
+        res.json(saveLaunchProfile(serverPath, profile));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
     // Immediate auto backup (manual run)
     this.app.post('/api/backups/run-now', express.json(), async (req, res) => {
       try {
@@ -1057,7 +1613,7 @@ class BrowserPanelServer {
 
     this.app.post('/api/backups/automation', express.json(), (req, res) => {
       try {
-        const { enabled, frequency, type, retentionCount, runOnLaunch, hour, minute, day, serverPath } = req.body || {};
+        const { enabled, frequency, type, retentionCount, runOnLaunch, hour, minute, day, mode, serverPath } = req.body || {};
         const effectiveServerPath = typeof serverPath === 'string' && serverPath
           ? serverPath
           : (appStore.get('lastServerPath') || '');
@@ -1071,6 +1627,7 @@ class BrowserPanelServer {
           hour: Number.isFinite(hour) ? hour : (prev.hour || 3),
           minute: Number.isFinite(minute) ? minute : (prev.minute || 0),
           day: Number.isFinite(day) ? day : (prev.day || 0),
+          mode: BACKUP_MODES.includes(mode) ? mode : (prev.mode || DEFAULT_BACKUP_AUTOMATION.mode),
           lastRun: prev.lastRun || null
         });
         res.json({ success: true, settings: updated });
@@ -1129,7 +1686,7 @@ class BrowserPanelServer {
         // Add sizes to backups for policy evaluation
         const withSizes = backups.map((b) => {
           let size = 0;
-          try { size = fs.statSync(path.join(serverPath, 'backups', b.name)).size; } catch { size = b.size || 0; }
+          try { size = isSnapshotBackup(b.name) ? b.size : fs.statSync(path.join(serverPath, 'backups', b.name)).size; } catch { size = b.size || 0; }
           return { ...b, size };
         });
         const rp = new RetentionPolicy({
@@ -1193,7 +1750,7 @@ class BrowserPanelServer {
           }, 400);
         };
         const watcher = fs.watch(dir, { persistent: true }, (eventType, filename) => {
-          if (filename && filename.endsWith('.zip')) trigger(eventType || 'change');
+          if (filename && isBackupFile(filename)) trigger(eventType || 'change');
           else trigger(eventType || 'change');
         });
         this.backupWatchers.set(serverPath, watcher);
@@ -1245,6 +1802,14 @@ class BrowserPanelServer {
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
+    this.app.get('/api/players/sessions', (req, res) => {
+      try {
+        const { serverPath, player, days, limit } = req.query || {};
+        const handlers = playerHandlers.createPlayerHandlers();
+        res.json(handlers['get-player-sessions']({ sender: { id: 'browser' } }, { serverPath, player, days, limit }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
     // -------------- Server Properties APIs --------------
     this.app.get('/api/server-properties/read', (req, res) => {
       try {
@@ -1324,7 +1889,7 @@ class BrowserPanelServer {
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
-    // -------------- Mods/Shaders/Resourcepacks APIs --------------
+    // -------------- Mods/Shaders/Resourcepacks/Plugins APIs --------------
     // List content (mods/shaders/resourcepacks)
     this.app.get('/api/mods/list', (req, res) => {
       try {
@@ -1333,6 +1898,7 @@ class BrowserPanelServer {
         let p;
         if (contentType === 'shaders') p = handlers['list-shaders']({ sender: { id: 'browser' } }, serverPath);
         else if (contentType === 'resourcepacks') p = handlers['list-resourcepacks']({ sender: { id: 'browser' } }, serverPath);
+        else if (contentType === 'plugins') p = handlers['list-plugins']({ sender: { id: 'browser' } }, serverPath);
         else p = handlers['list-mods']({ sender: { id: 'browser' } }, serverPath);
         Promise.resolve(p)
           .then((out) => res.json(out))
@@ -1372,6 +1938,7 @@ class BrowserPanelServer {
         let p;
         if (contentType === 'shaders') p = handlers['delete-shader']({ sender: { id: 'browser' } }, serverPath, itemName);
         else if (contentType === 'resourcepacks') p = handlers['delete-resourcepack']({ sender: { id: 'browser' } }, serverPath, itemName);
+        else if (contentType === 'plugins') p = handlers['delete-plugin']({ sender: { id: 'browser' } }, serverPath, itemName);
         else p = handlers['delete-mod']({ sender: { id: 'browser' } }, serverPath, itemName);
         Promise.resolve(p)
           .then((out) => { try { emitEvent('mods-changed', { serverPath, action: 'delete', itemName, contentType }); } catch { /* ignore emit error */ } res.json(out); })
@@ -1399,6 +1966,7 @@ class BrowserPanelServer {
         let p;
         if (contentType === 'shaders') p = handlers['install-shader-with-fallback']({ sender: { id: 'browser' } }, serverPath, contentData);
         else if (contentType === 'resourcepacks') p = handlers['install-resourcepack-with-fallback']({ sender: { id: 'browser' } }, serverPath, contentData);
+        else if (contentType === 'plugins') p = handlers['install-plugin-with-fallback']({ sender: { id: 'browser' } }, serverPath, contentData);
         else p = handlers['install-mod']({ sender: { id: 'browser' } }, serverPath, contentData);
         Promise.resolve(p)
           .then((out) => { try { emitEvent('mods-changed', { serverPath, action: 'install', contentType, contentData }); } catch { /* ignore emit error */ } res.json(out); })
@@ -1430,6 +1998,49 @@ class BrowserPanelServer {
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
+    // Mod version history, pins and rollbacks
+    this.app.post('/api/mods/history', express.json(), (req, res) => {
+      try {
+        const handlers = serverModHandlers.createServerModHandlers(null);
+        const p = handlers['mod-history:list']({ sender: { id: 'browser' } }, req.body || {});
+        Promise.resolve(p)
+          .then((out) => res.json(out))
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    this.app.post('/api/mods/pin', express.json(), (req, res) => {
+      try {
+        const handlers = serverModHandlers.createServerModHandlers(null);
+        const p = handlers['mod-history:set-pin']({ sender: { id: 'browser' } }, req.body || {});
+        Promise.resolve(p)
+          .then((out) => res.json(out))
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    this.app.post('/api/mods/rollback', express.json(), (req, res) => {
+      try {
+        const body = req.body || {};
+        const handlers = serverModHandlers.createServerModHandlers(null);
+        const p = handlers['mod-history:rollback']({ sender: { id: 'browser' } }, body);
+        Promise.resolve(p)
+          .then((out) => { try { emitEvent('mods-changed', { serverPath: body.serverPath, action: 'rollback', contentType: 'mods' }); } catch { /* ignore emit error */ } res.json(out); })
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    this.app.post('/api/mods/rollback-batch', express.json(), (req, res) => {
+      try {
+        const body = req.body || {};
+        const handlers = serverModHandlers.createServerModHandlers(null);
+        const p = handlers['mod-history:rollback-batch']({ sender: { id: 'browser' } }, body);
+        Promise.resolve(p)
+          .then((out) => { try { emitEvent('mods-changed', { serverPath: body.serverPath, action: 'rollback', contentType: 'mods' }); } catch { /* ignore emit error */ } res.json(out); })
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
     // Search content (mods/shaders/resourcepacks)
     this.app.post('/api/mods/search', express.json(), (req, res) => {
       try {
@@ -1438,6 +2049,7 @@ class BrowserPanelServer {
         let p;
         if (contentType === 'shaders') p = handlers['search-shaders']({ sender: { id: 'browser' } }, args);
         else if (contentType === 'resourcepacks') p = handlers['search-resourcepacks']({ sender: { id: 'browser' } }, args);
+        else if (contentType === 'plugins') p = handlers['search-plugins']({ sender: { id: 'browser' } }, args);
         else p = handlers['search-mods']({ sender: { id: 'browser' } }, args);
         Promise.resolve(p)
           .then((out) => res.json(out))
@@ -1481,6 +2093,32 @@ class BrowserPanelServer {
       } catch (e) { res.status(500).json({ success: false, error: e.message }); }
     });
 
+    // Identify hand-added jars on Modrinth/CurseForge
+    this.app.post('/api/mods/identify', express.json(), (req, res) => {
+      try {
+        const args = req.body || {};
+        if (!args.serverPath) return res.json({ success: false, error: 'Missing parameters' });
+        const handlers = modInfoHandlers.createModInfoHandlers();
+        const p = handlers['identify-installed-mods']({ sender: { id: 'browser' } }, args);
+        Promise.resolve(p)
+          .then((out) => res.json(out))
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
+    // Changelogs and breaking-change signals for pending updates
+    this.app.post('/api/mods/update-review', express.json(), (req, res) => {
+      try {
+        const args = req.body || {};
+        if (!Array.isArray(args.updates)) return res.json({ success: false, error: 'Missing parameters' });
+        const handlers = modInfoHandlers.createModInfoHandlers();
+        const p = handlers['mod-update-review']({ sender: { id: 'browser' } }, args);
+        Promise.resolve(p)
+          .then((out) => res.json(out))
+          .catch((e) => res.status(500).json({ success: false, error: e.message }));
+      } catch (e) { res.status(500).json({ success: false, error: e.message }); }
+    });
+
     // Get mod info (by modId)
     this.app.post('/api/mods/mod-info', express.json(), (req, res) => {
       try {
@@ -1617,6 +2255,8 @@ class BrowserPanelServer {
           try { client.end(); } catch { /* ignore */ }
         }
         this.sseClients.clear();
+        // Everyone signs in again after a restart
+        this.sessions.clear();
         // Close backup watchers
   for (const [, watcher] of this.backupWatchers) {
           try { watcher.close(); } catch { /* ignore */ }
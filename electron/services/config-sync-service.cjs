@@ -0,0 +1,339 @@
+// Config folder sync
+// The server admin marks config files and folders to sync to clients (`configSync` in the
+// server config). The management server lists them with checksums, and clients apply them
+// according to each entry's policy, keeping track of what they last received so that local
+// edits can be told apart from stale copies.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readServerConfig, updateServerConfig } = require('../utils/config-manager.cjs');
+
+const CONFIG_SYNC_POLICIES = ['always', 'if-missing', 'keep-local-changes'];
+const DEFAULT_SYNC_POLICY = 'keep-local-changes';
+// Folders modpacks usually ship configuration in
+const SUGGESTED_SYNC_FOLDERS = ['config', 'defaultconfigs', 'kubejs', 'scripts', 'global_packs'];
+// Paths that hold game files, app state or server secrets are never synced
+const PROTECTED_ROOTS = [
+  'mods', 'client', 'versions', 'libraries', 'assets', 'saves', 'world', 'logs', 'crash-reports',
+  'backups', 'shaderpacks', 'resourcepacks', 'minecraft-core-state', 'minecraft-core-manifests',
+  'minecraft-core-configs'
+];
+const PROTECTED_FILES = [
+  '.minecraft-core.json', 'server.properties', 'ops.json', 'whitelist.json', 'banned-players.json',
+  'banned-ips.json', 'usercache.json', 'eula.txt'
+];
+const MAX_SYNC_FILE_BYTES = 5 * 1024 * 1024;
+const STATE_FILE = path.join('minecraft-core-state', 'config-sync.json');
+// sourcePath -> { key, checksum }, so unchanged files are not re-read on every listing
+const checksumCache = new Map();
+
+/**
+ * Whether a relative path may be synced: it stays inside the instance folder and
+ * does not touch game files, app state or server secrets
+ * @param {string} relativePath
+ * @returns {boolean}
+ */
+function isSyncablePath(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath.trim()) return false;
+  const normalized = relativePath.replace(/\\/g, '/').replace(/\/+$/, '');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return false;
+  const parts = normalized.split('/');
+  if (parts.some(part => part === '..' || part === '.' || part === '')) return false;
+  const root = parts[0].toLowerCase();
+  if (PROTECTED_ROOTS.includes(root)) return false;
+  return !(parts.length === 1 && PROTECTED_FILES.includes(root));
+}
+
+/**
+ * Validate and de-duplicate config sync entries
+ * @param {any} entries
+ * @returns {Array<{path: string, policy: string}>}
+ */
+function normalizeConfigSyncEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of entries) {
+    const rawPath = entry && typeof entry.path === 'string' ? entry.path.trim() : '';
+    const entryPath = rawPath.replace(/\\/g, '/').replace(/\/+$/, '');
+    if (!isSyncablePath(entryPath) || seen.has(entryPath)) continue;
+    seen.add(entryPath);
+    normalized.push({
+      path: entryPath,
+      policy: CONFIG_SYNC_POLICIES.includes(entry.policy) ? entry.policy : DEFAULT_SYNC_POLICY
+    });
+  }
+  return normalized.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * @param {string} serverPath
+ * @returns {Array<{path: string, policy: string}>}
+ */
+function getConfigSyncEntries(serverPath) {
+  const config = readServerConfig(serverPath);
+  return normalizeConfigSyncEntries(config && config.configSync ? config.configSync.entries : []);
+}
+
+/**
+ * @param {string} serverPath
+ * @param {Array<{path: string, policy?: string}>} entries
+ * @returns {Array<{path: string, policy: string}>} The entries that were saved
+ */
+function setConfigSyncEntries(serverPath, entries) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    throw new Error('Invalid server path');
+  }
+  const normalized = normalizeConfigSyncEntries(entries);
+  updateServerConfig(serverPath, { configSync: { entries: normalized } });
+  return normalized;
+}
+
+/**
+ * Top-level folders and files of a server that could be synced, suggested folders first
+ * @param {string} serverPath
+ * @returns {Array<{path: string, type: 'folder'|'file', suggested: boolean}>}
+ */
+function listSyncCandidates(serverPath) {
+  const names = new Set();
+  const candidates = [];
+  for (const root of [serverPath, path.join(serverPath, 'client')]) {
+    if (!fs.existsSync(root)) continue;
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      if (names.has(entry.name) || !isSyncablePath(entry.name)) continue;
+      if (!entry.isDirectory() && !/\.(json5?|toml|txt|cfg|properties|ya?ml|snbt|ini)$/i.test(entry.name)) continue;
+      names.add(entry.name);
+      candidates.push({
+        path: entry.name,
+        type: entry.isDirectory() ? 'folder' : 'file',
+        suggested: SUGGESTED_SYNC_FOLDERS.includes(entry.name)
+      });
+    }
+  }
+  return candidates.sort((a, b) => (Number(b.suggested) - Number(a.suggested)) || a.path.localeCompare(b.path));
+}
+
+function checksumOf(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function checksumOfFile(filePath, stats) {
+  const key = `${stats.size}:${stats.mtimeMs}`;
+  const cached = checksumCache.get(filePath);
+  if (cached && cached.key === key) return cached.checksum;
+  const checksum = checksumOf(fs.readFileSync(filePath));
+  checksumCache.set(filePath, { key, checksum });
+  return checksum;
+}
+
+// Symlinks are skipped: they could point outside the instance folder or loop back into it
+function listFilesRecursive(root, relative) {
+  const target = path.join(root, relative);
+  let stats;
+  try {
+    stats = fs.lstatSync(target);
+  } catch {
+    return [];
+  }
+  if (stats.isFile()) return [relative];
+  if (!stats.isDirectory()) return [];
+  return fs.readdirSync(target).flatMap(name => listFilesRecursive(root, `${relative}/${name}`));
+}
+
+/**
+ * Resolve the files an admin marked for sync
+ * A copy under client/ takes precedence over the server's own file with the same path.
+ * @param {string} serverPath
+ * @param {Array<{path: string, policy: string}>} [entries]
+ * @returns {Array<{path: string, policy: string, size: number, checksum: string, sourcePath: string}>}
+ */
+function listSyncFiles(serverPath, entries = getConfigSyncEntries(serverPath)) {
+  const files = new Map();
+  for (const entry of entries) {
+    for (const root of [serverPath, path.join(serverPath, 'client')]) {
+      for (const relative of listFilesRecursive(root, entry.path)) {
+        if (!isSyncablePath(relative)) continue;
+        const sourcePath = path.join(root, relative);
+        const stats = fs.statSync(sourcePath);
+        if (stats.size > MAX_SYNC_FILE_BYTES) continue;
+        files.set(relative, {
+          path: relative,
+          policy: entry.policy,
+          size: stats.size,
+          checksum: checksumOfFile(sourcePath, stats),
+          sourcePath
+        });
+      }
+    }
+  }
+  return [...files.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Read synced files for clients, base64 encoded
+ * Only paths that are part of the sync listing are returned.
+ * @param {string} serverPath
+ * @param {Array<string>} paths
+ * @returns {Array<{path: string, checksum: string, content: string}>}
+ */
+function readSyncFiles(serverPath, paths) {
+  const wanted = new Set(Array.isArray(paths) ? paths : []);
+  return listSyncFiles(serverPath)
+    .filter(file => wanted.has(file.path))
+    .map(file => ({
+      path: file.path,
+      checksum: file.checksum,
+      content: fs.readFileSync(file.sourcePath).toString('base64')
+    }));
+}
+
+function loadSyncState(clientPath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(clientPath, STATE_FILE), 'utf8'));
+    return state && typeof state.files === 'object' && state.files ? state : { files: {} };
+  } catch {
+    return { files: {} };
+  }
+}
+
+function saveSyncState(clientPath, state) {
+  const statePath = path.join(clientPath, STATE_FILE);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Decide what a client does with each synced file
+ * - create: the file is missing locally
+ * - update: the server copy replaces the local one
+ * - unchanged: the local file already matches
+ * - keep: the local file stays (if-missing policy, or local edits to a synced file under keep-local-changes)
+ * @param {string} clientPath
+ * @param {Array<{path: string, policy: string, checksum: string, size?: number}>} remoteFiles
+ * @param {{files: Object<string, string>}} [state] - Checksums received in the last sync
+ * @returns {Array<{path: string, policy: string, action: string, reason: string, size: number, localChecksum: string|null, remoteChecksum: string}>}
+ */
+function planConfigSync(clientPath, remoteFiles, state = loadSyncState(clientPath)) {
+  const plan = [];
+  for (const remote of Array.isArray(remoteFiles) ? remoteFiles : []) {
+    if (!remote || !isSyncablePath(remote.path) || typeof remote.checksum !== 'string') continue;
+    const policy = CONFIG_SYNC_POLICIES.includes(remote.policy) ? remote.policy : DEFAULT_SYNC_POLICY;
+    const localPath = path.join(clientPath, remote.path);
+    const localChecksum = fs.existsSync(localPath) && fs.statSync(localPath).isFile()
+      ? checksumOf(fs.readFileSync(localPath))
+      : null;
+    const lastSynced = state.files[remote.path] || null;
+
+    let action;
+    let reason;
+    if (localChecksum === null) {
+      action = 'create';
+      reason = 'Missing locally';
+    } else if (localChecksum === remote.checksum) {
+      action = 'unchanged';
+      reason = 'Up to date';
+    } else if (policy === 'if-missing') {
+      action = 'keep';
+      reason = 'Only copied when missing';
+    } else if (policy === 'always') {
+      action = 'update';
+      reason = 'Server copy changed';
+    } else if (!lastSynced) {
+      // Never received from the server, so this is what the mod generated with its defaults
+      action = 'update';
+      reason = 'Not synced before';
+    } else if (localChecksum === lastSynced) {
+      action = 'update';
+      reason = 'Server copy changed';
+    } else {
+      action = 'keep';
+      reason = 'Changed locally';
+    }
+
+    plan.push({
+      path: remote.path,
+      policy,
+      action,
+      reason,
+      size: remote.size || 0,
+      localChecksum,
+      remoteChecksum: remote.checksum
+    });
+  }
+  return plan;
+}
+
+/**
+ * Write synced files into a client
+ * The plan is recomputed here so a stale preview cannot overwrite local edits.
+ * @param {string} clientPath
+ * @param {Array<{path: string, policy: string, checksum: string}>} remoteFiles - The server listing
+ * @param {Array<{path: string, checksum: string, content: string}>} contents - Base64 file contents
+ * @returns {{success: boolean, written: Array<string>, kept: Array<string>, unchanged: number, failures: Array<{path: string, error: string}>}}
+ */
+function applyConfigSync(clientPath, remoteFiles, contents) {
+  if (!clientPath || !fs.existsSync(clientPath)) {
+    throw new Error('Invalid client path');
+  }
+  const state = loadSyncState(clientPath);
+  const plan = planConfigSync(clientPath, remoteFiles, state);
+  const contentByPath = new Map((Array.isArray(contents) ? contents : []).map(file => [file.path, file]));
+  const root = path.resolve(clientPath);
+  const written = [];
+  const kept = [];
+  const failures = [];
+  let unchanged = 0;
+
+  for (const item of plan) {
+    if (item.action === 'unchanged') {
+      state.files[item.path] = item.remoteChecksum;
+      unchanged++;
+      continue;
+    }
+    if (item.action === 'keep') {
+      kept.push(item.path);
+      continue;
+    }
+
+    const file = contentByPath.get(item.path);
+    try {
+      if (!file || typeof file.content !== 'string') {
+        throw new Error('File content was not received');
+      }
+      const data = Buffer.from(file.content, 'base64');
+      if (checksumOf(data) !== item.remoteChecksum) {
+        throw new Error('Checksum mismatch');
+      }
+      const destination = path.resolve(root, item.path);
+      if (!destination.startsWith(root + path.sep)) {
+        throw new Error('Invalid file path');
+      }
+      fs.mkdirSync(path.dirname(destination), { recursive: true });
+      fs.writeFileSync(`${destination}.part`, data);
+      fs.renameSync(`${destination}.part`, destination);
+      state.files[item.path] = item.remoteChecksum;
+      written.push(item.path);
+    } catch (error) {
+      failures.push({ path: item.path, error: error.message });
+    }
+  }
+
+  state.lastSyncedAt = new Date().toISOString();
+  saveSyncState(clientPath, state);
+  return { success: failures.length === 0, written, kept, unchanged, failures };
+}
+
+module.exports = {
+  CONFIG_SYNC_POLICIES,
+  DEFAULT_SYNC_POLICY,
+  isSyncablePath,
+  normalizeConfigSyncEntries,
+  getConfigSyncEntries,
+  setConfigSyncEntries,
+  listSyncCandidates,
+  listSyncFiles,
+  readSyncFiles,
+  planConfigSync,
+  applyConfigSync
+};
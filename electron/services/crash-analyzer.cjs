@@ -0,0 +1,486 @@
+// Server crash analysis
+// After a crash, reads the crash report the server wrote (or the end of latest.log
+// when it died before writing one), pulls out the exception, stack frames and the
+// loader's "Suspected Mods", and ranks installed mod jars by how likely they caused it.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { safeSend } = require('../utils/safe-send.cjs');
+const eventBus = require('../utils/event-bus.cjs');
+const { extractDependenciesFromJar, listJarPackagesSync } = require('../ipc/mod-utils/mod-analysis-utils.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const LOG_TAIL_BYTES = 256 * 1024;
+// Crash reports are written right before the process exits; allow for clock skew on the mtime
+const REPORT_TIME_SLACK_MS = 5000;
+const UNKNOWN_START_WINDOW_MS = 10 * 60 * 1000;
+const MAX_FRAMES = 60;
+const MAX_REPORTED_FRAMES = 15;
+const CULPRIT_MIN_SCORE = 30;
+
+// Frames from these packages belong to the game, the loader or common libraries
+const PLATFORM_PACKAGES = [
+  'java.', 'javax.', 'jdk.', 'sun.', 'com.sun.',
+  'net.minecraft.', 'com.mojang.', 'net.minecraftforge.', 'net.neoforged.', 'cpw.mods.',
+  'net.fabricmc.', 'org.quiltmc.', 'org.spongepowered.', 'org.bukkit.', 'io.papermc.',
+  'io.netty.', 'com.google.', 'org.apache.', 'it.unimi.', 'org.slf4j.', 'org.objectweb.',
+  'com.llamalad7.', 'kotlin.', 'scala.'
+];
+
+const LOG_PREFIX_PATTERN = /^\[[^\]]*\] \[[^\]]*\](?: \[[^\]]*\])?:\s?/;
+const EXCEPTION_PATTERN = /^(?:Exception in thread "[^"]*" )?((?:[a-zA-Z_$][\w$]*\.)+[\w$]*(?:Exception|Error|Throwable)[\w$]*)(?::\s*(.*))?$/;
+const CAUSED_BY_PATTERN = /^Caused by:\s*((?:[a-zA-Z_$][\w$]*\.)+[\w$]*)(?::\s*(.*))?$/;
+const FRAME_PATTERN = /^\s*at\s+(.+)$/;
+const MIXIN_HANDLER_PATTERN = /^(?:handler|redirect|modify\w*|wrap\w*|localvar|constant)\$[a-z0-9]+\$([a-z0-9_]+)\$/i;
+
+// resolved serverPath -> latest analysis
+const latestReports = new Map();
+
+function stripLogPrefix(line) {
+  return line.replace(LOG_PREFIX_PATTERN, '');
+}
+
+/**
+ * Break down one stack frame
+ * Handles plain frames, Forge's "TRANSFORMER/modid@version/" module prefix, Fabric's
+ * "knot//" prefix, "~[file.jar:?]" location suffixes and mixin handler method names.
+ * @param {string} text - Frame without the leading "at "
+ * @returns {{text: string, className: string|null, method: string|null, modId: string|null, jar: string|null}}
+ */
+function parseFrame(text) {
+  const callEnd = text.indexOf('(');
+  const call = (callEnd === -1 ? text : text.slice(0, callEnd)).trim();
+  const moduleMatch = call.match(/^[A-Z][A-Z-]*\/([a-z0-9_.-]+)@[^/]*\//i);
+  const qualified = call.split('/').pop();
+  const lastDot = qualified.lastIndexOf('.');
+  const className = lastDot > 0 ? qualified.slice(0, lastDot) : null;
+  const method = lastDot > 0 ? qualified.slice(lastDot + 1) : null;
+  const jarMatch = text.match(/\[([^\]%!:]+?\.jar)/);
+  const handlerMatch = method ? method.match(MIXIN_HANDLER_PATTERN) : null;
+
+  let modId = moduleMatch ? moduleMatch[1].toLowerCase() : null;
+  if (modId === 'minecraft' || modId === 'forge' || modId === 'neoforge') modId = null;
+  if (handlerMatch) modId = handlerMatch[1].toLowerCase();
+
+  return {
+    text: text.trim(),
+    className,
+    method,
+    modId,
+    jar: jarMatch ? path.basename(jarMatch[1]) : null
+  };
+}
+
+function parseSuspectedModEntry(text) {
+  const match = text.match(/^(.*?)\s*\(([a-z0-9_.-]+)\)/i);
+  if (!match) return null;
+  return { name: match[1].trim() || match[2], id: match[2].toLowerCase() };
+}
+
+/**
+ * Pull exception, frames and named mods out of a crash report or log excerpt
+ * @param {string} text
+ * @param {{source?: 'crash-report'|'log'}} [options] - Crash reports describe their main
+ *   error first; in a log the last error is the one that killed the server
+ * @returns {{description: string|null, exception: {type: string, message: string}|null,
+ *   causes: Array<{type: string, message: string}>, frames: Array<Object>,
+ *   suspectedMods: Array<{name: string, id: string}>, mentionedJars: Array<string>}}
+ */
+function parseCrashText(text, { source = 'crash-report' } = {}) {
+  const lines = String(text || '').split(/\r?\n/).map(stripLogPrefix);
+  const descriptionMatch = lines.find(line => line.startsWith('Description: '));
+  const blocks = [];
+  const suspected = new Map();
+  const mentionedJars = new Set();
+  let current = null;
+  let inSuspected = false;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    const suspectedMatch = trimmed.match(/^Suspected Mods?:\s*(.*)$/i);
+    if (suspectedMatch) {
+      inSuspected = true;
+      suspectedMatch[1].split(',').map(parseSuspectedModEntry).filter(Boolean)
+        .forEach(mod => suspected.set(mod.id, mod));
+      continue;
+    }
+    if (inSuspected) {
+      // One indented line per suspected mod; deeper lines are its details
+      if (/^\t[^\t]/.test(line) || /^ {2}\S/.test(line)) {
+        const mod = parseSuspectedModEntry(trimmed);
+        if (mod) suspected.set(mod.id, mod);
+        continue;
+      }
+      if (/^\s{2,}/.test(line) && trimmed) continue;
+      inSuspected = false;
+    }
+
+    // Forge mod loading failures get a section per failing mod
+    const modSection = trimmed.match(/^-- MOD ([a-z0-9_.-]+) --$/i);
+    if (modSection && !['minecraft', 'forge', 'neoforge'].includes(modSection[1].toLowerCase())) {
+      const id = modSection[1].toLowerCase();
+      if (!suspected.has(id)) suspected.set(id, { name: id, id });
+      continue;
+    }
+    const modFile = trimmed.match(/^Mod File:\s*(.+\.jar)$/i);
+    if (modFile) {
+      mentionedJars.add(path.basename(modFile[1].replace(/\\/g, '/')));
+      continue;
+    }
+    // Fabric and Quilt list the mods of an unsolvable mod set instead of throwing
+    const incompatible = trimmed.match(/^- Mod '([^']+)' \(([a-z0-9_.-]+)\)/i);
+    if (incompatible && !['minecraft', 'java', 'fabricloader'].includes(incompatible[2].toLowerCase())) {
+      suspected.set(incompatible[2].toLowerCase(), { name: incompatible[1], id: incompatible[2].toLowerCase() });
+      continue;
+    }
+
+    const frameMatch = line.match(FRAME_PATTERN);
+    if (frameMatch && current) {
+      if (current.frames.length < MAX_FRAMES) current.frames.push(parseFrame(frameMatch[1]));
+      continue;
+    }
+    const causedBy = trimmed.match(CAUSED_BY_PATTERN);
+    if (causedBy && current) {
+      current.causes.push({ type: causedBy[1], message: causedBy[2] || '' });
+      continue;
+    }
+    if (/^\.\.\. \d+ more$/.test(trimmed) && current) continue;
+
+    const exception = trimmed.match(EXCEPTION_PATTERN);
+    if (exception) {
+      current = { exception: { type: exception[1], message: exception[2] || '' }, causes: [], frames: [] };
+      blocks.push(current);
+      continue;
+    }
+    current = null;
+  }
+
+  let main = null;
+  if (source === 'log') {
+    main = [...blocks].reverse().find(block => block.frames.length > 0) || blocks[blocks.length - 1] || null;
+  } else {
+    main = blocks[0] || null;
+  }
+
+  return {
+    description: descriptionMatch ? descriptionMatch.slice('Description: '.length).trim() : null,
+    exception: main ? main.exception : null,
+    causes: main ? main.causes : [],
+    frames: main ? main.frames : [],
+    suspectedMods: Array.from(suspected.values()),
+    mentionedJars: Array.from(mentionedJars)
+  };
+}
+
+function isPlatformClass(className) {
+  return PLATFORM_PACKAGES.some(prefix => className.startsWith(prefix));
+}
+
+/**
+ * Index of the enabled mod jars of a server: ids and names from the jar metadata,
+ * and the Java packages each jar ships
+ * @param {string} serverPath
+ * @returns {Promise<Array<{fileName: string, id: string|null, name: string, version: string|null, packages: Array<string>}>>}
+ */
+async function buildModIndex(serverPath) {
+  const modsDir = path.join(serverPath, 'mods');
+  let files = [];
+  try {
+    files = (await fsp.readdir(modsDir)).filter(file => file.toLowerCase().endsWith('.jar'));
+  } catch {
+    return [];
+  }
+
+  const mods = [];
+  for (const fileName of files) {
+    const jarPath = path.join(modsDir, fileName);
+    const metadata = await extractDependenciesFromJar(jarPath).catch(() => null);
+    const id = metadata ? (metadata.id || metadata.modId || metadata.projectId || null) : null;
+    mods.push({
+      fileName,
+      id: id ? String(id).toLowerCase() : null,
+      name: (metadata && metadata.name) || fileName.replace(/\.jar$/i, ''),
+      version: (metadata && metadata.version) || null,
+      packages: listJarPackagesSync(jarPath)
+    });
+  }
+  return mods;
+}
+
+/**
+ * Rank mods by the evidence a parsed crash holds against them
+ * @param {ReturnType<typeof parseCrashText>} parsed
+ * @param {Awaited<ReturnType<typeof buildModIndex>>} mods
+ * @returns {Array<{fileName: string, id: string|null, name: string, version: string|null, score: number, reasons: Array<string>}>}
+ */
+function rankSuspects(parsed, mods) {
+  const byId = new Map();
+  const byJar = new Map();
+  const packageOwners = new Map();
+  mods.forEach((mod) => {
+    if (mod.id) byId.set(mod.id, mod);
+    byJar.set(mod.fileName.toLowerCase(), mod);
+    mod.packages.forEach((pkg) => {
+      const owners = packageOwners.get(pkg) || [];
+      owners.push(mod);
+      packageOwners.set(pkg, owners);
+    });
+  });
+
+  const scores = new Map();
+  const blame = (mod, points, reason) => {
+    if (!mod) return;
+    const entry = scores.get(mod.fileName) || { mod, score: 0, reasons: new Set() };
+    entry.score += points;
+    entry.reasons.add(reason);
+    scores.set(mod.fileName, entry);
+  };
+  const findByName = name => mods.find(mod => mod.name.toLowerCase() === String(name).toLowerCase());
+
+  parsed.suspectedMods.forEach((suspect) => {
+    blame(byId.get(suspect.id) || findByName(suspect.name), 100, 'Named as a suspect in the crash report');
+  });
+  parsed.mentionedJars.forEach((jar) => {
+    blame(byJar.get(jar.toLowerCase()), 100, 'Named as a suspect in the crash report');
+  });
+
+  const seenFrameMods = new Set();
+  parsed.frames.forEach((frame, index) => {
+    const weight = Math.max(5, 30 - index * 2);
+    if (frame.modId && byId.has(frame.modId)) {
+      const key = `id:${frame.modId}`;
+      blame(byId.get(frame.modId), seenFrameMods.has(key) ? 5 : 40, 'Its mixins or transformed code are in the stack trace');
+      seenFrameMods.add(key);
+    }
+    if (frame.jar && byJar.has(frame.jar.toLowerCase())) {
+      const key = `jar:${frame.jar.toLowerCase()}`;
+      blame(byJar.get(frame.jar.toLowerCase()), seenFrameMods.has(key) ? 5 : 50, 'Its jar is in the stack trace');
+      seenFrameMods.add(key);
+    }
+    if (!frame.className || isPlatformClass(frame.className)) return;
+
+    // Longest package of the class that exactly one jar ships; shared packages prove nothing
+    let pkg = frame.className.slice(0, frame.className.lastIndexOf('.'));
+    while (pkg) {
+      const owners = packageOwners.get(pkg);
+      if (owners) {
+        if (owners.length === 1) blame(owners[0], weight, 'Its code is in the stack trace');
+        break;
+      }
+      const dot = pkg.lastIndexOf('.');
+      pkg = dot === -1 ? '' : pkg.slice(0, dot);
+    }
+  });
+
+  return Array.from(scores.values())
+    .map(({ mod, score, reasons }) => ({
+      fileName: mod.fileName,
+      id: mod.id,
+      name: mod.name,
+      version: mod.version,
+      score,
+      reasons: Array.from(reasons)
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+async function findCrashReport(serverPath, { since = null, crashedAt = Date.now() } = {}) {
+  const dir = path.join(serverPath, 'crash-reports');
+  let names = [];
+  try {
+    names = (await fsp.readdir(dir)).filter(name => name.toLowerCase().endsWith('.txt'));
+  } catch {
+    return null;
+  }
+  const earliest = since ? since - REPORT_TIME_SLACK_MS : crashedAt - UNKNOWN_START_WINDOW_MS;
+  let newest = null;
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    const stats = await fsp.stat(filePath).catch(() => null);
+    if (!stats || stats.mtimeMs < earliest) continue;
+    if (!newest || stats.mtimeMs > newest.mtimeMs) newest = { filePath, name, mtimeMs: stats.mtimeMs };
+  }
+  return newest;
+}
+
+async function readLogTail(serverPath) {
+  const logPath = path.join(serverPath, 'logs', 'latest.log');
+  const handle = await fsp.open(logPath, 'r').catch(() => null);
+  if (!handle) return null;
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+    return buffer.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Analyze the crash of a server
+ * @param {string} serverPath
+ * @param {{startMs?: number|null, crashedAt?: number, exitCode?: number|null, instanceId?: string|null, serverInfo?: Object|null}} [context]
+ *   startMs limits the search to crash reports written during the run that crashed
+ * @returns {Promise<Object>} The analysis, also kept as the server's latest
+ */
+async function analyzeServerCrash(serverPath, context = {}) {
+  const crashedAt = context.crashedAt || Date.now();
+  const reportFile = await findCrashReport(serverPath, { since: context.startMs || null, crashedAt });
+
+  let source = 'log';
+  let text = null;
+  if (reportFile) {
+    source = 'crash-report';
+    text = await fsp.readFile(reportFile.filePath, 'utf8').catch(() => null);
+  }
+  if (!text) {
+    source = 'log';
+    text = await readLogTail(serverPath);
+  }
+
+  const parsed = parseCrashText(text || '', { source });
+  const mods = await buildModIndex(serverPath);
+  const suspects = rankSuspects(parsed, mods);
+  const culprit = suspects.length > 0 && suspects[0].score >= CULPRIT_MIN_SCORE ? suspects[0] : null;
+
+  const report = {
+    serverPath,
+    instanceId: context.instanceId || null,
+    crashedAt,
+    exitCode: context.exitCode ?? null,
+    serverInfo: context.serverInfo || null,
+    source: text ? source : 'none',
+    reportFile: source === 'crash-report' && reportFile ? reportFile.name : null,
+    description: parsed.description,
+    exception: parsed.exception,
+    rootCause: parsed.causes.length > 0 ? parsed.causes[parsed.causes.length - 1] : null,
+    frames: parsed.frames.slice(0, MAX_REPORTED_FRAMES).map(frame => frame.text),
+    suspectedMods: parsed.suspectedMods,
+    suspects: suspects.slice(0, 5),
+    culprit
+  };
+  latestReports.set(path.resolve(serverPath), report);
+
+  logger.info('Analyzed server crash', {
+    category: 'server',
+    data: {
+      service: 'CrashAnalyzer',
+      operation: 'analyzeServerCrash',
+      serverPath,
+      source: report.source,
+      reportFile: report.reportFile,
+      exception: report.exception ? report.exception.type : null,
+      culprit: culprit ? culprit.fileName : null,
+      suspectCount: suspects.length
+    }
+  });
+  return report;
+}
+
+/**
+ * @param {string} serverPath
+ * @returns {Object|null} The last crash analysis of the server during this app session
+ */
+function getLatestCrashReport(serverPath) {
+  return latestReports.get(path.resolve(serverPath)) || null;
+}
+
+/**
+ * Disable a mod jar and start the server again
+ * Pending auto-restarts are cancelled so the server does not come back with the mod still enabled.
+ * @param {{serverPath: string, fileName: string, port?: number, maxRam?: number}} options
+ *   port and maxRam default to the values of the run that crashed
+ * @returns {Promise<{success: boolean, error?: string, disabled?: string}>}
+ */
+async function disableModAndRestart({ serverPath, fileName, port, maxRam }) {
+  if (!serverPath || !fileName) {
+    return { success: false, error: 'Server path and mod file are required' };
+  }
+  const jarName = path.basename(fileName);
+  if (!fs.existsSync(path.join(serverPath, 'mods', jarName))) {
+    return { success: false, error: `Mod ${jarName} is not installed or already disabled` };
+  }
+
+  const { cancelAutoRestart } = require('./auto-restart.cjs');
+  const { getServerState, shutdownMinecraftServer, startMinecraftServer } = require('./server-manager.cjs');
+  const { getDisabledMods, saveDisabledMods } = require('../ipc/mod-utils/mod-file-manager.cjs');
+
+  cancelAutoRestart();
+  const state = getServerState({ targetPath: serverPath });
+  if (state.isRunning) {
+    await shutdownMinecraftServer({ targetPath: serverPath });
+  }
+
+  const disabledMods = await getDisabledMods(serverPath);
+  if (!disabledMods.includes(jarName)) {
+    disabledMods.push(jarName);
+  }
+  await saveDisabledMods(serverPath, disabledMods);
+
+  const last = getLatestCrashReport(serverPath);
+  const lastInfo = (last && last.serverInfo) || {};
+  logger.info(`Disabled ${jarName} after crash analysis`, {
+    category: 'server',
+    data: {
+      service: 'CrashAnalyzer',
+      operation: 'disableModAndRestart',
+      serverPath,
+      fileName: jarName
+    }
+  });
+
+  const result = await startMinecraftServer({
+    targetPath: serverPath,
+    port: port || lastInfo.port || state.port,
+    maxRam: maxRam || lastInfo.maxRam || state.serverMaxRam
+  });
+  if (result && result.success === false) {
+    return { success: false, error: result.error || 'Mod disabled, but the server failed to start', disabled: jarName };
+  }
+  return { success: true, disabled: jarName };
+}
+
+eventBus.on('server-crashed', (info) => {
+  const serverInfo = info && info.serverInfo;
+  if (!serverInfo || !serverInfo.targetPath || !fs.existsSync(serverInfo.targetPath)) {
+    return;
+  }
+  analyzeServerCrash(serverInfo.targetPath, {
+    startMs: serverInfo.startMs || null,
+    crashedAt: Date.now(),
+    exitCode: info.exitCode ?? null,
+    instanceId: info.instanceId || null,
+    serverInfo: { port: serverInfo.port, maxRam: serverInfo.maxRam, loader: serverInfo.loader }
+  })
+    .then((report) => {
+      safeSend('server-crash-report', report);
+      eventBus.emit('server-crash-analyzed', report);
+    })
+    .catch((error) => {
+      logger.warn(`Crash analysis failed: ${error.message}`, {
+        category: 'server',
+        data: {
+          service: 'CrashAnalyzer',
+          operation: 'serverCrashed',
+          serverPath: serverInfo.targetPath,
+          errorType: error.constructor.name
+        }
+      });
+    });
+});
+
+module.exports = {
+  parseFrame,
+  parseCrashText,
+  buildModIndex,
+  rankSuspects,
+  analyzeServerCrash,
+  getLatestCrashReport,
+  disableModAndRestart
+};
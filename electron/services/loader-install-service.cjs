@@ -16,7 +16,31 @@ const { open: openZip, readEntry } = require('@xmcl/unzip');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const { spawn } = require('child_process');
 const fetch = require('node-fetch');
+const { QUILT_INSTALLER_JAR, getQuiltRuntimeStatus } = require('../utils/quilt-runtime.cjs');
+const {
+  LEGACY_NEOFORGE_MC_VERSION,
+  getNeoForgeArtifact,
+  getNeoForgeVersionPrefix,
+  getNeoForgeInstallerUrl,
+  getNeoForgeArtifactDir,
+  getNeoForgeRuntimeStatus
+} = require('../utils/neoforge-runtime.cjs');
+const {
+  PLUGIN_LOADER_LABELS,
+  PLUGINS_DIRNAME,
+  isPluginLoader,
+  getPluginServerJarName,
+  verifyChecksum,
+  getPluginServerRuntimeStatus
+} = require('../utils/plugin-server-runtime.cjs');
+
+const QUILT_META = 'https://meta.quiltmc.org/v3';
+const NEOFORGE_VERSIONS_API = 'https://maven.neoforged.net/api/maven/versions/releases';
+const PAPER_FILL_API = 'https://fill.papermc.io/v3/projects/paper';
+const PURPUR_API = 'https://api.purpurmc.org/v2/purpur';
+const USER_AGENT = 'Minecraft-Core/LoaderInstallService';
 
 let logger = null;
 function getLogger() {
@@ -43,6 +67,10 @@ function normalizeLoader(loader) {
   }
   if (normalized === 'fabric') return 'fabric';
   if (normalized === 'forge') return 'forge';
+  if (normalized === 'neoforge' || normalized === 'neo-forge') return 'neoforge';
+  if (normalized === 'quilt' || normalized === 'quilt-loader') return 'quilt';
+  if (normalized === 'paper' || normalized === 'paperclip') return 'paper';
+  if (normalized === 'purpur') return 'purpur';
   return normalized;
 }
 
@@ -137,7 +165,7 @@ async function downloadFileBuffer(url) {
   const response = await fetch(url, {
     redirect: 'follow',
     headers: {
-      'User-Agent': 'Minecraft-Core/LoaderInstallService'
+      'User-Agent': USER_AGENT
     }
   });
 
@@ -148,6 +176,23 @@ async function downloadFileBuffer(url) {
   return Buffer.from(await response.arrayBuffer());
 }
 
+// PaperMC's Fill API rejects requests without a descriptive User-Agent
+async function fetchBuildsApiJson(url) {
+  const response = await fetch(url, {
+    redirect: 'follow',
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Request failed for ${url}: ${response.status}`);
+  }
+
+  return response.json();
+}
+
 function getForgeInstallerDownloadUrls(minecraftVersion, loaderVersion) {
   const artifactVersion = getForgeArtifactVersion(minecraftVersion, loaderVersion);
   if (!artifactVersion) {
@@ -337,6 +382,51 @@ async function fetchJson(url) {
   return JSON.parse(await fetchText(url));
 }
 
+function resolveJavaCommand(javaPath) {
+  if (!javaPath || typeof javaPath !== 'string') {
+    return 'java';
+  }
+
+  // Installers report progress on stdout, which javaw.exe does not have
+  const normalizedJavaPath = path.normalize(javaPath);
+  if (path.basename(normalizedJavaPath).toLowerCase() !== 'javaw.exe') {
+    return normalizedJavaPath;
+  }
+
+  const consoleJavaPath = path.join(path.dirname(normalizedJavaPath), 'java.exe');
+  return fs.existsSync(consoleJavaPath) ? consoleJavaPath : normalizedJavaPath;
+}
+
+function runInstallerJar({ javaPath, args, cwd, logChannel, label }) {
+  return new Promise((resolve, reject) => {
+    const recentOutput = [];
+    const forwardOutput = (data) => {
+      data.toString().split(/\r?\n/).map((line) => line.trim()).filter(Boolean).forEach((line) => {
+        recentOutput.push(line);
+        if (recentOutput.length > 5) {
+          recentOutput.shift();
+        }
+        emitLog(logChannel, line);
+      });
+    };
+
+    const proc = spawn(resolveJavaCommand(javaPath), args, { cwd });
+    proc.stdout.on('data', forwardOutput);
+    proc.stderr.on('data', forwardOutput);
+    proc.on('error', (error) => {
+      reject(new Error(`Failed to launch ${label} installer: ${error.message}`));
+    });
+    proc.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      const detail = recentOutput.length > 0 ? `: ${recentOutput[recentOutput.length - 1]}` : '';
+      reject(new Error(`${label} installer exited with code ${code}${detail}`));
+    });
+  });
+}
+
 function compareNumericVersionDesc(left, right) {
   const leftParts = String(left).split(/[^0-9]+/).filter(Boolean).map(Number);
   const rightParts = String(right).split(/[^0-9]+/).filter(Boolean).map(Number);
@@ -415,6 +505,101 @@ async function getForgeVersionsWithFallback(minecraftVersion) {
   return [...new Set([...promotedVersions, ...metadataVersions])];
 }
 
+async function getQuiltLoaderVersions(minecraftVersion) {
+  const entries = await fetchJson(`${QUILT_META}/versions/loader/${encodeURIComponent(minecraftVersion)}`);
+  return [...new Set(
+    (Array.isArray(entries) ? entries : [])
+      .map((entry) => entry?.loader?.version)
+      .filter(Boolean)
+  )];
+}
+
+async function getNeoForgeVersions(minecraftVersion) {
+  const legacy = minecraftVersion === LEGACY_NEOFORGE_MC_VERSION;
+  const artifact = legacy ? 'net/neoforged/forge' : 'net/neoforged/neoforge';
+  const prefix = legacy ? `${LEGACY_NEOFORGE_MC_VERSION}-` : getNeoForgeVersionPrefix(minecraftVersion);
+  if (!prefix) {
+    return [];
+  }
+
+  const metadata = await fetchJson(`${NEOFORGE_VERSIONS_API}/${artifact}`);
+  return (Array.isArray(metadata?.versions) ? metadata.versions : [])
+    .filter((entry) => typeof entry === 'string' && entry.startsWith(prefix))
+    // 1.20.1 builds are listed as 1.20.1-47.1.x; the loader version is the part after the prefix
+    .map((entry) => (legacy ? entry.slice(prefix.length) : entry))
+    .filter(Boolean)
+    .sort(compareNumericVersionDesc);
+}
+
+/**
+ * Paper builds for a Minecraft version from the Fill API, newest first
+ * @param {Array<Object>} builds - Response of /versions/{version}/builds
+ * @returns {Array<{build: string, channel: string, url: string, fileName: string, algorithm: string, checksum: string}>}
+ */
+function mapPaperBuilds(builds) {
+  return (Array.isArray(builds) ? builds : [])
+    .map((entry) => {
+      const download = entry?.downloads?.['server:default'];
+      if (!entry?.id || !download?.url) {
+        return null;
+      }
+      return {
+        build: String(entry.id),
+        channel: String(entry.channel || 'STABLE').toUpperCase(),
+        url: download.url,
+        fileName: download.name || null,
+        algorithm: 'sha256',
+        checksum: download.checksums?.sha256 || null
+      };
+    })
+    .filter(Boolean)
+    .sort((left, right) => Number(right.build) - Number(left.build));
+}
+
+/**
+ * Purpur build numbers for a Minecraft version, newest first
+ * @param {Object} versionInfo - Response of /v2/purpur/{version}
+ * @returns {Array<string>}
+ */
+function mapPurpurBuilds(versionInfo) {
+  const builds = Array.isArray(versionInfo?.builds?.all) ? versionInfo.builds.all : [];
+  return [...new Set(builds.map(String))].sort((left, right) => Number(right) - Number(left));
+}
+
+async function getPaperBuilds(minecraftVersion) {
+  return mapPaperBuilds(
+    await fetchBuildsApiJson(`${PAPER_FILL_API}/versions/${encodeURIComponent(minecraftVersion)}/builds`)
+  );
+}
+
+async function getPurpurBuilds(minecraftVersion) {
+  return mapPurpurBuilds(await fetchBuildsApiJson(`${PURPUR_API}/${encodeURIComponent(minecraftVersion)}`));
+}
+
+// Download location and published checksum for one build
+async function resolvePluginServerDownload(loader, minecraftVersion, build) {
+  if (loader === 'paper') {
+    const match = (await getPaperBuilds(minecraftVersion)).find((entry) => entry.build === String(build));
+    if (!match) {
+      throw new Error(`Paper build ${build} was not found for Minecraft ${minecraftVersion}`);
+    }
+    return match;
+  }
+
+  const buildUrl = `${PURPUR_API}/${encodeURIComponent(minecraftVersion)}/${encodeURIComponent(build)}`;
+  const buildInfo = await fetchBuildsApiJson(buildUrl);
+  if (buildInfo?.result && buildInfo.result !== 'SUCCESS') {
+    throw new Error(`Purpur build ${build} for Minecraft ${minecraftVersion} did not succeed (${buildInfo.result})`);
+  }
+  return {
+    build: String(build),
+    url: `${buildUrl}/download`,
+    fileName: null,
+    algorithm: 'md5',
+    checksum: buildInfo?.md5 || null
+  };
+}
+
 async function getMinecraftVersionMetadata(minecraftVersion) {
   const manifest = await fetchJson('https://launchermeta.mojang.com/mc/game/version_manifest_v2.json');
   const versionInfo = Array.isArray(manifest.versions)
@@ -586,6 +771,22 @@ async function getLoaderVersions(loader, minecraftVersion) {
     return getForgeVersionsWithFallback(minecraftVersion);
   }
 
+  if (normalizedLoader === 'quilt') {
+    return getQuiltLoaderVersions(minecraftVersion);
+  }
+
+  if (normalizedLoader === 'neoforge') {
+    return getNeoForgeVersions(minecraftVersion);
+  }
+
+  if (normalizedLoader === 'paper') {
+    return (await getPaperBuilds(minecraftVersion)).map((entry) => entry.build);
+  }
+
+  if (normalizedLoader === 'purpur') {
+    return getPurpurBuilds(minecraftVersion);
+  }
+
   return [];
 }
 
@@ -689,6 +890,258 @@ async function installForgeServer(options) {
   };
 }
 
+function assertRuntimeReady(status, code, label) {
+  if (!status.hasBlockingIssues) {
+    return;
+  }
+
+  const error = new Error(status.blockingIssues[0]?.message || `${label} runtime is incomplete after installation`);
+  error.code = code;
+  error.details = status.blockingIssues;
+  throw error;
+}
+
+async function installQuiltServer(options) {
+  const loggerInstance = getLogger();
+  const {
+    targetPath,
+    minecraftVersion,
+    loaderVersion,
+    javaPath,
+    logChannel = 'install-log',
+    progressChannel = 'loader-install-progress'
+  } = options;
+
+  emitLog(logChannel, `🔧 Installing Quilt ${loaderVersion} for Minecraft ${minecraftVersion}...`);
+  emitProgress(progressChannel, { percent: 10, speed: 'Resolving Quilt installer...' }, 'quilt');
+
+  loggerInstance.info('Starting Quilt server installation', {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installQuiltServer',
+      targetPath,
+      minecraftVersion,
+      loaderVersion
+    }
+  });
+
+  const installers = await fetchJson(`${QUILT_META}/versions/installer`);
+  const installer = Array.isArray(installers) ? installers.find((entry) => entry?.url) : null;
+  if (!installer) {
+    throw new Error('No Quilt installer is available from the Quilt meta service');
+  }
+
+  emitLog(logChannel, `📥 Downloading Quilt installer ${installer.version}...`);
+  const installerJar = path.join(targetPath, QUILT_INSTALLER_JAR);
+  await fs.promises.writeFile(installerJar, await downloadFileBuffer(installer.url));
+  emitProgress(progressChannel, { percent: 30, speed: 'Running Quilt installer...' }, 'quilt');
+
+  // --download-server also fetches the vanilla server.jar the launcher wraps
+  await runInstallerJar({
+    javaPath,
+    args: [
+      '-jar', installerJar,
+      'install', 'server', minecraftVersion, loaderVersion,
+      '--download-server',
+      `--install-dir=${targetPath}`
+    ],
+    cwd: targetPath,
+    logChannel,
+    label: 'Quilt'
+  });
+
+  emitProgress(progressChannel, { percent: 90, speed: 'Verifying Quilt runtime...' }, 'quilt');
+  assertRuntimeReady(getQuiltRuntimeStatus(targetPath), 'QUILT_BROKEN', 'Quilt');
+
+  emitProgress(progressChannel, { percent: 100, speed: 'Completed' }, 'quilt');
+  emitLog(logChannel, '✔ Quilt installation completed');
+
+  loggerInstance.info('Quilt server installation completed', {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installQuiltServer',
+      targetPath,
+      minecraftVersion,
+      loaderVersion,
+      installerVersion: installer.version,
+      success: true
+    }
+  });
+
+  return {
+    success: true,
+    loader: 'quilt',
+    loaderVersion
+  };
+}
+
+async function installNeoForgeServer(options) {
+  const loggerInstance = getLogger();
+  const {
+    targetPath,
+    minecraftVersion,
+    loaderVersion,
+    javaPath,
+    logChannel = 'install-log',
+    progressChannel = 'loader-install-progress'
+  } = options;
+  const artifact = getNeoForgeArtifact(minecraftVersion, loaderVersion);
+
+  emitLog(logChannel, `🔧 Installing NeoForge ${loaderVersion} for Minecraft ${minecraftVersion}...`);
+  emitProgress(progressChannel, { percent: 10, speed: 'Preparing NeoForge installer...' }, 'neoforge');
+
+  loggerInstance.info('Starting NeoForge server installation', {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installNeoForgeServer',
+      targetPath,
+      minecraftVersion,
+      loaderVersion,
+      artifactVersion: artifact.version
+    }
+  });
+
+  // The installer keeps the vanilla jar under libraries/; the root server.jar is what
+  // health checks and repairs look for, as with Forge
+  await ensureBaseMinecraftServerLayout(targetPath, minecraftVersion, logChannel, progressChannel);
+
+  const installerPath = path.join(
+    getNeoForgeArtifactDir(targetPath, artifact),
+    `${artifact.name}-${artifact.version}-installer.jar`
+  );
+  if (!fs.existsSync(installerPath) || fs.statSync(installerPath).size === 0) {
+    emitLog(logChannel, `📥 Downloading NeoForge installer ${artifact.version}...`);
+    await fs.promises.mkdir(path.dirname(installerPath), { recursive: true });
+    await fs.promises.writeFile(installerPath, await downloadFileBuffer(getNeoForgeInstallerUrl(artifact)));
+  }
+  emitProgress(progressChannel, { percent: 55, speed: 'Running NeoForge installer...' }, 'neoforge');
+
+  // Writes run.sh/run.bat, user_jvm_args.txt and the unix/win args files next to the libraries
+  await runInstallerJar({
+    javaPath,
+    args: ['-jar', installerPath, '--installServer', targetPath],
+    cwd: targetPath,
+    logChannel,
+    label: 'NeoForge'
+  });
+
+  emitProgress(progressChannel, { percent: 90, speed: 'Verifying NeoForge runtime...' }, 'neoforge');
+  assertRuntimeReady(
+    getNeoForgeRuntimeStatus(targetPath, { minecraftVersion, loaderVersion }),
+    'NEOFORGE_BROKEN',
+    'NeoForge'
+  );
+
+  emitProgress(progressChannel, { percent: 100, speed: 'Completed' }, 'neoforge');
+  emitLog(logChannel, '✔ NeoForge installation completed');
+
+  loggerInstance.info('NeoForge server installation completed', {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installNeoForgeServer',
+      targetPath,
+      minecraftVersion,
+      loaderVersion,
+      success: true
+    }
+  });
+
+  return {
+    success: true,
+    loader: 'neoforge',
+    loaderVersion
+  };
+}
+
+async function installPluginServer(options) {
+  const loggerInstance = getLogger();
+  const {
+    targetPath,
+    minecraftVersion,
+    loaderVersion,
+    logChannel = 'install-log',
+    progressChannel = 'loader-install-progress'
+  } = options;
+  const loader = normalizeLoader(options.loader);
+  const label = PLUGIN_LOADER_LABELS[loader];
+
+  emitLog(logChannel, `🔧 Installing ${label} build ${loaderVersion} for Minecraft ${minecraftVersion}...`);
+  emitProgress(progressChannel, { percent: 10, speed: `Resolving ${label} build...` }, loader);
+
+  loggerInstance.info(`Starting ${label} server installation`, {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installPluginServer',
+      loader,
+      targetPath,
+      minecraftVersion,
+      loaderVersion
+    }
+  });
+
+  const download = await resolvePluginServerDownload(loader, minecraftVersion, loaderVersion);
+  if (!download.checksum) {
+    const error = new Error(`${label} build ${loaderVersion} has no published checksum`);
+    error.code = 'PLUGIN_SERVER_CHECKSUM_MISSING';
+    throw error;
+  }
+
+  emitLog(logChannel, `📥 Downloading ${label} ${minecraftVersion} build ${loaderVersion}...`);
+  emitProgress(progressChannel, { percent: 30, speed: `Downloading ${label} server...` }, loader);
+  const buffer = await downloadFileBuffer(download.url);
+
+  emitProgress(progressChannel, { percent: 80, speed: 'Verifying checksum...' }, loader);
+  if (!verifyChecksum(buffer, download.algorithm, download.checksum)) {
+    const error = new Error(`${label} server download failed ${download.algorithm} verification`);
+    error.code = 'PLUGIN_SERVER_CHECKSUM_MISMATCH';
+    throw error;
+  }
+
+  const jarName = getPluginServerJarName(loader, minecraftVersion, loaderVersion);
+  await fs.promises.writeFile(path.join(targetPath, jarName), buffer);
+  await fs.promises.mkdir(path.join(targetPath, PLUGINS_DIRNAME), { recursive: true });
+
+  // Only one build is kept so file-based loader detection stays unambiguous
+  const staleJars = (await fs.promises.readdir(targetPath))
+    .filter((file) => file !== jarName && file.toLowerCase().startsWith(`${loader}-`) && file.toLowerCase().endsWith('.jar'));
+  await Promise.all(staleJars.map((file) => fs.promises.rm(path.join(targetPath, file), { force: true })));
+
+  assertRuntimeReady(
+    getPluginServerRuntimeStatus(targetPath, loader, { minecraftVersion, loaderVersion }),
+    'PLUGIN_SERVER_BROKEN',
+    label
+  );
+
+  emitProgress(progressChannel, { percent: 100, speed: 'Completed' }, loader);
+  emitLog(logChannel, `✔ ${label} installation completed`);
+
+  loggerInstance.info(`${label} server installation completed`, {
+    category: 'mods',
+    data: {
+      service: 'LoaderInstallService',
+      operation: 'installPluginServer',
+      loader,
+      targetPath,
+      minecraftVersion,
+      loaderVersion,
+      jarName,
+      removedJars: staleJars.length,
+      success: true
+    }
+  });
+
+  return {
+    success: true,
+    loader,
+    loaderVersion
+  };
+}
+
 async function installServerLoader(options = {}) {
   const loggerInstance = getLogger();
   const normalizedLoader = normalizeLoader(options.loader);
@@ -736,6 +1189,21 @@ async function installServerLoader(options = {}) {
     return { ...resultBase, ...result };
   }
 
+  if (normalizedLoader === 'quilt') {
+    const result = await installQuiltServer(options);
+    return { ...resultBase, ...result };
+  }
+
+  if (normalizedLoader === 'neoforge') {
+    const result = await installNeoForgeServer(options);
+    return { ...resultBase, ...result };
+  }
+
+  if (isPluginLoader(normalizedLoader)) {
+    const result = await installPluginServer(options);
+    return { ...resultBase, ...result };
+  }
+
   const error = new Error(`Unsupported loader: ${normalizedLoader}`);
   error.code = 'UNSUPPORTED_LOADER';
   throw error;
@@ -828,6 +1296,8 @@ module.exports = {
   __testUtils: {
     getForgeArtifactVersion,
     getForgeInstallerPath,
-    isForgeInstallerOpenError
+    isForgeInstallerOpenError,
+    mapPaperBuilds,
+    mapPurpurBuilds
   }
 };
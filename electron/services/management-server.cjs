@@ -12,6 +12,8 @@ const eventBus = require('../utils/event-bus.cjs');
 const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
 const { getManagementTlsConfig } = require('../utils/tls-utils.cjs');
 const { resolveServerLoader } = require('../utils/server-loader.cjs');
+const { listSyncFiles, readSyncFiles } = require('./config-sync-service.cjs');
+const { buildModSyncManifest, signModSyncManifest, parseRangeHeader } = require('./mod-sync-service.cjs');
 const process = require('process');
 const os = require('os');
 
@@ -864,7 +866,8 @@ class ManagementServer {
         res.setHeader('Content-Type', 'application/java-archive');
         res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
         
-        const fileStream = fs.createReadStream(modPath);
+        const fileStream = this.openRangedFileStream(req, res, modPath);
+        if (!fileStream) return;
         
         fileStream.on('error', (err) => {
           this.log('warn', 'Mod download stream error', {
@@ -889,6 +892,25 @@ class ManagementServer {
       }
     });
 
+    // Signed manifest of the jars clients receive, for resumable mod sync
+    this.app.get('/api/mods/sync-manifest', async (req, res) => {
+      if (!this.serverPath) {
+        return res.status(404).json({ error: 'No server configured' });
+      }
+      try {
+        const manifest = await buildModSyncManifest(this.serverPath, { categories: this.readModCategories() });
+        const sessionToken = req.authClient ? req.authClient.token : null;
+        return res.json({
+          success: true,
+          manifest,
+          signature: sessionToken ? signModSyncManifest(manifest, sessionToken) : null
+        });
+      } catch (error) {
+        this.log('warn', 'Failed to build mod sync manifest', { error: error.message });
+        return res.status(500).json({ error: 'Failed to build mod sync manifest' });
+      }
+    });
+
     // List assets (shaderpacks or resourcepacks) available for clients
     this.app.get('/api/assets/list/:type', (req, res) => {
       if (!this.serverPath) {
@@ -981,7 +1003,8 @@ class ManagementServer {
         }
         res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
 
-        const fileStream = fs.createReadStream(assetPath);
+        const fileStream = this.openRangedFileStream(req, res, assetPath);
+        if (!fileStream) return;
         fileStream.on('error', () => {
           if (!res.headersSent) {
             res.status(500).json({ error: 'Failed to serve asset file' });
@@ -992,6 +1015,48 @@ class ManagementServer {
         return res.status(500).json({ error: 'Failed to serve asset file' });
       }
     });
+
+    // List config files the admin marked for sync, with their policies and checksums
+    this.app.get('/api/config-sync/list', (_, res) => {
+      if (!this.serverPath) {
+        return res.status(404).json({ error: 'No server configured' });
+      }
+      try {
+        const files = listSyncFiles(this.serverPath).map(file => ({
+          path: file.path,
+          policy: file.policy,
+          size: file.size,
+          checksum: file.checksum
+        }));
+        return res.json({ success: true, files });
+      } catch (error) {
+        this.log('warn', 'Failed to list synced config files', { error: error.message });
+        return res.status(500).json({ error: 'Failed to list config files' });
+      }
+    });
+
+    // Contents of synced config files; one request per sync keeps clients under the rate limit
+    this.app.post('/api/config-sync/files', (req, res) => {
+      if (!this.serverPath) {
+        return res.status(404).json({ error: 'No server configured' });
+      }
+      const paths = req.body && Array.isArray(req.body.paths) ? req.body.paths : null;
+      if (!paths) {
+        return res.status(400).json({ error: 'paths must be an array' });
+      }
+      try {
+        const files = readSyncFiles(this.serverPath, paths);
+        this.log('info', 'Serving synced config files', {
+          requested: paths.length,
+          served: files.length,
+          clientId: req.authClient ? req.authClient.id : null
+        });
+        return res.json({ success: true, files });
+      } catch (error) {
+        this.log('warn', 'Failed to read synced config files', { error: error.message });
+        return res.status(500).json({ error: 'Failed to read config files' });
+      }
+    });
     
     // Get required mods endpoint
     this.app.get('/api/debug/required-mods', async (req, res) => {
@@ -1649,6 +1714,40 @@ class ManagementServer {
     }
   }
   
+  // Mod categories configured in the app, used to build the sync manifest
+  readModCategories() {
+    try {
+      const { app } = require('electron');
+      const configFile = path.join(app.getPath('userData'), 'config', 'mod-categories.json');
+      if (!fs.existsSync(configFile)) return [];
+      const categories = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      return Array.isArray(categories) ? categories : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Stream a file, honouring a single `Range` request so clients can resume downloads.
+  // Returns null when the response was already finished (unsatisfiable range).
+  openRangedFileStream(req, res, filePath) {
+    const { size } = fs.statSync(filePath);
+    const range = parseRangeHeader(req.headers.range, size);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.status(416).end();
+      return null;
+    }
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+      return fs.createReadStream(filePath, range);
+    }
+    res.setHeader('Content-Length', size);
+    return fs.createReadStream(filePath);
+  }
+
   // Calculate file checksum for integrity verification
   calculateFileChecksum(filePath) {
     try {
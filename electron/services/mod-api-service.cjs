@@ -2,6 +2,7 @@
 const fetch = require('node-fetch');
 const { setMaxListeners } = require('node:events');
 const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+const modCache = require('./mod-cache-service.cjs');
 
 // Initialize logger
 const logger = getLoggerHandlers();
@@ -12,6 +13,20 @@ const MODRINTH_API = 'https://api.modrinth.com/v2';
 // Add a rate limiter utility
 const RATE_LIMIT_MS = 500; // Delay between API requests
 const VERSION_CACHE_TTL_MS = 30 * 60 * 1000; // Refresh cached version data every 30 minutes
+const PROJECT_CACHE_TTL_MS = 60 * 60 * 1000; // Persisted project info is reused for an hour
+const VERSION_INFO_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Published versions rarely change
+
+// Quilt loads Fabric mods, so Quilt servers also accept Fabric-only builds.
+// Paper runs Spigot and Bukkit plugins, and Purpur runs everything Paper does.
+const COMPATIBLE_LOADERS = {
+  quilt: ['quilt', 'fabric'],
+  paper: ['paper', 'spigot', 'bukkit'],
+  purpur: ['purpur', 'paper', 'spigot', 'bukkit']
+};
+
+function getCompatibleLoaders(loader) {
+  return loader ? (COMPATIBLE_LOADERS[loader] || [loader]) : [];
+}
 
 function getVersionCacheTtlMs() {
   return VERSION_CACHE_TTL_MS;
@@ -120,15 +135,15 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
       lastError = error;
       performanceMetrics.retryAttempts++;
       
-      // Don't retry on 404 errors (mod not found)
-      if (error.message && error.message.includes('404')) {
-        logger.debug('Not retrying 404 error', {
+      // Don't retry on 404 errors (mod not found) or errors retrying can't fix (bad API key)
+      if (error.noRetry || (error.message && error.message.includes('404'))) {
+        logger.debug('Not retrying non-retryable error', {
           category: 'network',
           data: {
             service: 'ModApiService',
             operation: 'retryWithBackoff',
             attempt: attempt + 1,
-            errorType: '404',
+            errorType: error.noRetry ? 'noRetry' : '404',
             errorMessage: error.message
           }
         });
@@ -177,6 +192,50 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
   throw lastError;
 }
 
+/**
+ * Run a Modrinth request and persist its response, so the same lookup can still be
+ * answered from disk when Modrinth is unreachable later
+ * @param {string} cacheKey - Request URL
+ * @param {Function} request - Performs the request and returns the parsed body
+ * @param {{maxAgeMs?: number}} [options] - Reuse a persisted response younger than this without a request
+ * @returns {Promise<{data: any, offline: boolean, fetchedAt: number}>}
+ */
+async function withPersistedResponse(cacheKey, request, { maxAgeMs = 0 } = {}) {
+  if (maxAgeMs > 0) {
+    const fresh = await modCache.readApiResponse(cacheKey, maxAgeMs);
+    if (fresh) {
+      performanceMetrics.cacheHits++;
+      return { data: fresh.data, offline: false, fetchedAt: fresh.fetchedAt };
+    }
+  }
+
+  try {
+    const data = await request();
+    modCache.writeApiResponse(cacheKey, data);
+    return { data, offline: false, fetchedAt: Date.now() };
+  } catch (error) {
+    // Client errors such as 404 are real answers; only fall back when Modrinth could not be reached
+    if (error.noRetry || (error.status >= 400 && error.status < 500) || /\b4\d\d\b/.test(error.message || '')) {
+      throw error;
+    }
+    const stale = await modCache.readApiResponse(cacheKey);
+    if (!stale) {
+      throw error;
+    }
+    logger.warn('Modrinth unreachable, using cached response', {
+      category: 'network',
+      data: {
+        service: 'ModApiService',
+        operation: 'withPersistedResponse',
+        cacheKey,
+        cachedAt: new Date(stale.fetchedAt).toISOString(),
+        errorMessage: error.message
+      }
+    });
+    return { data: stale.data, offline: true, fetchedAt: stale.fetchedAt };
+  }
+}
+
 /**
  * Clear the version cache - useful when checking compatibility for different versions
  */
@@ -337,7 +396,7 @@ async function getModrinthPopular({ loader, version, page = 1, limit = 20, sortB
   }
   
   if (loader) {
-    facets.push([`categories:${loader}`]);
+    facets.push(getCompatibleLoaders(loader).map(tag => `categories:${tag}`));
   }
   if (version) {
     facets.push(["versions:" + version]);
@@ -389,7 +448,7 @@ async function getModrinthPopular({ loader, version, page = 1, limit = 20, sortB
     }
   });
   // Execute request with retry logic
-  const data = await retryWithBackoff(async () => {
+  const { data, offline, fetchedAt } = await withPersistedResponse(url.toString(), () => retryWithBackoff(async () => {
     const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
     
     try {
@@ -427,7 +486,7 @@ async function getModrinthPopular({ loader, version, page = 1, limit = 20, sortB
       }
       throw error;
     }
-  });
+  }));
 
   const mods = data.hits.map(mod => ({
       id: mod.project_id,
@@ -453,7 +512,8 @@ async function getModrinthPopular({ loader, version, page = 1, limit = 20, sortB
         totalResults: data.total_hits,
         totalPages: Math.ceil(data.total_hits / limit),
         limit
-      }
+      },
+      ...(offline ? { offline: true, cachedAt: new Date(fetchedAt).toISOString() } : {})
     };
     
     logger.info('Popular mods fetched successfully', {
@@ -521,7 +581,7 @@ async function searchModrinthMods({ query, loader, version, page = 1, limit = 20
   }
   
   if (loader) {
-    facets.push([`categories:${loader}`]);
+    facets.push(getCompatibleLoaders(loader).map(tag => `categories:${tag}`));
   }
   if (version) {
     facets.push(["versions:" + version]);
@@ -563,7 +623,7 @@ async function searchModrinthMods({ query, loader, version, page = 1, limit = 20
   // Add sorting parameter in multiple formats to ensure compatibility
   url.searchParams.append('index', modrinthSortBy);  // For newer API versions
   // Execute request with retry logic
-  const data = await retryWithBackoff(async () => {
+  const { data, offline, fetchedAt } = await withPersistedResponse(url.toString(), () => retryWithBackoff(async () => {
     const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
     
     try {
@@ -601,7 +661,7 @@ async function searchModrinthMods({ query, loader, version, page = 1, limit = 20
       }
       throw error;
     }
-  });
+  }));
 
   const mods = data.hits.map(project => ({
       id: project.project_id,
@@ -627,7 +687,8 @@ async function searchModrinthMods({ query, loader, version, page = 1, limit = 20
         totalResults: data.total_hits,
         totalPages: Math.ceil(data.total_hits / limit),
         currentPage: page
-      }
+      },
+      ...(offline ? { offline: true, cachedAt: new Date(fetchedAt).toISOString() } : {})
     };
     
     logger.info('Mod search completed successfully', {
@@ -759,49 +820,56 @@ async function getModrinthProjectInfo(projectId) {
     throw new Error('Project ID is required');
   }
 
-  await rateLimit();
-  
-  return await retryWithBackoff(async () => {
-    const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
-    
-    try {
-      const response = await fetch(`${MODRINTH_API}/project/${projectId}`, {
-        signal: controller.signal
-      });
-      clearTimeout(timeoutId);
+  const requestUrl = `${MODRINTH_API}/project/${projectId}`;
+  const { data } = await withPersistedResponse(requestUrl, async () => {
+    await rateLimit();
 
-      if (!response.ok) {
-        throw new Error(`Modrinth API error: ${response.status}`);
-      }
+    return retryWithBackoff(async () => {
+      const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
 
-      return await response.json();
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        throw new Error(`API timeout for project ${projectId} - network may be slow or API unavailable`);
-      }
-      if (error.response && error.response.status === 404) {
-        // TODO: Add proper logging - Project ID not found (404)
-        return null;
+      try {
+        const response = await fetch(requestUrl, {
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+
+        if (!response.ok) {
+          throw new Error(`Modrinth API error: ${response.status}`);
+        }
+
+        return await response.json();
+      } catch (error) {
+        clearTimeout(timeoutId);
+        if (error.name === 'AbortError') {
+          throw new Error(`API timeout for project ${projectId} - network may be slow or API unavailable`);
+        }
+        if (error.response && error.response.status === 404) {
+          // TODO: Add proper logging - Project ID not found (404)
+          return null;
+        }
+        throw error;
       }
-      throw error;
-    }
-  });
+    });
+  }, { maxAgeMs: PROJECT_CACHE_TTL_MS });
+  return data;
 }
 
 /**
  * Get general mod information from a supported source
  *
  * @param {string} modId - Mod ID or project ID
- * @param {string} [source='modrinth'] - Mod source (currently only Modrinth)
+ * @param {string} [source='modrinth'] - Mod source ('modrinth' or 'curseforge')
  * @returns {Promise<Object>} Mod information object
  */
 async function getModInfo(modId, source = 'modrinth') {
   if (source === 'modrinth') {
     return getModrinthProjectInfo(modId);
   }
+  if (source === 'curseforge') {
+    return getCurseForgeProjectInfo(modId);
+  }
 
-  throw new Error('Only Modrinth mod info is currently supported');
+  throw new Error(`Unsupported mod source: ${source}`);
 }
 
 /**
@@ -948,8 +1016,8 @@ async function getModrinthVersions(projectId, loader, gameVersion, loadLatestOnl
   await rateLimit();
   performanceMetrics.apiRequests++;
 
-  // Wrap the API call in retry logic
-  const versions = await retryWithBackoff(async () => {
+  // Wrap the API call in retry logic; the response is persisted for offline use
+  const { data: versions } = await withPersistedResponse(`${MODRINTH_API}/project/${projectId}/version`, () => retryWithBackoff(async () => {
     // Add timeout to prevent hanging
     const { controller, timeoutId } = createAbortControllerWithTimeout(15000);
     
@@ -974,7 +1042,9 @@ async function getModrinthVersions(projectId, loader, gameVersion, loadLatestOnl
             }
           });
           // Return a user-friendly error message
-          throw new Error(`Mod not found on Modrinth - the mod may have been removed or the project ID is outdated. Try re-installing this mod.`);
+          const notFound = new Error(`Mod not found on Modrinth - the mod may have been removed or the project ID is outdated. Try re-installing this mod.`);
+          notFound.status = 404;
+          throw notFound;
         }
         
         throw new Error(`Modrinth API error: ${response.status}`);
@@ -1005,7 +1075,7 @@ async function getModrinthVersions(projectId, loader, gameVersion, loadLatestOnl
       }
       throw error;
     }
-  });
+  }), { maxAgeMs: forceRefresh ? 0 : VERSION_CACHE_TTL_MS });
   
   // Helper utilities for version filtering
   const normalizeVersionString = value => String(value || '').trim().toLowerCase();
@@ -1291,7 +1361,8 @@ async function getModrinthVersions(projectId, loader, gameVersion, loadLatestOnl
 
   let loaderFilteredVersions = versions;
   if (effectiveLoader) {
-    loaderFilteredVersions = versions.filter(v => Array.isArray(v.loaders) && v.loaders.some(loaderCandidate => normalizeLoaderValue(loaderCandidate) === effectiveLoader));
+    const acceptedLoaders = getCompatibleLoaders(effectiveLoader);
+    loaderFilteredVersions = versions.filter(v => Array.isArray(v.loaders) && v.loaders.some(loaderCandidate => acceptedLoaders.includes(normalizeLoaderValue(loaderCandidate))));
   }
 
   if (effectiveLoader && loaderFilteredVersions.length === 0) {
@@ -1531,7 +1602,7 @@ async function getModrinthVersionInfo(projectId, versionId, gameVersion, loader)
 
   await rateLimit();
   
-  return await retryWithBackoff(async () => {
+  const { data } = await withPersistedResponse(`${MODRINTH_API}/version/${versionId}`, () => retryWithBackoff(async () => {
     const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
     
     try {
@@ -1580,7 +1651,8 @@ async function getModrinthVersionInfo(projectId, versionId, gameVersion, loader)
       }
       throw error;
     }
-  });
+  }), { maxAgeMs: VERSION_INFO_CACHE_TTL_MS });
+  return data;
 }
 
 /**
@@ -1632,10 +1704,11 @@ async function getLatestModrinthVersionInfo(projectId, gameVersion, loader) {
 async function getModrinthVersionByFileHash(hashHex, algorithm = 'sha1') {
   if (!hashHex) return null;
   await rateLimit();
-  return await retryWithBackoff(async () => {
+  const requestUrl = `${MODRINTH_API}/version_file/${hashHex}?algorithm=${algorithm}`;
+  const { data } = await withPersistedResponse(requestUrl, () => retryWithBackoff(async () => {
     const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
     try {
-      const response = await fetch(`${MODRINTH_API}/version_file/${hashHex}?algorithm=${algorithm}`, {
+      const response = await fetch(requestUrl, {
         signal: controller.signal
       });
       clearTimeout(timeoutId);
@@ -1653,7 +1726,368 @@ async function getModrinthVersionByFileHash(hashHex, algorithm = 'sha1') {
       }
       throw error;
     }
+  }));
+  return data;
+}
+
+// CurseForge API base URL and the fixed ids it uses for Minecraft content
+const CURSEFORGE_API = 'https://api.curseforge.com/v1';
+const CURSEFORGE_GAME_ID = 432;
+const CURSEFORGE_API_KEY_STORE_KEY = 'curseForgeApiKey';
+const CURSEFORGE_CLASS_IDS = { mod: 6, shader: 6552, resourcepack: 12 };
+const CURSEFORGE_LOADER_TYPES = { forge: 1, fabric: 4, quilt: 5, neoforge: 6 };
+const CURSEFORGE_SORT_FIELDS = { relevance: 2, popular: 2, downloads: 6, follows: 12, newest: 11, updated: 3 };
+const CURSEFORGE_RELEASE_TYPES = { 1: 'release', 2: 'beta', 3: 'alpha' };
+const CURSEFORGE_RELATION_TYPES = { 1: 'embedded', 2: 'optional', 3: 'required', 4: 'optional', 5: 'incompatible', 6: 'embedded' };
+const CURSEFORGE_LOADER_TAGS = new Set(['forge', 'fabric', 'quilt', 'neoforge']);
+// CurseForge only allows index + pageSize up to 10k on search
+const CURSEFORGE_MAX_SEARCH_INDEX = 10000;
+const CURSEFORGE_FILES_PAGE_SIZE = 50;
+const CURSEFORGE_MAX_FILE_PAGES = 4;
+
+// Files never change once published, so lookups can be kept for the session
+const curseForgeFileCache = new Map();
+
+/**
+ * Read the user's CurseForge API key from the app store
+ * @returns {string} API key, or an empty string when none is configured
+ */
+function getCurseForgeApiKey() {
+  try {
+    const appStore = require('../utils/app-store.cjs');
+    const { unpackSecret } = require('../utils/secure-store.cjs');
+    return unpackSecret(appStore.get(CURSEFORGE_API_KEY_STORE_KEY) || '') || '';
+  } catch (error) {
+    logger.warn('Could not read CurseForge API key', {
+      category: 'settings',
+      data: {
+        service: 'ModApiService',
+        operation: 'getCurseForgeApiKey',
+        errorMessage: error.message
+      }
+    });
+    return '';
+  }
+}
+
+/**
+ * Store (or clear, when empty) the CurseForge API key encrypted at rest
+ * @param {string} apiKey - API key from the CurseForge developer console
+ */
+function setCurseForgeApiKey(apiKey) {
+  const appStore = require('../utils/app-store.cjs');
+  const { ensureEncryptionAvailable, packSecret } = require('../utils/secure-store.cjs');
+  const trimmed = typeof apiKey === 'string' ? apiKey.trim() : '';
+  if (!trimmed) {
+    appStore.delete(CURSEFORGE_API_KEY_STORE_KEY);
+    return;
+  }
+  ensureEncryptionAvailable();
+  appStore.set(CURSEFORGE_API_KEY_STORE_KEY, packSecret(trimmed));
+}
+
+function hasCurseForgeApiKey() {
+  return Boolean(getCurseForgeApiKey());
+}
+
+/**
+ * Perform a request against the CurseForge API with the shared rate limit and retry logic
+ * @param {string} pathname - Path below the API root, e.g. `/mods/search`
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.params] - Query parameters; empty values are skipped
+ * @param {Object} [options.body] - JSON body for POST requests
+ * @param {string} [options.apiKey] - Key to use instead of the stored one
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function curseForgeRequest(pathname, { method = 'GET', params = null, body = null, apiKey = null } = {}) {
+  const key = apiKey || getCurseForgeApiKey();
+  if (!key) {
+    const error = new Error('CurseForge API key is not configured. Add one in Settings to browse CurseForge.');
+    error.code = 'CURSEFORGE_NO_KEY';
+    error.noRetry = true;
+    throw error;
+  }
+
+  const url = new URL(`${CURSEFORGE_API}${pathname}`);
+  for (const [name, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(name, String(value));
+    }
+  }
+
+  await rateLimit();
+  performanceMetrics.apiRequests++;
+
+  return await retryWithBackoff(async () => {
+    const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
+
+    try {
+      const response = await fetch(url.toString(), {
+        method,
+        headers: {
+          'x-api-key': key,
+          'Accept': 'application/json',
+          'User-Agent': 'minecraft-core/1.0.0',
+          ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      clearTimeout(timeoutId);
+
+      if (response.status === 401 || response.status === 403) {
+        const error = new Error(`CurseForge API key was rejected (${response.status})`);
+        error.code = 'CURSEFORGE_BAD_KEY';
+        error.noRetry = true;
+        throw error;
+      }
+      if (!response.ok) {
+        throw new Error(`CurseForge API error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') {
+        throw new Error(`CurseForge API timeout for ${pathname} - network may be slow or API unavailable`);
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Check that a CurseForge API key is accepted before storing it
+ * @param {string} apiKey - Key to verify
+ * @returns {Promise<boolean>} True when the key works
+ */
+async function verifyCurseForgeApiKey(apiKey) {
+  await curseForgeRequest(`/games/${CURSEFORGE_GAME_ID}`, { apiKey });
+  return true;
+}
+
+/**
+ * CurseForge fingerprint of a file: MurmurHash2 (seed 1) over the bytes with
+ * tabs, newlines, carriage returns and spaces removed
+ * @param {Buffer} buffer - File contents
+ * @returns {number} Unsigned 32-bit fingerprint
+ */
+function computeCurseForgeFingerprint(buffer) {
+  const isWhitespace = byte => byte === 9 || byte === 10 || byte === 13 || byte === 32;
+  let length = 0;
+  for (const byte of buffer) {
+    if (!isWhitespace(byte)) length++;
+  }
+
+  const m = 0x5bd1e995;
+  let hash = (1 ^ length) >>> 0;
+  let word = 0;
+  let shift = 0;
+
+  for (const byte of buffer) {
+    if (isWhitespace(byte)) continue;
+    word |= byte << shift;
+    shift += 8;
+    if (shift === 32) {
+      let k = Math.imul(word, m);
+      k ^= k >>> 24;
+      k = Math.imul(k, m);
+      hash = Math.imul(hash, m) ^ k;
+      word = 0;
+      shift = 0;
+    }
+  }
+
+  if (shift > 0) {
+    hash ^= word;
+    hash = Math.imul(hash, m);
+  }
+
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, m);
+  hash ^= hash >>> 15;
+  return hash >>> 0;
+}
+
+function isMinecraftVersionTag(tag) {
+  return /^\d+\.\d+(\.\d+)?$/.test(tag);
+}
+
+/**
+ * Work out a mod's own version from a CurseForge file, which has no version field.
+ * Takes the first version-like token in the file name that isn't a Minecraft version.
+ * @param {Object} file - CurseForge file object
+ * @returns {string} Version string, falling back to the display name
+ */
+function extractCurseForgeVersionNumber(file) {
+  const gameVersions = new Set((file.gameVersions || []).filter(isMinecraftVersionTag));
+  const baseName = String(file.fileName || '').replace(/\.(jar|zip)$/i, '');
+  const tokens = [...baseName.matchAll(/(mc)?(\d+(?:\.\d+)+(?:\+[0-9A-Za-z.]+)?)/gi)];
+
+  for (const [, mcPrefix, token] of tokens) {
+    const core = token.split('+')[0];
+    if (mcPrefix || gameVersions.has(core)) continue;
+    return token;
+  }
+  return file.displayName || baseName;
+}
+
+function mapCurseForgeFile(file) {
+  const tags = file.gameVersions || [];
+  const sha1 = (file.hashes || []).find(hash => hash.algo === 1);
+  return {
+    id: String(file.id),
+    projectId: String(file.modId),
+    name: file.displayName || file.fileName,
+    versionNumber: extractCurseForgeVersionNumber(file),
+    versionType: CURSEFORGE_RELEASE_TYPES[file.releaseType] || 'release',
+    gameVersions: tags.filter(isMinecraftVersionTag),
+    loaders: tags.map(tag => tag.toLowerCase()).filter(tag => CURSEFORGE_LOADER_TAGS.has(tag)),
+    dependencies: (file.dependencies || []).map(dep => ({
+      project_id: String(dep.modId),
+      dependency_type: CURSEFORGE_RELATION_TYPES[dep.relationType] || 'optional'
+    })),
+    datePublished: file.fileDate,
+    isStable: file.releaseType === 1,
+    fileSize: file.fileLength || 0,
+    downloads: file.downloadCount || 0,
+    fileName: file.fileName,
+    fileFingerprint: file.fileFingerprint,
+    sha1: sha1 ? sha1.value : null,
+    downloadUrl: file.downloadUrl || null,
+    source: 'curseforge'
+  };
+}
+
+// Shape a mapped file like a Modrinth version so installers and manifests can share code
+function toModrinthStyleVersion(version) {
+  return {
+    id: version.id,
+    project_id: version.projectId,
+    name: version.name,
+    version_number: version.versionNumber,
+    version_type: version.versionType,
+    game_versions: version.gameVersions,
+    loaders: version.loaders,
+    dependencies: version.dependencies,
+    date_published: version.datePublished,
+    downloads: version.downloads,
+    files: [{
+      url: version.downloadUrl,
+      filename: version.fileName,
+      primary: true,
+      size: version.fileSize,
+      hashes: {
+        ...(version.sha1 ? { sha1: version.sha1 } : {}),
+        ...(version.sha256 ? { sha256: version.sha256 } : {})
+      }
+    }],
+    distributionBlocked: !version.downloadUrl,
+    source: version.source
+  };
+}
+
+function mapCurseForgeProject(mod) {
+  const gameVersions = [...new Set((mod.latestFilesIndexes || []).map(index => index.gameVersion))];
+  // Environment tags are optional on CurseForge; mods that don't declare them are treated as both
+  const environmentTags = (mod.latestFiles || []).flatMap(file => file.gameVersions || []);
+  const hasClient = environmentTags.includes('Client');
+  const hasServer = environmentTags.includes('Server');
+  const declared = hasClient || hasServer;
+  const projectType = Object.keys(CURSEFORGE_CLASS_IDS).find(type => CURSEFORGE_CLASS_IDS[type] === mod.classId) || 'mod';
+
+  return {
+    id: String(mod.id),
+    slug: mod.slug,
+    name: mod.name,
+    description: mod.summary,
+    author: mod.authors && mod.authors[0] ? mod.authors[0].name : 'Unknown',
+    downloads: Math.round(mod.downloadCount || 0),
+    followers: mod.thumbsUpCount || 0,
+    versions: formatModVersions(gameVersions),
+    iconUrl: mod.logo ? (mod.logo.thumbnailUrl || mod.logo.url) : null,
+    lastUpdated: mod.dateModified,
+    source: 'curseforge',
+    clientSide: declared ? hasClient : true,
+    serverSide: declared ? hasServer : true,
+    allowDistribution: mod.allowModDistribution !== false,
+    websiteUrl: mod.links ? mod.links.websiteUrl : null,
+    projectType
+  };
+}
+
+/**
+ * Search CurseForge; shared by the popular listing and text search
+ * @param {Object} options - Search options (see getCurseForgePopular)
+ * @returns {Promise<Object>} Object with mods array and pagination info
+ */
+async function queryCurseForgeMods({ query, loader, version, page = 1, limit = 20, sortBy = 'relevance', environmentType = 'all', projectType = 'mod' }, operation) {
+  const requestStartTime = Date.now();
+  const index = (page - 1) * limit;
+  const usesLoader = projectType === 'mod' && CURSEFORGE_LOADER_TYPES[loader];
+
+  logger.info('Fetching mods from CurseForge', {
+    category: 'network',
+    data: {
+      service: 'ModApiService',
+      operation,
+      query,
+      loader,
+      version,
+      page,
+      limit,
+      sortBy,
+      environmentType,
+      projectType
+    }
+  });
+
+  if (index + limit > CURSEFORGE_MAX_SEARCH_INDEX) {
+    return { mods: [], pagination: { currentPage: page, totalResults: 0, totalPages: 0, limit } };
+  }
+
+  const data = await curseForgeRequest('/mods/search', {
+    params: {
+      gameId: CURSEFORGE_GAME_ID,
+      classId: CURSEFORGE_CLASS_IDS[projectType] || CURSEFORGE_CLASS_IDS.mod,
+      searchFilter: query,
+      gameVersion: version,
+      // Quilt loads Fabric mods, so don't narrow Quilt searches to Quilt-tagged files
+      modLoaderType: usesLoader && loader !== 'quilt' ? CURSEFORGE_LOADER_TYPES[loader] : null,
+      sortField: CURSEFORGE_SORT_FIELDS[sortBy] || CURSEFORGE_SORT_FIELDS.relevance,
+      sortOrder: 'desc',
+      index,
+      pageSize: limit
+    }
+  });
+
+  const mods = filterModsByEnvironment((data.data || []).map(mapCurseForgeProject), environmentType);
+  const totalResults = data.pagination ? data.pagination.totalCount : mods.length;
+  const result = {
+    mods,
+    pagination: {
+      currentPage: page,
+      totalResults,
+      totalPages: Math.min(Math.ceil(totalResults / limit), Math.floor(CURSEFORGE_MAX_SEARCH_INDEX / limit)),
+      limit
+    }
+  };
+
+  logger.info('CurseForge mods fetched successfully', {
+    category: 'network',
+    data: {
+      service: 'ModApiService',
+      operation,
+      duration: Date.now() - requestStartTime,
+      modsReturned: mods.length,
+      totalResults,
+      currentPage: page,
+      totalPages: result.pagination.totalPages
+    }
   });
+
+  return result;
 }
 
 /**
@@ -1664,21 +2098,13 @@ async function getModrinthVersionByFileHash(hashHex, algorithm = 'sha1') {
  * @param {string} options.version - Minecraft version
  * @param {number} options.page - Page number (1-based)
  * @param {number} options.limit - Results per page
+ * @param {string} options.sortBy - Sort method (relevance, downloads, follows, newest, updated)
  * @param {string} [options.environmentType='all'] - Filter by environment type ('all', 'client', 'server', 'both')
+ * @param {string} [options.projectType='mod'] - Project type ('mod', 'shader', 'resourcepack')
  * @returns {Promise<Object>} Object with mods array and pagination info
  */
-async function getCurseForgePopular({ page = 1, limit = 20, environmentType = 'all' }) {
-  void environmentType; // silence unused parameter warning
-  // Return an empty result set
-  return {
-    mods: [],
-    pagination: {
-      currentPage: page,
-      totalResults: 0,
-      totalPages: 0,
-      limit
-    }
-  };
+async function getCurseForgePopular(options) {
+  return queryCurseForgeMods({ ...options, query: null }, 'getCurseForgePopular');
 }
 
 /**
@@ -1690,30 +2116,568 @@ async function getCurseForgePopular({ page = 1, limit = 20, environmentType = 'a
  * @param {string} options.version - Minecraft version
  * @param {number} options.page - Page number (1-based)
  * @param {number} options.limit - Results per page
+ * @param {string} options.sortBy - Sort method (relevance, downloads, follows, newest, updated)
  * @param {string} [options.environmentType='all'] - Filter by environment type ('all', 'client', 'server', 'both')
+ * @param {string} [options.projectType='mod'] - Project type ('mod', 'shader', 'resourcepack')
  * @returns {Promise<Object>} Object with mods array and pagination info
  */
-async function searchCurseForgeMods({ page = 1, limit = 20, environmentType = 'all' }) {
-  void environmentType; // silence unused parameter warning
-  // Return an empty result set
+async function searchCurseForgeMods(options) {
+  return queryCurseForgeMods(options, 'searchCurseForgeMods');
+}
+
+/**
+ * Get information about a CurseForge project, shaped like a Modrinth project
+ * 
+ * @param {string|number} modId - CurseForge mod ID, or a slug
+ * @returns {Promise<Object|null>} Project info, or null when not found
+ */
+async function getCurseForgeProjectInfo(modId) {
+  if (!modId) {
+    throw new Error('Project ID is required');
+  }
+
+  let mod;
+  if (/^\d+$/.test(String(modId))) {
+    try {
+      mod = (await curseForgeRequest(`/mods/${modId}`)).data;
+    } catch (error) {
+      if (error.message.includes('404')) return null;
+      throw error;
+    }
+  } else {
+    const data = await curseForgeRequest('/mods/search', {
+      params: { gameId: CURSEFORGE_GAME_ID, slug: modId, classId: CURSEFORGE_CLASS_IDS.mod }
+    });
+    mod = (data.data || [])[0];
+  }
+  if (!mod) return null;
+
+  const project = mapCurseForgeProject(mod);
+  return {
+    ...project,
+    title: project.name,
+    icon_url: project.iconUrl,
+    project_type: project.projectType,
+    client_side: project.clientSide ? 'optional' : 'unsupported',
+    server_side: project.serverSide ? 'optional' : 'unsupported'
+  };
+}
+
+/**
+ * Get versions (files) for a CurseForge mod, newest first
+ * 
+ * @param {string|number} modId - CurseForge mod ID
+ * @param {string} loader - Mod loader (fabric, forge, etc.)
+ * @param {string} gameVersion - Minecraft version
+ * @param {boolean} loadLatestOnly - Whether to only load the latest version
+ * @param {boolean} forceRefresh - Skip the version cache
+ * @returns {Promise<Array>} Array of version objects in the same shape as getModrinthVersions
+ */
+async function getCurseForgeVersions(modId, loader, gameVersion, loadLatestOnly = false, forceRefresh = false) {
+  const cacheKey = `curseforge:${modId}:${loader || ''}:${gameVersion || ''}`;
+  const cacheEntry = versionCache.get(cacheKey);
+  let versions;
+
+  if (cacheEntry && !forceRefresh && Date.now() - cacheEntry.fetchedAt < VERSION_CACHE_TTL_MS) {
+    performanceMetrics.cacheHits++;
+    versions = cacheEntry.versions;
+  } else {
+    performanceMetrics.cacheMisses++;
+    const files = [];
+    for (let pageIndex = 0; pageIndex < CURSEFORGE_MAX_FILE_PAGES; pageIndex++) {
+      const data = await curseForgeRequest(`/mods/${modId}/files`, {
+        params: {
+          gameVersion,
+          modLoaderType: loader && loader !== 'quilt' ? CURSEFORGE_LOADER_TYPES[loader] : null,
+          index: pageIndex * CURSEFORGE_FILES_PAGE_SIZE,
+          pageSize: CURSEFORGE_FILES_PAGE_SIZE
+        }
+      });
+      const pageFiles = data.data || [];
+      files.push(...pageFiles);
+      const total = data.pagination ? data.pagination.totalCount : files.length;
+      if (pageFiles.length < CURSEFORGE_FILES_PAGE_SIZE || files.length >= total) break;
+    }
+
+    const acceptedLoaders = getCompatibleLoaders(loader);
+    versions = files
+      .filter(file => file.isAvailable !== false)
+      .map(mapCurseForgeFile)
+      // Files with no loader tag (older uploads) are kept rather than guessed away
+      .filter(version => !loader || version.loaders.length === 0 || version.loaders.some(tag => acceptedLoaders.includes(tag)))
+      .sort((a, b) => new Date(b.datePublished) - new Date(a.datePublished));
+
+    versionCache.set(cacheKey, { versions, fetchedAt: Date.now() });
+
+    logger.debug('CurseForge versions fetched', {
+      category: 'mods',
+      data: {
+        service: 'ModApiService',
+        operation: 'getCurseForgeVersions',
+        modId,
+        loader,
+        gameVersion,
+        filesFetched: files.length,
+        versionsReturned: versions.length
+      }
+    });
+  }
+
+  if (loadLatestOnly && versions.length > 0) {
+    return [versions.find(version => version.isStable) || versions[0]];
+  }
+  return versions;
+}
+
+/**
+ * Get specific file info for a CurseForge mod, shaped like Modrinth version info
+ * 
+ * @param {string|number} modId - CurseForge mod ID
+ * @param {string|number} fileId - File ID; the latest matching file when omitted
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Mod loader (fabric, forge, etc.)
+ * @returns {Promise<Object|null>} Version info object, or null when nothing matches
+ */
+async function getCurseForgeVersionInfo(modId, fileId, gameVersion, loader) {
+  if (!fileId) {
+    const versions = await getCurseForgeVersions(modId, loader, gameVersion);
+    const latest = versions.find(version => version.isStable) || versions[0];
+    if (!latest) return null;
+    fileId = latest.id;
+  }
+
+  const cacheKey = `${modId}:${fileId}`;
+  if (!curseForgeFileCache.has(cacheKey)) {
+    const data = await curseForgeRequest(`/mods/${modId}/files/${fileId}`);
+    curseForgeFileCache.set(cacheKey, mapCurseForgeFile(data.data));
+  }
+  return toModrinthStyleVersion(curseForgeFileCache.get(cacheKey));
+}
+
+/**
+ * Get latest file info for a CurseForge mod
+ * 
+ * @param {string|number} modId - CurseForge mod ID
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Mod loader (fabric, forge, etc.)
+ * @returns {Promise<Object|null>} Version info object
+ */
+async function getLatestCurseForgeVersionInfo(modId, gameVersion, loader) {
+  return getCurseForgeVersionInfo(modId, null, gameVersion, loader);
+}
+
+/**
+ * Get download URL for a CurseForge mod.
+ * Authors can opt out of third-party downloads; those files have no URL and must be
+ * fetched from the CurseForge website by the user.
+ * 
+ * @param {string|number} modId - CurseForge mod ID
+ * @param {string|number} [fileId] - File ID; the latest matching file when omitted
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Mod loader (fabric, forge, etc.)
+ * @returns {Promise<string>} Download URL
+ */
+async function getCurseForgeDownloadUrl(modId, fileId, gameVersion, loader) {
+  const versionInfo = await getCurseForgeVersionInfo(modId, fileId, gameVersion, loader);
+  if (!versionInfo) {
+    throw new Error('No matching versions found for this mod');
+  }
+
+  const url = versionInfo.files[0].url;
+  if (url) return url;
+
+  const project = await getCurseForgeProjectInfo(modId).catch(() => null);
+  const pageUrl = (project && project.websiteUrl) || `https://www.curseforge.com/minecraft/mc-mods/${project ? project.slug : modId}`;
+  const error = new Error(`${project ? project.title : 'This mod'}'s author does not allow downloads from other apps. Download ${versionInfo.files[0].filename} from ${pageUrl} and add it manually.`);
+  error.code = 'CURSEFORGE_DISTRIBUTION_BLOCKED';
+  error.websiteUrl = pageUrl;
+  throw error;
+}
+
+/**
+ * Match files against CurseForge by fingerprint
+ * 
+ * @param {number[]} fingerprints - Fingerprints from computeCurseForgeFingerprint
+ * @returns {Promise<Map<number, Object>>} Fingerprint to mapped version for each exact match
+ */
+async function getCurseForgeFilesByFingerprint(fingerprints) {
+  const matches = new Map();
+  if (!Array.isArray(fingerprints) || fingerprints.length === 0) return matches;
+
+  const data = await curseForgeRequest(`/fingerprints/${CURSEFORGE_GAME_ID}`, {
+    method: 'POST',
+    body: { fingerprints }
+  });
+  for (const match of (data.data && data.data.exactMatches) || []) {
+    if (match.file) {
+      matches.set(match.file.fileFingerprint, mapCurseForgeFile(match.file));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Get several CurseForge projects in one request
+ * 
+ * @param {Array<string|number>} modIds - CurseForge mod IDs
+ * @returns {Promise<Array<Object>>} Projects in search-result shape
+ */
+async function getCurseForgeProjects(modIds) {
+  if (!Array.isArray(modIds) || modIds.length === 0) return [];
+  const data = await curseForgeRequest('/mods', {
+    method: 'POST',
+    body: { modIds: modIds.map(Number) }
+  });
+  return (data.data || []).map(mapCurseForgeProject);
+}
+
+// Hangar (hangar.papermc.io) hosts Paper-platform plugins; Purpur servers use the same builds
+const HANGAR_API = 'https://hangar.papermc.io/api/v1';
+const HANGAR_PLATFORMS = { paper: 'PAPER', purpur: 'PAPER' };
+const HANGAR_SORT_FIELDS = { downloads: '-downloads', popular: '-downloads', follows: '-stars', newest: '-newest', updated: '-updated' };
+const HANGAR_VERSIONS_PAGE_SIZE = 25;
+const HANGAR_MAX_VERSION_PAGES = 4;
+
+function getHangarPlatform(loader) {
+  return HANGAR_PLATFORMS[loader] || HANGAR_PLATFORMS.paper;
+}
+
+/**
+ * Call the Hangar API
+ * @param {string} pathname - Path below /api/v1
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Query parameters; empty values are skipped
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function hangarRequest(pathname, { params = null } = {}) {
+  const url = new URL(`${HANGAR_API}${pathname}`);
+  for (const [name, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(name, String(value));
+    }
+  }
+
+  await rateLimit();
+  performanceMetrics.apiRequests++;
+
+  return await retryWithBackoff(async () => {
+    const { controller, timeoutId } = createAbortControllerWithTimeout(20000);
+
+    try {
+      const response = await fetch(url.toString(), {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'minecraft-core/1.0.0'
+        },
+        signal: controller.signal
+      });
+      clearTimeout(timeoutId);
+
+      if (!response.ok) {
+        throw new Error(`Hangar API error: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      clearTimeout(timeoutId);
+      if (error.name === 'AbortError') {
+        throw new Error(`Hangar API timeout for ${pathname} - network may be slow or API unavailable`);
+      }
+      throw error;
+    }
+  });
+}
+
+function getHangarVersionType(channelName) {
+  const channel = String(channelName || '').toLowerCase();
+  if (channel.includes('alpha')) return 'alpha';
+  if (channel.includes('beta') || channel.includes('snapshot') || channel.includes('dev')) return 'beta';
+  return 'release';
+}
+
+function mapHangarProject(project) {
+  const slug = project.namespace ? project.namespace.slug : project.name;
+  const platformVersions = Object.values(project.supportedPlatforms || {}).flat();
+
+  return {
+    // Hangar addresses projects by slug in every endpoint the app uses
+    id: slug,
+    slug,
+    name: project.name,
+    description: project.description,
+    author: project.namespace ? project.namespace.owner : 'Unknown',
+    downloads: project.stats ? project.stats.downloads || 0 : 0,
+    followers: project.stats ? project.stats.stars || 0 : 0,
+    versions: formatModVersions([...new Set(platformVersions)]),
+    iconUrl: project.avatarUrl || null,
+    lastUpdated: project.lastUpdated,
+    source: 'hangar',
+    clientSide: false,
+    serverSide: true,
+    websiteUrl: project.namespace ? `https://hangar.papermc.io/${project.namespace.owner}/${slug}` : null,
+    projectType: 'plugin'
+  };
+}
+
+/**
+ * Map a Hangar version to the shape getModrinthVersions returns
+ * @param {Object} version - Hangar version object
+ * @param {string} slug - Project slug
+ * @param {string} platform - Hangar platform, e.g. 'PAPER'
+ * @returns {Object}
+ */
+function mapHangarVersion(version, slug, platform) {
+  const download = (version.downloads || {})[platform] || null;
+  const fileInfo = download ? download.fileInfo : null;
+  const versionType = getHangarVersionType(version.channel ? version.channel.name : null);
+
   return {
-    mods: [],
+    id: version.name,
+    projectId: slug,
+    name: version.name,
+    versionNumber: version.name,
+    versionType,
+    gameVersions: ((version.platformDependencies || {})[platform] || []).filter(isMinecraftVersionTag),
+    loaders: Object.keys(version.downloads || {}).map(key => key.toLowerCase()),
+    // Hangar dependencies name other plugins rather than linking project ids, so they are not auto-installed
+    dependencies: [],
+    datePublished: version.createdAt,
+    isStable: versionType === 'release',
+    fileSize: fileInfo ? fileInfo.sizeBytes || 0 : 0,
+    downloads: version.stats ? version.stats.totalDownloads || 0 : 0,
+    fileName: fileInfo ? fileInfo.name : `${slug}-${version.name}.jar`,
+    sha256: fileInfo ? fileInfo.sha256Hash || null : null,
+    // Externally hosted files have no Hangar download and must be fetched by the user
+    downloadUrl: download && fileInfo
+      ? (download.downloadUrl || `${HANGAR_API}/projects/${encodeURIComponent(slug)}/versions/${encodeURIComponent(version.name)}/${platform}/download`)
+      : null,
+    externalUrl: download ? download.externalUrl || null : null,
+    source: 'hangar'
+  };
+}
+
+/**
+ * Search Hangar plugins for a Paper or Purpur server
+ * 
+ * @param {Object} options - Search options
+ * @param {string} [options.query] - Search query; the popular listing when empty
+ * @param {string} [options.loader] - Server loader (paper, purpur)
+ * @param {string} [options.version] - Minecraft version
+ * @param {number} [options.page=1] - Page number (1-based)
+ * @param {number} [options.limit=20] - Results per page
+ * @param {string} [options.sortBy='relevance'] - Sort method (relevance, downloads, follows, newest, updated)
+ * @returns {Promise<Object>} Object with mods array and pagination info
+ */
+async function searchHangarPlugins({ query, loader, version, page = 1, limit = 20, sortBy = 'relevance' }) {
+  const requestStartTime = Date.now();
+  const hasQuery = typeof query === 'string' && query.trim() !== '';
+
+  logger.info('Searching plugins on Hangar', {
+    category: 'network',
+    data: {
+      service: 'ModApiService',
+      operation: 'searchHangarPlugins',
+      query,
+      loader,
+      version,
+      page,
+      limit,
+      sortBy
+    }
+  });
+
+  const data = await hangarRequest('/projects', {
+    params: {
+      q: hasQuery ? query.trim() : null,
+      platform: getHangarPlatform(loader),
+      version,
+      // Text searches keep Hangar's relevance order unless the user picked another sort
+      sort: HANGAR_SORT_FIELDS[sortBy] || (hasQuery ? null : HANGAR_SORT_FIELDS.downloads),
+      limit,
+      offset: (page - 1) * limit
+    }
+  });
+
+  const mods = (data.result || []).map(mapHangarProject);
+  const totalResults = data.pagination ? data.pagination.count : mods.length;
+  const result = {
+    mods,
     pagination: {
       currentPage: page,
-      totalResults: 0,
-      totalPages: 0,
+      totalResults,
+      totalPages: Math.ceil(totalResults / limit),
       limit
     }
   };
+
+  logger.info('Hangar plugins fetched successfully', {
+    category: 'network',
+    data: {
+      service: 'ModApiService',
+      operation: 'searchHangarPlugins',
+      duration: Date.now() - requestStartTime,
+      modsReturned: mods.length,
+      totalResults
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get information about a Hangar project, shaped like a Modrinth project
+ * 
+ * @param {string} slug - Project slug
+ * @returns {Promise<Object|null>} Project info, or null when not found
+ */
+async function getHangarProjectInfo(slug) {
+  if (!slug) {
+    throw new Error('Project ID is required');
+  }
+
+  let project;
+  try {
+    project = await hangarRequest(`/projects/${encodeURIComponent(slug)}`);
+  } catch (error) {
+    if (error.message.includes('404')) return null;
+    throw error;
+  }
+
+  const mapped = mapHangarProject(project);
+  return {
+    ...mapped,
+    title: mapped.name,
+    icon_url: mapped.iconUrl,
+    project_type: mapped.projectType,
+    client_side: 'unsupported',
+    server_side: 'required'
+  };
+}
+
+/**
+ * Get versions for a Hangar plugin, newest first
+ * 
+ * @param {string} slug - Project slug
+ * @param {string} loader - Server loader (paper, purpur)
+ * @param {string} gameVersion - Minecraft version
+ * @param {boolean} loadLatestOnly - Whether to only load the latest version
+ * @param {boolean} forceRefresh - Skip the version cache
+ * @returns {Promise<Array>} Array of version objects in the same shape as getModrinthVersions
+ */
+async function getHangarVersions(slug, loader, gameVersion, loadLatestOnly = false, forceRefresh = false) {
+  const platform = getHangarPlatform(loader);
+  const cacheKey = `hangar:${slug}:${platform}:${gameVersion || ''}`;
+  const cacheEntry = versionCache.get(cacheKey);
+  let versions;
+
+  if (cacheEntry && !forceRefresh && Date.now() - cacheEntry.fetchedAt < VERSION_CACHE_TTL_MS) {
+    performanceMetrics.cacheHits++;
+    versions = cacheEntry.versions;
+  } else {
+    performanceMetrics.cacheMisses++;
+    const entries = [];
+    for (let pageIndex = 0; pageIndex < HANGAR_MAX_VERSION_PAGES; pageIndex++) {
+      const data = await hangarRequest(`/projects/${encodeURIComponent(slug)}/versions`, {
+        params: {
+          platform,
+          platformVersion: gameVersion,
+          limit: HANGAR_VERSIONS_PAGE_SIZE,
+          offset: pageIndex * HANGAR_VERSIONS_PAGE_SIZE
+        }
+      });
+      const pageEntries = data.result || [];
+      entries.push(...pageEntries);
+      const total = data.pagination ? data.pagination.count : entries.length;
+      if (pageEntries.length < HANGAR_VERSIONS_PAGE_SIZE || entries.length >= total) break;
+    }
+
+    versions = entries
+      .map(entry => mapHangarVersion(entry, slug, platform))
+      .filter(version => version.loaders.includes(platform.toLowerCase()))
+      .sort((a, b) => new Date(b.datePublished) - new Date(a.datePublished));
+
+    versionCache.set(cacheKey, { versions, fetchedAt: Date.now() });
+
+    logger.debug('Hangar versions fetched', {
+      category: 'mods',
+      data: {
+        service: 'ModApiService',
+        operation: 'getHangarVersions',
+        slug,
+        platform,
+        gameVersion,
+        versionsReturned: versions.length
+      }
+    });
+  }
+
+  if (loadLatestOnly && versions.length > 0) {
+    return [versions.find(version => version.isStable) || versions[0]];
+  }
+  return versions;
+}
+
+/**
+ * Get one Hangar version, shaped like Modrinth version info
+ * 
+ * @param {string} slug - Project slug
+ * @param {string} versionName - Version name; the latest matching version when omitted
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Server loader (paper, purpur)
+ * @returns {Promise<Object|null>} Version info object, or null when nothing matches
+ */
+async function getHangarVersionInfo(slug, versionName, gameVersion, loader) {
+  const platform = getHangarPlatform(loader);
+  let version;
+
+  if (versionName) {
+    const data = await hangarRequest(`/projects/${encodeURIComponent(slug)}/versions/${encodeURIComponent(versionName)}`);
+    version = mapHangarVersion(data, slug, platform);
+  } else {
+    const versions = await getHangarVersions(slug, loader, gameVersion);
+    version = versions.find(entry => entry.isStable) || versions[0];
+  }
+  return version ? toModrinthStyleVersion(version) : null;
 }
 
 /**
- * Get download URL for a CurseForge mod
+ * Get latest version info for a Hangar plugin
  * 
+ * @param {string} slug - Project slug
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Server loader (paper, purpur)
+ * @returns {Promise<Object|null>} Version info object
+ */
+async function getLatestHangarVersionInfo(slug, gameVersion, loader) {
+  return getHangarVersionInfo(slug, null, gameVersion, loader);
+}
+
+/**
+ * Get download URL for a Hangar plugin. Versions hosted outside Hangar only link to
+ * another site and have to be downloaded by the user.
+ * 
+ * @param {string} slug - Project slug
+ * @param {string} [versionName] - Version name; the latest matching version when omitted
+ * @param {string} gameVersion - Minecraft version
+ * @param {string} loader - Server loader (paper, purpur)
  * @returns {Promise<string>} Download URL
  */
-async function getCurseForgeDownloadUrl() {
-  throw new Error('CurseForge support not implemented');
+async function getHangarDownloadUrl(slug, versionName, gameVersion, loader) {
+  const versionInfo = await getHangarVersionInfo(slug, versionName, gameVersion, loader);
+  if (!versionInfo) {
+    throw new Error('No matching versions found for this plugin');
+  }
+
+  const url = versionInfo.files[0].url;
+  if (url) return url;
+
+  const platform = getHangarPlatform(loader);
+  const data = await hangarRequest(`/projects/${encodeURIComponent(slug)}/versions/${encodeURIComponent(versionInfo.id)}`);
+  const externalUrl = mapHangarVersion(data, slug, platform).externalUrl;
+  const error = new Error(`${slug} ${versionInfo.id} is hosted outside Hangar. Download it from ${externalUrl || 'the project page'} and add it manually.`);
+  error.code = 'HANGAR_EXTERNAL_DOWNLOAD';
+  error.websiteUrl = externalUrl;
+  throw error;
 }
 
 module.exports = {
@@ -1733,7 +2697,25 @@ module.exports = {
   getModrinthVersionInfo,
   getLatestModrinthVersionInfo,
   getModrinthVersionByFileHash,
+  getCurseForgeApiKey,
+  setCurseForgeApiKey,
+  hasCurseForgeApiKey,
+  verifyCurseForgeApiKey,
+  computeCurseForgeFingerprint,
+  extractCurseForgeVersionNumber,
   getCurseForgePopular,
   searchCurseForgeMods,
-  getCurseForgeDownloadUrl
+  getCurseForgeProjectInfo,
+  getCurseForgeProjects,
+  getCurseForgeVersions,
+  getCurseForgeVersionInfo,
+  getLatestCurseForgeVersionInfo,
+  getCurseForgeDownloadUrl,
+  getCurseForgeFilesByFingerprint,
+  searchHangarPlugins,
+  getHangarProjectInfo,
+  getHangarVersions,
+  getHangarVersionInfo,
+  getLatestHangarVersionInfo,
+  getHangarDownloadUrl
 };
@@ -0,0 +1,326 @@
+// Local mod cache
+// Downloaded jars are kept in a content-addressed store keyed by sha512, so server installs,
+// client syncs and the launcher share one copy of each file and a reinstall, rollback or
+// second instance can be served without the network. API responses are persisted next to it
+// so lookups keep working (with stale data) when Modrinth is unreachable.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+const { getUserDataDir } = require('../utils/user-data-dir.cjs');
+
+const logger = getLoggerHandlers();
+
+const INDEX_FORMAT = 1;
+const INDEX_FILE = 'index.json';
+const ARTIFACTS_DIR = 'artifacts';
+const API_DIR = 'api';
+const DEFAULT_MAX_CACHE_BYTES = 5 * 1024 * 1024 * 1024;
+
+let cacheDir = null;
+let index = null;
+let saveChain = Promise.resolve();
+
+/**
+ * Directory holding the cache; defaults to <userData>/mod-cache
+ * @returns {string}
+ */
+function getModCacheDir() {
+  if (!cacheDir) {
+    cacheDir = path.join(getUserDataDir(), 'mod-cache');
+  }
+  return cacheDir;
+}
+
+/**
+ * Point the cache at another directory and drop the loaded index
+ * @param {string} dir
+ */
+function setModCacheDir(dir) {
+  cacheDir = dir;
+  index = null;
+}
+
+function loadIndex() {
+  if (index) return index;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(getModCacheDir(), INDEX_FILE), 'utf8'));
+    if (parsed && parsed.format === INDEX_FORMAT && parsed.artifacts && typeof parsed.artifacts === 'object') {
+      index = parsed;
+      return index;
+    }
+  } catch {
+    // Missing or unreadable index; start empty
+  }
+  index = { format: INDEX_FORMAT, artifacts: {} };
+  return index;
+}
+
+// Writes are chained so overlapping installs never interleave partial index files
+function saveIndex() {
+  const dir = getModCacheDir();
+  const snapshot = JSON.stringify(loadIndex(), null, 2);
+  saveChain = saveChain.then(async () => {
+    await fsp.mkdir(dir, { recursive: true });
+    const tempPath = path.join(dir, `${INDEX_FILE}.${process.pid}.tmp`);
+    await fsp.writeFile(tempPath, snapshot, 'utf8');
+    await fsp.rename(tempPath, path.join(dir, INDEX_FILE));
+  }).catch(error => {
+    logger.warn('Could not save mod cache index', {
+      category: 'storage',
+      data: { service: 'ModCacheService', operation: 'saveIndex', errorMessage: error.message }
+    });
+  });
+  return saveChain;
+}
+
+function getArtifactPath(sha512) {
+  return path.join(getModCacheDir(), ARTIFACTS_DIR, sha512.slice(0, 2), sha512);
+}
+
+/**
+ * Size, sha1 and sha512 of a file in one pass
+ * @param {string} filePath
+ * @returns {Promise<{size: number, sha1: string, sha512: string}>}
+ */
+async function hashFile(filePath) {
+  const sha1 = crypto.createHash('sha1');
+  const sha512 = crypto.createHash('sha512');
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    sha1.update(chunk);
+    sha512.update(chunk);
+    size += chunk.length;
+  }
+  return { size, sha1: sha1.digest('hex'), sha512: sha512.digest('hex') };
+}
+
+/**
+ * Find a cached artifact by sha512, sha1 or the URL it was downloaded from (in that order)
+ * @param {{sha512?: string, sha1?: string, url?: string}} lookup
+ * @returns {{sha512: string, path: string, size: number, sha1: string, fileName: string}|null}
+ */
+function findArtifact({ sha512, sha1, url } = {}) {
+  const artifacts = loadIndex().artifacts;
+  let key = null;
+  if (sha512 && artifacts[sha512.toLowerCase()]) {
+    key = sha512.toLowerCase();
+  } else if (sha1 || url) {
+    const wantedSha1 = sha1 ? sha1.toLowerCase() : null;
+    key = Object.keys(artifacts).find(candidate => {
+      const entry = artifacts[candidate];
+      return (wantedSha1 && entry.sha1 === wantedSha1) || (url && (entry.urls || []).includes(url));
+    }) || null;
+  }
+  if (!key) return null;
+
+  const artifactPath = getArtifactPath(key);
+  if (!fs.existsSync(artifactPath)) {
+    delete artifacts[key];
+    saveIndex();
+    return null;
+  }
+  return { ...artifacts[key], sha512: key, path: artifactPath };
+}
+
+/**
+ * Copy a cached artifact to destPath
+ * @param {{sha512?: string, sha1?: string, url?: string}} lookup
+ * @param {string} destPath
+ * @returns {Promise<Object|null>} The artifact entry, or null when it is not cached
+ */
+async function restoreArtifact(lookup, destPath) {
+  const artifact = findArtifact(lookup);
+  if (!artifact) return null;
+
+  await fsp.mkdir(path.dirname(destPath), { recursive: true });
+  await fsp.copyFile(artifact.path, destPath);
+  loadIndex().artifacts[artifact.sha512].lastUsedAt = new Date().toISOString();
+  saveIndex();
+  logger.debug('Restored artifact from cache', {
+    category: 'storage',
+    data: { service: 'ModCacheService', operation: 'restoreArtifact', fileName: artifact.fileName, destPath }
+  });
+  return artifact;
+}
+
+/**
+ * Add a downloaded file to the cache. Files that don't match the expected hashes are not stored.
+ * @param {string} filePath
+ * @param {{url?: string, fileName?: string, sha1?: string, sha512?: string}} [metadata]
+ * @returns {Promise<Object|null>} The artifact entry, or null when the file was rejected
+ */
+async function addArtifact(filePath, { url = null, fileName = null, sha1 = null, sha512 = null } = {}) {
+  const hashes = await hashFile(filePath);
+  if ((sha512 && sha512.toLowerCase() !== hashes.sha512) || (sha1 && sha1.toLowerCase() !== hashes.sha1)) {
+    logger.warn('Not caching file with unexpected hash', {
+      category: 'storage',
+      data: { service: 'ModCacheService', operation: 'addArtifact', filePath, url }
+    });
+    return null;
+  }
+
+  const artifacts = loadIndex().artifacts;
+  const artifactPath = getArtifactPath(hashes.sha512);
+  if (!fs.existsSync(artifactPath)) {
+    await fsp.mkdir(path.dirname(artifactPath), { recursive: true });
+    const tempPath = `${artifactPath}.${process.pid}.tmp`;
+    await fsp.copyFile(filePath, tempPath);
+    await fsp.rename(tempPath, artifactPath);
+  }
+
+  const now = new Date().toISOString();
+  const existing = artifacts[hashes.sha512];
+  const urls = new Set(existing ? existing.urls : []);
+  if (url) urls.add(url);
+  artifacts[hashes.sha512] = {
+    size: hashes.size,
+    sha1: hashes.sha1,
+    fileName: fileName || (existing && existing.fileName) || path.basename(filePath),
+    urls: [...urls],
+    addedAt: existing ? existing.addedAt : now,
+    lastUsedAt: now
+  };
+  await saveIndex();
+  await pruneModCache();
+  return { ...artifacts[hashes.sha512], sha512: hashes.sha512, path: artifactPath };
+}
+
+function getApiResponsePath(key) {
+  return path.join(getModCacheDir(), API_DIR, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+}
+
+/**
+ * Read a persisted API response
+ * @param {string} key - Usually the request URL
+ * @param {number} [maxAgeMs] - Ignore entries older than this
+ * @returns {Promise<{data: any, fetchedAt: number}|null>}
+ */
+async function readApiResponse(key, maxAgeMs = Infinity) {
+  try {
+    const entry = JSON.parse(await fsp.readFile(getApiResponsePath(key), 'utf8'));
+    if (entry.key !== key || Date.now() - entry.fetchedAt > maxAgeMs) return null;
+    return { data: entry.data, fetchedAt: entry.fetchedAt };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist an API response
+ * @param {string} key
+ * @param {any} data - JSON-serialisable response body
+ */
+async function writeApiResponse(key, data) {
+  const filePath = getApiResponsePath(key);
+  try {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, JSON.stringify({ key, fetchedAt: Date.now(), data }), 'utf8');
+  } catch (error) {
+    logger.warn('Could not persist API response', {
+      category: 'storage',
+      data: { service: 'ModCacheService', operation: 'writeApiResponse', errorMessage: error.message }
+    });
+  }
+}
+
+async function directorySize(dir) {
+  let count = 0;
+  let bytes = 0;
+  const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const nested = await directorySize(entryPath);
+      count += nested.count;
+      bytes += nested.bytes;
+    } else {
+      const stats = await fsp.stat(entryPath).catch(() => null);
+      if (stats) {
+        count++;
+        bytes += stats.size;
+      }
+    }
+  }
+  return { count, bytes };
+}
+
+/**
+ * @returns {Promise<{dir: string, artifactCount: number, artifactBytes: number, apiEntries: number, apiBytes: number, maxBytes: number}>}
+ */
+async function getModCacheStats() {
+  const artifacts = Object.values(loadIndex().artifacts);
+  const api = await directorySize(path.join(getModCacheDir(), API_DIR));
+  return {
+    dir: getModCacheDir(),
+    artifactCount: artifacts.length,
+    artifactBytes: artifacts.reduce((total, entry) => total + (entry.size || 0), 0),
+    apiEntries: api.count,
+    apiBytes: api.bytes,
+    maxBytes: DEFAULT_MAX_CACHE_BYTES
+  };
+}
+
+/**
+ * Remove the least recently used artifacts until the cache fits in maxBytes
+ * @param {number} [maxBytes]
+ * @returns {Promise<number>} Number of artifacts removed
+ */
+async function pruneModCache(maxBytes = DEFAULT_MAX_CACHE_BYTES) {
+  const artifacts = loadIndex().artifacts;
+  let total = Object.values(artifacts).reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (total <= maxBytes) return 0;
+
+  const oldestFirst = Object.keys(artifacts)
+    .sort((a, b) => String(artifacts[a].lastUsedAt).localeCompare(String(artifacts[b].lastUsedAt)));
+  let removed = 0;
+  for (const key of oldestFirst) {
+    if (total <= maxBytes) break;
+    total -= artifacts[key].size || 0;
+    delete artifacts[key];
+    await fsp.rm(getArtifactPath(key), { force: true });
+    removed++;
+  }
+  await saveIndex();
+  logger.info('Pruned mod cache', {
+    category: 'storage',
+    data: { service: 'ModCacheService', operation: 'pruneModCache', removed, remainingBytes: total, maxBytes }
+  });
+  return removed;
+}
+
+/**
+ * Delete cached artifacts and/or API responses
+ * @param {{artifacts?: boolean, api?: boolean}} [options]
+ */
+async function clearModCache({ artifacts = true, api = true } = {}) {
+  const dir = getModCacheDir();
+  if (artifacts) {
+    await fsp.rm(path.join(dir, ARTIFACTS_DIR), { recursive: true, force: true });
+    loadIndex().artifacts = {};
+    await saveIndex();
+  }
+  if (api) {
+    await fsp.rm(path.join(dir, API_DIR), { recursive: true, force: true });
+  }
+  logger.info('Cleared mod cache', {
+    category: 'storage',
+    data: { service: 'ModCacheService', operation: 'clearModCache', artifacts, api }
+  });
+}
+
+module.exports = {
+  getModCacheDir,
+  setModCacheDir,
+  hashFile,
+  findArtifact,
+  restoreArtifact,
+  addArtifact,
+  readApiResponse,
+  writeApiResponse,
+  getModCacheStats,
+  pruneModCache,
+  clearModCache
+};
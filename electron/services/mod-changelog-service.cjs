@@ -0,0 +1,223 @@
+// Update review
+// Collects the changelog of every Modrinth version between the installed and the target version
+// of a mod and flags changes that usually need attention before updating: newly required
+// dependencies, dropped loaders or Minecraft versions, and changelog wording that warns about
+// world compatibility.
+
+const modApiService = require('./mod-api-service.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+// Versions fetched per mod; large gaps are cut to the newest ones
+const MAX_CHANGELOG_VERSIONS = 20;
+
+const WORLD_WARNING_PATTERNS = [
+  /\bworlds?\b[^.\n]{0,40}\bincompatib/i,
+  /\bincompatib[^.\n]{0,40}\bworlds?\b/i,
+  /\bbreaks?\b[^.\n]{0,30}\b(existing|old)?\s*worlds?\b/i,
+  /\b(back ?up|backups?)\b[^.\n]{0,30}\bworlds?\b/i,
+  /\b(create|start|use) a new world\b/i,
+  /\bbreaking changes?\b/i,
+  /\bnot backwards?[- ]compatible\b/i
+];
+
+function requiredDependencyIds(versionInfo) {
+  return new Set((versionInfo?.dependencies || [])
+    .filter(dep => dep.dependency_type === 'required' && dep.project_id)
+    .map(dep => dep.project_id));
+}
+
+// The line around a keyword match, trimmed for display
+function excerptAround(text, index) {
+  const start = text.lastIndexOf('\n', index) + 1;
+  const end = text.indexOf('\n', index);
+  const line = text.slice(start, end === -1 ? undefined : end).replace(/^[\s*#>-]+/, '').trim();
+  return line.length > 160 ? `${line.slice(0, 157)}...` : line;
+}
+
+/**
+ * Flag changes between two versions of a mod that may break a server
+ * @param {Object} options
+ * @param {Object|null} options.installed - Modrinth version object of the installed version
+ * @param {Object} options.target - Modrinth version object being updated to
+ * @param {Object[]} [options.versions] - Versions in the range (with changelogs), newest first
+ * @param {string} [options.mcVersion] - Minecraft version of the server
+ * @param {string} [options.loader] - Loader of the server
+ * @returns {Array<{type: string, message: string, version?: string}>}
+ */
+function detectBreakingSignals({ installed, target, versions = [], mcVersion = null, loader = null }) {
+  const signals = [];
+  if (!target) return signals;
+
+  if (installed) {
+    const before = requiredDependencyIds(installed);
+    const added = [...requiredDependencyIds(target)].filter(id => !before.has(id));
+    if (added.length > 0) {
+      signals.push({ type: 'new-dependency', message: `Requires ${added.length} new dependenc${added.length === 1 ? 'y' : 'ies'}`, projectIds: added });
+    }
+
+    const droppedLoaders = (installed.loaders || []).filter(name => !(target.loaders || []).includes(name));
+    if (droppedLoaders.length > 0) {
+      signals.push({ type: 'loader-change', message: `No longer built for ${droppedLoaders.join(', ')}` });
+    }
+
+    // Without the server's version, any narrowing of the supported range is worth a look
+    const droppedGameVersions = mcVersion
+      ? []
+      : (installed.game_versions || []).filter(version => !(target.game_versions || []).includes(version));
+    if (droppedGameVersions.length > 0) {
+      signals.push({ type: 'game-version-change', message: `Drops Minecraft ${droppedGameVersions.join(', ')}` });
+    }
+  }
+
+  if (loader && Array.isArray(target.loaders) && target.loaders.length > 0 && !target.loaders.includes(loader)) {
+    signals.push({ type: 'loader-change', message: `Not published for ${loader}` });
+  }
+  if (mcVersion && Array.isArray(target.game_versions) && target.game_versions.length > 0 && !target.game_versions.includes(mcVersion)) {
+    signals.push({ type: 'game-version-change', message: `Not published for Minecraft ${mcVersion}` });
+  }
+
+  for (const version of versions) {
+    const changelog = version.changelog || '';
+    for (const pattern of WORLD_WARNING_PATTERNS) {
+      const match = pattern.exec(changelog);
+      if (match) {
+        signals.push({ type: 'world-warning', message: excerptAround(changelog, match.index), version: version.version_number });
+        break;
+      }
+    }
+  }
+
+  return signals;
+}
+
+/**
+ * Versions published after the installed one up to and including the target, newest first
+ * @param {Object[]} versions - Project versions as returned by getModrinthVersions
+ * @param {{installedVersionId?: string, installedVersion?: string, targetVersionId?: string, targetVersion?: string}} range
+ * @returns {Object[]}
+ */
+function selectVersionRange(versions, { installedVersionId, installedVersion, targetVersionId, targetVersion }) {
+  const time = version => new Date(version.datePublished).getTime();
+  const installed = versions.find(v => (installedVersionId && v.id === installedVersionId) || (installedVersion && v.versionNumber === installedVersion));
+  const target = versions.find(v => (targetVersionId && v.id === targetVersionId) || (targetVersion && v.versionNumber === targetVersion));
+  if (!target) return [];
+
+  return versions
+    .filter(v => time(v) <= time(target) && (!installed || time(v) > time(installed)))
+    .sort((a, b) => time(b) - time(a));
+}
+
+/**
+ * Build the review of one pending update
+ * @param {Object} update
+ * @param {string} update.projectId
+ * @param {string} [update.source]
+ * @param {string} [update.currentVersionId]
+ * @param {string} [update.currentVersion]
+ * @param {string} [update.targetVersionId]
+ * @param {string} [update.targetVersion]
+ * @param {{loader?: string, mcVersion?: string}} [context]
+ * @returns {Promise<Object>} Changelogs (newest first), breaking signals and whether the list was cut short
+ */
+async function buildUpdateReview(update, { loader = null, mcVersion = null } = {}) {
+  const review = {
+    projectId: update.projectId,
+    fileName: update.fileName || null,
+    currentVersion: update.currentVersion || null,
+    targetVersion: update.targetVersion || null,
+    changelogs: [],
+    signals: [],
+    truncated: false
+  };
+
+  if (update.source === 'curseforge') {
+    review.unsupported = 'Changelogs are only collected for Modrinth mods';
+    return review;
+  }
+
+  const versions = await modApiService.getModrinthVersions(update.projectId, loader, null, false);
+  const range = selectVersionRange(versions || [], {
+    installedVersionId: update.currentVersionId,
+    installedVersion: update.currentVersion,
+    targetVersionId: update.targetVersionId,
+    targetVersion: update.targetVersion
+  });
+  review.truncated = range.length > MAX_CHANGELOG_VERSIONS;
+
+  const detailed = [];
+  for (const version of range.slice(0, MAX_CHANGELOG_VERSIONS)) {
+    const info = await modApiService.getModrinthVersionInfo(update.projectId, version.id);
+    if (info) detailed.push(info);
+  }
+
+  let installed = null;
+  const installedEntry = (versions || []).find(v => (update.currentVersionId && v.id === update.currentVersionId)
+    || (update.currentVersion && v.versionNumber === update.currentVersion));
+  if (installedEntry) {
+    installed = await modApiService.getModrinthVersionInfo(update.projectId, installedEntry.id).catch(() => null);
+  }
+
+  review.changelogs = detailed.map(info => ({
+    versionId: info.id,
+    versionNumber: info.version_number,
+    versionType: info.version_type,
+    datePublished: info.date_published,
+    changelog: info.changelog || ''
+  }));
+  review.signals = detectBreakingSignals({ installed, target: detailed[0] || null, versions: detailed, mcVersion, loader });
+  return review;
+}
+
+/**
+ * Review several pending updates; a failure for one mod is reported on its entry
+ * @param {Object[]} updates - See buildUpdateReview
+ * @param {{loader?: string, mcVersion?: string}} [context]
+ * @returns {Promise<Object[]>}
+ */
+async function buildUpdateReviews(updates, context = {}) {
+  const reviews = [];
+  for (const update of updates || []) {
+    try {
+      reviews.push(await buildUpdateReview(update, context));
+    } catch (error) {
+      logger.warn('Could not build update review', {
+        category: 'mods',
+        data: {
+          service: 'ModChangelogService',
+          operation: 'buildUpdateReviews',
+          projectId: update.projectId,
+          errorMessage: error.message
+        }
+      });
+      reviews.push({
+        projectId: update.projectId,
+        fileName: update.fileName || null,
+        currentVersion: update.currentVersion || null,
+        targetVersion: update.targetVersion || null,
+        changelogs: [],
+        signals: [],
+        truncated: false,
+        error: error.message
+      });
+    }
+  }
+  logger.info('Built update reviews', {
+    category: 'mods',
+    data: {
+      service: 'ModChangelogService',
+      operation: 'buildUpdateReviews',
+      count: reviews.length,
+      flagged: reviews.filter(review => review.signals.length > 0).length
+    }
+  });
+  return reviews;
+}
+
+module.exports = {
+  detectBreakingSignals,
+  selectVersionRange,
+  buildUpdateReview,
+  buildUpdateReviews
+};
@@ -0,0 +1,544 @@
+// Installed mod set analysis
+// Reads the loader descriptors (fabric.mod.json, quilt.mod.json, mods.toml, neoforge.mods.toml)
+// of every jar in a mods folder, including jars nested inside them, and reports problems the
+// loader would refuse to start with or that usually break a pack: two jars providing the same
+// mod id, declared breaks/conflicts between installed mods, required dependencies that are
+// missing or outside the declared version range, and jars built for another loader.
+
+const fsp = require('fs/promises');
+const path = require('path');
+const { readModDescriptorsSync } = require('../ipc/mod-utils/mod-analysis-utils.cjs');
+const { readServerConfig, detectMinecraftVersion } = require('../utils/config-manager.cjs');
+const { resolveServerLoader } = require('../utils/server-loader.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+// Loaders whose mods each server loader can run
+const ACCEPTED_LOADERS = {
+  fabric: ['fabric'],
+  quilt: ['quilt', 'fabric'],
+  forge: ['forge'],
+  neoforge: ['neoforge', 'forge']
+};
+// Ids provided by the game, the loader or the JVM rather than by a jar in the mods folder
+const PLATFORM_IDS = new Set([
+  'minecraft', 'java', 'fabricloader', 'fabric-loader', 'quilt_loader', 'forge', 'neoforge',
+  'javafml', 'lowcodefml', 'mcp'
+]);
+
+const logger = getLoggerHandlers();
+
+// jar path -> { key, info }
+const descriptorCache = new Map();
+
+/**
+ * Split a version into comparable parts; build metadata after "+" is ignored
+ * @param {string} version
+ * @returns {{core: Array<number|string>, pre: Array<number|string>}}
+ */
+function parseVersion(version) {
+  const [withoutBuild] = String(version).trim().replace(/^v/i, '').split('+');
+  const dash = withoutBuild.indexOf('-');
+  const core = dash === -1 ? withoutBuild : withoutBuild.slice(0, dash);
+  const pre = dash === -1 ? '' : withoutBuild.slice(dash + 1);
+  const toParts = value => value.split('.').filter(Boolean).map(part => (/^\d+$/.test(part) ? Number(part) : part));
+  return { core: toParts(core), pre: toParts(pre) };
+}
+
+function compareParts(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const left = a[i] === undefined ? 0 : a[i];
+    const right = b[i] === undefined ? 0 : b[i];
+    if (left === right) continue;
+    if (typeof left === 'number' && typeof right === 'number') return left < right ? -1 : 1;
+    if (typeof left === 'number') return -1;
+    if (typeof right === 'number') return 1;
+    return left < right ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two mod versions, pre-releases ordering before their release
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} -1, 0 or 1
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const core = compareParts(left.core, right.core);
+  if (core !== 0) return core;
+  if (!left.pre.length || !right.pre.length) return left.pre.length ? -1 : (right.pre.length ? 1 : 0);
+  return compareParts(left.pre, right.pre);
+}
+
+// One Fabric/Quilt predicate such as ">=1.2", "~1.20.1", "^2.0.0", "1.19.x" or "*"
+function matchesPredicate(version, predicate) {
+  if (!predicate || predicate === '*') return true;
+  const match = /^(>=|<=|>|<|=|~|\^)?\s*(.+)$/.exec(predicate);
+  if (!match) return true;
+  const [, operator = '', target] = match;
+
+  if (/(^|\.)[xX*](\.|$)/.test(target)) {
+    const fixed = target.split('.').filter(part => !/^[xX*]$/.test(part));
+    const actual = parseVersion(version).core;
+    return fixed.every((part, i) => String(actual[i] === undefined ? 0 : actual[i]) === part);
+  }
+
+  const cmp = compareVersions(version, target);
+  const targetCore = parseVersion(target).core;
+  switch (operator) {
+    case '>=': return cmp >= 0;
+    case '<=': return cmp <= 0;
+    case '>': return cmp > 0;
+    case '<': return cmp < 0;
+    case '~': {
+      const upper = [targetCore[0], (Number(targetCore[1]) || 0) + 1].join('.');
+      return cmp >= 0 && compareVersions(version, upper) < 0;
+    }
+    case '^': {
+      const upper = `${(Number(targetCore[0]) || 0) + 1}`;
+      return cmp >= 0 && compareVersions(version, upper) < 0;
+    }
+    default:
+      return cmp === 0;
+  }
+}
+
+// Maven version ranges used by Forge: "[1.20,1.21)", "[47,)", "(,2.0]", "[1.0]", unions "[1,2),[3,)"
+function matchesMavenRange(version, range) {
+  const intervals = [...range.matchAll(/([[(])([^\])]*)([\])])/g)];
+  // A bare version is a soft requirement that any version satisfies
+  if (!intervals.length) return true;
+  return intervals.some(([, open, body, close]) => {
+    const bounds = body.split(',').map(part => part.trim());
+    if (bounds.length === 1) return compareVersions(version, bounds[0]) === 0;
+    const [lower, upper] = bounds;
+    if (lower) {
+      const cmp = compareVersions(version, lower);
+      if (open === '[' ? cmp < 0 : cmp <= 0) return false;
+    }
+    if (upper) {
+      const cmp = compareVersions(version, upper);
+      if (close === ']' ? cmp > 0 : cmp >= 0) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Whether a version satisfies a dependency range
+ * Fabric/Quilt ranges are a list of alternatives whose space-separated predicates must all match.
+ * @param {string|null} version - Unknown versions always satisfy
+ * @param {{kind: 'fabric'|'maven', alternatives?: Array<string>, range?: string}} requirement
+ * @returns {boolean}
+ */
+function versionSatisfies(version, requirement) {
+  if (!version || !requirement) return true;
+  if (requirement.kind === 'maven') {
+    return !requirement.range || matchesMavenRange(version, requirement.range);
+  }
+  const alternatives = requirement.alternatives || [];
+  if (!alternatives.length) return true;
+  return alternatives.some(alternative =>
+    String(alternative).trim().split(/\s+/).every(predicate => matchesPredicate(version, predicate))
+  );
+}
+
+function describeRequirement(requirement) {
+  if (!requirement) return '';
+  if (requirement.kind === 'maven') return requirement.range && requirement.range !== '*' ? requirement.range : '';
+  const text = (requirement.alternatives || []).join(' || ');
+  return text === '*' ? '' : text;
+}
+
+function parseTomlValue(raw) {
+  const value = raw.trim();
+  let match = /^"((?:[^"\\]|\\.)*)"/.exec(value);
+  if (match) return match[1].replace(/\\(.)/g, '$1');
+  match = /^'([^']*)'/.exec(value);
+  if (match) return match[1];
+  const bare = value.replace(/\s+#.*$/, '').trim();
+  if (bare === 'true' || bare === 'false') return bare === 'true';
+  return bare;
+}
+
+/**
+ * Minimal TOML reader for mods.toml: top-level keys, [tables] and [[arrays of tables]]
+ * with single-line values. Multi-line strings (descriptions) are skipped.
+ * @param {string} text
+ * @returns {{root: Object, arrays: Object<string, Array<Object>>}}
+ */
+function parseModsToml(text) {
+  const root = {};
+  const arrays = {};
+  let current = root;
+  let multiline = null;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (multiline) {
+      if (line.includes(multiline)) multiline = null;
+      continue;
+    }
+    if (!line || line.startsWith('#')) continue;
+
+    const arrayMatch = /^\[\[\s*([^\]]+?)\s*\]\]/.exec(line);
+    if (arrayMatch) {
+      current = {};
+      (arrays[arrayMatch[1]] = arrays[arrayMatch[1]] || []).push(current);
+      continue;
+    }
+    if (/^\[[^\]]+\]/.test(line)) {
+      current = {};
+      continue;
+    }
+
+    const pair = /^([A-Za-z0-9_.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!pair) continue;
+    const quote = pair[2].startsWith('"""') ? '"""' : (pair[2].startsWith("'''") ? "'''" : null);
+    if (quote) {
+      if (pair[2].indexOf(quote, 3) === -1) multiline = quote;
+      continue;
+    }
+    current[pair[1]] = parseTomlValue(pair[2]);
+  }
+  return { root, arrays };
+}
+
+function manifestVersion(files) {
+  const manifest = files['META-INF/MANIFEST.MF'];
+  const match = manifest ? /^Implementation-Version:\s*(.+)$/m.exec(manifest) : null;
+  return match ? match[1].trim() : null;
+}
+
+function cleanVersion(version, files) {
+  if (typeof version !== 'string' || !version.trim()) return null;
+  if (version.includes('${')) return manifestVersion(files);
+  return version.trim();
+}
+
+function toAlternatives(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === 'object' && Array.isArray(value.any)) return value.any.map(String);
+  return [typeof value === 'string' ? value : '*'];
+}
+
+function emptyDescriptor() {
+  return { loaders: [], mods: [], provides: [], depends: [], breaks: [], environment: '*' };
+}
+
+function readFabricDescriptor(descriptor, text) {
+  const json = JSON.parse(text);
+  if (!json || !json.id) return;
+  descriptor.loaders.push('fabric');
+  descriptor.mods.push({ id: String(json.id).toLowerCase(), version: json.version ? String(json.version) : null });
+  for (const id of Array.isArray(json.provides) ? json.provides : []) {
+    descriptor.provides.push(String(id).toLowerCase());
+  }
+  descriptor.environment = typeof json.environment === 'string' ? json.environment : '*';
+  for (const [id, range] of Object.entries(json.depends || {})) {
+    descriptor.depends.push({ id: id.toLowerCase(), requirement: { kind: 'fabric', alternatives: toAlternatives(range) } });
+  }
+  for (const [key, severity] of [['breaks', 'error'], ['conflicts', 'warning']]) {
+    for (const [id, range] of Object.entries(json[key] || {})) {
+      descriptor.breaks.push({ id: id.toLowerCase(), severity, requirement: { kind: 'fabric', alternatives: toAlternatives(range) } });
+    }
+  }
+}
+
+function readQuiltEntries(list) {
+  return (Array.isArray(list) ? list : []).map(entry => (typeof entry === 'string' ? { id: entry } : entry))
+    .filter(entry => entry && typeof entry.id === 'string');
+}
+
+function readQuiltDescriptor(descriptor, text) {
+  const json = JSON.parse(text);
+  const loader = json && json.quilt_loader;
+  if (!loader || !loader.id) return;
+  descriptor.loaders.push('quilt');
+  descriptor.mods.push({ id: String(loader.id).toLowerCase(), version: loader.version ? String(loader.version) : null });
+  for (const entry of readQuiltEntries(loader.provides)) {
+    descriptor.provides.push(entry.id.toLowerCase());
+  }
+  const environment = json.minecraft && json.minecraft.environment;
+  descriptor.environment = environment === 'client' || environment === 'dedicated_server'
+    ? (environment === 'client' ? 'client' : 'server')
+    : '*';
+  for (const entry of readQuiltEntries(loader.depends)) {
+    if (entry.optional) continue;
+    descriptor.depends.push({ id: entry.id.replace(/^.*:/, '').toLowerCase(), requirement: { kind: 'fabric', alternatives: toAlternatives(entry.versions) } });
+  }
+  for (const entry of readQuiltEntries(loader.breaks)) {
+    descriptor.breaks.push({ id: entry.id.replace(/^.*:/, '').toLowerCase(), severity: 'error', requirement: { kind: 'fabric', alternatives: toAlternatives(entry.versions) } });
+  }
+}
+
+function readForgeDescriptor(descriptor, text, loaderName, files) {
+  const { root, arrays } = parseModsToml(text);
+  const mods = arrays.mods || [];
+  if (!mods.length) return;
+  if (root.modLoader && !['javafml', 'lowcodefml', 'kotlinforforge'].includes(String(root.modLoader).toLowerCase())) return;
+  descriptor.loaders.push(loaderName);
+  for (const mod of mods) {
+    if (!mod.modId) continue;
+    descriptor.mods.push({ id: String(mod.modId).toLowerCase(), version: cleanVersion(mod.version, files) });
+  }
+  for (const [table, entries] of Object.entries(arrays)) {
+    if (!table.startsWith('dependencies.')) continue;
+    for (const entry of entries) {
+      if (!entry.modId) continue;
+      const type = typeof entry.type === 'string' ? entry.type.toLowerCase() : (entry.mandatory === false ? 'optional' : 'required');
+      const side = typeof entry.side === 'string' ? entry.side.toLowerCase() : 'both';
+      const item = { id: String(entry.modId).toLowerCase(), side, requirement: { kind: 'maven', range: entry.versionRange || '' } };
+      if (type === 'required') {
+        descriptor.depends.push(item);
+      } else if (type === 'incompatible' || type === 'discouraged') {
+        descriptor.breaks.push({ ...item, severity: type === 'incompatible' ? 'error' : 'warning' });
+      }
+    }
+  }
+}
+
+/**
+ * Turn the raw descriptor files of one jar into the mods it provides and what they declare
+ * @param {Object<string, string>} files - Descriptor file name -> contents
+ * @returns {{loaders: Array<string>, mods: Array<{id: string, version: string|null}>, provides: Array<string>, depends: Array<Object>, breaks: Array<Object>, environment: string}}
+ */
+function parseModDescriptor(files) {
+  const descriptor = emptyDescriptor();
+  const readers = [
+    ['fabric.mod.json', text => readFabricDescriptor(descriptor, text)],
+    ['quilt.mod.json', text => readQuiltDescriptor(descriptor, text)],
+    ['META-INF/neoforge.mods.toml', text => readForgeDescriptor(descriptor, text, 'neoforge', files)],
+    ['META-INF/mods.toml', text => readForgeDescriptor(descriptor, text, 'forge', files)]
+  ];
+  for (const [name, read] of readers) {
+    if (typeof files[name] !== 'string') continue;
+    try {
+      read(files[name]);
+    } catch {
+      // A broken descriptor is treated as missing
+    }
+  }
+  return descriptor;
+}
+
+function collectNestedMods(nested, into = []) {
+  for (const inner of nested || []) {
+    const descriptor = parseModDescriptor(inner.files || {});
+    for (const mod of descriptor.mods) into.push(mod);
+    for (const id of descriptor.provides) into.push({ id, version: null });
+    collectNestedMods(inner.nested, into);
+  }
+  return into;
+}
+
+async function readJar(jarPath) {
+  const stats = await fsp.stat(jarPath);
+  const key = `${stats.size}:${stats.mtimeMs}`;
+  const cached = descriptorCache.get(jarPath);
+  if (cached && cached.key === key) return cached.info;
+
+  const raw = readModDescriptorsSync(jarPath) || { files: {}, nested: [] };
+  const info = { ...parseModDescriptor(raw.files), nestedMods: collectNestedMods(raw.nested) };
+  descriptorCache.set(jarPath, { key, info });
+  return info;
+}
+
+function appliesToSide(environment, side) {
+  if (!side || environment === '*' || !environment) return true;
+  return environment === side;
+}
+
+/**
+ * Analyze already-read jars as one installed set
+ * @param {Array<{fileName: string, info: ReturnType<typeof parseModDescriptor> & {nestedMods: Array<Object>}}>} jars
+ * @param {{loader?: string, minecraftVersion?: string|null, side?: 'server'|'client'}} [context]
+ * @returns {Array<{type: string, severity: 'error'|'warning', modId: string|null, files: Array<string>, message: string}>}
+ */
+function analyzeModSet(jars, { loader = null, minecraftVersion = null, side = null } = {}) {
+  const issues = [];
+  const accepted = loader ? ACCEPTED_LOADERS[String(loader).toLowerCase()] : null;
+  const loaded = [];
+
+  for (const jar of jars) {
+    const { info } = jar;
+    if (accepted && info.loaders.length && !info.loaders.some(name => accepted.includes(name))) {
+      issues.push({
+        type: 'wrong-loader',
+        severity: 'error',
+        modId: info.mods[0] ? info.mods[0].id : null,
+        files: [jar.fileName],
+        message: `${jar.fileName} is a ${info.loaders.join('/')} mod, but this instance runs ${loader}`
+      });
+      continue;
+    }
+    // The loader skips mods made for the other side
+    if (!appliesToSide(info.environment, side)) continue;
+    loaded.push(jar);
+  }
+
+  // id -> top-level providers, for duplicate detection
+  const topLevel = new Map();
+  // id -> every provider including nested jars, for dependency checks
+  const available = new Map();
+  const addProvider = (map, id, provider) => {
+    if (!map.has(id)) map.set(id, []);
+    map.get(id).push(provider);
+  };
+  for (const jar of loaded) {
+    for (const mod of jar.info.mods) {
+      addProvider(topLevel, mod.id, { fileName: jar.fileName, version: mod.version });
+      addProvider(available, mod.id, { fileName: jar.fileName, version: mod.version });
+    }
+    for (const id of jar.info.provides) {
+      addProvider(topLevel, id, { fileName: jar.fileName, version: null });
+      addProvider(available, id, { fileName: jar.fileName, version: null });
+    }
+    for (const mod of jar.info.nestedMods) {
+      addProvider(available, mod.id, { fileName: jar.fileName, version: mod.version, nested: true });
+    }
+  }
+  if (minecraftVersion) available.set('minecraft', [{ fileName: null, version: minecraftVersion }]);
+
+  for (const [id, providers] of topLevel) {
+    const files = [...new Set(providers.map(provider => provider.fileName))];
+    if (files.length < 2) continue;
+    const listed = files.map(file => {
+      const provider = providers.find(p => p.fileName === file);
+      return provider.version ? `${file} (${provider.version})` : file;
+    });
+    issues.push({
+      type: 'duplicate',
+      severity: 'error',
+      modId: id,
+      files,
+      message: `${files.length} jars provide "${id}": ${listed.join(', ')}`
+    });
+  }
+
+  for (const jar of loaded) {
+    const ownIds = new Set(jar.info.mods.map(mod => mod.id));
+    for (const dependency of jar.info.depends) {
+      if (ownIds.has(dependency.id)) continue;
+      if (dependency.side && side && dependency.side !== 'both' && dependency.side !== side) continue;
+      const providers = available.get(dependency.id);
+      const range = describeRequirement(dependency.requirement);
+      if (!providers) {
+        if (PLATFORM_IDS.has(dependency.id)) continue;
+        issues.push({
+          type: 'missing-dependency',
+          severity: 'error',
+          modId: dependency.id,
+          files: [jar.fileName],
+          message: `${jar.fileName} requires ${dependency.id}${range ? ` ${range}` : ''}, which is not installed`
+        });
+        continue;
+      }
+      if (providers.some(provider => versionSatisfies(provider.version, dependency.requirement))) continue;
+      const provider = providers[0];
+      issues.push({
+        type: 'dependency-version',
+        severity: 'error',
+        modId: dependency.id,
+        files: provider.fileName ? [jar.fileName, provider.fileName] : [jar.fileName],
+        message: `${jar.fileName} requires ${dependency.id} ${range}, but ${provider.fileName || 'the instance'} has ${provider.version}`
+      });
+    }
+
+    for (const conflict of jar.info.breaks) {
+      if (ownIds.has(conflict.id)) continue;
+      const matches = (topLevel.get(conflict.id) || [])
+        .filter(provider => provider.fileName !== jar.fileName && versionSatisfies(provider.version, conflict.requirement));
+      if (!matches.length) continue;
+      const range = describeRequirement(conflict.requirement);
+      issues.push({
+        type: 'conflict',
+        severity: conflict.severity,
+        modId: conflict.id,
+        files: [jar.fileName, ...new Set(matches.map(provider => provider.fileName))],
+        message: `${jar.fileName} ${conflict.severity === 'error' ? 'is incompatible with' : 'conflicts with'} ${conflict.id}${range ? ` ${range}` : ''} (${matches.map(p => (p.version ? `${p.fileName} ${p.version}` : p.fileName)).join(', ')})`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read and analyze the enabled jars of a mods folder
+ * @param {string} modsDir
+ * @param {{loader?: string, minecraftVersion?: string|null, side?: 'server'|'client'}} [context]
+ * @returns {Promise<{scanned: number, issues: Array<Object>}>}
+ */
+async function analyzeModFolder(modsDir, context = {}) {
+  let fileNames = [];
+  try {
+    fileNames = (await fsp.readdir(modsDir)).filter(file => file.toLowerCase().endsWith('.jar')).sort();
+  } catch {
+    return { scanned: 0, issues: [] };
+  }
+  const jars = [];
+  for (const fileName of fileNames) {
+    try {
+      jars.push({ fileName, info: await readJar(path.join(modsDir, fileName)) });
+    } catch {
+      // Unreadable jars are left to the loader to report
+    }
+    // Reading jars is synchronous; keep the main process responsive on big packs
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return { scanned: jars.length, issues: analyzeModSet(jars, context) };
+}
+
+/**
+ * Analyze the server mods folder and the client mods the server hands out
+ * @param {string} serverPath
+ * @param {{sets?: Array<'server'|'client'>}} [options]
+ * @returns {Promise<{loader: string, minecraftVersion: string|null, sets: Object<string, {scanned: number, issues: Array<Object>}>, errorCount: number, warningCount: number}>}
+ */
+async function analyzeInstanceMods(serverPath, { sets = ['server', 'client'] } = {}) {
+  const config = readServerConfig(serverPath) || {};
+  const { loader } = resolveServerLoader(serverPath);
+  const minecraftVersion = config.version || detectMinecraftVersion(serverPath) || null;
+  const folders = {
+    server: path.join(serverPath, 'mods'),
+    client: path.join(serverPath, 'client', 'mods')
+  };
+
+  const results = {};
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const side of sets) {
+    if (!folders[side]) continue;
+    const result = await analyzeModFolder(folders[side], { loader, minecraftVersion, side });
+    results[side] = result;
+    errorCount += result.issues.filter(issue => issue.severity === 'error').length;
+    warningCount += result.issues.filter(issue => issue.severity === 'warning').length;
+  }
+
+  logger.debug('Analyzed installed mods', {
+    category: 'mods',
+    data: {
+      service: 'ModConflictAnalyzer',
+      operation: 'analyzeInstanceMods',
+      serverPath,
+      loader,
+      errorCount,
+      warningCount
+    }
+  });
+  return { loader: loader || 'vanilla', minecraftVersion, sets: results, errorCount, warningCount };
+}
+
+module.exports = {
+  compareVersions,
+  versionSatisfies,
+  parseModsToml,
+  parseModDescriptor,
+  analyzeModSet,
+  analyzeModFolder,
+  analyzeInstanceMods
+};
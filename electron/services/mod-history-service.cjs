@@ -0,0 +1,448 @@
+// Mod version history
+// Before an update replaces a server mod, the jar and its manifest are copied to a per-instance
+// store (minecraft-core-state/mod-history) together with the version it was, so single mods or a
+// whole "update all" batch can be rolled back later. Mods can also be pinned to a version so bulk
+// update checks leave them alone.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { UNASSIGNED_MODS_DIRNAME, UNASSIGNED_MANIFEST_DIRNAME } = require('../ipc/mod-utils/mod-file-manager.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const STATE_FORMAT = 1;
+const STATE_FILE = path.join('minecraft-core-state', 'mod-history.json');
+const ARCHIVE_DIR = path.join('minecraft-core-state', 'mod-history');
+const MAX_VERSIONS_PER_MOD = 5;
+const MAX_BATCHES = 10;
+
+// Where a mod can live: jar folder and manifest folder, relative to the server path
+const LOCATIONS = {
+  server: { modsDir: 'mods', manifestDir: 'minecraft-core-manifests' },
+  client: { modsDir: path.join('client', 'mods'), manifestDir: path.join('client', 'minecraft-core-manifests') },
+  unassigned: { modsDir: UNASSIGNED_MODS_DIRNAME, manifestDir: UNASSIGNED_MANIFEST_DIRNAME }
+};
+
+// serverPath -> promise of the last state update; keeps concurrent installs from losing entries
+const stateLocks = new Map();
+
+function withStateLock(serverPath, fn) {
+  const previous = stateLocks.get(serverPath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  stateLocks.set(serverPath, next);
+  return next.finally(() => {
+    if (stateLocks.get(serverPath) === next) stateLocks.delete(serverPath);
+  });
+}
+
+function emptyState() {
+  return { format: STATE_FORMAT, mods: {}, batches: {} };
+}
+
+async function readState(serverPath) {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(path.join(serverPath, STATE_FILE), 'utf8'));
+    if (parsed && parsed.format === STATE_FORMAT && parsed.mods && parsed.batches) {
+      return parsed;
+    }
+  } catch {
+    // Missing or unreadable; start empty
+  }
+  return emptyState();
+}
+
+async function writeState(serverPath, state) {
+  const statePath = path.join(serverPath, STATE_FILE);
+  await fsp.mkdir(path.dirname(statePath), { recursive: true });
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+  await fsp.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+  await fsp.rename(tempPath, statePath);
+}
+
+function getModState(state, projectId) {
+  if (!state.mods[projectId]) {
+    state.mods[projectId] = { pinned: null, history: [] };
+  }
+  return state.mods[projectId];
+}
+
+function getArchivePath(serverPath, historyId) {
+  return path.join(serverPath, ARCHIVE_DIR, `${historyId}.jar`);
+}
+
+function readManifest(serverPath, location, fileName) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(serverPath, LOCATIONS[location].manifestDir, `${fileName}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find where a mod file is installed, enabled or disabled
+ * @param {string} serverPath
+ * @param {string} fileName - Jar name without the .disabled suffix
+ * @returns {{locations: string[], disabled: boolean, jarPath: string|null}}
+ */
+function findInstalledFile(serverPath, fileName) {
+  const locations = [];
+  let disabled = false;
+  let jarPath = null;
+  for (const [location, dirs] of Object.entries(LOCATIONS)) {
+    const enabledPath = path.join(serverPath, dirs.modsDir, fileName);
+    const disabledPath = `${enabledPath}.disabled`;
+    if (fs.existsSync(enabledPath)) {
+      locations.push(location);
+      jarPath = jarPath || enabledPath;
+    } else if (fs.existsSync(disabledPath)) {
+      locations.push(location);
+      disabled = true;
+      jarPath = jarPath || disabledPath;
+    }
+  }
+  return { locations, disabled, jarPath };
+}
+
+/**
+ * File names currently installed for a project, taken from the manifests
+ * @param {string} serverPath
+ * @param {string} projectId
+ * @returns {string[]}
+ */
+function findInstalledFileNames(serverPath, projectId) {
+  const fileNames = new Set();
+  for (const dirs of Object.values(LOCATIONS)) {
+    const manifestDir = path.join(serverPath, dirs.manifestDir);
+    if (!fs.existsSync(manifestDir)) continue;
+    for (const file of fs.readdirSync(manifestDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(manifestDir, file), 'utf8'));
+        if (manifest && String(manifest.projectId) === String(projectId)) {
+          fileNames.add(manifest.fileName || file.slice(0, -'.json'.length));
+        }
+      } catch {
+        // Ignore unreadable manifests
+      }
+    }
+  }
+  return [...fileNames];
+}
+
+async function removeInstalledFile(serverPath, fileName) {
+  for (const dirs of Object.values(LOCATIONS)) {
+    const jarPath = path.join(serverPath, dirs.modsDir, fileName);
+    await fsp.rm(jarPath, { force: true });
+    await fsp.rm(`${jarPath}.disabled`, { force: true });
+    await fsp.rm(path.join(serverPath, dirs.manifestDir, `${fileName}.json`), { force: true });
+  }
+}
+
+function forgetHistoryEntries(state, projectId, entries) {
+  const ids = new Set(entries.map(entry => entry.id));
+  const modState = state.mods[projectId];
+  if (modState) {
+    modState.history = modState.history.filter(entry => !ids.has(entry.id));
+    if (modState.history.length === 0 && !modState.pinned) {
+      delete state.mods[projectId];
+    }
+  }
+  for (const [batchId, batch] of Object.entries(state.batches)) {
+    batch.entries = batch.entries.filter(entry => !ids.has(entry.historyId));
+    if (batch.entries.length === 0) delete state.batches[batchId];
+  }
+}
+
+function dropHistoryEntries(serverPath, state, projectId, entries) {
+  forgetHistoryEntries(state, projectId, entries);
+  return Promise.all(entries.map(entry => fsp.rm(getArchivePath(serverPath, entry.id), { force: true })));
+}
+
+async function archiveInState(serverPath, state, { fileName, projectId = null, batchId = null }) {
+  const installed = findInstalledFile(serverPath, fileName);
+  if (!installed.jarPath) return null;
+
+  const manifest = installed.locations.map(location => readManifest(serverPath, location, fileName)).find(Boolean) || null;
+  const resolvedProjectId = projectId || manifest?.projectId;
+  if (!resolvedProjectId) {
+    logger.debug('Not archiving mod without a project id', {
+      category: 'mods',
+      data: { service: 'ModHistoryService', operation: 'archiveModVersion', fileName }
+    });
+    return null;
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    projectId: String(resolvedProjectId),
+    fileName,
+    name: manifest?.name || fileName,
+    versionId: manifest?.versionId || null,
+    versionNumber: manifest?.versionNumber || null,
+    source: manifest?.source || 'modrinth',
+    locations: installed.locations,
+    disabled: installed.disabled,
+    manifest,
+    archivedAt: new Date().toISOString(),
+    batchId: batchId || null
+  };
+
+  const archivePath = getArchivePath(serverPath, entry.id);
+  await fsp.mkdir(path.dirname(archivePath), { recursive: true });
+  await fsp.copyFile(installed.jarPath, archivePath);
+
+  const modState = getModState(state, entry.projectId);
+  modState.history.push(entry);
+  if (modState.history.length > MAX_VERSIONS_PER_MOD) {
+    await dropHistoryEntries(serverPath, state, entry.projectId, modState.history.slice(0, modState.history.length - MAX_VERSIONS_PER_MOD));
+  }
+
+  if (batchId) {
+    if (!state.batches[batchId]) {
+      state.batches[batchId] = { id: batchId, startedAt: entry.archivedAt, entries: [] };
+    }
+    state.batches[batchId].entries.push({ projectId: entry.projectId, historyId: entry.id });
+    const oldestFirst = Object.values(state.batches).sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    for (const batch of oldestFirst.slice(0, Math.max(0, oldestFirst.length - MAX_BATCHES))) {
+      delete state.batches[batch.id];
+    }
+  }
+
+  logger.info('Archived mod version before replacing it', {
+    category: 'mods',
+    data: {
+      service: 'ModHistoryService',
+      operation: 'archiveModVersion',
+      projectId: entry.projectId,
+      fileName,
+      versionNumber: entry.versionNumber,
+      locations: entry.locations,
+      batchId: entry.batchId
+    }
+  });
+  return entry;
+}
+
+/**
+ * Copy the currently installed version of a mod into the history before it is replaced
+ * @param {string} serverPath
+ * @param {{fileName: string, projectId?: string, batchId?: string}} options
+ * @returns {Promise<Object|null>} The history entry, or null when nothing was installed
+ */
+function archiveModVersion(serverPath, options) {
+  return withStateLock(serverPath, async () => {
+    const state = await readState(serverPath);
+    const entry = await archiveInState(serverPath, state, options);
+    if (entry) await writeState(serverPath, state);
+    return entry;
+  });
+}
+
+async function rollbackInState(serverPath, state, projectId, historyId) {
+  const modState = state.mods[projectId];
+  const history = modState ? modState.history : [];
+  const entry = historyId ? history.find(item => item.id === historyId) : history[history.length - 1];
+  if (!entry) {
+    throw new Error(historyId ? 'That version is no longer in the history' : 'No previous version to roll back to');
+  }
+  const archivePath = getArchivePath(serverPath, entry.id);
+  if (!fs.existsSync(archivePath)) {
+    await dropHistoryEntries(serverPath, state, projectId, [entry]);
+    throw new Error(`The archived file for ${entry.fileName} is missing`);
+  }
+
+  // Taken out of the history first so archiving the current version can't trim it away
+  forgetHistoryEntries(state, projectId, [entry]);
+
+  // Keep the version being replaced so the rollback itself can be undone
+  const replaced = [];
+  for (const fileName of findInstalledFileNames(serverPath, projectId)) {
+    const archived = await archiveInState(serverPath, state, { fileName, projectId });
+    if (archived) replaced.push(archived);
+    await removeInstalledFile(serverPath, fileName);
+  }
+  await removeInstalledFile(serverPath, entry.fileName);
+
+  for (const location of entry.locations) {
+    const dirs = LOCATIONS[location];
+    if (!dirs) continue;
+    const jarPath = path.join(serverPath, dirs.modsDir, entry.disabled ? `${entry.fileName}.disabled` : entry.fileName);
+    await fsp.mkdir(path.dirname(jarPath), { recursive: true });
+    await fsp.copyFile(archivePath, jarPath);
+    if (entry.manifest) {
+      const manifestDir = path.join(serverPath, dirs.manifestDir);
+      await fsp.mkdir(manifestDir, { recursive: true });
+      await fsp.writeFile(path.join(manifestDir, `${entry.fileName}.json`), JSON.stringify(entry.manifest, null, 2), 'utf8');
+    }
+  }
+
+  await fsp.rm(archivePath, { force: true });
+  if (state.mods[projectId]?.pinned && entry.versionId) {
+    state.mods[projectId].pinned = {
+      ...state.mods[projectId].pinned,
+      versionId: entry.versionId,
+      versionNumber: entry.versionNumber
+    };
+  }
+
+  logger.info('Rolled back mod', {
+    category: 'mods',
+    data: {
+      service: 'ModHistoryService',
+      operation: 'rollbackMod',
+      projectId,
+      fileName: entry.fileName,
+      restoredVersion: entry.versionNumber,
+      replacedVersions: replaced.map(item => item.versionNumber)
+    }
+  });
+  return {
+    projectId,
+    fileName: entry.fileName,
+    versionId: entry.versionId,
+    versionNumber: entry.versionNumber,
+    replacedVersionNumber: replaced[0]?.versionNumber || null
+  };
+}
+
+/**
+ * Restore a mod to a version from its history (the most recent one by default)
+ * @param {string} serverPath
+ * @param {string} projectId
+ * @param {string} [historyId]
+ * @returns {Promise<{projectId: string, fileName: string, versionId: string|null, versionNumber: string|null, replacedVersionNumber: string|null}>}
+ */
+function rollbackMod(serverPath, projectId, historyId = null) {
+  return withStateLock(serverPath, async () => {
+    const state = await readState(serverPath);
+    try {
+      return await rollbackInState(serverPath, state, String(projectId), historyId);
+    } finally {
+      await writeState(serverPath, state);
+    }
+  });
+}
+
+/**
+ * Roll back every mod replaced by one "update all" run
+ * @param {string} serverPath
+ * @param {string} batchId
+ * @returns {Promise<{restored: Object[], failed: {projectId: string, error: string}[]}>}
+ */
+function rollbackBatch(serverPath, batchId) {
+  return withStateLock(serverPath, async () => {
+    const state = await readState(serverPath);
+    const batch = state.batches[batchId];
+    if (!batch) {
+      throw new Error('That update batch is no longer in the history');
+    }
+
+    const restored = [];
+    const failed = [];
+    for (const { projectId, historyId } of [...batch.entries].reverse()) {
+      try {
+        restored.push(await rollbackInState(serverPath, state, projectId, historyId));
+      } catch (error) {
+        failed.push({ projectId, error: error.message });
+      }
+    }
+    delete state.batches[batchId];
+    await writeState(serverPath, state);
+
+    logger.info('Rolled back update batch', {
+      category: 'mods',
+      data: {
+        service: 'ModHistoryService',
+        operation: 'rollbackBatch',
+        batchId,
+        restored: restored.length,
+        failed: failed.length
+      }
+    });
+    return { restored, failed };
+  });
+}
+
+/**
+ * History, pins and batches for a server, with batches newest first
+ * @param {string} serverPath
+ * @returns {Promise<{mods: Object, batches: Object[]}>}
+ */
+async function listModHistory(serverPath) {
+  const state = await readState(serverPath);
+  const mods = {};
+  for (const [projectId, modState] of Object.entries(state.mods)) {
+    mods[projectId] = {
+      pinned: modState.pinned,
+      // Newest first; the stored manifests are only needed to restore files
+      history: modState.history
+        .map(entry => {
+          const listed = { ...entry };
+          delete listed.manifest;
+          return listed;
+        })
+        .reverse()
+    };
+  }
+  const batches = Object.values(state.batches)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .map(batch => ({ id: batch.id, startedAt: batch.startedAt, modCount: batch.entries.length }));
+  return { mods, batches };
+}
+
+/**
+ * Pin a mod to a version, or unpin it with null
+ * @param {string} serverPath
+ * @param {string} projectId
+ * @param {{versionId?: string, versionNumber?: string}|null} pin
+ * @returns {Promise<Object|null>} The stored pin
+ */
+function setModPin(serverPath, projectId, pin) {
+  return withStateLock(serverPath, async () => {
+    const state = await readState(serverPath);
+    const key = String(projectId);
+    const modState = getModState(state, key);
+    modState.pinned = pin
+      ? { versionId: pin.versionId || null, versionNumber: pin.versionNumber || null, pinnedAt: new Date().toISOString() }
+      : null;
+    if (!modState.pinned && modState.history.length === 0) {
+      delete state.mods[key];
+    }
+    await writeState(serverPath, state);
+    logger.info(pin ? 'Pinned mod version' : 'Unpinned mod', {
+      category: 'mods',
+      data: {
+        service: 'ModHistoryService',
+        operation: 'setModPin',
+        projectId: key,
+        versionNumber: pin?.versionNumber
+      }
+    });
+    return modState.pinned;
+  });
+}
+
+/**
+ * @param {string} serverPath
+ * @returns {Promise<Object<string, {versionId: string|null, versionNumber: string|null, pinnedAt: string}>>}
+ */
+async function getPinnedMods(serverPath) {
+  const state = await readState(serverPath);
+  const pins = {};
+  for (const [projectId, modState] of Object.entries(state.mods)) {
+    if (modState.pinned) pins[projectId] = modState.pinned;
+  }
+  return pins;
+}
+
+module.exports = {
+  archiveModVersion,
+  rollbackMod,
+  rollbackBatch,
+  listModHistory,
+  setModPin,
+  getPinnedMods
+};
@@ -0,0 +1,176 @@
+// Identify mods that were dropped into the mods folders by hand
+// Jars without a Minecraft Core manifest are looked up on Modrinth by SHA-1 and, when a
+// CurseForge API key is configured, on CurseForge by fingerprint. Matches get a manifest
+// like the one written on install, so they show up with a source and receive update checks.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const modApiService = require('./mod-api-service.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List jars (enabled or disabled) in the instance's mod folders that have no manifest
+ * @param {string} serverPath - Server instance path
+ * @returns {Promise<Array<{fileName: string, jarPath: string, manifestDir: string, location: string}>>}
+ */
+async function findUnmanagedJars(serverPath) {
+  const locations = [
+    { location: 'server', modsDir: path.join(serverPath, 'mods'), manifestDir: path.join(serverPath, 'minecraft-core-manifests') },
+    { location: 'client', modsDir: path.join(serverPath, 'client', 'mods'), manifestDir: path.join(serverPath, 'client', 'minecraft-core-manifests') }
+  ];
+  const manifestDirs = locations.map(entry => entry.manifestDir);
+  const jars = [];
+
+  for (const { location, modsDir, manifestDir } of locations) {
+    const entries = await fs.readdir(modsDir).catch(() => []);
+    for (const entry of entries) {
+      if (!/\.jar(\.disabled)?$/i.test(entry)) continue;
+      const fileName = entry.replace(/\.disabled$/i, '');
+      // Installed mods may keep their manifest on the other side after being moved
+      let managed = false;
+      for (const dir of manifestDirs) {
+        if (await fileExists(path.join(dir, `${fileName}.json`))) {
+          managed = true;
+          break;
+        }
+      }
+      if (!managed) {
+        jars.push({ fileName, jarPath: path.join(modsDir, entry), manifestDir, location });
+      }
+    }
+  }
+  return jars;
+}
+
+async function writeManifest(jar, manifest) {
+  await fs.mkdir(jar.manifestDir, { recursive: true });
+  await fs.writeFile(path.join(jar.manifestDir, `${jar.fileName}.json`), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+async function matchOnModrinth(jar, buffer, installedAt) {
+  const sha1 = crypto.createHash('sha1').update(buffer).digest('hex');
+  const version = await modApiService.getModrinthVersionByFileHash(sha1);
+  if (!version) return null;
+
+  const project = await modApiService.getModrinthProjectInfo(version.project_id).catch(() => null);
+  return {
+    projectId: version.project_id,
+    name: (project && project.title) || version.name || jar.fileName,
+    fileName: jar.fileName,
+    versionId: version.id,
+    versionNumber: version.version_number,
+    source: 'modrinth',
+    installedAt,
+    identifiedBy: 'sha1'
+  };
+}
+
+/**
+ * Identify jars without a manifest and write manifests for the ones that match
+ * @param {string} serverPath - Server instance path
+ * @returns {Promise<{identified: Array<Object>, unmatched: string[], curseForgeChecked: boolean}>}
+ */
+async function identifyUnmanagedMods(serverPath) {
+  if (!serverPath) {
+    throw new Error('Server path is required');
+  }
+
+  const jars = await findUnmanagedJars(serverPath);
+  const identified = [];
+  const pending = [];
+
+  for (const jar of jars) {
+    try {
+      const [buffer, stats] = await Promise.all([fs.readFile(jar.jarPath), fs.stat(jar.jarPath)]);
+      const installedAt = stats.mtime.toISOString();
+      const manifest = await matchOnModrinth(jar, buffer, installedAt);
+      if (manifest) {
+        await writeManifest(jar, manifest);
+        identified.push({ fileName: jar.fileName, location: jar.location, source: 'modrinth', projectId: manifest.projectId, name: manifest.name });
+      } else {
+        pending.push({ ...jar, installedAt, fingerprint: modApiService.computeCurseForgeFingerprint(buffer) });
+      }
+    } catch (error) {
+      logger.warn('Could not identify mod jar', {
+        category: 'mods',
+        data: {
+          service: 'ModIdentificationService',
+          operation: 'identifyUnmanagedMods',
+          fileName: jar.fileName,
+          errorMessage: error.message
+        }
+      });
+      pending.push({ ...jar, fingerprint: null });
+    }
+  }
+
+  const curseForgeChecked = pending.length > 0 && modApiService.hasCurseForgeApiKey();
+  if (curseForgeChecked) {
+    try {
+      const withFingerprint = pending.filter(jar => jar.fingerprint !== null);
+      const matches = await modApiService.getCurseForgeFilesByFingerprint(withFingerprint.map(jar => jar.fingerprint));
+      const projects = await modApiService.getCurseForgeProjects([...new Set([...matches.values()].map(file => file.projectId))]);
+      const projectNames = new Map(projects.map(project => [project.id, project.name]));
+
+      for (const jar of withFingerprint) {
+        const file = matches.get(jar.fingerprint);
+        if (!file) continue;
+        const name = projectNames.get(file.projectId) || file.name;
+        await writeManifest(jar, {
+          projectId: file.projectId,
+          name,
+          fileName: jar.fileName,
+          versionId: file.id,
+          versionNumber: file.versionNumber,
+          source: 'curseforge',
+          installedAt: jar.installedAt || null,
+          identifiedBy: 'fingerprint'
+        });
+        identified.push({ fileName: jar.fileName, location: jar.location, source: 'curseforge', projectId: file.projectId, name });
+        jar.matched = true;
+      }
+    } catch (error) {
+      logger.warn('CurseForge fingerprint lookup failed', {
+        category: 'mods',
+        data: {
+          service: 'ModIdentificationService',
+          operation: 'identifyUnmanagedMods',
+          serverPath,
+          errorMessage: error.message
+        }
+      });
+    }
+  }
+
+  const unmatched = pending.filter(jar => !jar.matched).map(jar => jar.fileName);
+  logger.info('Identified unmanaged mods', {
+    category: 'mods',
+    data: {
+      service: 'ModIdentificationService',
+      operation: 'identifyUnmanagedMods',
+      serverPath,
+      scanned: jars.length,
+      identified: identified.length,
+      unmatched: unmatched.length,
+      curseForgeChecked
+    }
+  });
+  return { identified, unmatched, curseForgeChecked };
+}
+
+module.exports = {
+  findUnmanagedJars,
+  identifyUnmanagedMods
+};
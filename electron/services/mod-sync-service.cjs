@@ -0,0 +1,534 @@
+// Resumable client mod sync
+// The management server publishes a manifest of the jars clients receive (client/mods) with
+// sizes, sha1/sha512 hashes and a generation number that increases whenever the set changes.
+// The manifest is signed with the requesting client's session token so the client can check it
+// was not altered on the way. Clients compare it against their mods folder to get an exact
+// add/update/remove plan, then download with HTTP ranges so interrupted files resume where
+// they stopped, several at a time and within an optional bandwidth limit.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { readServerConfig, updateServerConfig } = require('../utils/config-manager.cjs');
+const { fileIntegrityService } = require('../ipc/mod-utils/file-integrity-service.cjs');
+
+const MANIFEST_FORMAT = 1;
+const STATE_FILE = path.join('minecraft-core-state', 'mod-sync.json');
+const PARTS_DIR = path.join('minecraft-core-state', 'mod-sync-parts');
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+// path -> { key, sha1, sha512 }; hashing every jar on each manifest request is too slow
+const hashCache = new Map();
+
+function listJars(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.jar')).sort();
+}
+
+function readModManifest(dir, fileName) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${fileName}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function hashFile(filePath) {
+  const stats = await fsp.stat(filePath);
+  const key = `${stats.size}:${stats.mtimeMs}`;
+  const cached = hashCache.get(filePath);
+  if (cached && cached.key === key) return { size: stats.size, ...cached };
+
+  const sha1 = crypto.createHash('sha1');
+  const sha512 = crypto.createHash('sha512');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    sha1.update(chunk);
+    sha512.update(chunk);
+  }
+  const entry = { key, sha1: sha1.digest('hex'), sha512: sha512.digest('hex') };
+  hashCache.set(filePath, entry);
+  return { size: stats.size, ...entry };
+}
+
+/**
+ * Build the mod sync manifest for a server
+ * The generation is stored in the server config and only increases when the file set changes.
+ * @param {string} serverPath
+ * @param {{categories?: Array<{modId: string, required?: boolean}>}} [options]
+ * @returns {Promise<{format: number, generation: number, generatedAt: string, files: Array<Object>}>}
+ */
+async function buildModSyncManifest(serverPath, { categories = [] } = {}) {
+  const clientModsDir = path.join(serverPath, 'client', 'mods');
+  const manifestDir = path.join(serverPath, 'client', 'minecraft-core-manifests');
+  const categoryMap = new Map((Array.isArray(categories) ? categories : [])
+    .filter(category => category && category.modId)
+    .map(category => [category.modId, category]));
+
+  const files = [];
+  for (const fileName of listJars(clientModsDir)) {
+    const { size, sha1, sha512 } = await hashFile(path.join(clientModsDir, fileName));
+    const category = categoryMap.get(fileName);
+    const modManifest = readModManifest(manifestDir, fileName) || {};
+    files.push({
+      fileName,
+      size,
+      sha1,
+      sha512,
+      required: category ? category.required !== false : true,
+      downloadUrl: `/api/mods/download/${encodeURIComponent(fileName)}?location=client`,
+      projectId: modManifest.projectId || null,
+      versionId: modManifest.versionId || null,
+      versionNumber: modManifest.versionNumber || null,
+      name: modManifest.name || null
+    });
+  }
+
+  const contentHash = crypto.createHash('sha1')
+    .update(files.map(file => `${file.fileName}:${file.sha1}:${file.required}`).join('\n'))
+    .digest('hex');
+  const stored = (readServerConfig(serverPath) || {}).modSync || {};
+  let generation = Number.isInteger(stored.generation) ? stored.generation : 0;
+  if (stored.contentHash !== contentHash) {
+    generation += 1;
+    updateServerConfig(serverPath, { modSync: { generation, contentHash } });
+  }
+
+  return { format: MANIFEST_FORMAT, generation, generatedAt: new Date().toISOString(), files };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * HMAC-SHA256 of the manifest's canonical JSON
+ * @param {Object} manifest
+ * @param {string} key - The client's session token
+ * @returns {string}
+ */
+function signModSyncManifest(manifest, key) {
+  return crypto.createHmac('sha256', String(key)).update(canonicalJson(manifest)).digest('hex');
+}
+
+/**
+ * @param {Object} manifest
+ * @param {string} signature
+ * @param {string} key
+ * @returns {boolean}
+ */
+function verifyModSyncManifest(manifest, signature, key) {
+  if (!manifest || typeof signature !== 'string' || !key) return false;
+  const expected = Buffer.from(signModSyncManifest(manifest, key), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header
+ * @param {string} header
+ * @param {number} size - File size in bytes
+ * @returns {null|false|{start: number, end: number}} null to send the whole file,
+ *   false when the range cannot be satisfied
+ */
+function parseRangeHeader(header, size) {
+  if (typeof header !== 'string') return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple or malformed ranges are ignored and the whole file is sent
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return false;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || end < start) return false;
+  return { start, end };
+}
+
+function isSafeModFileName(fileName) {
+  return typeof fileName === 'string'
+    && fileName.toLowerCase().endsWith('.jar')
+    && path.basename(fileName) === fileName
+    && !fileName.startsWith('.');
+}
+
+// The sha1 names the partial download file, so only a plain hex digest is accepted
+const SHA1_PATTERN = /^[0-9a-f]{40}$/;
+
+function getRemoteModFiles(manifest) {
+  return (manifest && Array.isArray(manifest.files) ? manifest.files : [])
+    .filter(file => file && isSafeModFileName(file.fileName) && typeof file.sha1 === 'string' && SHA1_PATTERN.test(file.sha1));
+}
+
+function loadModSyncState(clientPath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(clientPath, STATE_FILE), 'utf8'));
+    return state && typeof state.files === 'object' && state.files ? state : { generation: 0, files: {} };
+  } catch {
+    return { generation: 0, files: {} };
+  }
+}
+
+function saveModSyncState(clientPath, state) {
+  const statePath = path.join(clientPath, STATE_FILE);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+function getPartPath(clientPath, file) {
+  return path.join(clientPath, PARTS_DIR, `${file.sha1}.part`);
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Compare a client's mods folder with the server manifest
+ * - add: a required mod is missing
+ * - update: the local jar differs from the server's
+ * - remove: a mod this sync installed earlier is gone from the server
+ * - optional: an optional mod that is not installed
+ * - unchanged: the local jar matches
+ * Mods the player added themselves are never removed, and neither are synced jars that were
+ * changed locally since.
+ * @param {string} clientPath
+ * @param {{generation: number, files: Array<Object>}} manifest
+ * @param {{files: Object<string, string>}} [state] - Hashes installed by the last sync
+ * @returns {Promise<Array<{fileName: string, action: string, size: number, required: boolean, resumeFrom: number}>>}
+ */
+async function planModSync(clientPath, manifest, state = loadModSyncState(clientPath)) {
+  const modsDir = path.join(clientPath, 'mods');
+  const remoteFiles = getRemoteModFiles(manifest);
+  const remoteNames = new Set(remoteFiles.map(file => file.fileName));
+  const plan = [];
+
+  for (const file of remoteFiles) {
+    const localPath = path.join(modsDir, file.fileName);
+    const localSha1 = fs.existsSync(localPath)
+      ? await fileIntegrityService.calculateFileChecksum(localPath, 'sha1')
+      : null;
+
+    let action;
+    if (localSha1 === file.sha1) {
+      action = 'unchanged';
+    } else if (localSha1) {
+      action = 'update';
+    } else if (file.required === false) {
+      action = 'optional';
+    } else {
+      action = 'add';
+    }
+
+    const partSize = action === 'unchanged' ? 0 : fileSize(getPartPath(clientPath, file));
+    plan.push({
+      fileName: file.fileName,
+      action,
+      size: file.size || 0,
+      required: file.required !== false,
+      resumeFrom: partSize > 0 && partSize <= (file.size || 0) ? partSize : 0
+    });
+  }
+
+  for (const [fileName, sha1] of Object.entries(state.files || {})) {
+    if (remoteNames.has(fileName) || !isSafeModFileName(fileName)) continue;
+    const localPath = path.join(modsDir, fileName);
+    if (!fs.existsSync(localPath)) continue;
+    if (await fileIntegrityService.calculateFileChecksum(localPath, 'sha1') !== sha1) continue;
+    plan.push({ fileName, action: 'remove', size: fileSize(localPath), required: false, resumeFrom: 0 });
+  }
+
+  return plan;
+}
+
+/**
+ * Token bucket shared by all downloads of a sync
+ * @param {number} bytesPerSecond - 0 for no limit
+ * @returns {{rate: number, consume: (bytes: number) => Promise<void>}}
+ */
+function createBandwidthLimiter(bytesPerSecond) {
+  const rate = Number(bytesPerSecond) > 0 ? Number(bytesPerSecond) : 0;
+  let tokens = rate;
+  let last = Date.now();
+  let pending = Promise.resolve();
+
+  return {
+    rate,
+    consume(bytes) {
+      if (!rate) return Promise.resolve();
+      pending = pending.then(() => {
+        const now = Date.now();
+        tokens = Math.min(rate, tokens + ((now - last) / 1000) * rate);
+        last = now;
+        tokens -= bytes;
+        if (tokens >= 0) return undefined;
+        return new Promise(resolve => setTimeout(resolve, Math.ceil((-tokens / rate) * 1000)));
+      });
+      return pending;
+    }
+  };
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @template T
+ * @param {Array<T>} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function headerValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Download a file into a .part file, continuing a previous partial download when the
+ * server honours the range, and verify it with the manifest hash
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} options.partPath
+ * @param {{size: number, sha1: string, sha512?: string}} options.expected
+ * @param {(url: string, headers: Object) => Promise<import('http').IncomingMessage>} options.openRequest
+ * @param {{consume: (bytes: number) => Promise<void>}} [options.limiter]
+ * @param {(received: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{resumedFrom: number, bytes: number}>}
+ */
+async function downloadResumable({ url, partPath, expected, openRequest, limiter, onProgress }) {
+  await fsp.mkdir(path.dirname(partPath), { recursive: true });
+  let offset = fileSize(partPath);
+  if (offset > expected.size) {
+    await fsp.rm(partPath, { force: true });
+    offset = 0;
+  }
+
+  let response = null;
+  if (offset < expected.size) {
+    response = await openRequest(url, offset > 0 ? { Range: `bytes=${offset}-` } : {});
+    if (response.statusCode === 416 && offset > 0) {
+      response.resume();
+      await fsp.rm(partPath, { force: true });
+      offset = 0;
+      response = await openRequest(url, {});
+    }
+    if (response.statusCode === 206) {
+      const rangeStart = Number((/^bytes (\d+)-/.exec(headerValue(response.headers['content-range']) || '') || [])[1]);
+      if (rangeStart !== offset) {
+        response.resume();
+        throw new Error('Server returned an unexpected range');
+      }
+    } else if (response.statusCode === 200) {
+      offset = 0;
+    } else {
+      response.resume();
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    let received = offset;
+    const throttle = new Transform({
+      transform(chunk, _encoding, callback) {
+        Promise.resolve(limiter ? limiter.consume(chunk.length) : undefined).then(() => {
+          received += chunk.length;
+          if (onProgress) onProgress(received, expected.size);
+          callback(null, chunk);
+        }, callback);
+      }
+    });
+    await pipeline(response, throttle, fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }));
+  }
+
+  const algorithm = expected.sha512 ? 'sha512' : 'sha1';
+  const verification = await fileIntegrityService.verifyFileIntegrity(partPath, expected[algorithm], algorithm);
+  if (!verification.isValid) {
+    await fsp.rm(partPath, { force: true });
+    // The partial data may have come from an older copy of the file; start over once
+    if (offset > 0) {
+      return { ...(await downloadResumable({ url, partPath, expected, openRequest, limiter, onProgress })), resumedFrom: 0 };
+    }
+    throw new Error('Checksum mismatch');
+  }
+  return { resumedFrom: offset, bytes: fileSize(partPath) - offset };
+}
+
+/**
+ * Bring a client's mods folder in line with the server manifest
+ * @param {Object} options
+ * @param {string} options.clientPath
+ * @param {{generation: number, files: Array<Object>}} options.manifest - A verified manifest
+ * @param {(url: string, headers: Object) => Promise<import('http').IncomingMessage>} options.openRequest
+ * @param {Array<string>} [options.includeOptional] - Optional mods to install
+ * @param {number} [options.concurrency]
+ * @param {number} [options.maxBytesPerSecond] - 0 for no limit
+ * @param {(event: {fileName: string, received: number, total: number, done?: boolean, error?: string}) => void} [options.onProgress]
+ * @param {{restoreArtifact: Function, addArtifact: Function}} [options.cache] - Local mod cache; files it holds are not downloaded
+ * @returns {Promise<{success: boolean, generation: number, downloaded: Array<string>, resumed: Array<string>, fromCache: Array<string>, removed: Array<string>, unchanged: number, bytesDownloaded: number, failures: Array<{fileName: string, error: string}>}>}
+ */
+async function applyModSync({
+  clientPath,
+  manifest,
+  openRequest,
+  includeOptional = [],
+  concurrency = DEFAULT_CONCURRENCY,
+  maxBytesPerSecond = 0,
+  onProgress,
+  cache = null
+}) {
+  if (!clientPath || !fs.existsSync(clientPath)) {
+    throw new Error('Invalid client path');
+  }
+  const modsDir = path.join(clientPath, 'mods');
+  const manifestDir = path.join(clientPath, 'minecraft-core-manifests');
+  const state = loadModSyncState(clientPath);
+  const plan = await planModSync(clientPath, manifest, state);
+  const filesByName = new Map(getRemoteModFiles(manifest).map(file => [file.fileName, file]));
+  const optionalWanted = new Set(Array.isArray(includeOptional) ? includeOptional : []);
+  const toDownload = plan.filter(item =>
+    item.action === 'add' || item.action === 'update' || (item.action === 'optional' && optionalWanted.has(item.fileName))
+  );
+  const limiter = createBandwidthLimiter(maxBytesPerSecond);
+  const workers = Math.min(MAX_CONCURRENCY, Math.max(1, Number(concurrency) || DEFAULT_CONCURRENCY));
+
+  const downloaded = [];
+  const resumed = [];
+  const fromCache = [];
+  const removed = [];
+  const failures = [];
+  let bytesDownloaded = 0;
+
+  fs.mkdirSync(modsDir, { recursive: true });
+  fs.mkdirSync(manifestDir, { recursive: true });
+
+  await runWithConcurrency(toDownload, workers, async (item) => {
+    const file = filesByName.get(item.fileName);
+    const partPath = getPartPath(clientPath, file);
+    try {
+      const cached = cache
+        ? await cache.restoreArtifact({ sha512: file.sha512, sha1: file.sha1 }, partPath).catch(() => null)
+        : null;
+      let result = { resumedFrom: 0, bytes: 0 };
+      if (cached && cached.sha1 === file.sha1) {
+        fromCache.push(file.fileName);
+      } else {
+        result = await downloadResumable({
+          url: file.downloadUrl,
+          partPath,
+          expected: file,
+          openRequest,
+          limiter,
+          onProgress: onProgress ? (received, total) => onProgress({ fileName: file.fileName, received, total }) : null
+        });
+        if (cache) {
+          await cache.addArtifact(partPath, { fileName: file.fileName, sha1: file.sha1, sha512: file.sha512 }).catch(() => null);
+        }
+      }
+      await fsp.rename(partPath, path.join(modsDir, file.fileName));
+      const now = new Date().toISOString();
+      fs.writeFileSync(path.join(manifestDir, `${file.fileName}.json`), JSON.stringify({
+        fileName: file.fileName,
+        source: 'server',
+        projectId: file.projectId || null,
+        versionId: file.versionId || null,
+        versionNumber: file.versionNumber || null,
+        name: file.name || null,
+        installedAt: now,
+        lastUpdated: now
+      }, null, 2));
+      state.files[file.fileName] = file.sha1;
+      downloaded.push(file.fileName);
+      if (result.resumedFrom > 0) resumed.push(file.fileName);
+      bytesDownloaded += result.bytes;
+      if (onProgress) onProgress({ fileName: file.fileName, received: file.size, total: file.size, done: true });
+    } catch (error) {
+      failures.push({ fileName: file.fileName, error: error.message });
+      if (onProgress) onProgress({ fileName: file.fileName, received: 0, total: file.size, error: error.message });
+    }
+  });
+
+  for (const item of plan) {
+    if (item.action === 'unchanged') {
+      state.files[item.fileName] = filesByName.get(item.fileName).sha1;
+    } else if (item.action === 'remove') {
+      try {
+        await fsp.rm(path.join(modsDir, item.fileName), { force: true });
+        await fsp.rm(path.join(manifestDir, `${item.fileName}.json`), { force: true });
+        delete state.files[item.fileName];
+        removed.push(item.fileName);
+      } catch (error) {
+        failures.push({ fileName: item.fileName, error: error.message });
+      }
+    }
+  }
+  for (const fileName of Object.keys(state.files)) {
+    if (!filesByName.has(fileName) && !fs.existsSync(path.join(modsDir, fileName))) {
+      delete state.files[fileName];
+    }
+  }
+
+  // Partial files that no longer match anything in the manifest cannot be resumed
+  const wantedParts = new Set([...filesByName.values()].map(file => `${file.sha1}.part`));
+  const partsDir = path.join(clientPath, PARTS_DIR);
+  if (fs.existsSync(partsDir)) {
+    for (const name of fs.readdirSync(partsDir)) {
+      if (name.endsWith('.part') && !wantedParts.has(name)) {
+        fs.rmSync(path.join(partsDir, name), { force: true });
+      }
+    }
+  }
+
+  state.generation = manifest.generation;
+  state.lastSyncedAt = new Date().toISOString();
+  saveModSyncState(clientPath, state);
+
+  return {
+    success: failures.length === 0,
+    generation: manifest.generation,
+    downloaded,
+    resumed,
+    fromCache,
+    removed,
+    unchanged: plan.filter(item => item.action === 'unchanged').length,
+    bytesDownloaded,
+    failures
+  };
+}
+
+module.exports = {
+  buildModSyncManifest,
+  signModSyncManifest,
+  verifyModSyncManifest,
+  parseRangeHeader,
+  loadModSyncState,
+  planModSync,
+  createBandwidthLimiter,
+  runWithConcurrency,
+  downloadResumable,
+  applyModSync
+};
@@ -0,0 +1,422 @@
+// Modpack export
+// Turns a server instance into a Modrinth .mrpack and optionally a packwiz pack. Jars Modrinth
+// knows by hash are referenced by URL, other jars are bundled in the overrides folders. Sides
+// and the required/optional flag follow the same rules the management server uses for clients.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const { getModrinthVersionByFileHash } = require('./mod-api-service.cjs');
+const { readServerConfig, detectMinecraftVersion } = require('../utils/config-manager.cjs');
+const { resolveServerLoader } = require('../utils/server-loader.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const INDEX_FILE = 'modrinth.index.json';
+const PACKWIZ_FORMAT = 'packwiz:1.1.0';
+
+// Server loader -> pack dependency key
+const PACK_DEPENDENCY_KEYS = {
+  fabric: 'fabric-loader',
+  forge: 'forge',
+  neoforge: 'neoforge',
+  quilt: 'quilt-loader'
+};
+
+// Overrides folder for jars that have to be bundled
+const OVERRIDE_PREFIXES = {
+  both: 'overrides/',
+  server: 'server-overrides/',
+  client: 'client-overrides/'
+};
+
+function listJars(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.jar'));
+}
+
+function readManifest(dir, fileName) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${fileName}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function loadModCategories() {
+  try {
+    const { modCategoriesStore } = require('../ipc/mod-utils/mod-file-manager.cjs');
+    const categories = modCategoriesStore.get();
+    return Array.isArray(categories) ? categories : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Enabled mods of an instance with the side they belong to
+ * A jar in both mods/ and client/mods is shared, one only in client/mods is client-only.
+ * Client mods are required unless their category says otherwise.
+ * @param {string} serverPath
+ * @param {Array<{modId: string, required?: boolean}>} [categories]
+ * @returns {Array<{fileName: string, name: string, side: 'server'|'client'|'both', required: boolean, filePath: string}>}
+ */
+function collectInstanceMods(serverPath, categories = loadModCategories()) {
+  const serverDir = path.join(serverPath, 'mods');
+  const clientDir = path.join(serverPath, 'client', 'mods');
+  const serverJars = listJars(serverDir);
+  const clientJars = listJars(clientDir);
+  const categoryMap = new Map(categories.filter(c => c && c.modId).map(c => [c.modId, c]));
+
+  const fileNames = [...new Set([...serverJars, ...clientJars])].sort((a, b) => a.localeCompare(b));
+  return fileNames.map((fileName) => {
+    const onServer = serverJars.includes(fileName);
+    const onClient = clientJars.includes(fileName);
+    const side = onServer && onClient ? 'both' : (onServer ? 'server' : 'client');
+    const category = categoryMap.get(fileName);
+    const manifest = readManifest(path.join(serverPath, 'minecraft-core-manifests'), fileName)
+      || readManifest(path.join(serverPath, 'client', 'minecraft-core-manifests'), fileName);
+
+    return {
+      fileName,
+      name: (manifest && manifest.name) || fileName.replace(/\.jar$/i, ''),
+      side,
+      required: side === 'server' || !category || category.required !== false,
+      filePath: path.join(onServer ? serverDir : clientDir, fileName)
+    };
+  });
+}
+
+/**
+ * env field of a pack file for a mod
+ * @param {{side: string, required: boolean}} mod
+ * @returns {{client: string, server: string}}
+ */
+function getModEnv(mod) {
+  const client = mod.required ? 'required' : 'optional';
+  if (mod.side === 'server') return { client: 'unsupported', server: 'required' };
+  if (mod.side === 'client') return { client, server: 'unsupported' };
+  return { client, server: 'required' };
+}
+
+/**
+ * Minecraft version and loader of an instance
+ * @param {string} serverPath
+ * @returns {{minecraftVersion: string|null, loader: string, loaderVersion: string|null}}
+ */
+function resolveInstanceRuntime(serverPath) {
+  const config = readServerConfig(serverPath) || {};
+  const { loader, loaderVersion } = resolveServerLoader(serverPath);
+  return {
+    minecraftVersion: config.version || detectMinecraftVersion(serverPath) || null,
+    loader: loader || 'vanilla',
+    loaderVersion: loaderVersion || config.loaderVersion || config.fabric || null
+  };
+}
+
+function hashFile(filePath, algorithm) {
+  return crypto.createHash(algorithm).update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * The Modrinth file matching a jar's sha1, if Modrinth hosts it
+ * @param {string} sha1
+ * @returns {Promise<{url: string, projectId: string, versionId: string, versionNumber: string}|null>}
+ */
+async function findModrinthFile(sha1) {
+  const version = await getModrinthVersionByFileHash(sha1, 'sha1');
+  if (!version || !Array.isArray(version.files)) return null;
+  const file = version.files.find(f => f.hashes && f.hashes.sha1 === sha1);
+  if (!file || !file.url) return null;
+  return {
+    url: file.url,
+    projectId: version.project_id,
+    versionId: version.id,
+    versionNumber: version.version_number
+  };
+}
+
+/**
+ * Build modrinth.index.json for an instance's mods
+ * @param {{name: string, version: string, summary?: string, runtime: Object, mods: Array<Object>}} options
+ *   mods carry their hashes, fileSize and the Modrinth file from findModrinthFile (or null)
+ * @returns {{index: Object, bundled: Array<Object>}} bundled are the mods to put in overrides
+ */
+function buildPackIndex({ name, version, summary, runtime, mods }) {
+  const dependencies = { minecraft: runtime.minecraftVersion };
+  const dependencyKey = PACK_DEPENDENCY_KEYS[runtime.loader];
+  if (dependencyKey) {
+    dependencies[dependencyKey] = runtime.loaderVersion;
+  }
+
+  const files = [];
+  const bundled = [];
+  for (const mod of mods) {
+    if (!mod.modrinth) {
+      bundled.push(mod);
+      continue;
+    }
+    files.push({
+      path: `mods/${mod.fileName}`,
+      hashes: { sha1: mod.sha1, sha512: mod.sha512 },
+      env: getModEnv(mod),
+      downloads: [mod.modrinth.url],
+      fileSize: mod.fileSize
+    });
+  }
+
+  const index = {
+    formatVersion: 1,
+    game: 'minecraft',
+    versionId: version,
+    name,
+    ...(summary ? { summary } : {}),
+    files,
+    dependencies
+  };
+  return { index, bundled };
+}
+
+function listFilesRecursive(root, relative = '') {
+  const dir = path.join(root, relative);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const child = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFilesRecursive(root, child);
+    return entry.isFile() ? [child] : [];
+  });
+}
+
+function tomlString(value) {
+  return JSON.stringify(String(value));
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/\.jar$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'mod';
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write the instance as a packwiz pack
+ * Modrinth-hosted mods become .pw.toml metafiles, other jars and configs are copied as plain files.
+ * @param {string} dir - Empty folder, or the folder of an earlier packwiz export
+ * @param {{name: string, version: string, runtime: Object, mods: Array<Object>, configFiles: Array<string>, serverPath: string}} pack
+ * @returns {Promise<number>} Files listed in index.toml
+ */
+async function writePackwizPack(dir, { name, version, runtime, mods, configFiles, serverPath }) {
+  await fsp.mkdir(dir, { recursive: true });
+  const existing = await fsp.readdir(dir);
+  if (existing.length > 0) {
+    if (!existing.includes('pack.toml')) {
+      throw new Error('Choose an empty folder or an existing packwiz pack');
+    }
+    await fsp.rm(path.join(dir, 'mods'), { recursive: true, force: true });
+    await fsp.rm(path.join(dir, 'config'), { recursive: true, force: true });
+  }
+  await fsp.mkdir(path.join(dir, 'mods'), { recursive: true });
+
+  const indexEntries = [];
+  const usedSlugs = new Set();
+  for (const mod of mods) {
+    if (!mod.modrinth) {
+      const relative = `mods/${mod.fileName}`;
+      await fsp.copyFile(mod.filePath, path.join(dir, relative));
+      indexEntries.push({ file: relative, hash: hashFile(mod.filePath, 'sha256') });
+      continue;
+    }
+
+    let slug = slugify(mod.name);
+    while (usedSlugs.has(slug)) slug = `${slug}-${mod.sha1.slice(0, 6)}`;
+    usedSlugs.add(slug);
+
+    const lines = [
+      `name = ${tomlString(mod.name)}`,
+      `filename = ${tomlString(mod.fileName)}`,
+      `side = ${tomlString(mod.side)}`,
+      '',
+      '[download]',
+      `url = ${tomlString(mod.modrinth.url)}`,
+      'hash-format = "sha512"',
+      `hash = ${tomlString(mod.sha512)}`
+    ];
+    if (mod.side !== 'server' && !mod.required) {
+      lines.push('', '[option]', 'optional = true');
+    }
+    lines.push(
+      '',
+      '[update]',
+      '[update.modrinth]',
+      `mod-id = ${tomlString(mod.modrinth.projectId)}`,
+      `version = ${tomlString(mod.modrinth.versionId)}`,
+      ''
+    );
+    const relative = `mods/${slug}.pw.toml`;
+    const content = lines.join('\n');
+    await fsp.writeFile(path.join(dir, relative), content);
+    indexEntries.push({ file: relative, hash: sha256(content), metafile: true });
+  }
+
+  for (const relative of configFiles) {
+    const destination = path.join(dir, relative);
+    await fsp.mkdir(path.dirname(destination), { recursive: true });
+    await fsp.copyFile(path.join(serverPath, relative), destination);
+    indexEntries.push({ file: relative, hash: hashFile(destination, 'sha256') });
+  }
+
+  const indexToml = ['hash-format = "sha256"', '']
+    .concat(indexEntries.flatMap(entry => [
+      '[[files]]',
+      `file = ${tomlString(entry.file)}`,
+      `hash = ${tomlString(entry.hash)}`,
+      ...(entry.metafile ? ['metafile = true'] : []),
+      ''
+    ]))
+    .join('\n');
+  await fsp.writeFile(path.join(dir, 'index.toml'), indexToml);
+
+  const versions = [`minecraft = ${tomlString(runtime.minecraftVersion)}`];
+  if (PACK_DEPENDENCY_KEYS[runtime.loader]) {
+    versions.push(`${runtime.loader} = ${tomlString(runtime.loaderVersion)}`);
+  }
+  const packToml = [
+    `name = ${tomlString(name)}`,
+    `version = ${tomlString(version)}`,
+    `pack-format = ${tomlString(PACKWIZ_FORMAT)}`,
+    '',
+    '[index]',
+    'file = "index.toml"',
+    'hash-format = "sha256"',
+    `hash = ${tomlString(sha256(indexToml))}`,
+    '',
+    '[versions]',
+    ...versions,
+    ''
+  ].join('\n');
+  await fsp.writeFile(path.join(dir, 'pack.toml'), packToml);
+
+  return indexEntries.length;
+}
+
+/**
+ * Export a server instance as a .mrpack, and optionally as a packwiz pack
+ * @param {{serverPath: string, outputPath: string, packwizDir?: string|null, name?: string,
+ *   version?: string, summary?: string, includeConfigs?: boolean}} options
+ * @returns {Promise<Object>} Export summary
+ */
+async function exportModpack({
+  serverPath,
+  outputPath,
+  packwizDir = null,
+  name,
+  version,
+  summary = '',
+  includeConfigs = true
+}) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    throw new Error('Invalid server path');
+  }
+  if (!outputPath) {
+    throw new Error('An output file is required');
+  }
+
+  const runtime = resolveInstanceRuntime(serverPath);
+  if (!runtime.minecraftVersion) {
+    throw new Error('Could not determine the Minecraft version of this server');
+  }
+  if (PACK_DEPENDENCY_KEYS[runtime.loader] && !runtime.loaderVersion) {
+    throw new Error(`Could not determine the ${runtime.loader} version of this server`);
+  }
+
+  const config = readServerConfig(serverPath) || {};
+  const packName = (name && name.trim()) || (config.modpack && config.modpack.name) || path.basename(serverPath);
+  const packVersion = (version && version.trim()) || '1.0.0';
+
+  const mods = collectInstanceMods(serverPath);
+  for (const mod of mods) {
+    mod.sha1 = hashFile(mod.filePath, 'sha1');
+    mod.sha512 = hashFile(mod.filePath, 'sha512');
+    mod.fileSize = fs.statSync(mod.filePath).size;
+    try {
+      mod.modrinth = await findModrinthFile(mod.sha1);
+    } catch (error) {
+      mod.modrinth = null;
+      logger.warn(`Modrinth lookup failed for ${mod.fileName}, bundling the jar: ${error.message}`, {
+        category: 'mods',
+        data: { service: 'ModpackExportService', operation: 'exportModpack', fileName: mod.fileName }
+      });
+    }
+  }
+
+  const { index, bundled } = buildPackIndex({ name: packName, version: packVersion, summary, runtime, mods });
+  const configFiles = includeConfigs
+    ? listFilesRecursive(serverPath, 'config')
+    : [];
+
+  const zip = new (/** @type {any} */ (AdmZip))();
+  zip.addFile(INDEX_FILE, Buffer.from(JSON.stringify(index, null, 2)));
+  for (const mod of bundled) {
+    zip.addLocalFile(mod.filePath, `${OVERRIDE_PREFIXES[mod.side]}mods`);
+  }
+  for (const relative of configFiles) {
+    zip.addLocalFile(path.join(serverPath, relative), `overrides/${path.posix.dirname(relative)}`);
+  }
+  await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+  zip.writeZip(outputPath);
+
+  let packwizFiles = 0;
+  if (packwizDir) {
+    packwizFiles = await writePackwizPack(packwizDir, {
+      name: packName,
+      version: packVersion,
+      runtime,
+      mods,
+      configFiles,
+      serverPath
+    });
+  }
+
+  const result = {
+    success: true,
+    outputPath,
+    packwizDir: packwizDir || null,
+    name: packName,
+    version: packVersion,
+    modrinthFiles: index.files.length,
+    bundled: bundled.length,
+    clientOnly: mods.filter(mod => mod.side === 'client').length,
+    configFiles: configFiles.length,
+    packwizFiles
+  };
+
+  logger.info('Modpack exported', {
+    category: 'mods',
+    data: {
+      service: 'ModpackExportService',
+      operation: 'exportModpack',
+      serverPath,
+      ...runtime,
+      modrinthFiles: result.modrinthFiles,
+      bundled: result.bundled,
+      clientOnly: result.clientOnly,
+      configFiles: result.configFiles,
+      packwiz: !!packwizDir
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  collectInstanceMods,
+  getModEnv,
+  resolveInstanceRuntime,
+  buildPackIndex,
+  writePackwizPack,
+  exportModpack
+};
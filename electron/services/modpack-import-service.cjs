@@ -0,0 +1,469 @@
+// Modrinth modpack (.mrpack) import
+// Reads modrinth.index.json, downloads the pack files with hash verification, applies
+// the overrides folders and puts client-only files where the management server offers them.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const AdmZip = require('adm-zip');
+const { safeSend } = require('../utils/safe-send.cjs');
+const { downloadWithProgress } = require('./download-manager.cjs');
+const { rateLimit } = require('./mod-api-service.cjs');
+const { updateServerConfig } = require('../utils/config-manager.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const MODRINTH_API = 'https://api.modrinth.com/v2';
+const INDEX_FILE = 'modrinth.index.json';
+const PROGRESS_CHANNEL = 'modpack-import-progress';
+const LOG_CHANNEL = 'install-log';
+// Hosts the .mrpack format allows file downloads from
+const ALLOWED_DOWNLOAD_HOSTS = ['cdn.modrinth.com', 'github.com', 'raw.githubusercontent.com', 'gitlab.com'];
+const CDN_URL_PATTERN = /^https:\/\/cdn\.modrinth\.com\/data\/([A-Za-z0-9]+)\/versions\/([A-Za-z0-9]+)\//;
+
+// Pack dependency key -> server loader
+const PACK_LOADERS = {
+  'fabric-loader': 'fabric',
+  forge: 'forge',
+  neoforge: 'neoforge',
+  'quilt-loader': 'quilt'
+};
+const SUPPORTED_LOADERS = ['vanilla', 'fabric', 'quilt', 'forge', 'neoforge'];
+
+/**
+ * A pack path is only used if it stays inside the folder it is extracted to
+ * @param {string} relativePath
+ * @returns {boolean}
+ */
+function isSafePackPath(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath.trim()) return false;
+  const normalized = relativePath.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return false;
+  return !normalized.split('/').some(part => part === '..');
+}
+
+/**
+ * Read and validate the index of a .mrpack
+ * @param {string} packPath
+ * @returns {{zip: any, index: Object}}
+ */
+function readPackIndex(packPath) {
+  let zip;
+  try {
+    zip = new (/** @type {any} */ (AdmZip))(packPath);
+  } catch (error) {
+    throw new Error(`Not a valid .mrpack archive: ${error.message}`);
+  }
+  const entry = zip.getEntry(INDEX_FILE);
+  if (!entry) {
+    throw new Error(`${INDEX_FILE} is missing from the modpack`);
+  }
+
+  let index;
+  try {
+    index = JSON.parse(entry.getData().toString('utf8'));
+  } catch (error) {
+    throw new Error(`${INDEX_FILE} is not valid JSON: ${error.message}`);
+  }
+  if (index.formatVersion !== 1) {
+    throw new Error(`Unsupported modpack format version: ${index.formatVersion}`);
+  }
+  if (index.game !== 'minecraft') {
+    throw new Error(`Unsupported modpack game: ${index.game}`);
+  }
+  if (!index.dependencies || !index.dependencies.minecraft) {
+    throw new Error('The modpack does not declare a Minecraft version');
+  }
+  if (!Array.isArray(index.files)) {
+    index.files = [];
+  }
+  return { zip, index };
+}
+
+/**
+ * Minecraft version and server loader a pack needs
+ * @param {Object} index - Parsed modrinth.index.json
+ * @returns {{minecraftVersion: string, loader: string, loaderVersion: string|null}}
+ */
+function resolvePackRuntime(index) {
+  const dependencies = index.dependencies || {};
+  const loaderKey = Object.keys(PACK_LOADERS).find(key => dependencies[key]);
+  return {
+    minecraftVersion: dependencies.minecraft,
+    loader: loaderKey ? PACK_LOADERS[loaderKey] : 'vanilla',
+    loaderVersion: loaderKey ? dependencies[loaderKey] : null
+  };
+}
+
+/**
+ * Where a pack file belongs, from its env field
+ * @param {{env?: {client?: string, server?: string}}} file
+ * @returns {'server'|'client'|'both'}
+ */
+function classifyPackFile(file) {
+  const env = file.env || {};
+  if (env.server === 'unsupported') return 'client';
+  if (env.client === 'unsupported') return 'server';
+  return 'both';
+}
+
+/**
+ * Modrinth project and version ids from a CDN download URL
+ * @param {string} url
+ * @returns {{projectId: string, versionId: string}|null}
+ */
+function parseModrinthCdnUrl(url) {
+  const match = typeof url === 'string' ? url.match(CDN_URL_PATTERN) : null;
+  return match ? { projectId: match[1], versionId: match[2] } : null;
+}
+
+function isAllowedDownloadUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && ALLOWED_DOWNLOAD_HOSTS.includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Check a file against the hashes of the pack index; sha512 is preferred when both are given
+ * @param {string} filePath
+ * @param {{sha1?: string, sha512?: string}} hashes
+ * @returns {Promise<boolean>}
+ */
+async function verifyFileHashes(filePath, hashes = {}) {
+  const algorithm = hashes.sha512 ? 'sha512' : (hashes.sha1 ? 'sha1' : null);
+  if (!algorithm) return false;
+  const actual = await hashFile(filePath, algorithm);
+  return actual === String(hashes[algorithm]).toLowerCase();
+}
+
+/**
+ * Server and client destinations of a pack file
+ * Client copies of mods go to client/mods, other client-only files keep their path under client/.
+ * @param {string} serverPath
+ * @param {{path: string}} file
+ * @param {'server'|'client'|'both'} side
+ * @returns {Array<string>}
+ */
+function getFileDestinations(serverPath, file, side) {
+  const relative = file.path.replace(/\\/g, '/');
+  const isMod = relative.startsWith('mods/');
+  const destinations = [];
+  if (side !== 'client') {
+    destinations.push(path.join(serverPath, relative));
+  }
+  if (side === 'client' || (side === 'both' && isMod)) {
+    destinations.push(path.join(serverPath, 'client', relative));
+  }
+  return destinations;
+}
+
+function emitProgress(payload) {
+  safeSend(PROGRESS_CHANNEL, payload);
+}
+
+async function fetchModrinthJson(url) {
+  await rateLimit();
+  const response = await fetch(url, { headers: { 'User-Agent': 'minecraft-core/1.0.0' } });
+  if (response.status === 404) {
+    throw new Error('Modpack not found on Modrinth');
+  }
+  if (!response.ok) {
+    throw new Error(`Modrinth API error: ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Download the .mrpack of a Modrinth modpack project
+ * @param {string} projectId - Project id or slug
+ * @param {string|null} [versionId] - Specific version, latest when omitted
+ * @returns {Promise<{packPath: string, projectId: string, versionId: string, versionNumber: string}>}
+ */
+async function downloadModrinthPack(projectId, versionId = null) {
+  const version = versionId
+    ? await fetchModrinthJson(`${MODRINTH_API}/version/${encodeURIComponent(versionId)}`)
+    : (await fetchModrinthJson(`${MODRINTH_API}/project/${encodeURIComponent(projectId)}/version`))
+      .find(candidate => (candidate.files || []).some(f => f.filename.endsWith('.mrpack')));
+
+  if (!version) {
+    throw new Error('No modpack version with a .mrpack file was found');
+  }
+  const packFile = version.files.find(f => f.primary && f.filename.endsWith('.mrpack'))
+    || version.files.find(f => f.filename.endsWith('.mrpack'));
+  if (!packFile) {
+    throw new Error(`Version ${version.version_number} has no .mrpack file`);
+  }
+
+  const cacheDir = path.join(os.tmpdir(), 'minecraft-core-modpacks');
+  await fsp.mkdir(cacheDir, { recursive: true });
+  const packPath = path.join(cacheDir, `${version.id}.mrpack`);
+
+  if (!fs.existsSync(packPath) || !(await verifyFileHashes(packPath, packFile.hashes))) {
+    safeSend(LOG_CHANNEL, `Downloading modpack ${packFile.filename}...`);
+    await downloadWithProgress(packFile.url, packPath, PROGRESS_CHANNEL);
+    if (!(await verifyFileHashes(packPath, packFile.hashes))) {
+      await fsp.rm(packPath, { force: true });
+      throw new Error(`Hash mismatch for ${packFile.filename}`);
+    }
+  }
+
+  return {
+    packPath,
+    projectId: version.project_id,
+    versionId: version.id,
+    versionNumber: version.version_number
+  };
+}
+
+/**
+ * Read a modpack and describe what importing it would install
+ * @param {{filePath?: string, projectId?: string, versionId?: string}} source - A local
+ *   .mrpack, or a Modrinth project id/slug with an optional version id
+ * @returns {Promise<Object>} Pack summary including packPath, the local file to install from
+ */
+async function inspectModpack({ filePath, projectId, versionId } = {}) {
+  let origin = { source: 'file', projectId: null, versionId: null, versionNumber: null };
+  let packPath = filePath;
+
+  if (!packPath) {
+    if (!projectId) {
+      throw new Error('A .mrpack file or a Modrinth project id is required');
+    }
+    const downloaded = await downloadModrinthPack(projectId.trim(), versionId || null);
+    packPath = downloaded.packPath;
+    origin = { source: 'modrinth', ...downloaded };
+  } else if (!fs.existsSync(packPath)) {
+    throw new Error('Modpack file not found');
+  }
+
+  const { index } = readPackIndex(packPath);
+  const runtime = resolvePackRuntime(index);
+  const counts = { server: 0, client: 0, both: 0 };
+  index.files.forEach((file) => {
+    counts[classifyPackFile(file)]++;
+  });
+
+  return {
+    packPath,
+    name: index.name || path.basename(packPath, '.mrpack'),
+    versionId: index.versionId || origin.versionNumber || null,
+    summary: index.summary || '',
+    ...runtime,
+    loaderSupported: SUPPORTED_LOADERS.includes(runtime.loader),
+    fileCount: index.files.length,
+    serverFileCount: counts.server + counts.both,
+    clientOnlyCount: counts.client,
+    origin: {
+      source: origin.source,
+      projectId: origin.projectId,
+      versionId: origin.versionId
+    }
+  };
+}
+
+async function downloadPackFile(file, destinations) {
+  const [primary, ...copies] = destinations;
+  const alreadyPresent = fs.existsSync(primary) && await verifyFileHashes(primary, file.hashes);
+
+  if (!alreadyPresent) {
+    const urls = (file.downloads || []).filter(isAllowedDownloadUrl);
+    if (urls.length === 0) {
+      throw new Error(`${file.path} has no download from an allowed host`);
+    }
+
+    const partPath = `${primary}.part`;
+    let lastError = null;
+    for (const url of urls) {
+      try {
+        await downloadWithProgress(url, partPath, 'modpack-file-progress');
+        if (!(await verifyFileHashes(partPath, file.hashes))) {
+          throw new Error(`Hash mismatch for ${file.path}`);
+        }
+        await fsp.rename(partPath, primary);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        await fsp.rm(partPath, { force: true });
+      }
+    }
+    if (lastError) {
+      throw lastError;
+    }
+  }
+
+  for (const copy of copies) {
+    await fsp.mkdir(path.dirname(copy), { recursive: true });
+    await fsp.copyFile(primary, copy);
+  }
+}
+
+async function writeModManifests(serverPath, file, side, packName) {
+  const fileName = path.basename(file.path);
+  const ids = (file.downloads || []).map(parseModrinthCdnUrl).find(Boolean);
+  if (!file.path.replace(/\\/g, '/').startsWith('mods/') || !ids) {
+    return;
+  }
+
+  const manifest = {
+    projectId: ids.projectId,
+    name: fileName.replace(/\.jar$/i, ''),
+    fileName,
+    versionId: ids.versionId,
+    versionNumber: 'unknown',
+    source: 'modrinth',
+    installedAt: new Date().toISOString(),
+    modpack: packName
+  };
+  const manifestDirs = [];
+  if (side !== 'client') manifestDirs.push(path.join(serverPath, 'minecraft-core-manifests'));
+  if (side !== 'server') manifestDirs.push(path.join(serverPath, 'client', 'minecraft-core-manifests'));
+  for (const dir of manifestDirs) {
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(path.join(dir, `${fileName}.json`), JSON.stringify(manifest, null, 2));
+  }
+}
+
+/**
+ * Extract one overrides folder of the pack into the server
+ * @param {any} zip
+ * @param {string} prefix - "overrides/" or "server-overrides/"
+ * @param {string} serverPath
+ * @returns {number} Files written
+ */
+function applyOverrides(zip, prefix, serverPath) {
+  const root = path.resolve(serverPath);
+  let written = 0;
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !entry.entryName.startsWith(prefix)) continue;
+    const relative = entry.entryName.slice(prefix.length);
+    if (!isSafePackPath(relative)) continue;
+    const destination = path.resolve(root, relative);
+    if (!destination.startsWith(root + path.sep)) continue;
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.writeFileSync(destination, entry.getData());
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Install the files of a modpack into a server whose loader is already installed
+ * @param {{serverPath: string, packPath: string, origin?: {source?: string, projectId?: string|null, versionId?: string|null}}} options
+ * @returns {Promise<{success: boolean, installed: number, clientOnly: number, overrides: number, skipped: Array<string>}>}
+ */
+async function installModpackFiles({ serverPath, packPath, origin = {} }) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    throw new Error('Invalid server path');
+  }
+  const { zip, index } = readPackIndex(packPath);
+  const packName = index.name || path.basename(packPath, '.mrpack');
+  const files = index.files;
+  const skipped = [];
+  let installed = 0;
+  let clientOnly = 0;
+
+  logger.info('Installing modpack files', {
+    category: 'mods',
+    data: {
+      service: 'ModpackImportService',
+      operation: 'installModpackFiles',
+      serverPath,
+      packName,
+      packVersion: index.versionId || null,
+      fileCount: files.length
+    }
+  });
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    emitProgress({
+      percent: Math.round((i / Math.max(1, files.length)) * 100),
+      speed: `${i}/${files.length} files`,
+      current: i,
+      total: files.length,
+      fileName: file.path
+    });
+
+    if (!isSafePackPath(file.path)) {
+      skipped.push(file.path);
+      safeSend(LOG_CHANNEL, `Skipping ${file.path}: unsafe path`);
+      continue;
+    }
+
+    const side = classifyPackFile(file);
+    const destinations = getFileDestinations(serverPath, file, side);
+    await fsp.mkdir(path.dirname(destinations[0]), { recursive: true });
+    safeSend(LOG_CHANNEL, `Downloading ${file.path}${side === 'client' ? ' (client only)' : ''}`);
+    await downloadPackFile(file, destinations);
+    await writeModManifests(serverPath, file, side, packName);
+    installed++;
+    if (side === 'client') clientOnly++;
+  }
+
+  const overrides = applyOverrides(zip, 'overrides/', serverPath)
+    + applyOverrides(zip, 'server-overrides/', serverPath);
+  if (overrides > 0) {
+    safeSend(LOG_CHANNEL, `Applied ${overrides} override file${overrides === 1 ? '' : 's'}`);
+  }
+
+  updateServerConfig(serverPath, {
+    modpack: {
+      source: origin.source || 'file',
+      name: packName,
+      version: index.versionId || null,
+      projectId: origin.projectId || null,
+      versionId: origin.versionId || null,
+      importedAt: new Date().toISOString()
+    }
+  });
+
+  emitProgress({ percent: 100, speed: 'Completed', current: files.length, total: files.length, fileName: null });
+  logger.info('Modpack files installed', {
+    category: 'mods',
+    data: {
+      service: 'ModpackImportService',
+      operation: 'installModpackFiles',
+      serverPath,
+      packName,
+      installed,
+      clientOnly,
+      overrides,
+      skipped: skipped.length
+    }
+  });
+
+  return { success: true, installed, clientOnly, overrides, skipped };
+}
+
+module.exports = {
+  SUPPORTED_LOADERS,
+  isSafePackPath,
+  readPackIndex,
+  resolvePackRuntime,
+  classifyPackFile,
+  parseModrinthCdnUrl,
+  verifyFileHashes,
+  getFileDestinations,
+  applyOverrides,
+  inspectModpack,
+  installModpackFiles
+};
@@ -0,0 +1,419 @@
+// Browser panel accounts, sessions and audit log
+// The username/password from App Settings stays the owner account (always admin,
+// all instances). Further panel users are kept in the app store with scrypt
+// password hashes, a role and the instances they may see. Signed-in browsers hold
+// a random session id in an HttpOnly cookie plus a CSRF token the panel echoes
+// back on every change. Changes made through the panel are appended to an audit
+// log under <userData>/logs.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const appStore = require('../utils/app-store.cjs');
+const { ROLES, ALL_INSTANCES, isValidRole } = require('../utils/panel-permissions.cjs');
+const { getUserDataDir } = require('../utils/user-data-dir.cjs');
+
+const USERS_KEY = 'browserPanelUsers';
+const SESSION_COOKIE = 'mc_panel_session';
+const CSRF_COOKIE = 'mc_panel_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const SESSION_IDLE_MS = 12 * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const HASH_LENGTH = 32;
+
+const AUDIT_FILE = 'panel-audit.log';
+// The log is cut back to its newer half once it grows past this
+const MAX_AUDIT_BYTES = 2 * 1024 * 1024;
+const DEFAULT_AUDIT_LIMIT = 200;
+
+let auditDir = null;
+let auditChain = Promise.resolve();
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, HASH_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (error, key) => {
+      if (error) reject(error); else resolve(key);
+    });
+  });
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash", salt and hash in base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored value from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const key = await scrypt(String(password), Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  } catch {
+    return false;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+function normalizeInstances(instances) {
+  if (instances === ALL_INSTANCES) return ALL_INSTANCES;
+  if (!Array.isArray(instances)) return [];
+  if (instances.includes(ALL_INSTANCES)) return ALL_INSTANCES;
+  return Array.from(new Set(instances.filter((id) => typeof id === 'string' && id.trim()).map((id) => id.trim())));
+}
+
+function readUsers() {
+  const stored = appStore.get(USERS_KEY);
+  return Array.isArray(stored) ? stored.filter((user) => user && typeof user.username === 'string') : [];
+}
+
+function toPublicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    instances: user.instances,
+    disabled: !!user.disabled,
+    createdAt: user.createdAt || null,
+    updatedAt: user.updatedAt || null
+  };
+}
+
+/**
+ * Panel users without their password hashes
+ * @returns {Array<{username: string, role: string, instances: Array<string>|string, disabled: boolean}>}
+ */
+function listPanelUsers() {
+  return readUsers().map(toPublicUser);
+}
+
+/**
+ * @param {string} username
+ * @returns {Object|null} stored user record, including the hash
+ */
+function findPanelUser(username) {
+  const wanted = String(username || '').toLowerCase();
+  return readUsers().find((user) => user.username.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create or update a panel user. The password may be left out when updating.
+ * @param {{username: string, password?: string, role: string, instances?: Array<string>|string, disabled?: boolean}} input
+ * @param {{reservedUsernames?: Array<string>}} [options] names that cannot be used (the owner account)
+ * @returns {Promise<{success: boolean, user?: Object, passwordChanged?: boolean, error?: string}>}
+ */
+async function savePanelUser(input = {}, { reservedUsernames = [] } = {}) {
+  const username = typeof input.username === 'string' ? input.username.trim() : '';
+  if (!USERNAME_PATTERN.test(username)) {
+    return { success: false, error: 'Usernames are 3-32 letters, digits, dots, dashes or underscores' };
+  }
+  if (reservedUsernames.some((name) => name && name.toLowerCase() === username.toLowerCase())) {
+    return { success: false, error: 'That username belongs to the owner account from App Settings' };
+  }
+  if (!isValidRole(input.role)) {
+    return { success: false, error: `Role must be one of ${Object.keys(ROLES).join(', ')}` };
+  }
+
+  const users = readUsers();
+  const index = users.findIndex((user) => user.username.toLowerCase() === username.toLowerCase());
+  const existing = index >= 0 ? users[index] : null;
+  const password = typeof input.password === 'string' ? input.password : '';
+  if (!existing && !password) {
+    return { success: false, error: 'A password is required for new users' };
+  }
+  if (password && password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    username: existing ? existing.username : username,
+    passwordHash: password ? await hashPassword(password) : existing.passwordHash,
+    role: input.role,
+    instances: normalizeInstances(input.instances !== undefined ? input.instances : existing?.instances),
+    disabled: input.disabled !== undefined ? !!input.disabled : !!existing?.disabled,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  if (existing) users[index] = record; else users.push(record);
+  appStore.set(USERS_KEY, users);
+  return { success: true, user: toPublicUser(record), passwordChanged: !!password };
+}
+
+/**
+ * @param {string} username
+ * @returns {{success: boolean, error?: string}}
+ */
+function deletePanelUser(username) {
+  const users = readUsers();
+  const wanted = String(username || '').toLowerCase();
+  const remaining = users.filter((user) => user.username.toLowerCase() !== wanted);
+  if (remaining.length === users.length) {
+    return { success: false, error: 'User not found' };
+  }
+  appStore.set(USERS_KEY, remaining);
+  return { success: true };
+}
+
+/**
+ * Check a login against the owner account and the panel users
+ * @param {string} username
+ * @param {string} password
+ * @param {{username: string, password: string, isConfigured: boolean}} owner credentials from App Settings
+ * @returns {Promise<{username: string, role: string, instances: Array<string>|string, owner: boolean}|null>}
+ */
+async function authenticatePanelUser(username, password, owner) {
+  const name = typeof username === 'string' ? username.trim() : '';
+  if (!name || typeof password !== 'string' || !password) return null;
+  if (owner && owner.isConfigured && name === owner.username) {
+    return safeEqual(password, owner.password)
+      ? { username: owner.username, role: 'admin', instances: ALL_INSTANCES, owner: true }
+      : null;
+  }
+  const user = findPanelUser(name);
+  if (!user) {
+    // Spend the same time as a real check so usernames cannot be probed
+    await hashPassword(password);
+    return null;
+  }
+  if (user.disabled || !(await verifyPassword(password, user.passwordHash))) return null;
+  return { username: user.username, role: user.role, instances: user.instances, owner: false };
+}
+
+/**
+ * Current account for a signed-in username, so role and scope changes apply at once
+ * @param {string} username
+ * @param {{username: string, isConfigured: boolean}} owner
+ * @returns {{username: string, role: string, instances: Array<string>|string, owner: boolean}|null}
+ */
+function resolvePanelUser(username, owner) {
+  if (owner && owner.isConfigured && username === owner.username) {
+    return { username: owner.username, role: 'admin', instances: ALL_INSTANCES, owner: true };
+  }
+  const user = findPanelUser(username);
+  if (!user || user.disabled || !isValidRole(user.role)) return null;
+  return { username: user.username, role: user.role, instances: user.instances, owner: false };
+}
+
+class PanelSessionStore {
+  /**
+   * @param {{idleMs?: number, maxAgeMs?: number}} [options]
+   */
+  constructor({ idleMs = SESSION_IDLE_MS, maxAgeMs = SESSION_MAX_AGE_MS } = {}) {
+    this.idleMs = idleMs;
+    this.maxAgeMs = maxAgeMs;
+    this.sessions = new Map();
+  }
+
+  /**
+   * @param {string} username
+   * @returns {{id: string, csrfToken: string, username: string, createdAt: number, lastSeen: number}}
+   */
+  create(username) {
+    this.prune();
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(32).toString('base64url'),
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      username,
+      createdAt: now,
+      lastSeen: now
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Live session for an id; touching it extends the idle timeout
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    if (!id) return null;
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    const now = Date.now();
+    if (now - session.lastSeen > this.idleMs || now - session.createdAt > this.maxAgeMs) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.lastSeen = now;
+    return session;
+  }
+
+  destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Sign a user out everywhere, e.g. after a password change or deletion
+   * @param {string} username
+   */
+  destroyUser(username) {
+    const wanted = String(username || '').toLowerCase();
+    for (const [id, session] of this.sessions) {
+      if (session.username.toLowerCase() === wanted) this.sessions.delete(id);
+    }
+  }
+
+  clear() {
+    this.sessions.clear();
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > this.idleMs || now - session.createdAt > this.maxAgeMs) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} header Cookie request header
+ * @returns {Record<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (typeof header !== 'string') return cookies;
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    const name = part.slice(0, separator).trim();
+    if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch {
+      cookies[name] = part.slice(separator + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {{httpOnly?: boolean, secure?: boolean, maxAgeMs?: number}} [options]
+ * @returns {string} Set-Cookie header value
+ */
+function serializeCookie(name, value, { httpOnly = false, secure = false, maxAgeMs = null } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'SameSite=Strict'];
+  if (maxAgeMs !== null) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Directory holding the audit log; defaults to <userData>/logs
+ * @returns {string}
+ */
+function getPanelAuditDir() {
+  if (!auditDir) {
+    auditDir = path.join(getUserDataDir(), 'logs');
+  }
+  return auditDir;
+}
+
+/**
+ * @param {string} dir
+ */
+function setPanelAuditDir(dir) {
+  auditDir = dir;
+}
+
+async function trimAuditLog(filePath) {
+  const stat = await fs.promises.stat(filePath).catch(() => null);
+  if (!stat || stat.size <= MAX_AUDIT_BYTES) return;
+  const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+  const kept = lines.slice(Math.floor(lines.length / 2));
+  await fs.promises.writeFile(filePath, kept.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Append an entry to the audit log; writes are queued so lines never interleave
+ * @param {{username?: string|null, role?: string|null, action: string, method?: string, path?: string, instanceId?: string|null, status?: number, ip?: string, detail?: any}} entry
+ * @returns {Promise<void>}
+ */
+function recordPanelAudit(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+  auditChain = auditChain.then(async () => {
+    const dir = getPanelAuditDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = path.join(dir, AUDIT_FILE);
+    await fs.promises.appendFile(filePath, line, 'utf8');
+    await trimAuditLog(filePath);
+  }).catch(() => {
+    // The audit log must never break a request
+  });
+  return auditChain;
+}
+
+/**
+ * Newest audit entries first
+ * @param {{limit?: number, username?: string|null}} [options]
+ * @returns {Promise<Array<Object>>}
+ */
+async function readPanelAudit({ limit = DEFAULT_AUDIT_LIMIT, username = null } = {}) {
+  await auditChain;
+  let content = '';
+  try {
+    content = await fs.promises.readFile(path.join(getPanelAuditDir(), AUDIT_FILE), 'utf8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  const lines = content.split('\n');
+  const max = Math.max(1, Math.min(5000, Number(limit) || DEFAULT_AUDIT_LIMIT));
+  for (let i = lines.length - 1; i >= 0 && entries.length < max; i--) {
+    if (!lines[i]) continue;
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (!username || entry.username === username) entries.push(entry);
+    } catch {
+      // Skip a torn line
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  listPanelUsers,
+  savePanelUser,
+  deletePanelUser,
+  authenticatePanelUser,
+  resolvePanelUser,
+  PanelSessionStore,
+  parseCookies,
+  serializeCookie,
+  getPanelAuditDir,
+  setPanelAuditDir,
+  recordPanelAudit,
+  readPanelAudit
+};
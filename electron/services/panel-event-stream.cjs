@@ -0,0 +1,166 @@
+// Browser panel live event stream
+// Mirrors the console, status and metrics messages server-manager sends to the
+// renderer so panel clients get them pushed instead of polling. Log lines carry a
+// running offset and the most recent ones are buffered, so a client that drops
+// its connection resumes from the last offset it saw without missing output.
+
+const DEFAULT_LOG_BUFFER = 2000;
+// Lines sent to a fresh client that has no offset yet
+const DEFAULT_SEED_LINES = 200;
+
+function samePlayers(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((name, index) => name === b[index]);
+}
+
+class PanelEventStream {
+  /**
+   * @param {{logBufferSize?: number}} [options]
+   */
+  constructor({ logBufferSize = DEFAULT_LOG_BUFFER } = {}) {
+    this.logBufferSize = Math.max(1, logBufferSize);
+    this.logs = [];
+    this.offset = 0;
+    // instanceId -> latest payload, replayed to clients when they connect
+    this.statuses = new Map();
+    this.metrics = new Map();
+    // instanceId -> online player names last streamed
+    this.players = new Map();
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Listen for stream events
+   * @param {(event: {type: string, id?: number, data: any}) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  publish(event) {
+    for (const listener of this.subscribers) {
+      try { listener(event); } catch { /* ignore subscriber error */ }
+    }
+  }
+
+  /**
+   * Feed a renderer message in; channels the panel does not stream are ignored
+   * @param {string} channel
+   * @param {any} data
+   * @returns {boolean} whether the message was streamed
+   */
+  handleMessage(channel, data) {
+    switch (channel) {
+      case 'server-log':
+        this.pushLog(data);
+        return true;
+      case 'server-status':
+        this.pushStatus(data);
+        return true;
+      case 'metrics-update':
+        this.pushMetrics(data);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @param {string|{instanceId?: string, line: string, targetPath?: string}} payload
+   * @returns {{id: number, instanceId: string|null, line: string, targetPath: string|null}|null}
+   */
+  pushLog(payload) {
+    const line = payload && typeof payload === 'object' ? payload.line : payload;
+    if (line === null || line === undefined) return null;
+    this.offset += 1;
+    const entry = {
+      id: this.offset,
+      instanceId: (payload && payload.instanceId) || null,
+      line: String(line),
+      targetPath: (payload && payload.targetPath) || null
+    };
+    this.logs.push(entry);
+    if (this.logs.length > this.logBufferSize) {
+      this.logs.splice(0, this.logs.length - this.logBufferSize);
+    }
+    this.publish({ type: 'server-log', id: entry.id, data: entry });
+    return entry;
+  }
+
+  pushStatus(payload) {
+    if (payload && typeof payload === 'object' && payload.instanceId) {
+      this.statuses.set(payload.instanceId, payload);
+      if (payload.playersInfo) {
+        this.trackPlayers(payload.instanceId, payload.playersInfo.names);
+      }
+    }
+    this.publish({ type: 'server-status', data: payload });
+  }
+
+  pushMetrics(payload) {
+    if (!payload || typeof payload !== 'object') return;
+    if (payload.instanceId) {
+      this.metrics.set(payload.instanceId, payload);
+      this.trackPlayers(payload.instanceId, payload.names);
+    }
+    this.publish({ type: 'metrics-update', data: payload });
+  }
+
+  trackPlayers(instanceId, names) {
+    if (!Array.isArray(names)) return;
+    const previous = this.players.get(instanceId) || [];
+    if (samePlayers(previous, names)) return;
+    this.players.set(instanceId, [...names]);
+    const joined = names.filter((name) => !previous.includes(name));
+    const left = previous.filter((name) => !names.includes(name));
+    this.publish({
+      type: 'players-changed',
+      data: { instanceId, count: names.length, names: [...names], joined, left }
+    });
+  }
+
+  /**
+   * Buffered log lines after an offset
+   * @param {number|null} [since] last offset the client saw; null for a fresh client
+   * @param {{instanceId?: string, limit?: number}} [options]
+   * @returns {{lines: Array<{id: number, instanceId: string|null, line: string, targetPath: string|null}>, offset: number, truncated: boolean}}
+   */
+  getLogsSince(since = null, { instanceId = null, limit = DEFAULT_SEED_LINES } = {}) {
+    const matching = instanceId
+      ? this.logs.filter((entry) => !entry.instanceId || entry.instanceId === instanceId)
+      : this.logs;
+    let lines;
+    let truncated = false;
+    const after = Number(since);
+    if (since === null || since === undefined || since === '' || !Number.isFinite(after)) {
+      lines = matching.slice(-limit);
+    } else if (after > this.offset) {
+      // Offsets restart with the app; anything newer than ours is from a previous run
+      lines = matching.slice(-limit);
+      truncated = true;
+    } else {
+      const oldest = this.logs.length > 0 ? this.logs[0].id : this.offset + 1;
+      truncated = after < oldest - 1;
+      lines = matching.filter((entry) => entry.id > after);
+    }
+    return { lines, offset: this.offset, truncated };
+  }
+
+  /**
+   * Latest status and metrics per instance, for a client that just connected
+   * @returns {{statuses: Array<Object>, metrics: Array<Object>}}
+   */
+  getSnapshot() {
+    return {
+      statuses: Array.from(this.statuses.values()),
+      metrics: Array.from(this.metrics.values())
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_SEED_LINES,
+  PanelEventStream
+};
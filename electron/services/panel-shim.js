@@ -6,111 +6,137 @@
     });
   }
 
+  // Panel requests ride on the session cookie; changes echo the CSRF token and a
+  // lapsed session sends the browser back to the sign-in page
+  const nativeFetch = window.fetch.bind(window);
+  function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)mc_panel_csrf=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+  async function fetch(input, init = {}) {
+    const method = String(init.method || 'GET').toUpperCase();
+    const options = { credentials: 'same-origin', ...init };
+    if (method !== 'GET' && method !== 'HEAD') {
+      options.headers = { ...(init.headers || {}), 'X-CSRF-Token': getCsrfToken() };
+    }
+    const response = await nativeFetch(input, options);
+    if (response.status === 401) {
+      window.location.replace('/login');
+    }
+    return response;
+  }
+
   // Mark this environment as the Browser Panel (non-Electron)
   try {
     Object.defineProperty(window, 'IS_BROWSER_PANEL', { value: true, configurable: false, enumerable: false, writable: false });
   } catch { /* ignore */ }
 
-  // Polling for status/metrics (2s) and logs (1s)
-  let statusPoller = null;
-  let logPoller = null;
-  let prevLogLines = [];
+  // Console, status and metrics are pushed over /api/events; management and
+  // auto-restart state are still polled
   let sse = null;
+  let sseRetryTimer = null;
+  // Offset of the last console line received, used to resume after a reconnect
+  let lastLogOffset = null;
   let mgmtPoller = null;
   let autoRestartPoller = null;
 
-  function startPolling() {
-  if (!sse) {
+  function formatUptime(uptimeMs) {
+    if (typeof uptimeMs !== 'number' || uptimeMs <= 0) return '0h 0m 0s';
+    const total = Math.floor(uptimeMs / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}h ${m}m ${sec}s`;
+  }
+
+  function openEventStream() {
+    const url = lastLogOffset === null ? '/api/events' : '/api/events?offset=' + encodeURIComponent(lastLogOffset);
+    sse = new EventSource(url);
+    // The browser reconnects on its own (sending Last-Event-ID); only a closed
+    // stream, e.g. after the panel restarted, needs to be reopened by hand
+    sse.onerror = () => {
+      if (!sse || sse.readyState !== EventSource.CLOSED || sseRetryTimer) return;
+      sse = null;
+      sseRetryTimer = setTimeout(() => {
+        sseRetryTimer = null;
+        try { openEventStream(); } catch { /* ignore SSE init */ }
+      }, 3000);
+    };
+    sse.addEventListener('stream-resume', (e) => {
       try {
-        sse = new EventSource('/api/events');
-        sse.addEventListener('backup-size-changed', (e) => {
-          try { emit('backup-size-changed', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-        sse.addEventListener('backup-notification', (e) => {
-          try { emit('backup-notification', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-        sse.addEventListener('server-java-download-progress', (e) => {
-          try { emit('server-java-download-progress', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-        sse.addEventListener('players-list-changed', (e) => {
-          try {
-            const payload = JSON.parse(e.data);
-            emit('players-list-changed', payload);
-          } catch { /* ignore */ }
-        });
-          sse.addEventListener('mods-changed', (e) => {
-            try { emit('mods-changed', JSON.parse(e.data)); } catch { /* ignore */ }
-          });
-        // Management server bridge
-        sse.addEventListener('management-server-status', (e) => {
-          try { emit('management-server-status', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-        sse.addEventListener('server-status', (e) => {
-          try {
-            const payload = JSON.parse(e.data);
-            if (payload && typeof payload.isRunning === 'boolean') {
-              emit('server-status', payload.isRunning ? 'running' : 'stopped');
-            }
-          } catch { /* ignore */ }
-        });
-        sse.addEventListener('management-server-path-updated', (e) => {
-          try { emit('management-server-path-updated', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-        // Auto-restart status bridge
-        sse.addEventListener('auto-restart-status', (e) => {
-          try { emit('auto-restart-status', JSON.parse(e.data)); } catch { /* ignore */ }
-        });
-      } catch { /* ignore SSE init */ }
-    }
-    if (!statusPoller) {
-      let lastStatusVersion = null;
-      statusPoller = setInterval(async () => {
-        try {
-          const r = await fetch('/api/server/status');
-          const s = await r.json();
-          if (s && s.success) {
-            if (lastStatusVersion === null || s.statusVersion !== lastStatusVersion) {
-              lastStatusVersion = s.statusVersion;
-              emit('server-status', s.isRunning ? 'running' : 'stopped');
-            }
-            // Build uptime string for UI
-            let uptimeStr = '0h 0m 0s';
-            if (s && typeof s.uptimeMs === 'number' && s.uptimeMs > 0) {
-              const total = Math.floor(s.uptimeMs / 1000);
-              const h = Math.floor(total / 3600);
-              const m = Math.floor((total % 3600) / 60);
-              const sec = total % 60;
-              uptimeStr = `${h}h ${m}m ${sec}s`;
-            }
-            const cpuPct = typeof s.cpuPct === 'number' && isFinite(s.cpuPct) ? s.cpuPct : 0;
-            let memUsedMB = typeof s.memUsedMB === 'number' && isFinite(s.memUsedMB) ? s.memUsedMB : 0;
-            let maxRamMB = typeof s.maxRamMB === 'number' && isFinite(s.maxRamMB) ? s.maxRamMB : 0;
-            if (!maxRamMB || maxRamMB <= 0) maxRamMB = 4096;
-            if (memUsedMB < 0) memUsedMB = 0;
-            emit('metrics-update', { cpuPct, memUsedMB, maxRamMB, uptime: uptimeStr, names: (s.players && s.players.names) || [] });
-          }
-        } catch { /* ignore status poll error */ }
-      }, 1500); // slightly faster to surface transitions promptly
-    }
-    if (!logPoller) {
-      logPoller = setInterval(async () => {
-        try {
-          const r = await fetch('/api/server/logs?tail=500', { headers: { 'Accept': 'text/plain' } });
-          const text = await r.text();
-          const lines = text.split('\n').filter(Boolean);
-          if (prevLogLines.length === 0) {
-            const seed = lines.slice(-50);
-            seed.forEach((line) => emit('server-log', line));
-          } else if (lines.length >= prevLogLines.length) {
-            const newLines = lines.slice(prevLogLines.length);
-            newLines.forEach((line) => emit('server-log', line));
-          } else {
-            const seed = lines.slice(-50);
-            seed.forEach((line) => emit('server-log', line));
-          }
-          prevLogLines = lines;
-  } catch { /* ignore log poll error */ }
-      }, 1000);
+        const payload = JSON.parse(e.data);
+        // The server restarted and lost our offset; start over from its seed lines
+        if (payload && payload.truncated) lastLogOffset = null;
+      } catch { /* ignore */ }
+    });
+    sse.addEventListener('server-log', (e) => {
+      try {
+        const payload = JSON.parse(e.data);
+        if (payload && typeof payload.id === 'number') lastLogOffset = payload.id;
+        emit('server-log', payload);
+      } catch { /* ignore */ }
+    });
+    sse.addEventListener('metrics-update', (e) => {
+      try { emit('metrics-update', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('players-changed', (e) => {
+      try { emit('players-changed', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('backup-size-changed', (e) => {
+      try { emit('backup-size-changed', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('backup-notification', (e) => {
+      try { emit('backup-notification', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('server-java-download-progress', (e) => {
+      try { emit('server-java-download-progress', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('players-list-changed', (e) => {
+      try {
+        const payload = JSON.parse(e.data);
+        emit('players-list-changed', payload);
+      } catch { /* ignore */ }
+    });
+    sse.addEventListener('mods-changed', (e) => {
+      try { emit('mods-changed', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    // Management server bridge
+    sse.addEventListener('management-server-status', (e) => {
+      try { emit('management-server-status', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('server-status', (e) => {
+      try {
+        const payload = JSON.parse(e.data);
+        // Desktop status payloads and plain strings pass through as the renderer sends them
+        if (typeof payload === 'string' || (payload && typeof payload.status === 'string')) {
+          emit('server-status', payload);
+        } else if (payload && typeof payload.isRunning === 'boolean') {
+          emit('server-status', payload.isRunning ? 'running' : 'stopped');
+        }
+      } catch { /* ignore */ }
+    });
+    sse.addEventListener('management-server-path-updated', (e) => {
+      try { emit('management-server-path-updated', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    // Auto-restart status bridge
+    sse.addEventListener('auto-restart-status', (e) => {
+      try { emit('auto-restart-status', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    // Scheduled task runs
+    sse.addEventListener('scheduled-task-event', (e) => {
+      try { emit('scheduled-task-event', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('backup-upload-progress', (e) => {
+      try { emit('backup-upload-progress', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+    sse.addEventListener('server-crash-report', (e) => {
+      try { emit('server-crash-report', JSON.parse(e.data)); } catch { /* ignore */ }
+    });
+  }
+
+  function startPolling() {
+    if (!sse && !sseRetryTimer) {
+      try { openEventStream(); } catch { /* ignore SSE init */ }
     }
     if (!mgmtPoller) {
       mgmtPoller = setInterval(async () => {
@@ -172,8 +198,8 @@
           return await r.json();
         }
         case 'start-server': {
-          const { targetPath, port, maxRam } = args[0] || {};
-          const r = await fetch('/api/server/start', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ targetPath, port, maxRam }) });
+          const { targetPath, port, maxRam, ignoreModIssues } = args[0] || {};
+          const r = await fetch('/api/server/start', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ targetPath, port, maxRam, ignoreModIssues }) });
           return await r.json();
         }
         case 'stop-server': {
@@ -193,15 +219,7 @@
           const r = await fetch('/api/server/status');
           const s = await r.json();
           // Convert uptimeMs → "Xh Ym Zs" string for UI compatibility
-          let uptimeStr = '0h 0m 0s';
-          if (s && typeof s.uptimeMs === 'number' && s.uptimeMs > 0) {
-            const total = Math.floor(s.uptimeMs / 1000);
-            const h = Math.floor(total / 3600);
-            const m = Math.floor((total % 3600) / 60);
-            const sec = total % 60;
-            uptimeStr = `${h}h ${m}m ${sec}s`;
-          }
-          return { status: s.isRunning ? 'running' : 'stopped', playersInfo: s.players || { count: 0, names: [] }, uptime: uptimeStr };
+          return { status: s.isRunning ? 'running' : 'stopped', playersInfo: s.players || { count: 0, names: [] }, uptime: formatUptime(s && s.uptimeMs) };
         }
         case 'get-management-server-status': {
           const r = await fetch('/api/management/status');
@@ -277,13 +295,43 @@
           return { success: true };
         }
         case 'stop-periodic-checks': {
-          if (statusPoller) { try { clearInterval(statusPoller); } catch { /* ignore */ } statusPoller = null; }
-          if (logPoller) { try { clearInterval(logPoller); } catch { /* ignore */ } logPoller = null; }
           if (mgmtPoller) { try { clearInterval(mgmtPoller); } catch { /* ignore */ } mgmtPoller = null; }
           if (autoRestartPoller) { try { clearInterval(autoRestartPoller); } catch { /* ignore */ } autoRestartPoller = null; }
+          if (sseRetryTimer) { clearTimeout(sseRetryTimer); sseRetryTimer = null; }
           if (sse) { try { sse.close(); } catch { /* ignore */ } sse = null; }
           return { success: true };
         }
+        case 'browser-panel:session': {
+          const r = await fetch('/api/auth/session');
+          return await r.json();
+        }
+        case 'browser-panel:logout': {
+          await fetch('/api/auth/logout', { method: 'POST' });
+          window.location.replace('/login');
+          return { success: true };
+        }
+        case 'browser-panel:users:list': {
+          const r = await fetch('/api/panel-users/list');
+          return await r.json();
+        }
+        case 'browser-panel:users:save': {
+          const body = args[0] || {};
+          const r = await fetch('/api/panel-users/save', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'browser-panel:users:delete': {
+          const { username } = args[0] || {};
+          const r = await fetch('/api/panel-users/delete', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username }) });
+          return await r.json();
+        }
+        case 'browser-panel:audit:list': {
+          const { limit, username } = args[0] || {};
+          const url = new URL(window.location.origin + '/api/panel-audit/list');
+          if (limit) url.searchParams.set('limit', String(limit));
+          if (username) url.searchParams.set('username', username);
+          const r = await fetch(url.toString());
+          return await r.json();
+        }
         case 'logger-add-log': {
           return { success: true };
         }
@@ -325,6 +373,127 @@
           const r = await fetch('/api/backups/restore', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
           return await r.json();
         }
+        // Backups: browse contents / restore selected parts
+        case 'backups:contents': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/contents', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:restore-selection': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/restore-selection', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Backups: verify integrity
+        case 'backups:verify': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/verify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Off-site backup targets
+        case 'backup-targets:list': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/list', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:save': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/save', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:delete': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/delete', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:test': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/test', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:upload': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/upload', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:list-remote': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/list-remote', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backup-targets:download': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backup-targets/download', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:status': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/status', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:enable': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/enable', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:disable': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/disable', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:export-keys': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/export-keys', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:import-keys': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/import-keys', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'backups:encryption:unlock': {
+          const body = args[0] || {};
+          const r = await fetch('/api/backups/encryption/unlock', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Crash analysis
+        case 'crash-analysis:latest': {
+          const body = args[0] || {};
+          const r = await fetch('/api/crash-analysis/latest', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'crash-analysis:analyze': {
+          const body = args[0] || {};
+          const r = await fetch('/api/crash-analysis/analyze', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        case 'crash-analysis:disable-mod-and-restart': {
+          const body = args[0] || {};
+          const r = await fetch('/api/crash-analysis/disable-mod-and-restart', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Mod conflict analysis
+        case 'mod-conflicts:analyze': {
+          const body = args[0] || {};
+          const r = await fetch('/api/mod-conflicts/analyze', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Config sync
+        case 'config-sync:get':
+        case 'config-sync:set': {
+          const body = args[0] || {};
+          const endpoint = channel.slice('config-sync:'.length);
+          const r = await fetch(`/api/config-sync/${endpoint}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Launch profile
+        case 'launch-profile:get':
+        case 'launch-profile:save': {
+          const body = args[0] || {};
+          const endpoint = channel.slice('launch-profile:'.length);
+          const r = await fetch(`/api/launch-profile/${endpoint}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
         // Backups: run immediate auto
         case 'backups:run-immediate-auto': {
           const body = args[0] || {};
@@ -365,6 +534,40 @@
           const r = await fetch('/api/backups/apply-retention-policy', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
           return await r.json();
         }
+        // Scheduled tasks
+        case 'scheduled-tasks:list': {
+          const serverPath = args[0];
+          const url = new URL(window.location.origin + '/api/scheduled-tasks/list');
+          if (serverPath) url.searchParams.set('serverPath', serverPath);
+          const r = await fetch(url.toString());
+          return await r.json();
+        }
+        case 'scheduled-tasks:history': {
+          const { serverPath, limit } = args[0] || {};
+          const url = new URL(window.location.origin + '/api/scheduled-tasks/history');
+          if (serverPath) url.searchParams.set('serverPath', serverPath);
+          if (limit) url.searchParams.set('limit', String(limit));
+          const r = await fetch(url.toString());
+          return await r.json();
+        }
+        case 'scheduled-tasks:history:clear': {
+          const serverPath = args[0];
+          const r = await fetch('/api/scheduled-tasks/history/clear', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ serverPath }) });
+          return await r.json();
+        }
+        case 'scheduled-tasks:validate-cron': {
+          const expression = args[0];
+          const r = await fetch('/api/scheduled-tasks/validate-cron', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ expression }) });
+          return await r.json();
+        }
+        case 'scheduled-tasks:save':
+        case 'scheduled-tasks:delete':
+        case 'scheduled-tasks:run-now': {
+          const body = args[0] || {};
+          const endpoint = channel.slice('scheduled-tasks:'.length);
+          const r = await fetch(`/api/scheduled-tasks/${endpoint}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
         // Players
         case 'read-players': {
           const [listName, serverPath] = args;
@@ -399,6 +602,16 @@
           const r = await fetch(url.toString());
           return await r.json();
         }
+        case 'get-player-sessions': {
+          const { serverPath, player, days, limit } = args[0] || {};
+          const url = new URL(window.location.origin + '/api/players/sessions');
+          if (serverPath) url.searchParams.set('serverPath', serverPath);
+          if (player) url.searchParams.set('player', player);
+          if (days !== undefined && days !== null) url.searchParams.set('days', String(days));
+          if (limit !== undefined && limit !== null) url.searchParams.set('limit', String(limit));
+          const r = await fetch(url.toString());
+          return await r.json();
+        }
         // Window ops not applicable in browser
         case 'set-window-size': {
           return { success: true };
@@ -467,12 +680,13 @@
           const r = await fetch(url.toString());
           return await r.json();
         }
-        // Mods/Shaders/Resourcepacks: list
+        // Mods/Shaders/Resourcepacks/Plugins: list
         case 'list-mods':
         case 'list-shaders':
-        case 'list-resourcepacks': {
+        case 'list-resourcepacks':
+        case 'list-plugins': {
           const serverPath = args[0];
-          const contentType = channel === 'list-shaders' ? 'shaders' : (channel === 'list-resourcepacks' ? 'resourcepacks' : 'mods');
+          const contentType = { 'list-shaders': 'shaders', 'list-resourcepacks': 'resourcepacks', 'list-plugins': 'plugins' }[channel] || 'mods';
           const url = new URL(window.location.origin + '/api/mods/list');
           if (serverPath) url.searchParams.set('serverPath', serverPath);
           url.searchParams.set('contentType', contentType);
@@ -493,13 +707,14 @@
           const r = await fetch('/api/mods/save-disabled', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ serverPath, disabledMods }) });
           return await r.json();
         }
-        // Mods/Shaders/Resourcepacks: delete
+        // Mods/Shaders/Resourcepacks/Plugins: delete
         case 'delete-mod':
         case 'delete-shader':
-        case 'delete-resourcepack': {
+        case 'delete-resourcepack':
+        case 'delete-plugin': {
           const serverPath = args[0];
           const itemName = args[1];
-          const contentType = channel === 'delete-shader' ? 'shaders' : (channel === 'delete-resourcepack' ? 'resourcepacks' : 'mods');
+          const contentType = { 'delete-shader': 'shaders', 'delete-resourcepack': 'resourcepacks', 'delete-plugin': 'plugins' }[channel] || 'mods';
           const r = await fetch('/api/mods/delete', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ serverPath, itemName, contentType }) });
           return await r.json();
         }
@@ -509,13 +724,14 @@
           const r = await fetch('/api/mods/move-file', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
           return await r.json();
         }
-        // Mods/Shaders/Resourcepacks: install
+        // Mods/Shaders/Resourcepacks/Plugins: install
         case 'install-mod':
         case 'install-shader-with-fallback':
-        case 'install-resourcepack-with-fallback': {
+        case 'install-resourcepack-with-fallback':
+        case 'install-plugin-with-fallback': {
           const serverPath = args[0];
           const contentData = args[1] || {};
-          const contentType = channel === 'install-shader-with-fallback' ? 'shaders' : (channel === 'install-resourcepack-with-fallback' ? 'resourcepacks' : 'mods');
+          const contentType = { 'install-shader-with-fallback': 'shaders', 'install-resourcepack-with-fallback': 'resourcepacks', 'install-plugin-with-fallback': 'plugins' }[channel] || 'mods';
           const r = await fetch('/api/mods/install', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ serverPath, contentData, contentType }) });
           return await r.json();
         }
@@ -531,11 +747,27 @@
           const r = await fetch('/api/mods/enable-and-update', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
           return await r.json();
         }
-        // Mods/Shaders/Resourcepacks: search
+        // Mods: version history, pins and rollbacks
+        case 'mod-history:list':
+        case 'mod-history:set-pin':
+        case 'mod-history:rollback':
+        case 'mod-history:rollback-batch': {
+          const routes = {
+            'mod-history:list': '/api/mods/history',
+            'mod-history:set-pin': '/api/mods/pin',
+            'mod-history:rollback': '/api/mods/rollback',
+            'mod-history:rollback-batch': '/api/mods/rollback-batch'
+          };
+          const body = args[0] || {};
+          const r = await fetch(routes[channel], { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return await r.json();
+        }
+        // Mods/Shaders/Resourcepacks/Plugins: search
         case 'search-mods':
         case 'search-shaders':
-        case 'search-resourcepacks': {
-          const contentType = channel === 'search-shaders' ? 'shaders' : (channel === 'search-resourcepacks' ? 'resourcepacks' : 'mods');
+        case 'search-resourcepacks':
+        case 'search-plugins': {
+          const contentType = { 'search-shaders': 'shaders', 'search-resourcepacks': 'resourcepacks', 'search-plugins': 'plugins' }[channel] || 'mods';
           const argsBody = args[0] || {};
           const r = await fetch('/api/mods/search', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ contentType, ...argsBody }) });
           return await r.json();
@@ -583,6 +815,16 @@
           const r = await fetch('/api/mods/mod-info', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(argsBody) });
           return await r.json();
         }
+        case 'identify-installed-mods': {
+          const argsBody = args[0] || {};
+          const r = await fetch('/api/mods/identify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(argsBody) });
+          return await r.json();
+        }
+        case 'mod-update-review': {
+          const argsBody = args[0] || {};
+          const r = await fetch('/api/mods/update-review', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(argsBody) });
+          return await r.json();
+        }
         default: {
           return { success: false, error: 'Unsupported in browser panel: ' + channel };
         }
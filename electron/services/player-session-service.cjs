@@ -0,0 +1,420 @@
+// Player session history
+// Joins and leaves are read from the server log as server-manager sees it and kept
+// per instance in <server>/player-sessions.json, so playtime survives app restarts
+// and travels with backups of the server folder.
+
+const fs = require('fs');
+const path = require('path');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const SESSIONS_FILE = 'player-sessions.json';
+const FILE_FORMAT = 'minecraft-core-player-sessions';
+const FILE_VERSION = 1;
+// Oldest closed sessions are dropped beyond this
+const MAX_SESSIONS = 20000;
+const SAVE_DELAY_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 14;
+const DEFAULT_SESSION_LIMIT = 200;
+
+const PLAYER_NAME = '([A-Za-z0-9_]{1,16})';
+const LOGIN_PATTERN = new RegExp(`^${PLAYER_NAME}\\[/?([^\\]]+)\\] logged in with entity id`);
+const JOIN_PATTERN = new RegExp(`^${PLAYER_NAME} joined the game`);
+const LOST_CONNECTION_PATTERN = new RegExp(`^${PLAYER_NAME} lost connection: (.+)$`);
+const LEAVE_PATTERN = new RegExp(`^${PLAYER_NAME} left the game`);
+
+// resolved serverPath -> { sessions, updatedAt, pendingIps, pendingReasons, saveTimer }
+const stores = new Map();
+
+/**
+ * Message part of a console/log line, without the "[time] [thread/LEVEL]: " prefix
+ * Chat lines keep their "<name>" prefix, so players cannot fake joins by chatting.
+ * @param {string} line
+ * @returns {string}
+ */
+function getLogMessage(line) {
+  const text = String(line || '').trim();
+  const separator = text.indexOf(']: ');
+  return separator === -1 ? text : text.slice(separator + 3).trim();
+}
+
+function stripPort(address) {
+  return address.replace(/:\d+$/, '');
+}
+
+/**
+ * Recognize the log lines that matter for sessions
+ * @param {string} line
+ * @returns {{type: 'login', name: string, ip: string}|{type: 'join'|'leave', name: string}|{type: 'disconnect', name: string, reason: string}|null}
+ */
+function parseSessionEvent(line) {
+  const message = getLogMessage(line);
+  let match = message.match(LOGIN_PATTERN);
+  if (match) return { type: 'login', name: match[1], ip: stripPort(match[2]) };
+  match = message.match(JOIN_PATTERN);
+  if (match) return { type: 'join', name: match[1] };
+  match = message.match(LOST_CONNECTION_PATTERN);
+  if (match) return { type: 'disconnect', name: match[1], reason: match[2].trim() };
+  match = message.match(LEAVE_PATTERN);
+  if (match) return { type: 'leave', name: match[1] };
+  return null;
+}
+
+function getSessionsPath(serverPath) {
+  return path.join(serverPath, SESSIONS_FILE);
+}
+
+function loadStore(serverPath) {
+  const id = path.resolve(serverPath);
+  if (stores.has(id)) return stores.get(id);
+
+  const store = { serverPath, sessions: [], updatedAt: null, pendingIps: new Map(), pendingReasons: new Map(), saveTimer: null };
+  try {
+    const filePath = getSessionsPath(serverPath);
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (data && data.format === FILE_FORMAT && Array.isArray(data.sessions)) {
+        store.sessions = data.sessions.filter(session => session && session.name && Number.isFinite(session.joinedAt));
+        store.updatedAt = Number.isFinite(data.updatedAt) ? data.updatedAt : null;
+      }
+    }
+  } catch (error) {
+    logger.warn(`Could not read player sessions: ${error.message}`, {
+      category: 'server',
+      data: { service: 'PlayerSessionService', operation: 'loadStore', serverPath }
+    });
+  }
+  stores.set(id, store);
+  return store;
+}
+
+function writeStore(store) {
+  if (store.saveTimer) {
+    clearTimeout(store.saveTimer);
+    store.saveTimer = null;
+  }
+  const closed = store.sessions.filter(session => session.leftAt !== null);
+  if (closed.length > MAX_SESSIONS) {
+    const drop = new Set(closed.slice(0, closed.length - MAX_SESSIONS));
+    store.sessions = store.sessions.filter(session => !drop.has(session));
+  }
+
+  const filePath = getSessionsPath(store.serverPath);
+  const tempPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      updatedAt: store.updatedAt,
+      sessions: store.sessions
+    }));
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    logger.warn(`Could not save player sessions: ${error.message}`, {
+      category: 'server',
+      data: { service: 'PlayerSessionService', operation: 'writeStore', serverPath: store.serverPath }
+    });
+  }
+}
+
+function scheduleSave(store, now) {
+  store.updatedAt = now;
+  if (!store.saveTimer) {
+    store.saveTimer = setTimeout(() => writeStore(store), SAVE_DELAY_MS);
+  }
+}
+
+function findOpenSession(store, name) {
+  const key = name.toLowerCase();
+  for (let index = store.sessions.length - 1; index >= 0; index -= 1) {
+    const session = store.sessions[index];
+    if (session.leftAt === null && session.name.toLowerCase() === key) return session;
+  }
+  return null;
+}
+
+function openSession(store, name, now, extra = {}) {
+  const existing = findOpenSession(store, name);
+  if (existing) return existing;
+  const key = name.toLowerCase();
+  const session = {
+    name,
+    ip: store.pendingIps.get(key) || null,
+    joinedAt: now,
+    leftAt: null,
+    durationMs: null,
+    reason: null,
+    ...extra
+  };
+  store.pendingIps.delete(key);
+  store.sessions.push(session);
+  return session;
+}
+
+function closeSession(session, now, reason) {
+  session.leftAt = Math.max(now, session.joinedAt);
+  session.durationMs = session.leftAt - session.joinedAt;
+  session.reason = reason || session.reason || null;
+}
+
+/**
+ * Feed one server console line into the session history
+ * @param {string} serverPath
+ * @param {string} line
+ * @param {number} [now]
+ * @returns {boolean} Whether the line changed the history
+ */
+function handleSessionLogLine(serverPath, line, now = Date.now()) {
+  if (!serverPath) return false;
+  const event = parseSessionEvent(line);
+  if (!event) return false;
+
+  const store = loadStore(serverPath);
+  const key = event.name.toLowerCase();
+  switch (event.type) {
+    case 'login':
+      // Printed right before "joined the game"
+      store.pendingIps.set(key, event.ip);
+      return false;
+    case 'disconnect': {
+      store.pendingReasons.set(key, event.reason);
+      // Players that fail to log in get "lost connection" without ever joining
+      const session = findOpenSession(store, event.name);
+      if (!session) {
+        store.pendingIps.delete(key);
+        store.pendingReasons.delete(key);
+      }
+      return false;
+    }
+    case 'join':
+      openSession(store, event.name, now);
+      break;
+    case 'leave': {
+      const session = findOpenSession(store, event.name);
+      const reason = store.pendingReasons.get(key) || null;
+      store.pendingReasons.delete(key);
+      if (!session) return false;
+      closeSession(session, now, reason);
+      break;
+    }
+    default:
+      return false;
+  }
+  scheduleSave(store, now);
+  return true;
+}
+
+/**
+ * Line up the history with a full player list from the server.
+ * Covers joins and leaves the log did not show, e.g. while the app was closed.
+ * @param {string} serverPath
+ * @param {Array<string>} names - Everyone online right now
+ * @param {number} [now]
+ */
+function syncOnlinePlayers(serverPath, names, now = Date.now()) {
+  if (!serverPath || !Array.isArray(names)) return;
+  const store = loadStore(serverPath);
+  const online = new Set(names.map(name => name.toLowerCase()));
+  let changed = false;
+
+  store.sessions.forEach((session) => {
+    if (session.leftAt === null && !online.has(session.name.toLowerCase())) {
+      closeSession(session, now, 'Left while not observed');
+      changed = true;
+    }
+  });
+  names.forEach((name) => {
+    if (!findOpenSession(store, name)) {
+      // Real join time is unknown
+      openSession(store, name, now, { approximate: true });
+      changed = true;
+    }
+  });
+
+  if (changed) scheduleSave(store, now);
+}
+
+/**
+ * Start recording a server run.
+ * Sessions left open by a run the app did not see end are closed at the last
+ * recorded activity, unless the run is being resumed (re-attached server).
+ * @param {string} serverPath
+ * @param {{resume?: boolean}} [options]
+ * @param {number} [now]
+ */
+function beginServerRun(serverPath, { resume = false } = {}, now = Date.now()) {
+  if (!serverPath) return;
+  const store = loadStore(serverPath);
+  store.pendingIps.clear();
+  store.pendingReasons.clear();
+  if (resume) return;
+
+  const stale = store.sessions.filter(session => session.leftAt === null);
+  if (stale.length === 0) return;
+  stale.forEach(session => closeSession(session, store.updatedAt || session.joinedAt, 'Server stopped unexpectedly'));
+  scheduleSave(store, now);
+}
+
+/**
+ * Close every open session when the server process ends
+ * @param {string} serverPath
+ * @param {string} [reason]
+ * @param {number} [now]
+ */
+function endServerRun(serverPath, reason = 'Server stopped', now = Date.now()) {
+  if (!serverPath) return;
+  const store = loadStore(serverPath);
+  store.sessions
+    .filter(session => session.leftAt === null)
+    .forEach(session => closeSession(session, now, store.pendingReasons.get(session.name.toLowerCase()) || reason));
+  store.pendingIps.clear();
+  store.pendingReasons.clear();
+  store.updatedAt = now;
+  writeStore(store);
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function nextDay(dayStart) {
+  const date = new Date(dayStart);
+  date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+function formatDay(dayStart) {
+  const date = new Date(dayStart);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Most players online at once for each of the last `days` local calendar days
+ * @param {Array<{joinedAt: number, leftAt: number|null}>} sessions
+ * @param {number} days
+ * @param {number} now
+ * @returns {Array<{date: string, peak: number}>} Oldest day first
+ */
+function computeDailyPeaks(sessions, days, now) {
+  let dayStart = startOfDay(now);
+  for (let index = 1; index < days; index += 1) {
+    const date = new Date(dayStart);
+    date.setDate(date.getDate() - 1);
+    dayStart = date.getTime();
+  }
+
+  const peaks = [];
+  for (let day = 0; day < days; day += 1) {
+    const dayEnd = nextDay(dayStart);
+    const events = [];
+    let current = 0;
+    sessions.forEach((session) => {
+      const end = session.leftAt === null ? now : session.leftAt;
+      if (session.joinedAt >= dayEnd || end <= dayStart) return;
+      if (session.joinedAt <= dayStart) {
+        current += 1;
+      } else {
+        events.push([session.joinedAt, 1]);
+      }
+      if (end < dayEnd) events.push([end, -1]);
+    });
+    // Leaves before joins at the same instant, so a relog is not counted twice
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let peak = current;
+    events.forEach(([, delta]) => {
+      current += delta;
+      peak = Math.max(peak, current);
+    });
+    peaks.push({ date: formatDay(dayStart), peak });
+    dayStart = dayEnd;
+  }
+  return peaks;
+}
+
+/**
+ * Session history and playtime statistics of a server
+ * @param {string} serverPath
+ * @param {{player?: string, days?: number, limit?: number}} [options] - days limits
+ *   playtime totals and the session list to that many recent days (0 for all time)
+ * @param {number} [now]
+ * @returns {{sessions: Array<Object>, players: Array<Object>, dailyPeaks: Array<{date: string, peak: number}>, online: number}}
+ */
+function getSessionReport(serverPath, { player = null, days = DEFAULT_REPORT_DAYS, limit = DEFAULT_SESSION_LIMIT } = {}, now = Date.now()) {
+  const store = loadStore(serverPath);
+  const windowStart = days > 0 ? now - days * DAY_MS : -Infinity;
+  const playerKey = player ? String(player).toLowerCase() : null;
+  const endOf = session => (session.leftAt === null ? now : session.leftAt);
+
+  const byPlayer = new Map();
+  store.sessions.forEach((session) => {
+    const key = session.name.toLowerCase();
+    const end = endOf(session);
+    const entry = byPlayer.get(key) || {
+      name: session.name,
+      totalMs: 0,
+      sessionCount: 0,
+      firstSeen: session.joinedAt,
+      lastSeen: end,
+      online: false,
+      lastIp: null
+    };
+    entry.name = session.name;
+    entry.firstSeen = Math.min(entry.firstSeen, session.joinedAt);
+    entry.lastSeen = Math.max(entry.lastSeen, end);
+    entry.online = entry.online || session.leftAt === null;
+    if (session.ip) entry.lastIp = session.ip;
+    if (end > windowStart) {
+      entry.totalMs += end - Math.max(session.joinedAt, windowStart);
+      entry.sessionCount += 1;
+    }
+    byPlayer.set(key, entry);
+  });
+
+  const players = Array.from(byPlayer.values())
+    .filter(entry => !playerKey || entry.name.toLowerCase() === playerKey)
+    .sort((a, b) => b.totalMs - a.totalMs || b.lastSeen - a.lastSeen);
+
+  const sessions = store.sessions
+    .filter(session => endOf(session) > windowStart)
+    .filter(session => !playerKey || session.name.toLowerCase() === playerKey)
+    .slice(-Math.max(1, limit))
+    .reverse()
+    .map(session => ({
+      ...session,
+      durationMs: session.leftAt === null ? now - session.joinedAt : session.durationMs,
+      online: session.leftAt === null
+    }));
+
+  return {
+    sessions,
+    players,
+    dailyPeaks: computeDailyPeaks(store.sessions, Math.min(Math.max(days || DEFAULT_REPORT_DAYS, 1), 90), now),
+    online: store.sessions.filter(session => session.leftAt === null).length
+  };
+}
+
+/**
+ * Write pending changes now, e.g. before the app quits
+ */
+function flushPlayerSessions() {
+  stores.forEach((store) => {
+    if (store.saveTimer) writeStore(store);
+  });
+}
+
+module.exports = {
+  getLogMessage,
+  parseSessionEvent,
+  handleSessionLogLine,
+  syncOnlinePlayers,
+  beginServerRun,
+  endServerRun,
+  getSessionReport,
+  flushPlayerSessions
+};
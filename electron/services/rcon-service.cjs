@@ -0,0 +1,220 @@
+// RCON connections to Minecraft servers
+// Used for commands and player polling so a server can be controlled whether or
+// not this app owns its process. Credentials always come from server.properties,
+// which is also where the server itself reads them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RconClient, RconError } = require('../utils/rcon-client.cjs');
+const { parsePropertiesFile, updatePropertiesFile } = require('../ipc/server-properties-handlers.cjs');
+const { readServerConfig, getDefaultServerConfig } = require('../utils/config-manager.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const DEFAULT_RCON_PORT = 25575;
+const PROBE_CACHE_MS = 5000;
+
+// resolved serverPath -> { client, key } where key identifies the settings it was opened with
+const connections = new Map();
+// resolved serverPath -> in-flight connect promise
+const connecting = new Map();
+// resolved serverPath -> { at, reachable }
+const probes = new Map();
+
+function readProperties(serverPath) {
+  const propertiesPath = path.join(serverPath, 'server.properties');
+  if (!fs.existsSync(propertiesPath)) return null;
+  return parsePropertiesFile(fs.readFileSync(propertiesPath, 'utf-8'));
+}
+
+function toPort(value) {
+  const port = parseInt(value, 10);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : null;
+}
+
+/**
+ * RCON settings of a server as configured in its server.properties
+ * @param {string} serverPath
+ * @returns {{enabled: boolean, host: string, port: number, password: string}}
+ */
+function readRconSettings(serverPath) {
+  const properties = readProperties(serverPath) || {};
+  const serverIp = (properties['server-ip'] || '').trim();
+  return {
+    enabled: properties['enable-rcon'] === 'true' && !!properties['rcon.password'],
+    // RCON listens on server-ip when set, on every interface otherwise
+    host: serverIp && serverIp !== '0.0.0.0' ? serverIp : '127.0.0.1',
+    port: toPort(properties['rcon.port']) || DEFAULT_RCON_PORT,
+    password: properties['rcon.password'] || ''
+  };
+}
+
+/**
+ * Turn RCON on with a generated password before the server starts.
+ * Leaves servers that already have RCON set up alone, and does nothing until the
+ * server has generated its server.properties or when the instance opted out.
+ * @param {string} serverPath
+ * @returns {{configured: boolean, changed: boolean, port?: number}}
+ */
+function ensureRconConfigured(serverPath) {
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  if (config && config.rconAutoConfigure === false) {
+    return { configured: false, changed: false };
+  }
+  const properties = readProperties(serverPath);
+  if (!properties) {
+    return { configured: false, changed: false };
+  }
+
+  const current = readRconSettings(serverPath);
+  if (current.enabled) {
+    return { configured: true, changed: false, port: current.port };
+  }
+
+  const gamePort = toPort(properties['server-port']) || 25565;
+  let port = toPort(properties['rcon.port']) || DEFAULT_RCON_PORT;
+  if (port === gamePort) {
+    port = gamePort + 10;
+  }
+  updatePropertiesFile(serverPath, {
+    'enable-rcon': 'true',
+    'rcon.port': String(port),
+    'rcon.password': properties['rcon.password'] || crypto.randomBytes(24).toString('base64url'),
+    'broadcast-rcon-to-ops': 'false'
+  });
+  logger.info('Enabled RCON in server.properties', {
+    category: 'server',
+    data: { service: 'RconService', operation: 'ensureRconConfigured', serverPath, port }
+  });
+  return { configured: true, changed: true, port };
+}
+
+function settingsKey(settings) {
+  return `${settings.host}:${settings.port}:${settings.password}`;
+}
+
+async function getConnection(serverPath) {
+  const id = path.resolve(serverPath);
+  const settings = readRconSettings(serverPath);
+  if (!settings.enabled) {
+    throw new RconError('RCON is not enabled for this server', 'RCON_DISABLED');
+  }
+
+  const existing = connections.get(id);
+  if (existing && existing.client.connected && existing.key === settingsKey(settings)) {
+    return existing.client;
+  }
+  if (existing) {
+    existing.client.close();
+    connections.delete(id);
+  }
+
+  if (!connecting.has(id)) {
+    const client = new RconClient(settings);
+    const attempt = client.connect()
+      .then(() => {
+        connections.set(id, { client, key: settingsKey(settings) });
+        client.once('close', () => {
+          if (connections.get(id)?.client === client) connections.delete(id);
+        });
+        return client;
+      })
+      .finally(() => connecting.delete(id));
+    connecting.set(id, attempt);
+  }
+  return connecting.get(id);
+}
+
+/**
+ * Run a command over RCON, reconnecting once if the connection went stale
+ * @param {string} serverPath
+ * @param {string} command
+ * @returns {Promise<string>} The command's response text
+ */
+async function runRconCommand(serverPath, command) {
+  const trimmed = String(command || '').trim().replace(/^\//, '');
+  if (!trimmed) {
+    throw new RconError('Command is empty', 'RCON_PROTOCOL');
+  }
+  try {
+    return await (await getConnection(serverPath)).send(trimmed);
+  } catch (error) {
+    if (!(error instanceof RconError) || error.code !== 'RCON_CLOSED') throw error;
+    return (await getConnection(serverPath)).send(trimmed);
+  }
+}
+
+/**
+ * Parse the response of the `list` command
+ * Handles the current format, the pre-1.13 `N/M` format and color codes added by plugins.
+ * @param {string} text
+ * @returns {{count: number, max: number, names: Array<string>}|null}
+ */
+function parseListResponse(text) {
+  const clean = String(text || '').replace(/§[0-9a-fk-or]/gi, '');
+  const match = clean.match(/There are (\d+)(?: of a max of |\s*\/\s*)(\d+) players online:?([\s\S]*)/i);
+  if (!match) return null;
+  const names = match[3]
+    .split(/[,\n]/)
+    .map(name => name.trim())
+    .filter(Boolean);
+  return { count: parseInt(match[1], 10), max: parseInt(match[2], 10), names };
+}
+
+/**
+ * Online players via RCON
+ * @returns {Promise<{count: number, max: number, names: Array<string>}>}
+ */
+async function fetchPlayerList(serverPath) {
+  const response = await runRconCommand(serverPath, 'list');
+  const parsed = parseListResponse(response);
+  if (!parsed) {
+    throw new RconError(`Unrecognized list response: ${response.slice(0, 200)}`, 'RCON_PROTOCOL');
+  }
+  return parsed;
+}
+
+/**
+ * Whether a server answers on RCON; results are cached briefly so status polling stays cheap
+ * @param {string} serverPath
+ * @returns {Promise<boolean>}
+ */
+async function isRconReachable(serverPath) {
+  const id = path.resolve(serverPath);
+  if (!readRconSettings(serverPath).enabled) return false;
+  const cached = probes.get(id);
+  if (cached && Date.now() - cached.at < PROBE_CACHE_MS) return cached.reachable;
+
+  let reachable = false;
+  try {
+    await getConnection(serverPath);
+    reachable = true;
+  } catch {
+    reachable = false;
+  }
+  probes.set(id, { at: Date.now(), reachable });
+  return reachable;
+}
+
+function closeRconConnection(serverPath) {
+  const id = path.resolve(serverPath);
+  const connection = connections.get(id);
+  if (connection) {
+    connection.client.close();
+    connections.delete(id);
+  }
+  probes.delete(id);
+}
+
+module.exports = {
+  DEFAULT_RCON_PORT,
+  readRconSettings,
+  ensureRconConfigured,
+  runRconCommand,
+  parseListResponse,
+  fetchPlayerList,
+  isRconReachable,
+  closeRconConnection
+};
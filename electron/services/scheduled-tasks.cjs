@@ -0,0 +1,509 @@
+// Scheduled server tasks
+// Runs per-instance cron-scheduled restarts, stops, starts, console commands and
+// broadcasts. Task definitions live in the server's .minecraft-core.json
+// (`scheduledTasks`); the run history is kept in minecraft-core-configs.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { safeSend } = require('../utils/safe-send.cjs');
+const eventBus = require('../utils/event-bus.cjs');
+const appStore = require('../utils/app-store.cjs');
+const {
+  SCHEDULED_TASK_TYPES,
+  getDefaultServerConfig,
+  readServerConfig,
+  updateServerConfig,
+  normalizeScheduledTasks
+} = require('../utils/config-manager.cjs');
+const { getNextRunTime, validateCronExpression } = require('../utils/cron-schedule.cjs');
+const {
+  getServerState,
+  sendServerCommand,
+  executeServerCommand,
+  startMinecraftServer,
+  shutdownMinecraftServer
+} = require('./server-manager.cjs');
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const TICK_INTERVAL_MS = 15000;
+const HISTORY_LIMIT = 200;
+const RESTART_SETTLE_MS = 3000;
+// Scheduled stops happen unattended, so give the world save more time than a UI stop
+const SHUTDOWN_OPTIONS = Object.freeze({ gracefulTimeoutMs: 60000, killTimeoutMs: 10000 });
+
+// Action words used for the {action} placeholder in countdown warnings
+const WARNING_ACTIONS = Object.freeze({
+  restart: 'restarting',
+  stop: 'stopping'
+});
+
+// serverPath -> Map<taskId, { runAt: number, schedule: string, warningsSent: Set<number> }>
+const pendingRuns = new Map();
+const runningTasks = new Set();
+// serverPath -> tail of the queued history file writes
+const historyWrites = new Map();
+let tickHandle = null;
+
+function getHistoryFile(serverPath) {
+  return path.join(serverPath, 'minecraft-core-configs', 'scheduled-task-history.json');
+}
+
+function getTrackedServerInstances() {
+  const instances = appStore.get('instances') || [];
+  return instances.filter((instance) => (
+    instance
+    && instance.type === 'server'
+    && typeof instance.path === 'string'
+    && instance.path.trim()
+    && fs.existsSync(instance.path)
+  ));
+}
+
+function findInstanceForPath(serverPath) {
+  return getTrackedServerInstances().find((instance) => instance.path === serverPath) || null;
+}
+
+function readTasks(serverPath) {
+  const config = readServerConfig(serverPath, getDefaultServerConfig());
+  return config ? normalizeScheduledTasks(config.scheduledTasks) : [];
+}
+
+function writeTasks(serverPath, tasks) {
+  const updated = updateServerConfig(serverPath, { scheduledTasks: tasks }, getDefaultServerConfig());
+  return updated ? updated.scheduledTasks : tasks;
+}
+
+function getPendingMap(serverPath) {
+  if (!pendingRuns.has(serverPath)) {
+    pendingRuns.set(serverPath, new Map());
+  }
+  return pendingRuns.get(serverPath);
+}
+
+function computeNextRun(task, from = Date.now()) {
+  try {
+    const next = getNextRunTime(task.schedule, from);
+    return next ? next.getTime() : null;
+  } catch {
+    return null;
+  }
+}
+
+function withNextRun(serverPath, task) {
+  const pending = pendingRuns.get(serverPath)?.get(task.id);
+  const nextRun = task.enabled
+    ? (pending && pending.schedule === task.schedule ? pending.runAt : computeNextRun(task))
+    : null;
+  return { ...task, nextRun: nextRun ? new Date(nextRun).toISOString() : null };
+}
+
+function formatWarning(task, minutes) {
+  return task.warningMessage
+    .replace(/\{minutes\}/g, String(minutes))
+    .replace(/\{action\}/g, WARNING_ACTIONS[task.type] || 'running a scheduled task')
+    .replace(/\{name\}/g, task.name);
+}
+
+function validateTask(task) {
+  if (!SCHEDULED_TASK_TYPES.includes(task.type)) {
+    return `Unknown task type "${task.type}"`;
+  }
+  const cron = validateCronExpression(task.schedule);
+  if (!cron.valid) {
+    return `Invalid schedule: ${cron.error}`;
+  }
+  if (task.type === 'command' && !task.command.trim()) {
+    return 'A command is required for command tasks';
+  }
+  if (task.type === 'broadcast' && !task.message.trim()) {
+    return 'A message is required for broadcast tasks';
+  }
+  return null;
+}
+
+async function loadHistory(serverPath) {
+  try {
+    const data = JSON.parse(await fsp.readFile(getHistoryFile(serverPath), 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Run history file changes for one server one at a time, so tasks finishing
+ * together do not overwrite each other's entries.
+ * @param {string} serverPath
+ * @param {() => Promise<void>} write
+ * @returns {Promise<void>}
+ */
+function queueHistoryWrite(serverPath, write) {
+  const previous = historyWrites.get(serverPath) || Promise.resolve();
+  const run = previous.then(write);
+  const tail = run.catch(() => {});
+  historyWrites.set(serverPath, tail);
+  tail.then(() => {
+    if (historyWrites.get(serverPath) === tail) {
+      historyWrites.delete(serverPath);
+    }
+  });
+  return run;
+}
+
+function appendHistory(serverPath, entry) {
+  return queueHistoryWrite(serverPath, async () => {
+    const history = await loadHistory(serverPath);
+    history.unshift(entry);
+    if (history.length > HISTORY_LIMIT) history.length = HISTORY_LIMIT;
+    await fsp.mkdir(path.dirname(getHistoryFile(serverPath)), { recursive: true }).catch(() => {});
+    await fsp.writeFile(getHistoryFile(serverPath), JSON.stringify(history, null, 2)).catch(() => {});
+  });
+}
+
+async function sendCommands(serverPath, commandText) {
+  const commands = commandText
+    .split(/\r?\n/)
+    .map((line) => line.trim().replace(/^\//, ''))
+    .filter(Boolean);
+  const failed = [];
+  for (const command of commands) {
+    const result = await executeServerCommand({ targetPath: serverPath }, command);
+    if (!result.success) failed.push(command);
+  }
+  if (failed.length > 0) {
+    throw new Error(`Failed to send ${failed.length} of ${commands.length} command(s)`);
+  }
+  return `Sent ${commands.length} command(s)`;
+}
+
+async function startServerForTask(serverPath) {
+  const config = readServerConfig(serverPath, getDefaultServerConfig()) || getDefaultServerConfig();
+  const instance = findInstanceForPath(serverPath);
+  const result = await startMinecraftServer({
+    instanceId: instance ? instance.id : null,
+    targetPath: serverPath,
+    port: config.port,
+    maxRam: config.maxRam
+  });
+  if (!result || !result.success) {
+    throw new Error((result && result.error) || 'Server failed to start');
+  }
+}
+
+async function performTaskAction(serverPath, task) {
+  switch (task.type) {
+    case 'command':
+      return sendCommands(serverPath, task.command);
+    case 'broadcast':
+      return sendCommands(serverPath, `say ${task.message.replace(/\r?\n/g, ' ')}`);
+    case 'stop': {
+      const result = await shutdownMinecraftServer({ targetPath: serverPath }, SHUTDOWN_OPTIONS);
+      if (!result.success) throw new Error('Server did not stop');
+      return result.forced ? 'Server stopped (forced)' : 'Server stopped';
+    }
+    case 'start':
+      await startServerForTask(serverPath);
+      return 'Server started';
+    case 'restart': {
+      const result = await shutdownMinecraftServer({ targetPath: serverPath }, SHUTDOWN_OPTIONS);
+      if (!result.success) throw new Error('Server did not stop');
+      await new Promise((resolve) => setTimeout(resolve, RESTART_SETTLE_MS));
+      await startServerForTask(serverPath);
+      return result.forced ? 'Server restarted (stop was forced)' : 'Server restarted';
+    }
+    default:
+      throw new Error(`Unknown task type "${task.type}"`);
+  }
+}
+
+function getSkipReason(serverPath, task) {
+  const state = getServerState({ targetPath: serverPath });
+  const isRunning = !!state.isRunning && state.targetPath === serverPath;
+
+  if (task.type === 'start') {
+    return isRunning ? 'Server is already running' : null;
+  }
+  if (!isRunning) {
+    return 'Server is not running';
+  }
+  if (task.skipIfEmpty && (!state.playersInfo || state.playersInfo.count === 0)) {
+    return 'No players online';
+  }
+  return null;
+}
+
+function recordTaskResult(serverPath, task, result, completedAt) {
+  try {
+    const tasks = readTasks(serverPath).map((candidate) => (
+      candidate.id === task.id
+        ? { ...candidate, lastRun: completedAt, lastResult: result }
+        : candidate
+    ));
+    writeTasks(serverPath, tasks);
+  } catch (error) {
+    logger.warn('Failed to persist scheduled task result', {
+      category: 'server',
+      data: { service: 'ScheduledTasks', serverPath, taskId: task.id, error: error.message }
+    });
+  }
+}
+
+async function executeTask(serverPath, task, trigger = 'schedule') {
+  const runKey = `${serverPath}::${task.id}`;
+  if (runningTasks.has(runKey)) {
+    return { success: false, error: 'Task is already running' };
+  }
+
+  runningTasks.add(runKey);
+  const startedAt = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    taskId: task.id,
+    taskName: task.name,
+    type: task.type,
+    trigger,
+    startedAt,
+    finishedAt: null,
+    result: 'success',
+    message: ''
+  };
+
+  try {
+    const skipReason = getSkipReason(serverPath, task);
+    if (skipReason) {
+      entry.result = 'skipped';
+      entry.message = skipReason;
+    } else {
+      entry.message = await performTaskAction(serverPath, task);
+    }
+  } catch (error) {
+    entry.result = 'failed';
+    entry.message = error.message;
+  } finally {
+    runningTasks.delete(runKey);
+  }
+
+  entry.finishedAt = new Date().toISOString();
+  recordTaskResult(serverPath, task, entry.result, entry.finishedAt);
+  await appendHistory(serverPath, entry);
+
+  logger[entry.result === 'failed' ? 'warn' : 'info']('Scheduled task finished', {
+    category: 'server',
+    data: {
+      service: 'ScheduledTasks',
+      serverPath,
+      taskId: task.id,
+      type: task.type,
+      trigger,
+      result: entry.result,
+      message: entry.message
+    }
+  });
+
+  const payload = { serverPath, ...entry };
+  safeSend('scheduled-task-event', payload);
+  eventBus.emit('scheduled-task-run', payload);
+
+  return { success: entry.result !== 'failed', entry };
+}
+
+function sendCountdownWarnings(serverPath, task, pending, now) {
+  if (!WARNING_ACTIONS[task.type] || task.warnings.length === 0) {
+    return;
+  }
+
+  for (const minutes of task.warnings) {
+    if (pending.warningsSent.has(minutes)) continue;
+    if (now < pending.runAt - minutes * 60000) continue;
+    pending.warningsSent.add(minutes);
+    if (getSkipReason(serverPath, task)) continue;
+    if (!sendServerCommand({ targetPath: serverPath }, `say ${formatWarning(task, minutes)}`)) {
+      logger.warn('Could not send scheduled task warning', {
+        category: 'server',
+        data: { service: 'ScheduledTasks', serverPath, taskId: task.id, minutes }
+      });
+    }
+  }
+}
+
+async function tickServer(serverPath, now) {
+  const tasks = readTasks(serverPath);
+  const pendingMap = getPendingMap(serverPath);
+  const activeIds = new Set();
+
+  for (const task of tasks) {
+    if (!task.enabled) continue;
+    activeIds.add(task.id);
+
+    let pending = pendingMap.get(task.id);
+    if (!pending || pending.schedule !== task.schedule) {
+      const runAt = computeNextRun(task, now);
+      if (!runAt) continue;
+      // Mark warnings whose window already passed so a task created 3 minutes
+      // before its run time does not fire the 10 and 5 minute warnings at once.
+      const warningsSent = new Set(task.warnings.filter((minutes) => runAt - minutes * 60000 < now - TICK_INTERVAL_MS));
+      pending = { runAt, schedule: task.schedule, warningsSent };
+      pendingMap.set(task.id, pending);
+    }
+
+    sendCountdownWarnings(serverPath, task, pending, now);
+
+    if (now >= pending.runAt) {
+      pendingMap.set(task.id, {
+        runAt: computeNextRun(task, now) || Infinity,
+        schedule: task.schedule,
+        warningsSent: new Set()
+      });
+      executeTask(serverPath, task, 'schedule').catch((error) => {
+        logger.error('Scheduled task execution crashed', {
+          category: 'server',
+          data: { service: 'ScheduledTasks', serverPath, taskId: task.id, error: error.message }
+        });
+      });
+    }
+  }
+
+  for (const taskId of [...pendingMap.keys()]) {
+    if (!activeIds.has(taskId)) pendingMap.delete(taskId);
+  }
+}
+
+async function tick(now = Date.now()) {
+  const trackedPaths = getTrackedServerInstances().map((instance) => instance.path);
+
+  for (const serverPath of [...pendingRuns.keys()]) {
+    if (!trackedPaths.includes(serverPath)) pendingRuns.delete(serverPath);
+  }
+
+  for (const serverPath of trackedPaths) {
+    try {
+      await tickServer(serverPath, now);
+    } catch (error) {
+      logger.warn('Scheduled task tick failed', {
+        category: 'server',
+        data: { service: 'ScheduledTasks', serverPath, error: error.message }
+      });
+    }
+  }
+}
+
+function startScheduledTasks() {
+  if (tickHandle) return;
+  tickHandle = setInterval(() => {
+    tick().catch(() => {});
+  }, TICK_INTERVAL_MS);
+  tick().catch(() => {});
+  logger.info('Scheduled task runner started', {
+    category: 'server',
+    data: { service: 'ScheduledTasks', tickIntervalMs: TICK_INTERVAL_MS }
+  });
+}
+
+function stopScheduledTasks() {
+  if (tickHandle) {
+    clearInterval(tickHandle);
+    tickHandle = null;
+  }
+  pendingRuns.clear();
+}
+
+function listTasks(serverPath) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return [];
+  }
+  return readTasks(serverPath).map((task) => withNextRun(serverPath, task));
+}
+
+function saveTask(serverPath, task) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return { success: false, error: 'Invalid server path' };
+  }
+  if (!task || typeof task !== 'object') {
+    return { success: false, error: 'Invalid task' };
+  }
+
+  const tasks = readTasks(serverPath);
+  const existing = task.id ? tasks.find((candidate) => candidate.id === task.id) : null;
+  const [normalized] = normalizeScheduledTasks([{
+    ...(existing || {}),
+    ...task,
+    id: existing ? existing.id : crypto.randomUUID(),
+    lastRun: existing ? existing.lastRun : null,
+    lastResult: existing ? existing.lastResult : null
+  }]);
+
+  const error = validateTask(normalized);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const nextTasks = existing
+    ? tasks.map((candidate) => (candidate.id === normalized.id ? normalized : candidate))
+    : [...tasks, normalized];
+  writeTasks(serverPath, nextTasks);
+  getPendingMap(serverPath).delete(normalized.id);
+
+  return { success: true, task: withNextRun(serverPath, normalized) };
+}
+
+function deleteTask(serverPath, taskId) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return { success: false, error: 'Invalid server path' };
+  }
+  const tasks = readTasks(serverPath);
+  const nextTasks = tasks.filter((task) => task.id !== taskId);
+  if (nextTasks.length === tasks.length) {
+    return { success: false, error: 'Task not found' };
+  }
+  writeTasks(serverPath, nextTasks);
+  getPendingMap(serverPath).delete(taskId);
+  return { success: true };
+}
+
+async function runTaskNow(serverPath, taskId) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return { success: false, error: 'Invalid server path' };
+  }
+  const task = readTasks(serverPath).find((candidate) => candidate.id === taskId);
+  if (!task) {
+    return { success: false, error: 'Task not found' };
+  }
+  return executeTask(serverPath, task, 'manual');
+}
+
+async function getTaskHistory(serverPath, limit = 50) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return [];
+  }
+  const history = await loadHistory(serverPath);
+  const max = Math.max(1, Math.min(HISTORY_LIMIT, parseInt(limit, 10) || 50));
+  return history.slice(0, max);
+}
+
+async function clearTaskHistory(serverPath) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return { success: false, error: 'Invalid server path' };
+  }
+  await queueHistoryWrite(serverPath, () => fsp.rm(getHistoryFile(serverPath), { force: true }).catch(() => {}));
+  return { success: true };
+}
+
+module.exports = {
+  startScheduledTasks,
+  stopScheduledTasks,
+  listScheduledTasks: listTasks,
+  saveScheduledTask: saveTask,
+  deleteScheduledTask: deleteTask,
+  runScheduledTaskNow: runTaskNow,
+  getScheduledTaskHistory: getTaskHistory,
+  clearScheduledTaskHistory: clearTaskHistory,
+  __testUtils: {
+    tick,
+    appendHistory,
+    HISTORY_LIMIT
+  }
+};
@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const { resolveServerLoader } = require('../utils/server-loader.cjs');
 const { FABRIC_LAUNCH_JAR, getFabricRuntimeStatus } = require('../utils/fabric-runtime.cjs');
+const { QUILT_LAUNCH_JAR, getQuiltRuntimeStatus } = require('../utils/quilt-runtime.cjs');
+const { getNeoForgeRuntimeStatus } = require('../utils/neoforge-runtime.cjs');
+const { PLUGIN_LOADER_LABELS, isPluginLoader, getPluginServerRuntimeStatus } = require('../utils/plugin-server-runtime.cjs');
+const { buildJvmArgs, buildServerArgs } = require('../utils/launch-profile.cjs');
 
 function readServerProperties(serverPath) {
   const filePath = path.join(serverPath, 'server.properties');
@@ -84,7 +88,10 @@ function getVanillaLaunchJar(serverPath) {
     return lower.includes('server')
       && !lower.includes('installer')
       && !lower.includes('fabric')
-      && !lower.includes('forge');
+      && !lower.includes('quilt')
+      && !lower.includes('forge')
+      && !lower.includes('paper')
+      && !lower.includes('purpur');
   });
 
   return fallbackName ? path.join(serverPath, fallbackName) : null;
@@ -289,11 +296,12 @@ function normalizeForgeArgs(args, baseDir) {
   return normalized;
 }
 
-function resolveForgeLaunchPlan(serverPath, maxRam, expected = {}) {
+// NeoForge's installer leaves the same run script and args file layout as modern Forge
+function resolveForgeLaunchPlan(serverPath, maxRam, expected = {}, launchProfile = null, javaVersion = null, loader = 'forge') {
   const assets = findForgeLaunchAssets(serverPath, expected);
   if (!assets.forgeArgs) {
-    const error = new Error('Forge launch assets are missing. Repair the server before starting it.');
-    error.code = 'FORGE_LAUNCH_ASSETS_MISSING';
+    const error = new Error(`${loader === 'neoforge' ? 'NeoForge' : 'Forge'} launch assets are missing. Repair the server before starting it.`);
+    error.code = loader === 'neoforge' ? 'NEOFORGE_LAUNCH_ASSETS_MISSING' : 'FORGE_LAUNCH_ASSETS_MISSING';
     throw error;
   }
 
@@ -307,11 +315,15 @@ function resolveForgeLaunchPlan(serverPath, maxRam, expected = {}) {
   if (userJvmArgFile) {
     args.push(userJvmArgFile);
   }
-  args.push(`-Xmx${maxRam}G`, '-Xms1G', forgeArgFile, 'nogui');
+  args.push(
+    ...buildJvmArgs(launchProfile, maxRam, { defaultMinRam: 1, javaVersion }),
+    forgeArgFile,
+    ...buildServerArgs(launchProfile)
+  );
 
   return {
     type: 'forge',
-    loader: 'forge',
+    loader,
     args,
     assets
   };
@@ -323,6 +335,15 @@ function resolveLaunchPlan(serverPath, options = {}) {
   const maxRam = Number.isFinite(Number(options.maxRam)) ? Number(options.maxRam) : 4;
   const minecraftVersion = options.minecraftVersion || null;
   const loaderVersion = options.loaderVersion || resolvedLoaderInfo.loaderVersion || null;
+  // Heap, GC preset, extra flags and program arguments from the instance's launch profile
+  const launchProfile = options.launchProfile || null;
+  const javaVersion = options.javaVersion || null;
+  const jarArgs = (jar) => [
+    ...buildJvmArgs(launchProfile, maxRam, { javaVersion }),
+    '-jar',
+    jar,
+    ...buildServerArgs(launchProfile)
+  ];
 
   if (resolvedLoader === 'fabric') {
     const launchJar = path.join(serverPath, FABRIC_LAUNCH_JAR);
@@ -344,7 +365,31 @@ function resolveLaunchPlan(serverPath, options = {}) {
       type: 'jar',
       loader: 'fabric',
       jar: launchJar,
-      args: [`-Xmx${maxRam}G`, '-jar', launchJar, 'nogui']
+      args: jarArgs(launchJar)
+    };
+  }
+
+  if (resolvedLoader === 'quilt') {
+    const launchJar = path.join(serverPath, QUILT_LAUNCH_JAR);
+    if (!fs.existsSync(launchJar)) {
+      const error = new Error('Quilt server launcher is missing. Repair Quilt before starting the server.');
+      error.code = 'QUILT_LAUNCH_JAR_MISSING';
+      throw error;
+    }
+
+    const quiltStatus = getQuiltRuntimeStatus(serverPath);
+    if (quiltStatus.hasBlockingIssues) {
+      const error = new Error(quiltStatus.blockingIssues[0]?.message || 'Quilt runtime is incomplete.');
+      error.code = 'QUILT_BROKEN';
+      error.details = quiltStatus.blockingIssues;
+      throw error;
+    }
+
+    return {
+      type: 'jar',
+      loader: 'quilt',
+      jar: launchJar,
+      args: jarArgs(launchJar)
     };
   }
 
@@ -352,7 +397,44 @@ function resolveLaunchPlan(serverPath, options = {}) {
     return resolveForgeLaunchPlan(serverPath, maxRam, {
       minecraftVersion,
       loaderVersion
+    }, launchProfile, javaVersion);
+  }
+
+  if (resolvedLoader === 'neoforge') {
+    const neoForgeStatus = getNeoForgeRuntimeStatus(serverPath, { minecraftVersion, loaderVersion });
+    if (neoForgeStatus.hasBlockingIssues) {
+      const error = new Error(neoForgeStatus.blockingIssues[0]?.message || 'NeoForge runtime is incomplete.');
+      error.code = 'NEOFORGE_BROKEN';
+      error.details = neoForgeStatus.blockingIssues;
+      throw error;
+    }
+
+    return resolveForgeLaunchPlan(serverPath, maxRam, {
+      minecraftVersion,
+      loaderVersion
+    }, launchProfile, javaVersion, 'neoforge');
+  }
+
+  if (isPluginLoader(resolvedLoader)) {
+    const label = PLUGIN_LOADER_LABELS[resolvedLoader];
+    // Jar-name detection yields the Minecraft version, not the build, so only a configured build is trusted
+    const pluginServerStatus = getPluginServerRuntimeStatus(serverPath, resolvedLoader, {
+      minecraftVersion,
+      loaderVersion: options.loaderVersion || null
     });
+    if (pluginServerStatus.hasBlockingIssues) {
+      const error = new Error(`${label} server jar is missing. Repair ${label} before starting the server.`);
+      error.code = 'PLUGIN_SERVER_JAR_MISSING';
+      error.details = pluginServerStatus.blockingIssues;
+      throw error;
+    }
+
+    return {
+      type: 'jar',
+      loader: resolvedLoader,
+      jar: pluginServerStatus.jar,
+      args: jarArgs(pluginServerStatus.jar)
+    };
   }
 
   const launchJar = getVanillaLaunchJar(serverPath);
@@ -366,7 +448,7 @@ function resolveLaunchPlan(serverPath, options = {}) {
     type: 'jar',
     loader: resolvedLoader || 'vanilla',
     jar: launchJar,
-    args: [`-Xmx${maxRam}G`, '-jar', launchJar, 'nogui']
+    args: jarArgs(launchJar)
   };
 }
 
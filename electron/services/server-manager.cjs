@@ -11,13 +11,40 @@ const { ServerJavaManager } = require('./server-java-manager.cjs');
 const { readServerConfig, getDefaultServerConfig, detectMinecraftVersion } = require('../utils/config-manager.cjs');
 const { resolveServerLoader } = require('../utils/server-loader.cjs');
 const { resolveLaunchPlan, syncServerPort } = require('./server-launcher.cjs');
+const { validateLaunchProfile, buildLaunchEnv, applyProcessPriority } = require('../utils/launch-profile.cjs');
 const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+const {
+  ensureRconConfigured,
+  runRconCommand,
+  fetchPlayerList,
+  isRconReachable,
+  closeRconConnection
+} = require('./rcon-service.cjs');
+const { isProcessAlive, getProcessCommandLine, AdoptedProcess, LogTailer } = require('../utils/process-adoption.cjs');
+const {
+  handleSessionLogLine,
+  syncOnlinePlayers,
+  beginServerRun,
+  endServerRun
+} = require('./player-session-service.cjs');
+const {
+  SAMPLE_INTERVAL_MS: PERFORMANCE_INTERVAL_MS,
+  createPerformanceTracker,
+  recordLagLine,
+  sampleServerPerformance,
+  getPerformanceSnapshot
+} = require('./server-performance-service.cjs');
 
 const logger = getLoggerHandlers();
 
 const serverStates = new Map();
 const METRICS_INTERVAL_MS = 2000;
 const LIST_COMMAND_THROTTLE = 30000;
+const RCON_READY_PATTERN = /RCON running on/;
+const STOPPING_PATTERN = /Stopping (the )?server/;
+// instanceId -> process record of servers that are running, kept across app restarts
+const RUNNING_SERVERS_KEY = 'runningServers';
+const ADOPTED_WITHOUT_RCON = 'this server was re-attached after a restart and has no RCON';
 
 function createDefaultState(instanceId, targetPath = null) {
   return {
@@ -41,8 +68,14 @@ function createDefaultState(instanceId, targetPath = null) {
     intensiveCheckTimeouts: [],
     metricsInterval: null,
     lastMetricsUpdateAt: 0,
+    performance: createPerformanceTracker(),
+    performanceInterval: null,
     cloudSyncWarningSent: false,
-    shutdownRequest: null
+    shutdownRequest: null,
+    logWaiters: [],
+    rconReady: false,
+    stoppingLogged: false,
+    logTailer: null
   };
 }
 
@@ -208,6 +241,13 @@ function clearMetricsInterval(state) {
   }
 }
 
+function clearPerformanceInterval(state) {
+  if (state.performanceInterval) {
+    clearInterval(state.performanceInterval);
+    state.performanceInterval = null;
+  }
+}
+
 function clearListInterval(state) {
   if (state.listInterval) {
     clearInterval(state.listInterval);
@@ -224,6 +264,7 @@ function clearResponseTimeout(state) {
 
 function clearStateTimers(state) {
   clearMetricsInterval(state);
+  clearPerformanceInterval(state);
   clearListInterval(state);
   clearResponseTimeout(state);
   clearIntensiveChecking(state);
@@ -254,7 +295,8 @@ async function updateMetrics(state) {
       maxRamMB: state.maxRam * 1024,
       uptime: formatUptime(state.startMs),
       players: state.playersInfo.count,
-      names: [...state.playersInfo.names]
+      names: [...state.playersInfo.names],
+      performance: getPerformanceSnapshot(state.performance)
     }, { instanceId: state.instanceId });
   } catch {
     sendMetricsUpdate({
@@ -264,7 +306,8 @@ async function updateMetrics(state) {
       maxRamMB: state.maxRam * 1024,
       uptime: formatUptime(state.startMs),
       players: state.playersInfo.count,
-      names: [...state.playersInfo.names]
+      names: [...state.playersInfo.names],
+      performance: getPerformanceSnapshot(state.performance)
     }, { instanceId: state.instanceId });
   }
 }
@@ -277,6 +320,24 @@ function startMetricsReporting(state) {
   updateMetrics(state).catch(() => {});
 }
 
+async function samplePerformance(state) {
+  if (!state.process) {
+    clearPerformanceInterval(state);
+    return;
+  }
+  // Tick commands answer over RCON only; typed into the console they would flood the log
+  const runCommand = state.rconReady ? (command) => runRconCommand(state.targetPath, command) : null;
+  await sampleServerPerformance(state.performance, { loader: state.loader, runCommand });
+}
+
+function startPerformanceSampling(state) {
+  clearPerformanceInterval(state);
+  state.performance = createPerformanceTracker();
+  state.performanceInterval = setInterval(() => {
+    samplePerformance(state).catch(() => {});
+  }, PERFORMANCE_INTERVAL_MS);
+}
+
 function maybeSendCloudSyncWarning(state, text) {
   if (state.cloudSyncWarningSent || typeof text !== 'string' || !text.trim()) {
     return;
@@ -315,6 +376,17 @@ function sendListCommand(state) {
     return;
   }
 
+  if (state.rconReady) {
+    state.lastListCommandTime = now;
+    pollPlayersViaRcon(state).catch(() => {
+      // RCON went away (e.g. reloaded properties); scrape the console instead
+      state.rconReady = false;
+      state.lastListCommandTime = 0;
+      sendListCommand(state);
+    });
+    return;
+  }
+
   try {
     state.expectingListResponse = true;
     state.process.stdin.write('list\n');
@@ -328,6 +400,13 @@ function sendListCommand(state) {
   }
 }
 
+async function pollPlayersViaRcon(state) {
+  const list = await fetchPlayerList(state.targetPath);
+  state.playersInfo = { count: list.count, names: list.names };
+  syncOnlinePlayers(state.targetPath, list.names);
+  await updateMetrics(state).catch(() => {});
+}
+
 function enableIntensiveChecking(state) {
   clearIntensiveChecking(state);
   state.intensivePlayerCheckMode = true;
@@ -352,6 +431,7 @@ function parsePlayerList(state, text) {
       count: parseInt(fullMatch[1], 10),
       names: fullMatch[2].split(', ').filter(Boolean)
     };
+    syncOnlinePlayers(state.targetPath, state.playersInfo.names);
     return true;
   }
 
@@ -362,6 +442,9 @@ function parsePlayerList(state, text) {
     const count = parseInt(countMatch[1], 10);
     const names = state.playersInfo.names.length === count ? state.playersInfo.names : [];
     state.playersInfo = { count, names };
+    if (count === 0) {
+      syncOnlinePlayers(state.targetPath, []);
+    }
     return true;
   }
 
@@ -392,13 +475,74 @@ function parsePlayerList(state, text) {
   return false;
 }
 
+function settleLogWaiters(state, line, error = null) {
+  if (!state.logWaiters || state.logWaiters.length === 0) {
+    return;
+  }
+  state.logWaiters = state.logWaiters.filter((waiter) => {
+    if (error) {
+      waiter.reject(error);
+      return false;
+    }
+    const matches = typeof waiter.pattern === 'function' ? waiter.pattern(line) : waiter.pattern.test(line);
+    if (matches) {
+      waiter.resolve(line);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Wait for the server to print a log line matching pattern.
+ * Register the wait before sending the command that triggers the line.
+ * @param {Object|string} selector - Instance selector as accepted by getServerState
+ * @param {RegExp|((line: string) => boolean)} pattern
+ * @param {number} timeoutMs
+ * @returns {Promise<string>} The matching line; rejects on timeout or when the server stops
+ */
+function waitForLogLine(selector, pattern, timeoutMs) {
+  const state = getState(selector);
+  if (!state || !state.process) {
+    return Promise.reject(new Error('Server is not running'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      pattern,
+      resolve: (line) => {
+        clearTimeout(timer);
+        resolve(line);
+      },
+      reject: (error) => {
+        clearTimeout(timer);
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => {
+      state.logWaiters = state.logWaiters.filter((item) => item !== waiter);
+      reject(new Error(`Timed out after ${timeoutMs}ms waiting for server output`));
+    }, timeoutMs);
+    state.logWaiters.push(waiter);
+  });
+}
+
 function handleLogLine(state, text) {
   const trimmed = text.trimEnd();
   if (!trimmed) {
     return;
   }
 
+  settleLogWaiters(state, trimmed);
   maybeSendCloudSyncWarning(state, trimmed);
+  if (!state.rconReady && RCON_READY_PATTERN.test(trimmed)) {
+    state.rconReady = true;
+  }
+  if (STOPPING_PATTERN.test(trimmed)) {
+    state.stoppingLogged = true;
+  }
+  handleSessionLogLine(state.targetPath, trimmed);
+  recordLagLine(state.performance, trimmed);
   const isListResponse = /There are \d+ of a max of \d+ players online/.test(trimmed);
 
   if (trimmed !== state.lastLine) {
@@ -413,6 +557,79 @@ function handleLogLine(state, text) {
   }
 }
 
+function startPlayerPolling(state) {
+  clearListInterval(state);
+  state.listInterval = setInterval(() => {
+    if (state.process && !state.process.killed && !state.intensivePlayerCheckMode) {
+      sendListCommand(state);
+    }
+  }, 120000);
+}
+
+function recordRunningServer(record) {
+  const records = appStore.get(RUNNING_SERVERS_KEY) || {};
+  appStore.set(RUNNING_SERVERS_KEY, { ...records, [record.instanceId]: record });
+}
+
+function forgetRunningServer(instanceId) {
+  const records = appStore.get(RUNNING_SERVERS_KEY) || {};
+  if (records[instanceId]) {
+    const remaining = { ...records };
+    delete remaining[instanceId];
+    appStore.set(RUNNING_SERVERS_KEY, remaining);
+  }
+}
+
+function handleServerExit(state, code, signal) {
+  const targetPath = state.targetPath;
+  const runStartMs = state.startMs;
+  const wasManualShutdown = state.shutdownRequest === 'stop' || state.shutdownRequest === 'kill';
+  const isNormalExit = wasManualShutdown || code === 0 || signal === 'SIGTERM' || signal === 'SIGINT';
+
+  clearStateTimers(state);
+  settleLogWaiters(state, null, new Error('Server stopped'));
+  closeRconConnection(targetPath);
+  forgetRunningServer(state.instanceId);
+  endServerRun(targetPath, isNormalExit ? 'Server stopped' : 'Server crashed');
+  if (state.logTailer) {
+    state.logTailer.stop();
+    state.logTailer = null;
+  }
+  state.rconReady = false;
+  state.process = null;
+  state.status = 'stopped';
+  state.startMs = null;
+  state.shutdownRequest = null;
+  state.playersInfo = { count: 0, names: [] };
+  emitServerStatus(state);
+  sendMetricsUpdate({
+    cpuPct: 0,
+    memUsedMB: 0,
+    systemTotalRamMB: Number((os.totalmem() / 1024 / 1024).toFixed(1)),
+    maxRamMB: state.maxRam * 1024,
+    uptime: '0h 0m 0s',
+    players: 0,
+    names: []
+  }, { instanceId: state.instanceId });
+
+  if (!isNormalExit) {
+    eventBus.emit('server-crashed', {
+      instanceId: state.instanceId,
+      serverInfo: {
+        targetPath,
+        port: state.port,
+        maxRam: state.maxRam,
+        loader: state.loader,
+        startMs: runStartMs
+      },
+      exitCode: code,
+      signal
+    });
+  } else {
+    eventBus.emit('server-normal-exit', { instanceId: state.instanceId });
+  }
+}
+
 function normalizeStartArguments(targetPathOrOptions, port, maxRam) {
   if (targetPathOrOptions && typeof targetPathOrOptions === 'object') {
     return {
@@ -519,19 +736,43 @@ async function startMinecraftServer(targetPathOrOptions, port, maxRam) {
   state.cloudSyncWarningSent = false;
   state.stdoutBuffer = '';
   state.lastLine = '';
+  state.rconReady = false;
+  state.stoppingLogged = false;
 
   emitServerStatus(state);
   emitServerLog(state, `[INFO] Preparing ${loader} server startup...`);
 
   try {
     syncServerPort(targetPath, state.port);
+    try {
+      ensureRconConfigured(targetPath);
+    } catch (error) {
+      logger.warn(`Could not configure RCON: ${error.message}`, {
+        category: 'server',
+        instanceId: state.instanceId,
+        data: { service: 'ServerManager', operation: 'startMinecraftServer', targetPath }
+      });
+    }
 
     const javaRequirements = await ensureJavaReadyForServer(targetPath, minecraftVersion);
+    const launchProfile = config.launchProfile;
+    const javaVersion = parseInt(javaRequirements.requiredJavaVersion, 10) || null;
+    const profileCheck = validateLaunchProfile(launchProfile, { maxRam: state.maxRam, javaVersion });
+    if (!profileCheck.valid) {
+      const error = new Error(`Launch profile is invalid: ${profileCheck.errors.join('; ')}`);
+      error.code = 'LAUNCH_PROFILE_INVALID';
+      error.details = profileCheck.errors;
+      throw error;
+    }
+    profileCheck.warnings.forEach((warning) => emitServerLog(state, `[WARN] ${warning}`));
+
     const launchPlan = resolveLaunchPlan(targetPath, {
       loader,
       maxRam: state.maxRam,
       minecraftVersion,
-      loaderVersion
+      loaderVersion,
+      launchProfile,
+      javaVersion
     });
 
     const javaPath = javaRequirements.javaPath;
@@ -551,7 +792,9 @@ async function startMinecraftServer(targetPathOrOptions, port, maxRam) {
         port: state.port,
         maxRam: state.maxRam,
         javaPath,
-        spawnArgs
+        spawnArgs,
+        envOverrides: Object.keys(launchProfile.env),
+        priority: launchProfile.priority
       }
     });
 
@@ -560,11 +803,30 @@ async function startMinecraftServer(targetPathOrOptions, port, maxRam) {
     const child = spawn(javaPath, spawnArgs, {
       cwd: targetPath,
       detached: false,
+      env: buildLaunchEnv(launchProfile),
       stdio: ['pipe', 'pipe', 'pipe']
     });
 
+    const priority = applyProcessPriority(child.pid, launchProfile.priority);
+    if (priority.error) {
+      emitServerLog(state, `[WARN] Could not set process priority to ${launchProfile.priority}: ${priority.error}`);
+    }
+
     state.process = child;
     state.startMs = Date.now();
+    beginServerRun(targetPath);
+    if (child.pid) {
+      recordRunningServer({
+        instanceId: state.instanceId,
+        targetPath,
+        pid: child.pid,
+        startMs: state.startMs,
+        serverIdentifier,
+        port: state.port,
+        maxRam: state.maxRam,
+        loader
+      });
+    }
     child.serverInfo = {
       id: serverIdentifier,
       instanceId: state.instanceId,
@@ -613,54 +875,14 @@ async function startMinecraftServer(targetPathOrOptions, port, maxRam) {
       emitServerLog(state, `[ERROR] Server process error: ${error.message}`);
     });
 
-    child.on('exit', (code, signal) => {
-      const wasManualShutdown = state.shutdownRequest === 'stop' || state.shutdownRequest === 'kill';
-      const isNormalExit = wasManualShutdown || code === 0 || signal === 'SIGTERM' || signal === 'SIGINT';
-
-      clearStateTimers(state);
-      state.process = null;
-      state.status = 'stopped';
-      state.startMs = null;
-      state.shutdownRequest = null;
-      state.playersInfo = { count: 0, names: [] };
-      emitServerStatus(state);
-      sendMetricsUpdate({
-        cpuPct: 0,
-        memUsedMB: 0,
-        systemTotalRamMB: Number((os.totalmem() / 1024 / 1024).toFixed(1)),
-        maxRamMB: state.maxRam * 1024,
-        uptime: '0h 0m 0s',
-        players: 0,
-        names: []
-      }, { instanceId: state.instanceId });
-
-      if (!isNormalExit) {
-        eventBus.emit('server-crashed', {
-          instanceId: state.instanceId,
-          serverInfo: {
-            targetPath,
-            port: state.port,
-            maxRam: state.maxRam,
-            loader
-          },
-          exitCode: code,
-          signal
-        });
-      } else {
-        eventBus.emit('server-normal-exit', { instanceId: state.instanceId });
-      }
-    });
+    child.on('exit', (code, signal) => handleServerExit(state, code, signal));
 
-    clearListInterval(state);
-    state.listInterval = setInterval(() => {
-      if (state.process && !state.process.killed && !state.intensivePlayerCheckMode) {
-        sendListCommand(state);
-      }
-    }, 120000);
+    startPlayerPolling(state);
 
     state.status = 'running';
     emitServerStatus(state);
     startMetricsReporting(state);
+    startPerformanceSampling(state);
     eventBus.emit('server-started', {
       instanceId: state.instanceId,
       targetPath,
@@ -779,6 +1001,227 @@ function sendServerCommand(selectorOrCommand, commandMaybe) {
   }
 }
 
+/**
+ * Run a command and return its response when possible.
+ * Goes over RCON when the server has it up, which also reaches servers this app
+ * did not start; falls back to the process stdin (no response text) otherwise.
+ * @param {Object} selector - Instance selector; targetPath is used for servers without a tracked process
+ * @param {string} command
+ * @returns {Promise<{success: boolean, response?: string, via?: 'rcon'|'stdin', error?: string}>}
+ */
+async function executeServerCommand(selector = {}, command) {
+  if (!command || typeof command !== 'string') {
+    return { success: false, error: 'Invalid command' };
+  }
+
+  const state = getState(selector);
+  const owned = !!(state && state.process);
+  const targetPath = (state && state.targetPath) || selector.targetPath || appStore.get('lastServerPath') || null;
+
+  if (targetPath && (!owned || state.rconReady)) {
+    try {
+      const response = await runRconCommand(targetPath, command);
+      safeSend('command-response', {
+        instanceId: state ? state.instanceId : resolveInstanceId({ targetPath }),
+        command,
+        response
+      });
+      return { success: true, response, via: 'rcon' };
+    } catch (error) {
+      if (!owned) {
+        return { success: false, error: error.message };
+      }
+      logger.warn(`RCON command failed, using the console instead: ${error.message}`, {
+        category: 'server',
+        instanceId: state.instanceId,
+        data: { service: 'ServerManager', operation: 'executeServerCommand', code: error.code || null }
+      });
+    }
+  }
+
+  const sent = sendServerCommand(selector, command);
+  if (sent) {
+    return { success: true, via: 'stdin' };
+  }
+  const unreachable = owned && state.process.adopted && !state.rconReady;
+  return { success: false, error: unreachable ? `Cannot send the command: ${ADOPTED_WITHOUT_RCON}` : 'Server is not running' };
+}
+
+/**
+ * Status of a server this app does not have a process for, found via RCON
+ * @param {string} targetPath
+ * @returns {Promise<{isRunning: boolean, external: boolean, playersInfo: {count: number, names: Array<string>}}|null>}
+ */
+async function probeExternalServer(targetPath) {
+  if (!targetPath || !(await isRconReachable(targetPath))) {
+    return null;
+  }
+  try {
+    const list = await fetchPlayerList(targetPath);
+    return { isRunning: true, external: true, playersInfo: { count: list.count, names: list.names } };
+  } catch {
+    return { isRunning: true, external: true, playersInfo: { count: 0, names: [] } };
+  }
+}
+
+// Throws when a command cannot be delivered, so stdin.write() of the adopted process reports it
+function handleAdoptedInput(state, text) {
+  const undelivered = [];
+  text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean).forEach((command) => {
+    const isStop = command.replace(/^\//, '') === 'stop';
+    if (!state.rconReady) {
+      // Without RCON the only thing we can still do is ask the JVM to shut down
+      if (isStop && process.platform !== 'win32' && state.process) {
+        state.process.kill('SIGTERM');
+        return;
+      }
+      emitServerLog(state, `[WARN] Cannot send "${command}": ${ADOPTED_WITHOUT_RCON}`);
+      undelivered.push(command);
+      return;
+    }
+
+    runRconCommand(state.targetPath, command)
+      .then((response) => {
+        String(response || '').split(/\r?\n/).forEach((line) => handleLogLine(state, line));
+      })
+      .catch((error) => {
+        if (isStop && process.platform !== 'win32' && state.process) {
+          state.process.kill('SIGTERM');
+          return;
+        }
+        emitServerLog(state, `[ERROR] Command "${command}" failed: ${error.message}`);
+      });
+  });
+  if (undelivered.length > 0) {
+    throw new Error(ADOPTED_WITHOUT_RCON);
+  }
+}
+
+async function adoptServer(record) {
+  const { instanceId, targetPath, pid } = record || {};
+  if (!instanceId || !targetPath || !fs.existsSync(targetPath) || !isProcessAlive(pid)) {
+    return false;
+  }
+
+  const state = getOrCreateState({ instanceId, targetPath });
+  if (state.process) {
+    return false;
+  }
+
+  // PIDs get reused, so only take over a process that is provably the server we started
+  const commandLine = await getProcessCommandLine(pid);
+  const rconReachable = await isRconReachable(targetPath);
+  const verified = commandLine
+    ? !!record.serverIdentifier && commandLine.includes(record.serverIdentifier)
+    : rconReachable;
+  if (!verified) {
+    logger.info('Recorded server process is gone, not re-attaching', {
+      category: 'server',
+      instanceId,
+      data: { service: 'ServerManager', operation: 'adoptServer', targetPath, pid, commandLineAvailable: !!commandLine }
+    });
+    return false;
+  }
+
+  const child = new AdoptedProcess({ pid, onInput: (text) => handleAdoptedInput(state, text) });
+  child.serverInfo = {
+    id: record.serverIdentifier || null,
+    instanceId,
+    port: record.port,
+    maxRam: record.maxRam,
+    startTime: record.startMs,
+    targetPath,
+    loader: record.loader,
+    adopted: true
+  };
+  // The exit code of a process we did not spawn is unknown; a logged shutdown counts as a clean stop
+  child.on('exit', (code, signal) => handleServerExit(state, state.stoppingLogged ? 0 : code, signal));
+
+  state.targetPath = targetPath;
+  state.port = toNumber(record.port, 25565);
+  state.maxRam = toNumber(record.maxRam, 4);
+  state.loader = record.loader || 'vanilla';
+  state.process = child;
+  state.startMs = toNumber(record.startMs, Date.now());
+  state.status = 'running';
+  state.shutdownRequest = null;
+  state.playersInfo = { count: 0, names: [] };
+  state.stdoutBuffer = '';
+  state.lastLine = '';
+  state.rconReady = rconReachable;
+  state.stoppingLogged = false;
+  beginServerRun(targetPath, { resume: true });
+
+  state.logTailer = new LogTailer(path.join(targetPath, 'logs', 'latest.log'), (line) => handleLogLine(state, line));
+  const backlog = await state.logTailer.start();
+  // Replayed lines only fill the console; player counts come from a fresh list below
+  backlog.forEach((line) => emitServerLog(state, line));
+  emitServerLog(state, `[INFO] Re-attached to the running server (PID ${pid}) after an app restart`);
+  if (!state.rconReady) {
+    emitServerLog(state, '[WARN] RCON is not reachable; console commands are unavailable until the server is restarted');
+  }
+
+  startPlayerPolling(state);
+  emitServerStatus(state);
+  startMetricsReporting(state);
+  startPerformanceSampling(state);
+  if (state.rconReady) {
+    pollPlayersViaRcon(state).catch(() => {});
+  }
+  eventBus.emit('server-started', {
+    instanceId,
+    targetPath,
+    port: state.port,
+    maxRam: state.maxRam,
+    loader: state.loader,
+    adopted: true
+  });
+
+  logger.info('Re-attached to running server process', {
+    category: 'server',
+    instanceId,
+    data: {
+      service: 'ServerManager',
+      operation: 'adoptServer',
+      targetPath,
+      pid,
+      rconReady: state.rconReady,
+      startMs: state.startMs
+    }
+  });
+  return true;
+}
+
+/**
+ * Take over servers that kept running while the app was closed or crashed.
+ * Records of processes that are gone are dropped.
+ * @returns {Promise<Array<string>>} Instance ids that were re-attached
+ */
+async function adoptRunningServers() {
+  const records = appStore.get(RUNNING_SERVERS_KEY) || {};
+  const adopted = [];
+
+  for (const record of Object.values(records)) {
+    let attached = false;
+    try {
+      attached = await adoptServer(record);
+    } catch (error) {
+      logger.warn(`Could not re-attach to server: ${error.message}`, {
+        category: 'server',
+        instanceId: record && record.instanceId,
+        data: { service: 'ServerManager', operation: 'adoptRunningServers', errorType: error.constructor.name }
+      });
+    }
+    if (attached) {
+      adopted.push(record.instanceId);
+    } else if (record && record.instanceId && !isInstanceRunning({ instanceId: record.instanceId })) {
+      forgetRunningServer(record.instanceId);
+    }
+  }
+
+  return adopted;
+}
+
 function getServerState(selector = {}) {
   const state = getState(selector);
   if (!state) {
@@ -792,7 +1235,8 @@ function getServerState(selector = {}) {
       status: 'stopped',
       port: 25565,
       targetPath: null,
-      loader: 'vanilla'
+      loader: 'vanilla',
+      performance: null
     };
   }
 
@@ -809,7 +1253,8 @@ function getServerState(selector = {}) {
     status: state.status,
     port: state.port,
     targetPath: state.targetPath,
-    loader: state.loader
+    loader: state.loader,
+    performance: getPerformanceSnapshot(state.performance)
   };
 }
 
@@ -975,6 +1420,10 @@ module.exports = {
   killMinecraftServer,
   shutdownMinecraftServer,
   sendServerCommand,
+  executeServerCommand,
+  probeExternalServer,
+  adoptRunningServers,
+  waitForLogLine,
   getServerState,
   getAllServerStates,
   getServerProcess,
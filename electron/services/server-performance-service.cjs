@@ -0,0 +1,361 @@
+// Server performance telemetry
+// TPS and MSPT are sampled over RCON with whichever command the server understands:
+// `/tick query` on 1.20.3+, `/forge tps` or `/neoforge tps` on modded servers. Servers without
+// RCON, or without any of those commands, fall back to an estimate from the "Can't keep up!"
+// warnings in their log. Entity counts per dimension come from `/execute ... if entity @e`.
+
+const { getLoggerHandlers } = require('../ipc/logger-handlers.cjs');
+
+const logger = getLoggerHandlers();
+
+const TARGET_TPS = 20;
+const TARGET_MSPT = 1000 / TARGET_TPS;
+const SAMPLE_INTERVAL_MS = 15000;
+// Entity counts cost a command per dimension, so they are refreshed every few samples
+const ENTITY_SAMPLE_EVERY = 4;
+// 30 minutes of history at the sample interval
+const MAX_SAMPLES = 120;
+const MAX_LAG_EVENTS = 50;
+const MAX_DIMENSIONS = 8;
+// "Can't keep up!" warnings within this window count towards the log estimate and the lag alert
+const LAG_WINDOW_MS = 60000;
+const LAG_TPS_THRESHOLD = 18;
+
+const VANILLA_DIMENSIONS = ['minecraft:overworld', 'minecraft:the_nether', 'minecraft:the_end'];
+// Dimension ids printed by 1.12 Forge
+const LEGACY_DIMENSION_IDS = { '0': 'minecraft:overworld', '-1': 'minecraft:the_nether', '1': 'minecraft:the_end' };
+
+const STRATEGY_COMMANDS = {
+  tick: 'tick query',
+  forge: 'forge tps',
+  neoforge: 'neoforge tps'
+};
+
+const LAG_PATTERN = /Can't keep up! Is the server overloaded\? Running (\d+)ms or (\d+) ticks behind/;
+
+function stripFormatting(text) {
+  return String(text || '').replace(/§[0-9a-fk-or]/gi, '');
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function tpsFromMspt(mspt, targetTps = TARGET_TPS) {
+  return mspt > 0 ? Math.min(targetTps, 1000 / mspt) : targetTps;
+}
+
+/**
+ * Parse the response of `/tick query` (Minecraft 1.20.3+)
+ * RCON joins multi-message responses without separators, so the text is matched as a whole.
+ * @param {string} text
+ * @returns {{tps: number, mspt: number, percentiles: {p50: number, p95: number, p99: number}|null}|null}
+ */
+function parseTickQuery(text) {
+  const clean = stripFormatting(text);
+  const average = clean.match(/Average time per tick:\s*([\d.]+)\s*ms/i);
+  if (!average) return null;
+
+  const rate = clean.match(/Target tick rate:\s*([\d.]+)/i);
+  const targetTps = rate ? parseFloat(rate[1]) : TARGET_TPS;
+  const mspt = parseFloat(average[1]);
+  const percentiles = clean.match(/P50:\s*([\d.]+)\s*ms\s*P95:\s*([\d.]+)\s*ms\s*P99:\s*([\d.]+)\s*ms/i);
+
+  return {
+    tps: round(tpsFromMspt(mspt, targetTps)),
+    mspt: round(mspt),
+    percentiles: percentiles
+      ? { p50: parseFloat(percentiles[1]), p95: parseFloat(percentiles[2]), p99: parseFloat(percentiles[3]) }
+      : null
+  };
+}
+
+function normalizeDimensionId(name) {
+  const id = name.replace(/\s*\(.*\)\s*$/, '').trim();
+  if (Object.prototype.hasOwnProperty.call(LEGACY_DIMENSION_IDS, id)) return LEGACY_DIMENSION_IDS[id];
+  return /^-?\d+$/.test(id) ? `DIM${id}` : id;
+}
+
+/**
+ * Parse the response of `/forge tps` or `/neoforge tps`
+ * Understands the "Mean tick time: X ms. Mean TPS: Y" lines of Forge and older NeoForge
+ * as well as the "Y TPS (X ms/tick)" lines of newer NeoForge.
+ * @param {string} text
+ * @returns {{tps: number, mspt: number, dimensions: Array<{id: string, tps: number, mspt: number}>}|null}
+ */
+function parseForgeTps(text) {
+  const clean = stripFormatting(text);
+  const entries = [];
+
+  for (const match of clean.matchAll(/(?:Dim\s+(.+?)|(Overall))\s*:\s*Mean tick time:\s*([\d.]+)\s*ms\.?\s*Mean TPS:\s*([\d.]+)/gi)) {
+    entries.push({ name: match[2] || match[1], mspt: parseFloat(match[3]), tps: parseFloat(match[4]) });
+  }
+  for (const match of clean.matchAll(/(Overall|[a-z0-9_.-]+:[a-z0-9_./-]+)\s*:\s*([\d.]+)\s*TPS\s*\(([\d.]+)\s*ms\/tick\)/gi)) {
+    entries.push({ name: match[1], tps: parseFloat(match[2]), mspt: parseFloat(match[3]) });
+  }
+  if (entries.length === 0) return null;
+
+  const overall = entries.find(entry => entry.name.toLowerCase() === 'overall');
+  const dimensions = entries
+    .filter(entry => entry !== overall)
+    .map(entry => ({ id: normalizeDimensionId(entry.name), tps: round(entry.tps), mspt: round(entry.mspt) }));
+
+  // Dimensions tick one after another, so their tick times add up
+  const mspt = overall ? overall.mspt : dimensions.reduce((sum, dimension) => sum + dimension.mspt, 0);
+  return {
+    tps: round(overall ? overall.tps : tpsFromMspt(mspt)),
+    mspt: round(mspt),
+    dimensions
+  };
+}
+
+/**
+ * Parse the response of `/execute in <dimension> if entity @e`
+ * @param {string} text
+ * @returns {number|null} Entity count, or null when the server did not understand the command
+ */
+function parseEntityCount(text) {
+  const clean = stripFormatting(text);
+  const match = clean.match(/Test passed, count:\s*(\d+)/i);
+  if (match) return parseInt(match[1], 10);
+  return /Test failed/i.test(clean) ? 0 : null;
+}
+
+/**
+ * Recognize a "Can't keep up!" warning in a console/log line
+ * @param {string} line
+ * @returns {{behindMs: number, ticks: number}|null}
+ */
+function parseLagLine(line) {
+  const match = String(line || '').match(LAG_PATTERN);
+  return match ? { behindMs: parseInt(match[1], 10), ticks: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Fresh telemetry state for one server run
+ * @returns {Object}
+ */
+function createPerformanceTracker() {
+  return {
+    strategy: null,
+    failedStrategies: [],
+    entitiesUnsupported: false,
+    samples: [],
+    lagEvents: [],
+    dimensions: [],
+    sampleCount: 0,
+    lagging: false
+  };
+}
+
+function strategiesFor(loader) {
+  switch (String(loader || '').toLowerCase()) {
+    case 'forge':
+      return ['forge', 'tick'];
+    case 'neoforge':
+      return ['neoforge', 'forge', 'tick'];
+    default:
+      return ['tick'];
+  }
+}
+
+function recentLagEvents(tracker, now) {
+  return tracker.lagEvents.filter(event => now - event.at <= LAG_WINDOW_MS);
+}
+
+/**
+ * Record a console line; "Can't keep up!" warnings feed the log estimate and the lag alert
+ * @param {Object} tracker
+ * @param {string} line
+ * @param {number} [now]
+ * @returns {boolean} Whether the line was a lag warning
+ */
+function recordLagLine(tracker, line, now = Date.now()) {
+  const lag = parseLagLine(line);
+  if (!tracker || !lag) return false;
+  tracker.lagEvents.push({ at: now, ...lag });
+  if (tracker.lagEvents.length > MAX_LAG_EVENTS) {
+    tracker.lagEvents.splice(0, tracker.lagEvents.length - MAX_LAG_EVENTS);
+  }
+  return true;
+}
+
+/**
+ * TPS/MSPT estimated from the time the server reported falling behind in the last minute
+ * @param {Object} tracker
+ * @param {number} [now]
+ * @returns {{tps: number, mspt: number}}
+ */
+function estimateFromLag(tracker, now = Date.now()) {
+  const behindMs = recentLagEvents(tracker, now).reduce((sum, event) => sum + event.behindMs, 0);
+  const mspt = TARGET_MSPT * (LAG_WINDOW_MS + behindMs) / LAG_WINDOW_MS;
+  return { tps: round(tpsFromMspt(mspt)), mspt: round(mspt) };
+}
+
+async function queryTickRate(tracker, loader, runCommand) {
+  const candidates = tracker.strategy
+    ? [tracker.strategy]
+    : strategiesFor(loader).filter(strategy => !tracker.failedStrategies.includes(strategy));
+
+  for (const strategy of candidates) {
+    const response = await runCommand(STRATEGY_COMMANDS[strategy]);
+    const parsed = strategy === 'tick' ? parseTickQuery(response) : parseForgeTps(response);
+    if (parsed) {
+      if (tracker.strategy !== strategy) {
+        tracker.strategy = strategy;
+        logger.info('Sampling server performance', {
+          category: 'server',
+          data: {
+            service: 'ServerPerformanceService',
+            operation: 'queryTickRate',
+            strategy,
+            command: STRATEGY_COMMANDS[strategy]
+          }
+        });
+      }
+      return { ...parsed, source: strategy };
+    }
+    // Unknown command; do not ask again during this run. A command that worked before keeps its place.
+    if (tracker.strategy !== strategy) tracker.failedStrategies.push(strategy);
+  }
+  return null;
+}
+
+async function queryEntityCounts(tracker, dimensionIds, runCommand) {
+  const counts = {};
+  for (const id of dimensionIds.slice(0, MAX_DIMENSIONS)) {
+    const count = parseEntityCount(await runCommand(`execute in ${id} if entity @e`));
+    if (count === null) {
+      // Pre-1.13 servers have no /execute ... if
+      if (Object.keys(counts).length === 0) tracker.entitiesUnsupported = true;
+      continue;
+    }
+    counts[id] = count;
+  }
+  return counts;
+}
+
+/**
+ * Take one performance sample and add it to the tracker's history
+ * @param {Object} tracker - From createPerformanceTracker
+ * @param {Object} options
+ * @param {string} [options.loader] - Server loader; decides which tps command is tried first
+ * @param {function(string): Promise<string>|null} [options.runCommand] - Runs a command over RCON; without it the log estimate is used
+ * @param {number} [now]
+ * @returns {Promise<{at: number, tps: number, mspt: number, source: string}>}
+ */
+async function sampleServerPerformance(tracker, { loader = null, runCommand = null } = {}, now = Date.now()) {
+  let measured = null;
+  if (runCommand) {
+    try {
+      measured = await queryTickRate(tracker, loader, runCommand);
+    } catch (error) {
+      logger.debug('Performance query failed, using log estimate', {
+        category: 'server',
+        data: {
+          service: 'ServerPerformanceService',
+          operation: 'sampleServerPerformance',
+          errorMessage: error.message
+        }
+      });
+    }
+  }
+
+  const sample = measured
+    ? { at: now, tps: measured.tps, mspt: measured.mspt, source: measured.source }
+    : { at: now, ...estimateFromLag(tracker, now), source: 'log' };
+  if (measured?.percentiles) sample.percentiles = measured.percentiles;
+
+  tracker.sampleCount += 1;
+  tracker.samples.push(sample);
+  if (tracker.samples.length > MAX_SAMPLES) {
+    tracker.samples.splice(0, tracker.samples.length - MAX_SAMPLES);
+  }
+
+  const previous = new Map(tracker.dimensions.map(dimension => [dimension.id, dimension]));
+  let dimensions = measured?.dimensions?.length
+    ? measured.dimensions.map(dimension => ({ ...dimension, entities: previous.get(dimension.id)?.entities ?? null }))
+    : [...previous.values()];
+
+  const wantEntities = runCommand && !tracker.entitiesUnsupported
+    && (tracker.sampleCount === 1 || tracker.sampleCount % ENTITY_SAMPLE_EVERY === 0);
+  if (wantEntities) {
+    const ids = dimensions.length > 0 ? dimensions.map(dimension => dimension.id) : VANILLA_DIMENSIONS;
+    try {
+      const counts = await queryEntityCounts(tracker, ids, runCommand);
+      const byId = new Map(dimensions.map(dimension => [dimension.id, dimension]));
+      for (const [id, entities] of Object.entries(counts)) {
+        byId.set(id, { id, tps: null, mspt: null, ...byId.get(id), entities });
+      }
+      dimensions = [...byId.values()];
+    } catch (error) {
+      logger.debug('Entity count query failed', {
+        category: 'server',
+        data: {
+          service: 'ServerPerformanceService',
+          operation: 'sampleServerPerformance',
+          errorMessage: error.message
+        }
+      });
+    }
+  }
+  tracker.dimensions = dimensions;
+
+  const lagging = isLagging(tracker, now);
+  if (lagging !== tracker.lagging) {
+    tracker.lagging = lagging;
+    logger[lagging ? 'warn' : 'info'](lagging ? 'Server is lagging' : 'Server caught up', {
+      category: 'server',
+      data: {
+        service: 'ServerPerformanceService',
+        operation: 'sampleServerPerformance',
+        tps: sample.tps,
+        mspt: sample.mspt,
+        source: sample.source
+      }
+    });
+  }
+  return sample;
+}
+
+function isLagging(tracker, now) {
+  const latest = tracker.samples[tracker.samples.length - 1];
+  if (latest && latest.source !== 'log' && latest.tps < LAG_TPS_THRESHOLD) return true;
+  return recentLagEvents(tracker, now).length > 0;
+}
+
+/**
+ * Current values, history and lag state for the renderer
+ * @param {Object|null} tracker
+ * @param {number} [now]
+ * @returns {Object|null}
+ */
+function getPerformanceSnapshot(tracker, now = Date.now()) {
+  if (!tracker || tracker.samples.length === 0) return null;
+  const recentLag = recentLagEvents(tracker, now);
+  return {
+    current: tracker.samples[tracker.samples.length - 1],
+    history: tracker.samples.map(({ at, tps, mspt }) => ({ at, tps, mspt })),
+    dimensions: tracker.dimensions.map(dimension => ({ ...dimension })),
+    lagging: isLagging(tracker, now),
+    lagWarnings: recentLag.length,
+    lastLagWarning: tracker.lagEvents.length > 0 ? { ...tracker.lagEvents[tracker.lagEvents.length - 1] } : null,
+    sampleIntervalMs: SAMPLE_INTERVAL_MS
+  };
+}
+
+module.exports = {
+  TARGET_TPS,
+  SAMPLE_INTERVAL_MS,
+  LAG_TPS_THRESHOLD,
+  parseTickQuery,
+  parseForgeTps,
+  parseEntityCount,
+  parseLagLine,
+  createPerformanceTracker,
+  recordLagLine,
+  estimateFromLag,
+  sampleServerPerformance,
+  getPerformanceSnapshot
+};
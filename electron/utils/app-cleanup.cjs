@@ -104,6 +104,10 @@ function clearAllIntervals() {
     // Clear server manager intervals
     const { clearIntervals: clearServerIntervals } = require('../services/server-manager.cjs');
     clearServerIntervals();
+
+    // Write out player session history that is still waiting to be saved
+    const { flushPlayerSessions } = require('../services/player-session-service.cjs');
+    flushPlayerSessions();
     
     // Clear management server intervals
     const { getManagementServer } = require('../services/management-server.cjs');
@@ -115,6 +119,10 @@ function clearAllIntervals() {
     // Clear backup intervals
     const { clearBackupIntervals } = require('../ipc/backup-handlers.cjs');
     clearBackupIntervals();
+
+    // Stop scheduled task runner
+    const { stopScheduledTasks } = require('../services/scheduled-tasks.cjs');
+    stopScheduledTasks();
   } catch {
     // Backup service cleanup failed - non-critical
   }
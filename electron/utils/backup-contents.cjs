@@ -0,0 +1,278 @@
+// Classify the files inside a backup (zip or snapshot) so individual pieces can
+// be restored: dimensions, region files by coordinate, player data, datapacks
+// and config files. Paths are always '/'-separated archive paths.
+
+const REGION_FILE_PATTERN = /^r\.(-?\d+)\.(-?\d+)\.mca$/;
+// Folders that hold per-region files; entities and poi share the region's r.X.Z.mca name
+const DIMENSION_FOLDERS = ['region', 'entities', 'poi'];
+const PLAYER_FILE_PATTERNS = [
+  { folder: 'playerdata', pattern: /^([0-9a-f-]{36})\.dat(_old)?$/i },
+  { folder: 'advancements', pattern: /^([0-9a-f-]{36})\.json$/i },
+  { folder: 'stats', pattern: /^([0-9a-f-]{36})\.json$/i }
+];
+const CONFIG_FILE_PATTERN = /\.(properties|json|ya?ml|toml|txt|cfg|conf|ini)$/i;
+// Blocks per region file along one axis
+const REGION_SIZE = 512;
+
+/**
+ * Normalize archive entry paths ('\\' to '/', no leading or trailing slashes)
+ * @param {string} entryPath
+ * @returns {string}
+ */
+function normalizeEntryPath(entryPath) {
+  return String(entryPath || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Region coordinate containing a block coordinate
+ * @param {number} block
+ * @returns {number}
+ */
+function blockToRegion(block) {
+  return Math.floor(Number(block) / REGION_SIZE);
+}
+
+function describeDimension(base) {
+  const segments = base.split('/');
+  const last = segments[segments.length - 1];
+  if (segments.length === 1) {
+    return { label: 'Overworld', key: 'minecraft:overworld' };
+  }
+  if (last === 'DIM-1') {
+    return { label: 'The Nether', key: 'minecraft:the_nether' };
+  }
+  if (last === 'DIM1') {
+    return { label: 'The End', key: 'minecraft:the_end' };
+  }
+  const dimensionsIndex = segments.indexOf('dimensions');
+  if (dimensionsIndex !== -1 && segments.length >= dimensionsIndex + 3) {
+    const key = `${segments[dimensionsIndex + 1]}:${segments.slice(dimensionsIndex + 2).join('/')}`;
+    return { label: key, key };
+  }
+  return { label: base, key: base };
+}
+
+/**
+ * Work out what a single file inside a backup is
+ * @param {string} entryPath
+ * @returns {{kind: 'region', dimension: string, folder: string, x: number, z: number}
+ *   | {kind: 'player', uuid: string}
+ *   | {kind: 'datapack', id: string, name: string}
+ *   | {kind: 'config'}
+ *   | {kind: 'other'}}
+ */
+function classifyEntry(entryPath) {
+  const normalized = normalizeEntryPath(entryPath);
+  const segments = normalized.split('/');
+  const fileName = segments[segments.length - 1];
+
+  if (segments.length >= 3) {
+    const folder = segments[segments.length - 2];
+    const regionMatch = REGION_FILE_PATTERN.exec(fileName);
+    if (regionMatch && DIMENSION_FOLDERS.includes(folder)) {
+      return {
+        kind: 'region',
+        dimension: segments.slice(0, -2).join('/'),
+        folder,
+        x: Number(regionMatch[1]),
+        z: Number(regionMatch[2])
+      };
+    }
+
+    if (segments.length === 3) {
+      for (const { folder: playerFolder, pattern } of PLAYER_FILE_PATTERNS) {
+        const playerMatch = folder === playerFolder ? pattern.exec(fileName) : null;
+        if (playerMatch) {
+          return { kind: 'player', uuid: playerMatch[1].toLowerCase() };
+        }
+      }
+    }
+  }
+
+  if (segments.length >= 3 && segments[1] === 'datapacks') {
+    return { kind: 'datapack', id: segments.slice(0, 3).join('/'), name: segments[2] };
+  }
+
+  if (segments[0] === 'config' && segments.length >= 2) {
+    return { kind: 'config' };
+  }
+  if (segments.length === 1 && CONFIG_FILE_PATTERN.test(fileName)) {
+    return { kind: 'config' };
+  }
+
+  return { kind: 'other' };
+}
+
+// Plain code-point order so the catalog is the same on every locale
+function byKey(key) {
+  return (a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0);
+}
+
+/**
+ * Build a browsable summary of a backup's contents
+ * @param {Array<{path: string, size?: number, isDirectory?: boolean}>} entries
+ * @returns {{
+ *   dimensions: Array<{id: string, label: string, key: string, regionCount: number, size: number, bounds: {minX: number, maxX: number, minZ: number, maxZ: number}|null}>,
+ *   players: Array<{uuid: string, size: number, files: number}>,
+ *   datapacks: Array<{id: string, name: string, size: number}>,
+ *   configs: Array<{path: string, size: number}>,
+ *   fileCount: number,
+ *   totalSize: number
+ * }}
+ */
+function buildBackupCatalog(entries) {
+  const dimensions = new Map();
+  const players = new Map();
+  const datapacks = new Map();
+  const configs = [];
+  let fileCount = 0;
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+    const entryPath = normalizeEntryPath(entry.path);
+    const size = Number(entry.size) || 0;
+    fileCount++;
+    totalSize += size;
+
+    const info = classifyEntry(entryPath);
+    if (info.kind === 'region') {
+      let dimension = dimensions.get(info.dimension);
+      if (!dimension) {
+        dimension = { id: info.dimension, ...describeDimension(info.dimension), regions: new Set(), size: 0, bounds: null };
+        dimensions.set(info.dimension, dimension);
+      }
+      dimension.size += size;
+      if (info.folder === 'region') {
+        dimension.regions.add(`${info.x},${info.z}`);
+        const bounds = dimension.bounds || { minX: info.x, maxX: info.x, minZ: info.z, maxZ: info.z };
+        bounds.minX = Math.min(bounds.minX, info.x);
+        bounds.maxX = Math.max(bounds.maxX, info.x);
+        bounds.minZ = Math.min(bounds.minZ, info.z);
+        bounds.maxZ = Math.max(bounds.maxZ, info.z);
+        dimension.bounds = bounds;
+      }
+    } else if (info.kind === 'player') {
+      const player = players.get(info.uuid) || { uuid: info.uuid, size: 0, files: 0 };
+      player.size += size;
+      player.files++;
+      players.set(info.uuid, player);
+    } else if (info.kind === 'datapack') {
+      const datapack = datapacks.get(info.id) || { id: info.id, name: info.name, size: 0 };
+      datapack.size += size;
+      datapacks.set(info.id, datapack);
+    } else if (info.kind === 'config') {
+      configs.push({ path: entryPath, size });
+    }
+  }
+
+  return {
+    dimensions: Array.from(dimensions.values())
+      .map(({ regions, ...dimension }) => ({ ...dimension, regionCount: regions.size }))
+      .sort(byKey('id')),
+    players: Array.from(players.values()).sort(byKey('uuid')),
+    datapacks: Array.from(datapacks.values()).sort(byKey('id')),
+    configs: configs.sort(byKey('path')),
+    fileCount,
+    totalSize
+  };
+}
+
+function toRegionRange(range) {
+  const xs = [blockToRegion(range.fromX), blockToRegion(range.toX)];
+  const zs = [blockToRegion(range.fromZ), blockToRegion(range.toZ)];
+  return {
+    dimension: normalizeEntryPath(range.dimension),
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minZ: Math.min(...zs),
+    maxZ: Math.max(...zs)
+  };
+}
+
+/**
+ * Validate a selective restore request
+ * @param {Object} selection
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateRestoreSelection(selection) {
+  if (!selection || typeof selection !== 'object') {
+    return { valid: false, error: 'Selection is required' };
+  }
+  const lists = ['dimensions', 'regions', 'players', 'datapacks', 'configs'];
+  for (const key of lists) {
+    if (selection[key] !== undefined && !Array.isArray(selection[key])) {
+      return { valid: false, error: `${key} must be an array` };
+    }
+  }
+  for (const range of selection.regions || []) {
+    if (!range || typeof range.dimension !== 'string' || !range.dimension) {
+      return { valid: false, error: 'Each region range needs a dimension' };
+    }
+    for (const key of ['fromX', 'fromZ', 'toX', 'toZ']) {
+      if (!Number.isFinite(Number(range[key])) || range[key] === null || range[key] === '') {
+        return { valid: false, error: `Region range ${key} must be a number` };
+      }
+    }
+  }
+  if (!lists.some(key => Array.isArray(selection[key]) && selection[key].length > 0)) {
+    return { valid: false, error: 'Nothing selected to restore' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Pick the archive files a selection refers to
+ * @param {Array<{path: string, isDirectory?: boolean}>} entries
+ * @param {{dimensions?: Array<string>, regions?: Array<{dimension: string, fromX: number, fromZ: number, toX: number, toZ: number}>, players?: Array<string>, datapacks?: Array<string>, configs?: Array<string>}} selection
+ *   Region ranges are inclusive block coordinates
+ * @returns {{files: Array<string>, clearFolders: Array<string>}} clearFolders are live folders to empty
+ *   first so a restored dimension does not keep chunks generated after the backup
+ */
+function resolveRestoreSelection(entries, selection) {
+  const dimensionIds = new Set((selection.dimensions || []).map(normalizeEntryPath));
+  const regionRanges = (selection.regions || []).map(toRegionRange);
+  const playerIds = new Set((selection.players || []).map(uuid => String(uuid).toLowerCase()));
+  const datapackIds = new Set((selection.datapacks || []).map(normalizeEntryPath));
+  const configPaths = new Set((selection.configs || []).map(normalizeEntryPath));
+
+  const files = [];
+  const clearFolders = new Set();
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+    const entryPath = normalizeEntryPath(entry.path);
+    const info = classifyEntry(entryPath);
+    let selected = false;
+
+    if (info.kind === 'region') {
+      if (dimensionIds.has(info.dimension)) {
+        selected = true;
+        clearFolders.add(`${info.dimension}/${info.folder}`);
+      } else {
+        selected = regionRanges.some(range => range.dimension === info.dimension
+          && info.x >= range.minX && info.x <= range.maxX
+          && info.z >= range.minZ && info.z <= range.maxZ);
+      }
+    } else if (info.kind === 'player') {
+      selected = playerIds.has(info.uuid);
+    } else if (info.kind === 'datapack') {
+      selected = datapackIds.has(info.id);
+    } else if (info.kind === 'config') {
+      selected = configPaths.has(entryPath);
+    }
+
+    if (selected) files.push(entryPath);
+  }
+
+  return { files, clearFolders: Array.from(clearFolders).sort() };
+}
+
+module.exports = {
+  REGION_SIZE,
+  normalizeEntryPath,
+  blockToRegion,
+  classifyEntry,
+  buildBackupCatalog,
+  validateRestoreSelection,
+  resolveRestoreSelection
+};
@@ -0,0 +1,380 @@
+// Authenticated encryption for backup files (zip archives, snapshot manifests,
+// snapshot chunks and metadata sidecars).
+//
+// File layout:
+//   MAGIC (6 bytes) | header length (uint16 BE) | header JSON | chunk*
+//   chunk = ciphertext length (uint32 BE) | ciphertext | GCM tag (16 bytes)
+//
+// Data is split into CHUNK_SIZE pieces, each sealed with AES-256-GCM. The nonce is
+// a random per-file prefix plus the chunk index, and the additional data binds the
+// header, the chunk index and whether the chunk is the last one, so chunks cannot
+// be reordered, dropped or the file truncated without detection.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MAGIC = Buffer.from('MCBENC', 'ascii');
+const FORMAT_VERSION = 1;
+const CHUNK_SIZE = 1024 * 1024;
+const KEY_LENGTH = 32;
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const HEADER_PROBE_BYTES = 4096;
+// ~32 MiB of memory and a fraction of a second per derivation
+const DEFAULT_SCRYPT = Object.freeze({ N: 32768, r: 8, p: 1 });
+
+class BackupKeyError extends Error {
+  constructor(message, keyId) {
+    super(message);
+    this.name = 'BackupKeyError';
+    this.keyId = keyId;
+  }
+}
+
+/**
+ * Short identifier for a key, stored in file headers to pick the right key
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+/**
+ * @param {string} passphrase
+ * @param {{salt?: string, N?: number, r?: number, p?: number}} [params] - Omit to create a new salt
+ * @returns {Promise<{key: Buffer, kdf: {name: string, salt: string, N: number, r: number, p: number}}>}
+ */
+function deriveKey(passphrase, params = {}) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    return Promise.reject(new Error('Passphrase is required'));
+  }
+  const kdf = {
+    name: 'scrypt',
+    salt: params.salt || crypto.randomBytes(16).toString('base64'),
+    N: params.N || DEFAULT_SCRYPT.N,
+    r: params.r || DEFAULT_SCRYPT.r,
+    p: params.p || DEFAULT_SCRYPT.p
+  };
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }, (err, key) => (err ? reject(err) : resolve({ key, kdf })));
+  });
+}
+
+function buildPrefix(header) {
+  const json = Buffer.from(JSON.stringify(header), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(json.length);
+  return Buffer.concat([MAGIC, length, json]);
+}
+
+function chunkNonce(noncePrefix, index) {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  return nonce;
+}
+
+function chunkAad(prefix, index, final) {
+  const suffix = Buffer.alloc(5);
+  suffix.writeUInt32BE(index, 0);
+  suffix[4] = final ? 1 : 0;
+  return Buffer.concat([prefix, suffix]);
+}
+
+function sealChunk(key, prefix, noncePrefix, index, plain, final) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index));
+  cipher.setAAD(chunkAad(prefix, index, final));
+  const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(ciphertext.length);
+  return Buffer.concat([length, ciphertext, cipher.getAuthTag()]);
+}
+
+function openChunk(key, prefix, noncePrefix, index, ciphertext, tag, final) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index));
+  decipher.setAAD(chunkAad(prefix, index, final));
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    throw new Error('Encrypted backup data is damaged or the key is wrong');
+  }
+}
+
+/**
+ * Whether data starts with the encrypted backup marker
+ * @param {Buffer} data
+ */
+function isEncryptedData(data) {
+  return Buffer.isBuffer(data) && data.length >= MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Parse the header at the start of encrypted data
+ * @param {Buffer} data
+ * @returns {{header: Object, prefix: Buffer}|null} null when the data is not encrypted
+ */
+function parseHeader(data) {
+  if (!isEncryptedData(data) || data.length < MAGIC.length + 2) return null;
+  const length = data.readUInt16BE(MAGIC.length);
+  const end = MAGIC.length + 2 + length;
+  if (data.length < end) {
+    throw new Error('Encrypted backup header is truncated');
+  }
+  const header = JSON.parse(data.subarray(MAGIC.length + 2, end).toString('utf8'));
+  if (header.version > FORMAT_VERSION) {
+    throw new Error(`Encrypted backup format version ${header.version} is not supported`);
+  }
+  return { header, prefix: data.subarray(0, end) };
+}
+
+/**
+ * Read just the encryption header of a file
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} null when the file is not encrypted
+ */
+async function readFileHeader(filePath) {
+  const handle = await fsp.open(filePath, 'r');
+  try {
+    const probe = Buffer.alloc(HEADER_PROBE_BYTES);
+    const { bytesRead } = await handle.read(probe, 0, HEADER_PROBE_BYTES, 0);
+    const parsed = parseHeader(probe.subarray(0, bytesRead));
+    return parsed ? parsed.header : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function createHeader({ keyId, kdf }) {
+  const header = {
+    version: FORMAT_VERSION,
+    cipher: 'aes-256-gcm',
+    keyId,
+    chunkSize: CHUNK_SIZE,
+    nonce: crypto.randomBytes(NONCE_PREFIX_LENGTH).toString('base64')
+  };
+  if (kdf) header.kdf = kdf;
+  return header;
+}
+
+/**
+ * Encrypt a whole buffer
+ * @param {Buffer} plain
+ * @param {{key: Buffer, keyId: string, kdf?: Object}} keyInfo - kdf is recorded so a passphrase can re-derive the key
+ * @returns {Buffer}
+ */
+function encryptBuffer(plain, keyInfo) {
+  const header = createHeader(keyInfo);
+  const prefix = buildPrefix(header);
+  const noncePrefix = Buffer.from(header.nonce, 'base64');
+  const parts = [prefix];
+  let index = 0;
+  let offset = 0;
+  do {
+    const end = Math.min(offset + CHUNK_SIZE, plain.length);
+    parts.push(sealChunk(keyInfo.key, prefix, noncePrefix, index++, plain.subarray(offset, end), end >= plain.length));
+    offset = end;
+  } while (offset < plain.length);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decrypt a whole buffer
+ * @param {Buffer} data
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function decryptBuffer(data, key) {
+  const parsed = parseHeader(data);
+  if (!parsed) throw new Error('Data is not encrypted');
+  const { header, prefix } = parsed;
+  const noncePrefix = Buffer.from(header.nonce, 'base64');
+  const parts = [];
+  let offset = prefix.length;
+  let index = 0;
+  let final = false;
+  while (!final) {
+    if (offset + 4 > data.length) throw new Error('Encrypted backup data is truncated');
+    const length = data.readUInt32BE(offset);
+    const end = offset + 4 + length + TAG_LENGTH;
+    if (end > data.length) throw new Error('Encrypted backup data is truncated');
+    final = end === data.length;
+    parts.push(openChunk(
+      key,
+      prefix,
+      noncePrefix,
+      index++,
+      data.subarray(offset + 4, offset + 4 + length),
+      data.subarray(end - TAG_LENGTH, end),
+      final
+    ));
+    offset = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Transform stream that encrypts everything written to it
+ * @param {{key: Buffer, keyId: string, kdf?: Object}} keyInfo
+ */
+function createEncryptStream(keyInfo) {
+  const header = createHeader(keyInfo);
+  const prefix = buildPrefix(header);
+  const noncePrefix = Buffer.from(header.nonce, 'base64');
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let started = false;
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      if (!started) {
+        this.push(prefix);
+        started = true;
+      }
+      pending = Buffer.concat([pending, chunk]);
+      // Keep at least one full chunk back: only flush() knows which one is last
+      while (pending.length > CHUNK_SIZE) {
+        this.push(sealChunk(keyInfo.key, prefix, noncePrefix, index++, pending.subarray(0, CHUNK_SIZE), false));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (!started) this.push(prefix);
+      this.push(sealChunk(keyInfo.key, prefix, noncePrefix, index, pending, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * Transform stream that decrypts encrypted backup data
+ * @param {(keyId: string, header: Object) => Buffer|null} resolveKey
+ */
+function createDecryptStream(resolveKey) {
+  let buffer = Buffer.alloc(0);
+  let state = null;
+
+  function takeChunk(final) {
+    const length = buffer.readUInt32BE(0);
+    const end = 4 + length + TAG_LENGTH;
+    const plain = openChunk(
+      state.key,
+      state.prefix,
+      state.noncePrefix,
+      state.index++,
+      buffer.subarray(4, 4 + length),
+      buffer.subarray(end - TAG_LENGTH, end),
+      final
+    );
+    buffer = buffer.subarray(end);
+    return plain;
+  }
+
+  function completeChunkLength() {
+    if (buffer.length < 4) return 0;
+    const end = 4 + buffer.readUInt32BE(0) + TAG_LENGTH;
+    return buffer.length >= end ? end : 0;
+  }
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      try {
+        buffer = Buffer.concat([buffer, chunk]);
+        if (!state) {
+          if (buffer.length < MAGIC.length + 2) return callback();
+          if (!isEncryptedData(buffer)) throw new Error('Data is not encrypted');
+          const headerEnd = MAGIC.length + 2 + buffer.readUInt16BE(MAGIC.length);
+          if (buffer.length < headerEnd) return callback();
+          const { header, prefix } = parseHeader(buffer);
+          const key = resolveKey(header.keyId, header);
+          if (!key) throw new BackupKeyError('No key available for this encrypted backup', header.keyId);
+          state = { key, prefix: Buffer.from(prefix), noncePrefix: Buffer.from(header.nonce, 'base64'), index: 0 };
+          buffer = buffer.subarray(headerEnd);
+        }
+        // A chunk is only known not to be last once bytes follow it
+        let end = completeChunkLength();
+        while (end && buffer.length > end) {
+          this.push(takeChunk(false));
+          end = completeChunkLength();
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!state || completeChunkLength() !== buffer.length || buffer.length === 0) {
+          throw new Error('Encrypted backup data is truncated');
+        }
+        this.push(takeChunk(true));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    }
+  });
+}
+
+/**
+ * Encrypt a file in place (via a temporary file, so a failure leaves the original intact)
+ * @param {string} filePath
+ * @param {{key: Buffer, keyId: string, kdf?: Object}} keyInfo
+ * @returns {Promise<number>} Encrypted size in bytes
+ */
+async function encryptFileInPlace(filePath, keyInfo) {
+  const tempPath = `${filePath}.encrypting`;
+  try {
+    await pipeline(fs.createReadStream(filePath), createEncryptStream(keyInfo), fs.createWriteStream(tempPath));
+    await fsp.rename(tempPath, filePath);
+  } finally {
+    await fsp.rm(tempPath, { force: true }).catch(() => {});
+  }
+  return (await fsp.stat(filePath)).size;
+}
+
+/**
+ * Decrypt a file into memory
+ * @param {string} filePath
+ * @param {(keyId: string, header: Object) => Buffer|null} resolveKey
+ * @returns {Promise<Buffer>}
+ */
+async function decryptFileToBuffer(filePath, resolveKey) {
+  const parts = [];
+  const decrypt = createDecryptStream(resolveKey);
+  decrypt.on('data', part => parts.push(part));
+  await pipeline(fs.createReadStream(filePath), decrypt);
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  MAGIC,
+  CHUNK_SIZE,
+  BackupKeyError,
+  getKeyId,
+  generateKey,
+  deriveKey,
+  isEncryptedData,
+  parseHeader,
+  readFileHeader,
+  encryptBuffer,
+  decryptBuffer,
+  createEncryptStream,
+  createDecryptStream,
+  encryptFileInPlace,
+  decryptFileToBuffer
+};
@@ -0,0 +1,708 @@
+// Content-addressed store for incremental backups.
+// A snapshot is a gzipped JSON manifest (<name>.mcsnap) stored next to the zip
+// backups. File contents are split into fixed-size chunks, hashed with SHA-256
+// and written once to backups/.store/objects/<aa>/<hash>, so region files that
+// did not change between runs cost nothing but a few manifest lines.
+// With backup encryption on, manifests and objects are additionally sealed with
+// the instance key (see backup-crypto.cjs); hashes stay those of the plain data.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { isIgnoredBackupFile, isSnapshotBackup } = require('./backup-util.cjs');
+const { MAGIC, isEncryptedData, parseHeader, encryptBuffer, decryptBuffer } = require('./backup-crypto.cjs');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MANIFEST_FORMAT = 'minecraft-core-snapshot';
+const MANIFEST_VERSION = 1;
+// Anvil region files rewrite individual 4 KiB sectors in place, so a modest
+// fixed chunk size keeps untouched parts of a region file shared
+const CHUNK_SIZE = 256 * 1024;
+const STORE_DIR_NAME = '.store';
+const INDEX_FILE = 'index.json';
+const MAX_REPORTED_PATHS = 20;
+
+// backupDir -> promise tail; serializes snapshot writes and pruning per store
+const storeLocks = new Map();
+// backupDir -> { fingerprint, usage }
+const usageCache = new Map();
+// Object paths already checked to be encrypted, so repeat backups skip the probe
+const encryptedObjects = new Set();
+
+function getStorePaths(backupDir) {
+  const storeDir = path.join(backupDir, STORE_DIR_NAME);
+  return {
+    storeDir,
+    objectsDir: path.join(storeDir, 'objects'),
+    indexPath: path.join(storeDir, INDEX_FILE)
+  };
+}
+
+function getObjectPath(objectsDir, hash) {
+  return path.join(objectsDir, hash.slice(0, 2), hash);
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function toManifestPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Run fn exclusively for the store in backupDir
+ * @template T
+ * @param {string} backupDir
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function withStoreLock(backupDir, fn) {
+  const key = path.resolve(backupDir);
+  const previous = storeLocks.get(key) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  storeLocks.set(key, tail);
+  tail.then(() => {
+    if (storeLocks.get(key) === tail) storeLocks.delete(key);
+  });
+  return run;
+}
+
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fsp.writeFile(tempPath, data);
+  await fsp.rename(tempPath, filePath);
+}
+
+async function rebuildIndex(objectsDir) {
+  const index = new Map();
+  let buckets = [];
+  try {
+    buckets = await fsp.readdir(objectsDir);
+  } catch {
+    return index;
+  }
+  for (const bucket of buckets) {
+    let names = [];
+    try {
+      names = await fsp.readdir(path.join(objectsDir, bucket));
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      if (!/^[0-9a-f]{64}$/.test(name)) continue;
+      try {
+        const stats = await fsp.stat(path.join(objectsDir, bucket, name));
+        index.set(name, stats.size);
+      } catch {
+        // Object disappeared while scanning
+      }
+    }
+  }
+  return index;
+}
+
+async function loadIndex(backupDir) {
+  const { objectsDir, indexPath } = getStorePaths(backupDir);
+  try {
+    const data = JSON.parse(await fsp.readFile(indexPath, 'utf8'));
+    if (data && typeof data.objects === 'object') {
+      return new Map(Object.entries(data.objects));
+    }
+  } catch {
+    // Missing or damaged index is rebuilt from the objects on disk
+  }
+  return rebuildIndex(objectsDir);
+}
+
+async function saveIndex(backupDir, index) {
+  const { storeDir, indexPath } = getStorePaths(backupDir);
+  await fsp.mkdir(storeDir, { recursive: true });
+  await writeFileAtomic(indexPath, JSON.stringify({ version: 1, objects: Object.fromEntries(index) }));
+}
+
+/**
+ * Turn stored bytes (gzip, possibly encrypted) back into plain data
+ * @param {Buffer} data
+ * @param {string} backupDir - Used to look up the instance's keys
+ */
+async function decodeStored(data, backupDir) {
+  if (isEncryptedData(data)) {
+    // Lazy-load: key lookup needs the app store, which plain stores never touch
+    const { requireBackupKey } = require('../services/backup-encryption.cjs');
+    data = decryptBuffer(data, requireBackupKey(backupDir, parseHeader(data).header.keyId));
+  }
+  return gunzip(data);
+}
+
+async function encodeStored(data, level, encryption) {
+  const compressed = await gzip(data, { level });
+  return encryption ? encryptBuffer(compressed, encryption) : compressed;
+}
+
+/**
+ * Read and validate a snapshot manifest
+ * @param {string} snapshotPath
+ * @returns {Promise<Object>}
+ */
+async function readSnapshotManifest(snapshotPath) {
+  const raw = await decodeStored(await fsp.readFile(snapshotPath), path.dirname(snapshotPath));
+  const manifest = JSON.parse(raw.toString('utf8'));
+  if (!manifest || manifest.format !== MANIFEST_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error('Not a valid snapshot manifest');
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`Snapshot format version ${manifest.version} is not supported`);
+  }
+  return manifest;
+}
+
+async function collectEntries(absolutePath, relativePath, entries) {
+  let stats;
+  try {
+    stats = await fsp.lstat(absolutePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  if (stats.isDirectory()) {
+    entries.push({ type: 'dir', path: toManifestPath(relativePath) });
+    const children = await fsp.readdir(absolutePath);
+    for (const child of children) {
+      await collectEntries(path.join(absolutePath, child), path.join(relativePath, child), entries);
+    }
+  } else if (stats.isFile() && !isIgnoredBackupFile(path.basename(absolutePath))) {
+    entries.push({
+      type: 'file',
+      path: toManifestPath(relativePath),
+      absolutePath,
+      size: stats.size,
+      mtimeMs: Math.floor(stats.mtimeMs)
+    });
+  }
+}
+
+async function storeChunk(objectsDir, index, buffer, stats, encryption) {
+  const hash = hashBuffer(buffer);
+  if (!index.has(hash)) {
+    const objectPath = getObjectPath(objectsDir, hash);
+    const compressed = await encodeStored(buffer, 5, encryption);
+    await fsp.mkdir(path.dirname(objectPath), { recursive: true });
+    await writeFileAtomic(objectPath, compressed);
+    index.set(hash, compressed.length);
+    stats.newChunks++;
+    stats.addedSize += compressed.length;
+  }
+  return hash;
+}
+
+// Chunks stored before encryption was turned on are sealed when a new snapshot reuses them
+async function ensureObjectEncrypted(objectsDir, index, hash, encryption) {
+  const objectPath = getObjectPath(objectsDir, hash);
+  if (encryptedObjects.has(objectPath)) return;
+  let handle;
+  try {
+    handle = await fsp.open(objectPath, 'r');
+  } catch (err) {
+    // A missing chunk is reported by verify, not fixed here
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  const probe = Buffer.alloc(MAGIC.length);
+  try {
+    await handle.read(probe, 0, MAGIC.length, 0);
+  } finally {
+    await handle.close();
+  }
+  if (!isEncryptedData(probe)) {
+    const sealed = encryptBuffer(await fsp.readFile(objectPath), encryption);
+    await writeFileAtomic(objectPath, sealed);
+    index.set(hash, sealed.length);
+  }
+  encryptedObjects.add(objectPath);
+}
+
+async function chunkFile(entry, objectsDir, index, stats, encryption) {
+  let handle;
+  try {
+    handle = await fsp.open(entry.absolutePath, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  const chunks = [];
+  let size = 0;
+  try {
+    const buffer = Buffer.allocUnsafe(CHUNK_SIZE);
+    for (;;) {
+      const { bytesRead } = await handle.read(buffer, 0, CHUNK_SIZE, size);
+      if (bytesRead === 0) break;
+      chunks.push(await storeChunk(objectsDir, index, Buffer.from(buffer.subarray(0, bytesRead)), stats, encryption));
+      size += bytesRead;
+      if (bytesRead < CHUNK_SIZE) break;
+    }
+  } finally {
+    await handle.close();
+  }
+  return { chunks, size };
+}
+
+/**
+ * Create an incremental snapshot of the given folders/files
+ * @param {Array<string>} items - Absolute paths to include; each is stored under its base name
+ * @param {string} snapshotPath - Destination .mcsnap path inside the backups folder
+ * @param {Object} [options]
+ * @param {string|null} [options.baseDir] - Store items under their path below this folder instead of their base name
+ * @param {string|null} [options.previousSnapshotPath] - Snapshot whose unchanged files (same size and mtime) are reused without re-reading
+ * @param {{key: Buffer, keyId: string, kdf?: Object}|null} [options.encryption] - Seal the manifest and chunks with this key
+ * @returns {Promise<{fileCount: number, logicalSize: number, chunkCount: number, newChunks: number, reusedFiles: number, addedSize: number, manifestSize: number, skippedFiles: number}>}
+ */
+async function createSnapshot(items, snapshotPath, options = {}) {
+  const backupDir = path.dirname(snapshotPath);
+
+  return withStoreLock(backupDir, async () => {
+    const { objectsDir } = getStorePaths(backupDir);
+    await fsp.mkdir(objectsDir, { recursive: true });
+    const index = await loadIndex(backupDir);
+
+    const previousFiles = new Map();
+    if (options.previousSnapshotPath) {
+      try {
+        const previous = await readSnapshotManifest(options.previousSnapshotPath);
+        for (const entry of previous.entries) {
+          if (entry.type === 'file') previousFiles.set(entry.path, entry);
+        }
+      } catch {
+        // Unreadable previous snapshot only costs us re-hashing
+      }
+    }
+
+    const stats = {
+      fileCount: 0,
+      logicalSize: 0,
+      chunkCount: 0,
+      newChunks: 0,
+      reusedFiles: 0,
+      addedSize: 0,
+      manifestSize: 0,
+      skippedFiles: 0
+    };
+    const partialPath = `${snapshotPath}.partial`;
+
+    try {
+      const collected = [];
+      for (const item of items) {
+        await collectEntries(item, options.baseDir ? path.relative(options.baseDir, item) : path.basename(item), collected);
+      }
+
+      const entries = [];
+      for (const entry of collected) {
+        if (entry.type === 'dir') {
+          entries.push(entry);
+          continue;
+        }
+
+        const previous = previousFiles.get(entry.path);
+        let result;
+        if (previous
+          && previous.size === entry.size
+          && previous.mtimeMs === entry.mtimeMs
+          && previous.chunks.every(hash => index.has(hash))) {
+          result = { chunks: previous.chunks, size: previous.size };
+          stats.reusedFiles++;
+        } else {
+          result = await chunkFile(entry, objectsDir, index, stats, options.encryption);
+          if (!result) {
+            // File vanished since the scan
+            stats.skippedFiles++;
+            continue;
+          }
+        }
+
+        entries.push({ type: 'file', path: entry.path, size: result.size, mtimeMs: entry.mtimeMs, chunks: result.chunks });
+        stats.fileCount++;
+        stats.logicalSize += result.size;
+        stats.chunkCount += result.chunks.length;
+      }
+
+      const manifest = {
+        format: MANIFEST_FORMAT,
+        version: MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        chunkSize: CHUNK_SIZE,
+        roots: items.map(item => path.basename(item)),
+        stats: {
+          fileCount: stats.fileCount,
+          logicalSize: stats.logicalSize,
+          chunkCount: stats.chunkCount
+        },
+        entries
+      };
+      if (options.encryption) {
+        const hashes = new Set(entries.flatMap(entry => entry.chunks || []));
+        for (const hash of hashes) {
+          await ensureObjectEncrypted(objectsDir, index, hash, options.encryption);
+        }
+      }
+
+      const encoded = await encodeStored(Buffer.from(JSON.stringify(manifest)), 9, options.encryption);
+      await fsp.writeFile(partialPath, encoded);
+      await fsp.rename(partialPath, snapshotPath);
+      stats.manifestSize = encoded.length;
+      stats.addedSize += encoded.length;
+      return stats;
+    } catch (err) {
+      await fsp.rm(partialPath, { force: true }).catch(() => {});
+      throw err;
+    } finally {
+      // Objects written before a failure are valid; the next prune drops them if unreferenced
+      await saveIndex(backupDir, index).catch(() => {});
+      usageCache.delete(path.resolve(backupDir));
+    }
+  });
+}
+
+async function readObject(objectsDir, hash) {
+  const data = await decodeStored(await fsp.readFile(getObjectPath(objectsDir, hash)), path.resolve(objectsDir, '..', '..'));
+  if (hashBuffer(data) !== hash) {
+    throw new Error(`Chunk ${hash.slice(0, 12)} is corrupt`);
+  }
+  return data;
+}
+
+function resolveInside(destination, relativePath) {
+  const root = path.resolve(destination);
+  const target = path.resolve(root, ...relativePath.split('/'));
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new Error(`Entry escapes the restore folder: ${relativePath}`);
+  }
+  return target;
+}
+
+/**
+ * Restore a snapshot into destination, overwriting files that exist there
+ * @param {string} snapshotPath
+ * @param {string} destination - Usually the server folder
+ * @param {Object} [options]
+ * @param {(entryPath: string) => boolean} [options.filter] - Only restore entries for which this returns true
+ * @returns {Promise<{fileCount: number, restoredSize: number}>}
+ */
+async function restoreSnapshot(snapshotPath, destination, options = {}) {
+  const manifest = await readSnapshotManifest(snapshotPath);
+  const { objectsDir } = getStorePaths(path.dirname(snapshotPath));
+  const filter = typeof options.filter === 'function' ? options.filter : () => true;
+  let fileCount = 0;
+  let restoredSize = 0;
+
+  for (const entry of manifest.entries) {
+    if (!filter(entry.path)) continue;
+    const target = resolveInside(destination, entry.path);
+
+    if (entry.type === 'dir') {
+      await fsp.mkdir(target, { recursive: true });
+      continue;
+    }
+
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    const handle = await fsp.open(target, 'w');
+    try {
+      for (const hash of entry.chunks) {
+        const data = await readObject(objectsDir, hash);
+        await handle.write(data);
+      }
+    } finally {
+      await handle.close();
+    }
+    if (entry.mtimeMs) {
+      const mtime = new Date(entry.mtimeMs);
+      await fsp.utimes(target, mtime, mtime).catch(() => {});
+    }
+    fileCount++;
+    restoredSize += entry.size;
+  }
+
+  return { fileCount, restoredSize };
+}
+
+/**
+ * Check that every chunk a snapshot references exists and matches its hash
+ * @param {string} snapshotPath
+ * @returns {Promise<{valid: boolean, checkedChunks: number, missingChunks: number, corruptChunks: number, affectedFiles: Array<string>}>}
+ */
+async function verifySnapshot(snapshotPath) {
+  const manifest = await readSnapshotManifest(snapshotPath);
+  const { objectsDir } = getStorePaths(path.dirname(snapshotPath));
+  const results = new Map(); // hash -> 'ok' | 'missing' | 'corrupt'
+  const affectedFiles = [];
+  let missingChunks = 0;
+  let corruptChunks = 0;
+
+  for (const entry of manifest.entries) {
+    if (entry.type !== 'file') continue;
+    let damaged = false;
+    for (const hash of entry.chunks) {
+      if (!results.has(hash)) {
+        let status = 'ok';
+        try {
+          await readObject(objectsDir, hash);
+        } catch (err) {
+          if (err.name === 'BackupKeyError') throw err;
+          status = err.code === 'ENOENT' ? 'missing' : 'corrupt';
+          if (status === 'missing') missingChunks++;
+          else corruptChunks++;
+        }
+        results.set(hash, status);
+      }
+      if (results.get(hash) !== 'ok') damaged = true;
+    }
+    if (damaged && affectedFiles.length < MAX_REPORTED_PATHS) {
+      affectedFiles.push(entry.path);
+    }
+  }
+
+  return {
+    valid: missingChunks === 0 && corruptChunks === 0,
+    checkedChunks: results.size,
+    missingChunks,
+    corruptChunks,
+    affectedFiles
+  };
+}
+
+async function listSnapshotFiles(backupDir) {
+  let names = [];
+  try {
+    names = await fsp.readdir(backupDir);
+  } catch {
+    return [];
+  }
+  const snapshots = [];
+  for (const name of names.filter(isSnapshotBackup)) {
+    try {
+      const stats = await fsp.stat(path.join(backupDir, name));
+      snapshots.push({ name, path: path.join(backupDir, name), size: stats.size, mtimeMs: stats.mtimeMs });
+    } catch {
+      // Removed while listing
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Delete chunks no snapshot references any more
+ * @param {string} backupDir
+ * @returns {Promise<{removedObjects: number, freedBytes: number, skipped?: boolean}>}
+ */
+async function pruneStore(backupDir) {
+  return withStoreLock(backupDir, async () => {
+    const { objectsDir } = getStorePaths(backupDir);
+    if (!fs.existsSync(objectsDir)) {
+      return { removedObjects: 0, freedBytes: 0 };
+    }
+
+    const referenced = new Set();
+    for (const snapshot of await listSnapshotFiles(backupDir)) {
+      try {
+        const manifest = await readSnapshotManifest(snapshot.path);
+        for (const entry of manifest.entries) {
+          if (entry.type === 'file') entry.chunks.forEach(hash => referenced.add(hash));
+        }
+      } catch {
+        // Never delete chunks while a manifest can't be read; they may belong to it
+        return { removedObjects: 0, freedBytes: 0, skipped: true };
+      }
+    }
+
+    const index = await rebuildIndex(objectsDir);
+    let removedObjects = 0;
+    let freedBytes = 0;
+    for (const [hash, size] of index) {
+      if (referenced.has(hash)) continue;
+      try {
+        await fsp.unlink(getObjectPath(objectsDir, hash));
+        index.delete(hash);
+        removedObjects++;
+        freedBytes += size;
+      } catch {
+        // Leave it for the next prune
+      }
+    }
+
+    await saveIndex(backupDir, index);
+    usageCache.delete(path.resolve(backupDir));
+    return { removedObjects, freedBytes };
+  });
+}
+
+/**
+ * Report how much disk space each snapshot really uses.
+ * `size` attributes every chunk to the oldest snapshot that references it, so
+ * sizes add up to the store total; `exclusiveSize` is what deleting the
+ * snapshot would free; `logicalSize` is the size of the restored files.
+ * @param {string} backupDir
+ * @returns {Promise<{totalSize: number, unreferencedSize: number, logicalSize: number, snapshots: Object<string, {size: number, exclusiveSize: number, logicalSize: number, fileCount: number, corrupt?: boolean}>}>}
+ */
+async function getStoreUsage(backupDir) {
+  const key = path.resolve(backupDir);
+  const snapshotFiles = await listSnapshotFiles(backupDir);
+  const { indexPath } = getStorePaths(backupDir);
+  let indexMtime = 0;
+  try {
+    indexMtime = (await fsp.stat(indexPath)).mtimeMs;
+  } catch {
+    // No index yet
+  }
+  const fingerprint = snapshotFiles
+    .map(file => `${file.name}:${file.size}:${file.mtimeMs}`)
+    .sort()
+    .join('|') + `#${indexMtime}`;
+
+  const cached = usageCache.get(key);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.usage;
+  }
+
+  const usage = { totalSize: 0, unreferencedSize: 0, logicalSize: 0, snapshots: {} };
+  if (snapshotFiles.length === 0 && !fs.existsSync(indexPath)) {
+    usageCache.set(key, { fingerprint, usage });
+    return usage;
+  }
+
+  const index = await loadIndex(backupDir);
+  const manifests = [];
+  for (const file of snapshotFiles) {
+    try {
+      const manifest = await readSnapshotManifest(file.path);
+      manifests.push({ file, createdAt: Date.parse(manifest.createdAt) || file.mtimeMs, manifest });
+    } catch {
+      usage.snapshots[file.name] = { size: file.size, exclusiveSize: file.size, logicalSize: 0, fileCount: 0, corrupt: true };
+      usage.totalSize += file.size;
+    }
+  }
+  manifests.sort((a, b) => a.createdAt - b.createdAt);
+
+  // hash -> { owner: oldest snapshot name, count: number of snapshots referencing it }
+  const owners = new Map();
+  for (const { file, manifest } of manifests) {
+    const seen = new Set();
+    let logicalSize = 0;
+    let fileCount = 0;
+    for (const entry of manifest.entries) {
+      if (entry.type !== 'file') continue;
+      logicalSize += entry.size;
+      fileCount++;
+      for (const hash of entry.chunks) {
+        if (seen.has(hash)) continue;
+        seen.add(hash);
+        const owner = owners.get(hash);
+        if (owner) owner.count++;
+        else owners.set(hash, { owner: file.name, count: 1 });
+      }
+    }
+    usage.snapshots[file.name] = { size: file.size, exclusiveSize: file.size, logicalSize, fileCount };
+    usage.logicalSize += logicalSize;
+    usage.totalSize += file.size;
+  }
+
+  for (const [hash, info] of owners) {
+    const objectSize = index.get(hash) || 0;
+    usage.snapshots[info.owner].size += objectSize;
+    if (info.count === 1) {
+      usage.snapshots[info.owner].exclusiveSize += objectSize;
+    }
+  }
+
+  for (const [hash, objectSize] of index) {
+    usage.totalSize += objectSize;
+    if (!owners.has(hash)) usage.unreferencedSize += objectSize;
+  }
+
+  usageCache.set(key, { fingerprint, usage });
+  return usage;
+}
+
+/**
+ * Chunks a snapshot references, each listed once, with their store-relative paths
+ * @param {string} snapshotPath
+ * @returns {Promise<Array<{hash: string, relativePath: string, absolutePath: string}>>}
+ *   relativePath is '/'-separated and relative to the backups folder
+ */
+async function listSnapshotObjects(snapshotPath) {
+  const manifest = await readSnapshotManifest(snapshotPath);
+  const { objectsDir } = getStorePaths(path.dirname(snapshotPath));
+  const hashes = new Set();
+  for (const entry of manifest.entries) {
+    if (entry.type === 'file') entry.chunks.forEach(hash => hashes.add(hash));
+  }
+  return Array.from(hashes, hash => ({
+    hash,
+    relativePath: [STORE_DIR_NAME, 'objects', hash.slice(0, 2), hash].join('/'),
+    absolutePath: getObjectPath(objectsDir, hash)
+  }));
+}
+
+/**
+ * Add chunks fetched from elsewhere (e.g. an off-site copy) to the local store.
+ * Each fetched object is checked against its hash before it is used.
+ * @param {string} backupDir
+ * @param {Array<string>} hashes
+ * @param {(hash: string, tempPath: string) => Promise<void>} fetchObject - Writes the stored (gzipped, possibly encrypted) object to tempPath
+ * @returns {Promise<{imported: number, present: number}>}
+ */
+async function importStoreObjects(backupDir, hashes, fetchObject) {
+  return withStoreLock(backupDir, async () => {
+    const { objectsDir } = getStorePaths(backupDir);
+    const index = await loadIndex(backupDir);
+    let imported = 0;
+    let present = 0;
+    try {
+      for (const hash of hashes) {
+        const objectPath = getObjectPath(objectsDir, hash);
+        if (index.has(hash) && fs.existsSync(objectPath)) {
+          present++;
+          continue;
+        }
+        await fsp.mkdir(path.dirname(objectPath), { recursive: true });
+        const tempPath = `${objectPath}.${process.pid}.download`;
+        try {
+          await fetchObject(hash, tempPath);
+          const data = await decodeStored(await fsp.readFile(tempPath), backupDir);
+          if (hashBuffer(data) !== hash) {
+            throw new Error(`Chunk ${hash} does not match its hash`);
+          }
+          await fsp.rename(tempPath, objectPath);
+        } finally {
+          await fsp.rm(tempPath, { force: true }).catch(() => {});
+        }
+        index.set(hash, (await fsp.stat(objectPath)).size);
+        imported++;
+      }
+    } finally {
+      await saveIndex(backupDir, index).catch(() => {});
+      usageCache.delete(path.resolve(backupDir));
+    }
+    return { imported, present };
+  });
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  STORE_DIR_NAME,
+  createSnapshot,
+  restoreSnapshot,
+  verifySnapshot,
+  pruneStore,
+  getStoreUsage,
+  readSnapshotManifest,
+  listSnapshotObjects,
+  importStoreObjects,
+  resolveInside
+};
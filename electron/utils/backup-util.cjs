@@ -2,16 +2,67 @@ const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
 
+// Zip archives and incremental snapshot manifests both live in <server>/backups
+const ZIP_EXTENSION = '.zip';
+const SNAPSHOT_EXTENSION = '.mcsnap';
+const BACKUP_EXTENSIONS = [ZIP_EXTENSION, SNAPSHOT_EXTENSION];
+
+// Files never worth backing up (editor swap files, temp files, session locks)
+const BACKUP_IGNORE_PATTERNS = ['**/*~', '**/tmp*', '**/*.lock', '**/*.tmp'];
+
+/**
+ * Check whether a file name is a backup (zip archive or snapshot manifest)
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isBackupFile(fileName) {
+  return typeof fileName === 'string' && BACKUP_EXTENSIONS.some(ext => fileName.endsWith(ext));
+}
+
+/**
+ * Check whether a backup name refers to an incremental snapshot
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isSnapshotBackup(fileName) {
+  return typeof fileName === 'string' && fileName.endsWith(SNAPSHOT_EXTENSION);
+}
+
+/**
+ * Path of the .json metadata sidecar for a backup file
+ * @param {string} backupPath - Path to a .zip or .mcsnap backup
+ * @returns {string}
+ */
+function getBackupMetadataPath(backupPath) {
+  const ext = BACKUP_EXTENSIONS.find(candidate => backupPath.endsWith(candidate));
+  return ext ? backupPath.slice(0, -ext.length) + '.json' : `${backupPath}.json`;
+}
+
+/**
+ * Mirror of BACKUP_IGNORE_PATTERNS for code that walks the tree itself
+ * @param {string} fileName - Base name of the file
+ * @returns {boolean}
+ */
+function isIgnoredBackupFile(fileName) {
+  return fileName.endsWith('~')
+    || fileName.startsWith('tmp')
+    || fileName.endsWith('.lock')
+    || fileName.endsWith('.tmp');
+}
+
 /**
  * Create a zip file from a list of folders or files
  * 
  * @param {Array<string>} items - Paths to folders or files to include in the zip
  * @param {string} outputPath - Path where to save the zip file
- * @returns {Promise<void>} - Resolves when zip is created
+ * @param {Object} [options]
+ * @param {string|null} [options.baseDir] - Name entries by their path below this folder instead of their base name
+ * @returns {Promise<{skippedFiles: Array<string>}>} - Resolves when zip is created; lists files that vanished while archiving
  */
-async function createZip(items, outputPath) {
+async function createZip(items, outputPath, { baseDir = null } = {}) {
   return new Promise((resolve, reject) => {
     try {
+      const skippedFiles = [];
       const output = fs.createWriteStream(outputPath);
       const archive = (/** @type {any} */ (archiver))('zip', {
         zlib: { level: 5 }
@@ -28,12 +79,15 @@ async function createZip(items, outputPath) {
       });
       
       output.on('close', () => {
-        resolve();
+        resolve({ skippedFiles });
       });
       archive.on('warning', (err) => {
         if (err.code !== 'ENOENT') {
           reject(err);
+          return;
         }
+        // A file deleted between listing and reading; callers decide whether that matters
+        skippedFiles.push(err.path || err.message);
       });
 
       archive.pipe(output);
@@ -43,13 +97,15 @@ async function createZip(items, outputPath) {
             continue;
           }
           
-          const itemName = path.basename(item);
+          const itemName = baseDir
+            ? path.relative(baseDir, item).split(path.sep).join('/')
+            : path.basename(item);
           const stats = fs.statSync(item);
           
           if (stats.isDirectory()) {
             archive.glob('**/*', {
               cwd: item,
-              ignore: ['**/*~', '**/tmp*', '**/*.lock', '**/*.tmp'],
+              ignore: BACKUP_IGNORE_PATTERNS,
               dot: true
             }, { prefix: itemName });
           } else {
@@ -120,7 +176,7 @@ async function listBackups(serverPath) {
     }
     
     const backupFiles = fs.readdirSync(backupDir)
-      .filter(file => file.endsWith('.zip'))
+      .filter(isBackupFile)
       .map(file => {
         const filePath = path.join(backupDir, file);
         const stats = fs.statSync(filePath);
@@ -141,7 +197,14 @@ async function listBackups(serverPath) {
   }
 
 module.exports = {
+  ZIP_EXTENSION,
+  SNAPSHOT_EXTENSION,
+  BACKUP_EXTENSIONS,
   createZip,
   createServerBackup,
-  listBackups
+  listBackups,
+  isBackupFile,
+  isSnapshotBackup,
+  getBackupMetadataPath,
+  isIgnoredBackupFile
 }; 
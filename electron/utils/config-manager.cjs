@@ -22,9 +22,69 @@ const DEFAULT_BACKUP_AUTOMATION = Object.freeze({
   hour: 3,
   minute: 0,
   day: 0,
+  mode: 'zip',
   lastRun: null
 });
 
+// 'zip' writes a full archive per backup; 'incremental' writes deduplicated snapshots
+const BACKUP_MODES = Object.freeze(['zip', 'incremental']);
+
+const SCHEDULED_TASK_TYPES = Object.freeze(['restart', 'stop', 'start', 'command', 'broadcast']);
+
+// Off-site copies of backups; secrets (passwords, secret keys) live in the app store, not here
+const BACKUP_TARGET_TYPES = Object.freeze(['local', 's3', 'sftp', 'webdav']);
+
+const BACKUP_TARGET_SETTING_KEYS = Object.freeze({
+  local: ['path'],
+  s3: ['endpoint', 'region', 'bucket', 'prefix', 'accessKeyId', 'forcePathStyle'],
+  sftp: ['host', 'port', 'username', 'path', 'privateKeyPath'],
+  webdav: ['url', 'username']
+});
+
+const DEFAULT_BACKUP_TARGET = Object.freeze({
+  enabled: true,
+  type: 'local',
+  autoUpload: true,
+  retention: Object.freeze({ maxCount: null, maxAgeDays: null, maxSizeGB: null })
+});
+
+// Keys themselves live in the app store (encrypted with the OS keychain), never here
+const BACKUP_ENCRYPTION_MODES = Object.freeze(['keychain', 'passphrase']);
+
+const DEFAULT_BACKUP_ENCRYPTION = Object.freeze({
+  enabled: false,
+  mode: 'keychain',
+  keyId: null
+});
+
+// Garbage collector flag sets offered in launch profiles; 'default' leaves the choice to the JVM
+const LAUNCH_GC_PRESETS = Object.freeze(['default', 'aikar', 'zgc']);
+
+const PROCESS_PRIORITIES = Object.freeze(['low', 'below-normal', 'normal', 'above-normal', 'high']);
+
+// Max heap stays in config.maxRam, which the rest of the app already reads
+const DEFAULT_LAUNCH_PROFILE = Object.freeze({
+  minRam: null,
+  gcPreset: 'default',
+  jvmArgs: Object.freeze([]),
+  env: Object.freeze({}),
+  serverArgs: Object.freeze([]),
+  priority: 'normal'
+});
+
+const DEFAULT_SCHEDULED_TASK = Object.freeze({
+  enabled: true,
+  type: 'command',
+  schedule: '0 4 * * *',
+  command: '',
+  message: '',
+  warnings: [],
+  warningMessage: 'Server {action} in {minutes} minute(s)',
+  skipIfEmpty: false,
+  lastRun: null,
+  lastResult: null
+});
+
 // Lazy logger initialization to avoid circular dependency
 let logger = null;
 const getLogger = () => {
@@ -91,6 +151,7 @@ function getDefaultServerConfig(defaultSettings = {}) {
     managementPort: coerceNumber(defaultSettings.managementPort, 8080),
     autoStartMinecraft: coerceBoolean(defaultSettings.autoStartMinecraft, false),
     autoStartManagement: coerceBoolean(defaultSettings.autoStartManagement, false),
+    rconAutoConfigure: coerceBoolean(defaultSettings.rconAutoConfigure, true),
     autoRestart: {
       enabled: coerceBoolean(fallbackAutoRestart.enabled, DEFAULT_AUTO_RESTART.enabled),
       delay: coerceNumber(fallbackAutoRestart.delay, DEFAULT_AUTO_RESTART.delay),
@@ -103,6 +164,10 @@ function getDefaultServerConfig(defaultSettings = {}) {
       ? defaultSettings.managementInviteSecret
       : '',
     managementTls: normalizeManagementTlsConfig(defaultSettings.managementTls),
+    scheduledTasks: normalizeScheduledTasks(defaultSettings.scheduledTasks),
+    backupTargets: normalizeBackupTargets(defaultSettings.backupTargets),
+    backupEncryption: normalizeBackupEncryption(defaultSettings.backupEncryption),
+    launchProfile: normalizeLaunchProfile(defaultSettings.launchProfile),
     backupAutomation: {
       enabled: coerceBoolean(backupSource.enabled, DEFAULT_BACKUP_AUTOMATION.enabled),
       frequency: coerceNumber(backupSource.frequency, DEFAULT_BACKUP_AUTOMATION.frequency),
@@ -114,6 +179,7 @@ function getDefaultServerConfig(defaultSettings = {}) {
       hour: coerceNumber(backupSource.hour, DEFAULT_BACKUP_AUTOMATION.hour),
       minute: coerceNumber(backupSource.minute, DEFAULT_BACKUP_AUTOMATION.minute),
       day: coerceNumber(backupSource.day, DEFAULT_BACKUP_AUTOMATION.day),
+      mode: BACKUP_MODES.includes(backupSource.mode) ? backupSource.mode : DEFAULT_BACKUP_AUTOMATION.mode,
       lastRun: typeof backupSource.lastRun === 'string' && backupSource.lastRun.trim()
         ? backupSource.lastRun
         : DEFAULT_BACKUP_AUTOMATION.lastRun
@@ -168,12 +234,170 @@ function normalizeBackupAutomationConfig(value, fallback = DEFAULT_BACKUP_AUTOMA
     hour: coerceNumber(source.hour, coerceNumber(fallback.hour, DEFAULT_BACKUP_AUTOMATION.hour)),
     minute: coerceNumber(source.minute, coerceNumber(fallback.minute, DEFAULT_BACKUP_AUTOMATION.minute)),
     day: coerceNumber(source.day, coerceNumber(fallback.day, DEFAULT_BACKUP_AUTOMATION.day)),
+    mode: BACKUP_MODES.includes(source.mode)
+      ? source.mode
+      : (BACKUP_MODES.includes(fallback.mode) ? fallback.mode : DEFAULT_BACKUP_AUTOMATION.mode),
     lastRun: typeof source.lastRun === 'string' && source.lastRun.trim()
       ? source.lastRun
       : (typeof fallback.lastRun === 'string' && fallback.lastRun.trim() ? fallback.lastRun : null)
   };
 }
 
+function normalizeScheduledTask(value, index = 0) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+
+  const type = SCHEDULED_TASK_TYPES.includes(value.type) ? value.type : DEFAULT_SCHEDULED_TASK.type;
+  const warnings = Array.isArray(value.warnings)
+    ? Array.from(new Set(value.warnings
+      .map((minutes) => coerceNumber(minutes, NaN))
+      .filter((minutes) => Number.isFinite(minutes) && minutes > 0 && minutes <= 1440)))
+      .sort((a, b) => b - a)
+    : [];
+
+  return {
+    id: typeof value.id === 'string' && value.id.trim() ? value.id.trim() : `task-${index + 1}`,
+    name: typeof value.name === 'string' && value.name.trim() ? value.name.trim() : `Task ${index + 1}`,
+    enabled: coerceBoolean(value.enabled, DEFAULT_SCHEDULED_TASK.enabled),
+    type,
+    schedule: typeof value.schedule === 'string' && value.schedule.trim()
+      ? value.schedule.trim()
+      : DEFAULT_SCHEDULED_TASK.schedule,
+    command: typeof value.command === 'string' ? value.command : DEFAULT_SCHEDULED_TASK.command,
+    message: typeof value.message === 'string' ? value.message : DEFAULT_SCHEDULED_TASK.message,
+    warnings,
+    warningMessage: typeof value.warningMessage === 'string' && value.warningMessage.trim()
+      ? value.warningMessage
+      : DEFAULT_SCHEDULED_TASK.warningMessage,
+    skipIfEmpty: coerceBoolean(value.skipIfEmpty, DEFAULT_SCHEDULED_TASK.skipIfEmpty),
+    lastRun: typeof value.lastRun === 'string' && value.lastRun.trim() ? value.lastRun : null,
+    lastResult: typeof value.lastResult === 'string' && value.lastResult.trim() ? value.lastResult : null
+  };
+}
+
+function normalizeScheduledTasks(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return value
+    .map((task, index) => normalizeScheduledTask(task, index))
+    .filter((task) => {
+      if (!task || seenIds.has(task.id)) {
+        return false;
+      }
+      seenIds.add(task.id);
+      return true;
+    });
+}
+
+function normalizeBackupTarget(value, index = 0) {
+  if (!isPlainObject(value)) {
+    return null;
+  }
+
+  const type = BACKUP_TARGET_TYPES.includes(value.type) ? value.type : DEFAULT_BACKUP_TARGET.type;
+  const settingsSource = isPlainObject(value.settings) ? value.settings : {};
+  const settings = {};
+  for (const key of BACKUP_TARGET_SETTING_KEYS[type]) {
+    const setting = settingsSource[key];
+    if (typeof setting === 'string') {
+      settings[key] = setting.trim();
+    } else if (typeof setting === 'number' || typeof setting === 'boolean') {
+      settings[key] = setting;
+    }
+  }
+
+  const retentionSource = isPlainObject(value.retention) ? value.retention : {};
+  const positiveOrNull = (number) => {
+    const parsed = coerceNumber(number, NaN);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  };
+
+  return {
+    id: typeof value.id === 'string' && value.id.trim() ? value.id.trim() : `target-${index + 1}`,
+    name: typeof value.name === 'string' && value.name.trim() ? value.name.trim() : `Target ${index + 1}`,
+    enabled: coerceBoolean(value.enabled, DEFAULT_BACKUP_TARGET.enabled),
+    type,
+    autoUpload: coerceBoolean(value.autoUpload, DEFAULT_BACKUP_TARGET.autoUpload),
+    retention: {
+      maxCount: positiveOrNull(retentionSource.maxCount),
+      maxAgeDays: positiveOrNull(retentionSource.maxAgeDays),
+      maxSizeGB: positiveOrNull(retentionSource.maxSizeGB)
+    },
+    settings
+  };
+}
+
+function normalizeBackupTargets(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return value
+    .map((target, index) => normalizeBackupTarget(target, index))
+    .filter((target) => {
+      if (!target || seenIds.has(target.id)) {
+        return false;
+      }
+      seenIds.add(target.id);
+      return true;
+    });
+}
+
+function normalizeBackupEncryption(value) {
+  const source = isPlainObject(value) ? value : {};
+  const keyId = typeof source.keyId === 'string' && /^[0-9a-f]{16}$/.test(source.keyId)
+    ? source.keyId
+    : DEFAULT_BACKUP_ENCRYPTION.keyId;
+  return {
+    // Encryption cannot be on without a key to encrypt with
+    enabled: coerceBoolean(source.enabled, DEFAULT_BACKUP_ENCRYPTION.enabled) && keyId !== null,
+    mode: BACKUP_ENCRYPTION_MODES.includes(source.mode) ? source.mode : DEFAULT_BACKUP_ENCRYPTION.mode,
+    keyId
+  };
+}
+
+function normalizeArgumentList(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((arg) => typeof arg === 'string' || typeof arg === 'number')
+    .map((arg) => String(arg).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Coerce a launch profile into its stored shape.
+ * Values are kept as entered; validateLaunchProfile decides whether the server can start with them.
+ */
+function normalizeLaunchProfile(value) {
+  const source = isPlainObject(value) ? value : {};
+  const minRam = coerceNumber(source.minRam, null);
+  const env = {};
+  if (isPlainObject(source.env)) {
+    Object.entries(source.env).forEach(([key, envValue]) => {
+      const name = String(key).trim();
+      if (name && (typeof envValue === 'string' || typeof envValue === 'number' || typeof envValue === 'boolean')) {
+        env[name] = String(envValue);
+      }
+    });
+  }
+
+  return {
+    minRam: minRam !== null && minRam > 0 ? minRam : DEFAULT_LAUNCH_PROFILE.minRam,
+    gcPreset: LAUNCH_GC_PRESETS.includes(source.gcPreset) ? source.gcPreset : DEFAULT_LAUNCH_PROFILE.gcPreset,
+    jvmArgs: normalizeArgumentList(source.jvmArgs),
+    env,
+    serverArgs: normalizeArgumentList(source.serverArgs),
+    priority: PROCESS_PRIORITIES.includes(source.priority) ? source.priority : DEFAULT_LAUNCH_PROFILE.priority
+  };
+}
+
 function normalizeVersionCandidate(value) {
   return typeof value === 'string' && value.trim()
     ? value.trim()
@@ -478,6 +702,7 @@ function normalizeServerConfig(config = {}, defaultSettings = {}, serverPath = n
     managementPort: coerceNumber(source.managementPort, defaults.managementPort),
     autoStartMinecraft: coerceBoolean(source.autoStartMinecraft, defaults.autoStartMinecraft),
     autoStartManagement: coerceBoolean(source.autoStartManagement, defaults.autoStartManagement),
+    rconAutoConfigure: coerceBoolean(source.rconAutoConfigure, defaults.rconAutoConfigure),
     managementInviteHost: typeof source.managementInviteHost === 'string'
       ? source.managementInviteHost
       : defaults.managementInviteHost,
@@ -490,6 +715,18 @@ function normalizeServerConfig(config = {}, defaultSettings = {}, serverPath = n
       defaults.backupAutomation
     ),
     managementTls: normalizeManagementTlsConfig(source.managementTls) || defaults.managementTls,
+    scheduledTasks: Array.isArray(source.scheduledTasks)
+      ? normalizeScheduledTasks(source.scheduledTasks)
+      : defaults.scheduledTasks,
+    backupTargets: Array.isArray(source.backupTargets)
+      ? normalizeBackupTargets(source.backupTargets)
+      : defaults.backupTargets,
+    backupEncryption: isPlainObject(source.backupEncryption)
+      ? normalizeBackupEncryption(source.backupEncryption)
+      : defaults.backupEncryption,
+    launchProfile: isPlainObject(source.launchProfile)
+      ? normalizeLaunchProfile(source.launchProfile)
+      : defaults.launchProfile,
     managedBy: typeof source.managedBy === 'string' && source.managedBy.trim()
       ? source.managedBy
       : defaults.managedBy
@@ -887,7 +1124,21 @@ module.exports = {
   CLIENT_CONFIG_FILENAME,
   DEFAULT_AUTO_RESTART,
   DEFAULT_BACKUP_AUTOMATION,
+  BACKUP_MODES,
+  DEFAULT_SCHEDULED_TASK,
+  SCHEDULED_TASK_TYPES,
+  BACKUP_TARGET_TYPES,
+  DEFAULT_BACKUP_TARGET,
   getDefaultServerConfig,
+  normalizeScheduledTasks,
+  normalizeBackupTargets,
+  BACKUP_ENCRYPTION_MODES,
+  DEFAULT_BACKUP_ENCRYPTION,
+  normalizeBackupEncryption,
+  LAUNCH_GC_PRESETS,
+  PROCESS_PRIORITIES,
+  DEFAULT_LAUNCH_PROFILE,
+  normalizeLaunchProfile,
   getServerConfigPath,
   getClientConfigPath,
   ensureConfigFile,
@@ -0,0 +1,203 @@
+// Minimal cron expression support for scheduled server tasks.
+// Supports the classic five fields (minute hour day-of-month month day-of-week)
+// with `*`, lists, ranges, steps and the common @macros. Times are local time.
+
+const FIELD_SPECS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+const MACROS = Object.freeze({
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+});
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Searching minute by minute is bounded so an impossible expression such as
+// "0 0 31 2 *" fails fast instead of spinning forever.
+const MAX_SEARCH_MINUTES = 366 * 24 * 60 * 5;
+
+function resolveAlias(token, spec) {
+  const lower = token.toLowerCase();
+  if (spec.name === 'month') {
+    const index = MONTH_NAMES.indexOf(lower);
+    if (index >= 0) return String(index + 1);
+  }
+  if (spec.name === 'dayOfWeek') {
+    const index = DAY_NAMES.indexOf(lower);
+    if (index >= 0) return String(index);
+  }
+  return token;
+}
+
+function parseValue(token, spec, { rangeEnd = false } = {}) {
+  const resolved = resolveAlias(token, spec);
+  if (!/^\d+$/.test(resolved)) {
+    throw new Error(`Invalid ${spec.name} value "${token}"`);
+  }
+  let value = parseInt(resolved, 10);
+  // Both 0 and 7 mean Sunday; a range such as 5-7 keeps 7 as its end
+  if (spec.name === 'dayOfWeek' && value === 7) {
+    if (rangeEnd) return value;
+    value = 0;
+  }
+  if (value < spec.min || value > spec.max) {
+    throw new Error(`${spec.name} value ${value} is out of range ${spec.min}-${spec.max}`);
+  }
+  return value;
+}
+
+function parseField(source, spec) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    if (!part) {
+      throw new Error(`Empty list entry in ${spec.name} field`);
+    }
+
+    const [rangePart, stepPart] = part.split('/');
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) < 1) {
+        throw new Error(`Invalid step "${stepPart}" in ${spec.name} field`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, spec);
+      end = parseValue(to, spec, { rangeEnd: true });
+      // fri-sun ends on Sunday too
+      if (spec.name === 'dayOfWeek' && end === 0 && start > 0) {
+        end = 7;
+      }
+      if (end < start) {
+        throw new Error(`Invalid range "${rangePart}" in ${spec.name} field`);
+      }
+    } else {
+      start = parseValue(rangePart, spec);
+      end = stepPart !== undefined ? spec.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(spec.name === 'dayOfWeek' ? value % 7 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression into sets of allowed values per field.
+ * @param {string} expression - Five-field cron expression or @macro
+ * @returns {{ expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, restrictDayOfMonth: boolean, restrictDayOfWeek: boolean }}
+ */
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim();
+  const expanded = MACROS[trimmed.toLowerCase()] || trimmed;
+  const fields = expanded.split(/\s+/);
+  if (fields.length !== FIELD_SPECS.length) {
+    throw new Error(`Cron expression must have ${FIELD_SPECS.length} fields, got ${fields.length}`);
+  }
+
+  const parsed = { expression: trimmed };
+  FIELD_SPECS.forEach((spec, index) => {
+    parsed[spec.name] = parseField(fields[index], spec);
+  });
+  // Like Vixie cron, a day field starting with * (including */n) does not count as restricted
+  parsed.restrictDayOfMonth = !fields[2].startsWith('*');
+  parsed.restrictDayOfWeek = !fields[4].startsWith('*');
+  return parsed;
+}
+
+function matchesDay(parsed, date) {
+  const domMatch = parsed.dayOfMonth.has(date.getDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getDay());
+  // Standard cron semantics: when both day fields are restricted either may match
+  if (parsed.restrictDayOfMonth && parsed.restrictDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next time (strictly after `from`) an expression fires.
+ * @param {string|object} expressionOrParsed - Cron expression or result of parseCronExpression
+ * @param {Date|number} [from] - Reference time, defaults to now
+ * @returns {Date|null} Next run time or null when none exists within the search window
+ */
+function getNextRunTime(expressionOrParsed, from = Date.now()) {
+  const parsed = typeof expressionOrParsed === 'string'
+    ? parseCronExpression(expressionOrParsed)
+    : expressionOrParsed;
+
+  const cursor = new Date(from instanceof Date ? from.getTime() : from);
+  cursor.setSeconds(0, 0);
+  cursor.setMinutes(cursor.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!parsed.month.has(cursor.getMonth() + 1)) {
+      cursor.setMonth(cursor.getMonth() + 1, 1);
+      cursor.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, cursor)) {
+      cursor.setDate(cursor.getDate() + 1);
+      cursor.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(cursor.getHours())) {
+      cursor.setHours(cursor.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(cursor.getMinutes())) {
+      cursor.setMinutes(cursor.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return new Date(cursor.getTime());
+  }
+
+  return null;
+}
+
+/**
+ * Validate a cron expression without throwing.
+ * @param {string} expression
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+function validateCronExpression(expression) {
+  try {
+    const parsed = parseCronExpression(expression);
+    if (!getNextRunTime(parsed)) {
+      return { valid: false, error: 'Cron expression never fires' };
+    }
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  CRON_MACROS: MACROS,
+  parseCronExpression,
+  getNextRunTime,
+  validateCronExpression
+};
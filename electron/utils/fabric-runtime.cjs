@@ -44,14 +44,14 @@ function readJarManifest(zip) {
   return parseManifest(zip.readAsText(manifestEntry));
 }
 
-function formatMissingRuntimeMessage(missingRuntimeEntries) {
+function formatMissingRuntimeMessage(label, missingRuntimeEntries) {
   const exampleName = path.basename(missingRuntimeEntries[0]);
 
   if (missingRuntimeEntries.length === 1) {
-    return `Fabric runtime is incomplete (missing ${exampleName})`;
+    return `${label} runtime is incomplete (missing ${exampleName})`;
   }
 
-  return `Fabric runtime is incomplete (missing ${missingRuntimeEntries.length} required libraries, including ${exampleName})`;
+  return `${label} runtime is incomplete (missing ${missingRuntimeEntries.length} required libraries, including ${exampleName})`;
 }
 
 function createIssue(code, message, blocksStartup, extra = {}) {
@@ -63,9 +63,21 @@ function createIssue(code, message, blocksStartup, extra = {}) {
   };
 }
 
-function getFabricRuntimeStatus(targetPath) {
-  const installerJarPath = path.join(targetPath, FABRIC_INSTALLER_JAR);
-  const launchJarPath = path.join(targetPath, FABRIC_LAUNCH_JAR);
+/**
+ * Check a launcher jar written by a Fabric-style installer (Fabric, Quilt): the jar
+ * must exist and every library on its manifest Class-Path must be on disk
+ * @param {string} targetPath - Server folder
+ * @param {Object} spec
+ * @param {string} spec.label - Loader name used in messages
+ * @param {string} spec.codePrefix - Prefix of the issue codes
+ * @param {string} spec.installerJar
+ * @param {string} spec.launchJar
+ * @param {string} spec.launcherClass - Class entry of launchers that bundle the loader
+ * @returns {Object}
+ */
+function getLaunchJarRuntimeStatus(targetPath, { label, codePrefix, installerJar, launchJar, launcherClass }) {
+  const installerJarPath = path.join(targetPath, installerJar);
+  const launchJarPath = path.join(targetPath, launchJar);
   const issues = [];
   let classPathEntries = [];
   let missingRuntimeEntries = [];
@@ -73,7 +85,7 @@ function getFabricRuntimeStatus(targetPath) {
 
   if (!fs.existsSync(installerJarPath)) {
     issues.push(
-      createIssue('FABRIC_INSTALLER_MISSING', FABRIC_INSTALLER_JAR, false, {
+      createIssue(`${codePrefix}_INSTALLER_MISSING`, installerJar, false, {
         path: installerJarPath
       })
     );
@@ -81,7 +93,7 @@ function getFabricRuntimeStatus(targetPath) {
 
   if (!fs.existsSync(launchJarPath)) {
     issues.push(
-      createIssue('FABRIC_LAUNCH_JAR_MISSING', FABRIC_LAUNCH_JAR, true, {
+      createIssue(`${codePrefix}_LAUNCH_JAR_MISSING`, launchJar, true, {
         path: launchJarPath
       })
     );
@@ -99,7 +111,7 @@ function getFabricRuntimeStatus(targetPath) {
 
   try {
     const zip = new AdmZip(launchJarPath);
-    hasEmbeddedLauncherClass = !!zip.getEntry(FABRIC_LAUNCHER_CLASS);
+    hasEmbeddedLauncherClass = !!zip.getEntry(launcherClass);
 
     const manifest = readJarManifest(zip);
     const manifestClassPath = typeof manifest['Class-Path'] === 'string'
@@ -114,8 +126,8 @@ function getFabricRuntimeStatus(targetPath) {
     if (!classPathEntries.length && !hasEmbeddedLauncherClass) {
       issues.push(
         createIssue(
-          'FABRIC_RUNTIME_METADATA_MISSING',
-          'Fabric runtime is incomplete (launcher metadata is missing)',
+          `${codePrefix}_RUNTIME_METADATA_MISSING`,
+          `${label} runtime is incomplete (launcher metadata is missing)`,
           true,
           { path: launchJarPath }
         )
@@ -132,8 +144,8 @@ function getFabricRuntimeStatus(targetPath) {
     if (missingRuntimeEntries.length > 0) {
       issues.push(
         createIssue(
-          'FABRIC_RUNTIME_INCOMPLETE',
-          formatMissingRuntimeMessage(missingRuntimeEntries.map(entry => entry.relativePath)),
+          `${codePrefix}_RUNTIME_INCOMPLETE`,
+          formatMissingRuntimeMessage(label, missingRuntimeEntries.map(entry => entry.relativePath)),
           true,
           {
             path: launchJarPath,
@@ -145,8 +157,8 @@ function getFabricRuntimeStatus(targetPath) {
   } catch (error) {
     issues.push(
       createIssue(
-        'FABRIC_RUNTIME_UNREADABLE',
-        'Fabric runtime is unreadable and needs repair',
+        `${codePrefix}_RUNTIME_UNREADABLE`,
+        `${label} runtime is unreadable and needs repair`,
         true,
         {
           path: launchJarPath,
@@ -167,8 +179,19 @@ function getFabricRuntimeStatus(targetPath) {
   };
 }
 
+function getFabricRuntimeStatus(targetPath) {
+  return getLaunchJarRuntimeStatus(targetPath, {
+    label: 'Fabric',
+    codePrefix: 'FABRIC',
+    installerJar: FABRIC_INSTALLER_JAR,
+    launchJar: FABRIC_LAUNCH_JAR,
+    launcherClass: FABRIC_LAUNCHER_CLASS
+  });
+}
+
 module.exports = {
   FABRIC_INSTALLER_JAR,
   FABRIC_LAUNCH_JAR,
-  getFabricRuntimeStatus
+  getFabricRuntimeStatus,
+  getLaunchJarRuntimeStatus
 };
@@ -0,0 +1,213 @@
+// Server launch profiles
+// Turns the launchProfile stored in .minecraft-core.json into JVM arguments, program
+// arguments, environment and process priority, and checks it before a server starts.
+
+const os = require('os');
+const {
+  LAUNCH_GC_PRESETS,
+  PROCESS_PRIORITIES,
+  normalizeLaunchProfile
+} = require('./config-manager.cjs');
+
+// https://docs.papermc.io/paper/aikars-flags
+const AIKAR_FLAGS = [
+  '-XX:+UseG1GC',
+  '-XX:+ParallelRefProcEnabled',
+  '-XX:MaxGCPauseMillis=200',
+  '-XX:+UnlockExperimentalVMOptions',
+  '-XX:+DisableExplicitGC',
+  '-XX:+AlwaysPreTouch',
+  '-XX:G1HeapWastePercent=5',
+  '-XX:G1MixedGCCountTarget=4',
+  '-XX:G1MixedGCLiveThresholdPercent=90',
+  '-XX:G1RSetUpdatingPauseTimePercent=5',
+  '-XX:SurvivorRatio=32',
+  '-XX:+PerfDisableSharedMem',
+  '-XX:MaxTenuringThreshold=1',
+  '-Dusing.aikars.flags=https://mcflags.emc.gs',
+  '-Daikars.new.flags=true'
+];
+
+// Aikar's flags size the young generation differently above 12 GB
+const AIKAR_SMALL_HEAP = [
+  '-XX:G1NewSizePercent=30',
+  '-XX:G1MaxNewSizePercent=40',
+  '-XX:G1HeapRegionSize=8M',
+  '-XX:G1ReservePercent=20',
+  '-XX:InitiatingHeapOccupancyPercent=15'
+];
+const AIKAR_LARGE_HEAP = [
+  '-XX:G1NewSizePercent=40',
+  '-XX:G1MaxNewSizePercent=50',
+  '-XX:G1HeapRegionSize=16M',
+  '-XX:G1ReservePercent=15',
+  '-XX:InitiatingHeapOccupancyPercent=20'
+];
+
+const ZGC_MIN_JAVA = 15;
+
+const PRIORITY_VALUES = {
+  low: os.constants.priority.PRIORITY_LOW,
+  'below-normal': os.constants.priority.PRIORITY_BELOW_NORMAL,
+  normal: os.constants.priority.PRIORITY_NORMAL,
+  'above-normal': os.constants.priority.PRIORITY_ABOVE_NORMAL,
+  high: os.constants.priority.PRIORITY_HIGH
+};
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const HEAP_FLAG_PATTERN = /^-Xm[xs]\d/i;
+const GC_SELECT_PATTERN = /^-XX:[+-]Use\w*GC$/;
+// The launch plan owns what gets started; these would point the JVM somewhere else
+const RESERVED_JVM_ARGS = ['-jar', '-cp', '-classpath', '--class-path'];
+
+function gcFlags(preset, maxRam, javaVersion) {
+  switch (preset) {
+    case 'aikar':
+      return [...AIKAR_FLAGS, ...(maxRam > 12 ? AIKAR_LARGE_HEAP : AIKAR_SMALL_HEAP)];
+    case 'zgc':
+      // Generational ZGC is opt-in on Java 21 and 22 and the only mode afterwards
+      return javaVersion === 21 || javaVersion === 22 ? ['-XX:+UseZGC', '-XX:+ZGenerational'] : ['-XX:+UseZGC'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check a launch profile before saving it or starting a server with it
+ * @param {Object} profile - launchProfile from the server config
+ * @param {Object} [context]
+ * @param {number} [context.maxRam] - Max heap in GB
+ * @param {number} [context.javaVersion] - Major version of the Java the server runs on, when known
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}}
+ */
+function validateLaunchProfile(profile, { maxRam = null, javaVersion = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const source = profile && typeof profile === 'object' ? profile : {};
+  const normalized = normalizeLaunchProfile(source);
+
+  if (source.minRam !== null && source.minRam !== undefined && source.minRam !== '') {
+    const minRam = Number(source.minRam);
+    if (!Number.isInteger(minRam) || minRam < 1) {
+      errors.push('Minimum heap must be a whole number of GB');
+    } else if (maxRam && minRam > maxRam) {
+      errors.push(`Minimum heap (${minRam} GB) is larger than the maximum heap (${maxRam} GB)`);
+    }
+  }
+
+  if (source.gcPreset !== undefined && !LAUNCH_GC_PRESETS.includes(source.gcPreset)) {
+    errors.push(`Unknown GC preset "${source.gcPreset}"`);
+  }
+  if (normalized.gcPreset === 'zgc' && javaVersion && javaVersion < ZGC_MIN_JAVA) {
+    errors.push(`ZGC needs Java ${ZGC_MIN_JAVA} or newer; this server runs on Java ${javaVersion}`);
+  }
+
+  normalized.jvmArgs.forEach((arg) => {
+    if (!arg.startsWith('-')) {
+      errors.push(`JVM argument "${arg}" must start with "-"; put program arguments under server arguments`);
+    } else if (HEAP_FLAG_PATTERN.test(arg)) {
+      errors.push(`Set the heap with the heap fields instead of "${arg}"`);
+    } else if (RESERVED_JVM_ARGS.includes(arg)) {
+      errors.push(`"${arg}" cannot be used; the server jar is chosen by the app`);
+    } else if (GC_SELECT_PATTERN.test(arg) && normalized.gcPreset !== 'default') {
+      errors.push(`"${arg}" conflicts with the ${normalized.gcPreset} GC preset`);
+    }
+  });
+
+  Object.keys(normalized.env).forEach((name) => {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      errors.push(`"${name}" is not a valid environment variable name`);
+    }
+  });
+
+  normalized.serverArgs.forEach((arg) => {
+    if (arg === '--port' || arg.startsWith('--port=')) {
+      warnings.push('--port overrides the port set for this server');
+    }
+  });
+
+  if (source.priority !== undefined && !PROCESS_PRIORITIES.includes(source.priority)) {
+    errors.push(`Unknown process priority "${source.priority}"`);
+  }
+  if (normalized.priority === 'above-normal' || normalized.priority === 'high') {
+    warnings.push('Raising the process priority may need administrator rights');
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * JVM arguments for the heap, GC preset and custom flags of a profile
+ * @param {Object} profile
+ * @param {number} maxRam - Max heap in GB
+ * @param {Object} [options]
+ * @param {number|null} [options.defaultMinRam] - -Xms used when the profile sets none
+ * @param {number|null} [options.javaVersion]
+ * @returns {Array<string>}
+ */
+function buildJvmArgs(profile, maxRam, { defaultMinRam = null, javaVersion = null } = {}) {
+  const normalized = normalizeLaunchProfile(profile);
+  const minRam = normalized.minRam || defaultMinRam;
+  return [
+    `-Xmx${maxRam}G`,
+    ...(minRam ? [`-Xms${minRam}G`] : []),
+    ...gcFlags(normalized.gcPreset, maxRam, javaVersion),
+    ...normalized.jvmArgs
+  ];
+}
+
+/**
+ * Program arguments that follow the jar; nogui is always passed once
+ * @param {Object} profile
+ * @returns {Array<string>}
+ */
+function buildServerArgs(profile) {
+  return ['nogui', ...normalizeLaunchProfile(profile).serverArgs.filter((arg) => arg !== 'nogui')];
+}
+
+/**
+ * Environment of the server process
+ * @param {Object} profile
+ * @param {Object} [baseEnv]
+ * @returns {Object}
+ */
+function buildLaunchEnv(profile, baseEnv = process.env) {
+  return { ...baseEnv, ...normalizeLaunchProfile(profile).env };
+}
+
+/**
+ * Apply the profile's process priority to a started server
+ * @param {number} pid
+ * @param {string} priority
+ * @returns {{applied: boolean, error?: string}}
+ */
+function applyProcessPriority(pid, priority) {
+  if (!pid || !priority || priority === 'normal' || !(priority in PRIORITY_VALUES)) {
+    return { applied: false };
+  }
+  try {
+    os.setPriority(pid, PRIORITY_VALUES[priority]);
+    return { applied: true };
+  } catch (error) {
+    return { applied: false, error: error.message };
+  }
+}
+
+/**
+ * Command line as it would be run for a plain jar server, for display
+ * @param {Object} profile
+ * @param {number} maxRam
+ * @returns {string}
+ */
+function describeLaunchCommand(profile, maxRam) {
+  return ['java', ...buildJvmArgs(profile, maxRam), '-jar', 'server.jar', ...buildServerArgs(profile)].join(' ');
+}
+
+module.exports = {
+  validateLaunchProfile,
+  buildJvmArgs,
+  buildServerArgs,
+  buildLaunchEnv,
+  applyProcessPriority,
+  describeLaunchCommand
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+const NEOFORGE_MAVEN = 'https://maven.neoforged.net/releases';
+// NeoForge's first release kept Forge's artifact and numbering (1.20.1-47.1.x)
+const LEGACY_NEOFORGE_MC_VERSION = '1.20.1';
+const CLASS_PATH_FLAGS = ['-p', '--module-path', '-cp', '-classpath', '--class-path'];
+const LEGACY_CLASS_PATH_PREFIX = '-DlegacyClassPath=';
+
+/**
+ * Maven coordinates of the NeoForge build for a Minecraft version
+ * @param {string} minecraftVersion
+ * @param {string} loaderVersion
+ * @returns {{group: string, name: string, version: string}|null}
+ */
+function getNeoForgeArtifact(minecraftVersion, loaderVersion) {
+  if (!loaderVersion) {
+    return null;
+  }
+
+  const normalizedLoaderVersion = String(loaderVersion).trim();
+  if (minecraftVersion === LEGACY_NEOFORGE_MC_VERSION) {
+    return {
+      group: 'net/neoforged/forge',
+      name: 'forge',
+      version: normalizedLoaderVersion.startsWith(`${LEGACY_NEOFORGE_MC_VERSION}-`)
+        ? normalizedLoaderVersion
+        : `${LEGACY_NEOFORGE_MC_VERSION}-${normalizedLoaderVersion}`
+    };
+  }
+
+  return {
+    group: 'net/neoforged/neoforge',
+    name: 'neoforge',
+    version: normalizedLoaderVersion
+  };
+}
+
+/**
+ * NeoForge versions drop the leading "1." of the Minecraft version they target:
+ * 1.21.1 -> 21.1.x, 1.21 -> 21.0.x. Year-based versions keep every part: 26.1 -> 26.1.0.x
+ * @param {string} minecraftVersion
+ * @returns {string|null} Prefix shared by every NeoForge build for that version
+ */
+function getNeoForgeVersionPrefix(minecraftVersion) {
+  const parts = String(minecraftVersion || '').trim().split('.');
+  if (parts.some(part => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  if (parts[0] === '1') {
+    const [, minor, patch = '0'] = parts;
+    return minor ? `${minor}.${patch}.` : null;
+  }
+
+  const [year, drop, hotfix = '0'] = parts;
+  return drop ? `${year}.${drop}.${hotfix}.` : null;
+}
+
+function getNeoForgeInstallerUrl(artifact) {
+  return `${NEOFORGE_MAVEN}/${artifact.group}/${artifact.version}/${artifact.name}-${artifact.version}-installer.jar`;
+}
+
+function getNeoForgeArtifactDir(targetPath, artifact) {
+  return path.join(targetPath, 'libraries', ...artifact.group.split('/'), artifact.version);
+}
+
+function findArgsFile(artifactDir) {
+  const preferred = process.platform === 'win32' ? ['win_args.txt', 'unix_args.txt'] : ['unix_args.txt', 'win_args.txt'];
+  const match = preferred
+    .map(fileName => path.join(artifactDir, fileName))
+    .find(filePath => fs.existsSync(filePath));
+  return match || null;
+}
+
+// Without a known version, fall back to the newest installed build that has args files
+function findInstalledArgsFile(targetPath) {
+  const candidates = [];
+  for (const group of ['net/neoforged/neoforge', 'net/neoforged/forge']) {
+    const groupDir = path.join(targetPath, 'libraries', ...group.split('/'));
+    if (!fs.existsSync(groupDir)) {
+      continue;
+    }
+    for (const entry of fs.readdirSync(groupDir, { withFileTypes: true })) {
+      const argsFile = entry.isDirectory() ? findArgsFile(path.join(groupDir, entry.name)) : null;
+      if (argsFile) {
+        candidates.push({ version: entry.name, argsFile });
+      }
+    }
+  }
+
+  candidates.sort((left, right) => right.version.localeCompare(left.version, undefined, { numeric: true }));
+  return candidates[0]?.argsFile || null;
+}
+
+/**
+ * Library paths an args file puts on the module or class path, relative to the server folder
+ * @param {string} content - Contents of unix_args.txt or win_args.txt
+ * @param {string} separator - ':' for unix_args.txt, ';' for win_args.txt
+ * @returns {Array<string>}
+ */
+function readArgsFileLibraries(content, separator) {
+  const tokens = String(content || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .join(' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const entries = [];
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (CLASS_PATH_FLAGS.includes(token) && tokens[index + 1]) {
+      entries.push(...tokens[index + 1].split(separator));
+      index += 1;
+    } else if (token.startsWith(LEGACY_CLASS_PATH_PREFIX)) {
+      entries.push(...token.slice(LEGACY_CLASS_PATH_PREFIX.length).split(separator));
+    }
+  }
+
+  return [...new Set(entries.map(entry => entry.trim()).filter(Boolean))];
+}
+
+function createIssue(code, message, blocksStartup, extra = {}) {
+  return {
+    code,
+    message,
+    blocksStartup,
+    ...extra
+  };
+}
+
+function formatMissingRuntimeMessage(missingRuntimeEntries) {
+  const exampleName = path.basename(missingRuntimeEntries[0]);
+
+  if (missingRuntimeEntries.length === 1) {
+    return `NeoForge runtime is incomplete (missing ${exampleName})`;
+  }
+
+  return `NeoForge runtime is incomplete (missing ${missingRuntimeEntries.length} required libraries, including ${exampleName})`;
+}
+
+/**
+ * Check what the NeoForge installer leaves behind for a server: the args file the
+ * launch plan points the JVM at and every library that file references
+ * @param {string} targetPath - Server folder
+ * @param {Object} [expected]
+ * @param {string} [expected.minecraftVersion]
+ * @param {string} [expected.loaderVersion]
+ * @returns {Object}
+ */
+function getNeoForgeRuntimeStatus(targetPath, { minecraftVersion = null, loaderVersion = null } = {}) {
+  const issues = [];
+  const artifact = getNeoForgeArtifact(minecraftVersion, loaderVersion);
+  const argsFile = artifact
+    ? findArgsFile(getNeoForgeArtifactDir(targetPath, artifact))
+    : findInstalledArgsFile(targetPath);
+  let missingRuntimeEntries = [];
+
+  if (!fs.existsSync(path.join(targetPath, 'user_jvm_args.txt'))) {
+    issues.push(createIssue('NEOFORGE_USER_JVM_ARGS_MISSING', 'user_jvm_args.txt', false));
+  }
+
+  if (!argsFile) {
+    issues.push(
+      createIssue(
+        'NEOFORGE_LAUNCH_ASSETS_MISSING',
+        artifact ? `NeoForge ${artifact.version} launch arguments are missing` : 'NeoForge launch arguments are missing',
+        true
+      )
+    );
+  } else {
+    try {
+      const separator = path.basename(argsFile) === 'win_args.txt' ? ';' : ':';
+      missingRuntimeEntries = readArgsFileLibraries(fs.readFileSync(argsFile, 'utf8'), separator)
+        .map(relativePath => ({
+          relativePath,
+          absolutePath: path.resolve(targetPath, relativePath)
+        }))
+        .filter(entry => !fs.existsSync(entry.absolutePath));
+
+      if (missingRuntimeEntries.length > 0) {
+        issues.push(
+          createIssue(
+            'NEOFORGE_RUNTIME_INCOMPLETE',
+            formatMissingRuntimeMessage(missingRuntimeEntries.map(entry => entry.relativePath)),
+            true,
+            {
+              path: argsFile,
+              missingRuntimeEntries
+            }
+          )
+        );
+      }
+    } catch (error) {
+      issues.push(
+        createIssue(
+          'NEOFORGE_RUNTIME_UNREADABLE',
+          'NeoForge runtime is unreadable and needs repair',
+          true,
+          {
+            path: argsFile,
+            error: error.message
+          }
+        )
+      );
+    }
+  }
+
+  return {
+    isHealthy: issues.length === 0,
+    hasBlockingIssues: issues.some(issue => issue.blocksStartup),
+    issues,
+    blockingIssues: issues.filter(issue => issue.blocksStartup),
+    argsFile,
+    missingRuntimeEntries
+  };
+}
+
+module.exports = {
+  LEGACY_NEOFORGE_MC_VERSION,
+  getNeoForgeArtifact,
+  getNeoForgeVersionPrefix,
+  getNeoForgeInstallerUrl,
+  getNeoForgeArtifactDir,
+  readArgsFileLibraries,
+  getNeoForgeRuntimeStatus
+};
@@ -0,0 +1,219 @@
+// Browser panel roles and per-route permissions
+// Every /api route of the browser panel names the lowest role allowed to call it.
+// Routes missing from the table need admin, so a new route is never left open by
+// accident. Viewers can look, operators can also run the server and its backups,
+// admins can change or delete anything.
+
+const ROLES = Object.freeze({
+  viewer: 1,
+  operator: 2,
+  admin: 3
+});
+
+const ALL_INSTANCES = '*';
+
+// Routes anyone may call without a session
+const PUBLIC_ROUTES = new Set([
+  'POST /api/auth/login'
+]);
+
+const ROUTE_PERMISSIONS = Object.freeze({
+  // Session
+  'GET /api/auth/session': 'viewer',
+  'POST /api/auth/logout': 'viewer',
+
+  // Panel, live events and instances
+  'GET /api/panel/status': 'viewer',
+  'GET /api/events': 'viewer',
+  'GET /api/instances': 'viewer',
+  'GET /api/instances/:id/info': 'viewer',
+  'GET /api/instances/:id/status': 'viewer',
+  'GET /api/instances/:id/logs': 'viewer',
+  'POST /api/instances/:id/start': 'operator',
+  'POST /api/instances/:id/stop': 'operator',
+  'POST /api/instances/:id/kill': 'operator',
+  'POST /api/instances/:id/command': 'operator',
+
+  // Server control
+  'GET /api/server/status': 'viewer',
+  'GET /api/server/logs': 'viewer',
+  'POST /api/server/start': 'operator',
+  'POST /api/server/stop': 'operator',
+  'POST /api/server/kill': 'operator',
+  'POST /api/server/command': 'operator',
+  'GET /api/auto-restart': 'viewer',
+  'POST /api/auto-restart': 'admin',
+
+  // Settings and management server
+  'GET /api/settings': 'viewer',
+  'POST /api/settings': 'admin',
+  'GET /api/config': 'viewer',
+  'GET /api/app-settings': 'admin',
+  'POST /api/app-settings': 'admin',
+  'GET /api/management/status': 'viewer',
+  'GET /api/management/host-info': 'viewer',
+  'POST /api/management/start': 'admin',
+  'POST /api/management/stop': 'admin',
+  'POST /api/management/update-path': 'admin',
+  'POST /api/management/set-external-host': 'admin',
+
+  // Scheduled tasks
+  'GET /api/scheduled-tasks/list': 'viewer',
+  'GET /api/scheduled-tasks/history': 'viewer',
+  'POST /api/scheduled-tasks/validate-cron': 'viewer',
+  'POST /api/scheduled-tasks/run-now': 'operator',
+  'POST /api/scheduled-tasks/save': 'admin',
+  'POST /api/scheduled-tasks/delete': 'admin',
+  'POST /api/scheduled-tasks/history/clear': 'admin',
+
+  // Backups
+  'GET /api/backups/list': 'viewer',
+  'GET /api/backups/automation': 'viewer',
+  'GET /api/backups/retention': 'viewer',
+  'POST /api/backups/calculate-sizes': 'viewer',
+  'POST /api/backups/contents': 'viewer',
+  'POST /api/backups/watch-size-changes': 'viewer',
+  'POST /api/backups/encryption/status': 'viewer',
+  'POST /api/backups/run-now': 'operator',
+  'POST /api/backups/verify': 'operator',
+  'POST /api/backups/delete': 'admin',
+  'POST /api/backups/rename': 'admin',
+  'POST /api/backups/restore': 'admin',
+  'POST /api/backups/restore-selection': 'admin',
+  'POST /api/backups/automation': 'admin',
+  'POST /api/backups/retention': 'admin',
+  'POST /api/backups/apply-retention-policy': 'admin',
+  'POST /api/backups/encryption/enable': 'admin',
+  'POST /api/backups/encryption/disable': 'admin',
+  'POST /api/backups/encryption/export-keys': 'admin',
+  'POST /api/backups/encryption/import-keys': 'admin',
+  'POST /api/backups/encryption/unlock': 'admin',
+  'POST /api/backup-targets/list': 'viewer',
+  'POST /api/backup-targets/list-remote': 'viewer',
+  'POST /api/backup-targets/upload': 'operator',
+  'POST /api/backup-targets/test': 'admin',
+  'POST /api/backup-targets/save': 'admin',
+  'POST /api/backup-targets/delete': 'admin',
+  'POST /api/backup-targets/download': 'admin',
+
+  // Crash analysis, mod checks, config sync and launch profiles
+  'POST /api/crash-analysis/latest': 'viewer',
+  'POST /api/crash-analysis/analyze': 'operator',
+  'POST /api/crash-analysis/disable-mod-and-restart': 'admin',
+  'POST /api/mod-conflicts/analyze': 'viewer',
+  'POST /api/config-sync/get': 'viewer',
+  'POST /api/config-sync/set': 'admin',
+  'POST /api/launch-profile/get': 'viewer',
+  'POST /api/launch-profile/save': 'admin',
+
+  // Players and server.properties
+  'GET /api/players/read': 'viewer',
+  'GET /api/players/last-banned': 'viewer',
+  'GET /api/players/sessions': 'viewer',
+  'POST /api/players/add': 'operator',
+  'POST /api/players/remove': 'operator',
+  'GET /api/server-properties/read': 'viewer',
+  'POST /api/server-properties/write': 'admin',
+  'POST /api/server-properties/restore-default': 'admin',
+
+  // Java
+  'GET /api/java/requirements': 'viewer',
+  'GET /api/java/path': 'viewer',
+  'GET /api/java/available-versions': 'viewer',
+  'GET /api/java/is-available': 'viewer',
+  'POST /api/java/ensure': 'admin',
+
+  // Mods
+  'GET /api/mods/list': 'viewer',
+  'GET /api/mods/installed-info': 'viewer',
+  'GET /api/mods/disabled': 'viewer',
+  'GET /api/mods/categories': 'viewer',
+  'POST /api/mods/search': 'viewer',
+  'POST /api/mods/versions': 'viewer',
+  'POST /api/mods/project-info': 'viewer',
+  'POST /api/mods/version-info': 'viewer',
+  'POST /api/mods/mod-info': 'viewer',
+  'POST /api/mods/identify': 'viewer',
+  'POST /api/mods/update-review': 'viewer',
+  'POST /api/mods/history': 'viewer',
+  'POST /api/mods/check-compatibility': 'viewer',
+  'POST /api/mods/check-disabled-updates': 'viewer',
+  'POST /api/mods/install': 'admin',
+  'POST /api/mods/delete': 'admin',
+  'POST /api/mods/move-file': 'admin',
+  'POST /api/mods/save-disabled': 'admin',
+  'POST /api/mods/enable-and-update': 'admin',
+  'POST /api/mods/pin': 'admin',
+  'POST /api/mods/rollback': 'admin',
+  'POST /api/mods/rollback-batch': 'admin',
+  'POST /api/mods/categories': 'admin',
+
+  // Panel users and the audit log
+  'GET /api/panel-users/list': 'admin',
+  'POST /api/panel-users/save': 'admin',
+  'POST /api/panel-users/delete': 'admin',
+  'GET /api/panel-audit/list': 'admin'
+});
+
+const ROUTE_PATTERNS = Object.keys(ROUTE_PERMISSIONS).map((key) => {
+  const [method, route] = key.split(' ');
+  const pattern = new RegExp('^' + route.split('/').map((part) => (part.startsWith(':') ? '[^/]+' : part)).join('/') + '$');
+  return { method, pattern, role: ROUTE_PERMISSIONS[key] };
+});
+
+/**
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Lowest role allowed to call a route
+ * @param {string} method
+ * @param {string} requestPath path without query string
+ * @returns {string|null} null for public routes
+ */
+function getRequiredRole(method, requestPath) {
+  const verb = String(method || 'GET').toUpperCase();
+  const pathname = String(requestPath || '').replace(/\/+$/, '') || '/';
+  if (PUBLIC_ROUTES.has(`${verb} ${pathname}`)) return null;
+  const lookup = verb === 'HEAD' ? 'GET' : verb;
+  const match = ROUTE_PATTERNS.find((entry) => entry.method === lookup && entry.pattern.test(pathname));
+  return match ? match.role : 'admin';
+}
+
+/**
+ * @param {string} role the user's role
+ * @param {string|null} required
+ * @returns {boolean}
+ */
+function roleAllows(role, required) {
+  if (!required) return true;
+  return isValidRole(role) && ROLES[role] >= ROLES[required];
+}
+
+/**
+ * Whether a user may touch an instance; users scoped to no instance see none
+ * @param {{role: string, instances?: Array<string>|string}} user
+ * @param {string|null} instanceId
+ * @returns {boolean}
+ */
+function canAccessInstance(user, instanceId) {
+  if (!user) return false;
+  const scope = user.instances;
+  if (scope === ALL_INSTANCES || (Array.isArray(scope) && scope.includes(ALL_INSTANCES))) return true;
+  if (!instanceId) return false;
+  return Array.isArray(scope) && scope.includes(instanceId);
+}
+
+module.exports = {
+  ROLES,
+  ALL_INSTANCES,
+  ROUTE_PERMISSIONS,
+  isValidRole,
+  getRequiredRole,
+  roleAllows,
+  canAccessInstance
+};
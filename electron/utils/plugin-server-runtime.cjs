@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bukkit-family servers: the app downloads their single server jar and manages plugins/
+const PLUGIN_LOADERS = ['paper', 'purpur'];
+const PLUGIN_LOADER_LABELS = {
+  paper: 'Paper',
+  purpur: 'Purpur'
+};
+const PLUGINS_DIRNAME = 'plugins';
+
+function isPluginLoader(loader) {
+  return PLUGIN_LOADERS.includes(String(loader || '').trim().toLowerCase());
+}
+
+/**
+ * File name the server jar is saved under, e.g. paper-1.21.1-130.jar
+ * @param {string} loader - 'paper' or 'purpur'
+ * @param {string} minecraftVersion
+ * @param {string|number} build
+ * @returns {string}
+ */
+function getPluginServerJarName(loader, minecraftVersion, build) {
+  return `${loader}-${minecraftVersion}-${build}.jar`;
+}
+
+function compareBuildJarsDesc(left, right) {
+  return right.localeCompare(left, undefined, { numeric: true });
+}
+
+/**
+ * Locate the server jar for a plugin server. The expected build is preferred; without
+ * one the newest `<loader>-*.jar` in the server folder is used
+ * @param {string} serverPath
+ * @param {string} loader
+ * @param {Object} [expected]
+ * @param {string} [expected.minecraftVersion]
+ * @param {string} [expected.loaderVersion] - Build number
+ * @returns {string|null} Absolute jar path
+ */
+function findPluginServerJar(serverPath, loader, { minecraftVersion = null, loaderVersion = null } = {}) {
+  if (!serverPath || !fs.existsSync(serverPath)) {
+    return null;
+  }
+
+  if (minecraftVersion && loaderVersion) {
+    const expectedJar = path.join(serverPath, getPluginServerJarName(loader, minecraftVersion, loaderVersion));
+    return fs.existsSync(expectedJar) ? expectedJar : null;
+  }
+
+  const prefix = `${loader}-`;
+  const candidates = fs.readdirSync(serverPath)
+    .filter(file => file.toLowerCase().startsWith(prefix) && file.toLowerCase().endsWith('.jar'))
+    .sort(compareBuildJarsDesc);
+
+  return candidates.length > 0 ? path.join(serverPath, candidates[0]) : null;
+}
+
+/**
+ * Check that a download matches the checksum published by the builds API
+ * @param {Buffer} buffer
+ * @param {string} algorithm - 'sha256' for Paper, 'md5' for Purpur
+ * @param {string} expected - Hex digest
+ * @returns {boolean}
+ */
+function verifyChecksum(buffer, algorithm, expected) {
+  if (!expected) {
+    return false;
+  }
+  const actual = crypto.createHash(algorithm).update(buffer).digest('hex');
+  return actual.toLowerCase() === String(expected).trim().toLowerCase();
+}
+
+function createIssue(code, message, blocksStartup, extra = {}) {
+  return {
+    code,
+    message,
+    blocksStartup,
+    ...extra
+  };
+}
+
+/**
+ * Check the server jar a Paper or Purpur server launches from
+ * @param {string} targetPath - Server folder
+ * @param {string} loader - 'paper' or 'purpur'
+ * @param {Object} [expected]
+ * @param {string} [expected.minecraftVersion]
+ * @param {string} [expected.loaderVersion]
+ * @returns {Object}
+ */
+function getPluginServerRuntimeStatus(targetPath, loader, expected = {}) {
+  const label = PLUGIN_LOADER_LABELS[loader] || loader;
+  const issues = [];
+  const jar = findPluginServerJar(targetPath, loader, expected);
+
+  if (!jar) {
+    const jarName = expected.minecraftVersion && expected.loaderVersion
+      ? getPluginServerJarName(loader, expected.minecraftVersion, expected.loaderVersion)
+      : `${loader}-<version>-<build>.jar`;
+    issues.push(createIssue('PLUGIN_SERVER_JAR_MISSING', `${label} server jar (${jarName})`, true));
+  } else if (fs.statSync(jar).size === 0) {
+    issues.push(createIssue('PLUGIN_SERVER_JAR_EMPTY', `${label} server jar is empty and needs repair`, true, { path: jar }));
+  }
+
+  return {
+    isHealthy: issues.length === 0,
+    hasBlockingIssues: issues.some(issue => issue.blocksStartup),
+    issues,
+    blockingIssues: issues.filter(issue => issue.blocksStartup),
+    jar
+  };
+}
+
+module.exports = {
+  PLUGIN_LOADERS,
+  PLUGIN_LOADER_LABELS,
+  PLUGINS_DIRNAME,
+  isPluginLoader,
+  getPluginServerJarName,
+  findPluginServerJar,
+  verifyChecksum,
+  getPluginServerRuntimeStatus
+};
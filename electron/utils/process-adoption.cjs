@@ -0,0 +1,213 @@
+// Helpers for taking over server processes started by an earlier run of the app
+// Such a process is not our child anymore: its stdout went away with the old app,
+// so the console is read back from logs/latest.log and liveness is polled by PID.
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const { wmicExecAsync } = require('./wmic-utils.cjs');
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEFAULT_BACKLOG_BYTES = 64 * 1024;
+
+/**
+ * Whether a process with this PID exists
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // The process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Full command line of a process, used to make sure a recorded PID was not reused
+ * @param {number} pid
+ * @returns {Promise<string|null>} null when the command line cannot be read on this system
+ */
+async function getProcessCommandLine(pid) {
+  if (!isProcessAlive(pid)) {
+    return null;
+  }
+  try {
+    if (process.platform === 'linux') {
+      const raw = await fs.promises.readFile(`/proc/${pid}/cmdline`, 'utf8');
+      return raw.split('\0').filter(Boolean).join(' ');
+    }
+    if (process.platform === 'win32') {
+      const { stdout } = await wmicExecAsync(`wmic process where ProcessId=${pid} get CommandLine /value`);
+      const match = stdout.match(/CommandLine=(.*)/);
+      return match ? match[1].trim() : null;
+    }
+    const { execFile } = require('child_process');
+    return await new Promise((resolve) => {
+      execFile('ps', ['-o', 'command=', '-p', String(pid)], { timeout: 5000 }, (error, stdout) => {
+        resolve(error ? null : stdout.trim() || null);
+      });
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stand-in for the ChildProcess of an adopted server.
+ * Offers the parts server-manager uses: pid, killed, exitCode/signalCode,
+ * stdin.write and the 'exit' event, which fires once the PID disappears.
+ * An error thrown by onInput propagates out of stdin.write, so callers learn
+ * that the input was not delivered.
+ */
+class AdoptedProcess extends EventEmitter {
+  /**
+   * @param {{pid: number, onInput: (text: string) => void, pollIntervalMs?: number}} options
+   */
+  constructor({ pid, onInput, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+    super();
+    this.pid = pid;
+    this.adopted = true;
+    this.killed = false;
+    this.exitCode = null;
+    this.signalCode = null;
+    this.stdin = {
+      write: (data) => {
+        onInput(String(data));
+        return true;
+      }
+    };
+    this.timer = setInterval(() => this.checkAlive(), pollIntervalMs);
+  }
+
+  checkAlive() {
+    if (isProcessAlive(this.pid)) {
+      return;
+    }
+    this.dispose();
+    // The real exit status is not observable for a process that is not our child
+    this.emit('exit', null, null);
+  }
+
+  kill(signal = 'SIGTERM') {
+    try {
+      process.kill(this.pid, signal);
+      this.killed = true;
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  dispose() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Follows a growing log file line by line, like `tail -F`.
+ * Starts over from the beginning when the file is truncated or replaced,
+ * which is what the server does with latest.log on every start.
+ */
+class LogTailer {
+  /**
+   * @param {string} filePath
+   * @param {(line: string) => void} onLine
+   * @param {{pollIntervalMs?: number}} [options]
+   */
+  constructor(filePath, onLine, { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    this.filePath = filePath;
+    this.onLine = onLine;
+    this.pollIntervalMs = pollIntervalMs;
+    this.position = 0;
+    this.partial = '';
+    this.decoder = new StringDecoder('utf8');
+    this.timer = null;
+    this.reading = false;
+  }
+
+  /**
+   * Begin following the end of the file
+   * @param {{backlogBytes?: number}} [options]
+   * @returns {Promise<Array<string>>} Complete lines from the last backlogBytes of the file
+   */
+  async start({ backlogBytes = DEFAULT_BACKLOG_BYTES } = {}) {
+    let backlog = [];
+    try {
+      const { size } = await fs.promises.stat(this.filePath);
+      const from = Math.max(0, size - backlogBytes);
+      const text = (await this.readRange(from, size)).toString('utf8');
+      backlog = text.split(/\r?\n/);
+      // The first line is cut off unless the backlog starts at the beginning of the file
+      if (from > 0) backlog.shift();
+      this.partial = backlog.pop() || '';
+      this.position = size;
+    } catch {
+      this.position = 0;
+    }
+    this.timer = setInterval(() => {
+      this.poll().catch(() => {});
+    }, this.pollIntervalMs);
+    return backlog.filter(line => line.trim());
+  }
+
+  async poll() {
+    if (this.reading) return;
+    this.reading = true;
+    try {
+      let size;
+      try {
+        ({ size } = await fs.promises.stat(this.filePath));
+      } catch {
+        return;
+      }
+      if (size < this.position) {
+        this.position = 0;
+        this.partial = '';
+        this.decoder = new StringDecoder('utf8');
+      }
+      if (size === this.position) return;
+
+      const chunk = await this.readRange(this.position, size);
+      this.position += chunk.length;
+      const lines = (this.partial + this.decoder.write(chunk)).split(/\r?\n/);
+      this.partial = lines.pop() || '';
+      lines.forEach(line => this.onLine(line));
+    } finally {
+      this.reading = false;
+    }
+  }
+
+  async readRange(start, end) {
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(end - start);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  isProcessAlive,
+  getProcessCommandLine,
+  AdoptedProcess,
+  LogTailer
+};
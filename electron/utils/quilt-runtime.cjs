@@ -0,0 +1,23 @@
+const { getLaunchJarRuntimeStatus } = require('./fabric-runtime.cjs');
+
+const QUILT_INSTALLER_JAR = 'quilt-installer.jar';
+const QUILT_LAUNCH_JAR = 'quilt-server-launch.jar';
+const QUILT_LAUNCHER_CLASS = 'org/quiltmc/loader/impl/launch/server/QuiltServerLauncher.class';
+
+// The Quilt installer writes the same kind of launcher jar as Fabric's: a manifest
+// Class-Path pointing into libraries/, next to the vanilla server.jar
+function getQuiltRuntimeStatus(targetPath) {
+  return getLaunchJarRuntimeStatus(targetPath, {
+    label: 'Quilt',
+    codePrefix: 'QUILT',
+    installerJar: QUILT_INSTALLER_JAR,
+    launchJar: QUILT_LAUNCH_JAR,
+    launcherClass: QUILT_LAUNCHER_CLASS
+  });
+}
+
+module.exports = {
+  QUILT_INSTALLER_JAR,
+  QUILT_LAUNCH_JAR,
+  getQuiltRuntimeStatus
+};
@@ -0,0 +1,231 @@
+// Minimal Source RCON client as implemented by Minecraft servers
+// Packet: int32le length | int32le id | int32le type | body | 0x00 | 0x00
+// Long command output is split over several packets without an end marker, so
+// every command is followed by a packet of an unknown type: the server answers
+// it only after the whole command response, which tells us the response is complete.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const PACKET_TYPE = Object.freeze({
+  RESPONSE: 0,
+  COMMAND: 2,
+  AUTH_RESPONSE: 2,
+  AUTH: 3
+});
+
+// Minecraft rejects command packets with a longer body
+const MAX_COMMAND_LENGTH = 1446;
+const MAX_PACKET_LENGTH = 4096 + 10;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class RconError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - RCON_AUTH, RCON_TIMEOUT, RCON_CLOSED, RCON_DISABLED or RCON_PROTOCOL
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'RconError';
+    this.code = code;
+  }
+}
+
+function encodePacket(id, type, body) {
+  const payload = Buffer.from(body, 'utf8');
+  const packet = Buffer.alloc(14 + payload.length);
+  packet.writeInt32LE(10 + payload.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  payload.copy(packet, 12);
+  return packet;
+}
+
+/**
+ * Split a receive buffer into complete packets
+ * @param {Buffer} buffer
+ * @returns {{packets: Array<{id: number, type: number, body: string}>, rest: Buffer}}
+ */
+function decodePackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= 4) {
+    const length = buffer.readInt32LE(offset);
+    if (length < 10 || length > MAX_PACKET_LENGTH) {
+      throw new RconError(`Invalid RCON packet length ${length}`, 'RCON_PROTOCOL');
+    }
+    if (buffer.length - offset - 4 < length) break;
+    packets.push({
+      id: buffer.readInt32LE(offset + 4),
+      type: buffer.readInt32LE(offset + 8),
+      body: buffer.toString('utf8', offset + 12, offset + 4 + length - 2)
+    });
+    offset += 4 + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+class RconClient extends EventEmitter {
+  /**
+   * @param {{host: string, port: number, password: string, timeoutMs?: number}} options
+   */
+  constructor({ host, port, password, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.password = password;
+    this.timeoutMs = timeoutMs;
+    this.socket = null;
+    this.connected = false;
+    this.nextId = 1;
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.queue = Promise.resolve();
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+      const timer = setTimeout(
+        () => fail(new RconError(`RCON connection to ${this.host}:${this.port} timed out`, 'RCON_TIMEOUT')),
+        this.timeoutMs
+      );
+
+      socket.on('data', (chunk) => this.handleData(chunk));
+      socket.on('error', (error) => {
+        clearTimeout(timer);
+        this.rejectPending(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        clearTimeout(timer);
+        this.connected = false;
+        this.rejectPending(new RconError('RCON connection closed', 'RCON_CLOSED'));
+        this.emit('close');
+      });
+      socket.once('connect', () => {
+        const authId = this.takeId();
+        this.pending = {
+          onPacket: (packet) => {
+            // Some servers send an empty response before the auth result
+            if (packet.type !== PACKET_TYPE.AUTH_RESPONSE) return;
+            clearTimeout(timer);
+            this.pending = null;
+            if (packet.id === -1 || packet.id !== authId) {
+              fail(new RconError('RCON password was rejected', 'RCON_AUTH'));
+              return;
+            }
+            this.connected = true;
+            resolve(this);
+          },
+          reject: (error) => {
+            clearTimeout(timer);
+            reject(error);
+          }
+        };
+        socket.write(encodePacket(authId, PACKET_TYPE.AUTH, this.password));
+      });
+    });
+  }
+
+  /**
+   * Run a command and collect its full response. Commands run one at a time.
+   * @param {string} command - Without leading slash
+   * @returns {Promise<string>}
+   */
+  send(command) {
+    const run = this.queue.then(() => this.sendNow(command));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  sendNow(command) {
+    if (!this.connected) {
+      return Promise.reject(new RconError('RCON is not connected', 'RCON_CLOSED'));
+    }
+    if (Buffer.byteLength(command, 'utf8') > MAX_COMMAND_LENGTH) {
+      return Promise.reject(new RconError(`Commands sent over RCON are limited to ${MAX_COMMAND_LENGTH} bytes`, 'RCON_PROTOCOL'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const commandId = this.takeId();
+      const markerId = this.takeId();
+      const parts = [];
+      const timer = setTimeout(() => {
+        this.pending = null;
+        reject(new RconError(`RCON command timed out: ${command}`, 'RCON_TIMEOUT'));
+        // A late response would be attributed to the next command
+        this.close();
+      }, this.timeoutMs);
+
+      this.pending = {
+        onPacket: (packet) => {
+          if (packet.id === commandId) {
+            parts.push(packet.body);
+          } else if (packet.id === markerId) {
+            clearTimeout(timer);
+            this.pending = null;
+            resolve(parts.join(''));
+          }
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+      this.socket.write(encodePacket(commandId, PACKET_TYPE.COMMAND, command));
+      this.socket.write(encodePacket(markerId, PACKET_TYPE.RESPONSE, ''));
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let packets;
+    try {
+      ({ packets, rest: this.buffer } = decodePackets(this.buffer));
+    } catch (error) {
+      this.rejectPending(error);
+      this.close();
+      return;
+    }
+    for (const packet of packets) {
+      if (this.pending) this.pending.onPacket(packet);
+    }
+  }
+
+  rejectPending(error) {
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      reject(error);
+    }
+  }
+
+  takeId() {
+    const id = this.nextId;
+    this.nextId = this.nextId >= 0x7fffffff ? 1 : this.nextId + 1;
+    return id;
+  }
+
+  close() {
+    this.connected = false;
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  PACKET_TYPE,
+  MAX_COMMAND_LENGTH,
+  RconClient,
+  RconError,
+  encodePacket,
+  decodePackets
+};
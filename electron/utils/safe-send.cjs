@@ -1,10 +1,25 @@
 let mainWindow = null;
+// Mirrors of everything sent to the renderer (the browser panel streams these)
+const sendListeners = new Set();
 
 function setMainWindow(win) {
   mainWindow = win;
 }
 
+/**
+ * Receive a copy of every renderer message, whether or not a window is open
+ * @param {(channel: string, data: any) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+function addSendListener(listener) {
+  sendListeners.add(listener);
+  return () => sendListeners.delete(listener);
+}
+
 function safeSend(channel, data) {
+  for (const listener of sendListeners) {
+    try { listener(channel, data); } catch { /* a mirror must never break the sender */ }
+  }
   try {
     if (mainWindow && 
         !mainWindow.isDestroyed() && 
@@ -19,4 +34,4 @@ function safeSend(channel, data) {
   }
 }
 
-module.exports = { safeSend, setMainWindow };
+module.exports = { safeSend, setMainWindow, addSendListener };
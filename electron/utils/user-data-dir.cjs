@@ -0,0 +1,21 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * The app's userData directory, or ~/.minecraft-core when running outside Electron
+ * @returns {string}
+ */
+function getUserDataDir() {
+  let userData = null;
+  try {
+    const { app } = require('electron');
+    userData = app && typeof app.getPath === 'function' ? app.getPath('userData') : null;
+  } catch {
+    // Not running inside Electron
+  }
+  return userData || path.join(os.homedir(), '.minecraft-core');
+}
+
+module.exports = {
+  getUserDataDir
+};
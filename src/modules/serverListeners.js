@@ -99,7 +99,8 @@ function resetMetricsAndPlayers() {
     ...state,
     cpuLoad: 0,
     memUsedMB: 0,
-    uptime: '0h 0m 0s'
+    uptime: '0h 0m 0s',
+    performance: null
   }));
   playerState.update(state => ({ ...state, count: 0, onlinePlayers: [] }));
 
@@ -188,7 +189,8 @@ export function setupIpcListeners() {
       cpuLoad: metrics.cpuPct,
       memUsedMB: metrics.memUsedMB,
       maxRamMB: metrics.maxRamMB,
-      uptime: metrics.uptime
+      uptime: metrics.uptime,
+      performance: metrics.performance !== undefined ? metrics.performance : state.performance
     }));
 
     // If metrics are arriving but status is not marked as running, promote it to running.
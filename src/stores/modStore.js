@@ -45,6 +45,9 @@ function validateModStoreData(data, storeName) {
       case 'installedResourcePacks':
       case 'installedShaderInfo':
       case 'installedResourcePackInfo':
+      case 'pluginResults':
+      case 'installedPlugins':
+      case 'installedPluginInfo':
         if (!Array.isArray(data)) {
           logger.warn('Mod store array data is not an array', {
             category: 'mods',
@@ -156,6 +159,9 @@ function recoverModStoreData(corruptedData, storeName) {
       case 'installedResourcePacks':
       case 'installedShaderInfo':
       case 'installedResourcePackInfo':
+      case 'pluginResults':
+      case 'installedPlugins':
+      case 'installedPluginInfo':
         recoveredData = Array.isArray(corruptedData) ? corruptedData : [];
         break;
       case 'modVersionsCache':
@@ -227,6 +233,9 @@ function recoverModStoreData(corruptedData, storeName) {
       case 'installedResourcePacks':
       case 'installedShaderInfo':
       case 'installedResourcePackInfo':
+      case 'pluginResults':
+      case 'installedPlugins':
+      case 'installedPluginInfo':
         return [];
       case 'modVersionsCache':
       case 'installedModVersionsCache':
@@ -579,6 +588,8 @@ const disabledMods = createEnhancedModStore(new SvelteSet(), 'disabledMods'); //
 const disabledModUpdates = createEnhancedModStore(new Map(), 'disabledModUpdates'); // Store for disabled mods with available updates
 // Store for ignored updates (Map<fileName, { ids: Set<string>, vers: Set<string> }>)
 const ignoredUpdates = createEnhancedModStore(new Map(), 'ignoredUpdates');
+// Version history, pins and "update all" batches of the current server's mods
+const modHistory = createEnhancedModStore({ mods: {}, batches: [] }, 'modHistory');
 // Names of mods that are managed by the server (required or optional)
 const serverManagedFiles = createEnhancedModStore(new SvelteSet(), 'serverManagedFiles');
 
@@ -596,6 +607,8 @@ const updateCheckProgress = createEnhancedModStore(
 const errorMessage = createEnhancedModStore('', 'errorMessage');
 const successMessage = createEnhancedModStore('', 'successMessage');
 const searchError = createEnhancedModStore('', 'searchError');
+// When set, the current search results came from the saved copy because Modrinth was unreachable
+const searchResultsCachedAt = createEnhancedModStore('', 'searchResultsCachedAt');
 const expandedModId = createEnhancedModStore(null, 'expandedModId');
 const expandedInstalledMod = createEnhancedModStore(null, 'expandedInstalledMod');
 const isDragging = createEnhancedModStore(false, 'isDragging');
@@ -631,12 +644,14 @@ const autoUpdateChecksEnabled = createPersistentBooleanStore(
 // Store for mod categories and requirement status with enhanced logging
 const modCategories = createEnhancedModStore(new Map(), 'modCategories'); // Map of modId -> { category: string, required: boolean }
 
-// Content type stores for shaders and resource packs
+// Content type stores for shaders, resource packs and plugins
 const activeContentType = createEnhancedModStore('mods', 'activeContentType');
 const shaderResults = createEnhancedModStore([], 'shaderResults');
 const resourcePackResults = createEnhancedModStore([], 'resourcePackResults');
+const pluginResults = createEnhancedModStore([], 'pluginResults');
 const installedShaders = createEnhancedModStore([], 'installedShaders');
 const installedResourcePacks = createEnhancedModStore([], 'installedResourcePacks');
+const installedPlugins = createEnhancedModStore([], 'installedPlugins');
 
 // Content type switching performance optimization stores
 const contentTypeSwitching = createEnhancedModStore(false, 'contentTypeSwitching');
@@ -646,10 +661,12 @@ const contentTypeRetryCount = createEnhancedModStore(new Map(), 'contentTypeRetr
 // Installed ID stores for different content types
 const installedShaderIds = createEnhancedModStore(new SvelteSet(), 'installedShaderIds');
 const installedResourcePackIds = createEnhancedModStore(new SvelteSet(), 'installedResourcePackIds');
+const installedPluginIds = createEnhancedModStore(new SvelteSet(), 'installedPluginIds');
 
 // Installed info stores for different content types (similar to installedModInfo)
 const installedShaderInfo = createEnhancedModStore([], 'installedShaderInfo');
 const installedResourcePackInfo = createEnhancedModStore([], 'installedResourcePackInfo');
+const installedPluginInfo = createEnhancedModStore([], 'installedPluginInfo');
 
 const modInstanceStateSnapshots = new Map();
 const modInstanceSnapshotStores = [
@@ -661,6 +678,7 @@ const modInstanceSnapshotStores = [
   ['modsWithUpdates', modsWithUpdates],
   ['disabledMods', disabledMods],
   ['disabledModUpdates', disabledModUpdates],
+  ['modHistory', modHistory],
   ['serverManagedFiles', serverManagedFiles],
   ['serverConfig', serverConfig],
   ['minecraftVersion', minecraftVersion],
@@ -677,6 +695,10 @@ const modInstanceSnapshotStores = [
   ['installedResourcePacks', installedResourcePacks],
   ['installedResourcePackInfo', installedResourcePackInfo],
   ['installedResourcePackIds', installedResourcePackIds],
+  ['pluginResults', pluginResults],
+  ['installedPlugins', installedPlugins],
+  ['installedPluginInfo', installedPluginInfo],
+  ['installedPluginIds', installedPluginIds],
   ['contentTypeCache', contentTypeCache],
   ['contentTypeRetryCount', contentTypeRetryCount],
   ['lastUpdateCheckTime', lastUpdateCheckTime]
@@ -734,6 +756,7 @@ function applyModInstanceStateSnapshot(snapshot) {
   errorMessage.set('');
   successMessage.set('');
   searchError.set('');
+  searchResultsCachedAt.set('');
   downloads.set({});
   installingModIds.set(new SvelteSet());
   currentDependencies.set([]);
@@ -784,12 +807,17 @@ function resetModInstanceState() {
   installedResourcePacks.set([]);
   installedResourcePackInfo.set([]);
   installedResourcePackIds.set(new SvelteSet());
+  installedPlugins.set([]);
+  installedPluginInfo.set([]);
+  installedPluginIds.set(new SvelteSet());
   searchResults.set([]);
   shaderResults.set([]);
   resourcePackResults.set([]);
+  pluginResults.set([]);
   modsWithUpdates.set(new Map());
   disabledMods.set(new SvelteSet());
   disabledModUpdates.set(new Map());
+  modHistory.set({ mods: {}, batches: [] });
   serverManagedFiles.set(new SvelteSet());
   installingModIds.set(new SvelteSet());
   currentDependencies.set([]);
@@ -799,6 +827,7 @@ function resetModInstanceState() {
   errorMessage.set('');
   successMessage.set('');
   searchError.set('');
+  searchResultsCachedAt.set('');
   serverConfig.set(null);
   minecraftVersion.set('');
   loaderType.set('vanilla');
@@ -818,7 +847,8 @@ function resetModInstanceState() {
 export const CONTENT_TYPES = {
   MODS: 'mods',
   SHADERS: 'shaders',
-  RESOURCE_PACKS: 'resourcepacks'
+  RESOURCE_PACKS: 'resourcepacks',
+  PLUGINS: 'plugins'
 };
 
 export const contentTypeConfigs = {
@@ -856,6 +886,18 @@ export const contentTypeConfigs = {
     installedStore: 'installedResourcePacks',
     installedIdsStore: 'installedResourcePackIds',
     installedInfoStore: 'installedResourcePackInfo'
+  },
+  [CONTENT_TYPES.PLUGINS]: {
+    id: CONTENT_TYPES.PLUGINS,
+    label: 'Plugins',
+    icon: '🔌',
+    searchEndpoint: 'search-plugins',
+    installDirectory: 'plugins',
+    fileExtensions: ['.jar'],
+    resultsStore: 'pluginResults',
+    installedStore: 'installedPlugins',
+    installedIdsStore: 'installedPluginIds',
+    installedInfoStore: 'installedPluginInfo'
   }
 };
 
@@ -874,7 +916,8 @@ export const DOWNLOAD_STATES = {
 export const DOWNLOAD_SOURCES = {
   SERVER: 'server',
   MODRINTH: 'modrinth',
-  CURSEFORGE: 'curseforge'
+  CURSEFORGE: 'curseforge',
+  HANGAR: 'hangar'
 };
 
 // Enhanced download progress management functions
@@ -959,6 +1002,8 @@ export function generateStatusMessage(state, context = {}) {
         return 'Downloading from Modrinth...';
       } else if (context.source === DOWNLOAD_SOURCES.CURSEFORGE) {
         return 'Downloading from CurseForge...';
+      } else if (context.source === DOWNLOAD_SOURCES.HANGAR) {
+        return 'Downloading from Hangar...';
       }
       return 'Downloading...';
     
@@ -1951,6 +1996,7 @@ export {
   isUpdateIgnored,
   clearIgnoredUpdates,
   getIgnoredUpdatesStore,
+  modHistory,
   serverManagedFiles,
   isLoading,
   isSearching,
@@ -1959,6 +2005,7 @@ export {
   errorMessage,
   successMessage,
   searchError,
+  searchResultsCachedAt,
   expandedModId,
   expandedInstalledMod,
   isDragging,
@@ -1990,6 +2037,10 @@ export {
   installedResourcePackIds,
   installedShaderInfo,
   installedResourcePackInfo,
+  pluginResults,
+  installedPlugins,
+  installedPluginIds,
+  installedPluginInfo,
   // Content type performance optimization stores
   contentTypeSwitching,
   contentTypeCache,
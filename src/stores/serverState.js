@@ -12,6 +12,7 @@ const DEFAULT_SERVER_STATE = {
   uptime: '0h 0m 0s',
   port: 25565,
   maxRam: 4,
+  performance: null,
 };
 
 // Validate server state structure
@@ -301,7 +302,8 @@ export function updateServerMetrics(metrics) {
           cpuLoad: typeof metrics.cpuPct === 'number' ? metrics.cpuPct : state.cpuLoad,
           memUsedMB: typeof metrics.memUsedMB === 'number' ? metrics.memUsedMB : state.memUsedMB,
           maxRamMB: typeof metrics.maxRamMB === 'number' ? metrics.maxRamMB : (state.maxRam * 1024),
-          uptime: typeof metrics.uptime === 'string' ? metrics.uptime : state.uptime
+          uptime: typeof metrics.uptime === 'string' ? metrics.uptime : state.uptime,
+          performance: metrics.performance !== undefined ? metrics.performance : state.performance
         };
 
         // Log performance thresholds
@@ -21,6 +21,7 @@ import {
   errorMessage,
   successMessage,
   searchError,
+  searchResultsCachedAt,
   currentPage,
   totalPages,
   totalResults,
@@ -43,8 +44,12 @@ import {
   installedResourcePacks,
   installedResourcePackIds,
   installedResourcePackInfo,
+  installedPlugins,
+  installedPluginIds,
+  installedPluginInfo,
   shaderResults,
   resourcePackResults,
+  pluginResults,
   contentTypeSwitching,
   contentTypeCache,
   contentTypeRetryCount,
@@ -52,6 +57,7 @@ import {
   isUpdateIgnored,
   lastUpdateCheckTime,
   autoUpdateChecksEnabled,
+  modHistory,
   DOWNLOAD_SOURCES
 } from '../../stores/modStore.js';
 import { trackDownload, completeDownload } from './modDownloadManager.js';
@@ -218,6 +224,13 @@ function getInstalledStateContext(contentType = 'mods') {
         installedInfoList: get(installedResourcePackInfo),
         installedFilesList: get(installedResourcePacks)
       };
+    case 'plugins':
+      return {
+        resultsStore: pluginResults,
+        installedIds: get(installedPluginIds),
+        installedInfoList: get(installedPluginInfo),
+        installedFilesList: get(installedPlugins)
+      };
     case 'mods':
     default:
       return {
@@ -236,12 +249,21 @@ export function createInstallDownloadId(mod, contentType = 'mods') {
   return `${contentType}-${baseId}-${Date.now()}`;
 }
 
+const CONTENT_ITEM_LABELS = {
+  mods: 'mod',
+  shaders: 'shader',
+  resourcepacks: 'resource pack',
+  plugins: 'plugin'
+};
+
 function resolveDownloadSource(source) {
   switch (String(source || '').toLowerCase()) {
     case DOWNLOAD_SOURCES.MODRINTH:
       return DOWNLOAD_SOURCES.MODRINTH;
     case DOWNLOAD_SOURCES.CURSEFORGE:
       return DOWNLOAD_SOURCES.CURSEFORGE;
+    case DOWNLOAD_SOURCES.HANGAR:
+      return DOWNLOAD_SOURCES.HANGAR;
     default:
       return DOWNLOAD_SOURCES.SERVER;
   }
@@ -495,9 +517,9 @@ export function isGameVersionCompatible(targetVersion, candidateVersion) {
 }
 
 /**
- * Load content (mods, shaders, resource packs) from the server directory
+ * Load content (mods, shaders, resource packs, plugins) from the server directory
  * @param {string} serverPath - Path to the server
- * @param {string} contentType - Content type ('mods', 'shaders', 'resourcepacks')
+ * @param {string} contentType - Content type ('mods', 'shaders', 'resourcepacks', 'plugins')
  * @returns {Promise<boolean>} - True if successful
  */
 export async function loadContent(serverPath, contentType = 'mods') {
@@ -517,6 +539,9 @@ export async function loadContent(serverPath, contentType = 'mods') {
       case 'resourcepacks':
         ipcMethod = 'list-resourcepacks';
         break;
+      case 'plugins':
+        ipcMethod = 'list-plugins';
+        break;
       case 'mods':
       default:
         ipcMethod = 'list-mods';
@@ -531,7 +556,7 @@ export async function loadContent(serverPath, contentType = 'mods') {
     }
     
     // Use the flat list of content filenames
-    const contentList = result.modFiles || result.shaderFiles || result.resourcePackFiles || [];
+    const contentList = result.modFiles || result.shaderFiles || result.resourcePackFiles || result.pluginFiles || [];
     if (contentList.length === 0 && result.mods?.length > 0) {
       // Fallback to extracting filenames from the content objects if files list is empty
       const extractedContent = result.mods.map(item => item.fileName);
@@ -618,6 +643,31 @@ export async function loadContent(serverPath, contentType = 'mods') {
   // (Removed automatic update check – now only manual button or interval triggers)
         break;
       }
+      case 'plugins': {
+        installedPlugins.set(contentList);
+
+        const pluginProjectIds = new SvelteSet();
+        const pluginInfoList = (Array.isArray(result.mods) ? result.mods : []).map(item => {
+          if (item.projectId) {
+            pluginProjectIds.add(item.projectId);
+          }
+          return {
+            fileName: item.fileName || '',
+            projectId: item.projectId || null,
+            versionId: item.versionId || null,
+            versionNumber: item.versionNumber || null,
+            name: item.name || (item.fileName ? item.fileName.replace(/\.jar$/i, '') : null),
+            source: item.source || 'modrinth',
+            installationDate: item.installationDate || item.installedAt || null,
+            installedAt: item.installedAt || item.installationDate || null,
+            lastUpdated: item.lastUpdated || null
+          };
+        });
+
+        installedPluginIds.set(pluginProjectIds);
+        installedPluginInfo.set(pluginInfoList);
+        break;
+      }
       case 'mods':
       default:
         installedMods.set(contentList);
@@ -829,8 +879,8 @@ export async function loadServerConfig(serverPath, options = {}) {
 }
 
 /**
- * Search for content (mods, shaders, resource packs)
- * @param {string} contentType - Content type ('mods', 'shaders', 'resourcepacks')
+ * Search for content (mods, shaders, resource packs, plugins)
+ * @param {string} contentType - Content type ('mods', 'shaders', 'resourcepacks', 'plugins')
  * @param {Object} [options={}] - Search options object
  * @param {string} [options.sortBy] - Sort by parameter (relevance, downloads, follows, newest, updated)
  * @param {string} [options.environmentType] - Filter by environment (e.g. 'all', 'client', 'server')
@@ -973,8 +1023,8 @@ export async function searchContent(contentType = 'mods', options = {}) {
     const invokeArgs = {
       keyword: query,
       source,
-      // Only include loader for mods, not for shaders/resource packs
-      loader: contentType === 'mods' ? loader : undefined,
+      // Only include loader for mods and plugins, not for shaders/resource packs
+      loader: contentType === 'mods' || contentType === 'plugins' ? loader : undefined,
       version: versionToUse,
       page,
       limit,
@@ -993,6 +1043,9 @@ export async function searchContent(contentType = 'mods', options = {}) {
       case 'resourcepacks':
         ipcMethod = 'search-resourcepacks';
         break;
+      case 'plugins':
+        ipcMethod = 'search-plugins';
+        break;
       case 'mods':
       default:
         ipcMethod = 'search-mods';
@@ -1006,6 +1059,7 @@ export async function searchContent(contentType = 'mods', options = {}) {
     }
     
     if (result && result.mods) {
+      searchResultsCachedAt.set(result.offline ? result.cachedAt : '');
       const mods = result.mods.map((mod) => ({
         ...mod,
         isInstalled: matchesInstalledContent(mod, {
@@ -1152,7 +1206,8 @@ export async function fetchModVersions(modId, source = 'modrinth', loadLatestOnl
     gameVersion = currentVersion; // Current version as fallback
   }
   
-  const cacheKey = `${modId}:${loader || 'vanilla'}:${gameVersion || 'all'}:${loadLatestOnly}`;
+  const sourcePrefix = source && source !== 'modrinth' ? `${source}:` : '';
+  const cacheKey = `${sourcePrefix}${modId}:${loader || 'vanilla'}:${gameVersion || 'all'}:${loadLatestOnly}`;
 
   // Check if we already have this version information cached (unless forcing refresh)
   if (!forceRefresh) {
@@ -1265,8 +1320,9 @@ export async function installMod(mod, serverPath, options = {}) {
 
     // SAFEGUARD: If we have clear signals this is a mod (loader present OR jar download/file) but
     // the current contentType is shaders/resourcepacks (e.g. user was on another tab), coerce to 'mods'.
+    // Plugins are jars installed with a loader too, so they are left alone.
     const probableJar = (mod.downloadUrl && /\.jar($|\?)/i.test(mod.downloadUrl)) || (mod.fileName && /\.jar$/i.test(mod.fileName));
-    if (contentType !== 'mods') {
+    if (contentType !== 'mods' && contentType !== 'plugins') {
       if (mod.loader || probableJar) {
         contentType = 'mods';
       }
@@ -1274,7 +1330,7 @@ export async function installMod(mod, serverPath, options = {}) {
 
     // Additional heuristic: If title/name contains "fabric"/"forge" or common mod keywords, force mods
     const nameLc = (mod.name || mod.title || '').toLowerCase();
-    if (contentType !== 'mods') {
+    if (contentType !== 'mods' && contentType !== 'plugins') {
       const modKeywords = ['fabric', 'forge', 'neoforge', 'quilt'];
       if (modKeywords.some(k => nameLc.includes(k))) {
         contentType = 'mods';
@@ -1293,6 +1349,7 @@ export async function installMod(mod, serverPath, options = {}) {
       loader: mod.loader || get(loaderType),
       version: mod.version || get(minecraftVersion),
       forceReinstall: isVersionUpdate, // Tell backend to replace existing version
+      historyBatchId: options.historyBatchId || null, // Groups the replaced versions of one "update all"
       
       // Add content type information
       contentType: contentType,
@@ -1332,6 +1389,9 @@ export async function installMod(mod, serverPath, options = {}) {
       case 'resourcepacks':
         ipcMethod = 'install-resourcepack-with-fallback';
         break;
+      case 'plugins':
+        ipcMethod = 'install-plugin-with-fallback';
+        break;
       case 'mods':
       default:
         ipcMethod = 'install-mod';
@@ -1350,10 +1410,8 @@ export async function installMod(mod, serverPath, options = {}) {
 
       
       // Reload the appropriate content list based on content type
-      if (contentType === 'shaders') {
-        await loadContent(serverPath, 'shaders');
-      } else if (contentType === 'resourcepacks') {
-        await loadContent(serverPath, 'resourcepacks');
+      if (contentType === 'shaders' || contentType === 'resourcepacks' || contentType === 'plugins') {
+        await loadContent(serverPath, contentType);
       } else {
         await loadMods(serverPath);
       }
@@ -1399,17 +1457,18 @@ export async function installMod(mod, serverPath, options = {}) {
 }
 
 /**
- * Delete content from server (mod, shader, or resource pack)
+ * Delete content from server (mod, shader, resource pack, or plugin)
  * @param {string} itemName - Name of the item to delete
  * @param {string} serverPath - Path to the server
- * @param {string} contentType - Type of content ('mods', 'shaders', 'resourcepacks')
+ * @param {string} contentType - Type of content ('mods', 'shaders', 'resourcepacks', 'plugins')
  * @param {boolean} shouldReload - Whether to reload the content list after deletion
  * @returns {Promise<boolean>} - True if successful
  */
 export async function deleteContent(itemName, serverPath, contentType = 'mods', shouldReload = true) {
+  const itemType = CONTENT_ITEM_LABELS[contentType] || 'resource pack';
   try {
     if (!itemName || !serverPath) {
-      errorMessage.set(`Invalid ${contentType === 'mods' ? 'mod' : contentType === 'shaders' ? 'shader' : 'resource pack'} name or server path for deletion`);
+      errorMessage.set(`Invalid ${itemType} name or server path for deletion`);
       return false;
     }
     
@@ -1422,6 +1481,9 @@ export async function deleteContent(itemName, serverPath, contentType = 'mods',
       case 'resourcepacks':
         ipcMethod = 'delete-resourcepack';
         break;
+      case 'plugins':
+        ipcMethod = 'delete-plugin';
+        break;
       case 'mods':
       default:
         ipcMethod = 'delete-mod';
@@ -1432,7 +1494,6 @@ export async function deleteContent(itemName, serverPath, contentType = 'mods',
     
     // Handle new response format with enhanced feedback
     if (result === true || (result && result.success)) {
-      const itemType = contentType === 'mods' ? 'mod' : contentType === 'shaders' ? 'shader' : 'resource pack';
       let message = `Successfully deleted ${itemType} ${itemName}`;
       
       // Provide additional feedback based on the deletion result
@@ -1451,12 +1512,10 @@ export async function deleteContent(itemName, serverPath, contentType = 'mods',
       
       return true;
     } else {
-      const itemType = contentType === 'mods' ? 'mod' : contentType === 'shaders' ? 'shader' : 'resource pack';
       errorMessage.set(`Failed to delete ${itemType}: ${result?.error || 'Unknown error'}`);
       return false;
     }
   } catch (error) {
-    const itemType = contentType === 'mods' ? 'mod' : contentType === 'shaders' ? 'shader' : 'resource pack';
     errorMessage.set(`Error deleting ${itemType}: ${error.message || 'Unknown error'}`);
     return false;
   }
@@ -1542,6 +1601,7 @@ export async function checkForUpdates(serverPath, forceRefresh = false, options
   const includeMods = !requestedContentTypes || requestedContentTypes.includes('mods');
   const includeShaders = !requestedContentTypes || requestedContentTypes.includes('shaders');
   const includeResourcePacks = !requestedContentTypes || requestedContentTypes.includes('resourcepacks');
+  const includePlugins = !requestedContentTypes || requestedContentTypes.includes('plugins');
 
   // Prevent concurrent update checks
   if (get(isCheckingUpdates)) {
@@ -1625,14 +1685,16 @@ export async function checkForUpdates(serverPath, forceRefresh = false, options
       return updatesMap;
     }
     
-    // Get all content with project IDs (mods, shaders, resource packs)
+    // Get all content with project IDs (mods, shaders, resource packs, plugins)
     const modsInfo = get(installedModInfo);
     const shadersInfo = get(installedShaderInfo);
     const resourcePacksInfo = get(installedResourcePackInfo);
+    const pluginsInfo = get(installedPluginInfo);
     const disabledModsSet = get(disabledMods);
+    const pinnedProjectIds = includeMods ? await loadPinnedProjectIds(serverPath) : new Set();
     
     const modsWithProjectIds = includeMods
-      ? modsInfo.filter(m => m.projectId && !disabledModsSet.has(m.fileName))
+      ? modsInfo.filter(m => m.projectId && !disabledModsSet.has(m.fileName) && !pinnedProjectIds.has(String(m.projectId)))
       : [];
     const disabledModsWithProjectIds = includeMods
       ? modsInfo.filter(m => m.projectId && disabledModsSet.has(m.fileName))
@@ -1643,11 +1705,15 @@ export async function checkForUpdates(serverPath, forceRefresh = false, options
     const resourcePacksWithProjectIds = includeResourcePacks
       ? resourcePacksInfo.filter(r => r.projectId)
       : [];
+    const pluginsWithProjectIds = includePlugins
+      ? pluginsInfo.filter(p => p.projectId)
+      : [];
     
     const allContentWithProjectIds = [
       ...modsWithProjectIds.map(m => ({ ...m, contentType: 'mods' })),
       ...shadersWithProjectIds.map(s => ({ ...s, contentType: 'shaders' })),
-      ...resourcePacksWithProjectIds.map(r => ({ ...r, contentType: 'resourcepacks' }))
+      ...resourcePacksWithProjectIds.map(r => ({ ...r, contentType: 'resourcepacks' })),
+      ...pluginsWithProjectIds.map(p => ({ ...p, contentType: 'plugins' }))
     ];
 
     totalCheckCount = allContentWithProjectIds.length + disabledModsWithProjectIds.length;
@@ -1711,7 +1777,7 @@ export async function checkForUpdates(serverPath, forceRefresh = false, options
           // This ensures we detect if a user has installed an older version
           const versions = await fetchModVersions(
             contentInfo.projectId,
-            'modrinth',
+            contentInfo.source === 'curseforge' || contentInfo.source === 'hangar' ? contentInfo.source : 'modrinth',
             false,
             forceRefresh,
             contentInfo.contentType,
@@ -1870,7 +1936,8 @@ export async function checkDisabledModUpdates(serverPath, updateContext = null)
           reason: result.reason,
           name: result.name,
           fileName: normalizedName,
-          originalFileName: rawFileName
+          originalFileName: rawFileName,
+          source: result.source || 'modrinth'
         });
       }
     }
@@ -1886,20 +1953,24 @@ export async function checkDisabledModUpdates(serverPath, updateContext = null)
  * Enable and update a disabled mod to a newer compatible version
  * @param {string} serverPath - Server path
  * @param {string} modFileName - The disabled mod filename
- * @param {string} projectId - Modrinth project ID
+ * @param {string} projectId - Modrinth or CurseForge project ID
  * @param {string} targetVersion - Target version number
  * @param {string} targetVersionId - Target version ID
  * @param {boolean} skipReload - Skip reloading mod list (useful for batch updates)
+ * @param {string} [source='modrinth'] - Source the mod was installed from
+ * @param {string|null} [historyBatchId=null] - Groups the replaced version with the rest of an "update all"
  * @returns {Promise<boolean>} - Success status
  */
-export async function enableAndUpdateMod(serverPath, modFileName, projectId, targetVersion, targetVersionId, skipReload = false) {
+export async function enableAndUpdateMod(serverPath, modFileName, projectId, targetVersion, targetVersionId, skipReload = false, source = 'modrinth', historyBatchId = null) {
   try {
     const result = await safeInvoke('enable-and-update-mod', {
       serverPath,
       modFileName,
       projectId,
       targetVersion,
-      targetVersionId
+      targetVersionId,
+      source,
+      historyBatchId
     });
 
     if (result.success) {
@@ -1943,6 +2014,127 @@ export async function enableAndUpdateMod(serverPath, modFileName, projectId, tar
   }
 }
 
+/**
+ * Load the version history, pins and "update all" batches of a server's mods into the modHistory store
+ * @param {string} serverPath - Server path
+ * @returns {Promise<{mods: Object, batches: Array}>}
+ */
+export async function loadModHistory(serverPath) {
+  try {
+    const result = await safeInvoke('mod-history:list', { serverPath });
+    if (result?.success && result.history) {
+      modHistory.set(result.history);
+      return result.history;
+    }
+  } catch (err) {
+    logger.warn('Failed to load mod history', {
+      category: 'mods',
+      data: { component: 'modAPI', function: 'loadModHistory', serverPath, errorMessage: err.message }
+    });
+  }
+  return get(modHistory);
+}
+
+async function loadPinnedProjectIds(serverPath) {
+  const history = await loadModHistory(serverPath);
+  return new Set(Object.keys(history.mods || {}).filter(projectId => history.mods[projectId].pinned));
+}
+
+/**
+ * Pin a mod to a version so update checks and "update all" skip it, or unpin it with null
+ * @param {string} serverPath - Server path
+ * @param {string} projectId - Project ID of the mod
+ * @param {{versionId?: string, versionNumber?: string}|null} pin - Version to pin to
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function setModPin(serverPath, projectId, pin) {
+  try {
+    const result = await safeInvoke('mod-history:set-pin', { serverPath, projectId, pin });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    await loadModHistory(serverPath);
+    if (pin) {
+      // A pinned mod no longer has an update to offer
+      const modInfo = get(installedModInfo).find(m => String(m.projectId) === String(projectId));
+      modsWithUpdates.update(updates => {
+        const next = new Map(updates);
+        next.delete(`project:${projectId}`);
+        if (modInfo) next.delete(modInfo.fileName);
+        return next;
+      });
+      disabledModUpdates.update(updates => {
+        const next = new Map(updates);
+        for (const [fileName, info] of next) {
+          if (String(info.projectId) === String(projectId)) next.delete(fileName);
+        }
+        return next;
+      });
+    }
+    return true;
+  } catch (err) {
+    errorMessage.set(`Failed to ${pin ? 'pin' : 'unpin'} mod: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Restore a mod to an earlier version from its history (the most recent one by default)
+ * @param {string} serverPath - Server path
+ * @param {string} projectId - Project ID of the mod
+ * @param {string|null} [historyId=null] - History entry to restore
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function rollbackMod(serverPath, projectId, historyId = null) {
+  try {
+    const result = await safeInvoke('mod-history:rollback', { serverPath, projectId, historyId });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    await loadMods(serverPath);
+    await loadModHistory(serverPath);
+    const restored = result?.restored;
+    successMessage.set(`Rolled back ${restored?.fileName || 'mod'}${restored?.versionNumber ? ` to ${restored.versionNumber}` : ''}`);
+    setTimeout(() => successMessage.set(''), 3000);
+    return true;
+  } catch (err) {
+    errorMessage.set(`Failed to roll back mod: ${err.message}`);
+    setTimeout(() => errorMessage.set(''), 5000);
+    return false;
+  }
+}
+
+/**
+ * Roll back every mod replaced by one "update all" run
+ * @param {string} serverPath - Server path
+ * @param {string} batchId - Batch to undo
+ * @returns {Promise<boolean>} - true when every mod was restored
+ */
+export async function rollbackModBatch(serverPath, batchId) {
+  try {
+    const result = await safeInvoke('mod-history:rollback-batch', { serverPath, batchId });
+    if (!Array.isArray(result?.restored)) {
+      throw new Error(result?.error || 'Unknown error');
+    }
+    await loadMods(serverPath);
+    await loadModHistory(serverPath);
+    const restoredCount = result?.restored?.length || 0;
+    const failedCount = result?.failed?.length || 0;
+    if (failedCount > 0) {
+      errorMessage.set(`Rolled back ${restoredCount} mods; ${failedCount} could not be restored`);
+      setTimeout(() => errorMessage.set(''), 5000);
+      return false;
+    }
+    successMessage.set(`Rolled back ${restoredCount} mod${restoredCount === 1 ? '' : 's'}`);
+    setTimeout(() => successMessage.set(''), 3000);
+    return true;
+  } catch (err) {
+    errorMessage.set(`Failed to undo update: ${err.message}`);
+    setTimeout(() => errorMessage.set(''), 5000);
+    return false;
+  }
+}
+
 /**
  * Check if a mod has an update available
  * @param {Object} modInfo - Installed mod info
@@ -423,7 +423,8 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
                 project_id: pid,
                 dependency_type: dep.dependency_type,
                 version_requirement: dep.version_requirement,
-                name: depName
+                name: depName,
+                source: 'modrinth'
               });
             }
           }
@@ -474,7 +475,8 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
                 project_id: pid,
                 dependency_type: dep.dependency_type,
                 version_requirement: dep.version_requirement,
-                name: depName
+                name: depName,
+                source: 'modrinth'
               });
             }
           }
@@ -504,8 +506,9 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
       });
       
       try {
-        // Fetch real Fabric API project info by slug
-        const fapiInfo = await safeInvoke('get-project-info', { projectId: 'fabric-api', source: 'modrinth' });
+        // Fetch real Fabric API project info by slug from the same source as the mod
+        const fapiSource = mod.source || 'modrinth';
+        const fapiInfo = await safeInvoke('get-project-info', { projectId: 'fabric-api', source: fapiSource });
         const fapiId = fapiInfo.id;
         const fapiName = fapiInfo.title || 'Fabric API';
         // Only inject if we're not installing Fabric API itself
@@ -525,7 +528,8 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
             allDependencies.push({
               project_id: fapiId,
               dependency_type: 'required',
-              name: fapiName
+              name: fapiName,
+              source: fapiSource
             });
           }
         }
@@ -608,11 +612,11 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
     
     
     // Resolve direct dependencies
-  const directDeps = await filterAndResolveDependencies(filteredDeps, { interactive: rootInteractive });
+  const directDeps = await filterAndResolveDependencies(filteredDeps, { interactive: rootInteractive, source: mod.source || 'modrinth' });
     // Recursively check dependencies of each dependency
     const allDeps = [...directDeps];
     for (const dep of directDeps) {
-      const nestedDeps = await checkModDependencies({ id: dep.projectId, selectedVersionId: null, source: mod.source || 'modrinth' }, visited, options, depth + 1);
+      const nestedDeps = await checkModDependencies({ id: dep.projectId, selectedVersionId: null, source: dep.source || mod.source || 'modrinth' }, visited, options, depth + 1);
       for (const nested of nestedDeps) {
         if (!allDeps.find(d => d.projectId === nested.projectId)) {
           allDeps.push(nested);
@@ -656,9 +660,12 @@ export async function checkModDependencies(mod, visited = new Set(), options = {
 /**
  * Filter dependencies that are required and not installed, then resolve their names
  * @param {Array} dependencies - Raw dependencies from API
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=false] - Log details for user-initiated checks
+ * @param {string} [options.source='modrinth'] - Source of dependencies that don't name one
  * @returns {Promise<Array>} - Filtered and resolved dependencies
  */
-async function filterAndResolveDependencies(dependencies, { interactive = false } = {}) {
+async function filterAndResolveDependencies(dependencies, { interactive = false, source = 'modrinth' } = {}) {
   if (interactive) {
     logger.debug('Filtering and resolving dependencies', {
       category: 'mods',
@@ -688,7 +695,8 @@ async function filterAndResolveDependencies(dependencies, { interactive = false
       project_id: dep.project_id || dep.projectId,
       dependency_type: dep.dependency_type || dep.dependencyType || 'required',
       name: dep.name || null,
-      version_requirement: dep.version_requirement || dep.versionRequirement || null
+      version_requirement: dep.version_requirement || dep.versionRequirement || null,
+      source: dep.source || source
     }))    // Skip entries that refer to Minecraft, system dependencies, or bundled Fabric modules
     .filter(dep => {
       if (!isDependencyRelevantToActiveLoader(dep.project_id, activeLoader)) {
@@ -752,7 +760,7 @@ async function filterAndResolveDependencies(dependencies, { interactive = false
       // Fetch project info to get the name and available versions
       const projectInfo = await safeInvoke('get-project-info', {
         projectId: dep.project_id,
-        source: 'modrinth'
+        source: dep.source
       });
       
       if (projectInfo && projectInfo.title) {
@@ -763,7 +771,7 @@ async function filterAndResolveDependencies(dependencies, { interactive = false
       const mcVersion = get(minecraftVersion);
       const versions = await safeInvoke('get-mod-versions', {
         modId: dep.project_id,
-        source: 'modrinth',
+        source: dep.source,
         loader: activeLoader,
         mcVersion
       });
@@ -836,7 +844,8 @@ async function filterAndResolveDependencies(dependencies, { interactive = false
       name: name,
       dependencyType: dep.dependency_type,
       versionRequirement: dep.version_requirement,
-      versionInfo: versionInfo
+      versionInfo: versionInfo,
+      source: dep.source
     };
   }));
   
@@ -1021,7 +1030,7 @@ export async function installWithDependencies(serverPath, installFn = installMod
           try {
             const projectInfo = await safeInvoke('get-project-info', {
               projectId: dependency.projectId,
-              source: 'modrinth'
+              source: dependency.source || 'modrinth'
             });
             
             if (projectInfo && projectInfo.title) {
@@ -1050,7 +1059,7 @@ export async function installWithDependencies(serverPath, installFn = installMod
         const depMod = {
           id: dependency.projectId,
           name: depName,
-          source: 'modrinth',
+          source: dependency.source || 'modrinth',
           title: depName
         };
         
@@ -1062,7 +1071,7 @@ export async function installWithDependencies(serverPath, installFn = installMod
           const mcVersion = get(minecraftVersion);
           const versions = await safeInvoke('get-mod-versions', {
             modId: dependency.projectId,
-            source: 'modrinth',
+            source: dependency.source || 'modrinth',
             loader,
             mcVersion
           });
@@ -1114,8 +1123,8 @@ export async function installWithDependencies(serverPath, installFn = installMod
           return ids;
         });
         
-        // Install the dependency - dependencies are always mods, regardless of main content type
-        const dependencyInstalled = await installFn(depMod, serverPath, { contentType: 'mods' });
+        // Install the dependency - plugin dependencies are plugins, every other dependency is a mod
+        const dependencyInstalled = await installFn(depMod, serverPath, { contentType: mainContentType === 'plugins' ? 'plugins' : 'mods' });
         if (dependencyInstalled) {
           installedCount++;
         }
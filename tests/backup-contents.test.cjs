@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  blockToRegion,
+  classifyEntry,
+  buildBackupCatalog,
+  validateRestoreSelection,
+  resolveRestoreSelection
+} = require('../electron/utils/backup-contents.cjs');
+
+const UUID_A = '0f8fad5b-d9cb-469f-a165-70867728950e';
+const UUID_B = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+const entries = [
+  { path: 'world/', isDirectory: true },
+  { path: 'world/level.dat', size: 10 },
+  { path: 'world/region/r.0.0.mca', size: 100 },
+  { path: 'world/region/r.-1.0.mca', size: 100 },
+  { path: 'world/region/r.3.-2.mca', size: 100 },
+  { path: 'world/entities/r.0.0.mca', size: 5 },
+  { path: 'world/poi/r.-1.0.mca', size: 5 },
+  { path: 'world/DIM-1/region/r.0.0.mca', size: 50 },
+  { path: 'world_the_end/DIM1/region/r.0.0.mca', size: 20 },
+  { path: 'world/dimensions/mymod/deep_dark/region/r.0.0.mca', size: 7 },
+  { path: `world/playerdata/${UUID_A}.dat`, size: 3 },
+  { path: `world/playerdata/${UUID_A}.dat_old`, size: 3 },
+  { path: `world/stats/${UUID_A}.json`, size: 2 },
+  { path: `world/playerdata/${UUID_B}.dat`, size: 3 },
+  { path: 'world/datapacks/terralith.zip', size: 40 },
+  { path: 'world/datapacks/custom/pack.mcmeta', size: 1 },
+  { path: 'world/datapacks/custom/data/x/functions/a.mcfunction', size: 1 },
+  { path: 'server.properties', size: 4 },
+  { path: 'config/mod.toml', size: 4 },
+  { path: 'mods/mod.jar', size: 400 }
+];
+
+test('blockToRegion floors negative coordinates', () => {
+  assert.equal(blockToRegion(0), 0);
+  assert.equal(blockToRegion(511), 0);
+  assert.equal(blockToRegion(512), 1);
+  assert.equal(blockToRegion(-1), -1);
+  assert.equal(blockToRegion(-513), -2);
+});
+
+test('classifyEntry recognises regions, players, datapacks and configs', () => {
+  assert.deepEqual(classifyEntry('world/DIM-1/region/r.-3.4.mca'), {
+    kind: 'region', dimension: 'world/DIM-1', folder: 'region', x: -3, z: 4
+  });
+  assert.deepEqual(classifyEntry(`world\\playerdata\\${UUID_A.toUpperCase()}.dat`), { kind: 'player', uuid: UUID_A });
+  assert.equal(classifyEntry('world/datapacks/custom/pack.mcmeta').id, 'world/datapacks/custom');
+  assert.equal(classifyEntry('server.properties').kind, 'config');
+  assert.equal(classifyEntry('mods/mod.jar').kind, 'other');
+  assert.equal(classifyEntry('world/level.dat').kind, 'other');
+});
+
+test('buildBackupCatalog groups files into dimensions, players, datapacks and configs', () => {
+  const catalog = buildBackupCatalog(entries);
+
+  assert.deepEqual(catalog.dimensions.map(d => [d.id, d.label, d.regionCount]), [
+    ['world', 'Overworld', 3],
+    ['world/DIM-1', 'The Nether', 1],
+    ['world/dimensions/mymod/deep_dark', 'mymod:deep_dark', 1],
+    ['world_the_end/DIM1', 'The End', 1]
+  ]);
+  assert.deepEqual(catalog.dimensions[0].bounds, { minX: -1, maxX: 3, minZ: -2, maxZ: 0 });
+  assert.equal(catalog.dimensions[0].size, 310);
+  assert.deepEqual(catalog.players.map(p => [p.uuid, p.files]), [[UUID_A, 3], [UUID_B, 1]]);
+  assert.deepEqual(catalog.datapacks.map(d => d.name), ['custom', 'terralith.zip']);
+  assert.deepEqual(catalog.configs.map(c => c.path), ['config/mod.toml', 'server.properties']);
+  assert.equal(catalog.fileCount, entries.length - 1);
+});
+
+test('resolveRestoreSelection picks region files overlapping a block range', () => {
+  const { files, clearFolders } = resolveRestoreSelection(entries, {
+    regions: [{ dimension: 'world', fromX: -10, fromZ: 100, toX: 10, toZ: 0 }]
+  });
+  assert.deepEqual(files.sort(), [
+    'world/entities/r.0.0.mca',
+    'world/poi/r.-1.0.mca',
+    'world/region/r.-1.0.mca',
+    'world/region/r.0.0.mca'
+  ]);
+  assert.deepEqual(clearFolders, []);
+});
+
+test('resolveRestoreSelection restores whole dimensions, players, datapacks and configs', () => {
+  const { files, clearFolders } = resolveRestoreSelection(entries, {
+    dimensions: ['world/DIM-1'],
+    players: [UUID_A.toUpperCase()],
+    datapacks: ['world/datapacks/custom'],
+    configs: ['server.properties']
+  });
+  assert.deepEqual(files, [
+    'world/DIM-1/region/r.0.0.mca',
+    `world/playerdata/${UUID_A}.dat`,
+    `world/playerdata/${UUID_A}.dat_old`,
+    `world/stats/${UUID_A}.json`,
+    'world/datapacks/custom/pack.mcmeta',
+    'world/datapacks/custom/data/x/functions/a.mcfunction',
+    'server.properties'
+  ]);
+  assert.deepEqual(clearFolders, ['world/DIM-1/region']);
+});
+
+test('validateRestoreSelection rejects empty and malformed selections', () => {
+  assert.equal(validateRestoreSelection(null).valid, false);
+  assert.equal(validateRestoreSelection({}).valid, false);
+  assert.equal(validateRestoreSelection({ players: 'abc' }).valid, false);
+  assert.equal(validateRestoreSelection({ regions: [{ dimension: 'world', fromX: 0, fromZ: 0, toX: 'a', toZ: 0 }] }).valid, false);
+  assert.equal(validateRestoreSelection({ players: [UUID_A] }).valid, true);
+});
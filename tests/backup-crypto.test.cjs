@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const {
+  BackupKeyError,
+  getKeyId,
+  generateKey,
+  deriveKey,
+  isEncryptedData,
+  encryptBuffer,
+  decryptBuffer,
+  createEncryptStream,
+  createDecryptStream,
+  CHUNK_SIZE
+} = require('../electron/utils/backup-crypto.cjs');
+const { createSnapshot, restoreSnapshot } = require('../electron/utils/backup-store.cjs');
+
+function makeTempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function makeKeyInfo() {
+  const key = generateKey();
+  return { key, keyId: getKeyId(key) };
+}
+
+// Loads backup-encryption.cjs with an in-memory app store and a pass-through secure store
+function loadEncryptionService() {
+  const appStoreData = new Map();
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('app-store.cjs')) {
+      return { get: key => appStoreData.get(key), set: (key, value) => appStoreData.set(key, value) };
+    }
+    if (request.endsWith('secure-store.cjs')) {
+      return {
+        packSecret: value => `plain:${value}`,
+        unpackSecret: value => value.replace(/^plain:/, ''),
+        ensureEncryptionAvailable() {}
+      };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/backup-encryption.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+test('encryptBuffer round-trips and rejects tampering and truncation', () => {
+  const keyInfo = makeKeyInfo();
+  const plain = Buffer.alloc(CHUNK_SIZE * 2 + 123, 7);
+  const sealed = encryptBuffer(plain, keyInfo);
+
+  assert.equal(isEncryptedData(sealed), true);
+  assert.deepEqual(decryptBuffer(sealed, keyInfo.key), plain);
+  assert.deepEqual(decryptBuffer(encryptBuffer(Buffer.alloc(0), keyInfo), keyInfo.key), Buffer.alloc(0));
+
+  const tampered = Buffer.from(sealed);
+  tampered[tampered.length - 40] ^= 1;
+  assert.throws(() => decryptBuffer(tampered, keyInfo.key));
+  // Dropping the last chunk must not decrypt to a shorter, valid-looking file
+  assert.throws(() => decryptBuffer(sealed.subarray(0, sealed.length - 200), keyInfo.key));
+  assert.throws(() => decryptBuffer(sealed, generateKey()));
+});
+
+test('encrypt and decrypt streams interoperate with encryptBuffer', async () => {
+  const keyInfo = makeKeyInfo();
+  const plain = Buffer.from('x'.repeat(CHUNK_SIZE + 5000));
+  const parts = [];
+  const encrypt = createEncryptStream(keyInfo);
+  encrypt.on('data', part => parts.push(part));
+  await pipeline(Readable.from([plain.subarray(0, 1000), plain.subarray(1000)]), encrypt);
+  const sealed = Buffer.concat(parts);
+  assert.deepEqual(decryptBuffer(sealed, keyInfo.key), plain);
+
+  const output = [];
+  const decrypt = createDecryptStream(keyId => (keyId === keyInfo.keyId ? keyInfo.key : null));
+  decrypt.on('data', part => output.push(part));
+  await pipeline(Readable.from([encryptBuffer(plain, keyInfo)]), decrypt);
+  assert.deepEqual(Buffer.concat(output), plain);
+
+  const missingKey = createDecryptStream(() => null);
+  missingKey.resume();
+  await assert.rejects(() => pipeline(Readable.from([sealed]), missingKey), BackupKeyError);
+});
+
+test('deriveKey re-derives the same key from the recorded parameters', async () => {
+  const first = await deriveKey('correct horse battery staple');
+  const again = await deriveKey('correct horse battery staple', first.kdf);
+  const wrong = await deriveKey('wrong passphrase', first.kdf);
+
+  assert.deepEqual(again.key, first.key);
+  assert.notDeepEqual(wrong.key, first.key);
+  assert.equal(first.kdf.name, 'scrypt');
+});
+
+test('encrypted snapshots restore with the key and keys move between instances', async (t) => {
+  const service = loadEncryptionService();
+  const serverPath = makeTempDir(t, 'mc-core-crypto-server-');
+  const worldDir = path.join(serverPath, 'world');
+  fs.mkdirSync(worldDir, { recursive: true });
+  fs.writeFileSync(path.join(worldDir, 'ops.json'), '[{"name":"admin"}]');
+  const backupDir = path.join(serverPath, 'backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  const enabled = await service.enableBackupEncryption(serverPath, { mode: 'passphrase', passphrase: 'hunter22hunter22' });
+  assert.equal(enabled.success, true);
+  const snapshotPath = path.join(backupDir, 'backup-world-1.mcsnap');
+  await createSnapshot([worldDir], snapshotPath, { encryption: service.getActiveBackupKey(serverPath) });
+  service.writeBackupMetadata(serverPath, path.join(backupDir, 'backup-world-1.json'), { type: 'world' });
+
+  // Nothing in the store is readable without the key
+  assert.equal(isEncryptedData(fs.readFileSync(snapshotPath)), true);
+  assert.equal(isEncryptedData(fs.readFileSync(path.join(backupDir, 'backup-world-1.json'))), true);
+  assert.deepEqual(service.readBackupMetadata(serverPath, path.join(backupDir, 'backup-world-1.json')), { type: 'world' });
+
+  const restoreDir = makeTempDir(t, 'mc-core-crypto-restore-');
+  await restoreSnapshot(snapshotPath, restoreDir);
+  assert.equal(fs.readFileSync(path.join(restoreDir, 'world', 'ops.json'), 'utf8'), '[{"name":"admin"}]');
+
+  // A second instance holding a copy of the backups has no key until it imports one
+  const otherPath = makeTempDir(t, 'mc-core-crypto-other-');
+  fs.cpSync(backupDir, path.join(otherPath, 'backups'), { recursive: true });
+  const copiedSnapshot = path.join(otherPath, 'backups', 'backup-world-1.mcsnap');
+  await assert.rejects(() => restoreSnapshot(copiedSnapshot, makeTempDir(t, 'mc-core-crypto-fail-')), BackupKeyError);
+  assert.equal(service.describeBackupEncryption(otherPath, copiedSnapshot).keyAvailable, false);
+
+  const exported = await service.exportBackupKeys(serverPath, 'export-passphrase');
+  assert.equal(exported.success, true);
+  assert.equal((await service.importBackupKeys(otherPath, exported.content, 'not-the-passphrase')).success, false);
+  assert.equal((await service.importBackupKeys(otherPath, exported.content, 'export-passphrase')).success, true);
+  await restoreSnapshot(copiedSnapshot, makeTempDir(t, 'mc-core-crypto-ok-'));
+
+  // Passphrase-derived keys can also be recovered straight from a backup
+  const thirdPath = makeTempDir(t, 'mc-core-crypto-third-');
+  fs.cpSync(backupDir, path.join(thirdPath, 'backups'), { recursive: true });
+  assert.equal((await service.unlockBackupWithPassphrase(thirdPath, 'backup-world-1.mcsnap', 'wrong-pass')).success, false);
+  assert.equal((await service.unlockBackupWithPassphrase(thirdPath, 'backup-world-1.mcsnap', 'hunter22hunter22')).success, true);
+  assert.equal(service.describeBackupEncryption(thirdPath, path.join(thirdPath, 'backups', 'backup-world-1.mcsnap')).keyAvailable, true);
+});
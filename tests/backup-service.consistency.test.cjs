@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const SAVED_LINE = '[12:00:01] [Server thread/INFO]: Saved the game';
+
+async function withBackupService({ running = true, logLines = [SAVED_LINE], unsent = [] } = {}, fn) {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-backup-live-'));
+  fs.mkdirSync(path.join(serverPath, 'world', 'region'), { recursive: true });
+  fs.writeFileSync(path.join(serverPath, 'world', 'level.dat'), 'level-data');
+  fs.writeFileSync(path.join(serverPath, 'world', 'region', 'r.0.0.mca'), Buffer.alloc(4096, 1));
+
+  const commands = [];
+  const serverManagerStub = {
+    getAllServerStates: () => [{ instanceId: 'srv-1', isRunning: running, targetPath: serverPath }],
+    sendServerCommand: (selector, command) => {
+      commands.push({ instanceId: selector.instanceId, command });
+      return running && !unsent.includes(command);
+    },
+    waitForLogLine: (_selector, pattern) => {
+      commands.push({ command: '<wait>' });
+      const line = logLines.find(text => (typeof pattern === 'function' ? pattern(text) : pattern.test(text)));
+      return line ? Promise.resolve(line) : Promise.reject(new Error('Timed out'));
+    }
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('server-manager.cjs')) {
+      return serverManagerStub;
+    }
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('app-store.cjs')) {
+      return { get: () => ({}), set: () => {} };
+    }
+    if (request.endsWith('secure-store.cjs')) {
+      return { packSecret: value => value, unpackSecret: value => value, ensureEncryptionAvailable() {} };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/backup-service.cjs');
+  delete require.cache[modulePath];
+  const backupService = require(modulePath);
+
+  try {
+    await fn({ backupService, serverPath, commands });
+  } finally {
+    Module._load = originalLoad;
+    delete require.cache[modulePath];
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+}
+
+test('live backup flushes the world and re-enables saving', { concurrency: false }, async () => {
+  await withBackupService({}, async ({ backupService, serverPath, commands }) => {
+    const result = await backupService.createBackup({ serverPath, type: 'world', trigger: 'manual', mode: 'zip' });
+
+    assert.deepEqual(commands.map(entry => entry.command), ['save-off', '<wait>', 'save-all flush', 'save-on']);
+    assert.ok(commands.filter(entry => entry.instanceId).every(entry => entry.instanceId === 'srv-1'));
+    assert.equal(result.metadata.consistent, true);
+    assert.equal(result.metadata.serverRunning, true);
+
+    const metaPath = path.join(serverPath, 'backups', result.name.replace(/\.zip$/, '.json'));
+    assert.equal(JSON.parse(fs.readFileSync(metaPath, 'utf8')).consistent, true);
+  });
+});
+
+test('a player chatting the save message does not count as the flush', { concurrency: false }, async () => {
+  const logLines = [
+    '[12:00:01] [Server thread/INFO]: <Steve> Saved the game',
+    '[12:00:01] [Server thread/INFO]: <Steve> ]: Saved the game',
+    '[12:00:02] [Server thread/INFO]: [Not Secure] <Alex> Saved the game'
+  ];
+  await withBackupService({ logLines }, async ({ backupService, serverPath }) => {
+    const result = await backupService.createBackup({ serverPath, type: 'world', trigger: 'manual', mode: 'zip' });
+    assert.equal(result.metadata.consistent, false);
+  });
+});
+
+test('live backup is marked inconsistent when the flush is not confirmed', { concurrency: false }, async () => {
+  await withBackupService({ logLines: [] }, async ({ backupService, serverPath, commands }) => {
+    const result = await backupService.createBackup({ serverPath, type: 'world', trigger: 'manual', mode: 'zip' });
+
+    assert.equal(commands.at(-1).command, 'save-on');
+    assert.equal(result.metadata.consistent, false);
+    assert.ok(fs.existsSync(path.join(serverPath, 'backups', result.name)));
+  });
+});
+
+test('live backup does not wait for a flush that could not be sent', { concurrency: false }, async () => {
+  await withBackupService({ unsent: ['save-all flush'] }, async ({ backupService, serverPath, commands }) => {
+    const result = await backupService.createBackup({ serverPath, type: 'world', trigger: 'manual', mode: 'zip' });
+
+    assert.deepEqual(commands.map(entry => entry.command), ['save-off', '<wait>', 'save-all flush', 'save-on']);
+    assert.equal(result.metadata.consistent, false);
+  });
+});
+
+test('backup of a stopped server skips the save protocol', { concurrency: false }, async () => {
+  await withBackupService({ running: false }, async ({ backupService, serverPath, commands }) => {
+    const result = await backupService.createBackup({ serverPath, type: 'world', trigger: 'manual', mode: 'incremental' });
+
+    assert.deepEqual(commands, []);
+    assert.equal(result.metadata.consistent, true);
+    assert.equal(result.metadata.serverRunning, false);
+  });
+});
+
+test('selective restore backs up only the paths it overwrites', { concurrency: false }, async () => {
+  for (const mode of ['zip', 'incremental']) {
+    await withBackupService({ running: false }, async ({ backupService, serverPath }) => {
+      fs.writeFileSync(path.join(serverPath, 'server.properties'), 'motd=backup\n');
+      const backup = await backupService.createBackup({ serverPath, type: 'full', trigger: 'manual', mode });
+
+      fs.writeFileSync(path.join(serverPath, 'server.properties'), 'motd=live\n');
+      fs.writeFileSync(path.join(serverPath, 'world', 'region', 'r.0.0.mca'), Buffer.alloc(4096, 2));
+      fs.writeFileSync(path.join(serverPath, 'world', 'region', 'r.5.5.mca'), Buffer.alloc(4096, 3));
+
+      const result = await backupService.restoreBackupSelection({
+        serverPath,
+        name: backup.name,
+        selection: {
+          configs: ['server.properties'],
+          regions: [{ dimension: 'world', fromX: 0, fromZ: 0, toX: 100, toZ: 100 }]
+        }
+      });
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.restoredFiles, 2);
+      assert.equal(fs.readFileSync(path.join(serverPath, 'server.properties'), 'utf8'), 'motd=backup\n');
+      assert.ok(fs.existsSync(path.join(serverPath, 'world', 'region', 'r.5.5.mca')));
+
+      const contents = await backupService.listBackupContents({ serverPath, name: result.preRestoreBackup });
+      assert.equal(contents.success, true);
+      assert.deepEqual(contents.dimensions.map(dimension => [dimension.id, dimension.regionCount]), [['world', 1]]);
+      assert.deepEqual(contents.configs.map(config => config.path), ['server.properties']);
+    });
+  }
+});
+
+test('selective restore refuses folders outside the server folder', { concurrency: false }, async () => {
+  await withBackupService({ running: false }, async ({ backupService, serverPath }) => {
+    const victim = `${serverPath}-victim`;
+    fs.mkdirSync(path.join(victim, 'region'), { recursive: true });
+    fs.writeFileSync(path.join(victim, 'region', 'keep.txt'), 'keep');
+    try {
+      const AdmZip = require('adm-zip');
+      const zip = new AdmZip();
+      zip.addFile('placeholder', Buffer.alloc(16));
+      // adm-zip strips ".." when adding, so rename the entry afterwards
+      zip.getEntries()[0].entryName = `../${path.basename(victim)}/region/r.0.0.mca`;
+      fs.mkdirSync(path.join(serverPath, 'backups'), { recursive: true });
+      zip.writeZip(path.join(serverPath, 'backups', 'crafted.zip'));
+
+      const result = await backupService.restoreBackupSelection({
+        serverPath,
+        name: 'crafted.zip',
+        selection: { dimensions: [`../${path.basename(victim)}`] }
+      });
+      assert.equal(result.success, false);
+      assert.match(result.error, /escapes/);
+      assert.ok(fs.existsSync(path.join(victim, 'region', 'keep.txt')));
+      assert.deepEqual(fs.readdirSync(path.join(serverPath, 'backups')), ['crafted.zip']);
+    } finally {
+      fs.rmSync(victim, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+  CHUNK_SIZE,
+  STORE_DIR_NAME,
+  createSnapshot,
+  restoreSnapshot,
+  verifySnapshot,
+  pruneStore,
+  getStoreUsage
+} = require('../electron/utils/backup-store.cjs');
+
+function createServerDir() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-backup-store-'));
+  const world = path.join(root, 'world');
+  fs.mkdirSync(path.join(world, 'region'), { recursive: true });
+  fs.writeFileSync(path.join(world, 'level.dat'), 'level-data');
+  fs.writeFileSync(path.join(world, 'region', 'r.0.0.mca'), crypto.randomBytes(CHUNK_SIZE * 2 + 100));
+  fs.writeFileSync(path.join(world, 'session.lock'), 'locked');
+  const backupDir = path.join(root, 'backups');
+  fs.mkdirSync(backupDir);
+  return { root, world, backupDir };
+}
+
+function listObjects(backupDir) {
+  const objectsDir = path.join(backupDir, STORE_DIR_NAME, 'objects');
+  return fs.readdirSync(objectsDir).flatMap(prefix =>
+    fs.readdirSync(path.join(objectsDir, prefix)).map(name => path.join(objectsDir, prefix, name))
+  );
+}
+
+test('createSnapshot stores unchanged content only once', async () => {
+  const { root, world, backupDir } = createServerDir();
+  try {
+    const first = await createSnapshot([world], path.join(backupDir, 'a.mcsnap'));
+    assert.equal(first.fileCount, 2, 'session.lock is skipped');
+    assert.equal(first.newChunks, first.chunkCount);
+
+    const second = await createSnapshot([world], path.join(backupDir, 'b.mcsnap'));
+    assert.equal(second.newChunks, 0);
+    assert.equal(second.chunkCount, first.chunkCount);
+
+    const third = await createSnapshot([world], path.join(backupDir, 'c.mcsnap'), {
+      previousSnapshotPath: path.join(backupDir, 'b.mcsnap')
+    });
+    assert.equal(third.reusedFiles, 2);
+    assert.equal(third.newChunks, 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('restoreSnapshot recreates the original files', async () => {
+  const { root, world, backupDir } = createServerDir();
+  try {
+    const snapshotPath = path.join(backupDir, 'a.mcsnap');
+    await createSnapshot([world], snapshotPath);
+
+    const destination = path.join(root, 'restored');
+    const result = await restoreSnapshot(snapshotPath, destination);
+    assert.equal(result.fileCount, 2);
+    for (const relative of ['level.dat', path.join('region', 'r.0.0.mca')]) {
+      assert.deepEqual(
+        fs.readFileSync(path.join(destination, 'world', relative)),
+        fs.readFileSync(path.join(world, relative))
+      );
+    }
+    assert.equal(fs.existsSync(path.join(destination, 'world', 'session.lock')), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('verifySnapshot reports missing and corrupt chunks', async () => {
+  const { root, world, backupDir } = createServerDir();
+  try {
+    const snapshotPath = path.join(backupDir, 'a.mcsnap');
+    await createSnapshot([world], snapshotPath);
+    assert.equal((await verifySnapshot(snapshotPath)).valid, true);
+
+    const objects = listObjects(backupDir);
+    fs.writeFileSync(objects[0], 'garbage');
+    fs.unlinkSync(objects[1]);
+
+    const result = await verifySnapshot(snapshotPath);
+    assert.equal(result.valid, false);
+    assert.equal(result.corruptChunks, 1);
+    assert.equal(result.missingChunks, 1);
+    assert.ok(result.affectedFiles.length > 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('pruneStore drops chunks only the deleted snapshot used', async () => {
+  const { root, world, backupDir } = createServerDir();
+  try {
+    await createSnapshot([world], path.join(backupDir, 'a.mcsnap'));
+    fs.writeFileSync(path.join(world, 'level.dat'), 'changed-level-data');
+    await createSnapshot([world], path.join(backupDir, 'b.mcsnap'));
+
+    const before = listObjects(backupDir).length;
+    fs.unlinkSync(path.join(backupDir, 'a.mcsnap'));
+    const pruned = await pruneStore(backupDir);
+
+    assert.equal(pruned.removedObjects, 1);
+    assert.ok(pruned.freedBytes > 0);
+    assert.equal(listObjects(backupDir).length, before - 1);
+    assert.equal((await verifySnapshot(path.join(backupDir, 'b.mcsnap'))).valid, true);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getStoreUsage attributes shared chunks so sizes add up to the store total', async () => {
+  const { root, world, backupDir } = createServerDir();
+  try {
+    await createSnapshot([world], path.join(backupDir, 'a.mcsnap'));
+    fs.writeFileSync(path.join(world, 'level.dat'), 'changed-level-data');
+    await createSnapshot([world], path.join(backupDir, 'b.mcsnap'));
+
+    const usage = await getStoreUsage(backupDir);
+    const a = usage.snapshots['a.mcsnap'];
+    const b = usage.snapshots['b.mcsnap'];
+    assert.equal(a.size + b.size, usage.totalSize);
+    assert.equal(usage.unreferencedSize, 0);
+    assert.ok(b.size < a.size, 'the newer snapshot only owns its changed chunk');
+    assert.ok(a.exclusiveSize < a.size, 'shared region chunks are not exclusive');
+    assert.equal(a.logicalSize, b.logicalSize - 'changed-'.length);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
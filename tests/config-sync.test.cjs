@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+function loadConfigSync() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/config-sync-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('sync entries keep to config paths and drop game files and secrets', () => {
+  const { isSyncablePath, normalizeConfigSyncEntries } = loadConfigSync();
+
+  assert.equal(isSyncablePath('config'), true);
+  assert.equal(isSyncablePath('config/sodium-options.json'), true);
+  assert.equal(isSyncablePath('options.txt'), true);
+  assert.equal(isSyncablePath('mods/evil.jar'), false);
+  assert.equal(isSyncablePath('server.properties'), false);
+  assert.equal(isSyncablePath('config/../mods/x.jar'), false);
+  assert.equal(isSyncablePath('/etc/passwd'), false);
+  assert.equal(isSyncablePath('C:\\Windows'), false);
+
+  assert.deepEqual(
+    normalizeConfigSyncEntries([
+      { path: 'kubejs/', policy: 'always' },
+      { path: 'config', policy: 'bogus' },
+      { path: 'config' },
+      { path: 'world/level.dat' },
+      null
+    ]),
+    [{ path: 'config', policy: 'keep-local-changes' }, { path: 'kubejs', policy: 'always' }]
+  );
+});
+
+test('listSyncFiles expands folders and prefers the client copy of a file', () => {
+  const { setConfigSyncEntries, listSyncFiles, readSyncFiles } = loadConfigSync();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-sync-'));
+  try {
+    writeFile(path.join(serverPath, 'config', 'a.toml'), 'server a');
+    writeFile(path.join(serverPath, 'config', 'nested', 'b.json'), '{}');
+    writeFile(path.join(serverPath, 'client', 'config', 'a.toml'), 'client a');
+    writeFile(path.join(serverPath, 'server.properties'), 'rcon.password=secret');
+
+    setConfigSyncEntries(serverPath, [{ path: 'config', policy: 'always' }, { path: 'server.properties' }]);
+    const files = listSyncFiles(serverPath);
+    assert.deepEqual(files.map(f => [f.path, f.policy, f.checksum]), [
+      ['config/a.toml', 'always', md5('client a')],
+      ['config/nested/b.json', 'always', md5('{}')]
+    ]);
+
+    const contents = readSyncFiles(serverPath, ['config/a.toml', 'server.properties']);
+    assert.equal(contents.length, 1);
+    assert.equal(Buffer.from(contents[0].content, 'base64').toString('utf8'), 'client a');
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('listSyncFiles skips symlinks inside synced folders', () => {
+  const { listSyncFiles } = loadConfigSync();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-sync-'));
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-outside-'));
+  try {
+    writeFile(path.join(serverPath, 'config', 'a.toml'), 'a');
+    writeFile(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(outside, path.join(serverPath, 'config', 'escape'), 'dir');
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(serverPath, 'config', 'secret.txt'));
+    fs.symlinkSync(path.join(serverPath, 'config'), path.join(serverPath, 'config', 'loop'), 'dir');
+
+    const files = listSyncFiles(serverPath, [{ path: 'config', policy: 'always' }]);
+    assert.deepEqual(files.map(f => f.path), ['config/a.toml']);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
+
+test('listSyncFiles reuses checksums until a file changes size or mtime', () => {
+  const { listSyncFiles } = loadConfigSync();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-sync-'));
+  try {
+    const filePath = path.join(serverPath, 'config', 'a.toml');
+    const entries = [{ path: 'config', policy: 'always' }];
+    const mtime = new Date('2024-01-01T00:00:00Z');
+    writeFile(filePath, 'one');
+    fs.utimesSync(filePath, mtime, mtime);
+    assert.equal(listSyncFiles(serverPath, entries)[0].checksum, md5('one'));
+
+    // Same size and mtime: the cached checksum is used and the file is not read again
+    fs.writeFileSync(filePath, 'two');
+    fs.utimesSync(filePath, mtime, mtime);
+    assert.equal(listSyncFiles(serverPath, entries)[0].checksum, md5('one'));
+
+    fs.utimesSync(filePath, new Date('2024-01-02T00:00:00Z'), new Date('2024-01-02T00:00:00Z'));
+    assert.equal(listSyncFiles(serverPath, entries)[0].checksum, md5('two'));
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('planConfigSync and applyConfigSync follow each policy and keep local edits', () => {
+  const { planConfigSync, applyConfigSync } = loadConfigSync();
+  const clientPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-sync-'));
+  const remote = (filePath, content, policy) => ({ path: filePath, policy, checksum: md5(content), size: content.length });
+  const payload = (filePath, content) => ({ path: filePath, content: Buffer.from(content).toString('base64') });
+
+  try {
+    writeFile(path.join(clientPath, 'config', 'edited.toml'), 'my edit');
+    writeFile(path.join(clientPath, 'config', 'forced.toml'), 'old');
+    writeFile(path.join(clientPath, 'config', 'seed.toml'), 'local seed');
+
+    const files = [
+      remote('config/new.toml', 'v1', 'keep-local-changes'),
+      remote('config/edited.toml', 'v1', 'keep-local-changes'),
+      remote('config/forced.toml', 'v1', 'always'),
+      remote('config/seed.toml', 'v1', 'if-missing'),
+      remote('../escape.toml', 'v1', 'always')
+    ];
+    const plan = planConfigSync(clientPath, files);
+    assert.deepEqual(plan.map(item => [item.path, item.action]), [
+      ['config/new.toml', 'create'],
+      ['config/edited.toml', 'update'],
+      ['config/forced.toml', 'update'],
+      ['config/seed.toml', 'keep']
+    ]);
+
+    const result = applyConfigSync(clientPath, files, [
+      payload('config/new.toml', 'v1'),
+      payload('config/edited.toml', 'v1'),
+      payload('config/forced.toml', 'tampered')
+    ]);
+    assert.deepEqual(result.written, ['config/new.toml', 'config/edited.toml']);
+    assert.deepEqual(result.kept, ['config/seed.toml']);
+    assert.deepEqual(result.failures, [{ path: 'config/forced.toml', error: 'Checksum mismatch' }]);
+    assert.equal(fs.readFileSync(path.join(clientPath, 'config', 'forced.toml'), 'utf8'), 'old');
+    assert.equal(fs.existsSync(path.join(clientPath, '..', 'escape.toml')), false);
+
+    // A file the client received and did not touch follows later server changes
+    const updated = [remote('config/new.toml', 'v2', 'keep-local-changes')];
+    assert.equal(planConfigSync(clientPath, updated)[0].action, 'update');
+    applyConfigSync(clientPath, updated, [payload('config/new.toml', 'v2')]);
+    assert.equal(fs.readFileSync(path.join(clientPath, 'config', 'new.toml'), 'utf8'), 'v2');
+
+    // Once edited locally it is kept
+    fs.writeFileSync(path.join(clientPath, 'config', 'new.toml'), 'player tweak');
+    assert.equal(planConfigSync(clientPath, [remote('config/new.toml', 'v3', 'keep-local-changes')])[0].action, 'keep');
+  } finally {
+    fs.rmSync(clientPath, { recursive: true, force: true });
+  }
+});
+
+test('the first sync replaces configs the mod generated with its defaults', () => {
+  const { planConfigSync, applyConfigSync } = loadConfigSync();
+  const clientPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-config-sync-'));
+  try {
+    writeFile(path.join(clientPath, 'config', 'sodium.json'), '{"defaults":true}');
+    const files = [{ path: 'config/sodium.json', policy: 'keep-local-changes', checksum: md5('{"server":true}') }];
+
+    const [item] = planConfigSync(clientPath, files);
+    assert.equal(item.action, 'update');
+    assert.equal(item.reason, 'Not synced before');
+
+    const result = applyConfigSync(clientPath, files, [
+      { path: 'config/sodium.json', content: Buffer.from('{"server":true}').toString('base64') }
+    ]);
+    assert.deepEqual(result.written, ['config/sodium.json']);
+    assert.equal(fs.readFileSync(path.join(clientPath, 'config', 'sodium.json'), 'utf8'), '{"server":true}');
+  } finally {
+    fs.rmSync(clientPath, { recursive: true, force: true });
+  }
+});
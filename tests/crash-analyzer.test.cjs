@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const AdmZip = require('adm-zip');
+
+function loadCrashAnalyzer() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/crash-analyzer.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const FORGE_CRASH_REPORT = [
+  '---- Minecraft Crash Report ----',
+  '// Shall we play a game?',
+  '',
+  'Time: 2026-01-10 12:00:00',
+  'Description: Ticking entity',
+  '',
+  'java.lang.NullPointerException: Cannot invoke "net.minecraft.world.entity.Entity.getId()" because "target" is null',
+  '\tat com.example.golems.entity.GolemAi.tick(GolemAi.java:88) ~[golems-1.2.0.jar%23190!/:1.2.0] {re:classloading}',
+  '\tat net.minecraft.world.entity.Mob.handler$zza000$lithium$tick(Mob.java:300) ~[server-1.20.1.jar%23200!/:?] {re:mixin}',
+  '\tat TRANSFORMER/minecraft@1.20.1/net.minecraft.server.level.ServerLevel.tickNonPassenger(ServerLevel.java:693) ~[server-1.20.1.jar:?]',
+  '\tat java.lang.Thread.run(Thread.java:833) ~[?:?]',
+  'Caused by: java.lang.IllegalStateException: stale target',
+  '\t... 4 more',
+  '',
+  '',
+  'A detailed walkthrough of the error, its code path and all known details is as follows:',
+  '---------------------------------------------------------------------------------------',
+  '',
+  '-- Head --',
+  'Thread: Server thread',
+  'Suspected Mods: ',
+  '\tGolems (golems), Version: 1.2.0',
+  '\t\tIssue tracker URL: https://example.com/golems/issues',
+  '\tat TRANSFORMER/golems@1.2.0/com.example.golems.entity.GolemAi.tick(GolemAi.java:88)',
+  '',
+  '-- System Details --',
+  'Details:',
+  '\tMinecraft Version: 1.20.1'
+].join('\n');
+
+test('parseCrashText reads the exception, frames and suspected mods of a Forge crash report', () => {
+  const { parseCrashText } = loadCrashAnalyzer();
+  const parsed = parseCrashText(FORGE_CRASH_REPORT);
+
+  assert.equal(parsed.description, 'Ticking entity');
+  assert.equal(parsed.exception.type, 'java.lang.NullPointerException');
+  assert.match(parsed.exception.message, /because "target" is null/);
+  assert.deepEqual(parsed.causes, [{ type: 'java.lang.IllegalStateException', message: 'stale target' }]);
+  assert.deepEqual(parsed.suspectedMods, [{ name: 'Golems', id: 'golems' }]);
+
+  assert.equal(parsed.frames.length, 4);
+  assert.equal(parsed.frames[0].className, 'com.example.golems.entity.GolemAi');
+  assert.equal(parsed.frames[0].jar, 'golems-1.2.0.jar');
+  assert.equal(parsed.frames[1].modId, 'lithium');
+  // The vanilla module prefix names no mod
+  assert.equal(parsed.frames[2].modId, null);
+  assert.equal(parsed.frames[2].className, 'net.minecraft.server.level.ServerLevel');
+});
+
+test('parseCrashText takes the last error of a log and reads Fabric incompatible mod sets', () => {
+  const { parseCrashText } = loadCrashAnalyzer();
+  const log = [
+    '[11:59:00] [Server thread/ERROR]: Failed to load optional config',
+    'java.io.FileNotFoundException: missing.toml',
+    '\tat com.example.config.Loader.read(Loader.java:10)',
+    '[12:00:00] [Server thread/INFO]: Preparing spawn area: 40%',
+    '[12:00:01] [main/ERROR]: Incompatible mods found!',
+    ' - Mod \'Fast Roads\' (fastroads) 2.0.0 requires version 0.5 or later of mod \'Road Lib\' (roadlib), but only the wrong version is present: 0.4!',
+    '[12:00:02] [Server thread/ERROR] [minecraft/MinecraftServer]: Encountered an unexpected exception',
+    'java.lang.ClassCastException: class a cannot be cast to class b',
+    '\tat knot//com.example.roads.RoadBuilder.build(RoadBuilder.java:42) ~[fastroads-2.0.0.jar:?]',
+    '\tat net.minecraft.server.MinecraftServer.tick(MinecraftServer.java:812)'
+  ].join('\n');
+
+  const parsed = parseCrashText(log, { source: 'log' });
+  assert.equal(parsed.exception.type, 'java.lang.ClassCastException');
+  assert.equal(parsed.frames[0].className, 'com.example.roads.RoadBuilder');
+  assert.equal(parsed.frames[0].jar, 'fastroads-2.0.0.jar');
+  assert.deepEqual(parsed.suspectedMods, [{ name: 'Fast Roads', id: 'fastroads' }]);
+});
+
+test('rankSuspects weighs named suspects, jars and packages and ignores shared packages', () => {
+  const { parseCrashText, rankSuspects } = loadCrashAnalyzer();
+  const mods = [
+    { fileName: 'golems-1.2.0.jar', id: 'golems', name: 'Golems', version: '1.2.0', packages: ['com.example.golems.entity'] },
+    { fileName: 'lithium.jar', id: 'lithium', name: 'Lithium', version: '0.11', packages: ['me.jellysquid.mods.lithium'] },
+    { fileName: 'shadowed-a.jar', id: 'a', name: 'A', version: '1', packages: ['org.shared.util'] },
+    { fileName: 'shadowed-b.jar', id: 'b', name: 'B', version: '1', packages: ['org.shared.util'] },
+    { fileName: 'unrelated.jar', id: 'unrelated', name: 'Unrelated', version: '1', packages: ['com.other'] }
+  ];
+  const parsed = parseCrashText(`${FORGE_CRASH_REPORT}\n`.replace(
+    '\tat java.lang.Thread.run',
+    '\tat org.shared.util.Helper.call(Helper.java:1)\n\tat java.lang.Thread.run'
+  ));
+
+  const suspects = rankSuspects(parsed, mods);
+  assert.deepEqual(suspects.map(s => s.fileName), ['golems-1.2.0.jar', 'lithium.jar']);
+  assert.equal(suspects[0].score, 100 + 50 + 30);
+  assert.deepEqual(suspects[0].reasons, [
+    'Named as a suspect in the crash report',
+    'Its jar is in the stack trace',
+    'Its code is in the stack trace'
+  ]);
+  assert.equal(suspects[1].score, 40);
+});
+
+test('analyzeServerCrash picks the crash report of the crashed run and names the culprit jar', async () => {
+  const { analyzeServerCrash, getLatestCrashReport } = loadCrashAnalyzer();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-crash-'));
+  try {
+    fs.mkdirSync(path.join(serverPath, 'mods'));
+    fs.mkdirSync(path.join(serverPath, 'crash-reports'));
+
+    const zip = new AdmZip();
+    zip.addFile('META-INF/mods.toml', Buffer.from('[[mods]]\nmodId="golems"\nversion="1.2.0"\ndisplayName="Golems"\n'));
+    zip.addFile('com/example/golems/entity/GolemAi.class', Buffer.alloc(4));
+    zip.writeZip(path.join(serverPath, 'mods', 'golems-renamed.jar'));
+
+    const reportsDir = path.join(serverPath, 'crash-reports');
+    const stalePath = path.join(reportsDir, 'crash-2025-01-01_00.00.00-server.txt');
+    fs.writeFileSync(stalePath, 'Description: Old crash\n\njava.lang.OutOfMemoryError: Java heap space\n');
+    const old = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(stalePath, old, old);
+    fs.writeFileSync(
+      path.join(reportsDir, 'crash-2026-01-10_12.00.00-server.txt'),
+      FORGE_CRASH_REPORT.replace(/golems-1\.2\.0\.jar/g, 'golems-renamed.jar')
+    );
+
+    const report = await analyzeServerCrash(serverPath, { startMs: Date.now() - 60 * 1000, exitCode: 1 });
+    assert.equal(report.source, 'crash-report');
+    assert.equal(report.reportFile, 'crash-2026-01-10_12.00.00-server.txt');
+    assert.equal(report.exception.type, 'java.lang.NullPointerException');
+    assert.equal(report.rootCause.type, 'java.lang.IllegalStateException');
+    assert.equal(report.culprit.fileName, 'golems-renamed.jar');
+    assert.equal(report.culprit.name, 'Golems');
+    assert.equal(getLatestCrashReport(serverPath), report);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseCronExpression,
+  getNextRunTime,
+  validateCronExpression
+} = require('../electron/utils/cron-schedule.cjs');
+
+test('parseCronExpression expands lists, ranges, steps and names', () => {
+  const parsed = parseCronExpression('0,30 8-10 */10 jan-mar mon,fri');
+
+  assert.deepEqual([...parsed.minute], [0, 30]);
+  assert.deepEqual([...parsed.hour], [8, 9, 10]);
+  assert.deepEqual([...parsed.dayOfMonth], [1, 11, 21, 31]);
+  assert.deepEqual([...parsed.month], [1, 2, 3]);
+  assert.deepEqual([...parsed.dayOfWeek], [1, 5]);
+});
+
+test('parseCronExpression treats 7 as Sunday and expands macros', () => {
+  assert.deepEqual([...parseCronExpression('0 0 * * 7').dayOfWeek], [0]);
+  assert.deepEqual([...parseCronExpression('@daily').hour], [0]);
+});
+
+test('parseCronExpression accepts weekday ranges ending on Sunday', () => {
+  assert.deepEqual([...parseCronExpression('0 3 * * 5-7').dayOfWeek].sort(), [0, 5, 6]);
+  assert.deepEqual([...parseCronExpression('0 3 * * fri-sun').dayOfWeek].sort(), [0, 5, 6]);
+  assert.deepEqual([...parseCronExpression('0 3 * * 0-7').dayOfWeek].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.equal(validateCronExpression('0 3 * * 5-8').valid, false);
+  assert.equal(validateCronExpression('0 3 * * sun-fri').valid, true);
+
+  // 2024-01-15 is a Monday; the next Friday is the 19th
+  const next = getNextRunTime('0 3 * * 5-7', new Date(2024, 0, 15, 12, 0, 0));
+  assert.equal(next.getTime(), new Date(2024, 0, 19, 3, 0, 0).getTime());
+});
+
+test('getNextRunTime returns the next matching minute strictly after from', () => {
+  const from = new Date(2024, 0, 15, 3, 59, 30);
+  const next = getNextRunTime('0 4 * * *', from);
+  assert.equal(next.getTime(), new Date(2024, 0, 15, 4, 0, 0).getTime());
+
+  const after = getNextRunTime('0 4 * * *', next);
+  assert.equal(after.getTime(), new Date(2024, 0, 16, 4, 0, 0).getTime());
+});
+
+test('getNextRunTime matches either day field when both are restricted', () => {
+  // 2024-01-15 is a Monday; the 20th comes before the following Sunday (21st)
+  const from = new Date(2024, 0, 15, 12, 0, 0);
+  const next = getNextRunTime('0 0 20 * 0', from);
+  assert.equal(next.getTime(), new Date(2024, 0, 20, 0, 0, 0).getTime());
+});
+
+test('getNextRunTime requires both day fields when one of them is a */n step', () => {
+  // Odd days of the month that are also Mondays: after Monday the 15th, the 29th
+  const from = new Date(2024, 0, 15, 12, 0, 0);
+  const next = getNextRunTime('0 0 */2 * 1', from);
+  assert.equal(next.getTime(), new Date(2024, 0, 29, 0, 0, 0).getTime());
+});
+
+test('getNextRunTime handles month rollover', () => {
+  const from = new Date(2024, 10, 30, 23, 0, 0);
+  const next = getNextRunTime('@monthly', from);
+  assert.equal(next.getTime(), new Date(2024, 11, 1, 0, 0, 0).getTime());
+});
+
+test('validateCronExpression rejects malformed and impossible schedules', () => {
+  assert.equal(validateCronExpression('*/15 * * * *').valid, true);
+  assert.equal(validateCronExpression('').valid, false);
+  assert.equal(validateCronExpression('* * * *').valid, false);
+  assert.equal(validateCronExpression('60 * * * *').valid, false);
+  assert.equal(validateCronExpression('5-1 * * * *').valid, false);
+  assert.equal(validateCronExpression('*/0 * * * *').valid, false);
+
+  const impossible = validateCronExpression('0 0 31 2 *');
+  assert.equal(impossible.valid, false);
+  assert.match(impossible.error, /never fires/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeLaunchProfile } = require('../electron/utils/config-manager.cjs');
+const {
+  validateLaunchProfile,
+  buildJvmArgs,
+  buildLaunchEnv,
+  describeLaunchCommand
+} = require('../electron/utils/launch-profile.cjs');
+
+test('normalizeLaunchProfile coerces stored profiles into their shape', () => {
+  assert.deepEqual(normalizeLaunchProfile(null), {
+    minRam: null,
+    gcPreset: 'default',
+    jvmArgs: [],
+    env: {},
+    serverArgs: [],
+    priority: 'normal'
+  });
+  assert.deepEqual(normalizeLaunchProfile({
+    minRam: '2',
+    gcPreset: 'shenandoah',
+    jvmArgs: [' -Dfoo=bar ', '', 42, null],
+    env: { JAVA_TOOL_OPTIONS: '-Xss4M', DEBUG: true, nested: {} },
+    serverArgs: 'not-a-list',
+    priority: 'high'
+  }), {
+    minRam: 2,
+    gcPreset: 'default',
+    jvmArgs: ['-Dfoo=bar', '42'],
+    env: { JAVA_TOOL_OPTIONS: '-Xss4M', DEBUG: 'true' },
+    serverArgs: [],
+    priority: 'high'
+  });
+});
+
+test('validateLaunchProfile rejects profiles the server cannot start with', () => {
+  assert.deepEqual(validateLaunchProfile({}, { maxRam: 4 }), { valid: true, errors: [], warnings: [] });
+
+  const result = validateLaunchProfile({
+    minRam: 8,
+    gcPreset: 'aikar',
+    jvmArgs: ['-Xmx8G', '-XX:+UseZGC', '-jar', 'forceUpgrade'],
+    env: { 'BAD NAME': 'x' },
+    priority: 'realtime'
+  }, { maxRam: 4 });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    'Minimum heap (8 GB) is larger than the maximum heap (4 GB)',
+    'Set the heap with the heap fields instead of "-Xmx8G"',
+    '"-XX:+UseZGC" conflicts with the aikar GC preset',
+    '"-jar" cannot be used; the server jar is chosen by the app',
+    'JVM argument "forceUpgrade" must start with "-"; put program arguments under server arguments',
+    '"BAD NAME" is not a valid environment variable name',
+    'Unknown process priority "realtime"'
+  ]);
+
+  assert.deepEqual(validateLaunchProfile({ gcPreset: 'zgc' }, { javaVersion: 8 }).errors, [
+    'ZGC needs Java 15 or newer; this server runs on Java 8'
+  ]);
+  assert.deepEqual(validateLaunchProfile({ serverArgs: ['--port', '25570'], priority: 'high' }).warnings, [
+    '--port overrides the port set for this server',
+    'Raising the process priority may need administrator rights'
+  ]);
+});
+
+test('buildJvmArgs sizes Aikar flags by heap and the env overlays the parent environment', () => {
+  const small = buildJvmArgs({ gcPreset: 'aikar' }, 8);
+  assert.ok(small.includes('-XX:G1HeapRegionSize=8M'));
+  assert.equal(small[0], '-Xmx8G');
+  assert.ok(!small.some((arg) => arg.startsWith('-Xms')));
+  assert.ok(buildJvmArgs({ gcPreset: 'aikar', minRam: 16 }, 16).includes('-XX:G1HeapRegionSize=16M'));
+
+  assert.deepEqual(buildLaunchEnv({ env: { TZ: 'UTC' } }, { PATH: '/bin', TZ: 'Europe/Berlin' }), { PATH: '/bin', TZ: 'UTC' });
+  assert.equal(
+    describeLaunchCommand({ minRam: 1, serverArgs: ['--forceUpgrade'] }, 4),
+    'java -Xmx4G -Xms1G -jar server.jar nogui --forceUpgrade'
+  );
+});
@@ -3,19 +3,20 @@ const assert = require('node:assert/strict');
 const path = require('path');
 const Module = require('module');
 
-async function withMockedFetch(sampleVersions, fn) {
+async function withMockedFetch(sampleVersions, fn, { persisted = new Map() } = {}) {
   const originalLoad = Module._load;
   let fetchCalls = 0;
   const responseFactory = typeof sampleVersions === 'function'
     ? sampleVersions
     : async () => sampleVersions;
 
-  const mockFetch = async () => {
+  const mockFetch = async (url, options) => {
     fetchCalls += 1;
-    const payload = await responseFactory(fetchCalls);
+    const payload = await responseFactory(fetchCalls, url, options);
+    const status = payload && payload.__status ? payload.__status : 200;
     return {
-      ok: true,
-      status: 200,
+      ok: status >= 200 && status < 300,
+      status,
       async json() {
         return payload;
       }
@@ -41,6 +42,25 @@ async function withMockedFetch(sampleVersions, fn) {
         }
       };
     }
+    // Persisted API responses live in memory so tests never touch the user's cache
+    if (typeof request === 'string' && request.endsWith('mod-cache-service.cjs')) {
+      return {
+        async readApiResponse(key, maxAgeMs = Infinity) {
+          const entry = persisted.get(key);
+          return entry && Date.now() - entry.fetchedAt <= maxAgeMs ? entry : null;
+        },
+        async writeApiResponse(key, data) {
+          persisted.set(key, { data, fetchedAt: Date.now() });
+        }
+      };
+    }
+    // The CurseForge API key is read lazily from the encrypted app store
+    if (typeof request === 'string' && request.endsWith('app-store.cjs')) {
+      return { get: key => (key === 'curseForgeApiKey' ? 'test-key' : undefined), set() {}, delete() {} };
+    }
+    if (typeof request === 'string' && request.endsWith('secure-store.cjs')) {
+      return { unpackSecret: value => value, packSecret: value => value, ensureEncryptionAvailable() {} };
+    }
     return originalLoad(request, parent, isMain);
   };
 
@@ -87,6 +107,44 @@ test('getModrinthVersions ignores versions with mismatched loaders during fallba
   });
 });
 
+test('Quilt servers are offered Fabric builds in search and version lookups', async () => {
+  const sampleVersions = [
+    {
+      id: 'fabric-build',
+      version_number: '2.0.0+fabric',
+      game_versions: ['1.21.1'],
+      loaders: ['fabric'],
+      version_type: 'release',
+      date_published: '2024-09-01T00:00:00Z',
+      files: [{ size: 1024 }],
+      downloads: 100
+    },
+    {
+      id: 'neoforge-build',
+      version_number: '2.0.0+neoforge',
+      game_versions: ['1.21.1'],
+      loaders: ['neoforge'],
+      version_type: 'release',
+      date_published: '2024-09-02T00:00:00Z',
+      files: [{ size: 1024 }],
+      downloads: 100
+    }
+  ];
+  const urls = [];
+
+  await withMockedFetch(async (_call, url) => {
+    urls.push(String(url));
+    return String(url).includes('/search') ? { hits: [], total_hits: 0 } : sampleVersions;
+  }, async (service) => {
+    const results = await service.getModrinthVersions('sodium', 'quilt', '1.21.1', false);
+    assert.deepEqual(results.map(entry => entry.id), ['fabric-build']);
+
+    await service.searchModrinthMods({ query: 'sodium', loader: 'quilt', version: '1.21.1' });
+    const facets = JSON.parse(new URL(urls.find(url => url.includes('/search'))).searchParams.get('facets'));
+    assert.deepEqual(facets[1], ['categories:quilt', 'categories:fabric']);
+  });
+});
+
 test('getModrinthVersions accepts wildcard Minecraft version tags for compatibility', async () => {
   const sampleVersions = [
     {
@@ -242,3 +300,224 @@ test('getModrinthVersions refreshes cached entries after the TTL expires', async
     }
   );
 });
+
+test('computeCurseForgeFingerprint hashes file contents without whitespace', async () => {
+  await withMockedFetch([], async (service) => {
+    const fingerprint = service.computeCurseForgeFingerprint(Buffer.from('hello world\n'));
+    assert.equal(fingerprint, 2824650221);
+    assert.equal(service.computeCurseForgeFingerprint(Buffer.from('helloworld')), fingerprint);
+    assert.equal(service.computeCurseForgeFingerprint(Buffer.from('Minecraft Core')), 1215817271);
+  });
+});
+
+test('extractCurseForgeVersionNumber skips Minecraft versions in file names', async () => {
+  await withMockedFetch([], async (service) => {
+    assert.equal(service.extractCurseForgeVersionNumber({
+      fileName: 'jei-1.20.1-forge-15.2.0.27.jar',
+      gameVersions: ['1.20.1', 'Forge']
+    }), '15.2.0.27');
+    assert.equal(service.extractCurseForgeVersionNumber({
+      fileName: 'sodium-fabric-0.5.8+mc1.20.1.jar',
+      gameVersions: ['1.20.1', 'Fabric']
+    }), '0.5.8+mc1.20.1');
+    assert.equal(service.extractCurseForgeVersionNumber({
+      fileName: 'Waystones.jar',
+      displayName: 'Waystones Release',
+      gameVersions: ['1.20.1']
+    }), 'Waystones Release');
+  });
+});
+
+test('getCurseForgeVersions maps files and keeps Fabric builds for Quilt', async () => {
+  const files = [
+    {
+      id: 101,
+      modId: 5000,
+      displayName: 'Example 2.0.0',
+      fileName: 'example-fabric-1.20.1-2.0.0.jar',
+      releaseType: 1,
+      fileDate: '2024-03-01T00:00:00Z',
+      fileLength: 4096,
+      downloadCount: 12,
+      gameVersions: ['1.20.1', 'Fabric'],
+      hashes: [{ algo: 1, value: 'abc123' }],
+      dependencies: [{ modId: 306612, relationType: 3 }],
+      downloadUrl: 'https://edge.forgecdn.net/files/101/example.jar'
+    },
+    {
+      id: 102,
+      modId: 5000,
+      fileName: 'example-forge-1.20.1-2.0.0.jar',
+      releaseType: 1,
+      fileDate: '2024-03-02T00:00:00Z',
+      gameVersions: ['1.20.1', 'Forge']
+    },
+    {
+      id: 103,
+      modId: 5000,
+      fileName: 'example-quilt-1.20.1-2.1.0-beta.jar',
+      releaseType: 2,
+      fileDate: '2024-03-03T00:00:00Z',
+      gameVersions: ['1.20.1', 'Quilt']
+    }
+  ];
+
+  await withMockedFetch(async (call, url, options) => {
+    assert.equal(options.headers['x-api-key'], 'test-key');
+    assert.equal(new URL(url).searchParams.has('modLoaderType'), false, 'Quilt searches all loaders');
+    return { data: files, pagination: { totalCount: files.length } };
+  }, async (service) => {
+    const versions = await service.getCurseForgeVersions(5000, 'quilt', '1.20.1');
+    assert.deepEqual(versions.map(version => version.id), ['103', '101']);
+    assert.equal(versions[0].isStable, false);
+
+    const fabricBuild = versions[1];
+    assert.equal(fabricBuild.versionNumber, '2.0.0');
+    assert.equal(fabricBuild.sha1, 'abc123');
+    assert.deepEqual(fabricBuild.loaders, ['fabric']);
+    assert.deepEqual(fabricBuild.gameVersions, ['1.20.1']);
+    assert.deepEqual(fabricBuild.dependencies, [{ project_id: '306612', dependency_type: 'required' }]);
+    assert.equal(fabricBuild.source, 'curseforge');
+
+    const [latestStable] = await service.getCurseForgeVersions(5000, 'quilt', '1.20.1', true);
+    assert.equal(latestStable.id, '101');
+  });
+});
+
+test('getCurseForgeDownloadUrl explains files the author keeps off third-party apps', async () => {
+  await withMockedFetch(async (call, url) => {
+    if (url.includes('/files/77')) {
+      return { data: { id: 77, modId: 9000, fileName: 'locked-1.0.0.jar', releaseType: 1, gameVersions: ['1.20.1'], downloadUrl: null } };
+    }
+    return {
+      data: {
+        id: 9000,
+        name: 'Locked Mod',
+        slug: 'locked-mod',
+        classId: 6,
+        allowModDistribution: false,
+        links: { websiteUrl: 'https://www.curseforge.com/minecraft/mc-mods/locked-mod' }
+      }
+    };
+  }, async (service) => {
+    await assert.rejects(
+      service.getCurseForgeDownloadUrl(9000, 77, '1.20.1', 'fabric'),
+      error => error.code === 'CURSEFORGE_DISTRIBUTION_BLOCKED'
+        && error.websiteUrl === 'https://www.curseforge.com/minecraft/mc-mods/locked-mod'
+        && error.message.includes('locked-1.0.0.jar')
+    );
+  });
+});
+
+test('CurseForge requests fail fast when the API key is rejected', async () => {
+  await withMockedFetch(async () => ({ __status: 403 }), async (service, helpers) => {
+    await assert.rejects(
+      service.getCurseForgeVersions(5000, 'fabric', '1.20.1'),
+      error => error.code === 'CURSEFORGE_BAD_KEY'
+    );
+    assert.equal(helpers.getFetchCalls(), 1, 'Rejected keys should not be retried');
+  });
+});
+
+test('getHangarVersions maps Paper builds and refuses externally hosted downloads', async () => {
+  const versions = [
+    {
+      name: '5.4.0',
+      createdAt: '2024-06-01T00:00:00Z',
+      channel: { name: 'Release' },
+      stats: { totalDownloads: 900 },
+      downloads: {
+        PAPER: {
+          fileInfo: { name: 'Example-5.4.0.jar', sizeBytes: 2048, sha256Hash: 'feed' },
+          externalUrl: null,
+          downloadUrl: 'https://hangarcdn.papermc.io/plugins/Owner/Example/versions/5.4.0/PAPER/Example-5.4.0.jar'
+        }
+      },
+      platformDependencies: { PAPER: ['1.20.6', '1.21.1'] }
+    },
+    {
+      name: '5.5.0-SNAPSHOT',
+      createdAt: '2024-07-01T00:00:00Z',
+      channel: { name: 'Snapshot' },
+      downloads: { PAPER: { fileInfo: null, externalUrl: 'https://example.com/builds', downloadUrl: null } },
+      platformDependencies: { PAPER: ['1.21.1'] }
+    },
+    {
+      name: '5.3.0-velocity',
+      createdAt: '2024-05-01T00:00:00Z',
+      channel: { name: 'Release' },
+      downloads: { VELOCITY: { fileInfo: { name: 'Example-velocity.jar' } } },
+      platformDependencies: { VELOCITY: ['3.3'] }
+    }
+  ];
+  const urls = [];
+
+  await withMockedFetch(async (_call, url) => {
+    urls.push(String(url));
+    if (String(url).endsWith('/versions/5.5.0-SNAPSHOT')) return versions[1];
+    return { pagination: { count: versions.length }, result: versions };
+  }, async (service) => {
+    const results = await service.getHangarVersions('Example', 'purpur', '1.21.1');
+    assert.deepEqual(results.map(version => version.id), ['5.5.0-SNAPSHOT', '5.4.0']);
+    assert.equal(new URL(urls[0]).searchParams.get('platform'), 'PAPER');
+    assert.equal(new URL(urls[0]).searchParams.get('platformVersion'), '1.21.1');
+
+    const [snapshot, release] = results;
+    assert.equal(snapshot.versionType, 'beta');
+    assert.equal(snapshot.downloadUrl, null);
+    assert.equal(release.sha256, 'feed');
+    assert.deepEqual(release.gameVersions, ['1.20.6', '1.21.1']);
+    assert.deepEqual(release.dependencies, []);
+    assert.equal(release.source, 'hangar');
+
+    const info = await service.getLatestHangarVersionInfo('Example', '1.21.1', 'paper');
+    assert.equal(info.id, '5.4.0');
+    assert.deepEqual(info.files[0].hashes, { sha256: 'feed' });
+
+    await assert.rejects(
+      service.getHangarDownloadUrl('Example', '5.5.0-SNAPSHOT', '1.21.1', 'paper'),
+      error => error.code === 'HANGAR_EXTERNAL_DOWNLOAD' && error.websiteUrl === 'https://example.com/builds'
+    );
+  });
+});
+
+test('Paper plugin searches on Modrinth include Spigot and Bukkit plugins', async () => {
+  const urls = [];
+  await withMockedFetch(async (_call, url) => {
+    urls.push(String(url));
+    return { hits: [], total_hits: 0 };
+  }, async (service) => {
+    await service.searchModrinthMods({ query: 'luckperms', loader: 'paper', version: '1.21.1' });
+    const facets = JSON.parse(new URL(urls[0]).searchParams.get('facets'));
+    assert.deepEqual(facets[1], ['categories:paper', 'categories:spigot', 'categories:bukkit']);
+  });
+});
+
+test('Modrinth lookups fall back to persisted responses when the API is unreachable', async () => {
+  const persisted = new Map();
+  const project = { id: 'AANobbMI', title: 'Sodium' };
+
+  await withMockedFetch(async () => project, async (service) => {
+    const info = await service.getModrinthProjectInfo('AANobbMI');
+    assert.equal(info.title, 'Sodium');
+  }, { persisted });
+
+  const projectKey = [...persisted.keys()].find(key => key.endsWith('/project/AANobbMI'));
+  assert.ok(projectKey, 'Project response should be persisted');
+  // Age the entry past the freshness window so the next lookup has to try the network
+  persisted.get(projectKey).fetchedAt -= 2 * 60 * 60 * 1000;
+
+  await withMockedFetch(async () => ({ __status: 503 }), async (service, helpers) => {
+    const realSetTimeout = global.setTimeout;
+    global.setTimeout = (callback) => realSetTimeout(callback, 0);
+    try {
+      const info = await service.getModrinthProjectInfo('AANobbMI');
+      assert.equal(info.title, 'Sodium');
+      assert.ok(helpers.getFetchCalls() > 0, 'The network should be tried first');
+
+      await assert.rejects(service.getModrinthProjectInfo('uncached'), /Modrinth API error: 503/);
+    } finally {
+      global.setTimeout = realSetTimeout;
+    }
+  }, { persisted });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+
+function loadCache(cacheDir) {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/mod-cache-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    const modCache = require(modulePath);
+    modCache.setModCacheDir(cacheDir);
+    return modCache;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-cache-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+const digest = (algorithm, content) => crypto.createHash(algorithm).update(content).digest('hex');
+
+test('addArtifact stores files by sha512 and restores them by any known key', () => withTempDir(async (dir) => {
+  const modCache = loadCache(path.join(dir, 'cache'));
+  const jarPath = path.join(dir, 'sodium.jar');
+  fs.writeFileSync(jarPath, 'sodium jar contents');
+  const sha512 = digest('sha512', 'sodium jar contents');
+  const sha1 = digest('sha1', 'sodium jar contents');
+
+  const entry = await modCache.addArtifact(jarPath, { url: 'https://cdn.modrinth.com/sodium.jar', sha512 });
+  assert.equal(entry.sha512, sha512);
+  assert.equal(entry.path, path.join(dir, 'cache', 'artifacts', sha512.slice(0, 2), sha512));
+
+  assert.equal(modCache.findArtifact({ sha512: sha512.toUpperCase() }).sha512, sha512);
+  assert.equal(modCache.findArtifact({ sha1 }).sha512, sha512);
+  assert.equal(modCache.findArtifact({ url: 'https://cdn.modrinth.com/sodium.jar' }).sha512, sha512);
+  assert.equal(modCache.findArtifact({ sha1: digest('sha1', 'other') }), null);
+
+  const restoredPath = path.join(dir, 'instance', 'mods', 'sodium.jar');
+  assert.ok(await modCache.restoreArtifact({ sha512 }, restoredPath));
+  assert.equal(fs.readFileSync(restoredPath, 'utf8'), 'sodium jar contents');
+
+  // A fresh process reads the persisted index
+  const reloaded = loadCache(path.join(dir, 'cache'));
+  assert.equal(reloaded.findArtifact({ sha1 }).fileName, 'sodium.jar');
+
+  // Entries whose file disappeared are dropped
+  fs.rmSync(entry.path);
+  assert.equal(reloaded.findArtifact({ sha512 }), null);
+}));
+
+test('addArtifact refuses files that do not match the published hash', () => withTempDir(async (dir) => {
+  const modCache = loadCache(path.join(dir, 'cache'));
+  const jarPath = path.join(dir, 'broken.jar');
+  fs.writeFileSync(jarPath, 'truncated download');
+
+  assert.equal(await modCache.addArtifact(jarPath, { sha1: digest('sha1', 'the real file') }), null);
+  assert.equal((await modCache.getModCacheStats()).artifactCount, 0);
+}));
+
+test('pruneModCache removes the least recently used artifacts first', () => withTempDir(async (dir) => {
+  const modCache = loadCache(path.join(dir, 'cache'));
+  const add = async (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return modCache.addArtifact(filePath);
+  };
+  const older = await add('older.jar', 'a'.repeat(100));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const newer = await add('newer.jar', 'b'.repeat(100));
+
+  assert.equal(await modCache.pruneModCache(150), 1);
+  assert.equal(modCache.findArtifact({ sha512: older.sha512 }), null);
+  assert.ok(modCache.findArtifact({ sha512: newer.sha512 }));
+}));
+
+test('API responses are persisted and honour the requested maximum age', () => withTempDir(async (dir) => {
+  const modCache = loadCache(path.join(dir, 'cache'));
+  const key = 'https://api.modrinth.com/v2/project/sodium';
+  await modCache.writeApiResponse(key, { title: 'Sodium' });
+
+  assert.deepEqual((await modCache.readApiResponse(key)).data, { title: 'Sodium' });
+  assert.equal(await modCache.readApiResponse('https://api.modrinth.com/v2/project/other'), null);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 60 * 60 * 1000;
+  try {
+    assert.equal(await modCache.readApiResponse(key, 30 * 60 * 1000), null);
+    assert.ok(await modCache.readApiResponse(key));
+  } finally {
+    Date.now = realNow;
+  }
+
+  await modCache.clearModCache({ artifacts: false, api: true });
+  assert.equal(await modCache.readApiResponse(key), null);
+}));
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Module = require('module');
+
+function loadChangelogService(apiStub = {}) {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('mod-api-service.cjs')) {
+      return apiStub;
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/mod-changelog-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const version = (id, versionNumber, datePublished, extra = {}) => ({
+  id,
+  version_number: versionNumber,
+  date_published: datePublished,
+  loaders: ['fabric'],
+  game_versions: ['1.20.1'],
+  dependencies: [],
+  changelog: '',
+  ...extra
+});
+
+test('detectBreakingSignals flags new required dependencies, dropped loaders and world warnings', () => {
+  const { detectBreakingSignals } = loadChangelogService();
+  const installed = version('a', '1.0.0', '2024-01-01', {
+    loaders: ['fabric', 'quilt'],
+    dependencies: [{ project_id: 'P7dR8mSH', dependency_type: 'required' }]
+  });
+  const target = version('c', '2.0.0', '2024-03-01', {
+    dependencies: [
+      { project_id: 'P7dR8mSH', dependency_type: 'required' },
+      { project_id: 'lhGA9TYQ', dependency_type: 'required' },
+      { project_id: 'optional1', dependency_type: 'optional' }
+    ]
+  });
+  const middle = version('b', '1.5.0', '2024-02-01', {
+    changelog: '## Changes\n- Reworked storage. Existing worlds are incompatible, back up first.\n- Fixed a crash'
+  });
+
+  const signals = detectBreakingSignals({ installed, target, versions: [target, middle], mcVersion: '1.20.1', loader: 'fabric' });
+  assert.deepEqual(signals.map(signal => signal.type), ['new-dependency', 'loader-change', 'world-warning']);
+  assert.deepEqual(signals[0].projectIds, ['lhGA9TYQ']);
+  assert.equal(signals[1].message, 'No longer built for quilt');
+  assert.equal(signals[2].version, '1.5.0');
+  assert.match(signals[2].message, /^Reworked storage/);
+});
+
+test('detectBreakingSignals reports targets missing the server version and stays quiet on routine updates', () => {
+  const { detectBreakingSignals } = loadChangelogService();
+  const installed = version('a', '1.0.0', '2024-01-01', { game_versions: ['1.20', '1.20.1'] });
+
+  const routine = version('b', '1.0.1', '2024-01-05', { changelog: '- Fixed tooltip rendering' });
+  assert.deepEqual(detectBreakingSignals({ installed, target: routine, versions: [routine], mcVersion: '1.20.1', loader: 'fabric' }), []);
+
+  const moved = version('c', '1.1.0', '2024-02-01', { game_versions: ['1.20.4'], loaders: ['neoforge'] });
+  const types = detectBreakingSignals({ installed, target: moved, versions: [moved], mcVersion: '1.20.1', loader: 'fabric' })
+    .map(signal => signal.type);
+  assert.deepEqual(types, ['loader-change', 'loader-change', 'game-version-change']);
+
+  // Without the server's Minecraft version, a narrower range is reported instead
+  const narrowed = detectBreakingSignals({ installed, target: routine, versions: [] });
+  assert.deepEqual(narrowed.map(signal => signal.message), ['Drops Minecraft 1.20']);
+});
+
+test('buildUpdateReviews collects changelogs between the installed and target versions', async () => {
+  const versions = [
+    { id: 'v4', versionNumber: '1.3.0', datePublished: '2024-04-01' },
+    { id: 'v3', versionNumber: '1.2.0', datePublished: '2024-03-01' },
+    { id: 'v2', versionNumber: '1.1.0', datePublished: '2024-02-01' },
+    { id: 'v1', versionNumber: '1.0.0', datePublished: '2024-01-01' }
+  ];
+  const details = {
+    v1: version('v1', '1.0.0', '2024-01-01'),
+    v2: version('v2', '1.1.0', '2024-02-01', { changelog: 'Added config screen' }),
+    v3: version('v3', '1.2.0', '2024-03-01', { changelog: 'Breaking change: config format updated' })
+  };
+  const fetched = [];
+  const { buildUpdateReviews } = loadChangelogService({
+    getModrinthVersions: async () => versions,
+    getModrinthVersionInfo: async (projectId, versionId) => {
+      fetched.push(versionId);
+      if (projectId === 'broken') throw new Error('Modrinth API error: 500');
+      return details[versionId];
+    }
+  });
+
+  const [review, curseForge] = await buildUpdateReviews([
+    { fileName: 'mod.jar', projectId: 'mod', currentVersionId: 'v1', currentVersion: '1.0.0', targetVersionId: 'v3', targetVersion: '1.2.0' },
+    { fileName: 'cf.jar', projectId: '12345', source: 'curseforge', targetVersion: '2.0' }
+  ], { loader: 'fabric', mcVersion: '1.20.1' });
+
+  assert.deepEqual(review.changelogs.map(entry => entry.versionNumber), ['1.2.0', '1.1.0']);
+  assert.deepEqual(review.signals.map(signal => signal.type), ['world-warning']);
+  assert.equal(review.truncated, false);
+  assert.ok(!fetched.includes('v4'));
+  assert.ok(curseForge.unsupported);
+
+  const failed = await buildUpdateReviews([{ fileName: 'x.jar', projectId: 'broken', targetVersionId: 'v2' }]);
+  assert.equal(failed[0].error, 'Modrinth API error: 500');
+});
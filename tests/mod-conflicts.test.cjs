@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const AdmZip = require('adm-zip');
+
+function loadAnalyzer() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/mod-conflict-analyzer.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function buildJar(entries) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+function fabricJar(json, extra = {}) {
+  return buildJar({ 'fabric.mod.json': JSON.stringify({ schemaVersion: 1, ...json }), ...extra });
+}
+
+test('versionSatisfies understands Fabric predicates and Maven ranges', () => {
+  const { versionSatisfies, compareVersions } = loadAnalyzer();
+  const fabric = (...alternatives) => ({ kind: 'fabric', alternatives });
+  const maven = range => ({ kind: 'maven', range });
+
+  assert.equal(compareVersions('1.10.0', '1.9.9') > 0, true);
+  assert.equal(compareVersions('1.0.0-beta.2', '1.0.0') < 0, true);
+  assert.equal(compareVersions('0.14.21+build.3', '0.14.21'), 0);
+
+  assert.equal(versionSatisfies('0.15.1', fabric('>=0.14.0')), true);
+  assert.equal(versionSatisfies('0.13.3', fabric('>=0.14.0')), false);
+  assert.equal(versionSatisfies('1.20.4', fabric('~1.20')), true);
+  assert.equal(versionSatisfies('1.21', fabric('~1.20')), false);
+  assert.equal(versionSatisfies('2.3.0', fabric('^2.1.0')), true);
+  assert.equal(versionSatisfies('3.0.0', fabric('^2.1.0')), false);
+  assert.equal(versionSatisfies('1.20.1', fabric('1.20.x')), true);
+  assert.equal(versionSatisfies('1.19.4', fabric('1.20.x')), false);
+  assert.equal(versionSatisfies('1.20.2', fabric('>=1.20 <1.20.2')), false);
+  assert.equal(versionSatisfies('1.19.2', fabric('1.18.2', '1.19.2')), true);
+  assert.equal(versionSatisfies(null, fabric('>=5')), true);
+
+  assert.equal(versionSatisfies('47.2.0', maven('[47,)')), true);
+  assert.equal(versionSatisfies('46.0.1', maven('[47,)')), false);
+  assert.equal(versionSatisfies('1.20.1', maven('[1.20,1.21)')), true);
+  assert.equal(versionSatisfies('1.21', maven('[1.20,1.21)')), false);
+  assert.equal(versionSatisfies('2.0', maven('(,2.0]')), true);
+  assert.equal(versionSatisfies('1.5', maven('[1.0],[2.0,)')), false);
+  assert.equal(versionSatisfies('0.1', maven('1.0')), true);
+});
+
+test('parseModDescriptor reads mods.toml dependencies, incompatibilities and manifest versions', () => {
+  const { parseModDescriptor } = loadAnalyzer();
+  const toml = [
+    'modLoader="javafml"',
+    'loaderVersion="[47,)"',
+    '[[mods]]',
+    'modId="golems"',
+    'version="${file.jarVersion}"',
+    'description=\'\'\'',
+    'modId="not-a-mod"',
+    '\'\'\'',
+    '[[dependencies.golems]]',
+    'modId="forge"',
+    'mandatory=true',
+    'versionRange="[47,)"',
+    '[[dependencies.golems]]',
+    'modId="geckolib"',
+    'mandatory=true',
+    'versionRange="[4.2,)"',
+    'side="BOTH"',
+    '[[dependencies.golems]]',
+    'modId="jei"',
+    'mandatory=false',
+    'versionRange="[15,)"',
+    '[[dependencies.golems]]',
+    'modId="optifine"',
+    'type="incompatible"',
+    'versionRange="*"'
+  ].join('\n');
+
+  const descriptor = parseModDescriptor({
+    'META-INF/mods.toml': toml,
+    'META-INF/MANIFEST.MF': 'Manifest-Version: 1.0\nImplementation-Version: 1.2.0\n'
+  });
+  assert.deepEqual(descriptor.loaders, ['forge']);
+  assert.deepEqual(descriptor.mods, [{ id: 'golems', version: '1.2.0' }]);
+  assert.deepEqual(descriptor.depends.map(dep => [dep.id, dep.requirement.range]), [
+    ['forge', '[47,)'],
+    ['geckolib', '[4.2,)']
+  ]);
+  assert.deepEqual(descriptor.breaks.map(entry => [entry.id, entry.severity]), [['optifine', 'error']]);
+});
+
+test('analyzeModFolder reports duplicates, conflicts, unmet dependencies and wrong-loader jars', async () => {
+  const { analyzeModFolder } = loadAnalyzer();
+  const modsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-conflicts-'));
+  try {
+    const write = (name, buffer) => fs.writeFileSync(path.join(modsDir, name), buffer);
+    write('sodium-0.5.3.jar', fabricJar({ id: 'sodium', version: '0.5.3' }));
+    write('sodium-0.5.8.jar', fabricJar({ id: 'sodium', version: '0.5.8' }));
+    write('optifabric.jar', fabricJar({ id: 'optifabric', version: '1.0.0', breaks: { sodium: '*' } }));
+    write('addon.jar', fabricJar({
+      id: 'addon',
+      version: '2.0.0',
+      depends: { fabricloader: '>=0.14', minecraft: '~1.20', 'cloth-config': '>=11', 'fabric-api': '*', owo: '*' }
+    }));
+    write('cloth-config.jar', fabricJar({ id: 'cloth-config', version: '10.1.0' }));
+    // fabric-api only arrives as a jar nested in another mod
+    write('bundle.jar', fabricJar({ id: 'bundle', version: '1.0.0' }, {
+      'META-INF/jars/fabric-api.jar': fabricJar({ id: 'fabric-api', version: '0.90.0' })
+    }));
+    write('forge-only.jar', buildJar({ 'META-INF/mods.toml': 'modLoader="javafml"\n[[mods]]\nmodId="forgeonly"\nversion="1.0"\n' }));
+    write('hud.jar', fabricJar({ id: 'hud', version: '1.0.0', environment: 'client', depends: { missing: '*' } }));
+    write('notes.txt', 'not a jar');
+
+    const { scanned, issues } = await analyzeModFolder(modsDir, { loader: 'fabric', minecraftVersion: '1.20.1', side: 'server' });
+    assert.equal(scanned, 8);
+    const byType = type => issues.filter(issue => issue.type === type);
+
+    assert.deepEqual(byType('duplicate').map(issue => [issue.modId, issue.files]), [
+      ['sodium', ['sodium-0.5.3.jar', 'sodium-0.5.8.jar']]
+    ]);
+    assert.deepEqual(byType('conflict').map(issue => [issue.files[0], issue.severity]), [['optifabric.jar', 'error']]);
+    assert.deepEqual(byType('missing-dependency').map(issue => [issue.files[0], issue.modId]), [['addon.jar', 'owo']]);
+    assert.deepEqual(byType('dependency-version').map(issue => issue.files), [['addon.jar', 'cloth-config.jar']]);
+    assert.deepEqual(byType('wrong-loader').map(issue => issue.files), [['forge-only.jar']]);
+    // hud.jar is client-only, so its missing dependency does not matter on the server
+    assert.equal(issues.some(issue => issue.files.includes('hud.jar')), false);
+  } finally {
+    fs.rmSync(modsDir, { recursive: true, force: true });
+  }
+});
+
+test('Quilt instances accept Fabric mods and NeoForge accepts Forge mods', () => {
+  const { analyzeModSet, parseModDescriptor } = loadAnalyzer();
+  const jar = (fileName, files) => ({ fileName, info: { ...parseModDescriptor(files), nestedMods: [] } });
+  const fabricMod = jar('fabric.jar', { 'fabric.mod.json': JSON.stringify({ id: 'lithium', version: '1.0.0' }) });
+  const forgeMod = jar('forge.jar', { 'META-INF/mods.toml': '[[mods]]\nmodId="ftb"\nversion="2.0"\n' });
+
+  assert.deepEqual(analyzeModSet([fabricMod], { loader: 'quilt' }), []);
+  assert.deepEqual(analyzeModSet([forgeMod], { loader: 'neoforge' }), []);
+  assert.deepEqual(analyzeModSet([forgeMod], { loader: 'fabric' }).map(issue => issue.type), ['wrong-loader']);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+function loadHistory() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('mod-file-manager.cjs')) {
+      return { UNASSIGNED_MODS_DIRNAME: 'mods_unassigned', UNASSIGNED_MANIFEST_DIRNAME: 'minecraft-core-manifests-unassigned' };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/mod-history-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function withTempServer(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-history-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// Install a jar and its manifest the way installModToServer leaves them
+function installJar(serverPath, { fileName, projectId, versionId, versionNumber, content, client = false, disabled = false }) {
+  const modsDir = path.join(serverPath, client ? 'client/mods' : 'mods');
+  const manifestDir = path.join(serverPath, client ? 'client/minecraft-core-manifests' : 'minecraft-core-manifests');
+  fs.mkdirSync(modsDir, { recursive: true });
+  fs.mkdirSync(manifestDir, { recursive: true });
+  fs.writeFileSync(path.join(modsDir, disabled ? `${fileName}.disabled` : fileName), content);
+  fs.writeFileSync(path.join(manifestDir, `${fileName}.json`), JSON.stringify({
+    projectId, name: projectId, fileName, versionId, versionNumber, source: 'modrinth'
+  }));
+}
+
+function replaceJar(serverPath, options) {
+  for (const dir of ['mods', 'client/mods']) {
+    fs.rmSync(path.join(serverPath, dir, options.fileName), { force: true });
+    fs.rmSync(path.join(serverPath, dir, `${options.fileName}.disabled`), { force: true });
+  }
+  installJar(serverPath, options);
+}
+
+const readJar = (serverPath, relativePath) => fs.readFileSync(path.join(serverPath, relativePath), 'utf8');
+const readManifest = (serverPath, relativePath) => JSON.parse(readJar(serverPath, relativePath));
+
+test('rollbackMod restores the archived jar and manifest and keeps the replaced version', () => withTempServer(async (serverPath) => {
+  const modHistory = loadHistory();
+  installJar(serverPath, { fileName: 'sodium.jar', projectId: 'AANobbMI', versionId: 'v1', versionNumber: '0.5.0', content: 'sodium 0.5.0' });
+
+  const entry = await modHistory.archiveModVersion(serverPath, { fileName: 'sodium.jar' });
+  assert.equal(entry.projectId, 'AANobbMI');
+  assert.equal(entry.versionNumber, '0.5.0');
+  assert.deepEqual(entry.locations, ['server']);
+
+  replaceJar(serverPath, { fileName: 'sodium.jar', projectId: 'AANobbMI', versionId: 'v2', versionNumber: '0.6.0', content: 'sodium 0.6.0' });
+
+  const restored = await modHistory.rollbackMod(serverPath, 'AANobbMI');
+  assert.equal(restored.versionNumber, '0.5.0');
+  assert.equal(restored.replacedVersionNumber, '0.6.0');
+  assert.equal(readJar(serverPath, 'mods/sodium.jar'), 'sodium 0.5.0');
+  assert.equal(readManifest(serverPath, 'minecraft-core-manifests/sodium.jar.json').versionId, 'v1');
+
+  // The version that was rolled back is now the one in the history, so the rollback can be undone
+  const { mods } = await modHistory.listModHistory(serverPath);
+  assert.deepEqual(mods.AANobbMI.history.map(item => item.versionNumber), ['0.6.0']);
+  assert.equal(mods.AANobbMI.history[0].manifest, undefined);
+}));
+
+test('rolling back restores every location and the disabled state', () => withTempServer(async (serverPath) => {
+  const modHistory = loadHistory();
+  const original = { fileName: 'iris.jar', projectId: 'YL57xq9U', versionId: 'v1', versionNumber: '1.6', content: 'iris 1.6', disabled: true };
+  installJar(serverPath, original);
+  installJar(serverPath, { ...original, client: true });
+
+  const entry = await modHistory.archiveModVersion(serverPath, { fileName: 'iris.jar', projectId: 'YL57xq9U' });
+  assert.deepEqual(entry.locations, ['server', 'client']);
+  assert.equal(entry.disabled, true);
+
+  replaceJar(serverPath, { fileName: 'iris.jar', projectId: 'YL57xq9U', versionId: 'v2', versionNumber: '1.7', content: 'iris 1.7' });
+  await modHistory.rollbackMod(serverPath, 'YL57xq9U', entry.id);
+
+  assert.equal(readJar(serverPath, 'mods/iris.jar.disabled'), 'iris 1.6');
+  assert.equal(readJar(serverPath, 'client/mods/iris.jar.disabled'), 'iris 1.6');
+  assert.equal(fs.existsSync(path.join(serverPath, 'mods/iris.jar')), false);
+}));
+
+test('rollbackBatch undoes every mod replaced by one update run', () => withTempServer(async (serverPath) => {
+  const modHistory = loadHistory();
+  installJar(serverPath, { fileName: 'a.jar', projectId: 'a', versionId: 'a1', versionNumber: '1.0', content: 'a 1.0' });
+  installJar(serverPath, { fileName: 'b.jar', projectId: 'b', versionId: 'b1', versionNumber: '2.0', content: 'b 2.0' });
+
+  await Promise.all([
+    modHistory.archiveModVersion(serverPath, { fileName: 'a.jar', batchId: 'update-all-1' }),
+    modHistory.archiveModVersion(serverPath, { fileName: 'b.jar', batchId: 'update-all-1' })
+  ]);
+  replaceJar(serverPath, { fileName: 'a.jar', projectId: 'a', versionId: 'a2', versionNumber: '1.1', content: 'a 1.1' });
+  replaceJar(serverPath, { fileName: 'b.jar', projectId: 'b', versionId: 'b2', versionNumber: '2.1', content: 'b 2.1' });
+
+  const { batches } = await modHistory.listModHistory(serverPath);
+  assert.deepEqual(batches.map(batch => [batch.id, batch.modCount]), [['update-all-1', 2]]);
+
+  const result = await modHistory.rollbackBatch(serverPath, 'update-all-1');
+  assert.equal(result.restored.length, 2);
+  assert.deepEqual(result.failed, []);
+  assert.equal(readJar(serverPath, 'mods/a.jar'), 'a 1.0');
+  assert.equal(readJar(serverPath, 'mods/b.jar'), 'b 2.0');
+  assert.deepEqual((await modHistory.listModHistory(serverPath)).batches, []);
+  await assert.rejects(modHistory.rollbackBatch(serverPath, 'update-all-1'), /no longer in the history/);
+}));
+
+test('history keeps a bounded number of versions per mod and pins survive without history', () => withTempServer(async (serverPath) => {
+  const modHistory = loadHistory();
+  for (let i = 0; i < 7; i++) {
+    replaceJar(serverPath, { fileName: 'lithium.jar', projectId: 'gvQqBUqZ', versionId: `v${i}`, versionNumber: `0.${i}`, content: `lithium 0.${i}` });
+    await modHistory.archiveModVersion(serverPath, { fileName: 'lithium.jar' });
+  }
+  const { mods } = await modHistory.listModHistory(serverPath);
+  assert.deepEqual(mods.gvQqBUqZ.history.map(item => item.versionNumber), ['0.6', '0.5', '0.4', '0.3', '0.2']);
+  assert.equal(fs.readdirSync(path.join(serverPath, 'minecraft-core-state', 'mod-history')).length, 5);
+
+  await modHistory.setModPin(serverPath, 'P7dR8mSH', { versionId: 'x1', versionNumber: '0.92.0' });
+  assert.equal((await modHistory.getPinnedMods(serverPath)).P7dR8mSH.versionNumber, '0.92.0');
+  await modHistory.setModPin(serverPath, 'P7dR8mSH', null);
+  assert.deepEqual(await modHistory.getPinnedMods(serverPath), {});
+
+  await assert.rejects(modHistory.rollbackMod(serverPath, 'unknown'), /No previous version/);
+  assert.equal(await modHistory.archiveModVersion(serverPath, { fileName: 'missing.jar', projectId: 'x' }), null);
+}));
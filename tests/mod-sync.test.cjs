@@ -0,0 +1,287 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+function loadModSync() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/mod-sync-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function hash(algorithm, content) {
+  return crypto.createHash(algorithm).update(content).digest('hex');
+}
+
+function remoteFile(fileName, content, extra = {}) {
+  return {
+    fileName,
+    size: content.length,
+    sha1: hash('sha1', content),
+    sha512: hash('sha512', content),
+    required: true,
+    downloadUrl: `/api/mods/download/${fileName}?location=client`,
+    ...extra
+  };
+}
+
+// Serves files by name with single-range support, recording the Range header of each request
+function startFileServer(files, parseRangeHeader) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const fileName = decodeURIComponent(req.url.split('?')[0].split('/').pop());
+    requests.push({ fileName, range: req.headers.range || null });
+    const content = files[fileName];
+    if (!content) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    const range = parseRangeHeader(req.headers.range, content.length);
+    if (range === false) {
+      res.statusCode = 416;
+      return res.end();
+    }
+    if (range) {
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${content.length}`);
+      return res.end(content.subarray(range.start, range.end + 1));
+    }
+    return res.end(content);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const openRequest = (url, headers) => new Promise((done, fail) => {
+      http.get(`${base}${url}`, { headers }, done).on('error', fail);
+    });
+    resolve({ server, requests, openRequest });
+  }));
+}
+
+test('range headers and manifest signatures', () => {
+  const { parseRangeHeader, signModSyncManifest, verifyModSyncManifest } = loadModSync();
+
+  assert.equal(parseRangeHeader(undefined, 100), null);
+  assert.deepEqual(parseRangeHeader('bytes=10-', 100), { start: 10, end: 99 });
+  assert.deepEqual(parseRangeHeader('bytes=10-19', 100), { start: 10, end: 19 });
+  assert.deepEqual(parseRangeHeader('bytes=90-500', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseRangeHeader('bytes=-30', 100), { start: 70, end: 99 });
+  assert.equal(parseRangeHeader('bytes=0-1,5-6', 100), null);
+  assert.equal(parseRangeHeader('bytes=100-', 100), false);
+  assert.equal(parseRangeHeader('bytes=20-10', 100), false);
+
+  const manifest = { format: 1, generation: 3, files: [remoteFile('a.jar', Buffer.from('a'))] };
+  const signature = signModSyncManifest(manifest, 'token-1');
+  const reordered = { files: manifest.files, generation: 3, format: 1 };
+  assert.equal(verifyModSyncManifest(reordered, signature, 'token-1'), true);
+  assert.equal(verifyModSyncManifest(manifest, signature, 'token-2'), false);
+  assert.equal(verifyModSyncManifest({ ...manifest, generation: 4 }, signature, 'token-1'), false);
+  assert.equal(verifyModSyncManifest(manifest, null, 'token-1'), false);
+});
+
+test('buildModSyncManifest bumps the generation only when client mods change', async () => {
+  const { buildModSyncManifest } = loadModSync();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-sync-'));
+  try {
+    const clientMods = path.join(serverPath, 'client', 'mods');
+    fs.mkdirSync(clientMods, { recursive: true });
+    fs.writeFileSync(path.join(clientMods, 'sodium.jar'), 'sodium');
+    fs.writeFileSync(path.join(clientMods, 'minimap.jar'), 'minimap');
+    fs.writeFileSync(path.join(serverPath, 'mods-readme.txt'), 'ignored');
+
+    const categories = [{ modId: 'minimap.jar', required: false }];
+    const first = await buildModSyncManifest(serverPath, { categories });
+    assert.equal(first.generation, 1);
+    assert.deepEqual(first.files.map(file => [file.fileName, file.required, file.sha1]), [
+      ['minimap.jar', false, hash('sha1', 'minimap')],
+      ['sodium.jar', true, hash('sha1', 'sodium')]
+    ]);
+    assert.equal(first.files[1].sha512, hash('sha512', 'sodium'));
+
+    assert.equal((await buildModSyncManifest(serverPath, { categories })).generation, 1);
+
+    fs.writeFileSync(path.join(clientMods, 'sodium.jar'), 'sodium 2');
+    assert.equal((await buildModSyncManifest(serverPath, { categories })).generation, 2);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('applyModSync resumes partial files, removes dropped mods and keeps manual ones', async () => {
+  const { parseRangeHeader, planModSync, applyModSync } = loadModSync();
+  const clientPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-sync-'));
+  const big = crypto.randomBytes(64 * 1024);
+  const files = {
+    'big.jar': big,
+    'updated.jar': Buffer.from('updated v2'),
+    'extra.jar': Buffer.from('optional extra')
+  };
+  const { server, requests, openRequest } = await startFileServer(files, parseRangeHeader);
+
+  try {
+    const modsDir = path.join(clientPath, 'mods');
+    fs.mkdirSync(modsDir, { recursive: true });
+    fs.writeFileSync(path.join(modsDir, 'updated.jar'), 'updated v1');
+    fs.writeFileSync(path.join(modsDir, 'dropped.jar'), 'dropped');
+    fs.writeFileSync(path.join(modsDir, 'manual.jar'), 'manual');
+    // An earlier sync installed these and stopped halfway through big.jar
+    const stateDir = path.join(clientPath, 'minecraft-core-state');
+    fs.mkdirSync(path.join(stateDir, 'mod-sync-parts'), { recursive: true });
+    fs.writeFileSync(path.join(stateDir, 'mod-sync.json'), JSON.stringify({
+      generation: 1,
+      files: { 'updated.jar': hash('sha1', 'updated v1'), 'dropped.jar': hash('sha1', 'dropped') }
+    }));
+    fs.writeFileSync(path.join(stateDir, 'mod-sync-parts', `${hash('sha1', big)}.part`), big.subarray(0, 20000));
+    fs.writeFileSync(path.join(stateDir, 'mod-sync-parts', 'stale.part'), 'old');
+
+    const manifest = {
+      format: 1,
+      generation: 2,
+      files: [
+        remoteFile('big.jar', big),
+        remoteFile('updated.jar', files['updated.jar']),
+        remoteFile('extra.jar', files['extra.jar'], { required: false })
+      ]
+    };
+
+    const plan = await planModSync(clientPath, manifest);
+    assert.deepEqual(plan.map(item => [item.fileName, item.action, item.resumeFrom]), [
+      ['big.jar', 'add', 20000],
+      ['updated.jar', 'update', 0],
+      ['extra.jar', 'optional', 0],
+      ['dropped.jar', 'remove', 0]
+    ]);
+
+    const result = await applyModSync({ clientPath, manifest, openRequest, concurrency: 2 });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.downloaded.sort(), ['big.jar', 'updated.jar']);
+    assert.deepEqual(result.resumed, ['big.jar']);
+    assert.deepEqual(result.removed, ['dropped.jar']);
+    assert.equal(result.bytesDownloaded, big.length - 20000 + files['updated.jar'].length);
+    assert.deepEqual(requests.find(r => r.fileName === 'big.jar'), { fileName: 'big.jar', range: 'bytes=20000-' });
+
+    assert.deepEqual(fs.readFileSync(path.join(modsDir, 'big.jar')), big);
+    assert.equal(fs.readFileSync(path.join(modsDir, 'updated.jar'), 'utf8'), 'updated v2');
+    assert.equal(fs.existsSync(path.join(modsDir, 'dropped.jar')), false);
+    assert.equal(fs.existsSync(path.join(modsDir, 'extra.jar')), false);
+    assert.equal(fs.readFileSync(path.join(modsDir, 'manual.jar'), 'utf8'), 'manual');
+    assert.deepEqual(fs.readdirSync(path.join(stateDir, 'mod-sync-parts')).filter(name => name.endsWith('.part')), []);
+    const state = JSON.parse(fs.readFileSync(path.join(stateDir, 'mod-sync.json'), 'utf8'));
+    assert.equal(state.generation, 2);
+    assert.deepEqual(Object.keys(state.files).sort(), ['big.jar', 'updated.jar']);
+
+    // Opting into the optional mod later only downloads that one
+    const second = await applyModSync({ clientPath, manifest, openRequest, includeOptional: ['extra.jar'] });
+    assert.deepEqual(second.downloaded, ['extra.jar']);
+    assert.equal(second.unchanged, 2);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(clientPath, { recursive: true, force: true });
+  }
+});
+
+test('a corrupted download is discarded instead of installed', async () => {
+  const { parseRangeHeader, applyModSync } = loadModSync();
+  const clientPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-sync-'));
+  const { server, openRequest } = await startFileServer({ 'bad.jar': Buffer.from('tampered') }, parseRangeHeader);
+  try {
+    const manifest = { format: 1, generation: 1, files: [remoteFile('bad.jar', Buffer.from('original'))] };
+    const result = await applyModSync({ clientPath, manifest, openRequest });
+    assert.equal(result.success, false);
+    assert.deepEqual(result.failures, [{ fileName: 'bad.jar', error: 'Checksum mismatch' }]);
+    assert.equal(fs.existsSync(path.join(clientPath, 'mods', 'bad.jar')), false);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(clientPath, { recursive: true, force: true });
+  }
+});
+
+test('manifest entries whose sha1 is not a hex digest are ignored', async () => {
+  const { parseRangeHeader, planModSync, applyModSync } = loadModSync();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-sync-'));
+  const clientPath = path.join(root, 'client');
+  fs.mkdirSync(clientPath);
+  const good = Buffer.from('good jar');
+  const evil = Buffer.from('evil jar');
+  const { server, requests, openRequest } = await startFileServer({ 'good.jar': good, 'evil.jar': evil }, parseRangeHeader);
+  try {
+    // The parts folder is three levels below the root, so these would land next to the client folder
+    const manifest = {
+      format: 1,
+      generation: 1,
+      files: [
+        remoteFile('good.jar', good),
+        remoteFile('evil.jar', evil, { sha1: '../../../escaped' }),
+        remoteFile('good.jar', good, { sha1: '../../../duplicate' }),
+        remoteFile('upper.jar', evil, { sha1: hash('sha1', evil).toUpperCase() })
+      ]
+    };
+    assert.deepEqual((await planModSync(clientPath, manifest)).map(item => item.fileName), ['good.jar']);
+
+    const result = await applyModSync({ clientPath, manifest, openRequest });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.downloaded, ['good.jar']);
+    assert.deepEqual(requests.map(request => request.fileName), ['good.jar']);
+    assert.deepEqual(fs.readdirSync(root), ['client']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('files already in the local mod cache are copied instead of downloaded', async () => {
+  const { parseRangeHeader, applyModSync } = loadModSync();
+  const clientPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mod-sync-'));
+  const cached = Buffer.from('cached jar');
+  const fresh = Buffer.from('fresh jar');
+  const { server, requests, openRequest } = await startFileServer({ 'cached.jar': cached, 'fresh.jar': fresh }, parseRangeHeader);
+  const added = [];
+  const cache = {
+    async restoreArtifact({ sha512 }, destPath) {
+      if (sha512 !== hash('sha512', cached)) return null;
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.writeFileSync(destPath, cached);
+      return { sha512, sha1: hash('sha1', cached) };
+    },
+    async addArtifact(filePath, metadata) {
+      added.push({ content: fs.readFileSync(filePath, 'utf8'), fileName: metadata.fileName });
+    }
+  };
+  try {
+    const manifest = { format: 1, generation: 1, files: [remoteFile('cached.jar', cached), remoteFile('fresh.jar', fresh)] };
+    const result = await applyModSync({ clientPath, manifest, openRequest, cache });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.fromCache, ['cached.jar']);
+    assert.deepEqual(requests.map(request => request.fileName), ['fresh.jar']);
+    assert.deepEqual(added, [{ content: 'fresh jar', fileName: 'fresh.jar' }]);
+    assert.equal(fs.readFileSync(path.join(clientPath, 'mods', 'cached.jar'), 'utf8'), 'cached jar');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(clientPath, { recursive: true, force: true });
+  }
+});
+
+test('bandwidth limiter spreads bytes over time', async () => {
+  const { createBandwidthLimiter } = loadModSync();
+  const limiter = createBandwidthLimiter(100 * 1024);
+  const started = Date.now();
+  await limiter.consume(100 * 1024);
+  await limiter.consume(30 * 1024);
+  assert.ok(Date.now() - started >= 250);
+  assert.equal(createBandwidthLimiter(0).rate, 0);
+});
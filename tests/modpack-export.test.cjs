@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const AdmZip = require('adm-zip');
+
+function sha1(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function loadExportService({ modrinthVersions = {}, categories = [] } = {}) {
+  const lookups = [];
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('mod-api-service.cjs')) {
+      return {
+        getModrinthVersionByFileHash: async (hash) => {
+          lookups.push(hash);
+          return modrinthVersions[hash] || null;
+        }
+      };
+    }
+    if (request.endsWith('mod-file-manager.cjs')) {
+      return { modCategoriesStore: { get: () => categories } };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  // The mod categories store is required lazily, so the stubs stay in place until restore()
+  const modulePath = path.resolve(__dirname, '../electron/services/modpack-export-service.cjs');
+  delete require.cache[modulePath];
+  return {
+    service: require(modulePath),
+    lookups,
+    restore: () => {
+      Module._load = originalLoad;
+    }
+  };
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('collectInstanceMods sorts jars into sides and reads the optional category', () => {
+  const { service, restore } = loadExportService();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-export-'));
+  try {
+    writeFile(path.join(serverPath, 'mods', 'lithium.jar'), 'a');
+    writeFile(path.join(serverPath, 'mods', 'shared.jar'), 'b');
+    writeFile(path.join(serverPath, 'mods', 'old.jar.disabled'), 'c');
+    writeFile(path.join(serverPath, 'client', 'mods', 'shared.jar'), 'b');
+    writeFile(path.join(serverPath, 'client', 'mods', 'zoomify.jar'), 'd');
+
+    const mods = service.collectInstanceMods(serverPath, [{ modId: 'zoomify.jar', required: false }]);
+    assert.deepEqual(
+      mods.map(mod => [mod.fileName, mod.side, mod.required]),
+      [['lithium.jar', 'server', true], ['shared.jar', 'both', true], ['zoomify.jar', 'client', false]]
+    );
+
+    assert.deepEqual(service.getModEnv(mods[0]), { client: 'unsupported', server: 'required' });
+    assert.deepEqual(service.getModEnv(mods[1]), { client: 'required', server: 'required' });
+    assert.deepEqual(service.getModEnv(mods[2]), { client: 'optional', server: 'unsupported' });
+  } finally {
+    restore();
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('exportModpack links Modrinth mods by hash, bundles the rest and writes a packwiz pack', async () => {
+  const sharedJar = 'shared mod bytes';
+  const modrinthVersions = {
+    [sha1(sharedJar)]: {
+      id: 'V1',
+      project_id: 'P1',
+      version_number: '1.0.0',
+      files: [
+        { url: 'https://cdn.modrinth.com/data/P1/versions/V1/other.jar', hashes: { sha1: 'nope' } },
+        { url: 'https://cdn.modrinth.com/data/P1/versions/V1/shared.jar', hashes: { sha1: sha1(sharedJar) } }
+      ]
+    }
+  };
+  const { service, lookups, restore } = loadExportService({
+    modrinthVersions,
+    categories: [{ modId: 'shared.jar', required: false }]
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-export-'));
+  const serverPath = path.join(dir, 'server');
+
+  try {
+    writeFile(path.join(serverPath, '.minecraft-core.json'), JSON.stringify({
+      version: '1.20.1',
+      loader: 'fabric',
+      loaderVersion: '0.15.11'
+    }));
+    writeFile(path.join(serverPath, 'mods', 'shared.jar'), sharedJar);
+    writeFile(path.join(serverPath, 'client', 'mods', 'shared.jar'), sharedJar);
+    writeFile(path.join(serverPath, 'client', 'minecraft-core-manifests', 'shared.jar.json'), JSON.stringify({ name: 'Shared Lib' }));
+    writeFile(path.join(serverPath, 'mods', 'custom.jar'), 'server only custom');
+    writeFile(path.join(serverPath, 'client', 'mods', 'hud.jar'), 'client only custom');
+    writeFile(path.join(serverPath, 'config', 'custom', 'settings.toml'), 'value = 1');
+
+    const outputPath = path.join(dir, 'out', 'pack.mrpack');
+    const packwizDir = path.join(dir, 'packwiz');
+    const result = await service.exportModpack({
+      serverPath,
+      outputPath,
+      packwizDir,
+      name: 'Test Pack',
+      version: '2.0.0'
+    });
+
+    assert.equal(result.modrinthFiles, 1);
+    assert.equal(result.bundled, 2);
+    assert.equal(result.clientOnly, 1);
+    assert.equal(result.configFiles, 1);
+    assert.equal(lookups.length, 3);
+
+    const zip = new AdmZip(outputPath);
+    const index = JSON.parse(zip.readAsText('modrinth.index.json'));
+    assert.equal(index.formatVersion, 1);
+    assert.equal(index.name, 'Test Pack');
+    assert.equal(index.versionId, '2.0.0');
+    assert.deepEqual(index.dependencies, { minecraft: '1.20.1', 'fabric-loader': '0.15.11' });
+    assert.deepEqual(index.files, [{
+      path: 'mods/shared.jar',
+      hashes: {
+        sha1: sha1(sharedJar),
+        sha512: crypto.createHash('sha512').update(sharedJar).digest('hex')
+      },
+      env: { client: 'optional', server: 'required' },
+      downloads: ['https://cdn.modrinth.com/data/P1/versions/V1/shared.jar'],
+      fileSize: sharedJar.length
+    }]);
+    assert.equal(zip.readAsText('server-overrides/mods/custom.jar'), 'server only custom');
+    assert.equal(zip.readAsText('client-overrides/mods/hud.jar'), 'client only custom');
+    assert.equal(zip.readAsText('overrides/config/custom/settings.toml'), 'value = 1');
+
+    const meta = fs.readFileSync(path.join(packwizDir, 'mods', 'shared-lib.pw.toml'), 'utf8');
+    assert.match(meta, /^side = "both"$/m);
+    assert.match(meta, /^optional = true$/m);
+    assert.match(meta, /^mod-id = "P1"$/m);
+    assert.equal(fs.readFileSync(path.join(packwizDir, 'mods', 'custom.jar'), 'utf8'), 'server only custom');
+
+    const indexToml = fs.readFileSync(path.join(packwizDir, 'index.toml'), 'utf8');
+    assert.match(indexToml, /file = "mods\/shared-lib\.pw\.toml"\nhash = "[0-9a-f]{64}"\nmetafile = true/);
+    assert.match(indexToml, /file = "config\/custom\/settings\.toml"/);
+    const packToml = fs.readFileSync(path.join(packwizDir, 'pack.toml'), 'utf8');
+    const indexHash = crypto.createHash('sha256').update(indexToml).digest('hex');
+    assert.match(packToml, new RegExp(`^hash = "${indexHash}"$`, 'm'));
+    assert.match(packToml, /^fabric = "0\.15\.11"$/m);
+
+    // A folder that is neither empty nor a packwiz pack is left alone
+    const busyDir = path.join(dir, 'busy');
+    writeFile(path.join(busyDir, 'notes.txt'), 'keep');
+    await assert.rejects(
+      service.exportModpack({ serverPath, outputPath, packwizDir: busyDir, version: '2.0.0' }),
+      /empty folder or an existing packwiz pack/
+    );
+  } finally {
+    restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
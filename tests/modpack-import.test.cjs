@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const AdmZip = require('adm-zip');
+
+function loadImportService(remoteFiles = {}) {
+  const downloads = [];
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('download-manager.cjs')) {
+      return {
+        downloadWithProgress: async (url, destPath) => {
+          downloads.push(url);
+          if (!(url in remoteFiles)) throw new Error('Failed to download: 404 Not Found');
+          fs.mkdirSync(path.dirname(destPath), { recursive: true });
+          fs.writeFileSync(destPath, remoteFiles[url]);
+        }
+      };
+    }
+    if (request.endsWith('mod-api-service.cjs')) {
+      return { rateLimit: async () => {} };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/modpack-import-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return { service: require(modulePath), downloads };
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function sha512(content) {
+  return crypto.createHash('sha512').update(content).digest('hex');
+}
+
+function sha1(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function writePack(dir, index, extraEntries = {}) {
+  const zip = new AdmZip();
+  zip.addFile('modrinth.index.json', Buffer.from(JSON.stringify(index)));
+  Object.entries(extraEntries).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  const packPath = path.join(dir, 'pack.mrpack');
+  zip.writeZip(packPath);
+  return packPath;
+}
+
+test('pack runtime, file sides and CDN ids are read from the index', () => {
+  const { service } = loadImportService();
+
+  assert.deepEqual(
+    service.resolvePackRuntime({ dependencies: { minecraft: '1.20.1', 'fabric-loader': '0.15.11' } }),
+    { minecraftVersion: '1.20.1', loader: 'fabric', loaderVersion: '0.15.11' }
+  );
+  assert.deepEqual(
+    service.resolvePackRuntime({ dependencies: { minecraft: '1.20.1' } }),
+    { minecraftVersion: '1.20.1', loader: 'vanilla', loaderVersion: null }
+  );
+
+  assert.equal(service.classifyPackFile({ env: { client: 'required', server: 'unsupported' } }), 'client');
+  assert.equal(service.classifyPackFile({ env: { client: 'unsupported', server: 'required' } }), 'server');
+  assert.equal(service.classifyPackFile({ env: { client: 'required', server: 'optional' } }), 'both');
+  assert.equal(service.classifyPackFile({}), 'both');
+
+  assert.deepEqual(
+    service.parseModrinthCdnUrl('https://cdn.modrinth.com/data/AANobbMI/versions/4LY9Hnr6/sodium.jar'),
+    { projectId: 'AANobbMI', versionId: '4LY9Hnr6' }
+  );
+  assert.equal(service.parseModrinthCdnUrl('https://github.com/x/y/releases/download/1/y.jar'), null);
+
+  assert.equal(service.isSafePackPath('mods/a.jar'), true);
+  assert.equal(service.isSafePackPath('../escape.jar'), false);
+  assert.equal(service.isSafePackPath('mods/../../escape.jar'), false);
+  assert.equal(service.isSafePackPath('/etc/passwd'), false);
+  assert.equal(service.isSafePackPath('C:\\Windows\\x.dll'), false);
+});
+
+test('readPackIndex rejects archives that are not Minecraft modpacks', () => {
+  const { service } = loadImportService();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mrpack-'));
+  try {
+    const packPath = writePack(dir, { formatVersion: 1, game: 'terraria', dependencies: { minecraft: '1.20.1' } });
+    assert.throws(() => service.readPackIndex(packPath), /Unsupported modpack game/);
+
+    const noIndex = path.join(dir, 'empty.mrpack');
+    const zip = new AdmZip();
+    zip.addFile('readme.txt', Buffer.from('hi'));
+    zip.writeZip(noIndex);
+    assert.throws(() => service.readPackIndex(noIndex), /modrinth\.index\.json is missing/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('installModpackFiles verifies hashes, splits client-only files and applies overrides', async () => {
+  const serverMod = 'server mod bytes';
+  const sharedMod = 'shared mod bytes';
+  const clientMod = 'client mod bytes';
+  const remoteFiles = {
+    'https://cdn.modrinth.com/data/SRV1/versions/V1/lithium.jar': serverMod,
+    'https://github.com/acme/shared/releases/download/1.0/shared.jar': sharedMod,
+    'https://cdn.modrinth.com/data/CLI1/versions/V3/sodium.jar': clientMod
+  };
+  const { service, downloads } = loadImportService(remoteFiles);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-mrpack-'));
+  const serverPath = path.join(dir, 'server');
+  fs.mkdirSync(serverPath);
+
+  try {
+    const packPath = writePack(dir, {
+      formatVersion: 1,
+      game: 'minecraft',
+      versionId: '2.0.0',
+      name: 'Test Pack',
+      dependencies: { minecraft: '1.20.1', 'fabric-loader': '0.15.11' },
+      files: [
+        {
+          path: 'mods/lithium.jar',
+          hashes: { sha1: sha1(serverMod), sha512: sha512(serverMod) },
+          env: { client: 'unsupported', server: 'required' },
+          downloads: [
+            'https://cdn.modrinth.com/data/SRV1/versions/V1/missing.jar',
+            'https://cdn.modrinth.com/data/SRV1/versions/V1/lithium.jar'
+          ]
+        },
+        {
+          path: 'mods/shared.jar',
+          hashes: { sha1: sha1(sharedMod) },
+          downloads: ['https://github.com/acme/shared/releases/download/1.0/shared.jar']
+        },
+        {
+          path: 'mods/sodium.jar',
+          hashes: { sha512: sha512(clientMod) },
+          env: { client: 'required', server: 'unsupported' },
+          downloads: ['https://cdn.modrinth.com/data/CLI1/versions/V3/sodium.jar']
+        },
+        {
+          path: '../outside.jar',
+          hashes: { sha1: sha1(serverMod) },
+          downloads: ['https://cdn.modrinth.com/data/SRV1/versions/V1/lithium.jar']
+        }
+      ]
+    }, {
+      'overrides/config/pack.toml': 'from overrides',
+      'overrides/config/shared.toml': 'shared default',
+      'server-overrides/config/shared.toml': 'server value',
+      'client-overrides/options.txt': 'client only',
+      'overrides/../escape.txt': 'nope'
+    });
+
+    const result = await service.installModpackFiles({
+      serverPath,
+      packPath,
+      origin: { source: 'modrinth', projectId: 'PACK', versionId: 'PV2' }
+    });
+
+    assert.equal(result.installed, 3);
+    assert.equal(result.clientOnly, 1);
+    assert.deepEqual(result.skipped, ['../outside.jar']);
+
+    assert.equal(fs.readFileSync(path.join(serverPath, 'mods', 'lithium.jar'), 'utf8'), serverMod);
+    assert.equal(fs.existsSync(path.join(serverPath, 'client', 'mods', 'lithium.jar')), false);
+    assert.equal(fs.readFileSync(path.join(serverPath, 'mods', 'shared.jar'), 'utf8'), sharedMod);
+    assert.equal(fs.readFileSync(path.join(serverPath, 'client', 'mods', 'shared.jar'), 'utf8'), sharedMod);
+    assert.equal(fs.existsSync(path.join(serverPath, 'mods', 'sodium.jar')), false);
+    assert.equal(fs.readFileSync(path.join(serverPath, 'client', 'mods', 'sodium.jar'), 'utf8'), clientMod);
+    assert.equal(fs.existsSync(path.join(dir, 'outside.jar')), false);
+
+    const clientManifest = JSON.parse(fs.readFileSync(
+      path.join(serverPath, 'client', 'minecraft-core-manifests', 'sodium.jar.json'), 'utf8'
+    ));
+    assert.equal(clientManifest.projectId, 'CLI1');
+    assert.equal(clientManifest.versionId, 'V3');
+    assert.equal(fs.existsSync(path.join(serverPath, 'minecraft-core-manifests', 'shared.jar.json')), false);
+
+    assert.equal(fs.readFileSync(path.join(serverPath, 'config', 'pack.toml'), 'utf8'), 'from overrides');
+    assert.equal(fs.readFileSync(path.join(serverPath, 'config', 'shared.toml'), 'utf8'), 'server value');
+    assert.equal(fs.existsSync(path.join(serverPath, 'options.txt')), false);
+    assert.equal(fs.existsSync(path.join(dir, 'escape.txt')), false);
+
+    const config = JSON.parse(fs.readFileSync(path.join(serverPath, '.minecraft-core.json'), 'utf8'));
+    assert.equal(config.modpack.name, 'Test Pack');
+    assert.equal(config.modpack.version, '2.0.0');
+    assert.equal(config.modpack.projectId, 'PACK');
+
+    // Files that are already in place with the right hash are not downloaded again
+    const downloadsBefore = downloads.length;
+    await service.installModpackFiles({ serverPath, packPath });
+    assert.equal(downloads.length, downloadsBefore);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
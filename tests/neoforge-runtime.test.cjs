@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  getNeoForgeArtifact,
+  getNeoForgeVersionPrefix,
+  readArgsFileLibraries,
+  getNeoForgeRuntimeStatus
+} = require('../electron/utils/neoforge-runtime.cjs');
+
+test('getNeoForgeVersionPrefix maps Minecraft versions to NeoForge numbering', () => {
+  assert.equal(getNeoForgeVersionPrefix('1.21.1'), '21.1.');
+  assert.equal(getNeoForgeVersionPrefix('1.21'), '21.0.');
+  assert.equal(getNeoForgeVersionPrefix('26.1'), '26.1.0.');
+  assert.equal(getNeoForgeVersionPrefix('24w14a'), null);
+});
+
+test('getNeoForgeArtifact uses the Forge-named artifact for 1.20.1', () => {
+  assert.deepEqual(getNeoForgeArtifact('1.21.1', '21.1.77'), {
+    group: 'net/neoforged/neoforge',
+    name: 'neoforge',
+    version: '21.1.77'
+  });
+  assert.equal(getNeoForgeArtifact('1.20.1', '47.1.106').version, '1.20.1-47.1.106');
+  assert.equal(getNeoForgeArtifact('1.20.1', '1.20.1-47.1.106').group, 'net/neoforged/forge');
+});
+
+test('readArgsFileLibraries collects module and legacy class path entries', () => {
+  const content = [
+    '-DlibraryDirectory=libraries',
+    '-DlegacyClassPath=libraries/a.jar:libraries/b.jar',
+    '-p libraries/boot.jar:libraries/a.jar',
+    '--add-modules ALL-MODULE-PATH',
+    'cpw.mods.bootstraplauncher.BootstrapLauncher',
+    '--launchTarget forgeserver'
+  ].join('\n');
+
+  assert.deepEqual(readArgsFileLibraries(content, ':'), ['libraries/a.jar', 'libraries/b.jar', 'libraries/boot.jar']);
+  assert.deepEqual(readArgsFileLibraries('-p libraries/a.jar;libraries/b.jar', ';'), ['libraries/a.jar', 'libraries/b.jar']);
+});
+
+test('getNeoForgeRuntimeStatus reports missing args files and libraries', () => {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-neoforge-'));
+  const artifactDir = path.join(serverPath, 'libraries', 'net', 'neoforged', 'neoforge', '21.1.77');
+
+  try {
+    const empty = getNeoForgeRuntimeStatus(serverPath, { minecraftVersion: '1.21.1', loaderVersion: '21.1.77' });
+    assert.equal(empty.hasBlockingIssues, true);
+    assert.deepEqual(empty.issues.map(issue => issue.code), ['NEOFORGE_USER_JVM_ARGS_MISSING', 'NEOFORGE_LAUNCH_ASSETS_MISSING']);
+
+    fs.mkdirSync(artifactDir, { recursive: true });
+    fs.writeFileSync(path.join(serverPath, 'user_jvm_args.txt'), '# test\n', 'utf8');
+    fs.writeFileSync(path.join(artifactDir, 'unix_args.txt'), '-p libraries/boot.jar:libraries/loader.jar\n', 'utf8');
+    fs.writeFileSync(path.join(artifactDir, 'win_args.txt'), '-p libraries/boot.jar;libraries/loader.jar\n', 'utf8');
+    fs.writeFileSync(path.join(serverPath, 'libraries', 'boot.jar'), '', 'utf8');
+
+    const incomplete = getNeoForgeRuntimeStatus(serverPath, { minecraftVersion: '1.21.1', loaderVersion: '21.1.77' });
+    assert.deepEqual(incomplete.blockingIssues.map(issue => issue.code), ['NEOFORGE_RUNTIME_INCOMPLETE']);
+    assert.equal(incomplete.blockingIssues[0].message, 'NeoForge runtime is incomplete (missing loader.jar)');
+
+    fs.writeFileSync(path.join(serverPath, 'libraries', 'loader.jar'), '', 'utf8');
+    // Without a version the newest installed build is checked
+    const healthy = getNeoForgeRuntimeStatus(serverPath);
+    assert.equal(healthy.isHealthy, true);
+    assert.equal(path.dirname(healthy.argsFile), artifactDir);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
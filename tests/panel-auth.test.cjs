@@ -0,0 +1,285 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const {
+  ROUTE_PERMISSIONS,
+  getRequiredRole,
+  roleAllows,
+  canAccessInstance
+} = require('../electron/utils/panel-permissions.cjs');
+
+function loadAuthService(store = new Map()) {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('app-store.cjs')) {
+      return {
+        get: (key) => store.get(key),
+        set: (key, value) => store.set(key, value)
+      };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/panel-auth-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function loadPanelServer(store) {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request === 'electron') {
+      return {
+        app: { getPath: () => os.tmpdir(), isPackaged: false, getVersion: () => '0.0.0' },
+        ipcMain: { handle() {}, on() {} },
+        BrowserWindow: { getAllWindows: () => [] },
+        safeStorage: { isEncryptionAvailable: () => false }
+      };
+    }
+    if (request.endsWith('app-store.cjs')) {
+      return {
+        get: (key) => store.get(key),
+        set: (key, value) => store.set(key, value)
+      };
+    }
+    // Its monitor starts hourly timers on load
+    if (request.endsWith('error-monitoring-handlers.cjs')) {
+      return { serverErrorMonitor: { logDownloadError() {}, logChecksumError() {} } };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const serverPath = path.resolve(__dirname, '../electron/services/browser-panel-server.cjs');
+  const authPath = path.resolve(__dirname, '../electron/services/panel-auth-service.cjs');
+  delete require.cache[serverPath];
+  delete require.cache[authPath];
+  try {
+    const { BrowserPanelServer } = require(serverPath);
+    return { BrowserPanelServer, auth: require(authPath) };
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const OWNER = { username: 'owner', password: 'owner-secret', isConfigured: true };
+
+test('every /api route of the browser panel has an explicit permission', () => {
+  const source = fs.readFileSync(path.resolve(__dirname, '../electron/services/browser-panel-server.cjs'), 'utf8');
+  const routes = [...source.matchAll(/this\.app\.(get|post|put|delete)\('(\/api\/[^']+)'/g)]
+    .map(([, method, route]) => `${method.toUpperCase()} ${route}`)
+    .filter((route) => route !== 'POST /api/auth/login');
+
+  assert.ok(routes.length > 100);
+  const missing = routes.filter((route) => !Object.prototype.hasOwnProperty.call(ROUTE_PERMISSIONS, route));
+  assert.deepEqual(missing, []);
+});
+
+test('routes resolve to roles, unknown routes need admin and login is public', () => {
+  assert.equal(getRequiredRole('GET', '/api/server/status'), 'viewer');
+  assert.equal(getRequiredRole('POST', '/api/instances/abc-123/stop'), 'operator');
+  assert.equal(getRequiredRole('POST', '/api/backups/delete'), 'admin');
+  assert.equal(getRequiredRole('POST', '/api/mods/install/'), 'admin');
+  assert.equal(getRequiredRole('GET', '/api/something-new'), 'admin');
+  // A read route does not open its write twin
+  assert.equal(getRequiredRole('POST', '/api/server/status'), 'admin');
+  assert.equal(getRequiredRole('HEAD', '/api/backups/list'), 'viewer');
+  assert.equal(getRequiredRole('POST', '/api/auth/login'), null);
+});
+
+test('roles are ordered and scopes limit instances', () => {
+  assert.equal(roleAllows('viewer', 'viewer'), true);
+  assert.equal(roleAllows('viewer', 'operator'), false);
+  assert.equal(roleAllows('operator', 'operator'), true);
+  assert.equal(roleAllows('admin', 'operator'), true);
+  assert.equal(roleAllows('bogus', 'viewer'), false);
+  assert.equal(roleAllows('viewer', null), true);
+
+  assert.equal(canAccessInstance({ role: 'viewer', instances: '*' }, 'a'), true);
+  assert.equal(canAccessInstance({ role: 'viewer', instances: ['a'] }, 'a'), true);
+  assert.equal(canAccessInstance({ role: 'admin', instances: ['a'] }, 'b'), false);
+  assert.equal(canAccessInstance({ role: 'admin', instances: ['a'] }, null), false);
+  assert.equal(canAccessInstance(null, 'a'), false);
+});
+
+test('passwords are stored as salted scrypt hashes', async () => {
+  const { hashPassword, verifyPassword } = loadAuthService();
+  const first = await hashPassword('correct horse');
+  const second = await hashPassword('correct horse');
+
+  assert.match(first, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('correct horse', first), true);
+  assert.equal(await verifyPassword('wrong horse', first), false);
+  assert.equal(await verifyPassword('correct horse', 'plain'), false);
+});
+
+test('panel users are validated, saved without plain passwords and authenticated', async () => {
+  const store = new Map();
+  const auth = loadAuthService(store);
+
+  assert.equal((await auth.savePanelUser({ username: 'x', password: 'longenough', role: 'viewer' })).success, false);
+  assert.equal((await auth.savePanelUser({ username: 'alice', password: 'short', role: 'viewer' })).success, false);
+  assert.equal((await auth.savePanelUser({ username: 'alice', password: 'longenough', role: 'root' })).success, false);
+  assert.equal((await auth.savePanelUser({ username: 'Owner', password: 'longenough', role: 'admin' }, { reservedUsernames: ['owner'] })).success, false);
+
+  const saved = await auth.savePanelUser({ username: 'alice', password: 'alice-password', role: 'operator', instances: ['srv-1', 'srv-1'] });
+  assert.equal(saved.success, true);
+  assert.deepEqual(saved.user.instances, ['srv-1']);
+  assert.ok(!JSON.stringify(store.get('browserPanelUsers')).includes('alice-password'));
+  assert.deepEqual(auth.listPanelUsers().map((user) => Object.keys(user).includes('passwordHash')), [false]);
+
+  const alice = await auth.authenticatePanelUser('alice', 'alice-password', OWNER);
+  assert.deepEqual(alice, { username: 'alice', role: 'operator', instances: ['srv-1'], owner: false });
+  assert.equal(await auth.authenticatePanelUser('alice', 'nope-nope', OWNER), null);
+  assert.equal(await auth.authenticatePanelUser('nobody', 'whatever', OWNER), null);
+
+  const owner = await auth.authenticatePanelUser('owner', 'owner-secret', OWNER);
+  assert.deepEqual(owner, { username: 'owner', role: 'admin', instances: '*', owner: true });
+  assert.equal(await auth.authenticatePanelUser('owner', 'owner-secre', OWNER), null);
+
+  // Updating without a password keeps the old one; disabling blocks sign-in
+  const updated = await auth.savePanelUser({ username: 'alice', role: 'viewer', disabled: true });
+  assert.equal(updated.passwordChanged, false);
+  assert.equal(await auth.authenticatePanelUser('alice', 'alice-password', OWNER), null);
+  assert.equal(auth.resolvePanelUser('alice', OWNER), null);
+
+  await auth.savePanelUser({ username: 'alice', role: 'viewer', disabled: false });
+  assert.equal(auth.resolvePanelUser('alice', OWNER).role, 'viewer');
+  assert.equal(auth.deletePanelUser('alice').success, true);
+  assert.equal(auth.deletePanelUser('alice').success, false);
+  assert.equal(auth.resolvePanelUser('alice', OWNER), null);
+});
+
+test('sessions expire when idle and can be revoked per user', () => {
+  const { PanelSessionStore } = loadAuthService();
+  const sessions = new PanelSessionStore({ idleMs: 1000, maxAgeMs: 5000 });
+  const session = sessions.create('alice');
+
+  assert.ok(session.id.length >= 40);
+  assert.ok(session.csrfToken);
+  assert.equal(sessions.get(session.id).username, 'alice');
+
+  session.lastSeen -= 2000;
+  assert.equal(sessions.get(session.id), null);
+
+  const other = sessions.create('Bob');
+  sessions.create('bob');
+  sessions.destroyUser('BOB');
+  assert.equal(sessions.get(other.id), null);
+  assert.equal(sessions.sessions.size, 0);
+});
+
+test('cookies parse and serialize with strict same-site flags', () => {
+  const { parseCookies, serializeCookie } = loadAuthService();
+  assert.deepEqual(parseCookies('a=1; mc_panel_session=abc%3D; a=2; broken'), { a: '1', mc_panel_session: 'abc=' });
+  assert.equal(
+    serializeCookie('mc_panel_session', 'x', { httpOnly: true, secure: true }),
+    'mc_panel_session=x; Path=/; SameSite=Strict; HttpOnly; Secure'
+  );
+  assert.equal(serializeCookie('mc_panel_csrf', '', { maxAgeMs: 0 }), 'mc_panel_csrf=; Path=/; SameSite=Strict; Max-Age=0');
+});
+
+test('audit entries are appended and read back newest first', async () => {
+  const auth = loadAuthService();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-audit-'));
+  try {
+    auth.setPanelAuditDir(dir);
+    await auth.recordPanelAudit({ username: 'alice', action: 'login' });
+    await auth.recordPanelAudit({ username: 'bob', action: 'request', method: 'POST', path: '/api/server/stop', status: 200 });
+    await auth.recordPanelAudit({ username: 'alice', action: 'logout' });
+
+    const entries = await auth.readPanelAudit();
+    assert.deepEqual(entries.map((entry) => entry.action), ['logout', 'request', 'login']);
+    assert.ok(entries[0].time);
+    assert.deepEqual((await auth.readPanelAudit({ username: 'alice', limit: 1 })).map((entry) => entry.action), ['logout']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+async function startPanel(t, panelUser) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-panel-'));
+  const store = new Map([
+    ['appSettings', { browserPanel: { username: 'owner', password: 'owner-secret' } }],
+    ['instances', [
+      { id: 'a', type: 'server', name: 'A', path: '/srv/a' },
+      { id: 'b', type: 'server', name: 'B', path: '/srv/b' }
+    ]],
+    ['lastServerPath', '/srv/a']
+  ]);
+  const { BrowserPanelServer, auth } = loadPanelServer(store);
+  auth.setPanelAuditDir(dir);
+  await auth.savePanelUser(panelUser);
+
+  const panel = new BrowserPanelServer();
+  panel.useHttps = false;
+  const server = await new Promise((resolve) => {
+    const listening = panel.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(async () => {
+    server.closeAllConnections();
+    server.close();
+    // Let queued audit writes land before the folder goes away
+    await auth.readPanelAudit();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await fetch(`${base}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: panelUser.username, password: panelUser.password })
+  });
+  assert.equal(login.status, 200);
+  const cookies = login.headers.getSetCookie().map((value) => value.split(';')[0]);
+  const csrf = cookies.find((value) => value.startsWith(`${auth.CSRF_COOKIE}=`)).slice(auth.CSRF_COOKIE.length + 1);
+  return { panel, base, cookie: cookies.join('; '), csrfHeaders: { [auth.CSRF_HEADER]: csrf } };
+}
+
+test('a scoped viewer cannot read console lines of other instances', async (t) => {
+  const { panel, base, cookie } = await startPanel(t, {
+    username: 'viewer1', password: 'viewer-password', role: 'viewer', instances: ['a']
+  });
+
+  panel.eventStream.pushLog({ instanceId: 'a', line: 'line from a' });
+  panel.eventStream.pushLog({ instanceId: 'b', line: 'secret from b' });
+
+  const other = await fetch(`${base}/api/server/logs?offset=0&instanceId=b`, { headers: { Cookie: cookie } });
+  assert.equal(other.status, 403);
+
+  const all = await fetch(`${base}/api/server/logs?offset=0`, { headers: { Cookie: cookie } });
+  assert.equal(all.status, 200);
+  assert.deepEqual((await all.json()).lines.map((entry) => entry.line), ['line from a']);
+
+  const own = await fetch(`${base}/api/server/logs?offset=0&instanceId=a`, { headers: { Cookie: cookie } });
+  assert.deepEqual((await own.json()).lines.map((entry) => entry.line), ['line from a']);
+});
+
+test('every path field of a request is scope-checked and non-string paths are rejected', async (t) => {
+  const { base, cookie, csrfHeaders } = await startPanel(t, {
+    username: 'operator1', password: 'operator-password', role: 'operator', instances: ['a']
+  });
+  const post = (route, body) => fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie, ...csrfHeaders },
+    body: JSON.stringify(body)
+  });
+
+  // The start route reads targetPath, so an allowed serverPath next to it must not get it through
+  const mismatched = await post('/api/server/start', { serverPath: '/srv/a', targetPath: '/srv/b' });
+  assert.equal(mismatched.status, 403);
+
+  const arrayBody = await post('/api/server/start', { targetPath: ['/srv/b'] });
+  assert.equal(arrayBody.status, 400);
+
+  const repeatedQuery = await fetch(`${base}/api/server/logs?offset=0&path=/srv/a&path=/srv/b`, { headers: { Cookie: cookie } });
+  assert.equal(repeatedQuery.status, 400);
+});
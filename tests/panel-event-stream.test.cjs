@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PanelEventStream } = require('../electron/services/panel-event-stream.cjs');
+
+function collect(stream) {
+  const events = [];
+  stream.subscribe((event) => events.push(event));
+  return events;
+}
+
+test('log lines get increasing offsets and are published with them', () => {
+  const stream = new PanelEventStream();
+  const events = collect(stream);
+
+  stream.handleMessage('server-log', { instanceId: 'a', line: 'first', targetPath: '/srv/a' });
+  stream.handleMessage('server-log', 'plain line');
+
+  assert.deepEqual(events.map((event) => [event.type, event.id]), [['server-log', 1], ['server-log', 2]]);
+  assert.deepEqual(events[0].data, { id: 1, instanceId: 'a', line: 'first', targetPath: '/srv/a' });
+  assert.equal(events[1].data.line, 'plain line');
+  assert.equal(stream.handleMessage('mods-changed', {}), false);
+});
+
+test('a reconnecting client gets only the lines after its offset', () => {
+  const stream = new PanelEventStream();
+  for (let i = 1; i <= 5; i++) {
+    stream.pushLog({ instanceId: 'a', line: `line ${i}` });
+  }
+
+  const resumed = stream.getLogsSince(3);
+  assert.deepEqual(resumed.lines.map((entry) => entry.line), ['line 4', 'line 5']);
+  assert.equal(resumed.offset, 5);
+  assert.equal(resumed.truncated, false);
+
+  assert.deepEqual(stream.getLogsSince('5').lines, []);
+});
+
+test('fresh clients get the seed tail and filtered instances', () => {
+  const stream = new PanelEventStream();
+  stream.pushLog({ instanceId: 'a', line: 'a1' });
+  stream.pushLog({ instanceId: 'b', line: 'b1' });
+  stream.pushLog({ instanceId: 'a', line: 'a2' });
+
+  assert.deepEqual(stream.getLogsSince(null, { limit: 2 }).lines.map((entry) => entry.line), ['b1', 'a2']);
+  assert.deepEqual(stream.getLogsSince(0, { instanceId: 'a' }).lines.map((entry) => entry.line), ['a1', 'a2']);
+});
+
+test('offsets older than the buffer or from a previous run are flagged as truncated', () => {
+  const stream = new PanelEventStream({ logBufferSize: 3 });
+  for (let i = 1; i <= 6; i++) {
+    stream.pushLog(`line ${i}`);
+  }
+
+  const stale = stream.getLogsSince(1);
+  assert.equal(stale.truncated, true);
+  assert.deepEqual(stale.lines.map((entry) => entry.id), [4, 5, 6]);
+
+  assert.equal(stream.getLogsSince(3).truncated, false);
+
+  const future = stream.getLogsSince(500);
+  assert.equal(future.truncated, true);
+  assert.equal(future.lines.length, 3);
+});
+
+test('latest status and metrics are kept per instance for new clients', () => {
+  const stream = new PanelEventStream();
+  stream.handleMessage('server-status', { instanceId: 'a', status: 'running', isRunning: true, playersInfo: { count: 0, names: [] } });
+  stream.handleMessage('server-status', { instanceId: 'a', status: 'stopped', isRunning: false, playersInfo: { count: 0, names: [] } });
+  stream.handleMessage('server-status', 'running');
+  stream.handleMessage('metrics-update', { instanceId: 'b', cpuPct: 12, names: [] });
+
+  const snapshot = stream.getSnapshot();
+  assert.deepEqual(snapshot.statuses.map((status) => status.status), ['stopped']);
+  assert.deepEqual(snapshot.metrics.map((metrics) => metrics.cpuPct), [12]);
+});
+
+test('player joins and leaves are published once per change', () => {
+  const stream = new PanelEventStream();
+  const events = collect(stream);
+
+  stream.pushMetrics({ instanceId: 'a', names: ['Steve'] });
+  stream.pushMetrics({ instanceId: 'a', names: ['Steve'] });
+  stream.pushMetrics({ instanceId: 'a', names: ['Alex'] });
+
+  const changes = events.filter((event) => event.type === 'players-changed').map((event) => event.data);
+  assert.deepEqual(changes, [
+    { instanceId: 'a', count: 1, names: ['Steve'], joined: ['Steve'], left: [] },
+    { instanceId: 'a', count: 1, names: ['Alex'], joined: ['Alex'], left: ['Steve'] }
+  ]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+function loadSessionService() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/player-session-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function makeServerDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-sessions-'));
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test('parseSessionEvent reads vanilla and modded log lines but ignores chat', () => {
+  const { parseSessionEvent } = loadSessionService();
+
+  assert.deepEqual(
+    parseSessionEvent('[12:00:01] [Server thread/INFO]: Steve[/203.0.113.7:50123] logged in with entity id 42 at (1.5, 64.0, -3.5)'),
+    { type: 'login', name: 'Steve', ip: '203.0.113.7' }
+  );
+  assert.deepEqual(
+    parseSessionEvent('[12:00:01] [Server thread/INFO] [minecraft/MinecraftServer]: Steve joined the game'),
+    { type: 'join', name: 'Steve' }
+  );
+  assert.deepEqual(
+    parseSessionEvent('[12:30:00] [Server thread/INFO]: Steve lost connection: Timed out'),
+    { type: 'disconnect', name: 'Steve', reason: 'Timed out' }
+  );
+  assert.deepEqual(parseSessionEvent('[12:30:00] [Server thread/INFO]: Steve left the game'), { type: 'leave', name: 'Steve' });
+  assert.equal(parseSessionEvent('[12:31:00] [Server thread/INFO]: <Alex> Notch joined the game'), null);
+  assert.equal(parseSessionEvent('[12:31:00] [Server thread/INFO]: Done (3.2s)!'), null);
+});
+
+test('sessions record IP, duration and disconnect reason and are saved to the server folder', () => {
+  const service = loadSessionService();
+  const serverPath = makeServerDir();
+  const start = Date.UTC(2026, 0, 10, 12);
+  try {
+    service.beginServerRun(serverPath, {}, start);
+    service.handleSessionLogLine(serverPath, '[12:00:00] [Server thread/INFO]: Steve[/10.0.0.5:5000] logged in with entity id 1 at (0, 0, 0)', start);
+    service.handleSessionLogLine(serverPath, '[12:00:00] [Server thread/INFO]: Steve joined the game', start);
+    service.handleSessionLogLine(serverPath, '[13:30:00] [Server thread/INFO]: Steve lost connection: Disconnected', start + 1.5 * HOUR);
+    service.handleSessionLogLine(serverPath, '[13:30:00] [Server thread/INFO]: Steve left the game', start + 1.5 * HOUR);
+    service.handleSessionLogLine(serverPath, '[14:00:00] [Server thread/INFO]: Alex joined the game', start + 2 * HOUR);
+    service.endServerRun(serverPath, 'Server stopped', start + 3 * HOUR);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(serverPath, 'player-sessions.json'), 'utf8'));
+    assert.deepEqual(stored.sessions.map(({ name, ip, durationMs, reason }) => ({ name, ip, durationMs, reason })), [
+      { name: 'Steve', ip: '10.0.0.5', durationMs: 1.5 * HOUR, reason: 'Disconnected' },
+      { name: 'Alex', ip: null, durationMs: HOUR, reason: 'Server stopped' }
+    ]);
+
+    // A fresh load reads the history back from disk
+    const report = loadSessionService().getSessionReport(serverPath, { days: 0 }, start + 4 * HOUR);
+    assert.deepEqual(report.players.map(({ name, totalMs, sessionCount, lastIp }) => ({ name, totalMs, sessionCount, lastIp })), [
+      { name: 'Steve', totalMs: 1.5 * HOUR, sessionCount: 1, lastIp: '10.0.0.5' },
+      { name: 'Alex', totalMs: HOUR, sessionCount: 1, lastIp: null }
+    ]);
+    assert.deepEqual(report.sessions.map(session => session.name), ['Alex', 'Steve']);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('a new run closes sessions a crashed app left open, a resumed run keeps them', () => {
+  const service = loadSessionService();
+  const serverPath = makeServerDir();
+  const start = Date.UTC(2026, 0, 10, 12);
+  try {
+    service.handleSessionLogLine(serverPath, 'Steve joined the game', start);
+    service.handleSessionLogLine(serverPath, 'Alex joined the game', start + HOUR);
+
+    service.beginServerRun(serverPath, { resume: true }, start + 2 * HOUR);
+    assert.equal(service.getSessionReport(serverPath, {}, start + 2 * HOUR).online, 2);
+
+    // The list shows who is really online after re-attaching
+    service.syncOnlinePlayers(serverPath, ['Alex', 'Notch'], start + 2 * HOUR);
+    let report = service.getSessionReport(serverPath, { days: 0 }, start + 2 * HOUR);
+    assert.deepEqual(report.sessions.filter(s => s.online).map(s => s.name).sort(), ['Alex', 'Notch']);
+    assert.equal(report.sessions.find(s => s.name === 'Notch').approximate, true);
+
+    service.beginServerRun(serverPath, {}, start + 5 * HOUR);
+    report = service.getSessionReport(serverPath, { days: 0 }, start + 5 * HOUR);
+    assert.equal(report.online, 0);
+    // Closed at the last recorded activity, not at the time of the new run
+    assert.equal(report.sessions.find(s => s.name === 'Alex').leftAt, start + 2 * HOUR);
+    assert.equal(report.sessions.find(s => s.name === 'Alex').reason, 'Server stopped unexpectedly');
+    service.flushPlayerSessions();
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('daily peaks count overlapping sessions, including ones carried over midnight', () => {
+  const service = loadSessionService();
+  const serverPath = makeServerDir();
+  const dayOne = new Date(2026, 2, 1, 0, 0, 0).getTime();
+  try {
+    service.handleSessionLogLine(serverPath, 'A joined the game', dayOne + 22 * HOUR);
+    service.handleSessionLogLine(serverPath, 'B joined the game', dayOne + 23 * HOUR);
+    service.handleSessionLogLine(serverPath, 'C joined the game', dayOne + 23.5 * HOUR);
+    service.handleSessionLogLine(serverPath, 'C left the game', dayOne + 23.75 * HOUR);
+    service.handleSessionLogLine(serverPath, 'B left the game', dayOne + 25 * HOUR);
+    service.handleSessionLogLine(serverPath, 'A left the game', dayOne + 26 * HOUR);
+    // Relog at the same instant is one player, not two
+    service.handleSessionLogLine(serverPath, 'D joined the game', dayOne + 30 * HOUR);
+    service.handleSessionLogLine(serverPath, 'D left the game', dayOne + 31 * HOUR);
+    service.handleSessionLogLine(serverPath, 'D joined the game', dayOne + 31 * HOUR);
+
+    const now = dayOne + 50 * HOUR;
+    const { dailyPeaks } = service.getSessionReport(serverPath, { days: 3 }, now);
+    assert.deepEqual(dailyPeaks, [
+      { date: '2026-03-01', peak: 3 },
+      { date: '2026-03-02', peak: 2 },
+      { date: '2026-03-03', peak: 1 }
+    ]);
+    service.flushPlayerSessions();
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+  isPluginLoader,
+  findPluginServerJar,
+  verifyChecksum,
+  getPluginServerRuntimeStatus
+} = require('../electron/utils/plugin-server-runtime.cjs');
+const {
+  __testUtils: { mapPaperBuilds, mapPurpurBuilds }
+} = require('../electron/services/loader-install-service.cjs');
+
+test('isPluginLoader only accepts servers the app can install', () => {
+  assert.equal(isPluginLoader('Paper'), true);
+  assert.equal(isPluginLoader('purpur'), true);
+  assert.equal(isPluginLoader('spigot'), false);
+  assert.equal(isPluginLoader(null), false);
+});
+
+test('verifyChecksum compares hex digests case-insensitively', () => {
+  const buffer = Buffer.from('paperclip');
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  assert.equal(verifyChecksum(buffer, 'sha256', sha256.toUpperCase()), true);
+  assert.equal(verifyChecksum(buffer, 'md5', crypto.createHash('md5').update(buffer).digest('hex')), true);
+  assert.equal(verifyChecksum(Buffer.from('tampered'), 'sha256', sha256), false);
+  assert.equal(verifyChecksum(buffer, 'sha256', null), false);
+});
+
+test('findPluginServerJar prefers the configured build and otherwise the newest one', () => {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-plugin-server-'));
+
+  try {
+    assert.equal(getPluginServerRuntimeStatus(serverPath, 'purpur').blockingIssues[0].code, 'PLUGIN_SERVER_JAR_MISSING');
+
+    fs.writeFileSync(path.join(serverPath, 'purpur-1.21.1-2300.jar'), 'a', 'utf8');
+    fs.writeFileSync(path.join(serverPath, 'purpur-1.21.1-2329.jar'), 'b', 'utf8');
+    assert.equal(path.basename(findPluginServerJar(serverPath, 'purpur')), 'purpur-1.21.1-2329.jar');
+    assert.equal(
+      path.basename(findPluginServerJar(serverPath, 'purpur', { minecraftVersion: '1.21.1', loaderVersion: '2300' })),
+      'purpur-1.21.1-2300.jar'
+    );
+    assert.equal(findPluginServerJar(serverPath, 'purpur', { minecraftVersion: '1.21.1', loaderVersion: '1' }), null);
+    assert.equal(getPluginServerRuntimeStatus(serverPath, 'purpur').isHealthy, true);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('builds API responses map to newest-first build lists', () => {
+  const paperBuilds = mapPaperBuilds([
+    {
+      id: 128,
+      channel: 'STABLE',
+      downloads: { 'server:default': { name: 'paper-1.21.1-128.jar', url: 'https://example.test/128.jar', checksums: { sha256: 'aa' } } }
+    },
+    {
+      id: 130,
+      channel: 'BETA',
+      downloads: { 'server:default': { name: 'paper-1.21.1-130.jar', url: 'https://example.test/130.jar', checksums: { sha256: 'bb' } } }
+    },
+    { id: 131, downloads: {} }
+  ]);
+
+  assert.deepEqual(paperBuilds.map(entry => entry.build), ['130', '128']);
+  assert.equal(paperBuilds[0].checksum, 'bb');
+  assert.equal(paperBuilds[0].algorithm, 'sha256');
+  assert.deepEqual(mapPurpurBuilds({ builds: { latest: '2329', all: ['2300', '2329', '2301'] } }), ['2329', '2301', '2300']);
+  assert.deepEqual(mapPurpurBuilds({}), []);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const {
+  isProcessAlive,
+  getProcessCommandLine,
+  AdoptedProcess,
+  LogTailer
+} = require('../electron/utils/process-adoption.cjs');
+
+function waitFor(predicate, timeoutMs = 3000) {
+  const startedAt = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - startedAt > timeoutMs) return reject(new Error('Timed out'));
+      setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+test('isProcessAlive tells running and finished processes apart', async () => {
+  assert.equal(isProcessAlive(process.pid), true);
+  assert.equal(isProcessAlive(0), false);
+  assert.equal(isProcessAlive(undefined), false);
+
+  const child = spawn(process.execPath, ['-e', '']);
+  await new Promise(resolve => child.once('exit', resolve));
+  assert.equal(isProcessAlive(child.pid), false);
+});
+
+test('getProcessCommandLine includes the arguments of the process', { skip: process.platform === 'win32' }, async () => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)', '--', 'marker-arg-42']);
+  try {
+    await waitFor(() => isProcessAlive(child.pid));
+    assert.match(await getProcessCommandLine(child.pid), /marker-arg-42/);
+  } finally {
+    child.kill();
+  }
+});
+
+test('AdoptedProcess forwards input and reports the exit of its PID', async () => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)']);
+  const inputs = [];
+  const adopted = new AdoptedProcess({ pid: child.pid, onInput: text => inputs.push(text), pollIntervalMs: 20 });
+  try {
+    assert.equal(adopted.stdin.write('list\n'), true);
+    assert.deepEqual(inputs, ['list\n']);
+
+    const exited = new Promise(resolve => adopted.once('exit', (code, signal) => resolve({ code, signal })));
+    assert.equal(adopted.kill('SIGKILL'), true);
+    assert.deepEqual(await exited, { code: null, signal: null });
+  } finally {
+    adopted.dispose();
+    child.kill();
+  }
+});
+
+test('LogTailer replays the backlog, follows appends and restarts after truncation', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-tail-'));
+  const logPath = path.join(dir, 'latest.log');
+  fs.writeFileSync(logPath, 'cut off line\n[INFO] old one\n[INFO] old two\n[INFO] parti');
+
+  const lines = [];
+  const tailer = new LogTailer(logPath, line => lines.push(line), { pollIntervalMs: 20 });
+  try {
+    const backlog = await tailer.start({ backlogBytes: 43 });
+    assert.deepEqual(backlog, ['[INFO] old one', '[INFO] old two']);
+
+    fs.appendFileSync(logPath, 'al\r\n[INFO] ünïcode\n');
+    await waitFor(() => lines.length === 2);
+    assert.deepEqual(lines, ['[INFO] partial', '[INFO] ünïcode']);
+
+    // The server starts a fresh latest.log on every start
+    fs.writeFileSync(logPath, '[INFO] new\n');
+    await waitFor(() => lines.length === 3);
+    assert.equal(lines[2], '[INFO] new');
+  } finally {
+    tailer.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
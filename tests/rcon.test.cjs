@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const Module = require('module');
+
+const {
+  PACKET_TYPE,
+  RconClient,
+  RconError,
+  encodePacket,
+  decodePackets
+} = require('../electron/utils/rcon-client.cjs');
+
+function loadRconService() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/rcon-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+// Behaves like a Minecraft server: splits long output into 4096-byte packets and
+// answers packets of unknown types with "Unknown request"
+function startFakeServer(password, handleCommand) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let authenticated = false;
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const { packets, rest } = decodePackets(buffer);
+      buffer = rest;
+      for (const packet of packets) {
+        if (packet.type === PACKET_TYPE.AUTH) {
+          authenticated = packet.body === password;
+          socket.write(encodePacket(authenticated ? packet.id : -1, PACKET_TYPE.AUTH_RESPONSE, ''));
+        } else if (!authenticated) {
+          socket.destroy();
+        } else if (packet.type === PACKET_TYPE.COMMAND) {
+          const output = handleCommand(packet.body);
+          for (let offset = 0; offset === 0 || offset < output.length; offset += 4096) {
+            socket.write(encodePacket(packet.id, PACKET_TYPE.RESPONSE, output.slice(offset, offset + 4096)));
+          }
+        } else {
+          socket.write(encodePacket(packet.id, PACKET_TYPE.RESPONSE, `Unknown request ${packet.type.toString(16)}`));
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      close: () => new Promise((done) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+test('decodePackets keeps partial packets for the next read', () => {
+  const packets = Buffer.concat([encodePacket(7, PACKET_TYPE.RESPONSE, 'héllo'), encodePacket(8, PACKET_TYPE.RESPONSE, 'second')]);
+  const first = decodePackets(packets.subarray(0, packets.length - 3));
+
+  assert.deepEqual(first.packets, [{ id: 7, type: PACKET_TYPE.RESPONSE, body: 'héllo' }]);
+  const second = decodePackets(Buffer.concat([first.rest, packets.subarray(packets.length - 3)]));
+  assert.deepEqual(second.packets, [{ id: 8, type: PACKET_TYPE.RESPONSE, body: 'second' }]);
+  assert.equal(second.rest.length, 0);
+});
+
+test('RconClient joins multi-packet responses and runs commands in order', async () => {
+  const longOutput = 'x'.repeat(9000);
+  const server = await startFakeServer('secret', (command) => (command === 'long' ? longOutput : `ran ${command}`));
+  const client = new RconClient({ host: '127.0.0.1', port: server.port, password: 'secret' });
+  try {
+    await client.connect();
+    const [first, long, last] = await Promise.all([client.send('time set day'), client.send('long'), client.send('list')]);
+    assert.equal(first, 'ran time set day');
+    assert.equal(long, longOutput);
+    assert.equal(last, 'ran list');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('RconClient reports a rejected password', async () => {
+  const server = await startFakeServer('secret', () => '');
+  const client = new RconClient({ host: '127.0.0.1', port: server.port, password: 'wrong' });
+  try {
+    await assert.rejects(() => client.connect(), (error) => error instanceof RconError && error.code === 'RCON_AUTH');
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test('parseListResponse handles current, legacy and colored formats', () => {
+  const { parseListResponse } = loadRconService();
+
+  assert.deepEqual(
+    parseListResponse('There are 2 of a max of 20 players online: Steve, Alex'),
+    { count: 2, max: 20, names: ['Steve', 'Alex'] }
+  );
+  assert.deepEqual(parseListResponse('There are 0 of a max of 20 players online: '), { count: 0, max: 20, names: [] });
+  assert.deepEqual(parseListResponse('There are 1/10 players online:\nNotch'), { count: 1, max: 10, names: ['Notch'] });
+  assert.deepEqual(
+    parseListResponse('§6There are §c1§6 of a max of §c50§6 players online: §fjeb_'),
+    { count: 1, max: 50, names: ['jeb_'] }
+  );
+  assert.equal(parseListResponse('Unknown command'), null);
+});
+
+test('ensureRconConfigured enables RCON once and keeps existing settings', (t) => {
+  const { ensureRconConfigured, readRconSettings } = loadRconService();
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-rcon-'));
+  t.after(() => fs.rmSync(serverPath, { recursive: true, force: true }));
+  const propertiesPath = path.join(serverPath, 'server.properties');
+
+  assert.deepEqual(ensureRconConfigured(serverPath), { configured: false, changed: false });
+
+  fs.writeFileSync(propertiesPath, '#Minecraft server properties\nserver-port=25575\nenable-rcon=false\nmotd=Hi\n');
+  const result = ensureRconConfigured(serverPath);
+  assert.equal(result.changed, true);
+  assert.equal(result.port, 25585);
+
+  const content = fs.readFileSync(propertiesPath, 'utf-8');
+  assert.match(content, /^#Minecraft server properties\n/);
+  assert.match(content, /^enable-rcon=true$/m);
+  assert.match(content, /^motd=Hi$/m);
+  const settings = readRconSettings(serverPath);
+  assert.equal(settings.enabled, true);
+  assert.ok(settings.password.length >= 24);
+
+  assert.equal(ensureRconConfigured(serverPath).changed, false);
+  assert.equal(readRconSettings(serverPath).password, settings.password);
+});
+
+test('runRconCommand reads credentials from server.properties', async () => {
+  const { runRconCommand, fetchPlayerList, closeRconConnection } = loadRconService();
+  const server = await startFakeServer('pw', (command) => (
+    command === 'list' ? 'There are 1 of a max of 5 players online: Steve' : `ran ${command}`
+  ));
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-rcon-run-'));
+  fs.writeFileSync(
+    path.join(serverPath, 'server.properties'),
+    `enable-rcon=true\nrcon.port=${server.port}\nrcon.password=pw\n`
+  );
+  try {
+    assert.equal(await runRconCommand(serverPath, '/say hi'), 'ran say hi');
+    assert.deepEqual(await fetchPlayerList(serverPath), { count: 1, max: 5, names: ['Steve'] });
+  } finally {
+    closeRconConnection(serverPath);
+    await server.close();
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+async function withScheduledTasks({ players = 0 } = {}, fn) {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-tasks-'));
+  const state = { players };
+  const commands = [];
+  const serverManagerStub = {
+    getServerState: () => ({ isRunning: true, targetPath: serverPath, playersInfo: { count: state.players } }),
+    sendServerCommand: (_selector, command) => {
+      commands.push(command);
+      return true;
+    },
+    executeServerCommand: async (_selector, command) => {
+      commands.push(command);
+      return { success: true };
+    },
+    startMinecraftServer: async () => ({ success: true }),
+    shutdownMinecraftServer: async () => ({ success: true })
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('server-manager.cjs')) {
+      return serverManagerStub;
+    }
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('app-store.cjs')) {
+      return {
+        get: (key) => (key === 'instances' ? [{ id: 'srv-1', type: 'server', path: serverPath }] : undefined),
+        set: () => {}
+      };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/scheduled-tasks.cjs');
+  delete require.cache[modulePath];
+  const scheduledTasks = require(modulePath);
+
+  try {
+    await fn({ scheduledTasks, serverPath, commands, state });
+  } finally {
+    Module._load = originalLoad;
+    delete require.cache[modulePath];
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+}
+
+const at = (hours, minutes, seconds = 0) => new Date(2024, 0, 15, hours, minutes, seconds).getTime();
+
+test('countdown warnings are sent once each as the run time approaches', { concurrency: false }, async () => {
+  await withScheduledTasks({ players: 3 }, async ({ scheduledTasks, serverPath, commands }) => {
+    const { tick } = scheduledTasks.__testUtils;
+    const saved = scheduledTasks.saveScheduledTask(serverPath, {
+      name: 'Nightly restart',
+      type: 'restart',
+      schedule: '0 4 * * *',
+      warnings: [1, 10]
+    });
+    assert.equal(saved.success, true);
+
+    await tick(at(3, 45));
+    assert.deepEqual(commands, []);
+
+    await tick(at(3, 50, 5));
+    await tick(at(3, 50, 20));
+    assert.deepEqual(commands, ['say Server restarting in 10 minute(s)']);
+
+    await tick(at(3, 59));
+    assert.deepEqual(commands, ['say Server restarting in 10 minute(s)', 'say Server restarting in 1 minute(s)']);
+  });
+});
+
+test('warnings whose window passed before the first tick are not sent late', { concurrency: false }, async () => {
+  await withScheduledTasks({ players: 3 }, async ({ scheduledTasks, serverPath, commands }) => {
+    const { tick } = scheduledTasks.__testUtils;
+    scheduledTasks.saveScheduledTask(serverPath, { type: 'stop', schedule: '0 4 * * *', warnings: [10, 1] });
+
+    await tick(at(3, 57));
+    await tick(at(3, 57, 15));
+    assert.deepEqual(commands, []);
+
+    await tick(at(3, 59));
+    assert.deepEqual(commands, ['say Server stopping in 1 minute(s)']);
+  });
+});
+
+test('skip-if-empty tasks skip without players and run once someone is online', { concurrency: false }, async () => {
+  await withScheduledTasks({ players: 0 }, async ({ scheduledTasks, serverPath, commands, state }) => {
+    const { task } = scheduledTasks.saveScheduledTask(serverPath, {
+      type: 'command',
+      schedule: '0 4 * * *',
+      command: '/save-all',
+      warnings: [5],
+      skipIfEmpty: true
+    });
+
+    // Neither the countdown nor the task reach an empty server
+    await scheduledTasks.__testUtils.tick(at(3, 50));
+    await scheduledTasks.__testUtils.tick(at(3, 55, 5));
+    const skipped = await scheduledTasks.runScheduledTaskNow(serverPath, task.id);
+    assert.equal(skipped.success, true);
+    assert.equal(skipped.entry.result, 'skipped');
+    assert.equal(skipped.entry.message, 'No players online');
+    assert.deepEqual(commands, []);
+
+    state.players = 1;
+    const ran = await scheduledTasks.runScheduledTaskNow(serverPath, task.id);
+    assert.equal(ran.entry.result, 'success');
+    assert.deepEqual(commands, ['save-all']);
+
+    const [lastRun] = scheduledTasks.listScheduledTasks(serverPath);
+    assert.equal(lastRun.lastResult, 'success');
+  });
+});
+
+test('history keeps every concurrent entry up to the retention limit', { concurrency: false }, async () => {
+  await withScheduledTasks({}, async ({ scheduledTasks, serverPath }) => {
+    const { appendHistory, HISTORY_LIMIT } = scheduledTasks.__testUtils;
+
+    await Promise.all([appendHistory(serverPath, { id: 'a' }), appendHistory(serverPath, { id: 'b' })]);
+    assert.deepEqual((await scheduledTasks.getScheduledTaskHistory(serverPath)).map((entry) => entry.id), ['b', 'a']);
+
+    const total = HISTORY_LIMIT + 5;
+    await Promise.all(Array.from({ length: total }, (_, index) => appendHistory(serverPath, { id: `run-${index}` })));
+    const history = await scheduledTasks.getScheduledTaskHistory(serverPath, total);
+    assert.equal(history.length, HISTORY_LIMIT);
+    assert.equal(history[0].id, `run-${total - 1}`);
+    assert.equal(history.at(-1).id, `run-${total - HISTORY_LIMIT}`);
+
+    await scheduledTasks.clearScheduledTaskHistory(serverPath);
+    assert.deepEqual(await scheduledTasks.getScheduledTaskHistory(serverPath), []);
+  });
+});
@@ -3,6 +3,7 @@ const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
+const AdmZip = require('adm-zip');
 
 const { resolveLaunchPlan } = require('../electron/services/server-launcher.cjs');
 
@@ -50,3 +51,107 @@ test('resolveLaunchPlan prefers platform-specific Forge args files', () => {
     fs.rmSync(serverPath, { recursive: true, force: true });
   }
 });
+
+test('resolveLaunchPlan applies the launch profile to Forge and plain jar servers', () => {
+  const forgePath = makeTempForgeServer();
+  const vanillaPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-vanilla-'));
+  fs.writeFileSync(path.join(vanillaPath, 'server.jar'), '', 'utf8');
+  const launchProfile = {
+    minRam: 2,
+    gcPreset: 'zgc',
+    jvmArgs: ['-Dfile.encoding=UTF-8'],
+    serverArgs: ['--forceUpgrade', 'nogui'],
+    priority: 'normal'
+  };
+
+  try {
+    const forgePlan = resolveLaunchPlan(forgePath, { loader: 'forge', maxRam: 6, launchProfile, javaVersion: 17 });
+    assert.deepEqual(forgePlan.args.slice(1, 5), ['-Xmx6G', '-Xms2G', '-XX:+UseZGC', '-Dfile.encoding=UTF-8']);
+    assert.deepEqual(forgePlan.args.slice(-2), ['nogui', '--forceUpgrade']);
+
+    // Without a profile Forge keeps its 1 GB starting heap
+    const defaultForgePlan = resolveLaunchPlan(forgePath, { loader: 'forge', maxRam: 6 });
+    assert.deepEqual(defaultForgePlan.args.slice(1, 3), ['-Xmx6G', '-Xms1G']);
+
+    const vanillaPlan = resolveLaunchPlan(vanillaPath, { loader: 'vanilla', maxRam: 4, launchProfile, javaVersion: 21 });
+    assert.deepEqual(vanillaPlan.args, [
+      '-Xmx4G',
+      '-Xms2G',
+      '-XX:+UseZGC',
+      '-XX:+ZGenerational',
+      '-Dfile.encoding=UTF-8',
+      '-jar',
+      path.join(vanillaPath, 'server.jar'),
+      'nogui',
+      '--forceUpgrade'
+    ]);
+  } finally {
+    fs.rmSync(forgePath, { recursive: true, force: true });
+    fs.rmSync(vanillaPath, { recursive: true, force: true });
+  }
+});
+
+test('resolveLaunchPlan starts Quilt through its launcher jar once the runtime is complete', () => {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-quilt-'));
+  const launchJar = path.join(serverPath, 'quilt-server-launch.jar');
+  const zip = new AdmZip();
+  zip.addFile(
+    'META-INF/MANIFEST.MF',
+    Buffer.from('Manifest-Version: 1.0\nMain-Class: org.quiltmc.loader.impl.launch.server.QuiltServerLauncher\nClass-Path: libraries/quilt-loader.jar\n')
+  );
+  zip.writeZip(launchJar);
+
+  try {
+    assert.throws(() => resolveLaunchPlan(serverPath, { loader: 'quilt', maxRam: 4 }), { code: 'QUILT_BROKEN' });
+
+    fs.mkdirSync(path.join(serverPath, 'libraries'));
+    fs.writeFileSync(path.join(serverPath, 'libraries', 'quilt-loader.jar'), '', 'utf8');
+    const plan = resolveLaunchPlan(serverPath, { loader: 'quilt', maxRam: 4 });
+    assert.equal(plan.loader, 'quilt');
+    assert.deepEqual(plan.args, ['-Xmx4G', '-jar', launchJar, 'nogui']);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('resolveLaunchPlan launches NeoForge from its args file and refuses an incomplete install', () => {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-neoforge-'));
+  const neoForgeDir = path.join(serverPath, 'libraries', 'net', 'neoforged', 'neoforge', '21.1.77');
+  fs.mkdirSync(neoForgeDir, { recursive: true });
+  fs.writeFileSync(path.join(serverPath, 'user_jvm_args.txt'), '# test\n', 'utf8');
+  fs.writeFileSync(path.join(neoForgeDir, 'win_args.txt'), '-p libraries/boot.jar\n', 'utf8');
+  fs.writeFileSync(path.join(neoForgeDir, 'unix_args.txt'), '-p libraries/boot.jar\n', 'utf8');
+  const options = { loader: 'neoforge', maxRam: 4, minecraftVersion: '1.21.1', loaderVersion: '21.1.77' };
+
+  try {
+    assert.throws(() => resolveLaunchPlan(serverPath, options), { code: 'NEOFORGE_BROKEN' });
+
+    fs.writeFileSync(path.join(serverPath, 'libraries', 'boot.jar'), '', 'utf8');
+    const plan = resolveLaunchPlan(serverPath, options);
+    const expectedArgsFile = process.platform === 'win32' ? 'win_args.txt' : 'unix_args.txt';
+    assert.equal(plan.type, 'forge');
+    assert.equal(plan.loader, 'neoforge');
+    assert.equal(plan.args[0], '@user_jvm_args.txt');
+    assert.equal(plan.args.at(-2), `@${path.join('libraries', 'net', 'neoforged', 'neoforge', '21.1.77', expectedArgsFile)}`);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
+
+test('resolveLaunchPlan runs Paper from its build jar instead of a leftover vanilla jar', () => {
+  const serverPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-paper-'));
+  const options = { loader: 'paper', maxRam: 4, minecraftVersion: '1.21.1', loaderVersion: '130' };
+  fs.writeFileSync(path.join(serverPath, 'server.jar'), 'vanilla', 'utf8');
+
+  try {
+    assert.throws(() => resolveLaunchPlan(serverPath, options), { code: 'PLUGIN_SERVER_JAR_MISSING' });
+
+    const paperJar = path.join(serverPath, 'paper-1.21.1-130.jar');
+    fs.writeFileSync(paperJar, 'paperclip', 'utf8');
+    const plan = resolveLaunchPlan(serverPath, options);
+    assert.equal(plan.loader, 'paper');
+    assert.deepEqual(plan.args, ['-Xmx4G', '-jar', paperJar, 'nogui']);
+  } finally {
+    fs.rmSync(serverPath, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const { spawn } = require('child_process');
+
+const processAdoption = require('../electron/utils/process-adoption.cjs');
+
+function loadServerManager(record) {
+  const sent = [];
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    if (request.endsWith('safe-send.cjs')) {
+      return { safeSend: (channel, data) => sent.push({ channel, data }) };
+    }
+    if (request.endsWith('app-store.cjs')) {
+      return { get: (key) => (key === 'runningServers' ? { [record.instanceId]: record } : undefined), set() {} };
+    }
+    if (request.endsWith('rcon-service.cjs')) {
+      return {
+        ensureRconConfigured: async () => {},
+        runRconCommand: async () => '',
+        fetchPlayerList: async () => ({ count: 0, names: [] }),
+        isRconReachable: async () => false,
+        closeRconConnection() {}
+      };
+    }
+    if (request.endsWith('process-adoption.cjs')) {
+      return {
+        ...processAdoption,
+        getProcessCommandLine: async () => `java -jar server.jar ${record.serverIdentifier}`,
+        LogTailer: class {
+          async start() { return []; }
+          stop() {}
+        }
+      };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/server-manager.cjs');
+  delete require.cache[modulePath];
+  try {
+    return { serverManager: require(modulePath), sent };
+  } finally {
+    Module._load = originalLoad;
+    delete require.cache[modulePath];
+  }
+}
+
+test('commands to a re-attached server without RCON are reported as not sent', async (t) => {
+  const targetPath = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-core-adopted-'));
+  const sleeper = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+  const record = { instanceId: 'srv-1', targetPath, pid: sleeper.pid, serverIdentifier: 'server-id-1', port: 25565, maxRam: 2 };
+  const { serverManager, sent } = loadServerManager(record);
+  t.after(() => {
+    serverManager.clearIntervals();
+    const adopted = serverManager.getServerProcess({ instanceId: 'srv-1' });
+    if (adopted) adopted.dispose();
+    sleeper.kill();
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  });
+
+  assert.deepEqual(await serverManager.adoptRunningServers(), ['srv-1']);
+
+  assert.equal(serverManager.sendServerCommand({ instanceId: 'srv-1' }, 'save-off'), false);
+  assert.ok(!sent.some((message) => message.channel === 'command-response'));
+
+  const result = await serverManager.executeServerCommand({ instanceId: 'srv-1' }, 'say hello');
+  assert.equal(result.success, false);
+  assert.match(result.error, /no RCON/);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Module = require('module');
+
+function loadPerformanceService() {
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request.endsWith('logger-handlers.cjs')) {
+      return { getLoggerHandlers: () => ({ debug() {}, info() {}, warn() {}, error() {} }) };
+    }
+    return originalLoad(request, parent, isMain);
+  };
+
+  const modulePath = path.resolve(__dirname, '../electron/services/server-performance-service.cjs');
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const {
+  parseTickQuery,
+  parseForgeTps,
+  parseEntityCount,
+  parseLagLine,
+  createPerformanceTracker,
+  recordLagLine,
+  sampleServerPerformance,
+  getPerformanceSnapshot
+} = loadPerformanceService();
+
+test('parseTickQuery reads tick time and percentiles from concatenated RCON output', () => {
+  const response = 'The game is running normallyTarget tick rate: 20.0 per second.\n'
+    + 'Average time per tick: 12.5ms (Target: 50.0ms)Percentiles: P50: 11.2ms P95: 20.4ms P99: 31.0ms, sample: 100';
+  assert.deepEqual(parseTickQuery(response), {
+    tps: 20,
+    mspt: 12.5,
+    percentiles: { p50: 11.2, p95: 20.4, p99: 31 }
+  });
+
+  const lagging = parseTickQuery('The game is running, but can\'t keep up with the current tick rateTarget tick rate: 20.0 per second.\nAverage time per tick: 80.0ms (Target: 50.0ms)');
+  assert.equal(lagging.tps, 12.5);
+  assert.equal(parseTickQuery('Unknown or incomplete command, see below for error'), null);
+});
+
+test('parseForgeTps handles Forge, 1.12 Forge and newer NeoForge output', () => {
+  const forge = parseForgeTps(
+    'Dim minecraft:overworld (minecraft:overworld): Mean tick time: 30.512 ms. Mean TPS: 20.000'
+    + 'Dim minecraft:the_nether (minecraft:the_nether): Mean tick time: 0.250 ms. Mean TPS: 20.000'
+    + 'Overall: Mean tick time: 31.020 ms. Mean TPS: 20.000'
+  );
+  assert.equal(forge.mspt, 31.02);
+  assert.deepEqual(forge.dimensions.map(dimension => dimension.id), ['minecraft:overworld', 'minecraft:the_nether']);
+
+  const legacy = parseForgeTps('Dim   0 : Mean tick time: 62.500 ms. Mean TPS: 16.000\nDim  -1 : Mean tick time: 1.000 ms. Mean TPS: 20.000');
+  assert.deepEqual(legacy.dimensions.map(dimension => dimension.id), ['minecraft:overworld', 'minecraft:the_nether']);
+  // No overall line: dimension tick times add up
+  assert.equal(legacy.mspt, 63.5);
+
+  const neoforge = parseForgeTps('minecraft:overworld: 19.500 TPS (51.282 ms/tick)\nOverall: 19.500 TPS (51.900 ms/tick)');
+  assert.equal(neoforge.tps, 19.5);
+  assert.equal(neoforge.mspt, 51.9);
+  assert.equal(neoforge.dimensions.length, 1);
+});
+
+test('parseEntityCount and parseLagLine recognize their lines', () => {
+  assert.equal(parseEntityCount('Test passed, count: 312'), 312);
+  assert.equal(parseEntityCount('Test failed'), 0);
+  assert.equal(parseEntityCount('Unknown command'), null);
+  assert.deepEqual(
+    parseLagLine('[12:00:01] [Server thread/WARN]: Can\'t keep up! Is the server overloaded? Running 5000ms or 100 ticks behind'),
+    { behindMs: 5000, ticks: 100 }
+  );
+  assert.equal(parseLagLine('<Steve> Can\'t keep up with this'), null);
+});
+
+test('sampleServerPerformance falls through to a supported command and counts entities', async () => {
+  const commands = [];
+  const responses = {
+    'neoforge tps': 'Unknown or incomplete command, see below for error',
+    'forge tps': 'Dim minecraft:overworld (minecraft:overworld): Mean tick time: 55.000 ms. Mean TPS: 18.182',
+    'execute in minecraft:overworld if entity @e': 'Test passed, count: 420'
+  };
+  const runCommand = async (command) => {
+    commands.push(command);
+    return responses[command] || '';
+  };
+
+  const tracker = createPerformanceTracker();
+  const sample = await sampleServerPerformance(tracker, { loader: 'neoforge', runCommand }, 1000);
+  assert.equal(sample.source, 'forge');
+  assert.equal(sample.tps, 18.18);
+  assert.equal(tracker.strategy, 'forge');
+  assert.deepEqual(tracker.dimensions, [{ id: 'minecraft:overworld', tps: 18.18, mspt: 55, entities: 420 }]);
+
+  commands.length = 0;
+  await sampleServerPerformance(tracker, { loader: 'neoforge', runCommand }, 16000);
+  // The working command is remembered and entity counts are not refreshed every sample
+  assert.deepEqual(commands, ['forge tps']);
+  assert.equal(getPerformanceSnapshot(tracker, 16000).dimensions[0].entities, 420);
+});
+
+test('without RCON the lag warnings in the log drive the estimate and the alert', async () => {
+  const tracker = createPerformanceTracker();
+  assert.equal(getPerformanceSnapshot(tracker), null);
+
+  const quiet = await sampleServerPerformance(tracker, {}, 10000);
+  assert.deepEqual({ tps: quiet.tps, mspt: quiet.mspt, source: quiet.source }, { tps: 20, mspt: 50, source: 'log' });
+
+  recordLagLine(tracker, 'Can\'t keep up! Is the server overloaded? Running 30000ms or 600 ticks behind', 20000);
+  const lagging = await sampleServerPerformance(tracker, {}, 25000);
+  assert.equal(lagging.mspt, 75);
+  assert.equal(lagging.tps, 13.33);
+
+  const snapshot = getPerformanceSnapshot(tracker, 25000);
+  assert.equal(snapshot.lagging, true);
+  assert.equal(snapshot.lagWarnings, 1);
+  assert.equal(snapshot.history.length, 2);
+
+  // A minute later the warning has aged out
+  await sampleServerPerformance(tracker, {}, 90000);
+  assert.equal(getPerformanceSnapshot(tracker, 90000).lagging, false);
+});